@@ -1,3 +1,7 @@
+-- SUPERSEDED: mark_order_sold and the other sale mutations now live in
+-- supabase/migrations/20261024_add_atomic_sale_rpcs.sql (row locking, version checks).
+-- Running this file would add a second, outdated mark_order_sold overload - do not run it.
+
 -- Create or replace the mark_order_sold RPC function
 -- This function handles marking orders as sold with proper quantity tracking
 
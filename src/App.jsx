@@ -4,22 +4,28 @@ import { ThemeProvider } from './contexts/ThemeContext';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
 import { ModalProvider } from './contexts/ModalContext';
 import { LanguageProvider } from './contexts/LanguageContext';
+import { CurrencyProvider } from './contexts/CurrencyContext';
 import { CartProvider } from './contexts/CartContext';
 import { GlobalHeaderProvider } from './contexts/GlobalHeaderContext';
 import ResponsiveLayout from './components/layout/ResponsiveLayout';
 import ScrollToTop from './components/ScrollToTop';
 import Collection from './pages/Collection';
 import SearchApi from './pages/SearchApi';
-import PokemonPage from './pages/PokemonPage';
+import GamePage from './pages/GamePage';
+import { getServicedGames } from './services/games/gameServiceFactory';
 import OtherPage from './pages/OtherPage';
 import Shipments from './pages/Shipments';
+import Grading from './pages/Grading';
 import Analytics from './pages/Analytics';
+import TaxReport from './pages/TaxReport';
+import Watchlist from './pages/Watchlist';
 import Orders from './pages/Orders';
 import Settings from './pages/Settings';
 import AdminDashboard from './pages/AdminDashboard';
 import Login from './pages/Login';
 import UniversalComponentsTest from './pages/UniversalComponentsTest';
 import LoadingScreen from './components/LoadingScreen';
+import OfflineSyncStatus from './components/OfflineSyncStatus';
 import './index.css';
 
 // Auth Guard Component
@@ -43,6 +49,7 @@ function App() {
     <ThemeProvider>
       <AuthProvider>
         <LanguageProvider>
+          <CurrencyProvider>
           <ModalProvider>
             <CartProvider>
               <GlobalHeaderProvider>
@@ -54,6 +61,7 @@ function App() {
                   <Route path="/*" element={
                     <AuthGuard>
                       <ResponsiveLayout>
+                        <OfflineSyncStatus />
                         <Routes>
                           <Route path="/" element={<Collection />} />
                           <Route path="/categories" element={<SearchApi />} />
@@ -66,13 +74,18 @@ function App() {
                           <Route path="/search/:game/expansions/:expansionId" element={<SearchApi />} />
                           
                           {/* Game-specific routes */}
-                          <Route path="/pokemon" element={<PokemonPage />} />
-                          <Route path="/pokemon/expansions/:expansionId" element={<PokemonPage />} />
+                          {getServicedGames().flatMap(game => [
+                            <Route key={game.id} path={`/${game.slug}`} element={<GamePage key={game.id} gameId={game.id} />} />,
+                            <Route key={`${game.id}-expansion`} path={`/${game.slug}/expansions/:expansionId`} element={<GamePage key={game.id} gameId={game.id} />} />
+                          ])}
                           <Route path="/other" element={<OtherPage />} />
                           
                           {/* Other routes */}
                           <Route path="/shipments" element={<Shipments />} />
+                          <Route path="/grading" element={<Grading />} />
                           <Route path="/analytics" element={<Analytics />} />
+                          <Route path="/analytics/tax-report" element={<TaxReport />} />
+                          <Route path="/watchlist" element={<Watchlist />} />
                           <Route path="/orders" element={<Orders />} />
                           <Route path="/settings" element={<Settings />} />
                           
@@ -91,6 +104,7 @@ function App() {
               </GlobalHeaderProvider>
             </CartProvider>
           </ModalProvider>
+          </CurrencyProvider>
         </LanguageProvider>
       </AuthProvider>
     </ThemeProvider>
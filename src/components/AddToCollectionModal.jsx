@@ -1,9 +1,14 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { supabase } from '../lib/supabaseClient';
 import { getCleanItemName } from '../utils/nameUtils';
-import { getItemTypeClassification } from '../utils/itemTypeUtils';
 import { useModal } from '../contexts/ModalContext';
-import { createSingleOrder } from '../utils/orderNumbering';
+import { useCurrency } from '../contexts/CurrencyContext';
+import offlineSyncService from '../services/offlineSyncService';
+import { SUPPORTED_CURRENCIES } from '../utils/currency';
+import { DEFAULT_RAW_CONDITION } from '../utils/cardCondition';
+import RawConditionPicker from './RawConditionPicker';
+import PriceSourceBadge from './PriceSourceBadge';
+import pricingResolverService from '../services/pricingResolverService';
 import DesktopSideMenu from './DesktopSideMenu';
 import { useQueryClient } from '@tanstack/react-query';
 import { queryKeys } from '../lib/queryClient';
@@ -18,6 +23,7 @@ const AddToCollectionModal = ({
   cartMenuHeight = 0
 }) => {
   const { openModal, closeModal } = useModal();
+  const { baseCurrency } = useCurrency();
   const queryClient = useQueryClient();
   
   const [formData, setFormData] = useState({
@@ -27,7 +33,8 @@ const AddToCollectionModal = ({
     pricePerItem: '',
     quantity: 1,
     buyLocation: '',
-    buyNotes: ''
+    buyNotes: '',
+    currency: baseCurrency
   });
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [error, setError] = useState('');
@@ -47,7 +54,9 @@ const AddToCollectionModal = ({
   // Card type selection state
   const [selectedGradingCompany, setSelectedGradingCompany] = useState('Raw');
   const [selectedGradingGrade, setSelectedGradingGrade] = useState(null);
+  const [selectedRawCondition, setSelectedRawCondition] = useState(DEFAULT_RAW_CONDITION);
   const [showGradingOptions, setShowGradingOptions] = useState(false);
+  const [resolvedPrice, setResolvedPrice] = useState(null);
 
   // Handle modal animation timing
   useEffect(() => {
@@ -196,6 +205,34 @@ const AddToCollectionModal = ({
     }
   }, [formData.quantity, formData.pricePerItem, formData.buyPrice, activePriceField]);
 
+  // Pokemon singles show the resolved price of the selected grade, the same figure as the preview modal
+  useEffect(() => {
+    setResolvedPrice(null);
+    if (!isOpen || product?.source !== 'pokemon' || !product.api_id) return;
+
+    const isGraded = selectedGradingCompany !== 'Raw';
+    if (isGraded && !selectedGradingGrade) return;
+
+    let cancelled = false;
+    pricingResolverService.resolvePrice({
+      id: product.api_id,
+      name: product.name,
+      setName: product.set,
+      company: isGraded ? selectedGradingCompany : null,
+      grade: isGraded ? selectedGradingGrade : null
+    }, isGraded ? 'graded' : 'single')
+      .then(price => {
+        if (!cancelled) setResolvedPrice(price);
+      })
+      .catch(error => console.error('Error resolving card price:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, product, selectedGradingCompany, selectedGradingGrade]);
+
+  const marketValue = resolvedPrice?.market ?? product?.marketValue;
+
   const handleInputChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({
@@ -213,11 +250,13 @@ const AddToCollectionModal = ({
         pricePerItem: '',
         quantity: 1,
         buyLocation: '',
-        buyNotes: ''
+        buyNotes: '',
+        currency: baseCurrency
       });
       // Reset grading state
       setSelectedGradingCompany('Raw');
       setSelectedGradingGrade(null);
+      setSelectedRawCondition(DEFAULT_RAW_CONDITION);
       setShowGradingOptions(false);
       setIsClosing(true);
       setTimeout(() => {
@@ -258,45 +297,6 @@ const AddToCollectionModal = ({
         throw new Error('Please fill in all required fields');
       }
 
-      let itemId;
-      
-      if (product.source === 'api' && product.api_id) {
-        // For API-sourced cards, don't create items in items table
-        // We'll store the data directly in the order
-        itemId = null;
-      } else {
-        // For manual items, use the old logic
-        const itemName = product.source === 'manual' ? product.name : getCleanItemName(product.name, product.set);
-        
-        const { data: existingItem } = await supabase
-          .from('items')
-          .select('id')
-          .eq('name', itemName)
-          .eq('set_name', product.set || '')
-          .single();
-
-        if (existingItem) {
-          itemId = existingItem.id;
-        } else {
-          // Determine proper item type classification for manual items
-          const itemType = getItemTypeClassification(product, 'raw', 'manual');
-          
-          const { data: newItem, error: itemError } = await supabase
-            .from('items')
-            .insert({
-              name: itemName,
-              set_name: product.set || '',
-              image_url: product.imageUrl || '',
-              item_type: itemType // Use proper type classification
-            })
-            .select('id')
-            .single();
-          
-          if (itemError) throw itemError;
-          itemId = newItem.id;
-        }
-      }
-
       // Prepare order data
       const buyPriceCents = Math.round(parseFloat(formData.pricePerItem) * 100); // Price per item in cents
       const totalCostCents = Math.round(parseFloat(formData.buyPrice) * 100); // Total cost in cents
@@ -314,8 +314,9 @@ const AddToCollectionModal = ({
         gradedGrade = selectedGradingGrade;
       }
 
-      // Get current user for RLS
-      const { data: { user } } = await supabase.auth.getUser();
+      // Get current user for RLS (from the local session, so purchases can be added offline)
+      const { data: { session } } = await supabase.auth.getSession();
+      const user = session?.user;
       if (!user) {
         throw new Error('User not authenticated');
       }
@@ -328,13 +329,19 @@ const AddToCollectionModal = ({
       const cardCondition = isSealed ? null : (selectedGradingCompany === 'Raw' ? 'Raw' : `${selectedGradingCompany} ${selectedGradingGrade}`);
       const gradingCompany = isSealed ? null : (selectedGradingCompany === 'Raw' ? null : selectedGradingCompany);
       const gradingGrade = isSealed ? null : (selectedGradingCompany === 'Raw' ? null : selectedGradingGrade);
+      // Raw copies are valued at the condition they are in
+      const rawCondition = !isSealed && selectedGradingCompany === 'Raw' ? selectedRawCondition : null;
 
+      // The item row (for custom and catalog items) and the order number are resolved when the
+      // order is written, which waits for a connection when offline
+      const isCatalogProduct = Boolean(product.tcgplayer_product_id && product.gameId);
       const baseOrderData = {
+        id: crypto.randomUUID(),
         user_id: user.id,
-        item_id: itemId, // For custom items
         purchase_date: formData.buyDate,
         price_per_item_cents: buyPriceCents, // Price per item
         total_cost_cents: totalCostCents, // Total cost for this order
+        currency: formData.currency || null, // Currency the prices above were paid in
         quantity: parseInt(formData.quantity),
         quantity_sold: 0, // Initialize as not sold
         notes: formData.buyNotes || null,
@@ -345,23 +352,23 @@ const AddToCollectionModal = ({
         card_condition: cardCondition,
         grading_company: gradingCompany,
         grading_grade: gradingGrade,
+        raw_condition: rawCondition,
         
         // Link directly to pokemon_cards table
         pokemon_card_id: product.source === 'pokemon' ? product.api_id : null,
-        product_source: product.source === 'pokemon' ? 'pokemon' : (itemId ? 'custom' : 'unknown')
+        // Custom items fall back to 'custom' or 'unknown' once their item row is resolved
+        product_source: product.source === 'pokemon' ? 'pokemon' : (isCatalogProduct ? product.gameId : undefined)
       };
 
-      // Create order with proper numbering
-      const orderData = await createSingleOrder(supabase, baseOrderData);
-
-      // Insert order
-      const { data: orderResult, error: orderError } = await supabase
-        .from('orders')
-        .insert(orderData)
-        .select()
-        .single();
-
-      if (orderError) throw orderError;
+      const result = await offlineSyncService.run('add-order', {
+        product,
+        order: baseOrderData,
+        display: {
+          item_name: product.source === 'manual' ? product.name : getCleanItemName(product.name, product.set),
+          set_name: product.set || '',
+          image_url: product.imageUrl || product.image_url || null
+        }
+      });
 
       // Invalidate queries to refresh collection data
       await queryClient.invalidateQueries({ queryKey: queryKeys.orders });
@@ -372,7 +379,8 @@ const AddToCollectionModal = ({
         quantity: formData.quantity,
         item: product.name,
         set: product.set || '',
-        price: formData.buyPrice
+        price: formData.buyPrice,
+        queued: Boolean(result?.queued)
       });
 
       setShowProcessing(true);
@@ -419,7 +427,7 @@ const AddToCollectionModal = ({
                 {product.set && (
                   <p className="text-gray-400" style={{ fontSize: '12px' }}>{product.set}</p>
                 )}
-                {product.marketValue !== undefined && product.marketValue !== null && (
+                {marketValue !== undefined && marketValue !== null && (
                   <p className="text-emerald-400" style={{ fontSize: '12px' }}>
                     {(() => {
                       // Determine the label based on item type and grading
@@ -431,15 +439,16 @@ const AddToCollectionModal = ({
                                      product.name?.toLowerCase().includes('pack');
                       
                       if (isSealed) {
-                        return `Sealed: $${product.marketValue.toFixed(2)}`;
+                        return `Sealed: $${marketValue.toFixed(2)}`;
                       } else {
                         // For single cards, show grading info or default to "Raw"
                         const gradingInfo = selectedGradingCompany === 'Raw' ? 'Raw' : `${selectedGradingCompany} ${selectedGradingGrade}`;
-                        return `${gradingInfo}: $${product.marketValue.toFixed(2)}`;
+                        return `${gradingInfo}: $${marketValue.toFixed(2)}`;
                       }
                     })()}
                   </p>
                 )}
+                <PriceSourceBadge price={resolvedPrice} className="mt-1" />
               </div>
             </div>
           </div>
@@ -470,7 +479,7 @@ const AddToCollectionModal = ({
                       <svg className="w-3 h-3 mr-1" fill="currentColor" viewBox="0 0 20 20">
                         <path fillRule="evenodd" d="M4 4a2 2 0 012-2h8a2 2 0 012 2v12a2 2 0 01-2 2H6a2 2 0 01-2-2V4zm2 0v12h8V4H6z" clipRule="evenodd" />
                       </svg>
-                      Raw
+                      Raw • {selectedRawCondition}
                     </>
                   ) : (
                     <>
@@ -589,7 +598,12 @@ const AddToCollectionModal = ({
                     </button>
                   </div>
                 </div>
-                
+
+                {/* Condition Selection - Only show for raw cards */}
+                {selectedGradingCompany === 'Raw' && (
+                  <RawConditionPicker value={selectedRawCondition} onChange={setSelectedRawCondition} />
+                )}
+
                 {/* Grade Selection - Only show if a graded company is selected */}
                 {selectedGradingCompany && selectedGradingCompany !== 'Raw' && (
                   <div>
@@ -795,6 +809,24 @@ const AddToCollectionModal = ({
                     />
                   </div>
                 </div>
+
+                {/* Purchase Currency */}
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    Currency
+                  </label>
+                  <select
+                    name="currency"
+                    value={formData.currency}
+                    onChange={handleInputChange}
+                    className="w-full px-4 py-3 bg-gray-900 border border-gray-700 rounded-lg text-white text-sm focus:outline-none focus:ring-0.5 focus:ring-indigo-400/50 focus:border-indigo-400/50 transition-colors"
+                    style={{ backgroundColor: '#111827' }}
+                  >
+                    {SUPPORTED_CURRENCIES.map(currency => (
+                      <option key={currency.code} value={currency.code}>{currency.code} - {currency.name}</option>
+                    ))}
+                  </select>
+                </div>
               </div>
             </div>
 
@@ -841,7 +873,9 @@ const AddToCollectionModal = ({
                     {successData.set && <p className="text-gray-400">{successData.set}</p>}
                     <p className="text-indigo-400 font-medium">${parseFloat(successData.price).toFixed(2)}</p>
                   </div>
-                  <p className="text-xs text-gray-400">Updating your collection...</p>
+                  <p className="text-xs text-gray-400">
+                    {successData.queued ? 'Saved offline - it will sync when you are back online' : 'Updating your collection...'}
+                  </p>
                 </div>
               </div>
             </div>
@@ -940,7 +974,7 @@ const AddToCollectionModal = ({
               {product.set && (
                 <p className="text-gray-400 text-xs mt-1">{product.set}</p>
               )}
-              {product.marketValue !== undefined && product.marketValue !== null && (
+              {marketValue !== undefined && marketValue !== null && (
                 <p className="text-blue-400 text-xs mt-1">
                   {(() => {
                     // Determine the label based on item type and grading
@@ -952,15 +986,16 @@ const AddToCollectionModal = ({
                                    product.name?.toLowerCase().includes('pack');
                     
                     if (isSealed) {
-                      return `Sealed: $${product.marketValue.toFixed(2)}`;
+                      return `Sealed: $${marketValue.toFixed(2)}`;
                     } else {
                       // For single cards, show grading info or default to "Raw"
                       const gradingInfo = selectedGradingCompany === 'Raw' ? 'Raw' : `${selectedGradingCompany} ${selectedGradingGrade}`;
-                      return `${gradingInfo}: $${product.marketValue.toFixed(2)}`;
+                      return `${gradingInfo}: $${marketValue.toFixed(2)}`;
                     }
                   })()}
                 </p>
               )}
+              <PriceSourceBadge price={resolvedPrice} className="mt-1" />
             </div>
           </div>
         </div>
@@ -991,7 +1026,7 @@ const AddToCollectionModal = ({
                     <svg className="w-3 h-3 mr-1" fill="currentColor" viewBox="0 0 20 20">
                       <path fillRule="evenodd" d="M4 4a2 2 0 012-2h8a2 2 0 012 2v12a2 2 0 01-2 2H6a2 2 0 01-2-2V4zm2 0v12h8V4H6z" clipRule="evenodd" />
                     </svg>
-                    Raw
+                    Raw • {selectedRawCondition}
                   </>
                 ) : (
                   <>
@@ -1110,7 +1145,12 @@ const AddToCollectionModal = ({
                   </button>
                 </div>
               </div>
-              
+
+              {/* Condition Selection - Only show for raw cards */}
+              {selectedGradingCompany === 'Raw' && (
+                <RawConditionPicker value={selectedRawCondition} onChange={setSelectedRawCondition} />
+              )}
+
               {/* Grade Selection - Only show if a graded company is selected */}
               {selectedGradingCompany && selectedGradingCompany !== 'Raw' && (
                 <div>
@@ -1370,7 +1410,9 @@ const AddToCollectionModal = ({
                   {successData.set && <p className="text-gray-400">{successData.set}</p>}
                   <p className="text-indigo-400 font-medium">${parseFloat(successData.price).toFixed(2)}</p>
                 </div>
-                <p className="text-xs text-gray-400">Updating your collection...</p>
+                <p className="text-xs text-gray-400">
+                  {successData.queued ? 'Saved offline - it will sync when you are back online' : 'Updating your collection...'}
+                </p>
               </div>
             </div>
           </div>
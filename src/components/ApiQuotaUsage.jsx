@@ -0,0 +1,83 @@
+import React from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { Gauge } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { queryKeys } from '../lib/queryClient';
+import apiQuotaService from '../services/apiQuotaService';
+import { getQuotaUsageColor, getQuotaWindowLabel } from '../utils/apiQuota';
+
+const formatResetTime = (resetsAt) => {
+  const minutes = Math.max(0, Math.round((new Date(resetsAt) - Date.now()) / 60000));
+  if (minutes < 60) return `${minutes}m`;
+  if (minutes < 48 * 60) return `${Math.round(minutes / 60)}h`;
+  return `${Math.round(minutes / (24 * 60))}d`;
+};
+
+const ApiQuotaUsage = () => {
+  const { user } = useAuth();
+
+  const { data: providers = [], isLoading, error } = useQuery({
+    queryKey: queryKeys.apiQuotaStatus,
+    queryFn: () => apiQuotaService.getStatus(),
+    enabled: !!user,
+    refetchInterval: 60 * 1000,
+  });
+
+  return (
+    <div className="mb-6">
+      <h2 className="text-lg font-semibold text-white mb-3 flex items-center gap-2">
+        <Gauge className="w-5 h-5 text-indigo-400" />
+        API Quotas
+      </h2>
+
+      {isLoading ? (
+        <div className="bg-gray-800 border border-gray-700 rounded-lg p-4 text-sm text-gray-400">
+          Loading API usage...
+        </div>
+      ) : error ? (
+        <div className="bg-gray-800 border border-gray-700 rounded-lg p-4 text-sm text-red-400">
+          Failed to load API usage: {error.message}
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+          {providers.map(provider => (
+            <div key={provider.provider} className="bg-gray-800 border border-gray-700 rounded-lg p-3">
+              <div className="flex items-center justify-between mb-2">
+                <h3 className="font-semibold text-white text-sm">{provider.name}</h3>
+                <span className="text-xs text-gray-400">
+                  Burst {Math.max(0, Math.floor(provider.tokensAvailable))}/{provider.bucketCapacity} • {provider.reservePercent}% kept for interactive
+                </span>
+              </div>
+
+              <div className="space-y-1">
+                {provider.windows.filter(window => window.quota_limit != null).map(window => (
+                  <div key={window.quota_window} className="flex items-center justify-between text-xs">
+                    <span className="text-gray-400 w-14">{getQuotaWindowLabel(window.quota_window)}</span>
+                    <span className="text-white flex-1">
+                      {window.used}/{window.quota_limit} used
+                      {window.denied_count > 0 && <span className="text-gray-500"> • {window.denied_count} deferred</span>}
+                    </span>
+                    <span className={getQuotaUsageColor(window)}>{window.remaining} left</span>
+                    <span className="text-gray-500 w-16 text-right">resets {formatResetTime(window.resets_at)}</span>
+                  </div>
+                ))}
+                {provider.windows.every(window => window.quota_limit == null) && (
+                  <p className="text-xs text-gray-500">Burst limit only</p>
+                )}
+              </div>
+
+              {provider.windows.some(window => window.used > 0) && (
+                <p className="text-xs text-gray-500 mt-2">
+                  Today: {provider.windows.find(window => window.quota_window === 'day')?.interactive_count || 0} interactive,{' '}
+                  {provider.windows.find(window => window.quota_window === 'day')?.background_count || 0} background
+                </p>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ApiQuotaUsage;
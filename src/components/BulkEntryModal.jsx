@@ -0,0 +1,327 @@
+import React, { useState } from 'react';
+import { createPortal } from 'react-dom';
+import bulkEntryService from '../services/bulkEntryService';
+import { parseBulkEntryLine, parseBulkEntryText } from '../utils/bulkEntryParser';
+import { RAW_CONDITIONS, DEFAULT_RAW_CONDITION } from '../utils/cardCondition';
+import { useCurrency } from '../contexts/CurrencyContext';
+
+// Best candidates scoring below this are highlighted for a closer look
+const LOW_CONFIDENCE_SCORE = 0.5;
+
+const EXAMPLE_LINES = '2x Charizard ex 199/165 PSA 10 $450\nUmbreon VMAX Evolving Skies 215\nEvolving Skies ETB x3 @ 55';
+
+const describeCandidate = (candidate) => [
+  candidate.name,
+  candidate.setName,
+  candidate.number ? `#${candidate.number}` : null,
+  candidate.kind === 'sealed' ? 'Sealed' : null
+].filter(Boolean).join(' · ');
+
+const toRow = (line, candidates = []) => ({
+  ...line,
+  candidates,
+  selected: candidates.length > 0 ? 0 : null,
+  skip: candidates.length === 0,
+  pricePerItem: line.pricePerItem ?? '',
+  rawCondition: line.rawCondition || DEFAULT_RAW_CONDITION
+});
+
+/**
+ * Paste-a-list bulk entry: parse free text lines, match each against the catalog,
+ * review the matches in a grid, then save them as one multi-item order
+ * @param {boolean} isOpen - Whether the modal is visible
+ * @param {Function} onClose - Close handler
+ * @param {Function} onSaved - Called with the inserted orders
+ */
+const BulkEntryModal = ({ isOpen, onClose, onSaved }) => {
+  const { baseCurrency } = useCurrency();
+  const [step, setStep] = useState('paste'); // paste, review, done
+  const [text, setText] = useState('');
+  const [rows, setRows] = useState([]);
+  const [purchase, setPurchase] = useState(() => ({
+    purchaseDate: new Date().toISOString().split('T')[0],
+    retailerName: ''
+  }));
+  const [progress, setProgress] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+  const [savedCount, setSavedCount] = useState(0);
+  const [error, setError] = useState(null);
+
+  if (!isOpen) return null;
+
+  const reset = () => {
+    setStep('paste');
+    setText('');
+    setRows([]);
+    setProgress(null);
+    setSavedCount(0);
+    setError(null);
+  };
+
+  const handleClose = () => {
+    reset();
+    onClose();
+  };
+
+  const updateRow = (index, changes) => {
+    setRows(prev => prev.map(row => (row.index === index ? { ...row, ...changes } : row)));
+  };
+
+  const handleMatch = async () => {
+    const lines = parseBulkEntryText(text);
+    if (lines.length === 0) {
+      setError('Paste at least one line');
+      return;
+    }
+
+    setIsWorking(true);
+    setError(null);
+    try {
+      const candidatesByLine = await bulkEntryService.matchLines(lines, {
+        onProgress: (matched, total) => setProgress({ matched, total })
+      });
+      setRows(lines.map(line => toRow(line, candidatesByLine[line.index])));
+      setStep('review');
+    } catch (err) {
+      console.error('Error matching pasted list:', err);
+      setError(err.message || 'Matching failed');
+    } finally {
+      setIsWorking(false);
+      setProgress(null);
+    }
+  };
+
+  // Re-parse an edited line and match it again, keeping its place in the list
+  const handleRematch = async (row) => {
+    const line = parseBulkEntryLine(row.raw);
+    if (!line) return;
+
+    updateRow(row.index, { isMatching: true });
+    try {
+      const candidatesByLine = await bulkEntryService.matchLines([{ ...line, index: row.index }]);
+      updateRow(row.index, { ...toRow({ ...line, index: row.index }, candidatesByLine[row.index]), isMatching: false });
+    } catch (err) {
+      console.error('Error matching line:', err);
+      updateRow(row.index, { isMatching: false });
+    }
+  };
+
+  const includedRows = rows.filter(row => !row.skip && row.selected !== null);
+  const totalCost = includedRows.reduce(
+    (sum, row) => sum + (parseFloat(row.pricePerItem) || 0) * (parseInt(row.quantity, 10) || 0), 0
+  );
+
+  const handleSave = async () => {
+    setIsWorking(true);
+    setError(null);
+    try {
+      const orders = await bulkEntryService.createOrder(
+        includedRows.map(row => ({ ...row, candidate: row.candidates[row.selected] })),
+        {
+          purchaseDate: purchase.purchaseDate,
+          retailerName: purchase.retailerName.trim() || null,
+          currency: baseCurrency
+        }
+      );
+      setSavedCount(orders.length);
+      setStep('done');
+      onSaved?.(orders);
+    } catch (err) {
+      console.error('Error saving bulk entry:', err);
+      setError(err.message || 'Saving failed');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const inputClass = 'bg-gray-800 border border-gray-700 rounded-lg px-2 py-1 text-sm text-white';
+
+  return createPortal(
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-md flex items-center justify-center z-50 p-4">
+      <div className="bg-gray-900 border border-gray-700 rounded-xl w-full max-w-5xl max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-gray-800">
+          <div>
+            <h3 className="text-base font-semibold text-white">Paste a List</h3>
+            <p className="text-xs text-gray-400">
+              {step === 'paste' && 'One purchase per line: quantity, name, set, card number, grade and price per item'}
+              {step === 'review' && `${rows.length} lines · check each match, nothing has been saved yet`}
+              {step === 'done' && 'Order saved'}
+            </p>
+          </div>
+          <button onClick={handleClose} className="text-gray-400 hover:text-white">
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-4">
+          {error && (
+            <div className="mb-3 p-3 bg-red-500/10 border border-red-500/30 rounded-lg text-sm text-red-400">{error}</div>
+          )}
+
+          {step === 'paste' && (
+            <textarea
+              value={text}
+              onChange={(e) => setText(e.target.value)}
+              placeholder={EXAMPLE_LINES}
+              rows={14}
+              className="w-full bg-gray-800 border border-gray-700 rounded-lg p-3 text-sm text-white font-mono placeholder-gray-500"
+            />
+          )}
+
+          {step === 'review' && (
+            <div className="border border-gray-800 rounded-lg divide-y divide-gray-800">
+              {rows.map(row => {
+                const candidate = row.selected !== null ? row.candidates[row.selected] : null;
+                const isLowConfidence = candidate && candidate.score < LOW_CONFIDENCE_SCORE;
+
+                return (
+                  <div key={row.index} className={`p-2 flex flex-wrap items-center gap-2 text-sm ${row.skip ? 'opacity-50' : ''}`}>
+                    <input
+                      type="checkbox"
+                      checked={!row.skip}
+                      disabled={!candidate}
+                      onChange={(e) => updateRow(row.index, { skip: !e.target.checked })}
+                      title="Include this line"
+                    />
+                    {candidate?.imageUrl ? (
+                      <img src={candidate.imageUrl} alt="" className="w-8 h-11 object-contain rounded shrink-0" />
+                    ) : (
+                      <div className="w-8 h-11 rounded bg-gray-800 shrink-0" />
+                    )}
+                    <div className="flex-1 min-w-[16rem]">
+                      <div className="flex items-center gap-1">
+                        <input
+                          value={row.raw}
+                          onChange={(e) => updateRow(row.index, { raw: e.target.value })}
+                          onKeyDown={(e) => e.key === 'Enter' && handleRematch(row)}
+                          className={`${inputClass} flex-1 text-xs text-gray-300`}
+                        />
+                        <button
+                          onClick={() => handleRematch(row)}
+                          disabled={row.isMatching}
+                          className="px-2 py-1 text-xs text-blue-400 hover:text-blue-300 disabled:opacity-50"
+                        >
+                          {row.isMatching ? '...' : 'Match'}
+                        </button>
+                      </div>
+                      {row.candidates.length > 0 ? (
+                        <select
+                          value={row.selected ?? ''}
+                          onChange={(e) => updateRow(row.index, { selected: Number(e.target.value) })}
+                          className={`${inputClass} w-full mt-1 ${isLowConfidence ? 'border-yellow-500/60' : ''}`}
+                        >
+                          {row.candidates.map((option, optionIndex) => (
+                            <option key={`${option.kind}-${option.productId}`} value={optionIndex}>
+                              {Math.round(option.score * 100)}% · {describeCandidate(option)}
+                              {option.marketPrice ? ` · $${option.marketPrice.toFixed(2)}` : ''}
+                            </option>
+                          ))}
+                        </select>
+                      ) : (
+                        <div className="text-xs text-red-400 mt-1">No match found - edit the line and match again</div>
+                      )}
+                    </div>
+                    <label className="text-xs text-gray-400">
+                      Qty
+                      <input
+                        type="number"
+                        min="1"
+                        value={row.quantity}
+                        onChange={(e) => updateRow(row.index, { quantity: e.target.value })}
+                        className={`${inputClass} w-16 ml-1`}
+                      />
+                    </label>
+                    <label className="text-xs text-gray-400">
+                      Each
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={row.pricePerItem}
+                        onChange={(e) => updateRow(row.index, { pricePerItem: e.target.value })}
+                        className={`${inputClass} w-24 ml-1`}
+                      />
+                    </label>
+                    {candidate?.kind === 'card' && (
+                      row.gradingCompany ? (
+                        <span className="text-xs text-indigo-400 w-20">{row.gradingCompany} {row.gradingGrade}</span>
+                      ) : (
+                        <select
+                          value={row.rawCondition}
+                          onChange={(e) => updateRow(row.index, { rawCondition: e.target.value })}
+                          className={`${inputClass} w-20`}
+                        >
+                          {RAW_CONDITIONS.map(condition => (
+                            <option key={condition.code} value={condition.code}>{condition.code}</option>
+                          ))}
+                        </select>
+                      )
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+
+          {step === 'done' && (
+            <div className="text-center py-8">
+              <div className="text-2xl font-bold text-green-400 mb-1">{savedCount} items added</div>
+              <div className="text-sm text-gray-400">Saved as one order</div>
+            </div>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="flex flex-wrap items-center justify-between gap-2 p-4 border-t border-gray-800">
+          <button
+            onClick={step === 'review' ? () => setStep('paste') : handleClose}
+            className="px-4 py-2 text-sm text-gray-300 hover:text-white"
+          >
+            {step === 'review' ? 'Back' : 'Close'}
+          </button>
+          {step === 'paste' && (
+            <button
+              onClick={handleMatch}
+              disabled={!text.trim() || isWorking}
+              className="px-4 py-2 text-sm bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white rounded-lg"
+            >
+              {isWorking
+                ? (progress ? `Matching ${progress.matched}/${progress.total}...` : 'Matching...')
+                : 'Match lines'}
+            </button>
+          )}
+          {step === 'review' && (
+            <div className="flex flex-wrap items-center gap-2">
+              <input
+                type="date"
+                value={purchase.purchaseDate}
+                onChange={(e) => setPurchase(prev => ({ ...prev, purchaseDate: e.target.value }))}
+                className={inputClass}
+              />
+              <input
+                value={purchase.retailerName}
+                onChange={(e) => setPurchase(prev => ({ ...prev, retailerName: e.target.value }))}
+                placeholder="Bought from"
+                className={`${inputClass} w-36`}
+              />
+              <span className="text-xs text-gray-400">{baseCurrency} {totalCost.toFixed(2)}</span>
+              <button
+                onClick={handleSave}
+                disabled={includedRows.length === 0 || !purchase.purchaseDate || isWorking}
+                className="px-4 py-2 text-sm bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white rounded-lg"
+              >
+                {isWorking ? 'Saving...' : `Add ${includedRows.length} item${includedRows.length === 1 ? '' : 's'} as one order`}
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>,
+    document.body
+  );
+};
+
+export default BulkEntryModal;
@@ -2,11 +2,17 @@ import React, { useState, useEffect } from 'react';
 import { ArrowLeft, Star, ExternalLink, DollarSign, Package, Hash, X, TrendingUp, TrendingDown } from 'lucide-react';
 import SafeImage from './SafeImage';
 import databasePricingService from '../services/databasePricingService';
+import pricingResolverService from '../services/pricingResolverService';
+import PriceSourceBadge from './PriceSourceBadge';
+import PriceHistoryChart from './charts/PriceHistoryChart';
+import WatchlistButton from './WatchlistButton';
 
 const CardPreviewModal = ({ card, isOpen, onClose, onAddToCollection }) => {
   const [quantity, setQuantity] = useState(1);
   const [pricingData, setPricingData] = useState(null);
+  const [resolvedPrices, setResolvedPrices] = useState({});
   const [isLoadingPricing, setIsLoadingPricing] = useState(false);
+  const [historyPriceType, setHistoryPriceType] = useState('raw');
 
   // Helper function to validate URLs
   const isValidUrl = (url) => {
@@ -34,23 +40,46 @@ const CardPreviewModal = ({ card, isOpen, onClose, onAddToCollection }) => {
     };
   }, [isOpen]);
 
-  // Load pricing data from database when modal opens
+  // Load pricing data when modal opens
   useEffect(() => {
-    if (isOpen && card && card.api_id) {
+    if (isOpen && card && (card.api_id || card.type === 'sealed')) {
       loadPricingData();
     }
   }, [isOpen, card]);
 
   const loadPricingData = async () => {
-    if (!card?.api_id) return;
-    
     setIsLoadingPricing(true);
     try {
-      const pricing = await databasePricingService.getCardPricing(card.api_id);
+      if (card.type === 'sealed') {
+        const sealed = await pricingResolverService.resolvePrice({
+          id: card.product_id || card.id,
+          name: card.name,
+          setName: card.expansion_name
+        }, 'sealed');
+        setPricingData(null);
+        setResolvedPrices({ raw: sealed });
+        return;
+      }
+
+      // Card details (trends, condition) from the database, headline prices from the resolver
+      const product = {
+        id: card.api_id,
+        name: card.name,
+        setName: card.expansion_name,
+        company: card.graded_company,
+        grade: card.graded_grade
+      };
+      const [pricing, raw, graded] = await Promise.all([
+        databasePricingService.getCardPricing(card.api_id),
+        pricingResolverService.resolvePrice(product, 'single'),
+        pricingResolverService.resolvePrice(product, 'graded')
+      ]);
       setPricingData(pricing);
+      setResolvedPrices({ raw, graded });
     } catch (error) {
       console.error('Error loading pricing data:', error);
       setPricingData(null);
+      setResolvedPrices({});
     } finally {
       setIsLoadingPricing(false);
     }
@@ -89,14 +118,24 @@ const CardPreviewModal = ({ card, isOpen, onClose, onAddToCollection }) => {
     }
   };
 
+  // Sealed products are keyed by their TCGPlayer product id, cards by their pokemon_cards id
+  const isSealedCard = card.type === 'sealed';
+  const priceHistoryId = isSealedCard ? (card.product_id || card.id) : (card.api_id || card.id);
+  // Chart the card's own grade or sub type rather than whichever variant is priced highest
+  const historyVariant = isSealedCard
+    ? card.sub_type_name
+    : historyPriceType === 'graded'
+      ? [card.graded_company, card.graded_grade].filter(Boolean).join(' ') || undefined
+      : '';
+
   // Use pricing data from database if available, otherwise fall back to card data
-  const rawPrice = pricingData?.raw || card.raw_pricing || (card.raw_price ? {
+  const storedRawPrice = pricingData?.raw || card.raw_pricing || (card.raw_price ? {
     market: card.raw_price,
     low: card.raw_low,
     condition: card.raw_condition || 'NM'
   } : null);
   
-  const gradedPrice = pricingData?.graded || card.graded_pricing || (card.graded_price ? {
+  const storedGradedPrice = pricingData?.graded || card.graded_pricing || (card.graded_price ? {
     market: card.graded_price,
     low: card.graded_low,
     mid: card.graded_mid,
@@ -105,6 +144,13 @@ const CardPreviewModal = ({ card, isOpen, onClose, onAddToCollection }) => {
     company: card.graded_company
   } : null);
 
+  // Resolved prices win over stored ones so every screen shows the same figure
+  const withResolved = (stored, resolved) => resolved
+    ? { ...stored, market: resolved.market, low: resolved.low ?? stored?.low, high: resolved.high ?? stored?.high }
+    : stored;
+  const rawPrice = withResolved(storedRawPrice, resolvedPrices.raw);
+  const gradedPrice = withResolved(storedGradedPrice, resolvedPrices.graded);
+
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
       <div className="bg-gray-900 rounded-lg max-w-md w-full max-h-[90vh] overflow-hidden">
@@ -250,6 +296,7 @@ const CardPreviewModal = ({ card, isOpen, onClose, onAddToCollection }) => {
                           <span className="text-white ml-2">{rawPrice.condition || 'N/A'}</span>
                         </div>
                       </div>
+                      <PriceSourceBadge price={resolvedPrices.raw} className="mt-2" />
                     </div>
                   )}
                   
@@ -263,7 +310,7 @@ const CardPreviewModal = ({ card, isOpen, onClose, onAddToCollection }) => {
                         </div>
                         <div>
                           <span className="text-gray-400">Grade:</span>
-                          <span className="text-blue-400 ml-2">{gradedPrice.company} {gradedPrice.grade}</span>
+                          <span className="text-blue-400 ml-2">{gradedPrice.company || card.graded_company} {gradedPrice.grade || card.graded_grade}</span>
                         </div>
                         <div>
                           <span className="text-gray-400">Low Price:</span>
@@ -274,6 +321,7 @@ const CardPreviewModal = ({ card, isOpen, onClose, onAddToCollection }) => {
                           <span className="text-blue-400 ml-2">{formatPrice(gradedPrice.high)}</span>
                         </div>
                       </div>
+                      <PriceSourceBadge price={resolvedPrices.graded} className="mt-2" />
                     </div>
                   )}
                 </>
@@ -284,6 +332,36 @@ const CardPreviewModal = ({ card, isOpen, onClose, onAddToCollection }) => {
               )}
             </div>
 
+            {/* Price History Section */}
+            <div className="bg-gray-800 rounded-xl p-4">
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-bold text-white">Price History</h3>
+                {!isSealedCard && (
+                  <div className="flex gap-1">
+                    {['raw', 'graded'].map((type) => (
+                      <button
+                        key={type}
+                        onClick={() => setHistoryPriceType(type)}
+                        className={`px-3 py-1 text-xs rounded-lg transition-colors ${
+                          type === historyPriceType
+                            ? 'bg-indigo-600 text-white'
+                            : 'text-gray-400 hover:bg-gray-700'
+                        }`}
+                      >
+                        {type === 'raw' ? 'Raw' : 'Graded'}
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
+              <PriceHistoryChart
+                productType={isSealedCard ? 'sealed' : 'card'}
+                productId={priceHistoryId}
+                priceType={isSealedCard ? 'market' : historyPriceType}
+                variant={historyVariant}
+              />
+            </div>
+
             {/* Add to Collection Section */}
             <div className="bg-gray-800 rounded-xl p-4">
               <h3 className="text-lg font-bold text-white mb-4">Add to Collection</h3>
@@ -305,6 +383,14 @@ const CardPreviewModal = ({ card, isOpen, onClose, onAddToCollection }) => {
                   Add to Collection
                 </button>
               </div>
+              <WatchlistButton
+                productType={isSealedCard ? 'sealed' : 'card'}
+                productId={priceHistoryId}
+                priceType={isSealedCard ? 'market' : historyPriceType}
+                name={card.name}
+                imageUrl={card.image_url}
+                className="w-full mt-3"
+              />
             </div>
           </div>
         </div>
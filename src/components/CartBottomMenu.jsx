@@ -1,6 +1,8 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { X, Plus, Minus, BookOpen, ChevronUp, ChevronDown, ChevronDownIcon, Calendar, ChevronLeft, ChevronRight } from 'lucide-react';
 import { getItemTypeClassification, getGradeFromCardType, getCompanyFromCardType, getMarketValueForCardType, isSealedProduct } from '../utils/itemTypeUtils';
+import { DEFAULT_RAW_CONDITION } from '../utils/cardCondition';
+import RawConditionPicker from './RawConditionPicker';
 
 const CartBottomMenu = ({ 
   cartItems, 
@@ -33,6 +35,7 @@ const CartBottomMenu = ({
   const [selectedGrade, setSelectedGrade] = useState(10);
   const [selectedGradingCompany, setSelectedGradingCompany] = useState({});
   const [selectedGradingGrade, setSelectedGradingGrade] = useState({});
+  const [selectedRawCondition, setSelectedRawCondition] = useState({});
   const [expandedGradingSections, setExpandedGradingSections] = useState({});
   const [isModalAnimating, setIsModalAnimating] = useState(false);
 
@@ -201,10 +204,22 @@ const CartBottomMenu = ({
     const orderData = {
       date: orderDate,
       location: purchaseLocation,
-      items: cartItems.map(item => ({
-        ...item,
-        price: itemPrices[item.id] !== undefined ? itemPrices[item.id] : (item.price || 0)
-      }))
+      items: cartItems.map(item => {
+        // Grading picked here wins over what the item was added with
+        const company = selectedGradingCompany[item.id];
+        const grade = selectedGradingGrade[item.id];
+        const grading = company === 'Raw'
+          ? { cardCondition: 'Raw', gradingCompany: null, gradingGrade: null }
+          : (company && grade ? { cardCondition: `${company} ${grade}`, gradingCompany: company, gradingGrade: grade } : {});
+        const gradedItem = { ...item, ...grading };
+        const isRaw = !isSealedProduct(item) && (!gradedItem.cardCondition || gradedItem.cardCondition === 'Raw');
+
+        return {
+          ...gradedItem,
+          price: itemPrices[item.id] !== undefined ? itemPrices[item.id] : (item.price || 0),
+          rawCondition: isRaw ? (selectedRawCondition[item.id] || DEFAULT_RAW_CONDITION) : null
+        };
+      })
     };
     onCreateOrder(orderData);
   };
@@ -221,6 +236,13 @@ const CartBottomMenu = ({
     }));
   };
 
+  const handleRawConditionSelect = (itemId, condition) => {
+    setSelectedRawCondition(prev => ({
+      ...prev,
+      [itemId]: condition
+    }));
+  };
+
   const handleGradingGradeSelect = (itemId, grade) => {
     setSelectedGradingGrade(prev => ({
       ...prev,
@@ -248,6 +270,7 @@ const CartBottomMenu = ({
     setExpandedGradingSections({});
     setSelectedGradingCompany({});
     setSelectedGradingGrade({});
+    setSelectedRawCondition({});
     setOrderDate(new Date().toISOString().split('T')[0]);
   };
 
@@ -519,7 +542,7 @@ const CartBottomMenu = ({
                               const company = selectedGradingCompany[item.id];
                               const grade = selectedGradingGrade[item.id];
                               if (!company || company === 'Raw') {
-                                return 'Raw';
+                                return `Raw ${selectedRawCondition[item.id] || DEFAULT_RAW_CONDITION}`;
                               }
                               return `${company} ${grade || ''}`.trim();
                             })()}
@@ -691,6 +714,16 @@ const CartBottomMenu = ({
                                 </button>
                           </div>
                           
+                        {/* Condition Row - Only show for raw cards */}
+                        {(!selectedGradingCompany[item.id] || selectedGradingCompany[item.id] === 'Raw') && (
+                          <div className="mt-3 mb-2">
+                            <RawConditionPicker
+                              value={selectedRawCondition[item.id] || DEFAULT_RAW_CONDITION}
+                              onChange={(condition) => handleRawConditionSelect(item.id, condition)}
+                            />
+                          </div>
+                        )}
+
                         {/* Grade Selection Row - Only show if a graded company is selected */}
                         {selectedGradingCompany[item.id] && selectedGradingCompany[item.id] !== 'Raw' && (
                             <div className="mt-3 mb-2">
@@ -0,0 +1,124 @@
+import React, { useEffect, useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useAuth } from '../contexts/AuthContext';
+import { queryKeys } from '../lib/queryClient';
+import conditionPricingService from '../services/conditionPricingService';
+import { DEFAULT_CONDITION_DISCOUNTS, DEFAULT_RAW_CONDITION, RAW_CONDITIONS } from '../utils/cardCondition';
+
+// NM is the reference price and is not discounted
+const DISCOUNTED_CONDITIONS = RAW_CONDITIONS.filter(condition => condition.code !== DEFAULT_RAW_CONDITION);
+
+const toPercents = (curve) => Object.fromEntries(
+  DISCOUNTED_CONDITIONS.map(condition => [condition.code, String(Math.round(curve[condition.code] * 100))])
+);
+
+const ConditionDiscountSettings = () => {
+  const { user } = useAuth();
+  const queryClient = useQueryClient();
+  const [percents, setPercents] = useState(toPercents(DEFAULT_CONDITION_DISCOUNTS));
+  const [message, setMessage] = useState(null);
+
+  const { data: curve } = useQuery({
+    queryKey: queryKeys.conditionDiscounts,
+    queryFn: () => conditionPricingService.getDiscountCurve(),
+    enabled: !!user,
+    staleTime: 30 * 60 * 1000,
+  });
+
+  useEffect(() => {
+    if (curve) setPercents(toPercents(curve));
+  }, [curve]);
+
+  const saveMutation = useMutation({
+    mutationFn: (nextCurve) => conditionPricingService.setDiscountCurve(nextCurve),
+    onSuccess: (saved) => {
+      queryClient.setQueryData(queryKeys.conditionDiscounts, saved);
+      // Raw copies without a condition price are revalued with the new curve
+      queryClient.invalidateQueries({ queryKey: queryKeys.orders });
+      queryClient.invalidateQueries({ queryKey: queryKeys.analyticsOrders });
+    },
+  });
+
+  const handleSave = async (nextPercents) => {
+    setMessage(null);
+    const invalid = DISCOUNTED_CONDITIONS.find(condition => {
+      const value = Number(nextPercents[condition.code]);
+      return !(value > 0 && value <= 100);
+    });
+    if (invalid) {
+      setMessage({ type: 'error', text: `${invalid.name} must be between 1 and 100%` });
+      return;
+    }
+
+    try {
+      await saveMutation.mutateAsync(Object.fromEntries(
+        DISCOUNTED_CONDITIONS.map(condition => [condition.code, Number(nextPercents[condition.code]) / 100])
+      ));
+      setMessage({ type: 'success', text: 'Condition curve saved' });
+    } catch (error) {
+      setMessage({ type: 'error', text: `Failed to save condition curve: ${error.message}` });
+    }
+  };
+
+  const handleReset = () => {
+    const defaults = toPercents(DEFAULT_CONDITION_DISCOUNTS);
+    setPercents(defaults);
+    handleSave(defaults);
+  };
+
+  return (
+    <div className="pt-4 border-t border-gray-800 space-y-3">
+      <div>
+        <div className="text-white text-sm font-medium">Raw Condition Values</div>
+        <div className="text-gray-400 text-xs">
+          Share of the Near Mint market value used for raw cards when a condition has no market price of its own
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        {DISCOUNTED_CONDITIONS.map(condition => (
+          <label key={condition.code} className="block">
+            <span className="block text-gray-400 text-xs mb-1">{condition.code} - {condition.name}</span>
+            <div className="flex items-center gap-1">
+              <input
+                type="number"
+                min="1"
+                max="100"
+                step="1"
+                value={percents[condition.code]}
+                onChange={(e) => setPercents(prev => ({ ...prev, [condition.code]: e.target.value }))}
+                className="w-full px-3 py-2 rounded-lg border border-gray-700 bg-gray-800 text-white text-sm"
+              />
+              <span className="text-gray-400 text-sm">%</span>
+            </div>
+          </label>
+        ))}
+      </div>
+
+      <div className="flex items-center justify-end gap-2">
+        <button
+          onClick={handleReset}
+          disabled={saveMutation.isPending}
+          className="px-3 py-2 rounded-lg border border-gray-700 bg-gray-800 hover:bg-gray-700 text-white text-sm transition-colors disabled:opacity-50"
+        >
+          Reset
+        </button>
+        <button
+          onClick={() => handleSave(percents)}
+          disabled={saveMutation.isPending}
+          className="px-3 py-2 rounded-lg bg-indigo-600 hover:bg-indigo-700 text-white text-sm transition-colors disabled:opacity-50"
+        >
+          {saveMutation.isPending ? 'Saving...' : 'Save'}
+        </button>
+      </div>
+
+      {message && (
+        <div className={`text-xs ${message.type === 'error' ? 'text-red-400' : 'text-green-400'}`}>
+          {message.text}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ConditionDiscountSettings;
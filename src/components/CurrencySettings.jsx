@@ -0,0 +1,111 @@
+import React, { useRef, useState } from 'react';
+import { useCurrency } from '../contexts/CurrencyContext';
+import { useAdmin } from '../hooks/useAdmin';
+import { SUPPORTED_CURRENCIES } from '../utils/currency';
+import fxRateService from '../services/fxRateService';
+
+const CurrencySettings = () => {
+  const { baseCurrency, setBaseCurrency, isSavingBaseCurrency, rateTable, rateCount, importRates } = useCurrency();
+  // Rates are shared by every user, so only admins import them
+  const { isAdmin } = useAdmin();
+  const fileInputRef = useRef(null);
+  const [importing, setImporting] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const handleCurrencyChange = async (e) => {
+    setMessage(null);
+    try {
+      await setBaseCurrency(e.target.value);
+    } catch (error) {
+      setMessage({ type: 'error', text: `Failed to save base currency: ${error.message}` });
+    }
+  };
+
+  const handleRatesFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setImporting(true);
+    setMessage(null);
+    try {
+      const rows = fxRateService.parseRatesFile(await file.text(), file.name);
+      if (rows.length === 0) {
+        throw new Error('No rates for supported currencies found in the file');
+      }
+      const count = await importRates({ rows, source: file.name });
+      setMessage({ type: 'success', text: `Imported ${count.toLocaleString()} rates from ${file.name}` });
+    } catch (error) {
+      setMessage({ type: 'error', text: `Failed to import rates: ${error.message}` });
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  // Latest fixing per currency, shown so stale rates are noticed
+  const latestRates = Object.entries(rateTable).map(([currency, rates]) => ({
+    currency,
+    ...rates[rates.length - 1]
+  }));
+
+  return (
+    <div className="pt-4 border-t border-gray-800 space-y-3">
+      <div className="flex items-center justify-between gap-4">
+        <div>
+          <div className="text-white text-sm font-medium">Base Currency</div>
+          <div className="text-gray-400 text-xs">Collection totals, analytics and exports are converted into this currency</div>
+        </div>
+        <select
+          value={baseCurrency}
+          onChange={handleCurrencyChange}
+          disabled={isSavingBaseCurrency}
+          className="px-3 py-2 rounded-lg border border-gray-700 bg-gray-800 text-white text-sm disabled:opacity-50"
+        >
+          {SUPPORTED_CURRENCIES.map(currency => (
+            <option key={currency.code} value={currency.code}>
+              {currency.code} - {currency.name}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="flex items-center justify-between gap-4">
+        <div>
+          <div className="text-white text-sm font-medium">Exchange Rates</div>
+          <div className="text-gray-400 text-xs">
+            {rateCount > 0
+              ? `${rateCount.toLocaleString()} daily rates • ${latestRates.map(rate => `${rate.currency} ${rate.rate.toFixed(4)} (${rate.date})`).join(', ')}`
+              : 'No rates loaded; amounts in other currencies are shown unconverted'}
+          </div>
+          {isAdmin && <div className="text-gray-500 text-xs mt-1">CSV (date, currency, rate per USD) or JSON time series</div>}
+        </div>
+        {isAdmin && (
+          <>
+            <button
+              onClick={() => fileInputRef.current?.click()}
+              disabled={importing}
+              className="px-3 py-2 rounded-lg border border-gray-700 bg-gray-800 hover:bg-gray-700 text-white text-sm transition-colors disabled:opacity-50 whitespace-nowrap"
+            >
+              {importing ? 'Importing...' : 'Import Rates'}
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".csv,.json,text/csv,application/json"
+              onChange={handleRatesFile}
+              className="hidden"
+            />
+          </>
+        )}
+      </div>
+
+      {message && (
+        <div className={`text-xs ${message.type === 'error' ? 'text-red-400' : 'text-green-400'}`}>
+          {message.text}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CurrencySettings;
@@ -0,0 +1,96 @@
+import React, { useState, useRef, useEffect } from 'react';
+import collectionExportService from '../services/collectionExportService';
+import { useCurrency } from '../contexts/CurrencyContext';
+
+const EXPORT_OPTIONS = [
+  { format: 'orders_csv', label: 'Orders (CSV)', description: 'Every order line with grading fields, product IDs and sale history' },
+  { format: 'sales_csv', label: 'Sale ledger (CSV)', description: 'One row per sale with gross, fees, shipping and net (also in your base currency)' },
+  { format: 'json', label: 'Full backup (JSON)', description: 'Orders with nested sales, re-importable' }
+];
+
+/**
+ * Export / Import buttons for the collection and order book
+ * @param {Function} onImport - Opens the import wizard
+ * @param {Function} onBulkEntry - Opens the paste-a-list bulk entry
+ */
+const ExportMenu = ({ onImport, onBulkEntry }) => {
+  const { baseCurrency, rateTable } = useCurrency();
+  const [isOpen, setIsOpen] = useState(false);
+  const [exportingFormat, setExportingFormat] = useState(null);
+  const [error, setError] = useState(null);
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleClickOutside = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  const handleExport = async (format) => {
+    setExportingFormat(format);
+    setError(null);
+    try {
+      await collectionExportService.downloadExport(format, { baseCurrency, rateTable });
+      setIsOpen(false);
+    } catch (err) {
+      console.error('Error exporting collection:', err);
+      setError(err.message || 'Export failed');
+    } finally {
+      setExportingFormat(null);
+    }
+  };
+
+  return (
+    <div className="flex items-center gap-2" ref={menuRef}>
+      {onBulkEntry && (
+        <button
+          onClick={onBulkEntry}
+          className="px-3 py-2 text-sm bg-gray-800 hover:bg-gray-700 border border-gray-700 text-white rounded-lg transition-colors"
+        >
+          Paste list
+        </button>
+      )}
+      {onImport && (
+        <button
+          onClick={onImport}
+          className="px-3 py-2 text-sm bg-gray-800 hover:bg-gray-700 border border-gray-700 text-white rounded-lg transition-colors"
+        >
+          Import
+        </button>
+      )}
+      <div className="relative">
+        <button
+          onClick={() => setIsOpen(!isOpen)}
+          className="px-3 py-2 text-sm bg-gray-800 hover:bg-gray-700 border border-gray-700 text-white rounded-lg transition-colors"
+        >
+          Export
+        </button>
+        {isOpen && (
+          <div className="absolute right-0 mt-2 w-72 bg-gray-900 border border-gray-700 rounded-xl shadow-xl z-40 p-1">
+            {EXPORT_OPTIONS.map(option => (
+              <button
+                key={option.format}
+                onClick={() => handleExport(option.format)}
+                disabled={exportingFormat !== null}
+                className="w-full text-left px-3 py-2 rounded-lg hover:bg-gray-800 disabled:opacity-50 transition-colors"
+              >
+                <div className="text-sm text-white">
+                  {exportingFormat === option.format ? 'Exporting...' : option.label}
+                </div>
+                <div className="text-xs text-gray-400">{option.description}</div>
+              </button>
+            ))}
+            {error && <div className="px-3 py-2 text-xs text-red-400">{error}</div>}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,282 @@
+import React, { useState } from 'react';
+import { createPortal } from 'react-dom';
+import collectionExportService, { IMPORT_FIELDS } from '../services/collectionExportService';
+import { centsToStr } from '../utils/money';
+
+const STATUS_STYLES = {
+  new: 'bg-green-500/20 text-green-400',
+  duplicate: 'bg-yellow-500/20 text-yellow-400',
+  error: 'bg-red-500/20 text-red-400'
+};
+
+const PREVIEW_FILTERS = ['all', 'new', 'duplicate', 'error'];
+
+/**
+ * Import wizard: upload a CSV / JSON file, map its columns, preview a dry run, then import
+ * @param {boolean} isOpen - Whether the modal is visible
+ * @param {Function} onClose - Close handler
+ * @param {Function} onImported - Called with { imported, skipped } after a successful import
+ */
+const ImportOrdersModal = ({ isOpen, onClose, onImported }) => {
+  const [step, setStep] = useState('upload'); // upload, map, preview, done
+  const [fileName, setFileName] = useState('');
+  const [parsed, setParsed] = useState({ headers: [], rows: [] });
+  const [mapping, setMapping] = useState({});
+  const [dryRun, setDryRun] = useState(null);
+  const [previewFilter, setPreviewFilter] = useState('all');
+  const [includeDuplicates, setIncludeDuplicates] = useState(false);
+  const [isWorking, setIsWorking] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  if (!isOpen) return null;
+
+  const reset = () => {
+    setStep('upload');
+    setFileName('');
+    setParsed({ headers: [], rows: [] });
+    setMapping({});
+    setDryRun(null);
+    setPreviewFilter('all');
+    setIncludeDuplicates(false);
+    setResult(null);
+    setError(null);
+  };
+
+  const handleClose = () => {
+    reset();
+    onClose();
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    setError(null);
+    try {
+      const text = await file.text();
+      const data = collectionExportService.parseImportFile(text, file.name);
+      if (data.rows.length === 0) {
+        setError('The file has no data rows');
+        return;
+      }
+      setFileName(file.name);
+      setParsed(data);
+      setMapping(collectionExportService.suggestMapping(data.headers));
+      setStep('map');
+    } catch (err) {
+      console.error('Error reading import file:', err);
+      setError(`Could not read file: ${err.message}`);
+    }
+  };
+
+  const handleDryRun = async () => {
+    setIsWorking(true);
+    setError(null);
+    try {
+      setDryRun(await collectionExportService.dryRun(parsed.rows, mapping));
+      setStep('preview');
+    } catch (err) {
+      console.error('Error validating import:', err);
+      setError(err.message || 'Validation failed');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setIsWorking(true);
+    setError(null);
+    try {
+      const importResult = await collectionExportService.importRows(dryRun.rows, { includeDuplicates });
+      setResult(importResult);
+      setStep('done');
+      onImported?.(importResult);
+    } catch (err) {
+      console.error('Error importing orders:', err);
+      setError(err.message || 'Import failed');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const hasProductColumn = mapping.item_name || mapping.item_id || mapping.pokemon_card_id;
+  const hasPriceColumn = mapping.price_per_item || mapping.total_cost;
+  const canValidate = hasProductColumn && hasPriceColumn && mapping.purchase_date;
+
+  const importCount = dryRun
+    ? dryRun.summary.new + (includeDuplicates ? dryRun.summary.duplicate : 0)
+    : 0;
+  const visibleRows = dryRun
+    ? dryRun.rows.filter(row => previewFilter === 'all' || row.status === previewFilter)
+    : [];
+
+  return createPortal(
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-md flex items-center justify-center z-50 p-4">
+      <div className="bg-gray-900 border border-gray-700 rounded-xl w-full max-w-3xl max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-gray-800">
+          <div>
+            <h3 className="text-base font-semibold text-white">Import Orders</h3>
+            <p className="text-xs text-gray-400">
+              {step === 'upload' && 'Upload a CSV spreadsheet or a JSON backup'}
+              {step === 'map' && `${fileName} · ${parsed.rows.length} rows · match columns to order fields`}
+              {step === 'preview' && 'Dry run · nothing has been saved yet'}
+              {step === 'done' && 'Import complete'}
+            </p>
+          </div>
+          <button onClick={handleClose} className="text-gray-400 hover:text-white">
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-4">
+          {error && (
+            <div className="mb-3 p-3 bg-red-500/10 border border-red-500/30 rounded-lg text-sm text-red-400">{error}</div>
+          )}
+
+          {step === 'upload' && (
+            <label className="flex flex-col items-center justify-center border-2 border-dashed border-gray-700 rounded-xl p-10 cursor-pointer hover:border-blue-400 transition-colors">
+              <span className="text-white text-sm mb-1">Choose a .csv or .json file</span>
+              <span className="text-xs text-gray-400">Exports from this app re-import with their sale history</span>
+              <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleFile} className="hidden" />
+            </label>
+          )}
+
+          {step === 'map' && (
+            <div className="space-y-2">
+              {IMPORT_FIELDS.map(field => (
+                <div key={field.key} className="flex items-center gap-3">
+                  <label className="w-48 text-sm text-gray-300 shrink-0">
+                    {field.label}
+                    {field.required && <span className="text-red-400"> *</span>}
+                  </label>
+                  <select
+                    value={mapping[field.key] || ''}
+                    onChange={(e) => setMapping(prev => ({ ...prev, [field.key]: e.target.value || undefined }))}
+                    className="flex-1 bg-gray-800 border border-gray-700 rounded-lg px-3 py-1.5 text-sm text-white"
+                  >
+                    <option value="">— not imported —</option>
+                    {parsed.headers.map(header => (
+                      <option key={header} value={header}>{header}</option>
+                    ))}
+                  </select>
+                  <span className="w-40 text-xs text-gray-500 truncate">
+                    {mapping[field.key] ? parsed.rows[0]?.[mapping[field.key]] : ''}
+                  </span>
+                </div>
+              ))}
+              {!canValidate && (
+                <p className="text-xs text-yellow-400 pt-2">
+                  Map a purchase date, an item name or product ID, and a price per item or total cost.
+                </p>
+              )}
+            </div>
+          )}
+
+          {step === 'preview' && dryRun && (
+            <div>
+              <div className="grid grid-cols-4 gap-2 mb-3">
+                {PREVIEW_FILTERS.map(filter => (
+                  <button
+                    key={filter}
+                    onClick={() => setPreviewFilter(filter)}
+                    className={`p-2 rounded-lg border text-center transition-colors ${
+                      previewFilter === filter ? 'border-blue-400 bg-blue-400/10' : 'border-gray-700 bg-gray-800/50'
+                    }`}
+                  >
+                    <div className="text-lg font-bold text-white">
+                      {filter === 'all' ? dryRun.summary.total : dryRun.summary[filter]}
+                    </div>
+                    <div className="text-xs text-gray-400 capitalize">{filter === 'duplicate' ? 'Duplicates' : filter === 'error' ? 'Errors' : filter}</div>
+                  </button>
+                ))}
+              </div>
+
+              <div className="border border-gray-800 rounded-lg divide-y divide-gray-800">
+                {visibleRows.slice(0, 200).map(row => (
+                  <div key={row.index} className="p-2 flex items-start gap-3 text-sm">
+                    <span className="text-xs text-gray-500 w-10 shrink-0">#{row.index + 1}</span>
+                    <div className="flex-1 min-w-0">
+                      <div className="text-white truncate">
+                        {row.order.item_name || row.order.pokemon_card_id || row.order.item_id || 'Unknown item'}
+                        {row.order.set_name && <span className="text-gray-400"> · {row.order.set_name}</span>}
+                      </div>
+                      <div className="text-xs text-gray-400">
+                        {row.order.purchase_date || '—'} · {row.order.quantity} × ${centsToStr(row.order.price_per_item_cents)}
+                        {row.sales.length > 0 && ` · ${row.sales.length} sale${row.sales.length === 1 ? '' : 's'}`}
+                      </div>
+                      {row.errors.length > 0 && (
+                        <div className="text-xs text-red-400">{row.errors.join('; ')}</div>
+                      )}
+                      {row.reason && <div className="text-xs text-yellow-400">{row.reason}</div>}
+                    </div>
+                    <span className={`px-2 py-0.5 rounded-full text-xs capitalize ${STATUS_STYLES[row.status]}`}>
+                      {row.status}
+                    </span>
+                  </div>
+                ))}
+                {visibleRows.length > 200 && (
+                  <div className="p-2 text-xs text-gray-500 text-center">
+                    Showing 200 of {visibleRows.length} rows
+                  </div>
+                )}
+              </div>
+
+              {dryRun.summary.duplicate > 0 && (
+                <label className="flex items-center gap-2 mt-3 text-sm text-gray-300">
+                  <input
+                    type="checkbox"
+                    checked={includeDuplicates}
+                    onChange={(e) => setIncludeDuplicates(e.target.checked)}
+                  />
+                  Import duplicates anyway
+                </label>
+              )}
+            </div>
+          )}
+
+          {step === 'done' && result && (
+            <div className="text-center py-8">
+              <div className="text-2xl font-bold text-green-400 mb-1">{result.imported} orders imported</div>
+              <div className="text-sm text-gray-400">{result.skipped} rows skipped</div>
+            </div>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="flex justify-between gap-2 p-4 border-t border-gray-800">
+          <button
+            onClick={step === 'map' ? reset : step === 'preview' ? () => setStep('map') : handleClose}
+            className="px-4 py-2 text-sm text-gray-300 hover:text-white"
+          >
+            {step === 'map' || step === 'preview' ? 'Back' : 'Close'}
+          </button>
+          {step === 'map' && (
+            <button
+              onClick={handleDryRun}
+              disabled={!canValidate || isWorking}
+              className="px-4 py-2 text-sm bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white rounded-lg"
+            >
+              {isWorking ? 'Checking...' : 'Preview import'}
+            </button>
+          )}
+          {step === 'preview' && (
+            <button
+              onClick={handleImport}
+              disabled={importCount === 0 || isWorking}
+              className="px-4 py-2 text-sm bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white rounded-lg"
+            >
+              {isWorking ? 'Importing...' : `Import ${importCount} order${importCount === 1 ? '' : 's'}`}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>,
+    document.body
+  );
+};
+
+export default ImportOrdersModal;
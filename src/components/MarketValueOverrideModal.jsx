@@ -0,0 +1,222 @@
+import React, { useState } from 'react';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { useCurrency } from '../contexts/CurrencyContext';
+import { queryKeys } from '../lib/queryClient';
+import marketValueOverrideService from '../services/marketValueOverrideService';
+import { OVERRIDE_SOURCES, getOverrideProduct } from '../utils/marketValueOverride';
+
+const emptyDetails = { reason: '', source: '', expires_on: '' };
+
+/**
+ * Get the override an item's value currently comes from for a scope
+ * @param {Object} item - Collection item with its orders
+ * @param {string} orderId - Order the override is scoped to ('' = every order of the product)
+ * @returns {Object|null} - market_value_override of the order(s)
+ */
+const getCurrentOverride = (item, orderId) => {
+  const orders = orderId ? item.orders.filter(order => order.id === orderId) : item.orders;
+  const scope = orderId ? 'order' : 'product';
+  return orders.map(order => order.market_value_override).find(override => override?.scope === scope) || null;
+};
+
+/**
+ * Set, change or clear the market value overrides of collection items
+ * Values are entered in the base currency; an override can cover every order of the product or one order
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether the modal is shown
+ * @param {Array} props.items - Collection items (with their base-currency orders)
+ * @param {Function} props.onClose - Close the modal
+ */
+const MarketValueOverrideModal = ({ isOpen, items = [], onClose }) => {
+  const { baseCurrency, formatBase } = useCurrency();
+  const queryClient = useQueryClient();
+  const [values, setValues] = useState({});
+  const [details, setDetails] = useState(emptyDetails);
+  const [wasOpen, setWasOpen] = useState(false);
+
+  // Only reset the form when the modal opens, not when the items refresh while it is open
+  if (isOpen !== wasOpen) {
+    setWasOpen(isOpen);
+    if (isOpen) {
+      setValues(Object.fromEntries(items.map(item => [item.id, { value: (item.value || 0).toFixed(2), scope: '' }])));
+      const current = items.map(item => getCurrentOverride(item, '')).find(Boolean);
+      setDetails(current
+        ? { reason: current.reason || '', source: current.source || '', expires_on: current.expires_on || '' }
+        : emptyDetails);
+    }
+  }
+
+  // Every valuation path reads orders with overrides applied
+  const invalidateValuations = () => {
+    queryClient.invalidateQueries({ queryKey: queryKeys.orders });
+    queryClient.invalidateQueries({ queryKey: queryKeys.analyticsOrders });
+  };
+
+  const saveMutation = useMutation({
+    mutationFn: async () => {
+      for (const item of items) {
+        const product = getOverrideProduct(item.orders[0]);
+        const entry = values[item.id];
+        if (!product || !entry) continue;
+        await marketValueOverrideService.setOverride({
+          ...product,
+          order_id: entry.scope || null,
+          value_cents: Math.round((parseFloat(entry.value) || 0) * 100),
+          currency: baseCurrency,
+          reason: details.reason.trim(),
+          source: details.source.trim(),
+          expires_on: details.expires_on || null
+        });
+      }
+    },
+    onSuccess: () => {
+      invalidateValuations();
+      onClose();
+    }
+  });
+
+  const clearMutation = useMutation({
+    mutationFn: (overrideIds) => marketValueOverrideService.clearOverrides(overrideIds),
+    onSuccess: invalidateValuations
+  });
+
+  if (!isOpen) return null;
+
+  const setItemValue = (itemId, field, value) => {
+    setValues(prev => ({ ...prev, [itemId]: { ...prev[itemId], [field]: value } }));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+      <div className="bg-gray-900 border border-gray-800 rounded-xl p-6 max-w-lg w-full max-h-[90vh] overflow-y-auto">
+        <h3 className="text-lg font-semibold text-white">Override Market Price</h3>
+        <p className="text-sm text-gray-400 mb-4">
+          Custom values are used everywhere the collection is valued until they expire or are reset.
+        </p>
+
+        <div className="space-y-3">
+          {items.map(item => {
+            const entry = values[item.id] || { value: '', scope: '' };
+            const product = getOverrideProduct(item.orders[0]);
+            const current = getCurrentOverride(item, entry.scope);
+            const overrideIds = [...new Set(item.orders.map(order => order.market_value_override?.id).filter(Boolean))];
+
+            return (
+              <div key={item.id} className="bg-gray-800/30 border border-gray-600/50 rounded-xl p-3 space-y-2">
+                <div className="flex items-center justify-between gap-2">
+                  <div className="min-w-0">
+                    <div className="text-sm text-white truncate">{item.name}</div>
+                    <div className="text-xs text-gray-400">
+                      Synced {formatBase(Math.round((item.originalValue || 0) * 100))}
+                      {current && ` • Overridden${current.source ? ` (${current.source})` : ''}${current.expires_on ? ` until ${current.expires_on}` : ''}`}
+                    </div>
+                  </div>
+                  {overrideIds.length > 0 && (
+                    <button
+                      onClick={() => clearMutation.mutate(overrideIds)}
+                      disabled={clearMutation.isPending}
+                      className="px-2 py-1 bg-orange-600/20 hover:bg-orange-600/30 rounded text-orange-400 text-xs font-medium transition-colors"
+                    >
+                      Reset
+                    </button>
+                  )}
+                </div>
+
+                {product ? (
+                  <div className="grid grid-cols-2 gap-2">
+                    <label className="text-xs text-gray-400">
+                      Custom value ({baseCurrency})
+                      <input
+                        type="number"
+                        step="0.01"
+                        min="0"
+                        value={entry.value}
+                        onChange={(e) => setItemValue(item.id, 'value', e.target.value)}
+                        className="w-full mt-1 px-2 py-1.5 bg-gray-700/50 border border-gray-600 rounded text-white text-xs focus:border-indigo-400 focus:outline-none"
+                      />
+                    </label>
+                    <label className="text-xs text-gray-400">
+                      Applies to
+                      <select
+                        value={entry.scope}
+                        onChange={(e) => setItemValue(item.id, 'scope', e.target.value)}
+                        className="w-full mt-1 px-2 py-1.5 bg-gray-700/50 border border-gray-600 rounded text-white text-xs"
+                      >
+                        <option value="">All copies</option>
+                        {item.orders.length > 1 && item.orders.map(order => (
+                          <option key={order.id} value={order.id}>
+                            {[order.purchase_date, order.retailer_name, `Qty ${order.quantity}`].filter(Boolean).join(' • ')}
+                          </option>
+                        ))}
+                      </select>
+                    </label>
+                  </div>
+                ) : (
+                  <div className="text-xs text-gray-500">This item has no catalog product to override.</div>
+                )}
+              </div>
+            );
+          })}
+
+          <div className="grid grid-cols-2 gap-2">
+            <label className="text-xs text-gray-400">
+              Source
+              <input
+                type="text"
+                list="override-sources"
+                placeholder="eBay comp, appraisal..."
+                value={details.source}
+                onChange={(e) => setDetails(prev => ({ ...prev, source: e.target.value }))}
+                className="w-full mt-1 px-3 py-2 rounded-lg border border-gray-700 bg-gray-800 text-white text-sm"
+              />
+              <datalist id="override-sources">
+                {OVERRIDE_SOURCES.map(source => (
+                  <option key={source} value={source} />
+                ))}
+              </datalist>
+            </label>
+            <label className="text-xs text-gray-400">
+              Expires (optional)
+              <input
+                type="date"
+                value={details.expires_on}
+                onChange={(e) => setDetails(prev => ({ ...prev, expires_on: e.target.value }))}
+                className="w-full mt-1 px-3 py-2 rounded-lg border border-gray-700 bg-gray-800 text-white text-sm"
+              />
+            </label>
+          </div>
+
+          <input
+            type="text"
+            placeholder="Reason"
+            value={details.reason}
+            onChange={(e) => setDetails(prev => ({ ...prev, reason: e.target.value }))}
+            className="w-full px-3 py-2 rounded-lg border border-gray-700 bg-gray-800 text-white text-sm"
+          />
+        </div>
+
+        {(saveMutation.error || clearMutation.error) && (
+          <div className="text-sm text-red-400 mt-3">{(saveMutation.error || clearMutation.error).message}</div>
+        )}
+
+        <div className="flex gap-3 mt-6">
+          <button
+            onClick={onClose}
+            className="flex-1 px-4 py-2 rounded-lg bg-gray-800 text-gray-300 hover:bg-gray-700"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={() => saveMutation.mutate()}
+            disabled={saveMutation.isPending}
+            className="flex-1 px-4 py-2 rounded-lg bg-indigo-600 text-white hover:bg-indigo-500 disabled:opacity-50"
+          >
+            {saveMutation.isPending ? 'Saving...' : 'Save'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MarketValueOverrideModal;
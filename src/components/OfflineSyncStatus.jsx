@@ -0,0 +1,121 @@
+import React, { useEffect, useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { CloudOff, RefreshCw, AlertTriangle, X } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { queryKeys } from '../lib/queryClient';
+import offlineSyncService from '../services/offlineSyncService';
+import { getOfflineMutationLabel, describeOfflineMutation } from '../utils/offlineMutations';
+
+/**
+ * Offline state, writes waiting to sync and writes the server rejected on replay
+ */
+const OfflineSyncStatus = () => {
+  const { user } = useAuth();
+  const [isOnline, setIsOnline] = useState(() => offlineSyncService.isOnline());
+  const [showConflicts, setShowConflicts] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+
+  const { data: mutations = [] } = useQuery({
+    queryKey: queryKeys.offlineMutations,
+    queryFn: () => offlineSyncService.getMutations(),
+    enabled: !!user,
+    networkMode: 'always',
+  });
+
+  useEffect(() => {
+    const handleOnline = () => setIsOnline(true);
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  // Sync whatever was left queued by an earlier session
+  useEffect(() => {
+    if (user) offlineSyncService.replay();
+  }, [user]);
+
+  const pending = mutations.filter(mutation => mutation.status === 'pending');
+  const conflicts = mutations.filter(mutation => mutation.status === 'conflict');
+
+  const handleAction = async (mutation, action) => {
+    setBusyId(mutation.id);
+    try {
+      await (action === 'retry' ? offlineSyncService.retry(mutation) : offlineSyncService.discard(mutation.id));
+    } catch (error) {
+      console.error('Error resolving offline change:', error);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (!user || (isOnline && pending.length === 0 && conflicts.length === 0)) return null;
+
+  return (
+    <div className="fixed bottom-20 md:bottom-4 left-1/2 -translate-x-1/2 z-40 w-[calc(100%-2rem)] max-w-md">
+      <div className="bg-gray-900 border border-gray-700 rounded-lg shadow-lg p-3 text-sm">
+        <div className="flex items-center gap-2">
+          {isOnline ? (
+            <RefreshCw className={`w-4 h-4 text-indigo-400 flex-shrink-0 ${pending.length > 0 ? 'animate-spin' : ''}`} />
+          ) : (
+            <CloudOff className="w-4 h-4 text-yellow-400 flex-shrink-0" />
+          )}
+          <span className="text-white flex-1">
+            {!isOnline ? 'Offline - showing your saved collection' : pending.length > 0 ? 'Syncing changes...' : 'Changes need review'}
+            {pending.length > 0 && (
+              <span className="text-gray-400"> • {pending.length} change{pending.length === 1 ? '' : 's'} waiting</span>
+            )}
+          </span>
+          {conflicts.length > 0 && (
+            <button
+              onClick={() => setShowConflicts(!showConflicts)}
+              className="flex items-center gap-1 text-xs text-red-400 hover:text-red-300 flex-shrink-0"
+            >
+              <AlertTriangle className="w-3.5 h-3.5" />
+              {conflicts.length} conflict{conflicts.length === 1 ? '' : 's'}
+            </button>
+          )}
+        </div>
+
+        {showConflicts && conflicts.length > 0 && (
+          <div className="mt-2 divide-y divide-gray-800">
+            {conflicts.map(mutation => (
+              <div key={mutation.id} className="py-2">
+                <div className="flex items-start justify-between gap-2">
+                  <div className="min-w-0">
+                    <p className="text-white truncate">
+                      {getOfflineMutationLabel(mutation.type)}: {describeOfflineMutation(mutation)}
+                    </p>
+                    <p className="text-xs text-gray-400">{mutation.error}</p>
+                  </div>
+                  <div className="flex items-center gap-1 flex-shrink-0">
+                    <button
+                      onClick={() => handleAction(mutation, 'retry')}
+                      disabled={busyId === mutation.id || !isOnline}
+                      className="px-2 py-1 rounded bg-indigo-600 hover:bg-indigo-700 text-white text-xs transition-colors disabled:opacity-50"
+                    >
+                      Retry
+                    </button>
+                    <button
+                      onClick={() => handleAction(mutation, 'discard')}
+                      disabled={busyId === mutation.id}
+                      className="p-1 text-gray-400 hover:text-white rounded transition-colors disabled:opacity-50"
+                      title="Discard change"
+                    >
+                      <X className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default OfflineSyncStatus;
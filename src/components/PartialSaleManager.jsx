@@ -68,16 +68,7 @@ const PartialSaleManager = ({
   const saleHistory = getSaleHistory(transaction);
   const saleStats = getSaleStatistics(transaction);
   
-  // If no sale history exists but quantity_sold > 0, create a legacy sale record
-  const soldPortions = saleHistory.length > 0 ? saleHistory : (soldCount > 0 ? [{
-    id: `${transaction.id}-legacy-sale`,
-    quantity: soldCount,
-    saleDate: transaction.sell_date || transaction.updated_at,
-    salePrice: transaction.sell_price_cents || 0,
-    saleLocation: transaction.sell_location || 'N/A',
-    saleNotes: transaction.sell_notes || '',
-    isLegacy: true
-  }] : []);
+  const soldPortions = saleHistory;
 
   return (
     <div className="mt-3 border-t border-gray-600 pt-3">
@@ -136,7 +127,8 @@ const PartialSaleManager = ({
                     <div>
                       <span className="text-gray-400">Sale Date:</span>
                       <div className="font-medium text-white">
-                        {new Date(sale.saleDate).toLocaleDateString()}
+                        {/* Sale dates are calendar dates; read them as local midnight */}
+                        {new Date(`${String(sale.saleDate).slice(0, 10)}T00:00:00`).toLocaleDateString()}
                       </div>
                     </div>
                     <div>
@@ -150,6 +142,12 @@ const PartialSaleManager = ({
                       <div className="font-medium text-white">{sale.saleLocation}</div>
                     </div>
                   </div>
+                  {sale.buyer && (
+                    <div className="mt-2">
+                      <span className="text-gray-400 text-xs">Buyer:</span>
+                      <div className="text-white text-xs mt-1">{sale.buyer}</div>
+                    </div>
+                  )}
                   {sale.saleNotes && (
                     <div className="mt-2">
                       <span className="text-gray-400 text-xs">Notes:</span>
@@ -0,0 +1,256 @@
+import React, { useEffect, useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { AlertTriangle, Check, X } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { queryKeys } from '../lib/queryClient';
+import priceReconciliationService from '../services/priceReconciliationService';
+import {
+  DEFAULT_RECONCILIATION_SETTINGS,
+  PRICE_FLAG_STATUSES,
+  getFlagSourcePrices,
+  getPriceFlagReasonLabel,
+  getPriceFlagStatus
+} from '../utils/priceReconciliation';
+
+const formatPrice = (value) => (value == null ? '—' : `$${Number(value).toFixed(2)}`);
+
+const toDraft = (settings) => ({
+  band_percent: String(settings.band_percent),
+  jump_percent: String(settings.jump_percent),
+  min_price: String(settings.min_price)
+});
+
+const inputClass = 'w-24 px-2 py-1.5 rounded-lg border border-gray-700 bg-gray-800 text-white text-sm';
+
+const PriceReviewQueue = () => {
+  const { user } = useAuth();
+  const queryClient = useQueryClient();
+  const [status, setStatus] = useState('pending');
+  const [draft, setDraft] = useState(toDraft(DEFAULT_RECONCILIATION_SETTINGS));
+  const [message, setMessage] = useState(null);
+
+  const { data: settings } = useQuery({
+    queryKey: queryKeys.priceReconciliationSettings,
+    queryFn: () => priceReconciliationService.getSettings(),
+    enabled: !!user,
+  });
+
+  const { data: flags = [], isLoading } = useQuery({
+    queryKey: queryKeys.priceFlags(status),
+    queryFn: () => priceReconciliationService.getFlags(status),
+    enabled: !!user,
+  });
+
+  useEffect(() => {
+    if (settings) setDraft(toDraft(settings));
+  }, [settings]);
+
+  const settingsMutation = useMutation({
+    mutationFn: (nextSettings) => priceReconciliationService.updateSettings(nextSettings),
+    onSuccess: (saved) => {
+      queryClient.setQueryData(queryKeys.priceReconciliationSettings, saved);
+    },
+  });
+
+  const reviewMutation = useMutation({
+    mutationFn: ({ flagId, decision }) => priceReconciliationService.reviewFlag(flagId, decision),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['priceFlags'] });
+      // A confirmed price changes collection values
+      queryClient.invalidateQueries({ queryKey: queryKeys.orders });
+      queryClient.invalidateQueries({ queryKey: queryKeys.analyticsOrders });
+    },
+  });
+
+  const handleSaveSettings = async () => {
+    setMessage(null);
+    const next = {
+      band_percent: Number(draft.band_percent),
+      jump_percent: Number(draft.jump_percent),
+      min_price: Number(draft.min_price)
+    };
+    if (!(next.band_percent > 0) || !(next.jump_percent > 0) || !(next.min_price >= 0)) {
+      setMessage({ type: 'error', text: 'Band and jump must be above 0%, minimum price 0 or more' });
+      return;
+    }
+
+    try {
+      await settingsMutation.mutateAsync(next);
+      setMessage({ type: 'success', text: 'Thresholds saved' });
+    } catch (error) {
+      setMessage({ type: 'error', text: `Failed to save thresholds: ${error.message}` });
+    }
+  };
+
+  const handleReview = async (flagId, decision) => {
+    setMessage(null);
+    try {
+      await reviewMutation.mutateAsync({ flagId, decision });
+    } catch (error) {
+      setMessage({ type: 'error', text: `Failed to review price: ${error.message}` });
+    }
+  };
+
+  return (
+    <div className="mb-6">
+      <h2 className="text-lg font-semibold text-white mb-3 flex items-center gap-2">
+        <AlertTriangle className="w-5 h-5 text-indigo-400" />
+        Price Review
+      </h2>
+
+      <div className="bg-gray-800 border border-gray-700 rounded-lg p-3 mb-3">
+        <p className="text-xs text-gray-400 mb-2">
+          Prices outside the band around other sources, or jumping more than the limit since the last accepted price,
+          are flagged. Flagged Scrydex card and TCGCSV sealed prices stay out of collection values until confirmed.
+        </p>
+        <div className="flex flex-wrap items-end gap-3">
+          <label className="block">
+            <span className="block text-gray-400 text-xs mb-1">Source band (%)</span>
+            <input
+              type="number"
+              min="1"
+              value={draft.band_percent}
+              onChange={(e) => setDraft(prev => ({ ...prev, band_percent: e.target.value }))}
+              className={inputClass}
+            />
+          </label>
+          <label className="block">
+            <span className="block text-gray-400 text-xs mb-1">Daily jump (%)</span>
+            <input
+              type="number"
+              min="1"
+              value={draft.jump_percent}
+              onChange={(e) => setDraft(prev => ({ ...prev, jump_percent: e.target.value }))}
+              className={inputClass}
+            />
+          </label>
+          <label className="block">
+            <span className="block text-gray-400 text-xs mb-1">Ignore below ($)</span>
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={draft.min_price}
+              onChange={(e) => setDraft(prev => ({ ...prev, min_price: e.target.value }))}
+              className={inputClass}
+            />
+          </label>
+          <button
+            onClick={handleSaveSettings}
+            disabled={settingsMutation.isPending}
+            className="px-3 py-1.5 rounded-lg bg-indigo-600 hover:bg-indigo-700 text-white text-sm transition-colors disabled:opacity-50"
+          >
+            {settingsMutation.isPending ? 'Saving...' : 'Save'}
+          </button>
+        </div>
+        {message && (
+          <div className={`text-xs mt-2 ${message.type === 'error' ? 'text-red-400' : 'text-green-400'}`}>
+            {message.text}
+          </div>
+        )}
+      </div>
+
+      <div className="flex gap-1 mb-2">
+        {PRICE_FLAG_STATUSES.map(option => (
+          <button
+            key={option.value}
+            onClick={() => setStatus(option.value)}
+            className={`px-3 py-1 rounded-lg text-xs transition-colors ${
+              status === option.value ? 'bg-indigo-600 text-white' : 'bg-gray-800 text-gray-400 hover:bg-gray-700'
+            }`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      {isLoading ? (
+        <div className="bg-gray-800 border border-gray-700 rounded-lg p-4 text-sm text-gray-400">
+          Loading flagged prices...
+        </div>
+      ) : flags.length === 0 ? (
+        <div className="bg-gray-800 border border-gray-700 rounded-lg p-4 text-sm text-gray-400">
+          No {getPriceFlagStatus(status).label.toLowerCase()} prices
+        </div>
+      ) : (
+        <div className="bg-gray-800 border border-gray-700 rounded-lg divide-y divide-gray-700">
+          {flags.map(flag => {
+            const flagStatus = getPriceFlagStatus(flag.status);
+            return (
+              <div key={flag.id} className="p-3">
+                <div className="flex items-start justify-between gap-2">
+                  <div className="min-w-0">
+                    <p className="text-sm text-white truncate">
+                      {flag.product_name || flag.product_id}
+                      {flag.variant ? ` (${flag.variant})` : ''}
+                    </p>
+                    <p className="text-xs text-gray-400 truncate">
+                      {flag.expansion_name ? `${flag.expansion_name} • ` : ''}
+                      {getPriceFlagReasonLabel(flag.reason)} • {flag.source} {flag.price_type} • {flag.recorded_on}
+                    </p>
+                  </div>
+                  {flag.status === 'pending' ? (
+                    <div className="flex items-center gap-1 flex-shrink-0">
+                      <button
+                        onClick={() => handleReview(flag.id, 'confirmed')}
+                        disabled={reviewMutation.isPending}
+                        className="p-1.5 text-green-400 hover:bg-green-900/30 rounded transition-colors disabled:opacity-50"
+                        title="Confirm price"
+                      >
+                        <Check className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => handleReview(flag.id, 'rejected')}
+                        disabled={reviewMutation.isPending}
+                        className="p-1.5 text-red-400 hover:bg-red-900/30 rounded transition-colors disabled:opacity-50"
+                        title="Reject price"
+                      >
+                        <X className="w-4 h-4" />
+                      </button>
+                    </div>
+                  ) : (
+                    <span className={`text-xs font-medium flex-shrink-0 ${flagStatus.color}`}>{flagStatus.label}</span>
+                  )}
+                </div>
+
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-2 mt-2 text-xs">
+                  <div>
+                    <span className="text-gray-400">Flagged:</span>
+                    <span className="text-yellow-400 ml-1">{formatPrice(flag.flagged_price)}</span>
+                  </div>
+                  <div>
+                    <span className="text-gray-400">Other sources:</span>
+                    <span className="text-white ml-1">{formatPrice(flag.reference_price)}</span>
+                  </div>
+                  <div>
+                    <span className="text-gray-400">Previous:</span>
+                    <span className="text-white ml-1">{formatPrice(flag.previous_price)}</span>
+                  </div>
+                  <div>
+                    <span className="text-gray-400">Off by:</span>
+                    <span className="text-white ml-1">{flag.deviation_percent != null ? `${flag.deviation_percent}%` : '—'}</span>
+                  </div>
+                </div>
+
+                <p className="text-xs text-gray-400 mt-1">
+                  {getFlagSourcePrices(flag).map(({ source, price, flagged }) => (
+                    <span key={source} className={`mr-3 ${flagged ? 'text-yellow-400' : ''}`}>
+                      {source}: {formatPrice(price)}
+                    </span>
+                  ))}
+                </p>
+                {flag.status === 'pending' && flag.holds_valuation && (
+                  <p className="text-xs text-gray-500 mt-1">
+                    Collection values use {flag.held_price != null ? formatPrice(flag.held_price) : 'no price'} until reviewed
+                  </p>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PriceReviewQueue;
@@ -0,0 +1,29 @@
+import React from 'react';
+import { Info } from 'lucide-react';
+import { describePriceSource, getPriceConfidenceDisplay, getPricingProvider } from '../utils/pricingProviders';
+
+/**
+ * Where a resolved price came from: provider, age and confidence
+ * Hovering lists the providers that were tried before it
+ */
+const PriceSourceBadge = ({ price, className = '' }) => {
+  if (!price?.source) return null;
+
+  const confidence = getPriceConfidenceDisplay(price.confidence);
+  const tried = (price.attempts || [])
+    .filter(attempt => attempt.outcome !== 'used')
+    .map(attempt => `${getPricingProvider(attempt.source)?.name || attempt.source}: ${attempt.outcome}`);
+
+  return (
+    <div
+      className={`flex items-center gap-1 text-xs text-gray-400 ${className}`}
+      title={tried.length > 0 ? `Tried first - ${tried.join(', ')}` : undefined}
+    >
+      <Info size={12} />
+      <span>{describePriceSource(price)}</span>
+      <span className={confidence.color}>• {confidence.label}</span>
+    </div>
+  );
+};
+
+export default PriceSourceBadge;
@@ -0,0 +1,172 @@
+import React, { useEffect, useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { ChevronUp, ChevronDown } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { queryKeys } from '../lib/queryClient';
+import pricingResolverService from '../services/pricingResolverService';
+import {
+  DEFAULT_PROVIDER_PRIORITY,
+  PRODUCT_KINDS,
+  getProvidersForKind,
+  normalizeProviderPriority
+} from '../utils/pricingProviders';
+
+// Enabled providers in priority order, then the disabled ones
+const toRows = (priority) => Object.fromEntries(PRODUCT_KINDS.map(({ value: kind }) => {
+  const enabled = priority[kind] || [];
+  const disabled = getProvidersForKind(kind).map(provider => provider.id).filter(id => !enabled.includes(id));
+  return [kind, [
+    ...enabled.map(id => ({ id, enabled: true })),
+    ...disabled.map(id => ({ id, enabled: false }))
+  ]];
+}));
+
+const toPriority = (rows) => Object.fromEntries(PRODUCT_KINDS.map(({ value: kind }) => [
+  kind,
+  rows[kind].filter(row => row.enabled).map(row => row.id)
+]));
+
+const PricingProviderSettings = () => {
+  const { user } = useAuth();
+  const queryClient = useQueryClient();
+  const [rows, setRows] = useState(toRows(DEFAULT_PROVIDER_PRIORITY));
+  const [message, setMessage] = useState(null);
+
+  const { data: priority } = useQuery({
+    queryKey: queryKeys.pricingProviderPriority,
+    queryFn: () => pricingResolverService.getPriority(),
+    enabled: !!user,
+    staleTime: 30 * 60 * 1000,
+  });
+
+  useEffect(() => {
+    if (priority) setRows(toRows(priority));
+  }, [priority]);
+
+  const saveMutation = useMutation({
+    mutationFn: (nextPriority) => pricingResolverService.setPriority(nextPriority),
+    onSuccess: (saved) => {
+      queryClient.setQueryData(queryKeys.pricingProviderPriority, saved);
+    },
+  });
+
+  const move = (kind, index, offset) => {
+    setRows(prev => {
+      const next = [...prev[kind]];
+      const target = index + offset;
+      if (target < 0 || target >= next.length) return prev;
+      [next[index], next[target]] = [next[target], next[index]];
+      return { ...prev, [kind]: next };
+    });
+  };
+
+  const toggle = (kind, index) => {
+    setRows(prev => ({
+      ...prev,
+      [kind]: prev[kind].map((row, i) => i === index ? { ...row, enabled: !row.enabled } : row)
+    }));
+  };
+
+  const handleSave = async (nextRows) => {
+    setMessage(null);
+    const empty = PRODUCT_KINDS.find(({ value: kind }) => !nextRows[kind].some(row => row.enabled));
+    if (empty) {
+      setMessage({ type: 'error', text: `${empty.label} need at least one provider` });
+      return;
+    }
+
+    try {
+      await saveMutation.mutateAsync(toPriority(nextRows));
+      setMessage({ type: 'success', text: 'Pricing sources saved' });
+    } catch (error) {
+      setMessage({ type: 'error', text: `Failed to save pricing sources: ${error.message}` });
+    }
+  };
+
+  const handleReset = () => {
+    const defaults = toRows(normalizeProviderPriority(null));
+    setRows(defaults);
+    handleSave(defaults);
+  };
+
+  return (
+    <div className="pt-4 border-t border-gray-800 space-y-3">
+      <div>
+        <div className="text-white text-sm font-medium">Pricing Sources</div>
+        <div className="text-gray-400 text-xs">
+          Order in which price sources are tried; the next one is used when a source has no price or only a stale one
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+        {PRODUCT_KINDS.map(({ value: kind, label }) => (
+          <div key={kind} className="rounded-lg border border-gray-700 bg-gray-800 p-3">
+            <div className="text-gray-300 text-xs font-medium mb-2">{label}</div>
+            <div className="space-y-1">
+              {rows[kind].map((row, index) => {
+                const provider = getProvidersForKind(kind).find(candidate => candidate.id === row.id);
+                return (
+                  <div key={row.id} className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={row.enabled}
+                      onChange={() => toggle(kind, index)}
+                      className="rounded border-gray-600 bg-gray-700"
+                    />
+                    <span
+                      className={`flex-1 text-sm truncate ${row.enabled ? 'text-white' : 'text-gray-500'}`}
+                      title={provider?.description}
+                    >
+                      {provider?.name || row.id}
+                    </span>
+                    <button
+                      onClick={() => move(kind, index, -1)}
+                      disabled={index === 0}
+                      className="p-1 text-gray-400 hover:text-white disabled:opacity-30"
+                      title="Try earlier"
+                    >
+                      <ChevronUp size={14} />
+                    </button>
+                    <button
+                      onClick={() => move(kind, index, 1)}
+                      disabled={index === rows[kind].length - 1}
+                      className="p-1 text-gray-400 hover:text-white disabled:opacity-30"
+                      title="Try later"
+                    >
+                      <ChevronDown size={14} />
+                    </button>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex items-center justify-end gap-2">
+        <button
+          onClick={handleReset}
+          disabled={saveMutation.isPending}
+          className="px-3 py-2 rounded-lg border border-gray-700 bg-gray-800 hover:bg-gray-700 text-white text-sm transition-colors disabled:opacity-50"
+        >
+          Reset
+        </button>
+        <button
+          onClick={() => handleSave(rows)}
+          disabled={saveMutation.isPending}
+          className="px-3 py-2 rounded-lg bg-indigo-600 hover:bg-indigo-700 text-white text-sm transition-colors disabled:opacity-50"
+        >
+          {saveMutation.isPending ? 'Saving...' : 'Save'}
+        </button>
+      </div>
+
+      {message && (
+        <div className={`text-xs ${message.type === 'error' ? 'text-red-400' : 'text-green-400'}`}>
+          {message.text}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PricingProviderSettings;
@@ -6,12 +6,14 @@ import { useLanguage } from '../contexts/LanguageContext';
 import { useModal } from '../contexts/ModalContext';
 import DesktopSideMenu from './DesktopSideMenu';
 import SafeImage from './SafeImage';
-import databasePricingService from '../services/databasePricingService';
+import PriceHistoryChart from './charts/PriceHistoryChart';
+import WatchlistButton from './WatchlistButton';
+import pricingResolverService from '../services/pricingResolverService';
+import PriceSourceBadge from './PriceSourceBadge';
 
 const ProductPreviewModal = ({ product, isOpen, onClose, onAddToCollection }) => {
   const { openModal, closeModal } = useModal();
   const [quantity, setQuantity] = useState(1);
-  const [selectedTimeRange, setSelectedTimeRange] = useState('1M');
   const [activeTab, setActiveTab] = useState('overview'); // 'overview', 'prices', 'details'
   const [pricingData, setPricingData] = useState(null);
   const [isLoadingPricing, setIsLoadingPricing] = useState(false);
@@ -64,7 +66,12 @@ const ProductPreviewModal = ({ product, isOpen, onClose, onAddToCollection }) =>
     
     setIsLoadingPricing(true);
     try {
-      const pricing = await databasePricingService.getSealedProductPricing(product.api_id);
+      const pricing = await pricingResolverService.resolvePrice({
+        id: product.api_id,
+        name: product.name,
+        setName: product.set_name,
+        pricechartingId: product.pricecharting_id
+      }, 'sealed');
       setPricingData(pricing);
     } catch (error) {
       console.error('Error loading pricing data:', error);
@@ -98,17 +105,9 @@ const ProductPreviewModal = ({ product, isOpen, onClose, onAddToCollection }) =>
   let priceSource = 'unknown';
   
   if (pricingData) {
-    // Use database pricing data
-    if (pricingData.pricecharting?.market) {
-      marketValue = pricingData.pricecharting.market;
-      priceSource = 'database-pricecharting';
-    } else if (pricingData.raw?.market) {
-      marketValue = pricingData.raw.market;
-      priceSource = 'database-raw';
-    } else if (pricingData.graded?.market) {
-      marketValue = pricingData.graded.market;
-      priceSource = 'database-graded';
-    }
+    // Use the resolved price (see pricingResolverService)
+    marketValue = pricingData.market;
+    priceSource = pricingData.source;
   } else {
     // Fall back to original product data
     marketValue = product.marketValue || product.price || product.loose_price || product.new_price || 0;
@@ -156,6 +155,12 @@ const ProductPreviewModal = ({ product, isOpen, onClose, onAddToCollection }) =>
   const dollarChange = product.dollarChange || 0;
   const isPositive = priceChange > 0;
 
+  // Sealed products are keyed by their TCGPlayer product id, cards by their pokemon_cards id
+  const isSealedProduct = product.type === 'product' || product.type === 'sealed';
+  const priceHistoryId = isSealedProduct
+    ? (product.product_id || product.api_id)
+    : (product.api_id || product.id);
+
   // Check if we're on desktop
   const isDesktop = window.innerWidth >= 1024;
 
@@ -225,6 +230,15 @@ const ProductPreviewModal = ({ product, isOpen, onClose, onAddToCollection }) =>
           >
             Add to Collection
           </button>
+
+          <WatchlistButton
+            productType={isSealedProduct ? 'sealed' : 'card'}
+            productId={priceHistoryId}
+            priceType={isSealedProduct ? 'market' : 'raw'}
+            name={itemName}
+            imageUrl={imageUrl}
+            className="w-full"
+          />
         </div>
       </DesktopSideMenu>
     );
@@ -233,69 +247,6 @@ const ProductPreviewModal = ({ product, isOpen, onClose, onAddToCollection }) =>
   // Mobile version (original modal)
   // setName is already declared above, using productSet directly
 
-  // Generate realistic price history data
-  const generatePriceHistory = (timeRange) => {
-    const data = [];
-    const basePrice = marketValue || 10;
-    
-    let days;
-    switch (timeRange) {
-      case '7D': days = 7; break;
-      case '1M': days = 30; break;
-      case '3M': days = 90; break;
-      case '6M': days = 180; break;
-      case '1Y': days = 365; break;
-      default: days = 30;
-    }
-    
-    for (let i = 0; i < days; i++) {
-      const date = new Date();
-      date.setDate(date.getDate() - (days - 1 - i));
-      
-      // Create realistic price trend with volatility
-      const trend = Math.sin(i / (days / 4)) * 0.2;
-      const volatility = (Math.random() - 0.5) * 0.3;
-      const price = basePrice * (1 + trend + volatility);
-      
-      data.push({
-        date: date.toISOString().split('T')[0],
-        price: Math.max(price, basePrice * 0.7)
-      });
-    }
-    
-    return data;
-  };
-
-  const priceHistory = generatePriceHistory(selectedTimeRange);
-  const minPrice = Math.min(...priceHistory.map(d => d.price));
-  const maxPrice = Math.max(...priceHistory.map(d => d.price));
-  const currentPrice = priceHistory[priceHistory.length - 1].price;
-  const currentDate = new Date(priceHistory[priceHistory.length - 1].date).toLocaleDateString('en-US', { 
-    month: 'short', 
-    day: 'numeric', 
-    year: 'numeric' 
-  });
-
-  // Generate X-axis labels
-  const getXAxisLabels = () => {
-    const labels = [];
-    const totalPoints = priceHistory.length;
-    const labelCount = Math.min(4, totalPoints);
-    
-    for (let i = 0; i < labelCount; i++) {
-      const index = Math.floor((i / (labelCount - 1)) * (totalPoints - 1));
-      const date = new Date(priceHistory[index].date);
-      const label = date.toLocaleDateString('en-US', { 
-        month: 'short', 
-        day: 'numeric' 
-      });
-      labels.push({ index, label });
-    }
-    return labels;
-  };
-
-  const xAxisLabels = getXAxisLabels();
-
   return (
     <div className="fixed inset-0 z-[9999] bg-black">
       {/* Top Navigation Bar */}
@@ -381,7 +332,9 @@ const ProductPreviewModal = ({ product, isOpen, onClose, onAddToCollection }) =>
               </div>
             )}
             
-            {priceSource && priceSource !== 'unknown' && (
+            {pricingData ? (
+              <PriceSourceBadge price={pricingData} className="mt-2 justify-center" />
+            ) : priceSource && priceSource !== 'unknown' && (
               <div className="mt-2 text-xs text-gray-500">
                 Data source: {priceSource}
               </div>
@@ -496,6 +449,15 @@ const ProductPreviewModal = ({ product, isOpen, onClose, onAddToCollection }) =>
                   </svg>
                   Add To Collection
                 </button>
+
+                <WatchlistButton
+                  productType={isSealedProduct ? 'sealed' : 'card'}
+                  productId={priceHistoryId}
+                  priceType={isSealedProduct ? 'market' : 'raw'}
+                  name={itemName}
+                  imageUrl={imageUrl}
+                  className="w-full py-4 px-6"
+                />
                 
                 <button className="w-full bg-gray-800 border border-gray-700 hover:bg-gray-700 text-white font-medium py-4 px-6 rounded-lg transition-colors flex items-center justify-center gap-3">
                   <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -801,105 +763,12 @@ const ProductPreviewModal = ({ product, isOpen, onClose, onAddToCollection }) =>
               <div className="bg-gray-900 rounded-lg p-5 border border-gray-700">
                 <h3 className="text-lg font-semibold text-white mb-4">Price History</h3>
                 
-                {/* Price Range and Current Price */}
-                <div className="flex justify-between items-center mb-4">
-                  <div className="flex gap-4 text-sm">
-                    <span className="text-white">Min {formatPrice(minPrice)}</span>
-                    <span className="text-white">Max {formatPrice(maxPrice)}</span>
-                  </div>
-                  <div className="text-sm">
-                    <span className="text-white">{currentDate}</span>
-                    <span className="text-indigo-400 ml-2 font-semibold">{formatPrice(currentPrice)}</span>
-                  </div>
-                </div>
-                
-                {/* Chart Container */}
-                <div className="h-40 mb-4">
-                  <svg width="100%" height="100%" viewBox="0 0 400 160" className="overflow-visible">
-                    <defs>
-                      <linearGradient id="priceGradient" x1="0%" y1="0%" x2="0%" y2="100%">
-                        <stop offset="0%" stopColor="#6366F1" stopOpacity="0.3"/>
-                        <stop offset="100%" stopColor="#6366F1" stopOpacity="0"/>
-                      </linearGradient>
-                    </defs>
-                    
-                    {/* Generate smooth curve points */}
-                    {(() => {
-                      const points = priceHistory.map((point, index) => {
-                        const x = (index / (priceHistory.length - 1)) * 360 + 20;
-                        const y = 140 - ((point.price - minPrice) / (maxPrice - minPrice)) * 120;
-                        return { x, y };
-                      });
-                      
-                      let pathData = `M ${points[0].x} ${points[0].y}`;
-                      for (let i = 1; i < points.length; i++) {
-                        const prev = points[i - 1];
-                        const curr = points[i];
-                        const next = points[i + 1];
-                        
-                        if (next) {
-                          const cp1x = prev.x + (curr.x - prev.x) / 2;
-                          const cp1y = prev.y;
-                          const cp2x = curr.x - (next.x - curr.x) / 2;
-                          const cp2y = curr.y;
-                          pathData += ` C ${cp1x} ${cp1y}, ${cp2x} ${cp2y}, ${curr.x} ${curr.y}`;
-                        } else {
-                          pathData += ` L ${curr.x} ${curr.y}`;
-                        }
-                      }
-                      
-                      return (
-                        <>
-                          <path
-                            d={`${pathData} L ${points[points.length - 1].x} 160 L 20 160 Z`}
-                            fill="url(#priceGradient)"
-                          />
-                          <path
-                            d={pathData}
-                            fill="none"
-                            stroke="#6366F1"
-                            strokeWidth="3"
-                            strokeLinecap="round"
-                            strokeLinejoin="round"
-                          />
-                        </>
-                      );
-                    })()}
-                    
-                    <circle
-                      cx={(priceHistory.length - 1) / (priceHistory.length - 1) * 360 + 20}
-                      cy={140 - ((currentPrice - minPrice) / (maxPrice - minPrice)) * 120}
-                      r="4"
-                      fill="#6366F1"
-                    />
-                  </svg>
-                  
-                  {/* X-axis labels */}
-                  <div className="flex justify-between mt-3 px-5">
-                    {xAxisLabels.map((label, index) => (
-                      <span key={index} className="text-xs text-gray-400">
-                        {label.label}
-                      </span>
-                    ))}
-                  </div>
-                </div>
-                
-                {/* Time Range Selectors */}
-                <div className="flex justify-center gap-2">
-                  {['7D', '1M', '3M', '6M', '1Y'].map((period) => (
-                    <button
-                      key={period}
-                      onClick={() => setSelectedTimeRange(period)}
-                      className={`px-3 py-2 text-sm rounded-lg transition-colors ${
-                        period === selectedTimeRange
-                          ? 'bg-indigo-600 text-white'
-                          : 'text-gray-400 hover:bg-gray-700'
-                      }`}
-                    >
-                      {period}
-                    </button>
-                  ))}
-                </div>
+                <PriceHistoryChart
+                  productType={isSealedProduct ? 'sealed' : 'card'}
+                  productId={priceHistoryId}
+                  priceType={isSealedProduct ? 'market' : 'raw'}
+                  variant={isSealedProduct ? product.sub_type_name : ''}
+                />
               </div>
             </div>
           )}
@@ -0,0 +1,33 @@
+import React from 'react';
+import { RAW_CONDITIONS } from '../utils/cardCondition';
+
+/**
+ * Condition buttons for a raw card (NM, LP, MP, HP, DMG)
+ * @param {Object} props
+ * @param {string} props.value - Selected condition code
+ * @param {Function} props.onChange - Called with the new condition code
+ */
+const RawConditionPicker = ({ value, onChange }) => (
+  <div>
+    <label className="block text-gray-400 text-xs mb-2">Condition</label>
+    <div className="grid grid-cols-5 gap-1">
+      {RAW_CONDITIONS.map(condition => (
+        <button
+          type="button"
+          key={condition.code}
+          onClick={() => onChange(condition.code)}
+          title={condition.name}
+          className={`flex items-center justify-center rounded border transition-all text-xs font-medium py-2 ${
+            value === condition.code
+              ? 'border-indigo-400 bg-indigo-400/10 text-indigo-400'
+              : 'border-gray-600 bg-gray-800/50 text-gray-300 hover:border-gray-500'
+          }`}
+        >
+          {condition.code}
+        </button>
+      ))}
+    </div>
+  </div>
+);
+
+export default RawConditionPicker;
@@ -0,0 +1,119 @@
+import React, { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { queryKeys } from '../lib/queryClient';
+import expansionDataService from '../services/expansionDataService';
+import SafeImage from './SafeImage';
+
+/**
+ * Set completion tracker for an expansion
+ * Shows owned vs missing cards, completion percentage and the cost to complete at current market prices
+ * @param {Object} expansion - The selected expansion
+ * @param {Function} onAddMissingToCart - Called with the missing slots to drop them into the search cart
+ */
+const SetCompletionPanel = ({ expansion, onAddMissingToCart }) => {
+  const [masterSet, setMasterSet] = useState(false);
+  const [showMissing, setShowMissing] = useState(false);
+
+  const { data: completion, isLoading, error } = useQuery({
+    queryKey: queryKeys.setCompletion(expansion.id, masterSet),
+    queryFn: () => expansionDataService.getSetCompletion(expansion.id, { masterSet }),
+    staleTime: 5 * 60 * 1000,
+  });
+
+  const formatPrice = (cents) => `$${(cents / 100).toFixed(2)}`;
+
+  if (isLoading) {
+    return (
+      <div className="mb-4 border border-gray-700 rounded-lg p-4 text-sm text-gray-400">
+        Loading set completion...
+      </div>
+    );
+  }
+
+  if (error || !completion) {
+    return null;
+  }
+
+  return (
+    <div className="mb-4 border border-gray-700 rounded-lg p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="font-semibold text-white" style={{ fontSize: '15px' }}>
+          {masterSet ? 'Master Set' : 'Set'} Completion
+        </h3>
+        <label className="flex items-center gap-2 text-xs text-gray-400 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={masterSet}
+            onChange={(e) => setMasterSet(e.target.checked)}
+            className="rounded border-gray-600"
+          />
+          Count variants &amp; reverse holos
+        </label>
+      </div>
+
+      <div className="w-full h-2 bg-gray-800 rounded-full overflow-hidden mb-2">
+        <div
+          className="h-full bg-indigo-500 transition-all"
+          style={{ width: `${completion.completionPercent}%` }}
+        />
+      </div>
+
+      <div className="flex flex-wrap items-center justify-between gap-3 text-sm">
+        <div className="text-gray-300">
+          <span className="text-white font-medium">{completion.ownedCount}</span> / {completion.total} owned
+          <span className="text-gray-500"> ({completion.completionPercent.toFixed(1)}%)</span>
+        </div>
+        <div className="text-gray-300">
+          Cost to complete: <span className="text-white font-medium">{formatPrice(completion.costToCompleteCents)}</span>
+          {completion.unpricedCount > 0 && (
+            <span className="text-gray-500"> ({completion.unpricedCount} unpriced)</span>
+          )}
+        </div>
+      </div>
+
+      {completion.missing.length > 0 && (
+        <div className="flex gap-2 mt-3">
+          <button
+            onClick={() => onAddMissingToCart(completion.missing)}
+            className="flex-1 px-3 py-2 bg-indigo-600 hover:bg-indigo-700 text-white rounded-lg text-sm transition-colors"
+          >
+            Add {completion.missing.length} missing to cart
+          </button>
+          <button
+            onClick={() => setShowMissing(!showMissing)}
+            className="px-3 py-2 bg-gray-800 hover:bg-gray-700 text-gray-300 rounded-lg text-sm transition-colors"
+          >
+            {showMissing ? 'Hide missing' : 'Show missing'}
+          </button>
+        </div>
+      )}
+
+      {showMissing && (
+        <div className="mt-3 max-h-80 overflow-y-auto space-y-1">
+          {completion.missing.map(slot => (
+            <div key={slot.key} className="flex items-center gap-3 py-1">
+              <div className="w-8 h-11 flex-shrink-0 bg-gray-800 rounded overflow-hidden">
+                {slot.imageUrl && (
+                  <SafeImage src={slot.imageUrl} alt={slot.name} className="w-full h-full object-contain" />
+                )}
+              </div>
+              <div className="flex-1 min-w-0">
+                <div className="text-sm text-white truncate">
+                  {slot.name}{slot.number ? ` #${slot.number}` : ''}
+                </div>
+                <div className="text-xs text-gray-500 truncate">
+                  {[slot.variantLabel, slot.rarity].filter(Boolean).join(' • ')}
+                </div>
+              </div>
+              <div className="text-sm text-gray-300">
+                {slot.marketPrice != null ? `$${slot.marketPrice.toFixed(2)}` : 'N/A'}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SetCompletionPanel;
@@ -0,0 +1,270 @@
+import React, { useEffect, useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Clock, Play, Loader2 } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { queryKeys } from '../lib/queryClient';
+import syncScheduleService from '../services/syncScheduleService';
+import { SCHEDULE_FREQUENCIES, WEEKDAYS, describeSchedule, getScheduleRunStatus } from '../utils/syncSchedules';
+
+const formatDateTime = (dateString) => {
+  if (!dateString) return '—';
+  return new Date(dateString).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+};
+
+const toDraft = (schedule) => ({
+  enabled: schedule.enabled,
+  frequency: schedule.frequency,
+  interval_hours: String(schedule.interval_hours ?? 24),
+  run_at: (schedule.run_at || '00:00').slice(0, 5),
+  weekday: String(schedule.weekday ?? 1)
+});
+
+const inputClass = 'px-2 py-1.5 rounded-lg border border-gray-700 bg-gray-800 text-white text-sm';
+
+const ScheduleRow = ({ schedule, lastRun, onSave, onRunNow, saving, running }) => {
+  const [draft, setDraft] = useState(toDraft(schedule));
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    setDraft(toDraft(schedule));
+  }, [schedule]);
+
+  const update = (field, value) => setDraft(prev => ({ ...prev, [field]: value }));
+
+  const handleSave = async () => {
+    setMessage(null);
+    const hours = Number(draft.interval_hours);
+    if (draft.frequency === 'interval' && !(Number.isInteger(hours) && hours >= 1 && hours <= 168)) {
+      setMessage({ type: 'error', text: 'Interval must be between 1 and 168 hours' });
+      return;
+    }
+
+    try {
+      await onSave(schedule.id, {
+        enabled: draft.enabled,
+        frequency: draft.frequency,
+        interval_hours: draft.frequency === 'interval' ? hours : schedule.interval_hours,
+        run_at: draft.run_at,
+        weekday: draft.frequency === 'weekly' ? Number(draft.weekday) : schedule.weekday
+      });
+      setMessage({ type: 'success', text: 'Schedule saved' });
+    } catch (error) {
+      setMessage({ type: 'error', text: `Failed to save schedule: ${error.message}` });
+    }
+  };
+
+  const handleRunNow = async () => {
+    setMessage(null);
+    try {
+      const result = await onRunNow(schedule.id);
+      const run = result?.data?.runs?.[0];
+      setMessage(run?.status === 'skipped'
+        ? { type: 'error', text: 'Skipped - the previous run is still in progress' }
+        : { type: 'success', text: 'Sync queued' });
+    } catch (error) {
+      setMessage({ type: 'error', text: `Failed to run schedule: ${error.message}` });
+    }
+  };
+
+  const lastStatus = lastRun ? getScheduleRunStatus(lastRun.status) : null;
+
+  return (
+    <div className="p-3 space-y-2">
+      <div className="flex items-start justify-between gap-2">
+        <div className="min-w-0">
+          <p className="text-sm text-white">{schedule.name}</p>
+          {schedule.description && <p className="text-xs text-gray-400">{schedule.description}</p>}
+          <p className="text-xs text-gray-400 mt-1">
+            {schedule.enabled ? `${describeSchedule(schedule)} • Next run ${formatDateTime(schedule.next_run_at)}` : 'Disabled'}
+          </p>
+          {lastRun && (
+            <p className="text-xs text-gray-400">
+              Last run {formatDateTime(lastRun.started_at)}: <span className={lastStatus.color}>{lastStatus.label}</span>
+              {lastRun.message ? ` - ${lastRun.message}` : ''}
+            </p>
+          )}
+        </div>
+        <label className="flex items-center gap-2 text-xs text-gray-300 flex-shrink-0">
+          <input
+            type="checkbox"
+            checked={draft.enabled}
+            onChange={(e) => update('enabled', e.target.checked)}
+            className="rounded border-gray-600 bg-gray-700"
+          />
+          Enabled
+        </label>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <select
+          value={draft.frequency}
+          onChange={(e) => update('frequency', e.target.value)}
+          className={inputClass}
+        >
+          {SCHEDULE_FREQUENCIES.map(frequency => (
+            <option key={frequency.value} value={frequency.value}>{frequency.label}</option>
+          ))}
+        </select>
+
+        {draft.frequency === 'interval' ? (
+          <div className="flex items-center gap-1">
+            <input
+              type="number"
+              min="1"
+              max="168"
+              step="1"
+              value={draft.interval_hours}
+              onChange={(e) => update('interval_hours', e.target.value)}
+              className={`${inputClass} w-20`}
+            />
+            <span className="text-gray-400 text-sm">hours</span>
+          </div>
+        ) : (
+          <>
+            {draft.frequency === 'weekly' && (
+              <select
+                value={draft.weekday}
+                onChange={(e) => update('weekday', e.target.value)}
+                className={inputClass}
+              >
+                {WEEKDAYS.map((day, index) => (
+                  <option key={day} value={index}>{day}</option>
+                ))}
+              </select>
+            )}
+            <div className="flex items-center gap-1">
+              <input
+                type="time"
+                value={draft.run_at}
+                onChange={(e) => update('run_at', e.target.value)}
+                className={inputClass}
+              />
+              <span className="text-gray-400 text-sm">UTC</span>
+            </div>
+          </>
+        )}
+
+        <div className="flex items-center gap-2 ml-auto">
+          <button
+            onClick={handleRunNow}
+            disabled={running}
+            className="px-3 py-1.5 rounded-lg border border-gray-700 bg-gray-800 hover:bg-gray-700 text-white text-sm transition-colors disabled:opacity-50 flex items-center gap-1"
+          >
+            {running ? <Loader2 className="w-3 h-3 animate-spin" /> : <Play className="w-3 h-3" />}
+            Run now
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={saving}
+            className="px-3 py-1.5 rounded-lg bg-indigo-600 hover:bg-indigo-700 text-white text-sm transition-colors disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save'}
+          </button>
+        </div>
+      </div>
+
+      {message && (
+        <div className={`text-xs ${message.type === 'error' ? 'text-red-400' : 'text-green-400'}`}>
+          {message.text}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const SyncScheduleSettings = () => {
+  const { user } = useAuth();
+  const queryClient = useQueryClient();
+
+  const { data: schedules = [], isLoading } = useQuery({
+    queryKey: queryKeys.syncSchedules,
+    queryFn: () => syncScheduleService.getSchedules(),
+    enabled: !!user,
+    refetchInterval: 60 * 1000,
+  });
+
+  const { data: runs = [] } = useQuery({
+    queryKey: queryKeys.syncScheduleRuns,
+    queryFn: () => syncScheduleService.getRuns(20),
+    enabled: !!user,
+    refetchInterval: 15 * 1000,
+  });
+
+  const saveMutation = useMutation({
+    mutationFn: ({ scheduleId, updates }) => syncScheduleService.updateSchedule(scheduleId, updates),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.syncSchedules });
+    },
+  });
+
+  const runMutation = useMutation({
+    mutationFn: (scheduleId) => syncScheduleService.runNow(scheduleId),
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.syncSchedules });
+      queryClient.invalidateQueries({ queryKey: queryKeys.syncScheduleRuns });
+    },
+  });
+
+  const lastRuns = {};
+  runs.forEach(run => {
+    if (!lastRuns[run.schedule_id]) lastRuns[run.schedule_id] = run;
+  });
+
+  return (
+    <div className="mb-6">
+      <h2 className="text-lg font-semibold text-white mb-3 flex items-center gap-2">
+        <Clock className="w-5 h-5 text-indigo-400" />
+        Sync Schedules
+      </h2>
+
+      {isLoading ? (
+        <div className="bg-gray-800 border border-gray-700 rounded-lg p-4 text-sm text-gray-400">
+          Loading schedules...
+        </div>
+      ) : schedules.length === 0 ? (
+        <div className="bg-gray-800 border border-gray-700 rounded-lg p-4 text-sm text-gray-400">
+          No sync schedules configured
+        </div>
+      ) : (
+        <div className="bg-gray-800 border border-gray-700 rounded-lg divide-y divide-gray-700">
+          {schedules.map(schedule => (
+            <ScheduleRow
+              key={schedule.id}
+              schedule={schedule}
+              lastRun={lastRuns[schedule.id]}
+              onSave={(scheduleId, updates) => saveMutation.mutateAsync({ scheduleId, updates })}
+              onRunNow={(scheduleId) => runMutation.mutateAsync(scheduleId)}
+              saving={saveMutation.isPending && saveMutation.variables?.scheduleId === schedule.id}
+              running={runMutation.isPending && runMutation.variables === schedule.id}
+            />
+          ))}
+        </div>
+      )}
+
+      {runs.length > 0 && (
+        <div className="mt-3 bg-gray-800 border border-gray-700 rounded-lg p-3">
+          <p className="text-xs font-medium text-gray-300 mb-2">Recent runs</p>
+          <div className="space-y-1">
+            {runs.map(run => {
+              const status = getScheduleRunStatus(run.status);
+              return (
+                <div key={run.id} className="flex items-center justify-between gap-2 text-xs">
+                  <span className="text-gray-300 truncate">
+                    {run.sync_schedules?.name || run.schedule_id}
+                    {run.triggered_by === 'manual' ? ' (manual)' : ''}
+                  </span>
+                  <span className="flex items-center gap-2 flex-shrink-0">
+                    <span className="text-gray-500">{formatDateTime(run.started_at)}</span>
+                    <span className={status.color} title={run.message || ''}>{status.label}</span>
+                  </span>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SyncScheduleSettings;
@@ -0,0 +1,63 @@
+import React from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { queryKeys } from '../lib/queryClient';
+import watchlistService from '../services/watchlistService';
+
+/**
+ * Toggle a card or sealed product on the user's watchlist
+ * Rules are set on the Watchlist page once the product is watched
+ * @param {string} productType - 'card' or 'sealed'
+ * @param {string|number} productId - pokemon_cards.id or pokemon_sealed_products.product_id
+ * @param {string} priceType - 'raw' | 'graded' for cards, 'market' for sealed products
+ * @param {string} name - Display name stored with the watchlist item
+ * @param {string} imageUrl - Image stored with the watchlist item
+ */
+const WatchlistButton = ({ productType, productId, priceType, name, imageUrl, className = '' }) => {
+  const queryClient = useQueryClient();
+  const watchedPriceType = priceType || (productType === 'sealed' ? 'market' : 'raw');
+
+  const { data: items = [] } = useQuery({
+    queryKey: queryKeys.watchlistProduct(productType, productId),
+    queryFn: () => watchlistService.getItemsForProduct(productType, productId),
+    enabled: !!productId,
+    staleTime: 60 * 1000,
+  });
+
+  const watchedItem = items.find(item => item.price_type === watchedPriceType);
+
+  const toggleMutation = useMutation({
+    mutationFn: () => watchedItem
+      ? watchlistService.removeItem(watchedItem.id)
+      : watchlistService.addItem({
+        product_type: productType,
+        product_id: productId,
+        price_type: watchedPriceType,
+        name,
+        image_url: imageUrl
+      }),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.watchlist });
+    }
+  });
+
+  if (!productId) return null;
+
+  return (
+    <button
+      onClick={() => toggleMutation.mutate()}
+      disabled={toggleMutation.isPending}
+      className={`flex items-center justify-center gap-2 px-4 py-2 rounded-lg border transition-colors disabled:opacity-50 ${
+        watchedItem
+          ? 'border-indigo-500 bg-indigo-500/10 text-indigo-300 hover:bg-indigo-500/20'
+          : 'border-gray-600 text-gray-300 hover:bg-gray-700'
+      } ${className}`}
+    >
+      <svg className="w-4 h-4" fill={watchedItem ? 'currentColor' : 'none'} stroke="currentColor" viewBox="0 0 24 24">
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9" />
+      </svg>
+      {watchedItem ? 'Watching' : 'Watch price'}
+    </button>
+  );
+};
+
+export default WatchlistButton;
@@ -0,0 +1,108 @@
+import React from 'react';
+
+/**
+ * Line chart of cumulative invested amount vs realized profit
+ * Expects the series produced by buildPerformanceSeries (values in cents of `currency`)
+ */
+const PerformanceChart = ({ data = [], currency = 'USD' }) => {
+  if (data.length === 0) {
+    return (
+      <div className="h-64 bg-gray-800 rounded-lg flex items-center justify-center">
+        <div className="text-gray-400 text-sm">No activity in this time range</div>
+      </div>
+    );
+  }
+
+  const chartHeight = 200;
+  const chartWidth = 600;
+  const padding = 24;
+
+  const values = data.flatMap(d => [d.invested, d.realizedProfit]);
+  const minValue = Math.min(0, ...values);
+  const maxValue = Math.max(0, ...values);
+  const valueRange = maxValue - minValue || 1000; // Avoid division by zero
+
+  const getY = (value) => chartHeight - padding - ((value - minValue) / valueRange) * (chartHeight - 2 * padding);
+  const getX = (index) => {
+    if (data.length <= 1) return padding;
+    return padding + (index / (data.length - 1)) * (chartWidth - 2 * padding);
+  };
+
+  const buildPath = (key) => data
+    .map((point, index) => `${index === 0 ? 'M' : 'L'} ${getX(index)} ${getY(point[key])}`)
+    .join(' ');
+
+  const formatAxisValue = (cents) => Math.round(cents / 100).toLocaleString('en-US', { style: 'currency', currency, maximumFractionDigits: 0 });
+  const formatAxisDate = (date) => new Date(`${date}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+  return (
+    <div className="h-64 bg-gray-800 rounded-lg p-4 flex flex-col">
+      <svg width="100%" className="flex-1 overflow-visible" viewBox={`0 0 ${chartWidth} ${chartHeight}`} preserveAspectRatio="none">
+        {/* Zero line */}
+        <line
+          x1={padding}
+          x2={chartWidth - padding}
+          y1={getY(0)}
+          y2={getY(0)}
+          stroke="#4b5563"
+          strokeWidth="1"
+          strokeDasharray="4 4"
+        />
+
+        {/* Invested line (blue) */}
+        <path
+          d={buildPath('invested')}
+          fill="none"
+          stroke="#60a5fa" // blue-400
+          strokeWidth="2"
+          strokeLinecap="round"
+          strokeLinejoin="round"
+          vectorEffect="non-scaling-stroke"
+        />
+
+        {/* Realized profit line (green) */}
+        <path
+          d={buildPath('realizedProfit')}
+          fill="none"
+          stroke="#34d399" // emerald-400
+          strokeWidth="2"
+          strokeLinecap="round"
+          strokeLinejoin="round"
+          vectorEffect="non-scaling-stroke"
+        />
+
+        {/* Y-axis labels */}
+        <text x="0" y={getY(maxValue) + 4} fill="#9ca3af" fontSize="11" textAnchor="start">
+          {formatAxisValue(maxValue)}
+        </text>
+        {minValue < 0 && (
+          <text x="0" y={getY(minValue) + 4} fill="#9ca3af" fontSize="11" textAnchor="start">
+            {formatAxisValue(minValue)}
+          </text>
+        )}
+
+        {/* X-axis labels */}
+        <text x={getX(0)} y={chartHeight - 4} fill="#9ca3af" fontSize="11" textAnchor="start">
+          {formatAxisDate(data[0].date)}
+        </text>
+        <text x={getX(data.length - 1)} y={chartHeight - 4} fill="#9ca3af" fontSize="11" textAnchor="end">
+          {formatAxisDate(data[data.length - 1].date)}
+        </text>
+      </svg>
+
+      {/* Legend */}
+      <div className="flex items-center justify-center space-x-4 mt-2 text-xs">
+        <div className="flex items-center space-x-1">
+          <div className="w-3 h-0.5 bg-blue-400"></div>
+          <span className="text-gray-400">Invested</span>
+        </div>
+        <div className="flex items-center space-x-1">
+          <div className="w-3 h-0.5 bg-emerald-400"></div>
+          <span className="text-gray-400">Realized Profit</span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PerformanceChart;
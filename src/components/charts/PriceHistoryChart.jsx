@@ -0,0 +1,208 @@
+import React, { useState, useEffect } from 'react';
+import priceHistoryService, { PRICE_HISTORY_RANGES } from '../../services/priceHistoryService';
+
+/**
+ * Price history chart backed by the price_history table
+ * @param {string} productType - 'card' or 'sealed'
+ * @param {string|number} productId - pokemon_cards.id or pokemon_sealed_products.product_id
+ * @param {string} priceType - 'raw' | 'graded' for cards, 'market' for sealed products
+ * @param {string} [variant] - Grade (e.g. 'PSA 10') or TCGPlayer sub type to chart; defaults to the primary variant
+ */
+const PriceHistoryChart = ({ productType, productId, priceType, variant }) => {
+  const [selectedTimeRange, setSelectedTimeRange] = useState('1M');
+  const [priceHistory, setPriceHistory] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadPriceHistory = async () => {
+      setIsLoading(true);
+      const points = await priceHistoryService.getPriceHistory(productType, productId, {
+        range: selectedTimeRange,
+        priceType,
+        variant
+      });
+      if (!cancelled) {
+        setPriceHistory(points);
+        setIsLoading(false);
+      }
+    };
+
+    loadPriceHistory();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [productType, productId, priceType, variant, selectedTimeRange]);
+
+  const formatPrice = (price) => `$${price.toFixed(2)}`;
+
+  const formatDate = (date, options) =>
+    new Date(`${date}T00:00:00`).toLocaleDateString('en-US', options);
+
+  const summary = priceHistoryService.summarize(priceHistory);
+
+  const width = 400;
+  const height = 160;
+  const paddingX = 20;
+  const paddingY = 20;
+
+  const renderChart = () => {
+    const priceRange = summary.max - summary.min;
+    const points = priceHistory.map((point, index) => ({
+      x: priceHistory.length > 1 ? (index / (priceHistory.length - 1)) * (width - 2 * paddingX) + paddingX : width / 2,
+      y: priceRange > 0 ? (height - paddingY) - ((point.market - summary.min) / priceRange) * (height - 2 * paddingY) : height / 2
+    }));
+
+    let pathData = `M ${points[0].x} ${points[0].y}`;
+    for (let i = 1; i < points.length; i++) {
+      const prev = points[i - 1];
+      const curr = points[i];
+      const next = points[i + 1];
+
+      if (next) {
+        const cp1x = prev.x + (curr.x - prev.x) / 2;
+        const cp1y = prev.y;
+        const cp2x = curr.x - (next.x - curr.x) / 2;
+        const cp2y = curr.y;
+        pathData += ` C ${cp1x} ${cp1y}, ${cp2x} ${cp2y}, ${curr.x} ${curr.y}`;
+      } else {
+        pathData += ` L ${curr.x} ${curr.y}`;
+      }
+    }
+
+    const averageY = priceRange > 0
+      ? (height - paddingY) - ((summary.average - summary.min) / priceRange) * (height - 2 * paddingY)
+      : height / 2;
+    const lastPoint = points[points.length - 1];
+
+    return (
+      <svg width="100%" height="100%" viewBox={`0 0 ${width} ${height}`} className="overflow-visible">
+        <defs>
+          <linearGradient id={`priceGradient-${productType}-${productId}`} x1="0%" y1="0%" x2="0%" y2="100%">
+            <stop offset="0%" stopColor="#6366F1" stopOpacity="0.3"/>
+            <stop offset="100%" stopColor="#6366F1" stopOpacity="0"/>
+          </linearGradient>
+        </defs>
+
+        {/* Average line */}
+        <line
+          x1={paddingX}
+          y1={averageY}
+          x2={width - paddingX}
+          y2={averageY}
+          stroke="#9ca3af"
+          strokeWidth="1"
+          strokeDasharray="4 4"
+        />
+
+        {points.length > 1 && (
+          <>
+            <path
+              d={`${pathData} L ${lastPoint.x} ${height} L ${points[0].x} ${height} Z`}
+              fill={`url(#priceGradient-${productType}-${productId})`}
+            />
+            <path
+              d={pathData}
+              fill="none"
+              stroke="#6366F1"
+              strokeWidth="3"
+              strokeLinecap="round"
+              strokeLinejoin="round"
+            />
+          </>
+        )}
+
+        <circle cx={lastPoint.x} cy={lastPoint.y} r="4" fill="#6366F1" />
+      </svg>
+    );
+  };
+
+  // Up to 4 evenly spaced date labels
+  const getXAxisLabels = () => {
+    const totalPoints = priceHistory.length;
+    if (totalPoints === 0) return [];
+    if (totalPoints === 1) return [formatDate(priceHistory[0].date, { month: 'short', day: 'numeric' })];
+
+    const labelCount = Math.min(4, totalPoints);
+    const labels = [];
+    for (let i = 0; i < labelCount; i++) {
+      const index = Math.floor((i / (labelCount - 1)) * (totalPoints - 1));
+      labels.push(formatDate(priceHistory[index].date, { month: 'short', day: 'numeric' }));
+    }
+    return labels;
+  };
+
+  return (
+    <div>
+      {summary && (
+        <div className="flex justify-between items-center mb-4">
+          <div className="flex gap-4 text-sm">
+            <span className="text-white">Min {formatPrice(summary.min)}</span>
+            <span className="text-white">Max {formatPrice(summary.max)}</span>
+            <span className="text-gray-400">Avg {formatPrice(summary.average)}</span>
+          </div>
+          <div className="text-sm">
+            <span className="text-white">
+              {formatDate(priceHistory[priceHistory.length - 1].date, { month: 'short', day: 'numeric', year: 'numeric' })}
+            </span>
+            <span className="text-indigo-400 ml-2 font-semibold">{formatPrice(summary.current)}</span>
+            {priceHistory.length > 1 && (
+              <span className={`ml-2 ${summary.change >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                {summary.change >= 0 ? '+' : ''}{summary.changePercent.toFixed(1)}%
+              </span>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Chart Container */}
+      <div className="h-40 mb-4">
+        {isLoading ? (
+          <div className="h-full flex items-center justify-center">
+            <div className="text-gray-400 text-sm">Loading price history...</div>
+          </div>
+        ) : summary ? (
+          <>
+            {renderChart()}
+
+            {/* X-axis labels */}
+            <div className="flex justify-between mt-3 px-5">
+              {getXAxisLabels().map((label, index) => (
+                <span key={index} className="text-xs text-gray-400">
+                  {label}
+                </span>
+              ))}
+            </div>
+          </>
+        ) : (
+          <div className="h-full flex items-center justify-center">
+            <div className="text-gray-400 text-sm text-center">
+              No price history for this range yet - prices are recorded with each pricing sync
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Time Range Selectors */}
+      <div className="flex justify-center gap-2 mt-8">
+        {Object.keys(PRICE_HISTORY_RANGES).map((period) => (
+          <button
+            key={period}
+            onClick={() => setSelectedTimeRange(period)}
+            className={`px-3 py-2 text-sm rounded-lg transition-colors ${
+              period === selectedTimeRange
+                ? 'bg-indigo-600 text-white'
+                : 'text-gray-400 hover:bg-gray-700'
+            }`}
+          >
+            {period}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default PriceHistoryChart;
@@ -1,7 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
 import { Search, X, ChevronDown } from 'lucide-react';
-import { getGameService, hasGameService } from '../../services/games/gameServiceFactory';
+import { getGameService, hasGameService, getGamePickerOptions } from '../../services/games/gameServiceFactory';
 import { getGameById } from '../../config/gamesConfig';
 import { useGlobalHeader } from '../../contexts/GlobalHeaderContext';
 
@@ -11,70 +11,7 @@ const GlobalHeader = () => {
   const { searchQuery, setSearchQuery, selectedGame, setSelectedGame, onSearch } = useGlobalHeader();
   
   // Available games with icons
-  const games = [
-    {
-      id: 'all',
-      name: 'All',
-      icon: 'https://scrydex.com/assets/tcgs/icon_all-aae9eef01e74aeab7fb5fef2c48004727400df0636e016ffcfa9741e012ed8ac.png',
-      description: 'Browse all trading card games',
-      color: 'from-gray-500 to-gray-600'
-    },
-    {
-      id: 'pokemon',
-      name: 'Pokémon',
-      logo: 'https://scrydex.com/assets/tcgs/logo_pokemon-8a159e17ae61d5720bfe605ab12acde3a8d7e5ff986e9979c353f66396b500f2.png',
-      icon: 'https://scrydex.com/assets/tcgs/icon_pokemon-386fb418d8f003048ea382cbe3f9a5c1518c3b3bad005e7891c2eb0798278d60.png',
-      description: 'The world\'s most popular trading card game',
-      color: 'from-yellow-500 to-blue-600',
-      enabled: true
-    },
-    {
-      id: 'lorcana',
-      name: 'Disney Lorcana',
-      logo: 'https://scrydex.com/assets/tcgs/logo_lorcana-7127a308645f2a2d4eb4e9b38f1928a157960ed9ae4cab839952de98c902816e.png',
-      icon: 'https://scrydex.com/assets/tcgs/icon_lorcana-f68779c6b7609ad758b3126d347ea1e2cf8bb3944edb52a2d620b73f2ee8a300.png',
-      description: 'Disney\'s magical trading card game',
-      color: 'from-purple-500 to-pink-600',
-      enabled: false
-    },
-    {
-      id: 'magic',
-      name: 'Magic: The Gathering',
-      logo: 'https://scrydex.com/assets/tcgs/logo_mtg-a99225ad3a6ecb7c7fdc9c579a187289aee78c3eeb577f92086dcc8a57f1738e.png',
-      icon: 'https://scrydex.com/assets/tcgs/icon_magicthegathering-e2151698e87443ceccb0ad4b6c98dac19d1b244cce24bac76f52c506046d5833.png',
-      description: 'The original trading card game',
-      color: 'from-red-500 to-orange-600',
-      enabled: false
-    },
-    {
-      id: 'gundam',
-      name: 'Gundam Card Game',
-      logo: 'https://scrydex.com/assets/tcgs/logo_gundam-2e130fb7d7d5b295a6377c6994657d0b0041fdf13158e72709f7a21bb01e9a2a.png',
-      icon: 'https://scrydex.com/assets/tcgs/icon_gundam-72d1c7c2890e7862b3c52b4d8851825dea709a8f279d70dd19c12aaea1e4462c.png',
-      description: 'Mobile Suit Gundam trading cards',
-      color: 'from-blue-500 to-cyan-600',
-      enabled: false
-    },
-    {
-      id: 'other',
-      name: 'Other',
-      logo: 'https://i.ibb.co/vvBYXsQH/other.png',
-      icon: 'https://i.ibb.co/FLvRvfGM/other-icon.png',
-      description: 'Manually added products',
-      color: 'from-purple-400 to-purple-600',
-      enabled: true
-    },
-    {
-      id: 'coming-soon',
-      name: 'More Coming Soon',
-      logo: null,
-      icon: null,
-      description: 'Additional trading card games',
-      color: 'from-gray-400 to-gray-500',
-      badge: 'SOON',
-      enabled: false
-    }
-  ];
+  const games = getGamePickerOptions();
 
   // State
   const [showGameDropdown, setShowGameDropdown] = useState(false);
@@ -103,7 +40,7 @@ const GlobalHeader = () => {
     } else if (game.id === 'other') {
       navigate('/search?game=other');
     } else if (hasGameService(game.id)) {
-      navigate(`/${game.id}`);
+      navigate(`/${game.slug}`);
     } else {
       // Show coming soon message
       console.log(`${game.name} is coming soon!`);
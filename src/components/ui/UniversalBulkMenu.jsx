@@ -2,6 +2,7 @@ import React, { useState, useEffect, useRef } from 'react';
 import DatePicker from 'react-datepicker';
 import 'react-datepicker/dist/react-datepicker.css';
 import PartialSaleManager from '../PartialSaleManager';
+import { RAW_CONDITIONS, DEFAULT_RAW_CONDITION, isRawSingle, normalizeRawCondition } from '../../utils/cardCondition';
 
 /**
  * Universal Bulk Menu Component
@@ -209,6 +210,10 @@ const UniversalBulkMenu = ({
       price_per_item_cents: (pricePerItemCents / 100).toFixed(2), // Store as dollar amount for display
       total_cost: totalCost.toFixed(2) // Store as dollar amount for display
     };
+    // Raw copies can be regraded to the condition they are actually in
+    if (isRawSingle(transactionData)) {
+      formData.raw_condition = normalizeRawCondition(transactionData.raw_condition) || DEFAULT_RAW_CONDITION;
+    }
     
     setEditFormData(formData);
     setOriginalValues(formData);
@@ -1239,6 +1244,27 @@ const UniversalBulkMenu = ({
                               </div>
                             </div>
 
+                            {/* Third Row: Condition (raw singles only) */}
+                            {editFormData.raw_condition && (
+                              <div className="grid grid-cols-3 gap-4" style={{ fontSize: '12px' }}>
+                                <div>
+                                  <div className="text-white mb-1" style={{ fontSize: '12px' }}>Condition</div>
+                                  <select
+                                    value={editFormData.raw_condition}
+                                    onChange={(e) => handleEditFieldChange('raw_condition', e.target.value)}
+                                    className="w-full px-2 py-1 bg-gray-800 text-white rounded text-xs border border-gray-300"
+                                    style={{ fontSize: '12px', height: '28px' }}
+                                  >
+                                    {RAW_CONDITIONS.map(condition => (
+                                      <option key={condition.code} value={condition.code} className="bg-gray-800 text-white">
+                                        {condition.code} - {condition.name}
+                                      </option>
+                                    ))}
+                                  </select>
+                                </div>
+                              </div>
+                            )}
+
                           </>
                         ) : (
                           /* View Mode */
@@ -1284,6 +1310,17 @@ const UniversalBulkMenu = ({
                             </div>
                           </div>
                         </div>
+
+                            {isRawSingle(transaction) && (
+                              <div className="grid grid-cols-3 gap-4" style={{ fontSize: '12px' }}>
+                                <div>
+                                  <div className="text-gray-400 mb-1" style={{ fontSize: '12px' }}>Condition</div>
+                                  <div className="font-medium text-white" style={{ fontSize: '12px' }}>
+                                    {normalizeRawCondition(transaction.raw_condition) || DEFAULT_RAW_CONDITION}
+                                  </div>
+                                </div>
+                              </div>
+                            )}
                           </>
                         )}
                       </div>
@@ -1,6 +1,8 @@
 /**
  * Games Configuration
  * Central configuration for all supported trading card games
+ * Games without a hand-written service are served from the generic TCGCSV catalog
+ * (tcgcsv_groups / tcgcsv_products) when they have a categoryId; setting enabled: true turns them on
  */
 
 export const GAMES = {
@@ -25,7 +27,8 @@ export const GAMES = {
       graded: true,
       pricing: true,
       trends: true,
-      expansions: true
+      expansions: true,
+      languages: true // English / Japanese expansion toggle
     }
   },
   
@@ -37,7 +40,7 @@ export const GAMES = {
     icon: 'https://scrydex.com/assets/tcgs/icon_magicthegathering-e2151698e87443ceccb0ad4b6c98dac19d1b244cce24bac76f52c506046d5833.png',
     description: 'The original trading card game',
     color: 'from-red-500 to-orange-600',
-    enabled: false, // Coming soon
+    enabled: true,
     categoryId: 1, // TCGplayer category ID for Magic
     databases: {
       cards: 'magic_cards',
@@ -65,9 +68,34 @@ export const GAMES = {
     enabled: false, // Coming soon
     categoryId: 26, // TCGplayer category ID for Lorcana
     databases: {
-      cards: 'lorcana_cards',
-      expansions: 'lorcana_sets',
-      sealed: 'lorcana_sealed'
+      cards: 'tcgcsv_products',
+      expansions: 'tcgcsv_groups',
+      sealed: 'tcgcsv_products'
+    },
+    features: {
+      singles: true,
+      sealed: true,
+      graded: false,
+      pricing: true,
+      trends: false,
+      expansions: true
+    }
+  },
+  
+  ONE_PIECE: {
+    id: 'onepiece',
+    name: 'One Piece Card Game',
+    slug: 'onepiece',
+    logo: null,
+    icon: null,
+    description: 'Bandai\'s One Piece trading card game',
+    color: 'from-red-500 to-yellow-500',
+    enabled: false, // Coming soon
+    categoryId: 68, // TCGplayer category ID for One Piece
+    databases: {
+      cards: 'tcgcsv_products',
+      expansions: 'tcgcsv_groups',
+      sealed: 'tcgcsv_products'
     },
     features: {
       singles: true,
@@ -169,6 +197,26 @@ export function getGameDatabases(gameId) {
 // Export games array for UI components
 export const gamesArray = Object.values(GAMES);
 
+// Game picker entries that aren't games
+export const ALL_GAMES_OPTION = {
+  id: 'all',
+  name: 'All',
+  icon: 'https://scrydex.com/assets/tcgs/icon_all-aae9eef01e74aeab7fb5fef2c48004727400df0636e016ffcfa9741e012ed8ac.png',
+  description: 'Browse all trading card games',
+  color: 'from-gray-500 to-gray-600'
+};
+
+export const COMING_SOON_OPTION = {
+  id: 'coming-soon',
+  name: 'More Coming Soon',
+  logo: null,
+  icon: null,
+  description: 'Additional trading card games',
+  color: 'from-gray-400 to-gray-500',
+  badge: 'SOON',
+  enabled: false
+};
+
 // Export enabled games array
 export const enabledGamesArray = getEnabledGames();
 
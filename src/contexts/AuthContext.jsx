@@ -1,5 +1,6 @@
 import React, { createContext, useContext, useState, useEffect, useRef } from 'react';
 import { supabase } from '../lib/supabaseClient';
+import offlineSyncService from '../services/offlineSyncService';
 
 const AuthContext = createContext();
 
@@ -147,6 +148,8 @@ export const AuthProvider = ({ children }) => {
     
     try {
       const { error } = await supabase.auth.signOut();
+      // Don't leave a copy of the collection on a shared device
+      await offlineSyncService.clearOfflineCopy();
       return { error };
     } catch (error) {
       console.error('Sign out error:', error);
@@ -0,0 +1,85 @@
+import React, { createContext, useContext, useMemo, useCallback } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useAuth } from './AuthContext';
+import { queryKeys } from '../lib/queryClient';
+import fxRateService from '../services/fxRateService';
+import { DEFAULT_CURRENCY, buildRateTable, convertOrdersToCurrency, getMissingRateCurrencies } from '../utils/currency';
+import { formatMoney } from '../utils/money';
+
+const CurrencyContext = createContext();
+
+export const useCurrency = () => {
+  const context = useContext(CurrencyContext);
+  if (!context) {
+    throw new Error('useCurrency must be used within a CurrencyProvider');
+  }
+  return context;
+};
+
+export const CurrencyProvider = ({ children }) => {
+  const { user } = useAuth();
+  const queryClient = useQueryClient();
+
+  const { data: baseCurrency = DEFAULT_CURRENCY } = useQuery({
+    queryKey: queryKeys.baseCurrency,
+    queryFn: () => fxRateService.getBaseCurrency(),
+    enabled: !!user,
+    staleTime: 30 * 60 * 1000,
+  });
+
+  // Rates only change when a rates file is imported
+  const { data: rateRows = [], isLoading: ratesLoading } = useQuery({
+    queryKey: queryKeys.fxRates,
+    queryFn: () => fxRateService.getRates(),
+    enabled: !!user,
+    staleTime: 60 * 60 * 1000,
+  });
+
+  const rateTable = useMemo(() => buildRateTable(rateRows), [rateRows]);
+
+  const baseCurrencyMutation = useMutation({
+    mutationFn: (currency) => fxRateService.setBaseCurrency(currency),
+    onSuccess: (currency) => {
+      queryClient.setQueryData(queryKeys.baseCurrency, currency);
+    },
+  });
+
+  const importRatesMutation = useMutation({
+    mutationFn: ({ rows, source }) => fxRateService.importRates(rows, source),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.fxRates });
+    },
+  });
+
+  // Orders (with sales) in the base currency, for totals, analytics and exports
+  const toBaseCurrency = useCallback(
+    (orders) => convertOrdersToCurrency(orders, baseCurrency, rateTable),
+    [baseCurrency, rateTable]
+  );
+
+  const getMissingRates = useCallback(
+    (orders) => getMissingRateCurrencies(orders, baseCurrency, rateTable),
+    [baseCurrency, rateTable]
+  );
+
+  const formatBase = useCallback((cents) => formatMoney(cents, baseCurrency), [baseCurrency]);
+
+  const value = {
+    baseCurrency,
+    setBaseCurrency: baseCurrencyMutation.mutateAsync,
+    isSavingBaseCurrency: baseCurrencyMutation.isPending,
+    rateTable,
+    rateCount: rateRows.length,
+    ratesLoading,
+    importRates: importRatesMutation.mutateAsync,
+    toBaseCurrency,
+    getMissingRates,
+    formatBase
+  };
+
+  return (
+    <CurrencyContext.Provider value={value}>
+      {children}
+    </CurrencyContext.Provider>
+  );
+};
@@ -0,0 +1,108 @@
+/**
+ * Offline Store
+ * IndexedDB copy of the signed-in user's collection, used while there is no connection
+ * - mirrors: the last loaded result of each mirrored query (orders with their items and sales), per user
+ * - mutations: writes made while offline, replayed in id order by offlineSyncService
+ */
+
+const DB_NAME = 'onetrack-offline';
+const DB_VERSION = 1;
+
+let databasePromise = null;
+
+const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains('mirrors')) {
+          db.createObjectStore('mirrors', { keyPath: ['userId', 'key'] });
+        }
+        if (!db.objectStoreNames.contains('mutations')) {
+          const mutations = db.createObjectStore('mutations', { keyPath: 'id', autoIncrement: true });
+          mutations.createIndex('userId', 'userId');
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        databasePromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return databasePromise;
+};
+
+// Run one request in its own transaction and resolve with its result once the transaction commits
+const runRequest = async (storeName, mode, makeRequest) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = makeRequest(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Whether this browser can keep an offline copy
+ * @returns {boolean}
+ */
+export const isOfflineStoreAvailable = () => typeof indexedDB !== 'undefined';
+
+/**
+ * Read a mirrored query result
+ * @param {string} userId - User the data belongs to
+ * @param {string} key - Mirror key
+ * @returns {Promise<Object|null>} { data, savedAt } or null when nothing was mirrored yet
+ */
+export const readMirror = async (userId, key) => {
+  const record = await runRequest('mirrors', 'readonly', store => store.get([userId, key]));
+  return record ? { data: record.data, savedAt: record.savedAt } : null;
+};
+
+/**
+ * Replace a mirrored query result
+ * @param {string} userId - User the data belongs to
+ * @param {string} key - Mirror key
+ * @param {*} data - Structured-cloneable data
+ */
+export const writeMirror = (userId, key, data) =>
+  runRequest('mirrors', 'readwrite', store => store.put({ userId, key, data, savedAt: new Date().toISOString() }));
+
+/**
+ * Drop every mirror (on sign-out); queued mutations are kept for the user's next session
+ */
+export const clearMirrors = () => runRequest('mirrors', 'readwrite', store => store.clear());
+
+/**
+ * Get a user's queued mutations, oldest first
+ * @param {string} userId - User id
+ * @returns {Promise<Array>} Mutations
+ */
+export const getQueuedMutations = async (userId) => {
+  const mutations = await runRequest('mutations', 'readonly', store => store.index('userId').getAll(userId));
+  return (mutations || []).sort((a, b) => a.id - b.id);
+};
+
+/**
+ * Queue a mutation
+ * @param {Object} mutation - { userId, type, payload, status, createdAt }
+ * @returns {Promise<number>} The mutation's id (its place in the replay order)
+ */
+export const addQueuedMutation = (mutation) => runRequest('mutations', 'readwrite', store => store.add(mutation));
+
+/**
+ * Save a changed mutation (status, error, rewritten payload)
+ * @param {Object} mutation - Mutation including its id
+ */
+export const putQueuedMutation = (mutation) => runRequest('mutations', 'readwrite', store => store.put(mutation));
+
+/**
+ * Remove a mutation from the queue
+ * @param {number} id - Mutation id
+ */
+export const deleteQueuedMutation = (id) => runRequest('mutations', 'readwrite', store => store.delete(id));
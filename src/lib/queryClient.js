@@ -30,6 +30,37 @@ export const queryKeys = {
   orders: ['orders'],
   collectionSummary: ['collectionSummary'],
   collectionData: ['collectionData'],
+  analyticsOrders: ['analyticsOrders'],
+  portfolioSnapshots: ['portfolioSnapshots'],
+
+  // Order writes queued while offline
+  offlineMutations: ['offlineMutations'],
+
+  // Shipment queries
+  shipments: ['shipments'],
+  shipmentLinkableOrders: ['shipmentLinkableOrders'],
+
+  // Grading submission queries
+  gradingSubmissions: ['gradingSubmissions'],
+  gradingEligibleOrders: ['gradingEligibleOrders'],
+
+  // Marketplace fee structures
+  marketplaces: ['marketplaces'],
+
+  // Base currency preference and daily FX rates
+  baseCurrency: ['baseCurrency'],
+  fxRates: ['fxRates'],
+
+  // Fallback discount curve of raw card conditions
+  conditionDiscounts: ['conditionDiscounts'],
+
+  // Order pricing providers are tried in, per product kind
+  pricingProviderPriority: ['pricingProviderPriority'],
+
+  // Watchlist and price alerts
+  watchlist: ['watchlist'],
+  watchlistProduct: (productType, productId) => ['watchlist', productType, String(productId)],
+  priceAlerts: ['priceAlerts'],
   
   // Market data queries
   marketPrices: (productNames) => ['marketPrices', productNames],
@@ -39,6 +70,7 @@ export const queryKeys = {
   searchResults: (query, type, sort) => ['searchResults', query, type, sort],
   expansions: ['expansions'],
   expansionCards: (expansionId, sort) => ['expansionCards', expansionId, sort],
+  setCompletion: (expansionId, masterSet) => ['setCompletion', expansionId, masterSet],
   
   // Image queries
   productImages: (productName) => ['productImages', productName],
@@ -46,6 +78,17 @@ export const queryKeys = {
   // API status queries
   apiStatus: ['apiStatus'],
   priceUpdateStatus: ['priceUpdateStatus'],
+
+  // Scheduled syncs and their run history
+  syncSchedules: ['syncSchedules'],
+  syncScheduleRuns: ['syncScheduleRuns'],
+
+  // Flagged prices awaiting review and the flag thresholds
+  priceFlags: (status) => ['priceFlags', status],
+  priceReconciliationSettings: ['priceReconciliationSettings'],
+
+  // Remaining API budget per provider (quota governor)
+  apiQuotaStatus: ['apiQuotaStatus'],
 };
 
 // Helper function to invalidate related queries
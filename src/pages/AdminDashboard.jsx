@@ -8,6 +8,15 @@ import {
   Play, Square, Loader2, Link as LinkIcon, Table, BarChart3
 } from 'lucide-react';
 import adminSyncService from '../services/adminSyncService';
+import magicSyncService from '../services/magicSyncService';
+import tcgcsvCatalogSyncService from '../services/tcgcsvCatalogSyncService';
+import { getTcgcsvCatalogGames } from '../services/games/gameServiceFactory';
+import SyncScheduleSettings from '../components/SyncScheduleSettings';
+import PriceReviewQueue from '../components/PriceReviewQueue';
+import ApiQuotaUsage from '../components/ApiQuotaUsage';
+import {
+  indexActiveSyncJobs, getSyncJobProgress, getSyncJobStatusLabel, getSyncJobStatusColor, isSyncJobActive
+} from '../utils/syncJobs';
 
 const AdminDashboard = () => {
   const { isAdmin, isLoading: adminLoading } = useAdmin();
@@ -17,8 +26,8 @@ const AdminDashboard = () => {
   const [apiStatuses, setApiStatuses] = useState({});
   const [syncStatuses, setSyncStatuses] = useState({});
   const [loading, setLoading] = useState(true);
-  const [activeSyncs, setActiveSyncs] = useState({});
-  const [syncProgress, setSyncProgress] = useState({});
+  const [startingSyncs, setStartingSyncs] = useState({});
+  const [syncJobs, setSyncJobs] = useState([]);
   const [showDataMappings, setShowDataMappings] = useState(false);
   const [dataMappings, setDataMappings] = useState({});
 
@@ -47,7 +56,7 @@ const AdminDashboard = () => {
       
       // Set up real-time refresh every 5 seconds for active syncs
       const interval = setInterval(() => {
-        const hasActiveSyncs = Object.values(activeSyncs).some(s => s);
+        const hasActiveSyncs = Object.values(startingSyncs).some(s => s);
         if (hasActiveSyncs) {
           loadAllStatuses();
         }
@@ -55,7 +64,37 @@ const AdminDashboard = () => {
 
       return () => clearInterval(interval);
     }
-  }, [isAdmin, activeSyncs]);
+  }, [isAdmin, startingSyncs]);
+
+  // Sync progress is read from sync_jobs, so it survives reloads and shows runs started elsewhere;
+  // interrupted jobs are picked up again from their checkpoint
+  const loadSyncJobs = useCallback(async () => {
+    try {
+      const jobs = await adminSyncService.getSyncJobs();
+      setSyncJobs(jobs);
+      adminSyncService.resumeInterruptedSyncs(jobs);
+    } catch (error) {
+      console.error('Error loading sync jobs:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!isAdmin) return;
+    loadSyncJobs();
+    const interval = setInterval(loadSyncJobs, 3000);
+    return () => clearInterval(interval);
+  }, [isAdmin, loadSyncJobs]);
+
+  const activeJobs = indexActiveSyncJobs(syncJobs);
+  const activeSyncs = {
+    ...startingSyncs,
+    ...Object.fromEntries(Object.keys(activeJobs).map(syncKey => [syncKey, true]))
+  };
+  const syncProgress = Object.fromEntries(Object.entries(activeJobs).map(([syncKey, job]) => [syncKey, {
+    status: job.status,
+    progress: getSyncJobProgress(job),
+    message: job.cancel_requested ? 'Stopping...' : job.message
+  }]));
 
   const loadAllStatuses = async () => {
     setLoading(true);
@@ -63,6 +102,8 @@ const AdminDashboard = () => {
       await Promise.all([
         loadDatabaseStats(),
         loadTcgcsvSyncStatus(),
+        loadMagicSyncStatus(),
+        loadCatalogStatuses(),
         loadScrydexStatus(),
         loadSupabaseStatus()
       ]);
@@ -157,6 +198,43 @@ const AdminDashboard = () => {
     }
   };
 
+  const loadMagicSyncStatus = async () => {
+    const status = await magicSyncService.getSyncStatus();
+
+    setApiStatuses(prev => ({
+      ...prev,
+      magic: status
+        ? {
+          name: 'TCGCSV API (Magic)',
+          status: status.sets > 0 ? 'connected' : 'pending',
+          data: status
+        }
+        : {
+          name: 'TCGCSV API (Magic)',
+          status: 'pending',
+          data: { sets: 0, cards: 0, sealed: 0, lastSync: null },
+          note: 'Run migrations to create Magic tables'
+        }
+    }));
+  };
+
+  const loadCatalogStatuses = async () => {
+    const games = getTcgcsvCatalogGames();
+    const statuses = await Promise.all(games.map(game => tcgcsvCatalogSyncService.getSyncStatus(game.id)));
+    const byGame = Object.fromEntries(games.map((game, index) => [game.id, statuses[index]]));
+
+    setApiStatuses(prev => ({
+      ...prev,
+      catalog: {
+        name: 'TCGCSV API (Game Catalogs)',
+        status: statuses.some(status => status === null)
+          ? 'pending'
+          : (statuses.some(status => status.sets > 0) ? 'connected' : 'pending'),
+        data: byGame
+      }
+    }));
+  };
+
   const loadScrydexStatus = async () => {
     try {
       const { data, error } = await supabase
@@ -218,7 +296,7 @@ const AdminDashboard = () => {
 
   // Sync handlers
   const handleStartSync = async (syncType, mode = null) => {
-    setActiveSyncs(prev => ({ ...prev, [syncType]: true }));
+    setStartingSyncs(prev => ({ ...prev, [syncType]: true }));
     
     try {
       let result;
@@ -228,19 +306,40 @@ const AdminDashboard = () => {
           result = await adminSyncService.startTcgcsvSync(mode || 'recent');
           alert(`${result.message}\n\nThe sync script needs to be run in the terminal for actual data import.`);
           break;
-        case 'scrydex-cards':
-          result = await adminSyncService.startScrydexCardsSync();
-          alert(result.message);
+        case (syncType.startsWith('catalog:') ? syncType : null): {
+          const sync = adminSyncService.startCatalogSync(syncType.replace('catalog:', ''), mode || 'recent');
+          setTimeout(loadSyncJobs, 500);
+          result = await sync;
+          alert(result.error || result.message);
+          break;
+        }
+        case 'magic': {
+          const sync = adminSyncService.startMagicSync(mode || 'recent');
+          setTimeout(loadSyncJobs, 500);
+          result = await sync;
+          alert(result.error || result.message);
+          break;
+        }
+        case 'scrydex-cards': {
+          const sync = adminSyncService.startScrydexCardsSync();
+          setTimeout(loadSyncJobs, 500);
+          result = await sync;
+          alert(result.error || result.message);
           break;
-        case 'scrydex-expansions':
-          result = await adminSyncService.startScrydexExpansionsSync();
-          alert(result.message);
+        }
+        case 'scrydex-expansions': {
+          const sync = adminSyncService.startScrydexExpansionsSync();
+          setTimeout(loadSyncJobs, 500);
+          result = await sync;
+          alert(result.error || result.message);
           break;
+        }
         default:
           console.warn('Unknown sync type:', syncType);
       }
 
       // Reload statuses after a delay
+      loadSyncJobs();
       setTimeout(() => {
         loadAllStatuses();
       }, 2000);
@@ -250,16 +349,20 @@ const AdminDashboard = () => {
       alert(`Sync failed: ${error.message}`);
     } finally {
       setTimeout(() => {
-        setActiveSyncs(prev => ({ ...prev, [syncType]: false }));
+        setStartingSyncs(prev => ({ ...prev, [syncType]: false }));
       }, 2000);
     }
   };
 
-  const handleStopSync = (syncType) => {
-    const stopped = adminSyncService.stopSync(syncType);
-    if (stopped) {
-      setActiveSyncs(prev => ({ ...prev, [syncType]: false }));
-      setSyncProgress(prev => ({ ...prev, [syncType]: null }));
+  // The worker stops at its next checkpoint; the job shows as cancelled once it has
+  const handleStopSync = async (syncType) => {
+    try {
+      await adminSyncService.stopSync(syncType);
+      setStartingSyncs(prev => ({ ...prev, [syncType]: false }));
+      loadSyncJobs();
+    } catch (error) {
+      console.error(`Error stopping ${syncType} sync:`, error);
+      alert(`Failed to stop sync: ${error.message}`);
     }
   };
 
@@ -622,6 +725,170 @@ const AdminDashboard = () => {
               </div>
             </div>
 
+            {/* Magic Sync */}
+            <div className="bg-gray-800 border border-gray-700 rounded-lg p-4">
+              <div className="flex items-start justify-between mb-3">
+                <div className="flex-1 min-w-0">
+                  <h3 className="font-semibold text-white flex items-center gap-2 text-sm">
+                    <Package className="w-4 h-4 text-orange-400 flex-shrink-0" />
+                    <span className="truncate">Magic: The Gathering Catalog</span>
+                  </h3>
+                  <p className="text-xs text-gray-400 mt-1">Import Magic sets, singles, sealed products and pricing from TCGCSV</p>
+                </div>
+                <div className="ml-2 flex-shrink-0">
+                  {getStatusBadge(apiStatuses.magic?.status || 'unknown')}
+                </div>
+              </div>
+
+              {/* Progress Bar */}
+              {activeSyncs.magic && syncProgress.magic && (
+                <div className="mb-3">
+                  <div className="flex items-center justify-between mb-2">
+                    <span className="text-xs text-gray-300 truncate flex-1 mr-2">{syncProgress.magic.message || 'Syncing...'}</span>
+                    <span className="text-xs text-gray-400 flex-shrink-0">{syncProgress.magic.progress || 0}%</span>
+                  </div>
+                  <ProgressBar progress={syncProgress.magic.progress} status={syncProgress.magic.status} />
+                </div>
+              )}
+
+              {/* Stats */}
+              <div className="grid grid-cols-3 gap-2 mb-3">
+                <div className="text-center">
+                  <p className="text-xs text-gray-400">Sets</p>
+                  <p className="text-sm font-semibold text-white">{(apiStatuses.magic?.data?.sets || 0).toLocaleString()}</p>
+                </div>
+                <div className="text-center">
+                  <p className="text-xs text-gray-400">Cards / Sealed</p>
+                  <p className="text-sm font-semibold text-white">
+                    {(apiStatuses.magic?.data?.cards || 0).toLocaleString()} / {(apiStatuses.magic?.data?.sealed || 0).toLocaleString()}
+                  </p>
+                </div>
+                <div className="text-center">
+                  <p className="text-xs text-gray-400">Last Sync</p>
+                  <p className="text-xs text-white truncate">{formatDate(apiStatuses.magic?.data?.lastSync)}</p>
+                </div>
+              </div>
+
+              {/* Control Buttons */}
+              <div className="grid grid-cols-1 gap-2">
+                {!activeSyncs.magic ? (
+                  <>
+                    <button
+                      onClick={() => handleStartSync('magic', 'test')}
+                      className="flex items-center justify-center gap-2 px-3 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-lg transition-colors text-sm"
+                    >
+                      <Play className="w-4 h-4" />
+                      Test (5 sets)
+                    </button>
+                    <button
+                      onClick={() => handleStartSync('magic', 'recent')}
+                      className="flex items-center justify-center gap-2 px-3 py-2 bg-purple-600 hover:bg-purple-700 text-white rounded-lg transition-colors text-sm"
+                    >
+                      <Play className="w-4 h-4" />
+                      Sync Recent (20)
+                    </button>
+                    <button
+                      onClick={() => handleStartSync('magic', 'full')}
+                      className="flex items-center justify-center gap-2 px-3 py-2 bg-indigo-600 hover:bg-indigo-700 text-white rounded-lg transition-colors text-sm"
+                    >
+                      <Zap className="w-4 h-4" />
+                      Full Sync (All)
+                    </button>
+                  </>
+                ) : (
+                  <button
+                    onClick={() => handleStopSync('magic')}
+                    className="flex items-center justify-center gap-2 px-3 py-2 bg-red-600 hover:bg-red-700 text-white rounded-lg transition-colors text-sm"
+                  >
+                    <Square className="w-4 h-4" />
+                    Stop Sync
+                  </button>
+                )}
+              </div>
+            </div>
+
+            {/* TCGCSV Game Catalog Syncs */}
+            <div className="bg-gray-800 border border-gray-700 rounded-lg p-4">
+              <div className="flex items-start justify-between mb-3">
+                <div className="flex-1 min-w-0">
+                  <h3 className="font-semibold text-white flex items-center gap-2 text-sm">
+                    <Package className="w-4 h-4 text-teal-400 flex-shrink-0" />
+                    <span className="truncate">TCGCSV Game Catalogs</span>
+                  </h3>
+                  <p className="text-xs text-gray-400 mt-1">Games served from gamesConfig alone; sync before setting enabled: true</p>
+                </div>
+                <div className="ml-2 flex-shrink-0">
+                  {getStatusBadge(apiStatuses.catalog?.status || 'unknown')}
+                </div>
+              </div>
+
+              <div className="space-y-3">
+                {getTcgcsvCatalogGames().map(game => {
+                  const syncType = `catalog:${game.id}`;
+                  const status = apiStatuses.catalog?.data?.[game.id];
+
+                  return (
+                    <div key={game.id} className="border border-gray-700 rounded-lg p-3">
+                      <div className="flex items-center justify-between mb-2">
+                        <span className="text-sm text-white truncate">{game.name}</span>
+                        <span className={`text-xs ${game.enabled ? 'text-green-400' : 'text-gray-500'}`}>
+                          {game.enabled ? 'Enabled' : 'Disabled'} • category {game.categoryId}
+                        </span>
+                      </div>
+
+                      {activeSyncs[syncType] && syncProgress[syncType] && (
+                        <div className="mb-2">
+                          <div className="flex items-center justify-between mb-2">
+                            <span className="text-xs text-gray-300 truncate flex-1 mr-2">{syncProgress[syncType].message || 'Syncing...'}</span>
+                            <span className="text-xs text-gray-400 flex-shrink-0">{syncProgress[syncType].progress || 0}%</span>
+                          </div>
+                          <ProgressBar progress={syncProgress[syncType].progress} status={syncProgress[syncType].status} />
+                        </div>
+                      )}
+
+                      <p className="text-xs text-gray-400 mb-2">
+                        {(status?.sets || 0).toLocaleString()} sets • {(status?.cards || 0).toLocaleString()} cards • {(status?.sealed || 0).toLocaleString()} sealed • Last sync {formatDate(status?.lastSync)}
+                      </p>
+
+                      {!activeSyncs[syncType] ? (
+                        <div className="grid grid-cols-3 gap-2">
+                          <button
+                            onClick={() => handleStartSync(syncType, 'test')}
+                            className="flex items-center justify-center gap-1 px-2 py-1.5 bg-gray-700 hover:bg-gray-600 text-white rounded-lg transition-colors text-xs"
+                          >
+                            <Play className="w-3 h-3" />
+                            Test
+                          </button>
+                          <button
+                            onClick={() => handleStartSync(syncType, 'recent')}
+                            className="flex items-center justify-center gap-1 px-2 py-1.5 bg-purple-600 hover:bg-purple-700 text-white rounded-lg transition-colors text-xs"
+                          >
+                            <Play className="w-3 h-3" />
+                            Recent
+                          </button>
+                          <button
+                            onClick={() => handleStartSync(syncType, 'full')}
+                            className="flex items-center justify-center gap-1 px-2 py-1.5 bg-indigo-600 hover:bg-indigo-700 text-white rounded-lg transition-colors text-xs"
+                          >
+                            <Zap className="w-3 h-3" />
+                            Full
+                          </button>
+                        </div>
+                      ) : (
+                        <button
+                          onClick={() => handleStopSync(syncType)}
+                          className="w-full flex items-center justify-center gap-2 px-3 py-1.5 bg-red-600 hover:bg-red-700 text-white rounded-lg transition-colors text-xs"
+                        >
+                          <Square className="w-3 h-3" />
+                          Stop Sync
+                        </button>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+
             {/* Scrydex Cards Sync */}
             <div className="bg-gray-800 border border-gray-700 rounded-lg p-4">
               <div className="flex items-start justify-between mb-3">
@@ -744,6 +1011,82 @@ const AdminDashboard = () => {
           </div>
         </div>
 
+        {/* Sync Jobs */}
+        <div className="mb-6">
+          <h2 className="text-lg font-semibold text-white mb-3 flex items-center gap-2">
+            <RefreshCw className="w-5 h-5 text-indigo-400" />
+            Sync Jobs
+          </h2>
+
+          {syncJobs.length === 0 ? (
+            <div className="bg-gray-800 border border-gray-700 rounded-lg p-4 text-sm text-gray-400">
+              No sync runs recorded yet
+            </div>
+          ) : (
+            <div className="bg-gray-800 border border-gray-700 rounded-lg divide-y divide-gray-700">
+              {syncJobs.map(job => {
+                const counts = Object.entries(job.counts || {}).filter(([, value]) => value);
+                const lastError = job.errors?.[job.errors.length - 1];
+
+                return (
+                  <div key={job.id} className="p-3">
+                    <div className="flex items-center justify-between gap-2">
+                      <div className="min-w-0">
+                        <p className="text-sm text-white truncate">{job.sync_key}</p>
+                        <p className="text-xs text-gray-400 truncate">
+                          {job.params?.mode ? `${job.params.mode} • ` : ''}Started {formatDate(job.started_at || job.created_at)}
+                          {job.attempts > 1 ? ` • ${job.attempts} runs` : ''}
+                        </p>
+                      </div>
+                      <div className="flex items-center gap-2 flex-shrink-0">
+                        <span className={`text-xs font-medium ${getSyncJobStatusColor(job.status)}`}>
+                          {job.cancel_requested && isSyncJobActive(job) ? 'Stopping' : getSyncJobStatusLabel(job.status)}
+                        </span>
+                        {isSyncJobActive(job) && !job.cancel_requested && (
+                          <button
+                            onClick={() => handleStopSync(job.sync_key)}
+                            className="p-1 text-red-400 hover:bg-red-900/30 rounded transition-colors"
+                            title="Stop sync"
+                          >
+                            <Square className="w-3 h-3" />
+                          </button>
+                        )}
+                      </div>
+                    </div>
+
+                    {isSyncJobActive(job) && job.progress_total > 0 && (
+                      <div className="mt-2">
+                        <ProgressBar progress={getSyncJobProgress(job)} status={job.status} />
+                      </div>
+                    )}
+
+                    {job.message && <p className="text-xs text-gray-300 mt-1 truncate">{job.message}</p>}
+                    {counts.length > 0 && (
+                      <p className="text-xs text-gray-400 mt-1">
+                        {counts.map(([key, value]) => `${key}: ${Number(value).toLocaleString()}`).join(' • ')}
+                      </p>
+                    )}
+                    {lastError && (
+                      <p className="text-xs text-red-400 mt-1 truncate" title={lastError.message}>
+                        {job.errors.length > 1 ? `${job.errors.length} errors, last: ` : ''}{lastError.message}
+                      </p>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+
+        {/* Sync Schedules */}
+        <SyncScheduleSettings />
+
+        {/* Flagged prices awaiting review */}
+        <PriceReviewQueue />
+
+        {/* Remaining API budget per provider */}
+        <ApiQuotaUsage />
+
         {/* API Status Summary */}
         <div className="mb-6">
           <h2 className="text-lg font-semibold text-white mb-3 flex items-center gap-2">
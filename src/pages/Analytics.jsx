@@ -1,20 +1,46 @@
-import React, { useState } from 'react';
+import React, { useState, useMemo } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { Link } from 'react-router-dom';
+import { queryKeys } from '../lib/queryClient';
+import { calculatePortfolioAnalytics, buildPerformanceSeries } from '../utils/portfolioAnalytics';
+import PerformanceChart from '../components/charts/PerformanceChart';
+import orderLedgerService from '../services/orderLedgerService';
+import { useCurrency } from '../contexts/CurrencyContext';
 
 const Analytics = () => {
   const [timeRange, setTimeRange] = useState('30d');
+  const { baseCurrency, toBaseCurrency, getMissingRates, formatBase } = useCurrency();
 
-  const stats = {
-    totalInvested: 125000, // $1,250.00 in cents
-    totalValue: 150000,    // $1,500.00 in cents
-    totalProfit: 25000,    // $250.00 in cents
-    roi: 20,               // 20%
-    itemsSold: 15,
-    avgHoldTime: 45,       // days
-    bestPerformer: 'Charizard Base Set',
-    worstPerformer: 'Pikachu Base Set'
-  };
+  const { data: ledgerOrders = [], isLoading, error } = useQuery({
+    queryKey: queryKeys.analyticsOrders,
+    queryFn: () => orderLedgerService.getOrdersWithSales(),
+    staleTime: 5 * 60 * 1000, // Consider data fresh for 5 minutes
+    refetchOnMount: 'always', // Sales recorded elsewhere must show up immediately
+  });
 
-  const formatPrice = (cents) => `$${(cents / 100).toFixed(2)}`;
+  // Purchases and sales convert at the rate of their own date
+  const orders = useMemo(() => toBaseCurrency(ledgerOrders), [ledgerOrders, toBaseCurrency]);
+  const missingRates = useMemo(() => getMissingRates(ledgerOrders), [ledgerOrders, getMissingRates]);
+
+  const stats = useMemo(() => calculatePortfolioAnalytics(orders, timeRange), [orders, timeRange]);
+  const chartData = useMemo(() => buildPerformanceSeries(orders, timeRange), [orders, timeRange]);
+
+  const formatPrice = (cents) => formatBase(cents);
+
+  const formatPercent = (value) => `${value > 0 ? '+' : ''}${value.toFixed(1)}%`;
+
+  const profitColor = (value) => value > 0 ? 'text-green-400' : value < 0 ? 'text-red-400' : 'text-white';
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center py-24">
+        <div className="text-center">
+          <div className="w-8 h-8 border-4 border-blue-400 border-t-transparent rounded-full animate-spin mx-auto mb-4"></div>
+          <p className="text-gray-400">Loading analytics...</p>
+        </div>
+      </div>
+    );
+  }
 
   return (
     <div>
@@ -26,21 +52,45 @@ const Analytics = () => {
               <h1 className="text-2xl font-bold text-white">Analytics</h1>
               <p className="text-gray-400">Track your portfolio performance</p>
             </div>
-            <select
-              value={timeRange}
-              onChange={(e) => setTimeRange(e.target.value)}
-              className="px-3 py-2 rounded-lg border border-gray-700 bg-gray-800 text-white text-sm"
-            >
-              <option value="7d">Last 7 days</option>
-              <option value="30d">Last 30 days</option>
-              <option value="90d">Last 90 days</option>
-              <option value="1y">Last year</option>
-              <option value="all">All time</option>
-            </select>
+            <div className="flex items-center gap-2">
+              <Link
+                to="/analytics/tax-report"
+                className="px-3 py-2 rounded-lg border border-gray-700 bg-gray-800 hover:bg-gray-700 text-white text-sm transition-colors"
+              >
+                Tax Report
+              </Link>
+              <select
+                value={timeRange}
+                onChange={(e) => setTimeRange(e.target.value)}
+                className="px-3 py-2 rounded-lg border border-gray-700 bg-gray-800 text-white text-sm"
+              >
+                <option value="7d">Last 7 days</option>
+                <option value="30d">Last 30 days</option>
+                <option value="90d">Last 90 days</option>
+                <option value="1y">Last year</option>
+                <option value="all">All time</option>
+              </select>
+            </div>
           </div>
         </div>
       </div>
 
+      {error && (
+        <div className="px-4 md:px-6 lg:px-8 pb-4">
+          <div className="bg-red-500/10 border border-red-500/30 rounded-xl p-4 text-sm text-red-400">
+            Failed to load analytics: {error.message}
+          </div>
+        </div>
+      )}
+
+      {missingRates.length > 0 && (
+        <div className="px-4 md:px-6 lg:px-8 pb-4">
+          <div className="bg-yellow-500/10 border border-yellow-500/30 rounded-xl p-4 text-sm text-yellow-400">
+            No exchange rates for {missingRates.join(', ')}; those amounts are counted unconverted in {baseCurrency}. Import a rates file in Settings.
+          </div>
+        </div>
+      )}
+
       {/* Key Metrics */}
       <div className="px-4 md:px-6 lg:px-8 pb-4">
         <div className="grid grid-cols-2 lg:grid-cols-4 gap-4 md:gap-6">
@@ -53,19 +103,19 @@ const Analytics = () => {
           <div className="bg-gray-900 border border-gray-800 rounded-xl p-4 md:p-6">
             <div className="text-sm text-gray-400">Current Value</div>
             <div className="text-2xl font-bold text-blue-400">
-              {formatPrice(stats.totalValue)}
+              {formatPrice(stats.currentValue)}
             </div>
           </div>
           <div className="bg-gray-900 border border-gray-800 rounded-xl p-4 md:p-6">
             <div className="text-sm text-gray-400">Total Profit</div>
-            <div className="text-2xl font-bold text-green-400">
+            <div className={`text-2xl font-bold ${profitColor(stats.totalProfit)}`}>
               {formatPrice(stats.totalProfit)}
             </div>
           </div>
           <div className="bg-gray-900 border border-gray-800 rounded-xl p-4 md:p-6">
             <div className="text-sm text-gray-400">ROI</div>
-            <div className="text-2xl font-bold text-green-400">
-              {stats.roi}%
+            <div className={`text-2xl font-bold ${profitColor(stats.roi)}`}>
+              {formatPercent(stats.roi)}
             </div>
           </div>
         </div>
@@ -79,6 +129,18 @@ const Analytics = () => {
               Trading Activity
             </h3>
             <div className="space-y-4">
+              <div className="flex justify-between items-center">
+                <span className="text-gray-400">Realized P&amp;L (net of fees)</span>
+                <span className={`font-semibold ${profitColor(stats.realizedProfit)}`}>
+                  {formatPrice(stats.realizedProfit)}
+                </span>
+              </div>
+              <div className="flex justify-between items-center">
+                <span className="text-gray-400">Unrealized P&amp;L</span>
+                <span className={`font-semibold ${profitColor(stats.unrealizedProfit)}`}>
+                  {formatPrice(stats.unrealizedProfit)}
+                </span>
+              </div>
               <div className="flex justify-between items-center">
                 <span className="text-gray-400">Items Sold</span>
                 <span className="font-semibold text-white">
@@ -88,11 +150,11 @@ const Analytics = () => {
               <div className="flex justify-between items-center">
                 <span className="text-gray-400">Avg Hold Time</span>
                 <span className="font-semibold text-white">
-                  {stats.avgHoldTime} days
+                  {stats.avgHoldTime != null ? `${stats.avgHoldTime} days` : '—'}
                 </span>
               </div>
+            </div>
           </div>
-        </div>
 
           <div className="bg-gray-900 border border-gray-800 rounded-xl p-6">
             <h3 className="text-lg font-semibold text-white mb-4">
@@ -102,40 +164,47 @@ const Analytics = () => {
               <div>
                 <div className="flex justify-between items-center mb-1">
                   <span className="text-sm text-gray-400">Best Performer</span>
-                  <span className="text-sm text-green-400">+45%</span>
+                  {stats.bestPerformer && (
+                    <span className={`text-sm ${profitColor(stats.bestPerformer.returnPercent)}`}>
+                      {formatPercent(stats.bestPerformer.returnPercent)}
+                    </span>
+                  )}
                 </div>
                 <div className="text-sm font-medium text-white">
-                  {stats.bestPerformer}
+                  {stats.bestPerformer ? stats.bestPerformer.name : 'No items in this time range'}
                 </div>
+                {stats.bestPerformer?.setName && (
+                  <div className="text-xs text-gray-500">{stats.bestPerformer.setName}</div>
+                )}
               </div>
               <div>
                 <div className="flex justify-between items-center mb-1">
                   <span className="text-sm text-gray-400">Worst Performer</span>
-                  <span className="text-sm text-red-400">-12%</span>
+                  {stats.worstPerformer && (
+                    <span className={`text-sm ${profitColor(stats.worstPerformer.returnPercent)}`}>
+                      {formatPercent(stats.worstPerformer.returnPercent)}
+                    </span>
+                  )}
                 </div>
                 <div className="text-sm font-medium text-white">
-                  {stats.worstPerformer}
+                  {stats.worstPerformer ? stats.worstPerformer.name : 'Not enough items to compare'}
                 </div>
+                {stats.worstPerformer?.setName && (
+                  <div className="text-xs text-gray-500">{stats.worstPerformer.setName}</div>
+                )}
               </div>
             </div>
           </div>
         </div>
       </div>
 
-      {/* Chart Placeholder */}
+      {/* Performance Chart */}
       <div className="px-4 md:px-6 lg:px-8 pb-4">
         <div className="bg-gray-900 border border-gray-800 rounded-xl p-6">
           <h3 className="text-lg font-semibold text-white mb-4">
-            Portfolio Value Over Time
+            Invested vs Realized Profit
           </h3>
-          <div className="h-64 bg-gray-800 rounded-lg flex items-center justify-center">
-            <div className="text-center text-gray-400">
-            <svg className="w-16 h-16 mx-auto mb-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z" />
-            </svg>
-              <p>Chart will be implemented with real data</p>
-            </div>
-          </div>
+          <PerformanceChart data={chartData} currency={baseCurrency} />
         </div>
       </div>
     </div>
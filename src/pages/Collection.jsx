@@ -5,11 +5,15 @@ import { supabase } from '../lib/supabaseClient';
 import { getItemDisplayName, getItemSetName } from '../utils/nameUtils';
 import { useModal } from '../contexts/ModalContext';
 import { useCart } from '../contexts/CartContext';
-import { updateOrder } from '../utils/orderNumbering';
 import { queryKeys, queryClient } from '../lib/queryClient';
 import SafeImage from '../components/SafeImage';
 import AddToCollectionModal from '../components/AddToCollectionModal';
 import ConfirmationModal from '../components/ConfirmationModal';
+import ExportMenu from '../components/ExportMenu';
+import ImportOrdersModal from '../components/ImportOrdersModal';
+import BulkEntryModal from '../components/BulkEntryModal';
+import CollectionChart from '../components/charts/CollectionChart';
+import MarketValueOverrideModal from '../components/MarketValueOverrideModal';
 import { UniversalGrid, UniversalCard, UniversalBulkMenu } from '../components/ui';
 import { 
   filterOnHandOrders, 
@@ -21,19 +25,57 @@ import {
   getEffectiveQuantity,
   isPartiallySold
 } from '../utils/orderStatus';
+import { getLandedCostCents, getShippingCentsForCopies, isOrderInTransit } from '../utils/shipmentStatus';
+import shipmentService from '../services/shipmentService';
+import marketplaceService from '../services/marketplaceService';
+import taxLotService from '../services/taxLotService';
+import offlineSyncService from '../services/offlineSyncService';
+import orderLedgerService from '../services/orderLedgerService';
+import conditionPricingService from '../services/conditionPricingService';
+import marketValueOverrideService from '../services/marketValueOverrideService';
+import { isSaleConflictError } from '../utils/saleHistoryManager';
+import { LOT_METHODS, getOpenLots, allocateSaleToLots, summarizeAllocations } from '../utils/taxLots';
+import { getOrderVersions, previewSaleAllocations } from '../utils/offlineMutations';
+import { findMarketplace, calculateSaleBreakdown, describeMarketplaceFee } from '../utils/marketplaceFees';
+import { useCurrency } from '../contexts/CurrencyContext';
+import { DEFAULT_CURRENCY, SUPPORTED_CURRENCIES, convertCents, getTransactionCurrency } from '../utils/currency';
+import { formatMoney } from '../utils/money';
 
 
 // Simple data fetching - just one table!
-async function getOrders() {
+async function loadOrders() {
   const { data, error } = await supabase
     .from("individual_orders_clean")
     .select("*")
     .order("item_id, order_number", { ascending: true });
   if (error) throw error;
+  // Allocated inbound shipping (cost basis) and in-transit state from shipments,
+  // plus the sales, the purchase currency and the row version sale mutations check against;
+  // singles are valued at the condition they are in, and saved market value overrides win over synced prices
+  const valued = await conditionPricingService.withConditionValues(await shipmentService.withShippingCosts(data || []));
+  const orders = await marketValueOverrideService.withOverrides(valued);
+  const withCurrencies = await orderLedgerService.withCurrencies(await orderLedgerService.withVersions(orders));
+  return orderLedgerService.withSales(withCurrencies);
+}
+
+// Mirrored for offline use, with writes queued offline applied on top
+function getOrders() {
+  return offlineSyncService.loadMirrored('orders', loadOrders);
+}
+
+// Daily portfolio snapshots written by the pricing sync (last year is the longest chart range)
+async function getPortfolioSnapshots() {
+  const since = new Date(Date.now() - 365 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+  const { data, error } = await supabase
+    .from("portfolio_snapshots")
+    .select("snapshot_date, market_value_cents, cost_basis_cents, item_count, categories")
+    .gte("snapshot_date", since)
+    .order("snapshot_date", { ascending: true });
+  if (error) throw error;
   return data || [];
 }
 
-async function getCollectionSummary() {
+async function loadCollectionSummary() {
   const { data, error } = await supabase
     .from("collection_summary_clean")
     .select("*")
@@ -42,11 +84,16 @@ async function getCollectionSummary() {
   return data || [];
 }
 
+function getCollectionSummary() {
+  return offlineSyncService.loadMirrored('collectionSummary', loadCollectionSummary, { applyQueued: false });
+}
+
 // Cache bust: Updated modal theme colors - v2
 const Collection = () => {
   const location = useLocation();
   const { isModalOpen, openModal, closeModal } = useModal();
   const { openCollectionMenu, closeCollectionMenu, enterBulkSelectionMode, exitBulkSelectionMode, isBulkSelectionMode } = useCart();
+  const { baseCurrency, rateTable, toBaseCurrency } = useCurrency();
   
   const [searchQuery, setSearchQuery] = useState(
     location.state?.searchQuery || ''
@@ -68,6 +115,7 @@ const Collection = () => {
   const [itemMenuDragData, setItemMenuDragData] = useState({ startY: 0, currentY: 0, isDragging: false, deltaY: 0 });
   const [showSuccessNotification, setShowSuccessNotification] = useState(false);
   const [successData, setSuccessData] = useState(null);
+  const [saleError, setSaleError] = useState(null);
   const [showFilterDropdown, setShowFilterDropdown] = useState(false);
   const [selectedFilter, setSelectedFilter] = useState('All');
   const [showDeleteModal, setShowDeleteModal] = useState(false);
@@ -80,8 +128,9 @@ const Collection = () => {
   const [editPriceData, setEditPriceData] = useState(null);
   const [showOverridePriceModal, setShowOverridePriceModal] = useState(false);
   const [overridePriceData, setOverridePriceData] = useState(null);
-  const [marketValueOverrides, setMarketValueOverrides] = useState({});
   const [showDeleteConfirmation, setShowDeleteConfirmation] = useState(false);
+  const [showImportModal, setShowImportModal] = useState(false);
+  const [showBulkEntryModal, setShowBulkEntryModal] = useState(false);
   
   // Confirmation modal states
   const [confirmationModal, setConfirmationModal] = useState({
@@ -120,7 +169,6 @@ const Collection = () => {
   
   // Bulk order book states
   const [showBulkOrderBook, setShowBulkOrderBook] = useState(false);
-  const [showBulkOverridePrice, setShowBulkOverridePrice] = useState(false);
   const [editingOrderGroupId, setEditingOrderGroupId] = useState(null);
   const [inlineEditData, setInlineEditData] = useState({});
   const [screenWidth, setScreenWidth] = useState(window.innerWidth);
@@ -161,18 +209,6 @@ const Collection = () => {
     setTimeout(scrollToTop, 100);
   }, []);
 
-  // Load market value overrides from localStorage on component mount
-  useEffect(() => {
-    const savedOverrides = localStorage.getItem('marketValueOverrides');
-    if (savedOverrides) {
-      try {
-        setMarketValueOverrides(JSON.parse(savedOverrides));
-      } catch (error) {
-        console.error('Error loading market value overrides:', error);
-        setMarketValueOverrides({});
-      }
-    }
-  }, []);
   const [ordersToConfirmDelete, setOrdersToConfirmDelete] = useState([]);
   const [isOrderSelectionMode, setIsOrderSelectionMode] = useState(false);
 
@@ -181,27 +217,19 @@ const Collection = () => {
   const longPressRef = useRef(null);
   const longPressTriggeredRef = useRef(false);
 
-  // Load market value overrides from localStorage on component mount
-  useEffect(() => {
-    const savedOverrides = localStorage.getItem('marketValueOverrides');
-    if (savedOverrides) {
-      try {
-        setMarketValueOverrides(JSON.parse(savedOverrides));
-      } catch (error) {
-        console.error('Error loading market value overrides:', error);
-      }
-    }
-  }, []);
-
-
-  // Save market value overrides to localStorage whenever they change
-  useEffect(() => {
-    localStorage.setItem('marketValueOverrides', JSON.stringify(marketValueOverrides));
-  }, [marketValueOverrides]);
 
+  // Override the market value of collection items (ids from collectionData.items)
+  const handleOpenOverrideModal = (itemIds) => {
+    setOverridePriceData(itemIds);
+    setShowOverridePriceModal(true);
+    openModal();
+  };
 
-  // Create a stable reference for overrides to prevent infinite re-renders
-  const overridesString = JSON.stringify(marketValueOverrides);
+  const handleCloseOverrideModal = () => {
+    setShowOverridePriceModal(false);
+    setOverridePriceData(null);
+    closeModal();
+  };
 
   // Touch gesture handlers for item menu
   const handleItemMenuClose = () => {
@@ -407,6 +435,7 @@ const Collection = () => {
   const { data: orders = [], isLoading: ordersLoading, isFetching: ordersFetching, refetch: refetchOrders } = useQuery({
     queryKey: queryKeys.orders,
     queryFn: getOrders,
+    networkMode: 'always', // Falls back to the offline copy
     staleTime: 5 * 60 * 1000, // Consider data fresh for 5 minutes
     cacheTime: 10 * 60 * 1000, // Keep in cache for 10 minutes
     refetchOnMount: false, // Don't refetch if data is fresh
@@ -417,6 +446,7 @@ const Collection = () => {
   const { data: collectionSummary = [], isLoading: summaryLoading, isFetching: summaryFetching, refetch: refetchSummary } = useQuery({
     queryKey: queryKeys.collectionSummary,
     queryFn: getCollectionSummary,
+    networkMode: 'always', // Falls back to the offline copy
     staleTime: 5 * 60 * 1000, // Consider data fresh for 5 minutes
     cacheTime: 10 * 60 * 1000, // Keep in cache for 10 minutes
     refetchOnMount: false, // Don't refetch if data is fresh
@@ -424,6 +454,53 @@ const Collection = () => {
     refetchOnReconnect: true, // Only refetch on network reconnect
   });
 
+  const { data: portfolioSnapshots = [] } = useQuery({
+    queryKey: queryKeys.portfolioSnapshots,
+    queryFn: getPortfolioSnapshots,
+    staleTime: 60 * 60 * 1000, // Snapshots only change after a pricing sync
+  });
+
+  // Selling venues and their fee structures for mark-as-sold
+  const { data: sellMarketplaces = [] } = useQuery({
+    queryKey: queryKeys.marketplaces,
+    queryFn: () => marketplaceService.getMarketplaces(),
+    staleTime: 30 * 60 * 1000,
+  });
+
+  // Overrides used to live in this browser's localStorage, keyed by item_id; move them to the account once
+  useEffect(() => {
+    const savedOverrides = localStorage.getItem('marketValueOverrides');
+    if (!savedOverrides || orders.length === 0) return;
+
+    let parsed = {};
+    try {
+      parsed = JSON.parse(savedOverrides) || {};
+    } catch (error) {
+      console.error('Error loading market value overrides:', error);
+    }
+
+    const itemIds = new Set(orders.map(order => order.item_id).filter(Boolean).map(String));
+    const legacy = Object.entries(parsed).filter(([itemId, value]) => itemIds.has(itemId) && Number(value) > 0);
+    if (legacy.length === 0) {
+      localStorage.removeItem('marketValueOverrides');
+      return;
+    }
+
+    Promise.all(legacy.map(([itemId, value]) => marketValueOverrideService.setOverride({
+      product_type: 'item',
+      product_id: itemId,
+      value_cents: Math.round(Number(value) * 100),
+      // Entered as dollars, before purchases could be in other currencies
+      currency: 'USD',
+      reason: 'Saved on this device before overrides were stored with the account'
+    })))
+      .then(() => {
+        localStorage.removeItem('marketValueOverrides');
+        queryClient.invalidateQueries({ queryKey: queryKeys.orders });
+      })
+      .catch(error => console.error('Error migrating market value overrides:', error));
+  }, [orders]);
+
   // State for prefilled add item form
   const [prefilledCardData, setPrefilledCardData] = useState(null);
   const [currentMarketValue, setCurrentMarketValue] = useState(null);
@@ -498,43 +575,10 @@ const Collection = () => {
   // Delete order and associated item if no other orders exist
   const deleteOrder = async (orderId) => {
     try {
-      // First, get the order details to find the item_id
-      const { data: order, error: orderError } = await supabase
-        .from('orders')
-        .select('item_id')
-        .eq('id', orderId)
-        .single();
-
-      if (orderError) throw orderError;
-
-      // Delete the order
-      const { error: deleteOrderError } = await supabase
-        .from('orders')
-        .delete()
-        .eq('id', orderId);
-
-      if (deleteOrderError) throw deleteOrderError;
-
-      // Check if there are any other orders for this item
-      const { data: remainingOrders, error: checkError } = await supabase
-        .from('orders')
-        .select('id')
-        .eq('item_id', order.item_id);
-
-      if (checkError) throw checkError;
-
-      // If no other orders exist for this item, delete the item too
-      if (remainingOrders.length === 0) {
-        const { error: deleteItemError } = await supabase
-          .from('items')
-          .delete()
-          .eq('id', order.item_id);
-
-        if (deleteItemError) {
-          console.warn('Could not delete item:', deleteItemError);
-          // Don't throw here as the order was already deleted successfully
-        }
-      }
+      await offlineSyncService.run('delete-orders', {
+        orderIds: [orderId],
+        versions: getOrderVersions(orders, [orderId])
+      });
       
       await refetchOrders();
       await refetchSummary();
@@ -544,26 +588,62 @@ const Collection = () => {
     }
   };
 
-  // Mark order as sold - SIMPLE!
+  // Mark order as sold - the sale is matched to purchase lots of the same product and
+  // fees come from the marketplace fee structure unless entered explicitly.
+  // Without a lot method (the per-order sell form) the sale comes out of this order.
   const markOrderAsSold = async (orderId, sellData) => {
     try {
-      const { error } = await supabase.rpc('mark_order_sold', {
-        p_order_id: orderId,
-        p_sell_date: sellData.sellDate,
-        p_sell_price_cents: Math.round(parseFloat(sellData.sellPrice) * 100),
-        p_sell_quantity: parseInt(sellData.quantity),
-        p_sell_location: sellData.location,
-        p_sell_fees_cents: Math.round(parseFloat(sellData.fees || 0) * 100),
-        p_sell_notes: sellData.notes
+      const order = orders.find(o => o.id === orderId);
+      const quantity = parseInt(sellData.quantity);
+      const hasExplicitFees = sellData.fees !== undefined && sellData.fees !== null && sellData.fees !== '';
+      const sale = {
+        // Generated here so a replay of the queued sale is recognised by the server
+        id: crypto.randomUUID(),
+        quantity,
+        salePriceCents: Math.round(parseFloat(sellData.sellPrice || 0) * 100),
+        saleDate: sellData.sellDate,
+        saleLocation: sellData.location,
+        saleNotes: sellData.notes,
+        buyer: sellData.buyer,
+        currency: sellData.currency || order.currency || null,
+        shippingCents: Math.round(parseFloat(sellData.shipping || 0) * 100),
+        feesCents: hasExplicitFees ? Math.round(parseFloat(sellData.fees) * 100) : undefined
+      };
+      const method = sellData.lotMethod || 'specific';
+      const selections = sellData.lotMethod ? sellData.lotSelections : [{ orderId, quantity }];
+      const lots = getOpenLots(orders, order);
+
+      // Queued offline, the sale shows with this split until the server works out the fees
+      await offlineSyncService.run('record-sale', {
+        order,
+        sale,
+        method,
+        selections,
+        lots,
+        versions: getOrderVersions(orders, lots.map(lot => lot.orderId)),
+        allocations: previewSaleAllocations(sale, lots, method, selections)
       });
-      if (error) throw error;
       
       await refetchOrders();
       await refetchSummary();
       setShowMarkAsSoldModal(false);
       setShowOrderMenu(false);
+      setSaleError(null);
     } catch (error) {
       console.error('Error marking order as sold:', error);
+      await handleSaleError(error, 'Could not record the sale');
+    }
+  };
+
+  // Sale mutations fail with a conflict when another device changed the order first;
+  // reload so the next attempt starts from the latest sale history
+  const handleSaleError = async (error, fallbackMessage) => {
+    if (isSaleConflictError(error)) {
+      setSaleError('This order was changed on another device. The latest data has been loaded - please try again.');
+      await refetchOrders();
+      await refetchSummary();
+    } else {
+      setSaleError(`${fallbackMessage}: ${error.message}`);
     }
   };
 
@@ -580,49 +660,11 @@ const Collection = () => {
   // Delete selected orders
   const deleteSelectedOrders = async (orderIds) => {
     try {
-      // Get all orders to find their item_ids
-      const { data: ordersToDelete, error: ordersError } = await supabase
-        .from('orders')
-        .select('id, item_id')
-        .in('id', orderIds);
-
-      if (ordersError) throw ordersError;
-
-      // Delete all orders
-      const { error: deleteOrdersError } = await supabase
-        .from('orders')
-        .delete()
-        .in('id', orderIds);
-
-      if (deleteOrdersError) throw deleteOrdersError;
-
-      // Get unique item_ids from deleted orders
-      const itemIds = [...new Set(ordersToDelete.map(order => order.item_id))];
-
-      // For each item, check if there are any remaining orders
-      for (const itemId of itemIds) {
-        const { data: remainingOrders, error: checkError } = await supabase
-          .from('orders')
-          .select('id')
-          .eq('item_id', itemId);
-
-        if (checkError) {
-          console.warn('Could not check remaining orders for item:', itemId, checkError);
-          continue;
-        }
-
-        // If no other orders exist for this item, delete the item too
-        if (remainingOrders.length === 0) {
-          const { error: deleteItemError } = await supabase
-            .from('items')
-            .delete()
-            .eq('id', itemId);
-
-          if (deleteItemError) {
-            console.warn('Could not delete item:', itemId, deleteItemError);
-          }
-        }
-      }
+      // Orders and, when nothing else links to them, their items
+      await offlineSyncService.run('delete-orders', {
+        orderIds,
+        versions: getOrderVersions(orders, orderIds)
+      });
       
       await refetchOrders();
       await refetchSummary();
@@ -684,9 +726,8 @@ const Collection = () => {
     return acc;
   }, {});
 
-  const formatPrice = (price) => {
-    return `$${price.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
-  };
+  // Totals are in the base currency; single orders and sales pass their own currency
+  const formatPrice = (price, currency = baseCurrency) => formatMoney(Math.round(price * 100), currency);
 
   // Helper function to filter items based on selected filter
   const matchesFilter = (item, filter) => {
@@ -716,34 +757,34 @@ const Collection = () => {
     return filterSoldOrders(orders);
   }, [orders]);
 
+  // Valuation copies of the orders in the base currency (costs at the purchase date, sales at the
+  // sale date, market values at the latest rate); edits keep working on the stored amounts
+  const baseOrders = useMemo(() => toBaseCurrency(orders), [orders, toBaseCurrency]);
+  const baseOnHandOrders = useMemo(() => filterOnHandOrders(baseOrders), [baseOrders]);
+
   // Calculate collection statistics with optimized processing
   const collectionStats = useMemo(() => {
-    const totalValueCents = filteredOrders.reduce((sum, order) => {
-      const overrideKey = `${order.item_id}`;
-      const overrideValue = marketValueOverrides[overrideKey];
-      const marketValue = overrideValue ? overrideValue * 100 : (order.market_value_cents || 0);
+    // market_value_cents already carries saved overrides
+    const totalValueCents = baseOnHandOrders.reduce((sum, order) => {
       const remainingQty = getRemainingCount(order);
-      return sum + (marketValue * remainingQty);
+      return sum + ((order.market_value_cents || 0) * remainingQty);
     }, 0);
 
-    const totalPaidCents = orders.reduce((sum, order) => {
+    const totalPaidCents = baseOrders.reduce((sum, order) => {
       const remainingQty = getRemainingCount(order);
-      return sum + (order.price_per_item_cents * remainingQty);
+      return sum + getLandedCostCents(order, remainingQty, getSoldCount(order));
     }, 0);
 
-    const totalProfitCents = orders.reduce((sum, order) => {
+    const totalProfitCents = baseOrders.reduce((sum, order) => {
       const soldCount = getSoldCount(order);
       if (soldCount > 0) {
-        // For sold items, use actual net profit
-        return sum + (order.net_profit_cents || 0);
+        // For sold items, use actual net profit (after marketplace fees, sale shipping and inbound shipping)
+        return sum + (order.net_profit_cents || 0) - getShippingCentsForCopies(order, soldCount);
       } else {
         // For on-hand items, calculate unrealized profit
-        const overrideKey = `${order.item_id}`;
-        const overrideValue = marketValueOverrides[overrideKey];
-        const marketValueCents = overrideValue ? overrideValue * 100 : (order.market_value_cents || 0);
         const remainingQty = getRemainingCount(order);
-        const marketValue = marketValueCents * remainingQty;
-        const cost = order.total_cost_cents || 0;
+        const marketValue = (order.market_value_cents || 0) * remainingQty;
+        const cost = (order.total_cost_cents || 0) + (order.shipping_cost_cents || 0);
         return sum + (marketValue - cost);
       }
     }, 0);
@@ -754,7 +795,7 @@ const Collection = () => {
       totalProfit: totalProfitCents / 100,
       profitPercentage: totalPaidCents > 0 ? (totalProfitCents / totalPaidCents) * 100 : 0
     };
-  }, [filteredOrders, orders, marketValueOverrides]);
+  }, [baseOnHandOrders, baseOrders]);
 
   // Calculate collection data with optimized processing
   const collectionData = useMemo(() => {
@@ -763,7 +804,7 @@ const Collection = () => {
 
     
     // Optimized category filtering and counting
-    const categoryCounts = filteredOrders.reduce((acc, order) => {
+    const categoryCounts = baseOnHandOrders.reduce((acc, order) => {
       const quantity = getRemainingCount(order);
       
       if (order.source === 'manual') {
@@ -782,127 +823,137 @@ const Collection = () => {
     }, { ungraded: 0, graded: 0, sealed: 0, custom: 0 });
 
     // Group orders by item name for display
-    const itemGroups = {};
-    filteredOrders.forEach(order => {
-      if (!order.item_name) return;
+    const groupOrdersIntoItems = (ordersToGroup) => {
+      const itemGroups = {};
+      ordersToGroup.forEach(order => {
+        if (!order.item_name) return;
       
-      const itemName = order.item_name;
-      if (!itemGroups[itemName]) {
-        itemGroups[itemName] = {
-          name: itemName,
-          set_name: order.set_name,
-          item_type: order.item_type,
-          market_value_cents: order.market_value_cents,
-          image_url: order.image_url,
-          source: order.source,
-          quantity: 0,
-          totalPaid: 0,
-          orders: []
-        };
-      }
+        const itemName = order.item_name;
+        if (!itemGroups[itemName]) {
+          itemGroups[itemName] = {
+            name: itemName,
+            set_name: order.set_name,
+            item_type: order.item_type,
+            market_value_cents: order.market_value_cents,
+            image_url: order.image_url,
+            source: order.source,
+            quantity: 0,
+            totalPaid: 0,
+            totalValue: 0,
+            syncedValue: 0,
+            orders: []
+          };
+        }
       
-      const remainingQty = getRemainingCount(order);
-      itemGroups[itemName].quantity += remainingQty;
-      itemGroups[itemName].totalPaid += (order.price_per_item_cents * remainingQty);
-      itemGroups[itemName].orders.push(order);
-    });
+        const remainingQty = getRemainingCount(order);
+        itemGroups[itemName].quantity += remainingQty;
+        itemGroups[itemName].totalPaid += getLandedCostCents(order, remainingQty, getSoldCount(order));
+        // Raw copies in different conditions and overridden orders carry different market values
+        itemGroups[itemName].totalValue += ((order.market_value_cents || 0) * remainingQty);
+        itemGroups[itemName].syncedValue += ((order.synced_market_value_cents ?? order.market_value_cents ?? 0) * remainingQty);
+        itemGroups[itemName].orders.push(order);
+      });
 
-    // Convert to collection items format
-    const items = Object.values(itemGroups).map((group, index) => {
-      // Check if there's a custom override for this item
-      const overrideKey = `${group.orders[0]?.item_id}`;
-      const overrideValue = marketValueOverrides[overrideKey];
-      const perItemValue = overrideValue ? overrideValue * 100 : (group.market_value_cents || 0);
-      const totalValue = perItemValue * group.quantity;
-      const profit = totalValue - group.totalPaid;
-      const profitPercent = group.totalPaid > 0 ? (profit / group.totalPaid) * 100 : 0;
+      // Convert to collection items format
+      return Object.values(itemGroups).map((group, index) => {
+        // Per-copy values averaged over the copies' conditions and overrides
+        const perItemValue = group.quantity > 0 ? Math.round(group.totalValue / group.quantity) : (group.market_value_cents || 0);
+        const syncedValue = group.quantity > 0 ? Math.round(group.syncedValue / group.quantity) : (group.market_value_cents || 0);
+        const profit = group.totalValue - group.totalPaid;
+        const profitPercent = group.totalPaid > 0 ? (profit / group.totalPaid) * 100 : 0;
       
-      // Determine status based on new item_type and card_condition fields
-      let status = "Unknown";
-      if (group.source === 'manual') {
-        status = "Custom";
-      } else {
-        // Use the new item_type and card_condition fields
-        const firstOrder = group.orders[0];
-        if (firstOrder) {
-          if (firstOrder.item_type === 'Sealed') {
-            status = "Sealed";
-          } else if (firstOrder.item_type === 'Single' && firstOrder.card_condition) {
-            status = firstOrder.card_condition; // Will show "Raw", "PSA 10", etc.
-          } else if (firstOrder.item_type === 'Single') {
-            status = "Raw"; // Fallback for singles without condition
-          } else {
-            status = firstOrder.item_type || "Unknown";
+        // Determine status based on new item_type and card_condition fields
+        let status = "Unknown";
+        if (group.source === 'manual') {
+          status = "Custom";
+        } else {
+          // Use the new item_type and card_condition fields
+          const firstOrder = group.orders[0];
+          if (firstOrder) {
+            if (firstOrder.item_type === 'Sealed') {
+              status = "Sealed";
+            } else if (firstOrder.item_type === 'Single' && firstOrder.card_condition) {
+              status = firstOrder.card_condition; // Will show "Raw", "PSA 10", etc.
+            } else if (firstOrder.item_type === 'Single') {
+              status = "Raw"; // Fallback for singles without condition
+            } else {
+              status = firstOrder.item_type || "Unknown";
+            }
           }
         }
-      }
 
-      // Use clean item name and separate card number
-      const cleanName = getItemDisplayName(group);
+        // Use clean item name and separate card number
+        const cleanName = getItemDisplayName(group);
       
-      return {
-        id: group.orders[0]?.item_id || `item-${index}`, // Use actual item_id from database
-        name: cleanName, // Clean name without card number
-        cardNumber: group.card_number, // Separate card number field
-        set: group.set_name || "Unknown Set",
-        status: status,
-        item_type: group.item_type, // Add new field
-        card_condition: group.orders[0]?.card_condition, // Add new field
-        grading_company: group.orders[0]?.grading_company, // Add new field
-        value: perItemValue / 100, // Convert cents to dollars (per-item value) - used for calculations
-        originalValue: (group.market_value_cents || 0) / 100, // Original market value (not affected by overrides)
-        paid: group.totalPaid / 100, // Convert cents to dollars (total paid)
-        quantity: group.quantity,
-        profit: profit / 100, // Convert cents to dollars (total profit)
-        profitPercent: profitPercent,
-        image: group.image_url || null
-      };
-    });
+        return {
+          id: group.orders[0]?.item_id || `item-${index}`, // Use actual item_id from database
+          name: cleanName, // Clean name without card number
+          cardNumber: group.card_number, // Separate card number field
+          set: group.set_name || "Unknown Set",
+          status: status,
+          item_type: group.item_type, // Add new field
+          card_condition: group.orders[0]?.card_condition, // Add new field
+          grading_company: group.orders[0]?.grading_company, // Add new field
+          value: perItemValue / 100, // Convert cents to dollars (per-item value) - used for calculations
+          originalValue: syncedValue / 100, // Synced market value (not affected by overrides), averaged over the copies' conditions
+          orders: group.orders, // On-hand orders (base currency) for per-order overrides
+          paid: group.totalPaid / 100, // Convert cents to dollars (total paid)
+          quantity: group.quantity,
+          profit: profit / 100, // Convert cents to dollars (total profit)
+          profitPercent: profitPercent,
+          image: group.image_url || null
+        };
+      });
+    };
+
+    // Items still on their way (inbound shipment not delivered) are listed apart from on-hand stock
+    const items = groupOrdersIntoItems(baseOnHandOrders.filter(order => !isOrderInTransit(order)));
+    const inTransitItems = groupOrdersIntoItems(baseOnHandOrders.filter(isOrderInTransit));
 
     // Calculate filtered values based on selectedFilter
     const getFilteredData = (filter) => {
-      let filteredOrders = orders;
+      let filteredOrders = baseOrders;
       
       if (filter === 'Ungraded') {
-        filteredOrders = orders.filter(order => 
+        filteredOrders = baseOrders.filter(order => 
           getRemainingCount(order) > 0 && 
           order.item_type === 'Single' && 
           (!order.card_condition || order.card_condition === 'Raw')
         );
       } else if (filter === 'Graded') {
-        filteredOrders = orders.filter(order => 
+        filteredOrders = baseOrders.filter(order => 
           getRemainingCount(order) > 0 && 
           order.item_type === 'Single' && 
           order.card_condition && 
           order.card_condition !== 'Raw'
         );
       } else if (filter === 'Sealed') {
-        filteredOrders = orders.filter(order => 
+        filteredOrders = baseOrders.filter(order => 
           getRemainingCount(order) > 0 && order.item_type === 'Sealed'
         );
       } else if (filter === 'Custom') {
-        filteredOrders = orders.filter(order => 
+        filteredOrders = baseOrders.filter(order => 
           getRemainingCount(order) > 0 && order.source === 'manual'
         );
       }
 
-      const filteredValueCents = filteredOrders.reduce((sum, order) => {
+      const filteredValueCents = baseOnHandOrders.reduce((sum, order) => {
         const remainingQty = getRemainingCount(order);
         return sum + ((order.market_value_cents || 0) * remainingQty);
       }, 0);
 
-      const filteredPaidCents = filteredOrders.reduce((sum, order) => {
-        return sum + (order.total_cost_cents || 0);
+      const filteredPaidCents = baseOnHandOrders.reduce((sum, order) => {
+        return sum + (order.total_cost_cents || 0) + (order.shipping_cost_cents || 0);
       }, 0);
 
-      const filteredProfitCents = filteredOrders.reduce((sum, order) => {
+      const filteredProfitCents = baseOnHandOrders.reduce((sum, order) => {
         const soldCount = getSoldCount(order);
         if (soldCount > 0) {
-          return sum + (order.net_profit_cents || 0);
+          return sum + (order.net_profit_cents || 0) - getShippingCentsForCopies(order, soldCount);
         } else {
           const remainingQty = getRemainingCount(order);
           const marketValue = (order.market_value_cents || 0) * remainingQty;
-          const cost = order.total_cost_cents || 0;
+          const cost = (order.total_cost_cents || 0) + (order.shipping_cost_cents || 0);
           return sum + (marketValue - cost);
         }
       }, 0);
@@ -927,13 +978,14 @@ const Collection = () => {
       sealedCount: categoryCounts.sealed,
       customCount: categoryCounts.custom,
       items,
+      inTransitItems,
       // Filtered data for display
       filteredValue: selectedFilter === 'All' ? totalValue : filteredData.value,
       filteredPaid: selectedFilter === 'All' ? totalPaid : filteredData.paid,
       filteredProfit: selectedFilter === 'All' ? totalProfit : filteredData.profit,
       filteredProfitPercentage: selectedFilter === 'All' ? profitPercentage : filteredData.profitPercentage
     };
-  }, [orders, selectedFilter, overridesString, filteredOrders, collectionStats]);
+  }, [baseOrders, selectedFilter, baseOnHandOrders, collectionStats]);
 
   // Exit selection mode only if selected items no longer exist in the database
   useEffect(() => {
@@ -953,84 +1005,37 @@ const Collection = () => {
     }
   }, [collectionData.items, isBulkSelectionMode, selectedItems]);
 
-  // Generate real chart data based on actual order history
+  // Build chart data from the daily portfolio snapshots for the selected range and filter
   const generateChartData = () => {
     const days = timeRange === '7D' ? 7 : timeRange === '1M' ? 30 : timeRange === '3M' ? 90 : timeRange === '6M' ? 180 : 365;
-    const data = [];
-    const today = new Date();
-    
-    // Filter orders based on selectedFilter using the same logic as the main filtering
-    let filteredOrders = orders.filter(order => getRemainingCount(order) > 0);
-    
-    if (selectedFilter === 'Ungraded') {
-      filteredOrders = orders.filter(order => 
-        getRemainingCount(order) > 0 && 
-        order.item_type === 'Single' && 
-        (!order.card_condition || order.card_condition === 'Raw')
-      );
-    } else if (selectedFilter === 'Graded') {
-      filteredOrders = orders.filter(order => 
-        getRemainingCount(order) > 0 && 
-        order.item_type === 'Single' && 
-        order.card_condition && 
-        order.card_condition !== 'Raw'
-      );
-    } else if (selectedFilter === 'Sealed') {
-      filteredOrders = orders.filter(order => 
-        getRemainingCount(order) > 0 && order.item_type === 'Sealed'
-      );
-    } else if (selectedFilter === 'Custom') {
-      filteredOrders = orders.filter(order => 
-        getRemainingCount(order) > 0 && order.source === 'manual'
-      );
-    }
-    
-    // Group filtered orders by date to calculate cumulative value
-    const ordersByDate = {};
-    filteredOrders.forEach(order => {
-      if (getRemainingCount(order) > 0 && order.purchase_date) {
-        try {
-          const orderDate = new Date(order.purchase_date).toISOString().split('T')[0];
-          if (!ordersByDate[orderDate]) {
-            ordersByDate[orderDate] = [];
-          }
-          ordersByDate[orderDate].push(order);
-        } catch (error) {
-          console.warn('Invalid date in order:', order.purchase_date, error);
-        }
-      }
-    });
-    
-    let cumulativeValue = 0;
-    
-    for (let i = days - 1; i >= 0; i--) {
-      const date = new Date(today);
-      date.setDate(date.getDate() - i);
-      const dateStr = date.toISOString().split('T')[0];
-      
-      // Add value for orders placed on this date
-      if (ordersByDate[dateStr]) {
-        ordersByDate[dateStr].forEach(order => {
-          const overrideKey = `${order.item_id}`;
-          const overrideValue = marketValueOverrides[overrideKey];
-          const marketValue = overrideValue ? overrideValue * 100 : (order.market_value_cents || 0);
-          cumulativeValue += marketValue * order.quantity;
-        });
-      }
-      
-      data.push({
-        date: dateStr,
-        value: cumulativeValue / 100 // Convert cents to dollars
+    const today = new Date().toISOString().split('T')[0];
+    const since = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const categoryKey = selectedFilter === 'All' ? null : selectedFilter.toLowerCase();
+
+    const data = portfolioSnapshots
+      .filter(snapshot => snapshot.snapshot_date >= since && snapshot.snapshot_date < today)
+      .map(snapshot => {
+        const source = categoryKey ? (snapshot.categories?.[categoryKey] || {}) : snapshot;
+        // Snapshots are in USD; today's point is in the base currency
+        const toBase = (cents) => convertCents(cents || 0, DEFAULT_CURRENCY, baseCurrency, snapshot.snapshot_date, rateTable);
+        return {
+          date: snapshot.snapshot_date,
+          value: toBase(source.market_value_cents) / 100,
+          costBasis: toBase(source.cost_basis_cents) / 100
+        };
       });
-    }
-    
+
+    // Today's point always reflects the live collection values
+    data.push({
+      date: today,
+      value: collectionData.filteredValue,
+      costBasis: collectionData.filteredPaid
+    });
+
     return data;
   };
 
   const chartData = generateChartData();
-  const validValues = chartData.filter(d => d && typeof d.value === 'number' && !isNaN(d.value)).map(d => d.value);
-  const maxValue = validValues.length > 0 ? Math.max(...validValues) : 0;
-  const minValue = validValues.length > 0 ? Math.min(...validValues) : 0;
   
   // Chart data ready for rendering
   
@@ -1104,6 +1109,12 @@ const Collection = () => {
 
   const currentDateRange = getDateRange();
 
+  // Label the chart with the dates it actually covers (history can be shorter than the range)
+  const chartDateLabels = chartData.length > 1
+    ? [chartData[0], chartData[Math.floor((chartData.length - 1) / 2)], chartData[chartData.length - 1]]
+        .map(point => new Date(`${point.date}T00:00:00`))
+    : currentDateRange.dates;
+
   if (ordersLoading || summaryLoading) {
     return (
       <div className="min-h-screen bg-gray-800">
@@ -1283,133 +1294,30 @@ const Collection = () => {
                 </span>
               </div>
             </div>
-            {/* Share Collection */}
-            <button className="flex items-center gap-1 md:gap-3 px-2 md:px-4 py-1 md:py-2 border border-gray-700 rounded-lg text-xs md:text-base text-white bg-gray-800/30 hover:bg-gray-700/30 transition-colors">
-              <svg className="w-3 h-3 md:w-5 md:h-5 text-indigo-400" fill="currentColor" viewBox="0 0 20 20">
-                <path fillRule="evenodd" d="M3 17a1 1 0 011-1h12a1 1 0 110 2H4a1 1 0 01-1-1zm3.293-7.707a1 1 0 011.414 0L9 10.586V3a1 1 0 112 0v7.586l1.293-1.293a1 1 0 111.414 1.414l-3 3a1 1 0 01-1.414 0l-3-3a1 1 0 010-1.414z" clipRule="evenodd" />
-              </svg>
-              <span className="hidden md:inline">Share Collection</span>
-              <span className="md:hidden">Share</span>
-            </button>
+            <div className="flex items-center gap-2">
+              {/* Export / Import */}
+              <ExportMenu onImport={() => setShowImportModal(true)} onBulkEntry={() => setShowBulkEntryModal(true)} />
+              {/* Share Collection */}
+              <button className="flex items-center gap-1 md:gap-3 px-2 md:px-4 py-1 md:py-2 border border-gray-700 rounded-lg text-xs md:text-base text-white bg-gray-800/30 hover:bg-gray-700/30 transition-colors">
+                <svg className="w-3 h-3 md:w-5 md:h-5 text-indigo-400" fill="currentColor" viewBox="0 0 20 20">
+                  <path fillRule="evenodd" d="M3 17a1 1 0 011-1h12a1 1 0 110 2H4a1 1 0 01-1-1zm3.293-7.707a1 1 0 011.414 0L9 10.586V3a1 1 0 112 0v7.586l1.293-1.293a1 1 0 111.414 1.414l-3 3a1 1 0 01-1.414 0l-3-3a1 1 0 010-1.414z" clipRule="evenodd" />
+                </svg>
+                <span className="hidden md:inline">Share Collection</span>
+                <span className="md:hidden">Share</span>
+              </button>
+            </div>
           </div>
           
         {/* Chart */}
         <div className="h-36 md:h-80 lg:h-96 xl:h-[28rem] mb-2 md:mb-6">
-          <svg width="100%" height="100%" viewBox="0 0 300 100" className="overflow-visible">
-            <defs>
-              {/* Gradient for area under line */}
-              <linearGradient id="chartGradient" x1="0%" y1="0%" x2="0%" y2="100%">
-                <stop offset="0%" stopColor="#6366f1" stopOpacity="0.3"/>
-                <stop offset="100%" stopColor="#6366f1" stopOpacity="0"/>
-              </linearGradient>
-            </defs>
-
-            {/* Dynamic chart based on real data */}
-            {(() => {
-              if (chartData.length === 0 || validValues.length === 0) return null;
-              
-              const width = 300;
-              const height = 100;
-              const padding = 10;
-              
-              // Calculate scale factors
-              const valueRange = maxValue - minValue;
-              const scaleY = valueRange > 0 ? (height - 2 * padding) / valueRange : 1;
-              const scaleX = (width - 2 * padding) / (chartData.length - 1);
-              
-              // Generate path data with safety checks
-              const points = chartData
-                .filter(point => point && typeof point.value === 'number' && !isNaN(point.value))
-                .map((point, index) => {
-                  const x = padding + (index * scaleX);
-                  const y = height - padding - ((point.value - minValue) * scaleY);
-                  return { x, y };
-                });
-              
-              // Create smooth curved line using quadratic Bézier curves
-              const createSmoothPath = (points) => {
-                if (points.length < 2) return '';
-                
-                let path = `M ${points[0].x},${points[0].y}`;
-                
-                for (let i = 1; i < points.length; i++) {
-                  const prev = points[i - 1];
-                  const curr = points[i];
-                  
-                  // Calculate control point for smooth curve
-                  const controlX = (prev.x + curr.x) / 2;
-                  const controlY = prev.y;
-                  
-                  path += ` Q ${controlX},${controlY} ${curr.x},${curr.y}`;
-                }
-                
-                return path;
-              };
-              
-              // Create area path (for gradient fill) - also smooth
-              const createSmoothAreaPath = (points) => {
-                if (points.length < 2) return '';
-                
-                let path = `M ${points[0].x},${height - padding}`;
-                path += ` L ${points[0].x},${points[0].y}`;
-                
-                for (let i = 1; i < points.length; i++) {
-                  const prev = points[i - 1];
-                  const curr = points[i];
-                  
-                  // Calculate control point for smooth curve
-                  const controlX = (prev.x + curr.x) / 2;
-                  const controlY = prev.y;
-                  
-                  path += ` Q ${controlX},${controlY} ${curr.x},${curr.y}`;
-                }
-                
-                path += ` L ${points[points.length - 1].x},${height - padding} Z`;
-                
-                return path;
-              };
-              
-              const areaPath = createSmoothAreaPath(points);
-              const linePath = createSmoothPath(points);
-              
-              // Get last point for circle
-              const lastPoint = points[points.length - 1];
-              
-              return (
-                <>
-                  {/* Area under the line */}
-                  <path
-                    d={areaPath}
-                    fill="url(#chartGradient)"
-                  />
-                  {/* Line */}
-                  <path
-                    d={linePath}
-                    stroke="#6366f1"
-                    strokeWidth="2"
-                    strokeLinecap="round"
-                    fill="none"
-                  />
-                  {/* Data point circle */}
-                  <circle
-                    cx={lastPoint.x}
-                    cy={lastPoint.y}
-                    r="3"
-                    fill="#6366f1"
-                    stroke="#1f2937"
-                    strokeWidth="1"
-                  />
-                </>
-              );
-            })()}
-          </svg>
+          <CollectionChart data={chartData} />
         </div>
           
                  {/* Date labels below chart */}
                  <div className="flex justify-between text-sm text-gray-400 mb-6 px-2">
-                   <span>{formatDate(currentDateRange.dates[0])}</span>
-                   <span>{formatDate(currentDateRange.dates[1])}</span>
-                   <span>{formatDate(currentDateRange.dates[2])}</span>
+                   <span>{formatDate(chartDateLabels[0])}</span>
+                   <span>{formatDate(chartDateLabels[1])}</span>
+                   <span>{formatDate(chartDateLabels[2])}</span>
                  </div>
           
                  {/* Time range buttons below chart - centered */}
@@ -1432,7 +1340,7 @@ const Collection = () => {
           
             {/* Disclaimer text - centered and smaller */}
             <div className="text-center text-sm text-gray-400 leading-tight px-6">
-              <div>Collection history tracks the total value of your items for each day since the day they're added.</div>
+              <div>Collection history records the market value and cost basis of your on-hand items each day after prices update.</div>
             </div>
         </div>
       </div>
@@ -1491,7 +1399,7 @@ const Collection = () => {
                 {formatPrice(
                   selectedFilter === 'All' 
                     ? collectionData.totalValue 
-                    : (collectionData.items || [])
+                    : [...(collectionData.items || []), ...(collectionData.inTransitItems || [])]
                         .filter(item => matchesFilter(item, selectedFilter))
                         .reduce((sum, item) => sum + (item.value * item.quantity), 0)
                 )}
@@ -1518,6 +1426,35 @@ const Collection = () => {
           </div>
         </div>
 
+        {/* In Transit - purchases whose inbound shipment hasn't been delivered yet */}
+        {(collectionData.inTransitItems || []).some(item => matchesFilter(item, selectedFilter)) && (
+          <div className="mb-4 md:mb-6">
+            <div className="text-sm font-medium text-white mb-2">
+              In Transit • <span className="text-gray-400">
+                {(collectionData.inTransitItems || []).filter(item => matchesFilter(item, selectedFilter)).length} Items
+              </span>
+            </div>
+            <UniversalGrid variant="collection" showSelectionHint={false}>
+              {(collectionData.inTransitItems || [])
+                .filter(item => matchesFilter(item, selectedFilter))
+                .map((item) => (
+                  <UniversalCard
+                    key={`in-transit-${item.id}`}
+                    item={{
+                      ...item,
+                      totalPaid: item.paid,
+                      set_name: item.set,
+                      image_url: item.image
+                    }}
+                    variant="collection"
+                    showSelection={false}
+                    showMenuButton={false}
+                  />
+                ))}
+            </UniversalGrid>
+          </div>
+        )}
+
         {/* Items Grid */}
         <UniversalGrid
           variant="collection"
@@ -1649,8 +1586,16 @@ const Collection = () => {
               price_per_item_cents: pricePerItemCents,
               total_cost_cents: totalCostCents
             };
+            if (editData.raw_condition) {
+              updateData.raw_condition = editData.raw_condition;
+            }
             
-            await updateOrder(supabase, transactionId, updateData);
+            await offlineSyncService.run('update-order', {
+              orderId: transactionId,
+              updates: updateData,
+              versions: getOrderVersions(orders, [transactionId]),
+              display: { item_name: orders.find(o => o.id === transactionId)?.item_name }
+            });
             
             // Refresh the data - invalidate all related queries
             await Promise.all([
@@ -1677,7 +1622,7 @@ const Collection = () => {
         showEditActions={true}
         showDeleteActions={true}
         showMarkAsSoldActions={true}
-        onOverridePrice={() => console.log('Override price:', Array.from(selectedItems))}
+        onOverridePrice={() => handleOpenOverrideModal(Array.from(selectedItems))}
         onDelete={() => console.log('Delete items:', Array.from(selectedItems))}
         onCancel={() => {
           exitBulkSelectionMode();
@@ -1730,15 +1675,16 @@ const Collection = () => {
         onDeleteSoldPortion={async (transactionId, saleId) => {
           try {
             const { deleteSaleRecord } = await import('../utils/saleHistoryManager');
-            const updatedTransaction = await deleteSaleRecord(transactionId, saleId);
+            const expectedVersion = orders.find(order => order.id === transactionId)?.version ?? null;
+            const updatedTransaction = await deleteSaleRecord(transactionId, saleId, { expectedVersion });
             console.log('Sold portion deleted successfully:', updatedTransaction);
             
-            // Refresh the data to show updated transaction
-            // You might want to trigger a data refresh here
-            // For now, we'll just log the success
+            await refetchOrders();
+            await refetchSummary();
+            setSaleError(null);
           } catch (error) {
             console.error('Error deleting sold portion:', error);
-            // You might want to show an error message to the user here
+            await handleSaleError(error, 'Could not delete the sale');
           }
         }}
       />
@@ -1786,12 +1732,14 @@ const Collection = () => {
             setShowMarkAsSoldModal(false);
             setSelectedOrderId(null);
           }}
+          marketplaces={sellMarketplaces}
+          lots={getOpenLots(orders, orders.find(o => o.id === selectedOrderId))}
           onSubmit={(sellData) => markOrderAsSold(selectedOrderId, sellData)}
         />
       )}
 
       {/* Backdrop blur overlay when expanded actions menu is active */}
-      {isBulkSelectionMode && (showBulkActionsMenu || showBulkOrderBook || showBulkOverridePrice) && (
+      {isBulkSelectionMode && (showBulkActionsMenu || showBulkOrderBook) && (
         <div className="fixed inset-0 bg-black/20 backdrop-blur-sm z-40" />
       )}
 
@@ -1811,11 +1759,11 @@ const Collection = () => {
           <div className="flex flex-col">
             {/* Expanded Actions - Slides down from above */}
             <div className={`overflow-hidden transition-all duration-300 ease-out ${
-              (showBulkActionsMenu || showBulkOrderBook || showBulkOverridePrice) ? 
-                (showBulkOrderBook || showBulkOverridePrice ? 'max-h-[75vh]' : 'max-h-96') + ' opacity-100' : 
+              (showBulkActionsMenu || showBulkOrderBook) ? 
+                (showBulkOrderBook ? 'max-h-[75vh]' : 'max-h-96') + ' opacity-100' : 
                 'max-h-0 opacity-0'
             }`}>
-              <div className={`border-t border-menu border-b border-menu bg-menu backdrop-blur-sm rounded-t-2xl ${(showBulkOrderBook || showBulkOverridePrice) ? 'border-t-2 border-t-menu' : ''}`}>
+              <div className={`border-t border-menu border-b border-menu bg-menu backdrop-blur-sm rounded-t-2xl ${showBulkOrderBook ? 'border-t-2 border-t-menu' : ''}`}>
                 {showBulkOrderBook ? (
                   /* Order Book Content */
                   <div className="px-6 py-4">
@@ -1918,7 +1866,7 @@ const Collection = () => {
                                                       sellPrice: (editData.sell_price_cents / 100).toFixed(2),
                                                       quantity: editData.sell_quantity,
                                                       location: editData.sell_location || '',
-                                                      shipping: (editData.sell_fees_cents / 100).toFixed(2),
+                                                      shipping: ((editData.sell_shipping_cents || 0) / 100).toFixed(2),
                                                       notes: ''
                                                     };
 
@@ -1932,7 +1880,12 @@ const Collection = () => {
                                                       price_per_item_cents: editData.price_per_item_cents !== undefined ? editData.price_per_item_cents : order.price_per_item_cents
                                                     };
 
-                                                    await updateOrder(supabase, order.id, updateData);
+                                                    await offlineSyncService.run('update-order', {
+                                                      orderId: order.id,
+                                                      updates: updateData,
+                                                      versions: getOrderVersions(orders, [order.id]),
+                                                      display: { item_name: order.item_name }
+                                                    });
                                                   }
 
                                                   await Promise.all([
@@ -2006,8 +1959,8 @@ const Collection = () => {
                                                     sell_price_cents: order.price_per_item_cents,
                                                     sell_quantity: Math.min(1, getRemainingCount(order)),
                                                     sell_location: '',
-                                                    sell_fees_cents: 0,
-                                                    sell_fee_percentage: null
+                                                    sell_shipping_cents: 0,
+                                                    sell_fee_description: null
                                                   }
                                                 }));
                                               }}
@@ -2027,42 +1980,10 @@ const Collection = () => {
                                                   confirmVariant: 'danger',
                                                   onConfirm: async () => {
                                                     try {
-                                                      // First, get the order details to find the item_id
-                                                      const { data: orderData, error: orderError } = await supabase
-                                                        .from('orders')
-                                                        .select('item_id')
-                                                        .eq('id', order.id)
-                                                        .single();
-
-                                                      if (orderError) throw orderError;
-
-                                                      // Delete the order
-                                                      const { error: deleteOrderError } = await supabase
-                                                        .from('orders')
-                                                        .delete()
-                                                        .eq('id', order.id);
-
-                                                      if (deleteOrderError) throw deleteOrderError;
-
-                                                      // Check if there are any other orders for this item
-                                                      const { data: remainingOrders, error: checkError } = await supabase
-                                                        .from('orders')
-                                                        .select('id')
-                                                        .eq('item_id', orderData.item_id);
-
-                                                      if (checkError) throw checkError;
-
-                                                      // If no other orders exist for this item, delete the item too
-                                                      if (remainingOrders.length === 0) {
-                                                        const { error: deleteItemError } = await supabase
-                                                          .from('items')
-                                                          .delete()
-                                                          .eq('id', orderData.item_id);
-
-                                                        if (deleteItemError) {
-                                                          console.warn('Could not delete item:', deleteItemError);
-                                                        }
-                                                      }
+                                                      await offlineSyncService.run('delete-orders', {
+                                                        orderIds: [order.id],
+                                                        versions: getOrderVersions(orders, [order.id])
+                                                      });
 
                                                       await Promise.all([
                                                         queryClient.invalidateQueries({ queryKey: queryKeys.orders }),
@@ -2148,9 +2069,9 @@ const Collection = () => {
                                                   >
                                                     <div className="flex items-center gap-2 truncate">
                                                       <span className="truncate">{editData.sell_location || 'Select Marketplace'}</span>
-                                                      {editData.sell_fee_percentage !== undefined && editData.sell_fee_percentage !== null && (
+                                                      {editData.sell_fee_description && (
                                                         <span className="text-gray-400 text-xs flex-shrink-0">
-                                                          ({editData.sell_fee_percentage === 0 ? '0%' : editData.sell_fee_percentage.toFixed(2) + '%'})
+                                                          ({editData.sell_fee_description})
                                                         </span>
                                                       )}
                                                     </div>
@@ -2161,17 +2082,7 @@ const Collection = () => {
                                                   
                                                   {/* Marketplaces Dropdown */}
                                                   {(isLocationFocused || isLocationDropdownClicked) && (() => {
-                                                    const marketplaces = [
-                                                      { id: 'ebay', name: 'eBay', fee_percentage: 12.9 },
-                                                      { id: 'tcgplayer', name: 'TCGPlayer', fee_percentage: 10.25 },
-                                                      { id: 'cardkingdom', name: 'Card Kingdom', fee_percentage: 0 },
-                                                      { id: 'starcitygames', name: 'StarCityGames', fee_percentage: 0 },
-                                                      { id: 'facebook', name: 'Facebook Marketplace', fee_percentage: 0 },
-                                                      { id: 'mercari', name: 'Mercari', fee_percentage: 10 },
-                                                      { id: 'whatnot', name: 'Whatnot', fee_percentage: 8 },
-                                                      { id: 'local', name: 'Local Sale', fee_percentage: 0 },
-                                                      { id: 'other', name: 'Other', fee_percentage: 0 }
-                                                    ];
+                                                    const marketplaces = sellMarketplaces;
                                                     
                                                     return (
                                                       <div className="absolute top-full left-0 right-0 mt-1 bg-gray-900 border border-gray-600 rounded-lg shadow-xl z-[10000] max-h-48 overflow-y-auto">
@@ -2180,21 +2091,13 @@ const Collection = () => {
                                                             key={marketplace.id}
                                                             type="button"
                                                             onClick={() => {
-                                                              const sellPrice = editData.sell_price_cents !== undefined 
-                                                                ? editData.sell_price_cents / 100 
-                                                                : order.price_per_item_cents / 100;
-                                                              const autoFee = marketplace.fee_percentage > 0 
-                                                                ? (sellPrice * marketplace.fee_percentage / 100) 
-                                                                : 0;
-                                                              
+                                                              // Fees are resolved from the marketplace's fee structure when the sale is saved
                                                               setInlineEditData(prev => ({
                                                                 ...prev,
                                                                 [orderGroupId]: { 
                                                                   ...prev[orderGroupId], 
-                                                                  sell_location: marketplace.name,
-                                                                  sell_fees_cents: Math.round(autoFee * 100),
-                                                                  // Store the fee percentage for display
-                                                                  sell_fee_percentage: marketplace.fee_percentage
+                                                                  sell_location: marketplace.display_name,
+                                                                  sell_fee_description: describeMarketplaceFee(marketplace)
                                                                 }
                                                               }));
                                                               setIsLocationFocused(false);
@@ -2203,7 +2106,7 @@ const Collection = () => {
                                                             className="w-full px-3 py-2 text-left text-white hover:bg-gray-700 transition-colors"
                                                             style={{ fontSize: '12px' }}
                                                           >
-                                                            {marketplace.name} {marketplace.fee_percentage > 0 && `(${marketplace.fee_percentage}%)`}
+                                                            {marketplace.display_name} {marketplace.has_fees && `(${describeMarketplaceFee(marketplace)})`}
                                                           </button>
                                                         ))}
                                                       </div>
@@ -2254,15 +2157,13 @@ const Collection = () => {
                                                   type="number"
                                                   step="0.01"
                                                   min="0"
-                                                  value={editData.sell_fees_cents !== undefined ? (editData.sell_fees_cents / 100) : 0}
+                                                  value={editData.sell_shipping_cents !== undefined ? (editData.sell_shipping_cents / 100) : 0}
                                                   onChange={(e) => {
                                                     setInlineEditData(prev => ({
                                                       ...prev,
                                                       [orderGroupId]: { 
                                                         ...prev[orderGroupId], 
-                                                        sell_fees_cents: Math.round(parseFloat(e.target.value || 0) * 100),
-                                                        // Clear auto percentage when manually edited
-                                                        sell_fee_percentage: null
+                                                        sell_shipping_cents: Math.round(parseFloat(e.target.value || 0) * 100)
                                                       }
                                                     }));
                                                   }}
@@ -2272,6 +2173,22 @@ const Collection = () => {
                                                 />
                                               </div>
                                             </div>
+
+                                            {/* Net proceeds after marketplace fees and shipping */}
+                                            {(() => {
+                                              const breakdown = calculateSaleBreakdown({
+                                                salePriceCents: editData.sell_price_cents !== undefined ? editData.sell_price_cents : order.price_per_item_cents,
+                                                quantity: editData.sell_quantity || 1,
+                                                shippingCents: editData.sell_shipping_cents || 0
+                                              }, findMarketplace(sellMarketplaces, editData.sell_location));
+                                              return (
+                                                <div className="flex justify-between text-gray-400" style={{ fontSize: '12px' }}>
+                                                  <span>Gross {formatPrice(breakdown.grossCents / 100, getTransactionCurrency(order))}</span>
+                                                  <span>Fees {formatPrice(breakdown.feesCents / 100, getTransactionCurrency(order))}</span>
+                                                  <span className="text-white">Net {formatPrice(breakdown.netCents / 100, getTransactionCurrency(order))}</span>
+                                                </div>
+                                              );
+                                            })()}
                                           </>
                                         ) : (
                                           /* Regular Edit Fields */
@@ -2601,111 +2518,6 @@ const Collection = () => {
                       })()}
                     </div>
                   </div>
-                ) : showBulkOverridePrice ? (
-                  /* Override Market Price Content */
-                  <div className="px-6 py-4">
-                    {/* Override Price Header */}
-                    <div className="mb-4">
-                      <h2 className="text-lg font-semibold text-white">
-                        Override Market Price
-                      </h2>
-                      <p className="text-sm text-gray-400 m-0">
-                        Set custom market values for the following items. These values are only temporary and will be replaced when the app syncs new pricing data.
-                      </p>
-                    </div>
-
-                    {/* Items List */}
-                    <div className="max-h-[60vh] overflow-y-auto space-y-3">
-                      {(collectionData.items || [])
-                        .filter(item => selectedItems.has(item.id))
-                        .map((item) => {
-                          const currentOverride = marketValueOverrides[item.id];
-                          const originalValue = item.value || 0;
-
-                          return (
-                            <div key={item.id} className="bg-gray-800/30 border border-gray-600/50 rounded-xl p-4">
-                              <div className="flex items-stretch gap-3 h-20">
-                                {/* Item image */}
-                                <div className="w-16 flex-shrink-0 overflow-hidden rounded-lg">
-                                  {item.image ? (
-                                    <img
-                                      src={item.image}
-                                      alt={item.name}
-                                      className="w-full h-full object-contain rounded-lg"
-                                      onError={(e) => {
-                                        e.target.style.display = 'none';
-                                        const fallback = e.target.nextElementSibling;
-                                        if (fallback) fallback.style.display = 'flex';
-                                      }}
-                                    />
-                                  ) : null}
-                                  <div className={`w-full h-full bg-gray-700 rounded-lg flex items-center justify-center ${item.image ? 'hidden' : 'flex'}`}>
-                                    <svg className="w-6 h-6 text-gray-500" fill="currentColor" viewBox="0 0 20 20">
-                                      <path fillRule="evenodd" d="M4 3a2 2 0 00-2 2v10a2 2 0 002 2h12a2 2 0 002-2V5a2 2 0 00-2-2H4zm12 12H4l4-8 3 6 2-4 3 6z" clipRule="evenodd"/>
-                                    </svg>
-                                  </div>
-                                </div>
-                                
-                                {/* Item details and override input */}
-                                <div className="flex-1 min-w-0 flex flex-col justify-between">
-                                  <h3 className="text-xs font-medium text-white truncate">
-                                    {item.name}
-                                  </h3>
-                                  
-                                  <div className="grid grid-cols-2 gap-2">
-                                    {/* Original Value */}
-                                    <div>
-                                      <label className="block text-xs text-gray-400 mb-0.5">
-                                        Original
-                                      </label>
-                                      <div className="w-full px-2 py-1.5 bg-gray-600/30 border border-gray-500/50 rounded text-gray-400 text-xs cursor-not-allowed">
-                                        ${originalValue.toFixed(2)}
-                                      </div>
-                                    </div>
-                                    
-                                    {/* Custom Override Input */}
-                                    <div>
-                                      <label className="block text-xs text-gray-400 mb-0.5">
-                                        Custom Value
-                                      </label>
-                                      <div className="relative">
-                                        <span className="absolute left-2 top-1/2 transform -translate-y-1/2 text-gray-400 text-xs">$</span>
-                                        <input
-                                          type="number"
-                                          step="0.01"
-                                          min="0"
-                                          defaultValue={currentOverride !== undefined ? currentOverride : originalValue}
-                                          className="w-full pl-5 pr-2 py-1.5 bg-gray-700/50 border border-gray-600 rounded text-white text-xs focus:border-indigo-400 focus:outline-none transition-colors"
-                                          placeholder="0.00"
-                                          data-item-id={item.id}
-                                        />
-                                      </div>
-                                    </div>
-                                  </div>
-
-                                  {/* Reset button for this item */}
-                                  {currentOverride !== undefined && (
-                                    <button
-                                      onClick={() => {
-                                        setMarketValueOverrides(prev => {
-                                          const newOverrides = { ...prev };
-                                          delete newOverrides[item.id];
-                                          return newOverrides;
-                                        });
-                                      }}
-                                      className="mt-2 px-2 py-1 bg-orange-600/20 hover:bg-orange-600/30 rounded text-orange-400 text-xs font-medium transition-colors"
-                                    >
-                                      Reset
-                                    </button>
-                                  )}
-                                </div>
-                              </div>
-                            </div>
-                          );
-                        })}
-                    </div>
-
-                  </div>
                 ) : (
                   /* Actions Menu Content */
                   <div className="px-6 py-4 space-y-3">
@@ -2713,7 +2525,6 @@ const Collection = () => {
                     <button 
                       className="w-full flex items-center justify-between p-4 bg-gray-800/30 border border-gray-600/50 rounded-xl hover:bg-gray-700/50 transition-colors"
                       onClick={() => {
-                        setShowBulkOverridePrice(false); // Ensure override is off
                         setShowBulkOrderBook(true);
                         setShowBulkActionsMenu(false);
                       }}
@@ -2739,9 +2550,8 @@ const Collection = () => {
                   <button 
                     className="w-full flex items-center justify-between p-4 bg-gray-800/30 border border-gray-600/50 rounded-xl hover:bg-gray-700/50 transition-colors"
                     onClick={() => {
-                      setShowBulkOrderBook(false); // Ensure order book is off
-                      setShowBulkOverridePrice(true);
                       setShowBulkActionsMenu(false);
+                      handleOpenOverrideModal(Array.from(selectedItems));
                     }}
                   >
                     <div className="flex items-center gap-3">
@@ -2774,7 +2584,7 @@ const Collection = () => {
                   </span>
                 </div>
                 <div className="flex items-center gap-1.5 flex-shrink-0 ml-2">
-                  {!(showBulkOrderBook || showBulkOverridePrice) && (
+                  {!showBulkOrderBook && (
                     <button
                       onClick={() => {
                         const allFilteredItems = (collectionData.items || []).filter(item => matchesFilter(item, selectedFilter));
@@ -2796,12 +2606,11 @@ const Collection = () => {
                       })()}
                     </button>
                   )}
-                {(showBulkOrderBook || showBulkOverridePrice) ? (
+                {showBulkOrderBook ? (
                   <div className="flex items-center gap-1.5">
                     <button 
                       onClick={() => {
                         setShowBulkOrderBook(false);
-                        setShowBulkOverridePrice(false);
                         setEditingOrderGroupId(null);
                         setInlineEditData({});
                         // Clear selection when going back from individual item menus
@@ -2815,52 +2624,6 @@ const Collection = () => {
                     >
                       Go Back
                     </button>
-                    {showBulkOverridePrice && (
-                      <button
-                        onClick={() => {
-                          // Collect all custom values from inputs
-                          const inputs = document.querySelectorAll('input[data-item-id]');
-                          const newOverrides = { ...marketValueOverrides };
-                          
-                          inputs.forEach(input => {
-                            const itemId = input.getAttribute('data-item-id');
-                            const newValue = parseFloat(input.value) || 0;
-                            newOverrides[itemId] = newValue;
-                          });
-                          
-                          setMarketValueOverrides(newOverrides);
-                          
-                          // Add haptic feedback
-                          if (navigator.vibrate) {
-                            navigator.vibrate(10);
-                          }
-                          
-                          setShowBulkOverridePrice(false);
-                          
-                          // Clear selection when saving from individual item menu
-                          if (selectedItems.size === 1) {
-                            setSelectedItems(new Set());
-                            exitBulkSelectionMode(); // Exit bulk selection mode
-                          }
-                          
-                          // Show success notification
-                          setSuccessData({
-                            title: 'Market Values Updated!',
-                            message: `Updated ${selectedItems.size} item(s)`
-                          });
-                          setShowSuccessNotification(true);
-                          
-                          // Auto-dismiss after 4 seconds
-                          setTimeout(() => {
-                            setShowSuccessNotification(false);
-                          }, 4000);
-                        }}
-                        className="px-2 py-1 rounded text-xs font-medium transition-all duration-300 ease-out flex items-center gap-1 whitespace-nowrap bg-emerald-600 hover:bg-emerald-700"
-                        style={{ color: 'black' }}
-                      >
-                        Save
-                      </button>
-                    )}
                   </div>
                 ) : (
                   <button 
@@ -2879,7 +2642,7 @@ const Collection = () => {
                   </button>
                 )}
                 {/* X Close Button - Only show when order book and override price are NOT active */}
-                {!(showBulkOrderBook || showBulkOverridePrice) && (
+                {!showBulkOrderBook && (
                   <button
                     onClick={clearSelection}
                       className="w-6 h-6 bg-gray-300 hover:bg-gray-400 rounded text-xs font-medium transition-colors flex items-center justify-center flex-shrink-0"
@@ -3006,7 +2769,6 @@ const Collection = () => {
                   // Use the new integrated order book system
                   setSelectedItems(new Set([selectedItemId]));
                   enterBulkSelectionMode(); // Enter bulk selection mode
-                  setShowBulkOverridePrice(false); // Ensure override is off
                   setShowBulkOrderBook(true);
                   handleItemMenuClose();
                 }}
@@ -3037,12 +2799,8 @@ const Collection = () => {
                     navigator.vibrate(10);
                   }
                   
-                  // Use the new integrated override price system
-                  setSelectedItems(new Set([selectedItemId]));
-                  enterBulkSelectionMode(); // Enter bulk selection mode
-                  setShowBulkOrderBook(false); // Ensure order book is off
-                  setShowBulkOverridePrice(true);
                   handleItemMenuClose();
+                  handleOpenOverrideModal([selectedItemId]);
                 }}
               >
                 <div className="flex items-center gap-4">
@@ -3172,7 +2930,7 @@ const Collection = () => {
                     <div className="flex items-center justify-between mt-2 text-xs">
                       <div className="flex items-center gap-4">
                         <span className="text-gray-400">Qty: <span className="text-white font-medium">{getRemainingCount(order)}</span></span>
-                        <span className="text-gray-400">Price: <span className="text-white font-medium">{formatPrice((order.price_per_item_cents || 0) / 100)}</span></span>
+                        <span className="text-gray-400">Price: <span className="text-white font-medium">{formatPrice((order.price_per_item_cents || 0) / 100, getTransactionCurrency(order))}</span></span>
                         {order.retailer_name && (
                           <span className="text-gray-400">Location: <span className="text-white font-medium">{order.retailer_name}</span></span>
                         )}
@@ -3255,7 +3013,7 @@ const Collection = () => {
                       })}
                     </div>
                     <div className="text-xs text-gray-400 mt-1">
-                      Qty: {getRemainingCount(order)} • Price: {formatPrice((order.price_per_item_cents || 0) / 100)}
+                      Qty: {getRemainingCount(order)} • Price: {formatPrice((order.price_per_item_cents || 0) / 100, getTransactionCurrency(order))}
                       {order.retailer_name && ` • Location: ${order.retailer_name}`}
                     </div>
                   </div>
@@ -3284,6 +3042,27 @@ const Collection = () => {
         </div>
       )}
 
+      {/* Sale Error Notification */}
+      {saleError && (
+        <div className="fixed top-4 left-4 right-4 z-50">
+          <div className="bg-red-600 border border-red-500 rounded-lg p-4 shadow-lg">
+            <div className="flex items-center">
+              <p className="flex-1 text-sm font-medium text-white">
+                {saleError}
+              </p>
+              <button
+                onClick={() => setSaleError(null)}
+                className="ml-3 flex-shrink-0 text-white"
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Success Notification */}
       {showSuccessNotification && successData && (
         <div className="fixed top-4 left-4 right-4 z-50">
@@ -3365,28 +3144,92 @@ const Collection = () => {
         confirmVariant={confirmationModal.confirmVariant}
       />
 
+      {/* Market Value Overrides */}
+      <MarketValueOverrideModal
+        isOpen={showOverridePriceModal}
+        items={(collectionData.items || []).filter(item => (overridePriceData || []).includes(item.id))}
+        onClose={handleCloseOverrideModal}
+      />
+
+      {/* Import Orders Wizard */}
+      <ImportOrdersModal
+        isOpen={showImportModal}
+        onClose={() => setShowImportModal(false)}
+        onImported={() => {
+          refetchOrders();
+          refetchSummary();
+        }}
+      />
+
+      {/* Paste-a-list Bulk Entry */}
+      <BulkEntryModal
+        isOpen={showBulkEntryModal}
+        onClose={() => setShowBulkEntryModal(false)}
+        onSaved={() => {
+          refetchOrders();
+          refetchSummary();
+        }}
+      />
+
       </div>
     </div>
   );
 };
 
 // Mark as Sold Modal Component
-const MarkAsSoldModal = ({ order, onClose, onSubmit }) => {
+const MarkAsSoldModal = ({ order, marketplaces = [], lots = [], onClose, onSubmit }) => {
   const remainingQuantity = getRemainingCount(order);
   const alreadySold = getSoldCount(order);
+  // Other open lots of the same product can be sold from too
+  const availableQuantity = Math.max(remainingQuantity, lots.reduce((sum, lot) => sum + lot.remaining, 0));
+  const [lotMethod, setLotMethod] = useState(() => taxLotService.getPreferredMethod());
+  const [lotSelections, setLotSelections] = useState(() => ({ [order?.id]: Math.min(1, remainingQuantity) }));
   
   const [formData, setFormData] = useState({
     sellDate: new Date().toISOString().split('T')[0],
     sellPrice: '',
     quantity: Math.min(1, remainingQuantity), // Default to 1 or remaining, whichever is smaller
     location: '',
-    fees: 0,
-    notes: ''
+    fees: '', // Empty = use the marketplace fee structure
+    shipping: 0,
+    buyer: '',
+    notes: '',
+    currency: getTransactionCurrency(order) // Sales default to the currency the order was bought in
   });
 
+  const marketplace = findMarketplace(marketplaces, formData.location);
+  const breakdown = calculateSaleBreakdown({
+    salePriceCents: Math.round(parseFloat(formData.sellPrice || 0) * 100),
+    quantity: formData.quantity || 0,
+    shippingCents: Math.round(parseFloat(formData.shipping || 0) * 100),
+    feesCents: formData.fees !== '' ? Math.round(parseFloat(formData.fees || 0) * 100) : undefined
+  }, marketplace);
+
+  const selections = Object.entries(lotSelections).map(([orderId, quantity]) => ({ orderId, quantity: parseInt(quantity) || 0 }));
+  let allocations = [];
+  let allocationError = null;
+  try {
+    allocations = allocateSaleToLots({
+      quantity: formData.quantity || 0,
+      salePriceCents: Math.round(parseFloat(formData.sellPrice || 0) * 100),
+      saleDate: formData.sellDate,
+      feesCents: breakdown.feesCents,
+      shippingCents: breakdown.shippingCents
+    }, lots, lotMethod, selections);
+  } catch (error) {
+    allocationError = error.message;
+  }
+  const allocationSummary = summarizeAllocations(allocations);
+
+  const handleLotMethodChange = (method) => {
+    setLotMethod(method);
+    taxLotService.setPreferredMethod(method);
+  };
+
   const handleSubmit = (e) => {
     e.preventDefault();
-    onSubmit(formData);
+    if (allocationError) return;
+    onSubmit({ ...formData, lotMethod, lotSelections: selections });
   };
 
   return (
@@ -3426,15 +3269,28 @@ const MarkAsSoldModal = ({ order, onClose, onSubmit }) => {
               required
             />
           </div>
+
+          <div>
+            <label className="block text-gray-300 text-sm mb-1">Currency</label>
+            <select
+              value={formData.currency}
+              onChange={(e) => setFormData({...formData, currency: e.target.value})}
+              className="w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-indigo-400"
+            >
+              {SUPPORTED_CURRENCIES.map(currency => (
+                <option key={currency.code} value={currency.code}>{currency.code} - {currency.name}</option>
+              ))}
+            </select>
+          </div>
           
           <div>
             <label className="block text-gray-300 text-sm mb-1">
-              Quantity to Sell (max: {remainingQuantity})
+              Quantity to Sell (max: {availableQuantity})
             </label>
             <input
               type="number"
               min="1"
-              max={remainingQuantity}
+              max={availableQuantity}
               value={formData.quantity}
               onChange={(e) => setFormData({...formData, quantity: parseInt(e.target.value)})}
               className="w-full px-3 py-2 bg-transparent border border-gray-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-indigo-400"
@@ -3446,23 +3302,113 @@ const MarkAsSoldModal = ({ order, onClose, onSubmit }) => {
             <label className="block text-gray-300 text-sm mb-1">Location</label>
             <input
               type="text"
+              list="mark-as-sold-marketplaces"
               value={formData.location}
               onChange={(e) => setFormData({...formData, location: e.target.value})}
               className="w-full px-3 py-2 bg-transparent border border-gray-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-indigo-400"
             />
+            <datalist id="mark-as-sold-marketplaces">
+              {marketplaces.map(m => (
+                <option key={m.id} value={m.display_name}>{describeMarketplaceFee(m)}</option>
+              ))}
+            </datalist>
+            {marketplace && (
+              <p className="text-gray-400 text-xs mt-1">{marketplace.display_name} fees: {describeMarketplaceFee(marketplace)}</p>
+            )}
+          </div>
+          
+          <div className="grid grid-cols-2 gap-2">
+            <div>
+              <label className="block text-gray-300 text-sm mb-1">Fees</label>
+              <input
+                type="number"
+                step="0.01"
+                min="0"
+                value={formData.fees}
+                placeholder={(breakdown.feesCents / 100).toFixed(2)}
+                onChange={(e) => setFormData({...formData, fees: e.target.value})}
+                className="w-full px-3 py-2 bg-transparent border border-gray-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-indigo-400"
+              />
+            </div>
+            <div>
+              <label className="block text-gray-300 text-sm mb-1">Shipping</label>
+              <input
+                type="number"
+                step="0.01"
+                min="0"
+                value={formData.shipping}
+                onChange={(e) => setFormData({...formData, shipping: e.target.value})}
+                className="w-full px-3 py-2 bg-transparent border border-gray-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-indigo-400"
+              />
+            </div>
+          </div>
+
+          <div className="flex justify-between text-sm">
+            <span className="text-gray-400">Gross ${(breakdown.grossCents / 100).toFixed(2)}</span>
+            <span className="text-white">Net ${(breakdown.netCents / 100).toFixed(2)}</span>
+          </div>
+
+          {/* Tax lot matching */}
+          <div>
+            <label className="block text-gray-300 text-sm mb-1">Cost Basis Lots</label>
+            <select
+              value={lotMethod}
+              onChange={(e) => handleLotMethodChange(e.target.value)}
+              className="w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-indigo-400"
+            >
+              {Object.entries(LOT_METHODS).map(([key, method]) => (
+                <option key={key} value={key}>{method.label} - {method.description}</option>
+              ))}
+            </select>
+            <div className="mt-2 space-y-1">
+              {lots.map(lot => {
+                const allocation = allocations.find(a => a.orderId === lot.orderId);
+                return (
+                  <div key={lot.orderId} className="flex items-center justify-between text-xs">
+                    <span className="text-gray-400">
+                      {lot.acquiredDate} · {lot.remaining} @ ${(lot.unitCostCents / 100).toFixed(2)}
+                    </span>
+                    {lotMethod === 'specific' ? (
+                      <input
+                        type="number"
+                        min="0"
+                        max={lot.remaining}
+                        value={lotSelections[lot.orderId] ?? 0}
+                        onChange={(e) => setLotSelections({ ...lotSelections, [lot.orderId]: e.target.value })}
+                        className="w-14 px-1 py-0.5 bg-transparent border border-gray-600 rounded text-white text-right"
+                      />
+                    ) : (
+                      <span className={allocation ? 'text-white' : 'text-gray-600'}>
+                        {allocation ? `${allocation.quantity} sold · ${allocation.term === 'long' ? 'Long' : 'Short'} term` : '—'}
+                      </span>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+            {allocationError ? (
+              <p className="text-red-400 text-xs mt-1">{allocationError}</p>
+            ) : (
+              <div className="flex justify-between text-xs mt-1">
+                <span className="text-gray-400">Cost basis ${(allocationSummary.costBasisCents / 100).toFixed(2)}</span>
+                <span className={allocationSummary.realizedGainCents >= 0 ? 'text-green-400' : 'text-red-400'}>
+                  Gain ${(allocationSummary.realizedGainCents / 100).toFixed(2)}
+                </span>
+              </div>
+            )}
           </div>
           
           <div>
-            <label className="block text-gray-300 text-sm mb-1">Fees</label>
+            <label className="block text-gray-300 text-sm mb-1">Buyer (optional)</label>
             <input
-              type="number"
-              step="0.01"
-              value={formData.fees}
-              onChange={(e) => setFormData({...formData, fees: e.target.value})}
+              type="text"
+              value={formData.buyer}
+              onChange={(e) => setFormData({...formData, buyer: e.target.value})}
               className="w-full px-3 py-2 bg-transparent border border-gray-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-indigo-400"
+              placeholder="Name or username"
             />
           </div>
-          
+
           <div>
             <label className="block text-gray-300 text-sm mb-1">Notes</label>
             <textarea
@@ -3483,7 +3429,8 @@ const MarkAsSoldModal = ({ order, onClose, onSubmit }) => {
             </button>
             <button
               type="submit"
-              className="flex-1 px-4 py-2 text-white rounded-lg transition-colors"
+              disabled={!!allocationError}
+              className="flex-1 px-4 py-2 text-white rounded-lg transition-colors disabled:opacity-50"
               style={{ backgroundColor: '#4ADE80' }}
               onMouseEnter={(e) => e.target.style.backgroundColor = '#22C55E'}
               onMouseLeave={(e) => e.target.style.backgroundColor = '#4ADE80'}
@@ -1,15 +1,15 @@
 /**
- * Pokemon Page
- * Dedicated page for Pokemon TCG search and browsing
- * Cleaner, more focused implementation using game-specific service
+ * Game Page
+ * Search and browsing page for a single TCG, driven by its game service
+ * Pokémon orders link to pokemon_cards directly; other games link through items rows
  */
 
 import React, { useState, useEffect } from 'react';
 import { useNavigate, useParams, useSearchParams } from 'react-router-dom';
 import { Loader2, ChevronRight, Globe, MapPin, Plus, Check } from 'lucide-react';
-import pokemonGameService from '../services/games/pokemonGameService';
+import { getGameService } from '../services/games/gameServiceFactory';
 import Pagination from '../components/ui/Pagination';
-import { GAMES } from '../config/gamesConfig';
+import { GAMES, getGameById } from '../config/gamesConfig';
 import SafeImage from '../components/SafeImage';
 import CardPreviewModal from '../components/CardPreviewModal';
 import AddToCollectionModal from '../components/AddToCollectionModal';
@@ -22,7 +22,10 @@ import { useQueryClient } from '@tanstack/react-query';
 import { queryKeys } from '../lib/queryClient';
 import { supabase } from '../lib/supabaseClient';
 
-const PokemonPage = () => {
+/**
+ * @param {string} gameId - Game ID from gamesConfig (defaults to Pokémon)
+ */
+const GamePage = ({ gameId = GAMES.POKEMON.id }) => {
   const navigate = useNavigate();
   const { expansionId } = useParams();
   const [searchParams, setSearchParams] = useSearchParams();
@@ -65,8 +68,12 @@ const PokemonPage = () => {
   const [showMultiOrderSuccess, setShowMultiOrderSuccess] = useState(false);
   const [multiOrderSuccessData, setMultiOrderSuccessData] = useState(null);
 
-  // Get game config
-  const gameConfig = GAMES.POKEMON;
+  // Get game config and service
+  const gameConfig = getGameById(gameId) || GAMES.POKEMON;
+  const gameService = getGameService(gameConfig.id);
+  const isPokemon = gameConfig.id === GAMES.POKEMON.id;
+  const hasLanguages = gameConfig.features?.languages === true;
+  const basePath = `/${gameConfig.slug}`;
 
   // Load expansions on mount and when page or language filter changes
   useEffect(() => {
@@ -130,16 +137,17 @@ const PokemonPage = () => {
 
     if (expansionId && expansions.length > 0) {
       // Check if the expansion exists in our loaded expansions
-      const expansion = expansions.find(e => e.id === expansionId);
+      // Route params are strings; some games use numeric set IDs
+      const expansion = expansions.find(e => String(e.id) === expansionId);
       if (expansion) {
         setView('expansion-detail');
         setShowExpansionHeader(true);
         setSelectedExpansion(expansion);
         loadExpansionCards(expansionId);
       } else {
-        // Expansion not found, redirect to pokemon page
-        console.warn(`Expansion ${expansionId} not found, redirecting to pokemon page`);
-        navigate('/pokemon');
+        // Expansion not found, redirect to the game page
+        console.warn(`Expansion ${expansionId} not found, redirecting to ${basePath}`);
+        navigate(basePath);
       }
     } else if (searchQuery) {
       setView('search');
@@ -170,12 +178,11 @@ const PokemonPage = () => {
   const loadExpansions = async (pageNum = page) => {
     setLoading(true);
     try {
-      const result = await pokemonGameService.getExpansions({ 
+      const result = await gameService.getExpansions({ 
         page: pageNum,
         pageSize: 30,
-        sortBy: 'release_date',
-        sortOrder: 'desc',
-        languageFilter: languageFilter
+        ...(hasLanguages ? { sortBy: 'release_date', languageFilter } : {}),
+        sortOrder: 'desc'
       });
       setExpansions(result.data || []);
       setTotalExpansions(result.total || 0);
@@ -201,7 +208,7 @@ const PokemonPage = () => {
       
       if (productTypeFilter === 'sealed') {
         // Load sealed products
-        result = await pokemonGameService.getSealedProductsByExpansion(expId, {
+        result = await gameService.getSealedProductsByExpansion(expId, {
           page: pageNum,
           pageSize: 30,
           sortBy: 'name',
@@ -209,7 +216,7 @@ const PokemonPage = () => {
         });
       } else {
         // Load single cards
-        result = await pokemonGameService.getCardsByExpansion(expId, {
+        result = await gameService.getCardsByExpansion(expId, {
           page: pageNum,
           pageSize: 30,
           sortBy: 'number',
@@ -238,11 +245,11 @@ const PokemonPage = () => {
     try {
       // Search both cards and sealed products in parallel
       const [cardsResult, sealedResult] = await Promise.all([
-        pokemonGameService.searchCards(query.trim(), {
+        gameService.searchCards(query.trim(), {
           page: pageNum,
           pageSize: 15 // Half the page size for cards
         }),
-        pokemonGameService.searchSealedProducts(query.trim(), {
+        gameService.searchSealedProducts(query.trim(), {
           page: pageNum,
           pageSize: 15 // Half the page size for sealed products
         })
@@ -274,7 +281,7 @@ const PokemonPage = () => {
    * Handle expansion click
    */
   const handleExpansionClick = (expansion) => {
-    navigate(`/pokemon/expansions/${expansion.id}`);
+    navigate(`${basePath}/expansions/${expansion.id}`);
   };
 
   /**
@@ -324,12 +331,13 @@ const PokemonPage = () => {
       marketValue: parseFloat(card.marketValue || 0),
       price: null, // User will enter their own price in the cart
       imageUrl: card.image_url,
-      source: 'pokemon',
+      source: gameConfig.id,
       itemType: card.itemType || (card.supertype === 'Sealed Product' ? 'Sealed' : 'Single'),
       cardCondition: card.itemType === 'Sealed' || card.supertype === 'Sealed Product' ? null : 'Raw',
       gradingCompany: card.itemType === 'Sealed' || card.supertype === 'Sealed Product' ? null : null,
       gradingGrade: card.itemType === 'Sealed' || card.supertype === 'Sealed Product' ? null : null,
-      api_id: card.id
+      api_id: card.id,
+      tcgplayer_product_id: card.tcgplayer_product_id || null
     };
 
 
@@ -420,12 +428,13 @@ const PokemonPage = () => {
             marketValue: parseFloat(card.marketValue || 0),
             price: null, // User will enter their own price in the cart
             imageUrl: card.image_url,
-            source: 'pokemon',
+            source: gameConfig.id,
             itemType: card.itemType || (card.supertype === 'Sealed Product' ? 'Sealed' : 'Single'),
             cardCondition: card.itemType === 'Sealed' || card.supertype === 'Sealed Product' ? null : 'Raw',
             gradingCompany: card.itemType === 'Sealed' || card.supertype === 'Sealed Product' ? null : null,
             gradingGrade: card.itemType === 'Sealed' || card.supertype === 'Sealed Product' ? null : null,
-            api_id: card.id
+            api_id: card.id,
+            tcgplayer_product_id: card.tcgplayer_product_id || null
           };
           newCart = [...prev, { ...cardData, quantity: 1 }];
         }
@@ -530,13 +539,16 @@ const PokemonPage = () => {
           return null;
         }
 
+        // Other games have no orders column of their own, so they link through an items row
+        const itemId = isPokemon ? null : await gameService.getOrCreateCollectionItem(item);
+
         return {
           // User identification
           user_id: user.id,
           // Link directly to pokemon_cards table
-          pokemon_card_id: item.api_id || null,
-          item_id: null, // For custom items only
-          product_source: 'pokemon',
+          pokemon_card_id: isPokemon ? item.api_id : null,
+          item_id: itemId,
+          product_source: gameConfig.id,
           // Order details
           purchase_date: orderData.date,
           price_per_item_cents: buyPriceCents,
@@ -550,7 +562,8 @@ const PokemonPage = () => {
           item_type: itemType,
           card_condition: cardCondition,
           grading_company: gradingCompany,
-          grading_grade: gradingGrade
+          grading_grade: gradingGrade,
+          raw_condition: item.rawCondition || null
         };
       });
 
@@ -626,17 +639,17 @@ const PokemonPage = () => {
 
     if (view === 'expansion-detail' && selectedExpansion) {
       breadcrumbs.push(
-        { name: 'Pokémon', path: '/pokemon' },
+        { name: gameConfig.name, path: basePath },
         { name: selectedExpansion.name, path: null, isCurrent: true }
       );
     } else if (view === 'search') {
       breadcrumbs.push(
-        { name: 'Pokémon', path: '/pokemon' },
+        { name: gameConfig.name, path: basePath },
         { name: 'Search Results', path: null, isCurrent: true }
       );
     } else {
       breadcrumbs.push(
-        { name: 'Pokémon', path: null, isCurrent: true }
+        { name: gameConfig.name, path: null, isCurrent: true }
       );
     }
 
@@ -677,7 +690,7 @@ const PokemonPage = () => {
               {/* Title and Count - Bottom aligned with toggle */}
               <div className="flex flex-col">
                 <h2 className="font-semibold text-white leading-tight" style={{ fontSize: '14px' }}>
-                  {languageFilter === 'english' ? 'English Expansions' : 'Japanese Expansions'}
+                  {!hasLanguages ? 'Expansions' : languageFilter === 'english' ? 'English Expansions' : 'Japanese Expansions'}
                 </h2>
                 <span className="text-xs text-gray-400 leading-tight mt-0.5">
                   {totalExpansions} expansion{totalExpansions !== 1 ? 's' : ''} found
@@ -686,7 +699,7 @@ const PokemonPage = () => {
 
               {/* Logo and Toggle Container */}
               <div className="flex flex-col items-center space-y-1">
-                {/* Pokémon Logo - Centered above toggle */}
+                {/* Game Logo - Centered above toggle */}
                 <img 
                   src={gameConfig.logo}
                   alt={gameConfig.name}
@@ -694,28 +707,30 @@ const PokemonPage = () => {
                 />
                 
                 {/* Language Toggle */}
-                <div className="relative inline-flex rounded-lg bg-gray-800 p-1">
-                  <button
-                    onClick={() => setLanguageFilter('english')}
-                    className={`px-3 py-1 text-sm rounded-md transition-colors ${
-                      languageFilter === 'english'
-                        ? 'bg-indigo-600 text-white'
-                        : 'bg-white text-white hover:bg-gray-700'
-                    }`}
-                  >
-                    ENG
-                  </button>
-                  <button
-                    onClick={() => setLanguageFilter('japanese')}
-                    className={`px-3 py-1 text-sm rounded-md transition-colors ${
-                      languageFilter === 'japanese'
-                        ? 'bg-indigo-600 text-white'
-                        : 'bg-white text-white hover:bg-gray-700'
-                    }`}
-                  >
-                    JPN
-                  </button>
-                </div>
+                {hasLanguages && (
+                  <div className="relative inline-flex rounded-lg bg-gray-800 p-1">
+                    <button
+                      onClick={() => setLanguageFilter('english')}
+                      className={`px-3 py-1 text-sm rounded-md transition-colors ${
+                        languageFilter === 'english'
+                          ? 'bg-indigo-600 text-white'
+                          : 'bg-white text-white hover:bg-gray-700'
+                      }`}
+                    >
+                      ENG
+                    </button>
+                    <button
+                      onClick={() => setLanguageFilter('japanese')}
+                      className={`px-3 py-1 text-sm rounded-md transition-colors ${
+                        languageFilter === 'japanese'
+                          ? 'bg-indigo-600 text-white'
+                          : 'bg-white text-white hover:bg-gray-700'
+                      }`}
+                    >
+                      JPN
+                    </button>
+                  </div>
+                )}
               </div>
             </div>
           )}
@@ -1120,6 +1135,8 @@ const PokemonPage = () => {
             imageUrl: selectedCardForCollection.image_url,
             source: 'api',
             api_id: selectedCardForCollection.id,
+            tcgplayer_product_id: selectedCardForCollection.tcgplayer_product_id || null,
+            gameId: gameConfig.id,
             itemType: selectedCardForCollection.itemType || (selectedCardForCollection.supertype === 'Sealed Product' ? 'Sealed' : 'Single')
           }}
           isOpen={isAddToCollectionModalOpen}
@@ -1157,5 +1174,5 @@ const PokemonPage = () => {
   );
 };
 
-export default PokemonPage;
+export default GamePage;
 
@@ -0,0 +1,611 @@
+import React, { useState, useMemo } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useModal } from '../contexts/ModalContext';
+import { useCurrency } from '../contexts/CurrencyContext';
+import { queryKeys } from '../lib/queryClient';
+import gradingSubmissionService from '../services/gradingSubmissionService';
+import { SUPPORTED_CURRENCIES, DEFAULT_CURRENCY, convertCents, getTransactionCurrency } from '../utils/currency';
+import { formatMoney } from '../utils/money';
+import {
+  GRADING_COMPANIES,
+  getCompanyGrades,
+  getGradingStatusLabel,
+  getGradingStatusColor,
+  getNextGradingStatus,
+  isSubmissionOpen,
+  allocateGradingFees,
+  getSubmissionTotalFees,
+  getSubmissionDeclaredValue
+} from '../utils/gradingStatus';
+
+const emptyForm = {
+  company: 'PSA',
+  service_tier: '',
+  submission_number: '',
+  fee_per_card: '',
+  other_fees: '',
+  currency: '',
+  notes: '',
+  // { [orderId]: { quantity, declaredValue } }
+  cards: {}
+};
+
+const Grading = () => {
+  const { openModal, closeModal } = useModal();
+  const { baseCurrency, rateTable } = useCurrency();
+  const queryClient = useQueryClient();
+  const [statusFilter, setStatusFilter] = useState('open');
+  const [expandedId, setExpandedId] = useState(null);
+  const [showCreate, setShowCreate] = useState(false);
+  const [formData, setFormData] = useState(emptyForm);
+  const [results, setResults] = useState({});
+  const [returnedDate, setReturnedDate] = useState('');
+
+  const { data: submissions = [], isLoading, error } = useQuery({
+    queryKey: queryKeys.gradingSubmissions,
+    queryFn: () => gradingSubmissionService.getSubmissions(),
+    staleTime: 60 * 1000,
+  });
+
+  const { data: eligibleOrders = [] } = useQuery({
+    queryKey: queryKeys.gradingEligibleOrders,
+    queryFn: () => gradingSubmissionService.getEligibleOrders(),
+    enabled: showCreate,
+  });
+
+  const invalidateGradingQueries = () => {
+    queryClient.invalidateQueries({ queryKey: queryKeys.gradingSubmissions });
+    queryClient.invalidateQueries({ queryKey: queryKeys.gradingEligibleOrders });
+  };
+
+  const createSubmissionMutation = useMutation({
+    mutationFn: ({ submission, items }) => gradingSubmissionService.createSubmission(submission, items),
+    onSuccess: () => {
+      invalidateGradingQueries();
+      handleCloseCreate();
+    }
+  });
+
+  const updateStatusMutation = useMutation({
+    mutationFn: ({ id, status }) => gradingSubmissionService.updateSubmissionStatus(id, status),
+    onSuccess: invalidateGradingQueries
+  });
+
+  // Graded copies change card type, valuation and cost basis in Collection and Analytics
+  const recordResultsMutation = useMutation({
+    mutationFn: ({ submission }) => gradingSubmissionService.recordResults(submission, results, {
+      returnedDate: returnedDate || null,
+      rateTable
+    }),
+    onSuccess: () => {
+      invalidateGradingQueries();
+      queryClient.invalidateQueries({ queryKey: queryKeys.orders });
+      queryClient.invalidateQueries({ queryKey: queryKeys.analyticsOrders });
+      setResults({});
+      setReturnedDate('');
+    }
+  });
+
+  const deleteSubmissionMutation = useMutation({
+    mutationFn: (id) => gradingSubmissionService.deleteSubmission(id),
+    onSuccess: () => {
+      invalidateGradingQueries();
+      setExpandedId(null);
+    }
+  });
+
+  const formatDate = (dateString) => {
+    if (!dateString) return 'N/A';
+    // Plain dates are calendar days - don't shift them by timezone
+    const date = dateString.length === 10 ? new Date(`${dateString}T00:00:00`) : new Date(dateString);
+    return date.toLocaleDateString();
+  };
+
+  const stats = useMemo(() => {
+    const open = submissions.filter(isSubmissionOpen);
+    return {
+      openSubmissions: open.length,
+      cardsAtGrader: open.reduce((sum, submission) => sum + submission.items.length, 0),
+      cardsGraded: submissions.reduce((sum, submission) => sum + submission.items.filter(item => item.grade).length, 0)
+    };
+  }, [submissions]);
+
+  const visibleSubmissions = submissions.filter(submission => {
+    if (statusFilter === 'open') return isSubmissionOpen(submission);
+    if (statusFilter === 'returned') return !isSubmissionOpen(submission);
+    return true;
+  });
+
+  const formCurrency = formData.currency || baseCurrency || DEFAULT_CURRENCY;
+  const formCompany = GRADING_COMPANIES.find(company => company.value === formData.company);
+  const selectedCopies = Object.values(formData.cards).reduce((sum, card) => sum + card.quantity, 0);
+
+  const handleOpenCreate = () => {
+    setFormData(emptyForm);
+    setShowCreate(true);
+    openModal();
+  };
+
+  const handleCloseCreate = () => {
+    setShowCreate(false);
+    setFormData(emptyForm);
+    closeModal();
+  };
+
+  const setCardQuantity = (order, quantity) => {
+    setFormData(prev => {
+      const cards = { ...prev.cards };
+      const clamped = Math.max(0, Math.min(quantity, order.available_quantity));
+      if (clamped === 0) {
+        delete cards[order.id];
+      } else {
+        // Catalog market values are in USD; declare in the submission's currency
+        const defaultDeclared = convertCents(order.market_value_cents || 0, DEFAULT_CURRENCY, formCurrency, null, rateTable);
+        cards[order.id] = {
+          quantity: clamped,
+          declaredValue: cards[order.id]?.declaredValue ?? ((defaultDeclared || 0) / 100).toFixed(2)
+        };
+      }
+      return { ...prev, cards };
+    });
+  };
+
+  const handleCreate = () => {
+    const items = Object.entries(formData.cards).flatMap(([orderId, card]) =>
+      Array.from({ length: card.quantity }, () => ({
+        order_id: orderId,
+        declared_value_cents: Math.round((parseFloat(card.declaredValue) || 0) * 100)
+      }))
+    );
+
+    createSubmissionMutation.mutate({
+      submission: {
+        company: formData.company,
+        service_tier: formData.service_tier.trim() || null,
+        submission_number: formData.submission_number.trim() || null,
+        fee_per_card_cents: Math.round((parseFloat(formData.fee_per_card) || 0) * 100),
+        other_fees_cents: Math.round((parseFloat(formData.other_fees) || 0) * 100),
+        currency: formCurrency === DEFAULT_CURRENCY ? null : formCurrency,
+        notes: formData.notes.trim() || null
+      },
+      items
+    });
+  };
+
+  const setResult = (itemId, field, value) => {
+    setResults(prev => ({ ...prev, [itemId]: { ...prev[itemId], [field]: value } }));
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center min-h-screen">
+        <div className="text-center">
+          <div className="w-8 h-8 border-4 border-blue-400 border-t-transparent rounded-full animate-spin mx-auto mb-4"></div>
+          <p className="text-gray-400">Loading grading submissions...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="flex items-center justify-center min-h-screen">
+        <div className="text-center">
+          <div className="text-red-400 mb-4">Error loading grading submissions</div>
+          <p className="text-gray-400">{error.message}</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-full">
+      {/* Header */}
+      <div className="px-4 md:px-6 lg:px-8 py-3">
+        <div className="p-4 md:p-10 lg:p-12">
+          <div className="flex items-center justify-between">
+            <div>
+              <h1 className="text-2xl font-bold text-white">Grading</h1>
+              <p className="text-gray-400">Send raw cards for grading and turn them into slabs</p>
+            </div>
+            <button
+              onClick={handleOpenCreate}
+              className="bg-blue-400 hover:bg-blue-300 text-white px-4 py-2 rounded-lg transition-colors"
+            >
+              New Submission
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {/* Stats */}
+      <div className="px-4 md:px-6 lg:px-8 pb-4">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 md:gap-6">
+          <div className="bg-gray-900 border border-gray-800 rounded-xl p-4 md:p-6">
+            <div className="text-2xl font-bold text-blue-400">{stats.openSubmissions}</div>
+            <div className="text-sm text-gray-400">Open submissions</div>
+          </div>
+          <div className="bg-gray-900 border border-gray-800 rounded-xl p-4 md:p-6">
+            <div className="text-2xl font-bold text-purple-400">{stats.cardsAtGrader}</div>
+            <div className="text-sm text-gray-400">Cards out for grading</div>
+          </div>
+          <div className="bg-gray-900 border border-gray-800 rounded-xl p-4 md:p-6">
+            <div className="text-2xl font-bold text-green-400">{stats.cardsGraded}</div>
+            <div className="text-sm text-gray-400">Cards graded</div>
+          </div>
+        </div>
+      </div>
+
+      {/* Status Filter */}
+      <div className="px-4 md:px-6 lg:px-8 pb-4">
+        <div className="flex gap-2">
+          {[
+            { value: 'open', label: 'Open' },
+            { value: 'returned', label: 'Returned' },
+            { value: 'all', label: 'All' }
+          ].map(option => (
+            <button
+              key={option.value}
+              onClick={() => setStatusFilter(option.value)}
+              className={`px-3 py-2 text-sm rounded-lg transition-colors ${
+                statusFilter === option.value
+                  ? 'bg-indigo-600 text-white'
+                  : 'text-gray-400 hover:bg-gray-800'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Submission List */}
+      <div className="px-4 md:px-6 lg:px-8 pb-8">
+        {visibleSubmissions.length === 0 ? (
+          <div className="bg-gray-900 border border-gray-800 rounded-xl p-8 text-center text-gray-400">
+            No grading submissions yet. Create one to send raw cards to PSA, BGS, CGC or SGC.
+          </div>
+        ) : (
+          <div className="space-y-3">
+            {visibleSubmissions.map(submission => {
+              const isExpanded = expandedId === submission.id;
+              const isOpen = isSubmissionOpen(submission);
+              const currency = getTransactionCurrency(submission);
+              const fees = allocateGradingFees(submission);
+              const nextStatus = getNextGradingStatus(submission.status);
+              const companyLabel = GRADING_COMPANIES.find(c => c.value === submission.company)?.label || submission.company;
+
+              return (
+                <div key={submission.id} className="bg-gray-900 border border-gray-800 rounded-xl">
+                  <button
+                    onClick={() => {
+                      setExpandedId(isExpanded ? null : submission.id);
+                      setResults({});
+                      setReturnedDate('');
+                    }}
+                    className="w-full flex items-center justify-between p-4 text-left"
+                  >
+                    <div>
+                      <div className="flex items-center gap-2">
+                        <span className="text-white font-medium">{companyLabel}</span>
+                        {submission.service_tier && (
+                          <span className="text-xs px-2 py-0.5 rounded-full bg-indigo-500/20 text-indigo-400">{submission.service_tier}</span>
+                        )}
+                        {submission.submission_number && (
+                          <span className="text-gray-400 text-sm">#{submission.submission_number}</span>
+                        )}
+                      </div>
+                      <div className="text-sm text-gray-400 mt-1">
+                        {submission.items.length} {submission.items.length === 1 ? 'card' : 'cards'} • Declared {formatMoney(getSubmissionDeclaredValue(submission), currency)} • Fees {formatMoney(getSubmissionTotalFees(submission), currency)}
+                      </div>
+                    </div>
+                    <span className={`text-sm font-medium ${getGradingStatusColor(submission.status)}`}>
+                      {getGradingStatusLabel(submission.status)}
+                    </span>
+                  </button>
+
+                  {isExpanded && (
+                    <div className="border-t border-gray-800 p-4 space-y-4">
+                      <div className="text-xs text-gray-400">
+                        Created {formatDate(submission.created_at)}
+                        {submission.shipped_date && ` • Shipped ${formatDate(submission.shipped_date)}`}
+                        {submission.received_date && ` • Received ${formatDate(submission.received_date)}`}
+                        {submission.graded_date && ` • Graded ${formatDate(submission.graded_date)}`}
+                        {submission.returned_date && ` • Returned ${formatDate(submission.returned_date)}`}
+                      </div>
+
+                      {/* Cards */}
+                      <div className="space-y-2">
+                        {submission.items.map(item => (
+                          <div key={item.id} className="grid grid-cols-1 md:grid-cols-5 gap-2 items-center text-sm">
+                            <div className="md:col-span-2">
+                              <div className="text-white">{item.order?.item_name || 'Deleted order'}</div>
+                              <div className="text-xs text-gray-400">
+                                {[item.order?.set_name, item.order?.card_number && `#${item.order.card_number}`].filter(Boolean).join(' • ')}
+                              </div>
+                            </div>
+                            <div className="text-gray-400">
+                              Declared {formatMoney(item.declared_value_cents, currency)}
+                            </div>
+                            {isOpen ? (
+                              <>
+                                <div className="grid grid-cols-2 gap-2">
+                                  <select
+                                    value={results[item.id]?.grade || ''}
+                                    onChange={(e) => setResult(item.id, 'grade', e.target.value)}
+                                    disabled={!item.order}
+                                    className="px-2 py-2 rounded-lg border border-gray-700 bg-gray-800 text-white text-sm"
+                                  >
+                                    <option value="">Grade</option>
+                                    {getCompanyGrades(submission.company).map(grade => (
+                                      <option key={grade} value={grade}>{grade}</option>
+                                    ))}
+                                  </select>
+                                  <input
+                                    type="text"
+                                    placeholder="Cert #"
+                                    value={results[item.id]?.cert_number || ''}
+                                    onChange={(e) => setResult(item.id, 'cert_number', e.target.value)}
+                                    disabled={!item.order}
+                                    className="px-2 py-2 rounded-lg border border-gray-700 bg-gray-800 text-white text-sm"
+                                  />
+                                </div>
+                                <div className="text-gray-400 md:text-right">
+                                  Fee {formatMoney(fees[item.id] || 0, currency)}
+                                </div>
+                              </>
+                            ) : (
+                              <>
+                                <div className="text-white">
+                                  {item.grade ? `${submission.company} ${item.grade}` : 'Not graded'}
+                                  {item.cert_number && <span className="text-gray-400 ml-2">#{item.cert_number}</span>}
+                                </div>
+                                <div className="text-gray-400 md:text-right">
+                                  {item.grading_fee_cents != null
+                                    ? `Fee ${formatMoney(item.grading_fee_cents, getTransactionCurrency(item.order))}`
+                                    : '-'}
+                                </div>
+                              </>
+                            )}
+                          </div>
+                        ))}
+                      </div>
+
+                      {submission.notes && (
+                        <div className="text-sm text-gray-400">{submission.notes}</div>
+                      )}
+
+                      {isOpen && (
+                        <>
+                          {/* Record Grades */}
+                          <div className="grid grid-cols-1 md:grid-cols-3 gap-2 items-end">
+                            <label className="text-xs text-gray-400">
+                              Returned
+                              <input
+                                type="date"
+                                value={returnedDate}
+                                onChange={(e) => setReturnedDate(e.target.value)}
+                                className="w-full mt-1 px-2 py-2 rounded-lg border border-gray-700 bg-gray-800 text-white text-sm"
+                              />
+                            </label>
+                            <p className="text-xs text-gray-500">
+                              Graded cards become slabs and their fee is added to the cost basis. Cards left without a grade stay raw.
+                            </p>
+                            <button
+                              onClick={() => recordResultsMutation.mutate({ submission })}
+                              disabled={recordResultsMutation.isPending}
+                              className="px-3 py-2 rounded-lg bg-indigo-600 hover:bg-indigo-500 disabled:opacity-50 text-white text-sm"
+                            >
+                              {recordResultsMutation.isPending ? 'Saving...' : 'Record Grades'}
+                            </button>
+                          </div>
+
+                          {recordResultsMutation.error && (
+                            <div className="text-sm text-red-400">{recordResultsMutation.error.message}</div>
+                          )}
+                        </>
+                      )}
+
+                      <div className="flex items-center justify-between">
+                        {nextStatus ? (
+                          <button
+                            onClick={() => updateStatusMutation.mutate({ id: submission.id, status: nextStatus })}
+                            disabled={updateStatusMutation.isPending}
+                            className="text-sm text-indigo-400 hover:text-indigo-300"
+                          >
+                            Mark {getGradingStatusLabel(nextStatus)}
+                          </button>
+                        ) : <span />}
+                        <button
+                          onClick={() => deleteSubmissionMutation.mutate(submission.id)}
+                          disabled={deleteSubmissionMutation.isPending}
+                          className="text-sm text-red-400 hover:text-red-300"
+                        >
+                          Delete Submission
+                        </button>
+                      </div>
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+
+      {/* New Submission Modal */}
+      {showCreate && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+          <div className="bg-gray-900 border border-gray-800 rounded-xl p-6 max-w-lg w-full max-h-[90vh] overflow-y-auto">
+            <h3 className="text-lg font-semibold text-white mb-4">New Grading Submission</h3>
+
+            <div className="space-y-3">
+              <div className="grid grid-cols-4 gap-2">
+                {GRADING_COMPANIES.map(company => (
+                  <button
+                    key={company.value}
+                    onClick={() => setFormData(prev => ({ ...prev, company: company.value, service_tier: '' }))}
+                    className={`px-3 py-2 text-sm rounded-lg transition-colors ${
+                      formData.company === company.value ? 'bg-indigo-600 text-white' : 'bg-gray-800 text-gray-400'
+                    }`}
+                  >
+                    {company.value}
+                  </button>
+                ))}
+              </div>
+
+              <div className="grid grid-cols-2 gap-2">
+                <input
+                  type="text"
+                  list="grading-service-tiers"
+                  placeholder="Service tier"
+                  value={formData.service_tier}
+                  onChange={(e) => setFormData(prev => ({ ...prev, service_tier: e.target.value }))}
+                  className="px-3 py-2 rounded-lg border border-gray-700 bg-gray-800 text-white text-sm"
+                />
+                <datalist id="grading-service-tiers">
+                  {(formCompany?.tiers || []).map(tier => (
+                    <option key={tier} value={tier} />
+                  ))}
+                </datalist>
+                <input
+                  type="text"
+                  placeholder="Submission number"
+                  value={formData.submission_number}
+                  onChange={(e) => setFormData(prev => ({ ...prev, submission_number: e.target.value }))}
+                  className="px-3 py-2 rounded-lg border border-gray-700 bg-gray-800 text-white text-sm"
+                />
+              </div>
+
+              <div className="grid grid-cols-3 gap-2">
+                <label className="text-xs text-gray-400">
+                  Fee per card
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={formData.fee_per_card}
+                    onChange={(e) => setFormData(prev => ({ ...prev, fee_per_card: e.target.value }))}
+                    className="w-full mt-1 px-2 py-2 rounded-lg border border-gray-700 bg-gray-800 text-white text-sm"
+                  />
+                </label>
+                <label className="text-xs text-gray-400">
+                  Shipping & other
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={formData.other_fees}
+                    onChange={(e) => setFormData(prev => ({ ...prev, other_fees: e.target.value }))}
+                    className="w-full mt-1 px-2 py-2 rounded-lg border border-gray-700 bg-gray-800 text-white text-sm"
+                  />
+                </label>
+                <label className="text-xs text-gray-400">
+                  Currency
+                  <select
+                    value={formCurrency}
+                    onChange={(e) => setFormData(prev => ({ ...prev, currency: e.target.value }))}
+                    className="w-full mt-1 px-2 py-2 rounded-lg border border-gray-700 bg-gray-800 text-white text-sm"
+                  >
+                    {SUPPORTED_CURRENCIES.map(currency => (
+                      <option key={currency.code} value={currency.code}>{currency.code}</option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+
+              <p className="text-xs text-gray-500">
+                Shipping and other fees are split evenly across the cards. Each card's fees are added to its cost basis when its grade is recorded.
+              </p>
+
+              {/* Raw Cards */}
+              <div>
+                <div className="text-sm text-white mb-2">
+                  Cards in this submission{selectedCopies > 0 && ` (${selectedCopies})`}
+                </div>
+                <div className="max-h-64 overflow-y-auto space-y-1 border border-gray-800 rounded-lg p-2">
+                  {eligibleOrders.length === 0 ? (
+                    <div className="text-sm text-gray-500 p-2">No raw cards available to submit</div>
+                  ) : eligibleOrders.map(order => {
+                    const card = formData.cards[order.id];
+                    return (
+                      <div key={order.id} className="flex items-center gap-2 p-2 rounded hover:bg-gray-800">
+                        <div className="flex-1 min-w-0">
+                          <div className="text-sm text-white truncate">{order.item_name}</div>
+                          <div className="text-xs text-gray-400 truncate">
+                            {[order.set_name, order.raw_condition || 'NM', `${order.available_quantity} available`].filter(Boolean).join(' • ')}
+                          </div>
+                        </div>
+                        {card && (
+                          <input
+                            type="number"
+                            min="0"
+                            step="0.01"
+                            title="Declared value per card"
+                            value={card.declaredValue}
+                            onChange={(e) => setFormData(prev => ({
+                              ...prev,
+                              cards: { ...prev.cards, [order.id]: { ...card, declaredValue: e.target.value } }
+                            }))}
+                            className="w-20 px-2 py-1 rounded border border-gray-700 bg-gray-800 text-white text-xs"
+                          />
+                        )}
+                        <div className="flex items-center gap-1">
+                          <button
+                            onClick={() => setCardQuantity(order, (card?.quantity || 0) - 1)}
+                            disabled={!card}
+                            className="w-6 h-6 rounded bg-gray-800 text-gray-300 disabled:opacity-50"
+                          >
+                            -
+                          </button>
+                          <span className="w-5 text-center text-sm text-white">{card?.quantity || 0}</span>
+                          <button
+                            onClick={() => setCardQuantity(order, (card?.quantity || 0) + 1)}
+                            disabled={(card?.quantity || 0) >= order.available_quantity}
+                            className="w-6 h-6 rounded bg-gray-800 text-gray-300 disabled:opacity-50"
+                          >
+                            +
+                          </button>
+                        </div>
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+
+              <textarea
+                placeholder="Notes"
+                value={formData.notes}
+                onChange={(e) => setFormData(prev => ({ ...prev, notes: e.target.value }))}
+                rows={2}
+                className="w-full px-3 py-2 rounded-lg border border-gray-700 bg-gray-800 text-white text-sm"
+              />
+            </div>
+
+            {createSubmissionMutation.error && (
+              <div className="text-sm text-red-400 mt-3">{createSubmissionMutation.error.message}</div>
+            )}
+
+            <div className="flex gap-3 mt-6">
+              <button
+                onClick={handleCloseCreate}
+                className="flex-1 px-4 py-2 rounded-lg bg-gray-800 text-gray-300 hover:bg-gray-700"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleCreate}
+                disabled={createSubmissionMutation.isPending || selectedCopies === 0}
+                className="flex-1 px-4 py-2 rounded-lg bg-indigo-600 text-white hover:bg-indigo-500 disabled:opacity-50"
+              >
+                {createSubmissionMutation.isPending ? 'Saving...' : 'Save Submission'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Grading;
@@ -9,6 +9,11 @@ import {
   getSoldCount,
   getStatusDisplayText
 } from '../utils/orderStatus';
+import ExportMenu from '../components/ExportMenu';
+import ImportOrdersModal from '../components/ImportOrdersModal';
+import offlineSyncService from '../services/offlineSyncService';
+import orderLedgerService from '../services/orderLedgerService';
+import { getOrderVersions } from '../utils/offlineMutations';
 
 const Orders = () => {
   const { openModal, closeModal } = useModal();
@@ -18,6 +23,7 @@ const Orders = () => {
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(null);
   const [filterStatus, setFilterStatus] = useState('all');
   const [searchQuery, setSearchQuery] = useState('');
+  const [showImportModal, setShowImportModal] = useState(false);
 
   // Ensure page scrolls to top when component mounts
   useEffect(() => {
@@ -46,16 +52,10 @@ const Orders = () => {
     setTimeout(scrollToTop, 100);
   }, []);
 
-  // Fetch orders with item details
+  // Fetch orders with item details (from the offline copy without a connection)
   const { data: orders = [], isLoading, error } = useQuery({
     queryKey: ['orders'],
-    queryFn: async () => {
-      // Get current user
-      const { data: { user } } = await supabase.auth.getUser();
-      if (!user) {
-        throw new Error('User not authenticated');
-      }
-
+    queryFn: () => offlineSyncService.loadMirrored('orderList', async () => {
       // Use the individual_orders_clean view which has all the data we need
       const { data, error } = await supabase
         .from('individual_orders_clean')
@@ -63,30 +63,21 @@ const Orders = () => {
         .order('created_at', { ascending: false });
 
       if (error) throw error;
-      return data || [];
-    }
+      // Versions let edits made here detect changes from other devices
+      return orderLedgerService.withVersions(data || []);
+    }),
+    networkMode: 'always'
   });
 
-  // Update order mutation
+  // Update order mutation (queued while offline)
   const updateOrderMutation = useMutation({
-    mutationFn: async ({ id, updates }) => {
-      // Get current user
-      const { data: { user } } = await supabase.auth.getUser();
-      if (!user) {
-        throw new Error('User not authenticated');
-      }
-
-      const { data, error } = await supabase
-        .from('orders')
-        .update(updates)
-        .eq('id', id)
-        .eq('user_id', user.id)
-        .select()
-        .single();
-
-      if (error) throw error;
-      return data;
-    },
+    mutationFn: ({ id, updates }) => offlineSyncService.run('update-order', {
+      orderId: id,
+      updates,
+      versions: getOrderVersions(orders, [id]),
+      display: { item_name: orders.find(order => order.id === id)?.item_name }
+    }),
+    networkMode: 'always',
     onSuccess: () => {
       queryClient.invalidateQueries(['orders']);
       setEditingOrder(null);
@@ -94,23 +85,13 @@ const Orders = () => {
     }
   });
 
-  // Delete order mutation
+  // Delete order mutation (queued while offline)
   const deleteOrderMutation = useMutation({
-    mutationFn: async (id) => {
-      // Get current user
-      const { data: { user } } = await supabase.auth.getUser();
-      if (!user) {
-        throw new Error('User not authenticated');
-      }
-
-      const { error } = await supabase
-        .from('orders')
-        .delete()
-        .eq('id', id)
-        .eq('user_id', user.id);
-
-      if (error) throw error;
-    },
+    mutationFn: (id) => offlineSyncService.run('delete-orders', {
+      orderIds: [id],
+      versions: getOrderVersions(orders, [id])
+    }),
+    networkMode: 'always',
     onSuccess: () => {
       queryClient.invalidateQueries(['orders']);
       setShowDeleteConfirm(null);
@@ -236,12 +217,15 @@ const Orders = () => {
               <h1 className="text-2xl font-bold text-white">Order Book</h1>
               <p className="text-gray-400">Manage your trading history</p>
             </div>
-            <button className="bg-blue-400 hover:bg-blue-300 text-white px-4 py-2 rounded-lg transition-colors">
-              <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
-              </svg>
-              New Order
-            </button>
+            <div className="flex items-center gap-2">
+              <ExportMenu onImport={() => setShowImportModal(true)} />
+              <button className="bg-blue-400 hover:bg-blue-300 text-white px-4 py-2 rounded-lg transition-colors">
+                <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
+                </svg>
+                New Order
+              </button>
+            </div>
           </div>
         </div>
       </div>
@@ -581,6 +565,12 @@ const Orders = () => {
           </div>
         </div>
       )}
+
+      <ImportOrdersModal
+        isOpen={showImportModal}
+        onClose={() => setShowImportModal(false)}
+        onImported={() => queryClient.invalidateQueries(['orders'])}
+      />
     </div>
   );
 };
@@ -4,13 +4,14 @@ import { Search, Filter, Loader2, Star, X, ChevronDown, Plus, MoreVertical, Arro
 import expansionDataService from '../services/expansionDataService';
 import simpleSearchService from '../services/simpleSearchService';
 import searchCacheService from '../services/searchCacheService';
-import { getGameService, hasGameService } from '../services/games/gameServiceFactory';
+import { getGameService, hasGameService, getGamePickerOptions } from '../services/games/gameServiceFactory';
 import { getGameById } from '../config/gamesConfig';
 import SafeImage from '../components/SafeImage';
 import CardPreviewModal from '../components/CardPreviewModal';
 import CustomItemModal from '../components/CustomItemModal';
 import AddToCollectionModal from '../components/AddToCollectionModal';
 import CartBottomMenu from '../components/CartBottomMenu';
+import SetCompletionPanel from '../components/SetCompletionPanel';
 import { createBulkOrders } from '../utils/orderNumbering';
 import { supabase } from '../lib/supabaseClient';
 import { useModal } from '../contexts/ModalContext';
@@ -30,70 +31,7 @@ const SearchApi = () => {
   const queryClient = useQueryClient();
   
   // Available games with icons
-  const games = [
-    {
-      id: 'all',
-      name: 'All',
-      icon: 'https://scrydex.com/assets/tcgs/icon_all-aae9eef01e74aeab7fb5fef2c48004727400df0636e016ffcfa9741e012ed8ac.png',
-      description: 'Browse all trading card games',
-      color: 'from-gray-500 to-gray-600'
-    },
-    {
-      id: 'pokemon',
-      name: 'Pokémon',
-      logo: 'https://scrydex.com/assets/tcgs/logo_pokemon-8a159e17ae61d5720bfe605ab12acde3a8d7e5ff986e9979c353f66396b500f2.png',
-      icon: 'https://scrydex.com/assets/tcgs/icon_pokemon-386fb418d8f003048ea382cbe3f9a5c1518c3b3bad005e7891c2eb0798278d60.png',
-      description: 'The world\'s most popular trading card game',
-      color: 'from-yellow-500 to-blue-600',
-      enabled: true
-    },
-    {
-      id: 'lorcana',
-      name: 'Disney Lorcana',
-      logo: 'https://scrydex.com/assets/tcgs/logo_lorcana-7127a308645f2a2d4eb4e9b38f1928a157960ed9ae4cab839952de98c902816e.png',
-      icon: 'https://scrydex.com/assets/tcgs/icon_lorcana-f68779c6b7609ad758b3126d347ea1e2cf8bb3944edb52a2d620b73f2ee8a300.png',
-      description: 'Disney\'s magical trading card game',
-      color: 'from-purple-500 to-pink-600',
-      enabled: false
-    },
-    {
-      id: 'magic',
-      name: 'Magic: The Gathering',
-      logo: 'https://scrydex.com/assets/tcgs/logo_mtg-a99225ad3a6ecb7c7fdc9c579a187289aee78c3eeb577f92086dcc8a57f1738e.png',
-      icon: 'https://scrydex.com/assets/tcgs/icon_magicthegathering-e2151698e87443ceccb0ad4b6c98dac19d1b244cce24bac76f52c506046d5833.png',
-      description: 'The original trading card game',
-      color: 'from-red-500 to-orange-600',
-      enabled: false
-    },
-    {
-      id: 'gundam',
-      name: 'Gundam Card Game',
-      logo: 'https://scrydex.com/assets/tcgs/logo_gundam-2e130fb7d7d5b295a6377c6994657d0b0041fdf13158e72709f7a21bb01e9a2a.png',
-      icon: 'https://scrydex.com/assets/tcgs/icon_gundam-72d1c7c2890e7862b3c52b4d8851825dea709a8f279d70dd19c12aaea1e4462c.png',
-      description: 'Mobile Suit Gundam trading cards',
-      color: 'from-blue-500 to-cyan-600',
-      enabled: false
-    },
-    {
-      id: 'other',
-      name: 'Other',
-      logo: 'https://i.ibb.co/vvBYXsQH/other.png',
-      icon: 'https://i.ibb.co/FLvRvfGM/other-icon.png',
-      description: 'Manually added products',
-      color: 'from-purple-400 to-purple-600',
-      enabled: true
-    },
-    {
-      id: 'coming-soon',
-      name: 'More Coming Soon',
-      logo: null,
-      icon: null,
-      description: 'Additional trading card games',
-      color: 'from-gray-400 to-gray-500',
-      badge: 'SOON',
-      enabled: false
-    }
-  ];
+  const games = getGamePickerOptions();
 
   // Navigation state
   const [currentView, setCurrentView] = useState('games'); // 'games', 'expansions', 'search', 'manual'
@@ -1280,7 +1218,9 @@ const SearchApi = () => {
           item_type: itemType,
           card_condition: cardCondition,
           grading_company: gradingCompany,
-          grading_grade: gradingGrade
+          grading_grade: gradingGrade,
+          raw_condition: item.rawCondition || null,
+          card_variant: item.cardVariant || null
         };
       });
 
@@ -1315,6 +1255,7 @@ const SearchApi = () => {
       // Invalidate queries to refresh data
       queryClient.invalidateQueries(queryKeys.orders);
       queryClient.invalidateQueries(queryKeys.collectionSummary);
+      queryClient.invalidateQueries({ queryKey: ['setCompletion'] });
 
     } catch (error) {
       console.error('❌ Error creating order:', error);
@@ -1324,6 +1265,36 @@ const SearchApi = () => {
     }
   };
 
+  // Drop the missing cards of a set into the cart so they can be bought as one order
+  const addMissingToCart = (slots) => {
+    setCartItems(prev => {
+      const existingIds = new Set(prev.map(item => item.id));
+      const missingItems = slots
+        .filter(slot => !existingIds.has(slot.key))
+        .map(slot => ({
+          id: slot.key,
+          name: `${slot.name}${slot.number ? ` #${slot.number}` : ''}${slot.variantLabel ? ` (${slot.variantLabel})` : ''}`,
+          set: slot.expansionName,
+          marketValue: slot.marketPrice || 0,
+          price: null, // User will enter their own price in the cart
+          imageUrl: slot.imageUrl,
+          rarity: slot.rarity,
+          source: 'api',
+          api_id: slot.cardId,
+          cardVariant: slot.variant,
+          itemType: 'Single',
+          cardCondition: 'Raw',
+          gradingCompany: null,
+          gradingGrade: null,
+          quantity: 1
+        }));
+      return [...prev, ...missingItems];
+    });
+    setSelectedItems(prev => new Set([...prev, ...slots.map(slot => slot.key)]));
+    enterMultiSelectMode();
+    openCartMenu();
+  };
+
   // Hold-to-select functionality
   const handleCardPressStart = (card) => {
     if (contextMultiSelectMode) return;
@@ -1493,13 +1464,13 @@ const SearchApi = () => {
   const handleGameSelect = (game) => {
     // Prevent selection of disabled games
     if (game.enabled === false) {
-      setError(`${game.name} is not yet available. Currently only Pokémon and manually added items are available.`);
+      setError(`${game.name} is not yet available.`);
       return;
     }
     
     if (game.badge === 'SOON') {
       // Show coming soon message for games not yet available
-      setError(`${game.name} is coming soon! Currently only Pokémon cards are available.`);
+      setError(`${game.name} is coming soon!`);
       return;
     }
     
@@ -2648,6 +2619,14 @@ const SearchApi = () => {
                 </div>
               </div>
             )}
+
+            {/* Set Completion - owned vs missing singles */}
+            {selectedExpansion && expansionViewMode !== 'sealed' && (
+              <SetCompletionPanel
+                expansion={selectedExpansion}
+                onAddMissingToCart={addMissingToCart}
+              />
+            )}
             
 
 
@@ -3492,6 +3471,7 @@ const SearchApi = () => {
             // Invalidate collection queries to refresh data
             queryClient.invalidateQueries({ queryKey: queryKeys.orders });
             queryClient.invalidateQueries({ queryKey: queryKeys.collectionSummary });
+            queryClient.invalidateQueries({ queryKey: ['setCompletion'] });
           }}
         />
       )}
@@ -5,6 +5,9 @@ import { useModal } from '../contexts/ModalContext';
 import { useAdmin } from '../hooks/useAdmin';
 import { Shield } from 'lucide-react';
 import ThemeSettings from '../components/ThemeSettings';
+import CurrencySettings from '../components/CurrencySettings';
+import ConditionDiscountSettings from '../components/ConditionDiscountSettings';
+import PricingProviderSettings from '../components/PricingProviderSettings';
 import ScrydexSyncSettings from '../components/ScrydexSyncSettings';
 import AccountDeletionModal from '../components/AccountDeletionModal';
 
@@ -132,6 +135,15 @@ const Settings = () => {
             <div className="space-y-6">
               {/* Theme Settings */}
               <ThemeSettings />
+
+              {/* Base currency and exchange rates */}
+              <CurrencySettings />
+
+              {/* Fallback values of raw card conditions */}
+              <ConditionDiscountSettings />
+
+              {/* Order of pricing sources per product kind */}
+              <PricingProviderSettings />
               
               {/* Admin Dashboard Button - Only show to admins */}
               {isAdmin && (
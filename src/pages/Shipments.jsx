@@ -1,104 +1,534 @@
-import React from 'react';
+import React, { useState, useMemo } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useModal } from '../contexts/ModalContext';
+import { queryKeys } from '../lib/queryClient';
+import shipmentService from '../services/shipmentService';
+import {
+  SHIPMENT_STATUSES,
+  CARRIERS,
+  getShipmentStatusLabel,
+  getShipmentStatusColor,
+  isShipmentActive,
+  getTrackingUrl
+} from '../utils/shipmentStatus';
+
+const emptyForm = {
+  direction: 'inbound',
+  carrier: 'usps',
+  tracking_number: '',
+  status: 'pending',
+  shipped_date: '',
+  expected_date: '',
+  cost: '',
+  notes: '',
+  linkIds: []
+};
 
 const Shipments = () => {
-  return (
-    <div className="min-h-screen bg-gray-900 text-white">
-      {/* Coming Soon Content */}
-      <div className="px-4 md:px-6 lg:px-8 py-12">
+  const { openModal, closeModal } = useModal();
+  const queryClient = useQueryClient();
+  const [directionFilter, setDirectionFilter] = useState('all');
+  const [expandedId, setExpandedId] = useState(null);
+  const [showCreate, setShowCreate] = useState(false);
+  const [formData, setFormData] = useState(emptyForm);
+  const [statusForm, setStatusForm] = useState({ status: '', location: '', description: '' });
+
+  const { data: shipments = [], isLoading, error } = useQuery({
+    queryKey: queryKeys.shipments,
+    queryFn: () => shipmentService.getShipments(),
+    staleTime: 60 * 1000,
+  });
+
+  const { data: linkable = { purchaseGroups: [], saleRecords: [] } } = useQuery({
+    queryKey: queryKeys.shipmentLinkableOrders,
+    queryFn: () => shipmentService.getLinkableOrders(),
+    enabled: showCreate,
+  });
+
+  // Shipping cost and in-transit state feed Collection's cost basis and on-hand view
+  const invalidateShipmentQueries = () => {
+    queryClient.invalidateQueries({ queryKey: queryKeys.shipments });
+    queryClient.invalidateQueries({ queryKey: queryKeys.orders });
+  };
+
+  const createShipmentMutation = useMutation({
+    mutationFn: ({ shipment, links }) => shipmentService.createShipment(shipment, links),
+    onSuccess: () => {
+      invalidateShipmentQueries();
+      handleCloseCreate();
+    }
+  });
+
+  const updateStatusMutation = useMutation({
+    mutationFn: ({ id, status, details }) => shipmentService.updateShipmentStatus(id, status, details),
+    onSuccess: () => {
+      invalidateShipmentQueries();
+      setStatusForm({ status: '', location: '', description: '' });
+    }
+  });
+
+  const deleteShipmentMutation = useMutation({
+    mutationFn: (id) => shipmentService.deleteShipment(id),
+    onSuccess: () => {
+      invalidateShipmentQueries();
+      setExpandedId(null);
+    }
+  });
+
+  const formatPrice = (cents) => `$${((cents || 0) / 100).toFixed(2)}`;
+  const formatDate = (dateString) => {
+    if (!dateString) return 'N/A';
+    // Plain dates are calendar days - don't shift them by timezone
+    const date = dateString.length === 10 ? new Date(`${dateString}T00:00:00`) : new Date(dateString);
+    return date.toLocaleDateString();
+  };
+
+  const stats = useMemo(() => {
+    const now = new Date();
+    return {
+      incoming: shipments.filter(s => s.direction === 'inbound' && isShipmentActive(s)).length,
+      outgoing: shipments.filter(s => s.direction === 'outbound' && isShipmentActive(s)).length,
+      deliveredThisMonth: shipments.filter(s => {
+        if (s.status !== 'delivered' || !s.delivered_date) return false;
+        const delivered = new Date(`${s.delivered_date}T00:00:00`);
+        return delivered.getMonth() === now.getMonth() && delivered.getFullYear() === now.getFullYear();
+      }).length
+    };
+  }, [shipments]);
+
+  const visibleShipments = shipments.filter(s => directionFilter === 'all' || s.direction === directionFilter);
+
+  // Link options for the selected direction
+  const linkOptions = formData.direction === 'inbound'
+    ? linkable.purchaseGroups.map(group => ({
+        id: group.order_group_id,
+        label: `${group.item_names.slice(0, 2).join(', ')}${group.item_names.length > 2 ? ` +${group.item_names.length - 2} more` : ''}`,
+        detail: `${formatDate(group.purchase_date)} • ${group.retailer_name || 'Unknown retailer'} • ${group.item_count} items • ${formatPrice(group.total_cost_cents)}`
+      }))
+    : linkable.saleRecords.map(sale => ({
+        id: `${sale.order_id}:${sale.sale_id}`,
+        label: sale.item_name,
+        detail: `${formatDate(sale.sale_date)} • ${sale.sale_location || 'Unknown location'} • Qty ${sale.quantity}`
+      }));
+
+  const handleOpenCreate = () => {
+    setFormData(emptyForm);
+    setShowCreate(true);
+    openModal();
+  };
+
+  const handleCloseCreate = () => {
+    setShowCreate(false);
+    setFormData(emptyForm);
+    closeModal();
+  };
+
+  const toggleLink = (id) => {
+    setFormData(prev => ({
+      ...prev,
+      linkIds: prev.linkIds.includes(id) ? prev.linkIds.filter(linkId => linkId !== id) : [...prev.linkIds, id]
+    }));
+  };
+
+  const handleCreate = () => {
+    const links = formData.direction === 'inbound'
+      ? formData.linkIds.map(id => ({ order_group_id: id }))
+      : formData.linkIds.map(id => {
+          const [orderId, saleId] = id.split(':');
+          return { order_id: orderId, sale_id: saleId };
+        });
+
+    createShipmentMutation.mutate({
+      shipment: {
+        direction: formData.direction,
+        carrier: formData.carrier,
+        tracking_number: formData.tracking_number.trim() || null,
+        status: formData.status,
+        shipped_date: formData.shipped_date || null,
+        expected_date: formData.expected_date || null,
+        cost_cents: Math.round((parseFloat(formData.cost) || 0) * 100),
+        notes: formData.notes.trim() || null
+      },
+      links
+    });
+  };
+
+  const handleStatusUpdate = (shipment) => {
+    if (!statusForm.status) return;
+    updateStatusMutation.mutate({
+      id: shipment.id,
+      status: statusForm.status,
+      details: {
+        location: statusForm.location.trim() || null,
+        description: statusForm.description.trim() || null
+      }
+    });
+  };
+
+  const describeLinks = (shipment) => {
+    const count = shipment.shipment_orders.length;
+    if (count === 0) return 'No linked orders';
+    if (shipment.direction === 'inbound') return `${count} purchase ${count === 1 ? 'order' : 'orders'}`;
+    return `${count} ${count === 1 ? 'sale' : 'sales'}`;
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center min-h-screen">
         <div className="text-center">
-          {/* Blurred Truck Icon */}
-          <div className="mb-8">
-            <div className="inline-block filter blur-sm">
-              <svg className="w-24 h-24 mx-auto text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7v8a2 2 0 002 2h6M8 7V5a2 2 0 012-2h4.586a1 1 0 01.707.293l4.414 4.414a1 1 0 01.293.707V15a2 2 0 01-2 2h-2M8 7H6a2 2 0 00-2 2v10a2 2 0 002 2h8a2 2 0 002-2v-2" />
-              </svg>
+          <div className="w-8 h-8 border-4 border-blue-400 border-t-transparent rounded-full animate-spin mx-auto mb-4"></div>
+          <p className="text-gray-400">Loading shipments...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="flex items-center justify-center min-h-screen">
+        <div className="text-center">
+          <div className="text-red-400 mb-4">Error loading shipments</div>
+          <p className="text-gray-400">{error.message}</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-full">
+      {/* Header */}
+      <div className="px-4 md:px-6 lg:px-8 py-3">
+        <div className="p-4 md:p-10 lg:p-12">
+          <div className="flex items-center justify-between">
+            <div>
+              <h1 className="text-2xl font-bold text-white">Shipments</h1>
+              <p className="text-gray-400">Track incoming purchases and outgoing sales</p>
             </div>
+            <button
+              onClick={handleOpenCreate}
+              className="bg-blue-400 hover:bg-blue-300 text-white px-4 py-2 rounded-lg transition-colors"
+            >
+              New Shipment
+            </button>
           </div>
+        </div>
+      </div>
 
-          {/* Coming Soon Text */}
-          <h2 className="text-[18px] font-bold text-white mb-4">
-            Shipments
-          </h2>
-          
-          <p className="text-[14px] text-gray-400 mb-8 max-w-md mx-auto">
-            Track your incoming and outgoing shipments, manage delivery status, and stay updated on your orders.
-          </p>
-
-          {/* Coming Soon Badge */}
-          <div className="inline-flex items-center px-4 py-2 bg-blue-500/20 border border-blue-400/30 rounded-full">
-            <div className="w-2 h-2 bg-blue-400 rounded-full mr-2 animate-pulse"></div>
-            <span className="text-blue-400 font-medium">Coming Soon</span>
+      {/* Stats */}
+      <div className="px-4 md:px-6 lg:px-8 pb-4">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 md:gap-6">
+          <div className="bg-gray-900 border border-gray-800 rounded-xl p-4 md:p-6">
+            <div className="text-2xl font-bold text-green-400">{stats.incoming}</div>
+            <div className="text-sm text-gray-400">Incoming - active shipments</div>
+          </div>
+          <div className="bg-gray-900 border border-gray-800 rounded-xl p-4 md:p-6">
+            <div className="text-2xl font-bold text-blue-400">{stats.outgoing}</div>
+            <div className="text-sm text-gray-400">Outgoing - pending delivery</div>
+          </div>
+          <div className="bg-gray-900 border border-gray-800 rounded-xl p-4 md:p-6">
+            <div className="text-2xl font-bold text-purple-400">{stats.deliveredThisMonth}</div>
+            <div className="text-sm text-gray-400">Delivered this month</div>
           </div>
         </div>
+      </div>
+
+      {/* Direction Filter */}
+      <div className="px-4 md:px-6 lg:px-8 pb-4">
+        <div className="flex gap-2">
+          {[
+            { value: 'all', label: 'All' },
+            { value: 'inbound', label: 'Incoming' },
+            { value: 'outbound', label: 'Outgoing' }
+          ].map(option => (
+            <button
+              key={option.value}
+              onClick={() => setDirectionFilter(option.value)}
+              className={`px-3 py-2 text-sm rounded-lg transition-colors ${
+                directionFilter === option.value
+                  ? 'bg-indigo-600 text-white'
+                  : 'text-gray-400 hover:bg-gray-800'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
 
-        {/* Blurred Content Placeholder */}
-        <div className="mt-16 max-w-4xl mx-auto">
-          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-            {/* Incoming Shipments Card */}
-            <div className="bg-gray-800 rounded-xl p-6 filter blur-sm opacity-50">
-              <div className="flex items-center justify-between mb-4">
-                <h3 className="text-lg font-semibold text-white">Incoming</h3>
-                <div className="w-8 h-8 bg-green-500/20 rounded-lg flex items-center justify-center">
-                  <svg className="w-4 h-4 text-green-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
-                  </svg>
+      {/* Shipment List */}
+      <div className="px-4 md:px-6 lg:px-8 pb-8">
+        {visibleShipments.length === 0 ? (
+          <div className="bg-gray-900 border border-gray-800 rounded-xl p-8 text-center text-gray-400">
+            No shipments yet. Add one to track a purchase on its way to you or a sale on its way to a buyer.
+          </div>
+        ) : (
+          <div className="space-y-3">
+            {visibleShipments.map(shipment => {
+              const isExpanded = expandedId === shipment.id;
+              const trackingUrl = getTrackingUrl(shipment);
+              const carrierLabel = CARRIERS.find(c => c.value === shipment.carrier)?.label || shipment.carrier || 'Unknown carrier';
+
+              return (
+                <div key={shipment.id} className="bg-gray-900 border border-gray-800 rounded-xl">
+                  <button
+                    onClick={() => {
+                      setExpandedId(isExpanded ? null : shipment.id);
+                      setStatusForm({ status: '', location: '', description: '' });
+                    }}
+                    className="w-full flex items-center justify-between p-4 text-left"
+                  >
+                    <div>
+                      <div className="flex items-center gap-2">
+                        <span className={`text-xs px-2 py-0.5 rounded-full ${
+                          shipment.direction === 'inbound' ? 'bg-green-500/20 text-green-400' : 'bg-blue-500/20 text-blue-400'
+                        }`}>
+                          {shipment.direction === 'inbound' ? 'Incoming' : 'Outgoing'}
+                        </span>
+                        <span className="text-white font-medium">{carrierLabel}</span>
+                        {shipment.tracking_number && (
+                          <span className="text-gray-400 text-sm">{shipment.tracking_number}</span>
+                        )}
+                      </div>
+                      <div className="text-sm text-gray-400 mt-1">
+                        {describeLinks(shipment)} • Expected {formatDate(shipment.expected_date)} • {formatPrice(shipment.cost_cents)}
+                      </div>
+                    </div>
+                    <span className={`text-sm font-medium ${getShipmentStatusColor(shipment.status)}`}>
+                      {getShipmentStatusLabel(shipment.status)}
+                    </span>
+                  </button>
+
+                  {isExpanded && (
+                    <div className="border-t border-gray-800 p-4 space-y-4">
+                      {/* Timeline */}
+                      <div>
+                        <h4 className="text-sm font-semibold text-white mb-2">Timeline</h4>
+                        <div className="space-y-2">
+                          {shipment.shipment_events.map(event => (
+                            <div key={event.id} className="flex items-start gap-3 text-sm">
+                              <div className="w-2 h-2 rounded-full bg-indigo-400 mt-1.5"></div>
+                              <div>
+                                <span className={getShipmentStatusColor(event.status)}>{getShipmentStatusLabel(event.status)}</span>
+                                <span className="text-gray-500 ml-2">{new Date(event.occurred_at).toLocaleString()}</span>
+                                {(event.location || event.description) && (
+                                  <div className="text-gray-400">
+                                    {[event.location, event.description].filter(Boolean).join(' - ')}
+                                  </div>
+                                )}
+                              </div>
+                            </div>
+                          ))}
+                        </div>
+                      </div>
+
+                      {shipment.notes && (
+                        <div className="text-sm text-gray-400">{shipment.notes}</div>
+                      )}
+
+                      {/* Status Update */}
+                      <div className="grid grid-cols-1 md:grid-cols-4 gap-2">
+                        <select
+                          value={statusForm.status}
+                          onChange={(e) => setStatusForm(prev => ({ ...prev, status: e.target.value }))}
+                          className="px-3 py-2 rounded-lg border border-gray-700 bg-gray-800 text-white text-sm"
+                        >
+                          <option value="">Update status...</option>
+                          {SHIPMENT_STATUSES.map(status => (
+                            <option key={status.value} value={status.value}>{status.label}</option>
+                          ))}
+                        </select>
+                        <input
+                          type="text"
+                          placeholder="Location"
+                          value={statusForm.location}
+                          onChange={(e) => setStatusForm(prev => ({ ...prev, location: e.target.value }))}
+                          className="px-3 py-2 rounded-lg border border-gray-700 bg-gray-800 text-white text-sm"
+                        />
+                        <input
+                          type="text"
+                          placeholder="Note"
+                          value={statusForm.description}
+                          onChange={(e) => setStatusForm(prev => ({ ...prev, description: e.target.value }))}
+                          className="px-3 py-2 rounded-lg border border-gray-700 bg-gray-800 text-white text-sm"
+                        />
+                        <button
+                          onClick={() => handleStatusUpdate(shipment)}
+                          disabled={!statusForm.status || updateStatusMutation.isPending}
+                          className="px-3 py-2 rounded-lg bg-indigo-600 hover:bg-indigo-500 disabled:opacity-50 text-white text-sm"
+                        >
+                          {updateStatusMutation.isPending ? 'Saving...' : 'Add to Timeline'}
+                        </button>
+                      </div>
+
+                      <div className="flex items-center justify-between">
+                        {trackingUrl ? (
+                          <a href={trackingUrl} target="_blank" rel="noopener noreferrer" className="text-sm text-indigo-400 hover:text-indigo-300">
+                            Track on {carrierLabel}
+                          </a>
+                        ) : <span />}
+                        <button
+                          onClick={() => deleteShipmentMutation.mutate(shipment.id)}
+                          disabled={deleteShipmentMutation.isPending}
+                          className="text-sm text-red-400 hover:text-red-300"
+                        >
+                          Delete Shipment
+                        </button>
+                      </div>
+                    </div>
+                  )}
                 </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+
+      {/* New Shipment Modal */}
+      {showCreate && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+          <div className="bg-gray-900 border border-gray-800 rounded-xl p-6 max-w-lg w-full max-h-[90vh] overflow-y-auto">
+            <h3 className="text-lg font-semibold text-white mb-4">New Shipment</h3>
+
+            <div className="space-y-3">
+              <div className="grid grid-cols-2 gap-2">
+                {['inbound', 'outbound'].map(direction => (
+                  <button
+                    key={direction}
+                    onClick={() => setFormData(prev => ({ ...prev, direction, linkIds: [] }))}
+                    className={`px-3 py-2 text-sm rounded-lg transition-colors ${
+                      formData.direction === direction ? 'bg-indigo-600 text-white' : 'bg-gray-800 text-gray-400'
+                    }`}
+                  >
+                    {direction === 'inbound' ? 'Incoming purchase' : 'Outgoing sale'}
+                  </button>
+                ))}
               </div>
-              <div className="text-2xl font-bold text-white mb-2">--</div>
-              <div className="text-sm text-gray-400">Active shipments</div>
-            </div>
 
-            {/* Outgoing Shipments Card */}
-            <div className="bg-gray-800 rounded-xl p-6 filter blur-sm opacity-50">
-              <div className="flex items-center justify-between mb-4">
-                <h3 className="text-lg font-semibold text-white">Outgoing</h3>
-                <div className="w-8 h-8 bg-blue-500/20 rounded-lg flex items-center justify-center">
-                  <svg className="w-4 h-4 text-blue-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 19l9 2-9-18-9 18 9-2zm0 0v-8" />
-                  </svg>
-                </div>
+              <div className="grid grid-cols-2 gap-2">
+                <select
+                  value={formData.carrier}
+                  onChange={(e) => setFormData(prev => ({ ...prev, carrier: e.target.value }))}
+                  className="px-3 py-2 rounded-lg border border-gray-700 bg-gray-800 text-white text-sm"
+                >
+                  {CARRIERS.map(carrier => (
+                    <option key={carrier.value} value={carrier.value}>{carrier.label}</option>
+                  ))}
+                </select>
+                <select
+                  value={formData.status}
+                  onChange={(e) => setFormData(prev => ({ ...prev, status: e.target.value }))}
+                  className="px-3 py-2 rounded-lg border border-gray-700 bg-gray-800 text-white text-sm"
+                >
+                  {SHIPMENT_STATUSES.map(status => (
+                    <option key={status.value} value={status.value}>{status.label}</option>
+                  ))}
+                </select>
               </div>
-              <div className="text-2xl font-bold text-white mb-2">--</div>
-              <div className="text-sm text-gray-400">Pending shipments</div>
-            </div>
 
-            {/* Delivered Shipments Card */}
-            <div className="bg-gray-800 rounded-xl p-6 filter blur-sm opacity-50">
-              <div className="flex items-center justify-between mb-4">
-                <h3 className="text-lg font-semibold text-white">Delivered</h3>
-                <div className="w-8 h-8 bg-purple-500/20 rounded-lg flex items-center justify-center">
-                  <svg className="w-4 h-4 text-purple-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
-                  </svg>
-                </div>
+              <input
+                type="text"
+                placeholder="Tracking number"
+                value={formData.tracking_number}
+                onChange={(e) => setFormData(prev => ({ ...prev, tracking_number: e.target.value }))}
+                className="w-full px-3 py-2 rounded-lg border border-gray-700 bg-gray-800 text-white text-sm"
+              />
+
+              <div className="grid grid-cols-3 gap-2">
+                <label className="text-xs text-gray-400">
+                  Shipped
+                  <input
+                    type="date"
+                    value={formData.shipped_date}
+                    onChange={(e) => setFormData(prev => ({ ...prev, shipped_date: e.target.value }))}
+                    className="w-full mt-1 px-2 py-2 rounded-lg border border-gray-700 bg-gray-800 text-white text-sm"
+                  />
+                </label>
+                <label className="text-xs text-gray-400">
+                  Expected
+                  <input
+                    type="date"
+                    value={formData.expected_date}
+                    onChange={(e) => setFormData(prev => ({ ...prev, expected_date: e.target.value }))}
+                    className="w-full mt-1 px-2 py-2 rounded-lg border border-gray-700 bg-gray-800 text-white text-sm"
+                  />
+                </label>
+                <label className="text-xs text-gray-400">
+                  Cost ($)
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={formData.cost}
+                    onChange={(e) => setFormData(prev => ({ ...prev, cost: e.target.value }))}
+                    className="w-full mt-1 px-2 py-2 rounded-lg border border-gray-700 bg-gray-800 text-white text-sm"
+                  />
+                </label>
               </div>
-              <div className="text-2xl font-bold text-white mb-2">--</div>
-              <div className="text-sm text-gray-400">Completed this month</div>
-            </div>
-          </div>
 
-          {/* Recent Shipments Table Placeholder */}
-          <div className="mt-12">
-            <div className="bg-gray-800 rounded-xl p-6 filter blur-sm opacity-50">
-              <h3 className="text-lg font-semibold text-white mb-4">Recent Shipments</h3>
-              <div className="space-y-3">
-                {[1, 2, 3].map((item) => (
-                  <div key={item} className="flex items-center justify-between py-3 border-b border-gray-700 last:border-b-0">
-                    <div className="flex items-center gap-3">
-                      <div className="w-10 h-10 bg-gray-700 rounded-lg"></div>
+              {formData.direction === 'inbound' && (
+                <p className="text-xs text-gray-500">
+                  Inbound shipping cost is split across the linked purchases and added to their cost basis.
+                </p>
+              )}
+
+              {/* Linked Orders */}
+              <div>
+                <div className="text-sm text-white mb-2">
+                  {formData.direction === 'inbound' ? 'Purchases in this package' : 'Sales in this package'}
+                </div>
+                <div className="max-h-48 overflow-y-auto space-y-1 border border-gray-800 rounded-lg p-2">
+                  {linkOptions.length === 0 ? (
+                    <div className="text-sm text-gray-500 p-2">
+                      {formData.direction === 'inbound' ? 'No purchases found' : 'No sales found'}
+                    </div>
+                  ) : linkOptions.map(option => (
+                    <label key={option.id} className="flex items-start gap-2 p-2 rounded hover:bg-gray-800 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={formData.linkIds.includes(option.id)}
+                        onChange={() => toggleLink(option.id)}
+                        className="mt-1"
+                      />
                       <div>
-                        <div className="w-24 h-4 bg-gray-700 rounded mb-2"></div>
-                        <div className="w-16 h-3 bg-gray-700 rounded"></div>
+                        <div className="text-sm text-white">{option.label}</div>
+                        <div className="text-xs text-gray-400">{option.detail}</div>
                       </div>
-                    </div>
-                    <div className="w-20 h-6 bg-gray-700 rounded"></div>
-                  </div>
-                ))}
+                    </label>
+                  ))}
+                </div>
               </div>
+
+              <textarea
+                placeholder="Notes"
+                value={formData.notes}
+                onChange={(e) => setFormData(prev => ({ ...prev, notes: e.target.value }))}
+                rows={2}
+                className="w-full px-3 py-2 rounded-lg border border-gray-700 bg-gray-800 text-white text-sm"
+              />
+            </div>
+
+            {createShipmentMutation.error && (
+              <div className="text-sm text-red-400 mt-3">{createShipmentMutation.error.message}</div>
+            )}
+
+            <div className="flex gap-3 mt-6">
+              <button
+                onClick={handleCloseCreate}
+                className="flex-1 px-4 py-2 rounded-lg bg-gray-800 text-gray-300 hover:bg-gray-700"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleCreate}
+                disabled={createShipmentMutation.isPending}
+                className="flex-1 px-4 py-2 rounded-lg bg-indigo-600 text-white hover:bg-indigo-500 disabled:opacity-50"
+              >
+                {createShipmentMutation.isPending ? 'Saving...' : 'Save Shipment'}
+              </button>
             </div>
           </div>
         </div>
-      </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,207 @@
+import React, { useState, useMemo } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { Link } from 'react-router-dom';
+import { queryKeys } from '../lib/queryClient';
+import orderLedgerService from '../services/orderLedgerService';
+import { getTaxYears, buildGainsReport, toGainsReportCsvRows, GAINS_REPORT_COLUMNS } from '../utils/gainsReport';
+import { toCsv, downloadFile } from '../utils/csv';
+import { useCurrency } from '../contexts/CurrencyContext';
+
+const TaxReport = () => {
+  const [selectedYear, setSelectedYear] = useState(null);
+  const { baseCurrency, toBaseCurrency, formatBase } = useCurrency();
+
+  const { data: ledgerOrders = [], isLoading, error } = useQuery({
+    queryKey: queryKeys.analyticsOrders,
+    queryFn: () => orderLedgerService.getOrdersWithSales(),
+    staleTime: 5 * 60 * 1000, // Consider data fresh for 5 minutes
+    refetchOnMount: 'always', // Sales recorded elsewhere must show up immediately
+  });
+
+  // Proceeds convert at the sale date and cost basis at the purchase date
+  const orders = useMemo(() => toBaseCurrency(ledgerOrders), [ledgerOrders, toBaseCurrency]);
+
+  const taxYears = useMemo(() => getTaxYears(orders), [orders]);
+  const taxYear = selectedYear ?? taxYears[0] ?? new Date().getFullYear();
+  const report = useMemo(() => buildGainsReport(orders, taxYear), [orders, taxYear]);
+
+  const formatPrice = (cents) => formatBase(cents);
+
+  const profitColor = (value) => value > 0 ? 'text-green-400' : value < 0 ? 'text-red-400' : 'text-white';
+
+  const handleExportCsv = () => {
+    downloadFile(
+      toCsv(toGainsReportCsvRows(report.rows), GAINS_REPORT_COLUMNS),
+      `realized-gains-${taxYear}-${baseCurrency.toLowerCase()}.csv`
+    );
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center py-24">
+        <div className="text-center">
+          <div className="w-8 h-8 border-4 border-blue-400 border-t-transparent rounded-full animate-spin mx-auto mb-4"></div>
+          <p className="text-gray-400">Loading sales...</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="print-report">
+      {/* Header */}
+      <div className="px-4 md:px-6 lg:px-8 py-3">
+        <div className="p-4 md:p-10 lg:p-12 print:p-0">
+          <div className="flex items-center justify-between">
+            <div>
+              <Link to="/analytics" className="text-sm text-gray-400 hover:text-white print:hidden">← Analytics</Link>
+              <h1 className="text-2xl font-bold text-white">Realized Gains {taxYear}</h1>
+              <p className="text-gray-400">
+                Sales dated Jan 1 – Dec 31, {taxYear} · proceeds net of fees and shipping against lot cost basis
+              </p>
+            </div>
+            <div className="flex items-center gap-2 print:hidden">
+              <select
+                value={taxYear}
+                onChange={(e) => setSelectedYear(parseInt(e.target.value))}
+                className="px-3 py-2 rounded-lg border border-gray-700 bg-gray-800 text-white text-sm"
+              >
+                {(taxYears.length > 0 ? taxYears : [taxYear]).map(year => (
+                  <option key={year} value={year}>{year}</option>
+                ))}
+              </select>
+              <button
+                onClick={handleExportCsv}
+                disabled={report.rows.length === 0}
+                className="px-3 py-2 rounded-lg border border-gray-700 bg-gray-800 hover:bg-gray-700 disabled:opacity-50 text-white text-sm transition-colors"
+              >
+                Export CSV
+              </button>
+              <button
+                onClick={() => window.print()}
+                className="px-3 py-2 rounded-lg bg-blue-600 hover:bg-blue-700 text-white text-sm transition-colors"
+              >
+                Print
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {error && (
+        <div className="px-4 md:px-6 lg:px-8 pb-4">
+          <div className="bg-red-500/10 border border-red-500/30 rounded-xl p-4 text-sm text-red-400">
+            Failed to load sales: {error.message}
+          </div>
+        </div>
+      )}
+
+      {/* Totals by term */}
+      <div className="px-4 md:px-6 lg:px-8 pb-4">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          {[
+            { label: 'Short term (held 1 year or less)', totals: report.byTerm.short },
+            { label: 'Long term (held more than 1 year)', totals: report.byTerm.long },
+            { label: 'Total', totals: report.totals }
+          ].map(({ label, totals }) => (
+            <div key={label} className="bg-gray-900 border border-gray-800 rounded-xl p-4 md:p-6">
+              <div className="text-sm text-gray-400 mb-2">{label}</div>
+              <div className={`text-2xl font-bold ${profitColor(totals.gain)}`}>{formatPrice(totals.gain)}</div>
+              <div className="mt-2 space-y-1 text-xs text-gray-400">
+                <div className="flex justify-between"><span>Proceeds</span><span className="text-white">{formatPrice(totals.proceeds)}</span></div>
+                <div className="flex justify-between"><span>Fees &amp; shipping</span><span className="text-white">{formatPrice(totals.fees + totals.shipping)}</span></div>
+                <div className="flex justify-between"><span>Cost basis</span><span className="text-white">{formatPrice(totals.costBasis)}</span></div>
+                <div className="flex justify-between"><span>Sales</span><span className="text-white">{totals.count} ({totals.quantity} items)</span></div>
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Totals by marketplace */}
+      <div className="px-4 md:px-6 lg:px-8 pb-4">
+        <div className="bg-gray-900 border border-gray-800 rounded-xl p-4 md:p-6">
+          <h3 className="text-lg font-semibold text-white mb-4">By Marketplace</h3>
+          {report.byMarketplace.length === 0 ? (
+            <p className="text-sm text-gray-400">No sales in {taxYear}</p>
+          ) : (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-400 border-b border-gray-800">
+                  <th className="py-2 font-medium">Marketplace</th>
+                  <th className="py-2 font-medium text-right">Sales</th>
+                  <th className="py-2 font-medium text-right">Proceeds</th>
+                  <th className="py-2 font-medium text-right">Fees</th>
+                  <th className="py-2 font-medium text-right">Shipping</th>
+                  <th className="py-2 font-medium text-right">Gain</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.byMarketplace.map(row => (
+                  <tr key={row.marketplace} className="border-b border-gray-800/50 text-white">
+                    <td className="py-2">{row.marketplace}</td>
+                    <td className="py-2 text-right">{row.count}</td>
+                    <td className="py-2 text-right">{formatPrice(row.proceeds)}</td>
+                    <td className="py-2 text-right">{formatPrice(row.fees)}</td>
+                    <td className="py-2 text-right">{formatPrice(row.shipping)}</td>
+                    <td className={`py-2 text-right ${profitColor(row.gain)}`}>{formatPrice(row.gain)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+
+      {/* Every sale */}
+      <div className="px-4 md:px-6 lg:px-8 pb-8">
+        <div className="bg-gray-900 border border-gray-800 rounded-xl p-4 md:p-6 overflow-x-auto print:overflow-visible">
+          <h3 className="text-lg font-semibold text-white mb-4">Sales</h3>
+          {report.rows.length === 0 ? (
+            <p className="text-sm text-gray-400">No sales in {taxYear}</p>
+          ) : (
+            <table className="w-full text-sm whitespace-nowrap">
+              <thead>
+                <tr className="text-left text-gray-400 border-b border-gray-800">
+                  <th className="py-2 pr-3 font-medium">Sold</th>
+                  <th className="py-2 pr-3 font-medium">Acquired</th>
+                  <th className="py-2 pr-3 font-medium">Item</th>
+                  <th className="py-2 pr-3 font-medium text-right">Qty</th>
+                  <th className="py-2 pr-3 font-medium">Marketplace</th>
+                  <th className="py-2 pr-3 font-medium text-right">Proceeds</th>
+                  <th className="py-2 pr-3 font-medium text-right">Fees</th>
+                  <th className="py-2 pr-3 font-medium text-right">Cost Basis</th>
+                  <th className="py-2 pr-3 font-medium text-right">Gain</th>
+                  <th className="py-2 font-medium">Term</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.rows.map(row => (
+                  <tr key={row.id} className="border-b border-gray-800/50 text-white">
+                    <td className="py-2 pr-3">{row.saleDate}</td>
+                    <td className="py-2 pr-3">{row.acquiredDate}</td>
+                    <td className="py-2 pr-3 whitespace-normal">
+                      {row.itemName}
+                      {(row.setName || row.grading) && (
+                        <span className="text-gray-400"> · {[row.setName, row.grading].filter(Boolean).join(' · ')}</span>
+                      )}
+                    </td>
+                    <td className="py-2 pr-3 text-right">{row.quantity}</td>
+                    <td className="py-2 pr-3">{row.marketplace}</td>
+                    <td className="py-2 pr-3 text-right">{formatPrice(row.proceeds)}</td>
+                    <td className="py-2 pr-3 text-right">{formatPrice(row.fees + row.shipping)}</td>
+                    <td className="py-2 pr-3 text-right">{formatPrice(row.costBasis)}</td>
+                    <td className={`py-2 pr-3 text-right ${profitColor(row.gain)}`}>{formatPrice(row.gain)}</td>
+                    <td className="py-2 capitalize">{row.term}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TaxReport;
@@ -0,0 +1,288 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { queryKeys } from '../lib/queryClient';
+import watchlistService, { ALERT_RULES } from '../services/watchlistService';
+import SafeImage from '../components/SafeImage';
+
+const emptyRules = { below_price: '', above_price: '', move_percent: '' };
+
+const Watchlist = () => {
+  const queryClient = useQueryClient();
+  const [editingId, setEditingId] = useState(null);
+  const [rulesForm, setRulesForm] = useState(emptyRules);
+
+  const { data: items = [], isLoading, error } = useQuery({
+    queryKey: queryKeys.watchlist,
+    queryFn: () => watchlistService.getWatchlist(),
+    staleTime: 60 * 1000,
+  });
+
+  const { data: alerts = [] } = useQuery({
+    queryKey: queryKeys.priceAlerts,
+    queryFn: () => watchlistService.getAlerts(),
+    staleTime: 60 * 1000,
+  });
+
+  const unreadCount = alerts.filter(alert => !alert.read_at).length;
+
+  const updateItemMutation = useMutation({
+    mutationFn: ({ id, updates }) => watchlistService.updateItem(id, updates),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.watchlist });
+      setEditingId(null);
+    }
+  });
+
+  const removeItemMutation = useMutation({
+    mutationFn: (id) => watchlistService.removeItem(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.watchlist });
+      queryClient.invalidateQueries({ queryKey: queryKeys.priceAlerts });
+    }
+  });
+
+  const markReadMutation = useMutation({
+    mutationFn: (alertIds) => watchlistService.markAlertsRead(alertIds),
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: queryKeys.priceAlerts })
+  });
+
+  const formatPrice = (value) => value == null ? 'N/A' : `$${parseFloat(value).toFixed(2)}`;
+  const formatPercent = (value) => {
+    if (value == null) return 'N/A';
+    const number = parseFloat(value);
+    return `${number > 0 ? '+' : ''}${number.toFixed(1)}%`;
+  };
+  const trendColor = (value) => !value ? 'text-gray-400' : value > 0 ? 'text-green-400' : 'text-red-400';
+
+  const describeRules = (item) => {
+    const rules = [];
+    if (item.below_price != null) rules.push(`Below ${formatPrice(item.below_price)}`);
+    if (item.above_price != null) rules.push(`Above ${formatPrice(item.above_price)}`);
+    if (item.move_percent != null) rules.push(`Moves ${parseFloat(item.move_percent)}% in 7 days`);
+    return rules.length > 0 ? rules.join(' • ') : 'No rules - add one to get alerts';
+  };
+
+  const describeAlert = (alert) => {
+    const price = formatPrice(alert.price);
+    if (alert.rule === 'below') return `${price} is below your ${formatPrice(alert.threshold)} target`;
+    if (alert.rule === 'above') return `${price} is above your ${formatPrice(alert.threshold)} target`;
+    return `${formatPercent(alert.change_7d_percent)} in 7 days (now ${price})`;
+  };
+
+  const handleEdit = (item) => {
+    setEditingId(item.id);
+    setRulesForm({
+      below_price: item.below_price ?? '',
+      above_price: item.above_price ?? '',
+      move_percent: item.move_percent ?? ''
+    });
+  };
+
+  const handleSaveRules = (item) => {
+    const toNumber = (value) => value === '' || value == null ? null : parseFloat(value);
+    updateItemMutation.mutate({
+      id: item.id,
+      updates: {
+        below_price: toNumber(rulesForm.below_price),
+        above_price: toNumber(rulesForm.above_price),
+        move_percent: toNumber(rulesForm.move_percent)
+      }
+    });
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center min-h-screen">
+        <div className="text-center">
+          <div className="w-8 h-8 border-4 border-blue-400 border-t-transparent rounded-full animate-spin mx-auto mb-4"></div>
+          <p className="text-gray-400">Loading watchlist...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="flex items-center justify-center min-h-screen">
+        <div className="text-center">
+          <div className="text-red-400 mb-4">Error loading watchlist</div>
+          <p className="text-gray-400">{error.message}</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-full">
+      {/* Header */}
+      <div className="px-4 md:px-6 lg:px-8 py-3">
+        <div className="p-4 md:p-10 lg:p-12">
+          <h1 className="text-2xl font-bold text-white">Watchlist</h1>
+          <p className="text-gray-400">Price rules are checked after every price sync</p>
+        </div>
+      </div>
+
+      {/* Alert Feed */}
+      <div className="px-4 md:px-6 lg:px-8 pb-4">
+        <div className="bg-gray-900 border border-gray-800 rounded-xl p-4 md:p-6">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold text-white">
+              Alerts
+              {unreadCount > 0 && (
+                <span className="ml-2 text-xs bg-indigo-600 text-white px-2 py-0.5 rounded-full">{unreadCount} new</span>
+              )}
+            </h3>
+            {unreadCount > 0 && (
+              <button
+                onClick={() => markReadMutation.mutate(null)}
+                className="text-sm text-gray-400 hover:text-white transition-colors"
+              >
+                Mark all read
+              </button>
+            )}
+          </div>
+          {alerts.length === 0 ? (
+            <p className="text-sm text-gray-400">No alerts yet</p>
+          ) : (
+            <div className="space-y-2 max-h-80 overflow-y-auto">
+              {alerts.map(alert => (
+                <div
+                  key={alert.id}
+                  className={`flex items-start justify-between gap-3 p-3 rounded-lg border ${
+                    alert.read_at ? 'border-gray-800' : 'border-indigo-500/40 bg-indigo-500/10'
+                  }`}
+                >
+                  <div>
+                    <div className="text-sm text-white">
+                      <span className="font-medium">{alert.name || alert.product_id}</span>
+                      <span className="text-gray-400"> · {ALERT_RULES[alert.rule]}</span>
+                    </div>
+                    <div className="text-sm text-gray-300">{describeAlert(alert)}</div>
+                    <div className="text-xs text-gray-500">
+                      {new Date(alert.triggered_at).toLocaleString()} · {alert.price_type} price from {alert.source || 'sync'}
+                    </div>
+                  </div>
+                  {!alert.read_at && (
+                    <button
+                      onClick={() => markReadMutation.mutate([alert.id])}
+                      className="text-xs text-gray-400 hover:text-white whitespace-nowrap"
+                    >
+                      Mark read
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Watched Products */}
+      <div className="px-4 md:px-6 lg:px-8 pb-8">
+        {items.length === 0 ? (
+          <div className="bg-gray-900 border border-gray-800 rounded-xl p-8 text-center text-gray-400">
+            Nothing watched yet. Use "Watch" on a card or sealed product to follow its price.
+          </div>
+        ) : (
+          <div className="space-y-3">
+            {items.map(item => {
+              const isEditing = editingId === item.id;
+              return (
+                <div key={item.id} className="bg-gray-900 border border-gray-800 rounded-xl p-4">
+                  <div className="flex items-center gap-4">
+                    <div className="w-12 h-16 flex-shrink-0 bg-gray-800 rounded overflow-hidden">
+                      {item.image_url && (
+                        <SafeImage src={item.image_url} alt={item.name} className="w-full h-full object-contain" />
+                      )}
+                    </div>
+                    <div className="flex-1 min-w-0">
+                      <div className="text-white font-medium truncate">{item.name || item.product_id}</div>
+                      <div className="text-xs text-gray-400 truncate">
+                        {[item.expansion_name, item.product_type === 'sealed' ? 'Sealed' : item.price_type === 'graded' ? `Graded${item.graded?.grade ? ` (${item.graded.grade})` : ''}` : 'Raw'].filter(Boolean).join(' · ')}
+                      </div>
+                      <div className="text-xs text-gray-500 mt-1">{describeRules(item)}</div>
+                    </div>
+                    <div className="text-right">
+                      <div className="text-white font-semibold">{formatPrice(item.price)}</div>
+                      <div className={`text-xs ${trendColor(item.change7d)}`}>{formatPercent(item.change7d)} 7d</div>
+                      {item.product_type === 'card' && item.price_type === 'raw' && item.graded && (
+                        <div className="text-xs text-gray-500">Graded {formatPrice(item.graded.market)}</div>
+                      )}
+                      {item.product_type === 'card' && item.price_type === 'graded' && item.raw && (
+                        <div className="text-xs text-gray-500">Raw {formatPrice(item.raw.market)}</div>
+                      )}
+                    </div>
+                  </div>
+
+                  {isEditing ? (
+                    <div className="mt-4 grid grid-cols-1 md:grid-cols-4 gap-2">
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={rulesForm.below_price}
+                        onChange={(e) => setRulesForm({ ...rulesForm, below_price: e.target.value })}
+                        placeholder="Alert below ($)"
+                        className="px-3 py-2 bg-transparent border border-gray-700 rounded-lg text-white text-sm"
+                      />
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={rulesForm.above_price}
+                        onChange={(e) => setRulesForm({ ...rulesForm, above_price: e.target.value })}
+                        placeholder="Alert above ($)"
+                        className="px-3 py-2 bg-transparent border border-gray-700 rounded-lg text-white text-sm"
+                      />
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.1"
+                        value={rulesForm.move_percent}
+                        onChange={(e) => setRulesForm({ ...rulesForm, move_percent: e.target.value })}
+                        placeholder="Moves more than (%) in 7 days"
+                        className="px-3 py-2 bg-transparent border border-gray-700 rounded-lg text-white text-sm"
+                      />
+                      <div className="flex gap-2">
+                        <button
+                          onClick={() => handleSaveRules(item)}
+                          disabled={updateItemMutation.isPending}
+                          className="flex-1 px-3 py-2 bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 text-white rounded-lg text-sm transition-colors"
+                        >
+                          Save
+                        </button>
+                        <button
+                          onClick={() => setEditingId(null)}
+                          className="flex-1 px-3 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-lg text-sm transition-colors"
+                        >
+                          Cancel
+                        </button>
+                      </div>
+                    </div>
+                  ) : (
+                    <div className="mt-3 flex gap-2">
+                      <button
+                        onClick={() => handleEdit(item)}
+                        className="px-3 py-1 text-sm text-gray-300 border border-gray-700 rounded-lg hover:bg-gray-800 transition-colors"
+                      >
+                        Edit rules
+                      </button>
+                      <button
+                        onClick={() => removeItemMutation.mutate(item.id)}
+                        className="px-3 py-1 text-sm text-red-400 border border-gray-700 rounded-lg hover:bg-gray-800 transition-colors"
+                      >
+                        Stop watching
+                      </button>
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Watchlist;
@@ -1,76 +1,172 @@
 /**
  * Admin Sync Service
- * Manages all sync operations with real-time progress tracking
- * Provides unified interface for monitoring all API syncs
+ * Starts, stops and resumes sync operations recorded as sync_jobs
+ * Magic and game catalog syncs run in the browser; Scrydex and TCGCSV price syncs run in edge functions.
+ * Progress lives on the job rows, so it survives a reload and any open dashboard can follow it
  */
 
 import { supabase } from '../lib/supabaseClient';
+import magicSyncService from './magicSyncService';
+import tcgcsvCatalogSyncService from './tcgcsvCatalogSyncService';
+import syncJobService from './syncJobService';
+import { getGameById } from '../config/gamesConfig';
+import { indexActiveSyncJobs, isSyncJobActive, isSyncJobStale } from '../utils/syncJobs';
+
+// Number of sets each sync mode covers (null = all)
+const SYNC_MODE_GROUP_LIMITS = { test: 5, recent: 20, full: null };
+
+// Edge function that runs each server-side job type
+const SERVER_JOB_FUNCTIONS = {
+  'scrydex-cards': 'scrydex-sync',
+  'scrydex-expansions': 'scrydex-sync',
+  'scrydex-pricing': 'scrydex-sync',
+  'tcgcsv-prices': 'tcgcsv-sync'
+};
+
+/**
+ * Run a TCGCSV group sync as a job, one checkpoint per group
+ * A resumed job syncs the same group list it started with, from the first unfinished group
+ * @param {Object} context - syncJobService handler context
+ * @param {string} label - Catalog name for messages
+ * @param {Function} sync - (options) => Promise<summary>, magicSyncService.syncAll or tcgcsvCatalogSyncService.syncGame
+ * @returns {Promise<Object>} Job result
+ */
+const runGroupSyncJob = async ({ job, params, checkpoint, save }, label, sync) => {
+  let counts = { cards: 0, sealed: 0, errors: 0, ...job.counts };
+
+  const keepGoing = await save({ message: checkpoint ? `Resuming ${label} sync...` : `Fetching ${label} sets from TCGCSV...` });
+  if (!keepGoing) return null;
+
+  const summary = await sync({
+    groupLimit: SYNC_MODE_GROUP_LIMITS[params.mode] ?? null,
+    groupIds: checkpoint?.groupIds || null,
+    startIndex: checkpoint?.completed || 0,
+    onCheckpoint: ({ groupIds, completed, result }) => {
+      counts = {
+        cards: counts.cards + (result.cards || 0),
+        sealed: counts.sealed + (result.sealed || 0),
+        errors: counts.errors + (result.error ? 1 : 0)
+      };
+      return save({
+        checkpoint: { groupIds, completed },
+        progressCurrent: completed,
+        progressTotal: groupIds.length,
+        counts,
+        message: `Synced ${result.name} (${completed}/${groupIds.length})`,
+        error: result.error ? `${result.name}: ${result.error}` : undefined
+      });
+    }
+  });
+
+  if (!summary.success) {
+    throw new Error(summary.error || `${label} sync failed`);
+  }
+
+  return {
+    ...counts,
+    itemsRefreshed: summary.itemsRefreshed,
+    message: `${label} sync complete: ${summary.groupsTotal} sets, ${counts.cards} cards, ${counts.sealed} sealed products`
+  };
+};
 
 class AdminSyncService {
   constructor() {
-    this.activeSyncs = new Map();
-    this.syncListeners = new Map();
+    this.invokingJobIds = new Set();
+    this.resuming = false;
+
+    syncJobService.registerHandler('magic', context =>
+      runGroupSyncJob(context, 'Magic', options => magicSyncService.syncAll(options))
+    );
+    syncJobService.registerHandler('catalog', context => {
+      const gameId = context.params.gameId;
+      const gameName = getGameById(gameId)?.name || gameId;
+      return runGroupSyncJob(context, gameName, options => tcgcsvCatalogSyncService.syncGame(gameId, options));
+    });
   }
 
   /**
-   * Register a progress listener for a sync operation
-   * @param {string} syncId - Unique sync identifier
-   * @param {Function} callback - Progress callback function
+   * Get recent sync jobs for the dashboard
+   * @returns {Promise<Array>} Jobs, newest first
    */
-  addProgressListener(syncId, callback) {
-    if (!this.syncListeners.has(syncId)) {
-      this.syncListeners.set(syncId, []);
-    }
-    this.syncListeners.get(syncId).push(callback);
+  async getSyncJobs() {
+    return syncJobService.getJobs();
   }
 
   /**
-   * Remove a progress listener
-   * @param {string} syncId - Sync identifier
-   * @param {Function} callback - Callback to remove
+   * Queue a job and run it in this browser
+   * @param {string} jobType - Job type with a registered handler
+   * @param {string} syncKey - What is synced
+   * @param {Object} params - Job parameters
+   * @returns {Promise<Object>} { success, message, syncId, jobId } or { error }
    */
-  removeProgressListener(syncId, callback) {
-    const listeners = this.syncListeners.get(syncId);
-    if (listeners) {
-      const index = listeners.indexOf(callback);
-      if (index > -1) {
-        listeners.splice(index, 1);
-      }
+  async runBrowserJob(jobType, syncKey, params) {
+    let job;
+    try {
+      job = await syncJobService.createJob(jobType, syncKey, params);
+    } catch (error) {
+      return { error: error.message };
     }
-  }
 
-  /**
-   * Emit progress update to all listeners
-   * @param {string} syncId - Sync identifier
-   * @param {Object} progress - Progress data
-   */
-  emitProgress(syncId, progress) {
-    const listeners = this.syncListeners.get(syncId) || [];
-    listeners.forEach(callback => {
-      try {
-        callback(progress);
-      } catch (error) {
-        console.error('Error in progress callback:', error);
-      }
-    });
+    const finished = await syncJobService.runJob(job.id);
+    if (!finished) {
+      return { success: true, message: 'Sync continues in another window', syncId: syncKey, jobId: job.id };
+    }
+
+    return {
+      success: finished.status === 'completed',
+      message: finished.message,
+      ...(finished.status === 'failed' ? { error: finished.message } : {}),
+      syncId: syncKey,
+      jobId: job.id
+    };
   }
 
   /**
-   * Get active sync status
-   * @param {string} syncId - Sync identifier
-   * @returns {Object|null} Sync status or null if not active
+   * Queue a job and hand it to its edge function
+   * @param {string} jobType - Server job type
+   * @param {Object} params - Job parameters
+   * @returns {Promise<Object>} { success, message, syncId, jobId } or { error }
    */
-  getActiveSyncStatus(syncId) {
-    return this.activeSyncs.get(syncId) || null;
+  async runServerJob(jobType, params = {}) {
+    let job;
+    try {
+      job = await syncJobService.createJob(jobType, jobType, params);
+    } catch (error) {
+      return { error: error.message };
+    }
+
+    return this.invokeServerJob(job.id, jobType);
   }
 
   /**
-   * Check if a sync is currently running
-   * @param {string} syncId - Sync identifier
-   * @returns {boolean} True if sync is active
+   * Ask a job's edge function to run (or continue) it
+   * @param {string} jobId - Job ID
+   * @param {string} jobType - Server job type (also its sync key)
+   * @returns {Promise<Object>} { success, message, syncId, jobId } or { error }
    */
-  isSyncActive(syncId) {
-    return this.activeSyncs.has(syncId);
+  async invokeServerJob(jobId, jobType) {
+    if (this.invokingJobIds.has(jobId)) {
+      return { error: 'Sync already in progress' };
+    }
+
+    this.invokingJobIds.add(jobId);
+    try {
+      const { data, error } = await supabase.functions.invoke(`${SERVER_JOB_FUNCTIONS[jobType]}?action=run-job&jobId=${jobId}`, {
+        method: 'GET',
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+
+      if (error) throw error;
+
+      return { success: true, message: data?.message || 'Sync started', syncId: jobType, jobId };
+    } catch (error) {
+      console.error(`Error running ${jobType} sync job:`, error);
+      return { error: error.message, syncId: jobType, jobId };
+    } finally {
+      this.invokingJobIds.delete(jobId);
+    }
   }
 
   /**
@@ -79,79 +175,43 @@ class AdminSyncService {
    * @returns {Promise<Object>} Sync result
    */
   async startTcgcsvSync(mode = 'recent') {
-    const syncId = 'tcgcsv-sealed';
-    
-    if (this.isSyncActive(syncId)) {
-      return { error: 'Sync already in progress' };
-    }
-
-    // Mark sync as active
-    this.activeSyncs.set(syncId, {
-      startedAt: new Date(),
+    // The sealed products import runs as a terminal script
+    return {
+      success: true,
+      message: `TCGCSV ${mode} sync initiated. Run: node sync-tcgcsv-sealed-products.js --${mode}`,
       mode,
-      status: 'initializing',
-      progress: 0
-    });
+      syncId: 'tcgcsv-sealed'
+    };
+  }
 
-    // Emit initial progress
-    this.emitProgress(syncId, {
-      status: 'initializing',
-      progress: 0,
-      message: 'Initializing TCGCSV sync...'
-    });
+  /**
+   * Run the Magic: The Gathering catalog sync from TCGCSV
+   * Runs in this browser as a 'magic' job; progress is saved as each set finishes
+   * @param {string} mode - 'test', 'recent', or 'full'
+   * @returns {Promise<Object>} Sync summary
+   */
+  async startMagicSync(mode = 'recent') {
+    return this.runBrowserJob('magic', 'magic', { mode });
+  }
 
-    try {
-      // This will be called via terminal command
-      // For now, simulate the sync initiation
-      return {
-        success: true,
-        message: `TCGCSV ${mode} sync initiated. Run: node sync-tcgcsv-sealed-products.js --${mode}`,
-        mode,
-        syncId
-      };
-    } finally {
-      // Sync will be marked as complete by the actual sync script
-      // For now, mark as pending external execution
-      this.activeSyncs.set(syncId, {
-        startedAt: new Date(),
-        mode,
-        status: 'pending_external',
-        progress: 0,
-        message: 'Waiting for terminal command execution'
-      });
-    }
+  /**
+   * Run the generic TCGCSV catalog sync for one configured game
+   * @param {string} gameId - gamesConfig game ID
+   * @param {string} mode - 'test', 'recent', or 'full'
+   * @returns {Promise<Object>} Sync summary
+   */
+  async startCatalogSync(gameId, mode = 'recent') {
+    return this.runBrowserJob('catalog', `catalog:${gameId}`, { gameId, mode });
   }
 
   /**
    * Start Scrydex cards sync
+   * The function syncs a batch of pages per run and leaves the job queued at its checkpoint
+   * until every page is done
    * @returns {Promise<Object>} Sync result
    */
   async startScrydexCardsSync() {
-    const syncId = 'scrydex-cards';
-    
-    if (this.isSyncActive(syncId)) {
-      return { error: 'Sync already in progress' };
-    }
-
-    this.activeSyncs.set(syncId, {
-      startedAt: new Date(),
-      status: 'running',
-      progress: 0
-    });
-
-    this.emitProgress(syncId, {
-      status: 'running',
-      progress: 0,
-      message: 'Syncing Scrydex cards...'
-    });
-
-    // Scrydex sync would be triggered here
-    // For now, return a message
-    return {
-      success: true,
-      message: 'Scrydex cards sync functionality will be integrated here',
-      syncId
-    };
+    return this.runServerJob('scrydex-cards');
   }
 
   /**
@@ -159,47 +219,48 @@ class AdminSyncService {
    * @returns {Promise<Object>} Sync result
    */
   async startScrydexExpansionsSync() {
-    const syncId = 'scrydex-expansions';
-    
-    if (this.isSyncActive(syncId)) {
-      return { error: 'Sync already in progress' };
-    }
-
-    this.activeSyncs.set(syncId, {
-      startedAt: new Date(),
-      status: 'running',
-      progress: 0
-    });
+    return this.runServerJob('scrydex-expansions');
+  }
 
-    this.emitProgress(syncId, {
-      status: 'running',
-      progress: 0,
-      message: 'Syncing Scrydex expansions...'
-    });
+  /**
+   * Stop a running sync
+   * The worker stops at its next checkpoint, wherever it runs
+   * @param {string} syncId - Sync identifier (sync_key)
+   * @returns {Promise<boolean>} True if a job was asked to stop
+   */
+  async stopSync(syncId) {
+    const jobs = await syncJobService.getJobs();
+    const job = indexActiveSyncJobs(jobs)[syncId];
+    if (!job) return false;
 
-    return {
-      success: true,
-      message: 'Scrydex expansions sync functionality will be integrated here',
-      syncId
-    };
+    await syncJobService.cancelJob(job.id);
+    return true;
   }
 
   /**
-   * Stop a running sync
-   * @param {string} syncId - Sync identifier
-   * @returns {boolean} True if stopped successfully
+   * Continue syncs whose worker stopped (reload, closed tab, function timeout) from their checkpoint
+   * Browser jobs run in this window; queued and stale server jobs are handed back to their function
+   * @param {Array} jobs - Recent jobs, as loaded by the dashboard
    */
-  stopSync(syncId) {
-    if (this.activeSyncs.has(syncId)) {
-      this.activeSyncs.delete(syncId);
-      this.emitProgress(syncId, {
-        status: 'stopped',
-        progress: 0,
-        message: 'Sync stopped by user'
+  async resumeInterruptedSyncs(jobs) {
+    (jobs || [])
+      .filter(job => SERVER_JOB_FUNCTIONS[job.job_type] && isSyncJobActive(job) && !job.cancel_requested)
+      .filter(job => job.status === 'queued' || isSyncJobStale(job))
+      .forEach(job => {
+        if (!this.invokingJobIds.has(job.id)) {
+          this.invokeServerJob(job.id, job.job_type);
+        }
       });
-      return true;
+
+    if (this.resuming) return;
+    this.resuming = true;
+    try {
+      await syncJobService.resumeJobs();
+    } catch (error) {
+      console.error('Error resuming sync jobs:', error);
+    } finally {
+      this.resuming = false;
     }
-    return false;
   }
 
   /**
@@ -258,6 +319,63 @@ class AdminSyncService {
           { path: '/tcgplayer/3/{groupId}/prices', purpose: 'Pricing data' }
         ]
       },
+      magic: {
+        name: 'TCGCSV API (Magic)',
+        description: 'Magic: The Gathering sets, singles, sealed products and pricing from TCGplayer',
+        tables: [
+          {
+            name: 'magic_sets',
+            description: 'Magic sets (TCGCSV groups)',
+            fields: ['id', 'name', 'abbreviation', 'published_on', 'card_count', 'sealed_count'],
+            syncType: 'full',
+            lastSyncField: 'last_synced_at'
+          },
+          {
+            name: 'magic_cards',
+            description: 'Magic singles with Normal and Foil prices',
+            fields: ['product_id', 'set_id', 'name', 'number', 'rarity', 'type_line', 'market_price', 'foil_market_price'],
+            syncType: 'full',
+            lastSyncField: 'last_synced_at'
+          },
+          {
+            name: 'magic_sealed',
+            description: 'Magic sealed products (booster boxes, bundles, decks)',
+            fields: ['product_id', 'set_id', 'name', 'market_price', 'low_price', 'high_price'],
+            syncType: 'full',
+            lastSyncField: 'last_synced_at'
+          }
+        ],
+        endpoints: [
+          { path: '/tcgplayer/1/groups', purpose: 'Magic sets' },
+          { path: '/tcgplayer/1/{groupId}/products', purpose: 'Product data' },
+          { path: '/tcgplayer/1/{groupId}/prices', purpose: 'Pricing data' }
+        ]
+      },
+      catalog: {
+        name: 'TCGCSV API (Game Catalogs)',
+        description: 'Sets, singles, sealed products and pricing for config-driven games',
+        tables: [
+          {
+            name: 'tcgcsv_groups',
+            description: 'Sets per game (TCGCSV groups)',
+            fields: ['group_id', 'game_id', 'category_id', 'name', 'published_on', 'card_count', 'sealed_count'],
+            syncType: 'full',
+            lastSyncField: 'last_synced_at'
+          },
+          {
+            name: 'tcgcsv_products',
+            description: 'Singles and sealed products per game',
+            fields: ['product_id', 'game_id', 'group_id', 'name', 'is_sealed', 'number', 'rarity', 'market_price', 'prices'],
+            syncType: 'full',
+            lastSyncField: 'last_synced_at'
+          }
+        ],
+        endpoints: [
+          { path: '/tcgplayer/{categoryId}/groups', purpose: 'Sets' },
+          { path: '/tcgplayer/{categoryId}/{groupId}/products', purpose: 'Product data' },
+          { path: '/tcgplayer/{categoryId}/{groupId}/prices', purpose: 'Pricing data' }
+        ]
+      },
       supabase: {
         name: 'Supabase',
         description: 'Database and authentication platform',
@@ -39,11 +39,11 @@ class ApiCacheService {
         description: 'Pricing data - changes at most once per day'
       },
       
-      // Price history - can be cached longer
+      // Price history - a new point is appended once per pricing sync (priceHistoryService)
       'price_history': {
-        ttl: 7 * 24 * 60 * 60 * 1000, // 7 days
-        refreshInterval: 24 * 60 * 60 * 1000, // Refresh every 24 hours
-        description: 'Historical price data - rarely changes'
+        ttl: 12 * 60 * 60 * 1000, // 12 hours
+        refreshInterval: 12 * 60 * 60 * 1000, // Refresh every 12 hours
+        description: 'Historical price data - grows by one point per pricing sync'
       },
       
       // Search results - cache for shorter periods to balance performance vs freshness
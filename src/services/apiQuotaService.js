@@ -0,0 +1,31 @@
+/**
+ * API Quota Service
+ * Usage of the server-side quota governor (api_quota_providers / api_quota_usage).
+ * Edge functions take every Scrydex, JustTCG, RapidAPI and PriceCharting request from these budgets
+ */
+
+import { supabase } from '../lib/supabaseClient';
+import { groupQuotaStatus } from '../utils/apiQuota';
+
+class ApiQuotaService {
+  /**
+   * Get the remaining budget of every provider
+   * @returns {Promise<Array>} [{ provider, name, reservePercent, tokensAvailable, bucketCapacity, windows }]
+   */
+  async getStatus() {
+    const { data, error } = await supabase
+      .from('api_quota_status')
+      .select('*');
+
+    if (error) {
+      console.error('Error fetching API quota status:', error);
+      throw error;
+    }
+
+    return groupQuotaStatus(data);
+  }
+}
+
+// Create and export singleton instance
+const apiQuotaService = new ApiQuotaService();
+export default apiQuotaService;
@@ -0,0 +1,183 @@
+/**
+ * Bulk Entry Service
+ * Matches parsed lines of a pasted list against the catalog (match_catalog_products ranks pokemon_cards and
+ * sealed_products by trigram similarity, card number and set) and saves the reviewed lines as one
+ * multi-item order: every line becomes an order sharing one order number and order group
+ */
+
+import { supabase } from '../lib/supabaseClient';
+import { createBulkOrders } from '../utils/orderNumbering';
+import { getItemTypeClassification } from '../utils/itemTypeUtils';
+import { DEFAULT_RAW_CONDITION } from '../utils/cardCondition';
+
+// Lines sent per match_catalog_products call
+const MATCH_BATCH_SIZE = 25;
+
+const toCandidate = (row) => ({
+  kind: row.product_kind,
+  productId: row.product_id,
+  name: row.name,
+  number: row.number,
+  setName: row.set_name,
+  imageUrl: row.image_url,
+  marketPrice: row.market_price != null ? Number(row.market_price) : null,
+  score: Number(row.score) || 0
+});
+
+class BulkEntryService {
+  /**
+   * Rank catalog candidates for parsed lines
+   * @param {Array} lines - Lines from parseBulkEntryText
+   * @param {Object} options - { limit: candidates per line, onProgress(matchedCount, total) }
+   * @returns {Promise<Object>} { [line.index]: candidates, best first }
+   */
+  async matchLines(lines, { limit = 5, onProgress } = {}) {
+    const candidatesByLine = {};
+
+    for (let start = 0; start < lines.length; start += MATCH_BATCH_SIZE) {
+      const batch = lines.slice(start, start + MATCH_BATCH_SIZE);
+      const { data, error } = await supabase.rpc('match_catalog_products', {
+        p_lines: batch.map(line => ({
+          index: line.index,
+          name: line.name,
+          set_name: line.setName,
+          number: line.number,
+          kind: line.kind
+        })),
+        p_limit: limit
+      });
+
+      if (error) {
+        console.error('Error matching bulk entry lines:', error);
+        throw error;
+      }
+
+      batch.forEach(line => {
+        candidatesByLine[line.index] = [];
+      });
+      (data || []).forEach(row => {
+        candidatesByLine[row.line_index]?.push(toCandidate(row));
+      });
+      onProgress?.(Math.min(start + MATCH_BATCH_SIZE, lines.length), lines.length);
+    }
+
+    return candidatesByLine;
+  }
+
+  /**
+   * Find or create the items row sealed product orders link to
+   * @param {Object} candidate - Matched sealed product
+   * @returns {Promise<string>} items.id
+   */
+  async getOrCreateSealedItem(candidate) {
+    const { data: existingItem, error: lookupError } = await supabase
+      .from('items')
+      .select('id')
+      .eq('name', candidate.name)
+      .eq('set_name', candidate.setName || '')
+      .maybeSingle();
+
+    if (lookupError) throw lookupError;
+    if (existingItem) return existingItem.id;
+
+    const { data: newItem, error: insertError } = await supabase
+      .from('items')
+      .insert({
+        name: candidate.name,
+        set_name: candidate.setName || '',
+        image_url: candidate.imageUrl || '',
+        item_type: getItemTypeClassification({ name: candidate.name, itemType: 'Sealed' }, 'raw', 'api'),
+        market_value_cents: Math.round((candidate.marketPrice || 0) * 100)
+      })
+      .select('id')
+      .single();
+
+    if (insertError) throw insertError;
+    return newItem.id;
+  }
+
+  /**
+   * Save reviewed lines as one multi-item order
+   * @param {Array} entries - [{ candidate, quantity, pricePerItem, gradingCompany, gradingGrade, rawCondition }]
+   * @param {Object} purchase - { purchaseDate, retailerName, currency, notes }
+   * @returns {Promise<Array>} Inserted orders
+   */
+  async createOrder(entries, { purchaseDate, retailerName = null, currency = null, notes = null }) {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) {
+      throw new Error('User not authenticated');
+    }
+
+    try {
+      const orderGroupId = crypto.randomUUID();
+      // Several lines of the same sealed product share one items row
+      const sealedItemIds = {};
+      const ordersData = [];
+
+      for (const entry of entries) {
+        const { candidate } = entry;
+        const quantity = parseInt(entry.quantity, 10) || 1;
+        const pricePerItemCents = Math.round((parseFloat(entry.pricePerItem) || 0) * 100);
+        const base = {
+          user_id: user.id,
+          purchase_date: purchaseDate,
+          price_per_item_cents: pricePerItemCents,
+          total_cost_cents: pricePerItemCents * quantity,
+          currency,
+          quantity,
+          quantity_sold: 0,
+          retailer_name: retailerName,
+          notes,
+          order_group_id: orderGroupId
+        };
+
+        if (candidate.kind === 'sealed') {
+          if (!sealedItemIds[candidate.productId]) {
+            sealedItemIds[candidate.productId] = await this.getOrCreateSealedItem(candidate);
+          }
+          ordersData.push({
+            ...base,
+            item_id: sealedItemIds[candidate.productId],
+            pokemon_card_id: null,
+            item_type: 'Sealed',
+            card_condition: null,
+            grading_company: null,
+            grading_grade: null,
+            raw_condition: null,
+            product_source: 'custom'
+          });
+        } else {
+          const isGraded = Boolean(entry.gradingCompany && entry.gradingGrade);
+          ordersData.push({
+            ...base,
+            item_id: null,
+            pokemon_card_id: candidate.productId,
+            item_type: 'Single',
+            card_condition: isGraded ? `${entry.gradingCompany} ${entry.gradingGrade}` : 'Raw',
+            grading_company: isGraded ? entry.gradingCompany : null,
+            grading_grade: isGraded ? entry.gradingGrade : null,
+            raw_condition: isGraded ? null : (entry.rawCondition || DEFAULT_RAW_CONDITION),
+            product_source: 'pokemon'
+          });
+        }
+      }
+
+      // One order number for the whole list
+      const ordersWithNumbers = await createBulkOrders(supabase, ordersData);
+      const { data: orders, error } = await supabase
+        .from('orders')
+        .insert(ordersWithNumbers)
+        .select();
+
+      if (error) throw error;
+      return orders || [];
+    } catch (error) {
+      console.error('Error creating bulk entry order:', error);
+      throw error;
+    }
+  }
+}
+
+// Create and export singleton instance
+const bulkEntryService = new BulkEntryService();
+export default bulkEntryService;
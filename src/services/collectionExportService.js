@@ -0,0 +1,675 @@
+/**
+ * Collection Export Service
+ * Exports every order line and its sale history as CSV / JSON backups (amounts in their own
+ * currency plus converted into the user's base currency), and imports spreadsheet or backup files back into orders with column mapping,
+ * a dry-run preview and duplicate detection
+ */
+
+import { supabase } from '../lib/supabaseClient';
+import { toCsv, parseCsvWithHeaders, downloadFile } from '../utils/csv';
+import { moneyToCents } from '../utils/money';
+import { getSaleHistory, getSaleTotals, toSaleRow } from '../utils/saleHistoryManager';
+import { getSaleNetCents } from '../utils/marketplaceFees';
+import { getNextOrderNumber } from '../utils/orderNumbering';
+import { DEFAULT_CURRENCY, isSupportedCurrency, convertOrderToCurrency, getMarketValueCurrency } from '../utils/currency';
+import { getItemTypeClassification } from '../utils/itemTypeUtils';
+import { normalizeRawCondition } from '../utils/cardCondition';
+import marketplaceService from './marketplaceService';
+import conditionPricingService from './conditionPricingService';
+import marketValueOverrideService from './marketValueOverrideService';
+
+// Money columns are exported in dollars so the files stay readable in a spreadsheet
+export const ORDER_EXPORT_COLUMNS = [
+  'order_id', 'order_number', 'order_group_id', 'purchase_date',
+  'item_name', 'set_name', 'item_type', 'product_source', 'item_id', 'pokemon_card_id',
+  'card_type', 'graded_company', 'graded_grade', 'card_condition', 'raw_condition', 'grading_company', 'grading_grade', 'cert_number',
+  'quantity', 'price_per_item', 'total_cost', 'currency', 'retailer_name', 'notes',
+  'market_value', 'market_value_currency', 'market_value_override',
+  'quantity_sold', 'sale_gross', 'sale_fees', 'sale_shipping', 'sale_net', 'sale_history',
+  'base_currency', 'total_cost_base', 'sale_net_base', 'market_value_base'
+];
+
+export const SALE_LEDGER_COLUMNS = [
+  'order_id', 'item_name', 'set_name', 'pokemon_card_id', 'item_id', 'sale_id', 'sale_date',
+  'quantity', 'sale_price', 'gross', 'fees', 'shipping', 'net', 'currency', 'sale_location', 'buyer', 'sale_notes',
+  'base_currency', 'net_base'
+];
+
+// Fields an import file can map onto, with header names recognised automatically
+export const IMPORT_FIELDS = [
+  { key: 'item_name', label: 'Item name', aliases: ['name', 'item', 'product', 'product_name', 'card', 'card_name'] },
+  { key: 'set_name', label: 'Set', aliases: ['set', 'expansion', 'expansion_name'] },
+  { key: 'purchase_date', label: 'Purchase date', required: true, aliases: ['date', 'order_date', 'bought', 'buy_date'] },
+  { key: 'quantity', label: 'Quantity', aliases: ['qty', 'count', 'amount'] },
+  { key: 'price_per_item', label: 'Price per item ($)', aliases: ['price', 'unit_price', 'buy_price', 'cost_per_item', 'price_each'] },
+  { key: 'total_cost', label: 'Total cost ($)', aliases: ['total', 'cost', 'total_price'] },
+  { key: 'currency', label: 'Currency (default USD)', aliases: ['currency_code', 'ccy'] },
+  { key: 'retailer_name', label: 'Retailer', aliases: ['retailer', 'store', 'location', 'purchased_from', 'seller'] },
+  { key: 'notes', label: 'Notes', aliases: ['note', 'comments'] },
+  { key: 'item_type', label: 'Item type', aliases: ['type', 'category'] },
+  { key: 'pokemon_card_id', label: 'Pokemon card ID', aliases: ['card_id'] },
+  { key: 'item_id', label: 'Item ID', aliases: [] },
+  { key: 'card_type', label: 'Card type', aliases: [] },
+  { key: 'graded_company', label: 'Graded company', aliases: [] },
+  { key: 'graded_grade', label: 'Graded grade', aliases: [] },
+  { key: 'card_condition', label: 'Condition', aliases: ['condition'] },
+  { key: 'raw_condition', label: 'Raw condition (NM, LP, MP, HP, DMG)', aliases: ['raw_grade'] },
+  { key: 'grading_company', label: 'Grading company', aliases: ['grader', 'grading'] },
+  { key: 'grading_grade', label: 'Grade', aliases: ['grade'] },
+  { key: 'cert_number', label: 'Cert number', aliases: ['cert', 'certification_number'] },
+  { key: 'order_id', label: 'Order ID (backups)', aliases: ['id'] },
+  { key: 'order_group_id', label: 'Order group ID', aliases: ['group_id'] },
+  { key: 'sale_history', label: 'Sale history (JSON)', aliases: ['sales'] },
+  { key: 'quantity_sold', label: 'Quantity sold', aliases: ['sold', 'qty_sold'] },
+  { key: 'sale_date', label: 'Sale date', aliases: ['sold_date', 'sell_date'] },
+  { key: 'sale_price', label: 'Sale price per item ($)', aliases: ['sell_price', 'sold_price', 'sale_price_per_item'] },
+  { key: 'sale_location', label: 'Sale location', aliases: ['sold_on', 'sell_location', 'marketplace'] },
+  { key: 'sale_fees', label: 'Sale fees ($)', aliases: ['fees', 'sell_fees'] },
+  { key: 'sale_shipping', label: 'Sale shipping ($)', aliases: ['shipping', 'sell_shipping'] },
+  { key: 'sale_buyer', label: 'Buyer', aliases: ['buyer', 'sold_to'] }
+];
+
+/**
+ * Normalize a header or field name for matching
+ * @param {string} value - Header text
+ * @returns {string} - Lowercase name with spaces and punctuation collapsed to underscores
+ */
+const normalizeHeader = (value) => {
+  return String(value || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+};
+
+/**
+ * Format cents as a plain dollar amount for export
+ * @param {number} cents - Amount in cents
+ * @returns {string} - e.g. "12.50", or '' when missing
+ */
+const centsToDollars = (cents) => (cents == null ? '' : (cents / 100).toFixed(2));
+
+/**
+ * Parse a date cell into YYYY-MM-DD
+ * @param {string} value - Date text (ISO, or anything Date understands)
+ * @returns {string|null} - ISO date or null if unparseable
+ */
+const parseDate = (value) => {
+  const text = String(value || '').trim();
+  if (!text) return null;
+  if (/^\d{4}-\d{2}-\d{2}/.test(text)) return text.slice(0, 10);
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+};
+
+/**
+ * Describe the market value override of an order for export
+ * @param {Object} override - market_value_override of an order
+ * @returns {string} - e.g. "product; eBay comp; until 2026-12-31; recent auction", or '' when not overridden
+ */
+const describeOverride = (override) => {
+  if (!override) return '';
+  return [
+    override.scope,
+    override.source,
+    override.expires_on && `until ${override.expires_on}`,
+    override.reason
+  ].filter(Boolean).join('; ');
+};
+
+/**
+ * Key identifying the product an order is for
+ * @param {Object} order - Order with pokemon_card_id / item_id / item_name / set_name
+ * @param {boolean} byName - Use the name and set even when product IDs are present
+ * @returns {string} - Product key
+ */
+const getProductKey = (order, byName = false) => {
+  if (!byName && order.pokemon_card_id) return `card:${order.pokemon_card_id}`;
+  if (!byName && order.item_id) return `item:${order.item_id}`;
+  return `name:${normalizeHeader(order.item_name)}|${normalizeHeader(order.set_name)}`;
+};
+
+/**
+ * Fingerprint used to detect the same purchase appearing twice
+ * @param {Object} order - Order with purchase_date, price_per_item_cents and quantity
+ * @param {string} productKey - Key from getProductKey
+ * @returns {string} - Fingerprint
+ */
+const getOrderFingerprint = (order, productKey) => {
+  return [String(order.purchase_date || '').slice(0, 10), productKey, order.price_per_item_cents, order.quantity].join('|');
+};
+
+class CollectionExportService {
+  /**
+   * Get every order line for the current user with its item details, market value and parsed sale history
+   * @returns {Promise<Array>} Orders, oldest purchase first
+   */
+  async getExportData() {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) {
+      throw new Error('User not authenticated');
+    }
+
+    const [ordersResult, detailsResult] = await Promise.all([
+      supabase
+        .from('orders')
+        .select('*, sales(*)')
+        .eq('user_id', user.id)
+        .order('purchase_date', { ascending: true }),
+      supabase
+        .from('individual_orders_clean')
+        .select('id, item_name, set_name, item_type, market_value_cents')
+    ]);
+
+    if (ordersResult.error) {
+      console.error('Error fetching orders for export:', ordersResult.error);
+      throw ordersResult.error;
+    }
+    if (detailsResult.error) {
+      console.error('Error fetching order details for export:', detailsResult.error);
+      throw detailsResult.error;
+    }
+
+    const detailsById = new Map((detailsResult.data || []).map(detail => [detail.id, detail]));
+
+    const orders = (ordersResult.data || []).map(order => {
+      const details = detailsById.get(order.id) || {};
+      return {
+        ...order,
+        item_name: details.item_name || '',
+        set_name: details.set_name || '',
+        item_type: order.item_type || details.item_type || '',
+        market_value_cents: details.market_value_cents ?? null,
+        saleRecords: getSaleHistory(order)
+      };
+    });
+
+    // Same market values as the collection: condition and graded prices, then saved overrides
+    return marketValueOverrideService.withOverrides(await conditionPricingService.withConditionValues(orders));
+  }
+
+  /**
+   * Flatten an order into an export row
+   * @param {Object} order - Order from getExportData
+   * @param {Object} baseOrder - The same order converted into the base currency (convertOrderToCurrency)
+   * @returns {Object} - Row keyed by ORDER_EXPORT_COLUMNS
+   */
+  toOrderRow(order, baseOrder = order) {
+    const totals = getSaleTotals(order.saleRecords);
+    const baseTotals = getSaleTotals(getSaleHistory(baseOrder));
+    return {
+      order_id: order.id,
+      order_number: order.order_number,
+      order_group_id: order.order_group_id,
+      purchase_date: order.purchase_date,
+      item_name: order.item_name,
+      set_name: order.set_name,
+      item_type: order.item_type,
+      product_source: order.product_source,
+      item_id: order.item_id,
+      pokemon_card_id: order.pokemon_card_id,
+      card_type: order.card_type,
+      graded_company: order.graded_company,
+      graded_grade: order.graded_grade,
+      card_condition: order.card_condition,
+      raw_condition: order.raw_condition,
+      grading_company: order.grading_company,
+      grading_grade: order.grading_grade,
+      cert_number: order.cert_number,
+      quantity: order.quantity,
+      price_per_item: centsToDollars(order.price_per_item_cents),
+      total_cost: centsToDollars(order.total_cost_cents),
+      currency: order.currency || DEFAULT_CURRENCY,
+      retailer_name: order.retailer_name,
+      notes: order.notes,
+      market_value: centsToDollars(order.market_value_cents),
+      market_value_currency: getMarketValueCurrency(order),
+      market_value_override: describeOverride(order.market_value_override),
+      quantity_sold: order.quantity_sold || 0,
+      sale_gross: centsToDollars(totals.sale_total_cents),
+      sale_fees: centsToDollars(totals.sale_fees_cents),
+      sale_shipping: centsToDollars(totals.sale_shipping_cents),
+      sale_net: centsToDollars(totals.sale_net_cents),
+      sale_history: order.saleRecords.length > 0 ? JSON.stringify(order.saleRecords) : '',
+      base_currency: baseOrder.currency || DEFAULT_CURRENCY,
+      total_cost_base: centsToDollars(baseOrder.total_cost_cents),
+      sale_net_base: centsToDollars(baseTotals.sale_net_cents),
+      market_value_base: centsToDollars(baseOrder.market_value_cents)
+    };
+  }
+
+  /**
+   * Flatten an order's sale history into sale ledger rows
+   * @param {Object} order - Order from getExportData
+   * @param {Object} baseOrder - The same order converted into the base currency (convertOrderToCurrency)
+   * @returns {Array<Object>} - Rows keyed by SALE_LEDGER_COLUMNS
+   */
+  toSaleRows(order, baseOrder = order) {
+    const baseSalesById = new Map(getSaleHistory(baseOrder).map(sale => [sale.id, sale]));
+    return order.saleRecords.map(sale => {
+      const baseSale = baseSalesById.get(sale.id) || sale;
+      const gross = typeof sale.grossCents === 'number' ? sale.grossCents : (sale.salePrice || 0) * (sale.quantity || 0);
+      return {
+        order_id: order.id,
+        item_name: order.item_name,
+        set_name: order.set_name,
+        pokemon_card_id: order.pokemon_card_id,
+        item_id: order.item_id,
+        sale_id: sale.id,
+        sale_date: String(sale.saleDate || '').slice(0, 10),
+        quantity: sale.quantity,
+        sale_price: centsToDollars(sale.salePrice || 0),
+        gross: centsToDollars(gross),
+        fees: centsToDollars(sale.feesCents || 0),
+        shipping: centsToDollars(sale.shippingCents || 0),
+        net: centsToDollars(getSaleNetCents(sale)),
+        currency: sale.currency || DEFAULT_CURRENCY,
+        sale_location: sale.saleLocation,
+        buyer: sale.buyer || '',
+        sale_notes: sale.saleNotes,
+        base_currency: baseOrder.currency || DEFAULT_CURRENCY,
+        net_base: centsToDollars(getSaleNetCents(baseSale))
+      };
+    });
+  }
+
+  /**
+   * Build an export file
+   * @param {string} format - 'orders_csv' | 'sales_csv' | 'json'
+   * @param {Object} options - { baseCurrency, rateTable (buildRateTable) } for the *_base columns
+   * @returns {Promise<Object>} { content, filename, mimeType, count }
+   */
+  async buildExport(format, { baseCurrency = DEFAULT_CURRENCY, rateTable = {} } = {}) {
+    const orders = await this.getExportData();
+    const date = new Date().toISOString().slice(0, 10);
+    const toBase = (order) => convertOrderToCurrency(order, baseCurrency, rateTable);
+
+    switch (format) {
+      case 'orders_csv':
+        return {
+          content: toCsv(orders.map(order => this.toOrderRow(order, toBase(order))), ORDER_EXPORT_COLUMNS),
+          filename: `collection-orders-${date}.csv`,
+          mimeType: 'text/csv;charset=utf-8',
+          count: orders.length
+        };
+      case 'sales_csv': {
+        const saleRows = orders.flatMap(order => this.toSaleRows(order, toBase(order)));
+        return {
+          content: toCsv(saleRows, SALE_LEDGER_COLUMNS),
+          filename: `sale-ledger-${date}.csv`,
+          mimeType: 'text/csv;charset=utf-8',
+          count: saleRows.length
+        };
+      }
+      case 'json':
+        return {
+          content: JSON.stringify({
+            version: 1,
+            exported_at: new Date().toISOString(),
+            orders: orders.map(order => ({ ...this.toOrderRow(order, toBase(order)), sale_history: order.saleRecords }))
+          }, null, 2),
+          filename: `collection-backup-${date}.json`,
+          mimeType: 'application/json',
+          count: orders.length
+        };
+      default:
+        throw new Error(`Unknown export format: ${format}`);
+    }
+  }
+
+  /**
+   * Build an export file and download it in the browser
+   * @param {string} format - 'orders_csv' | 'sales_csv' | 'json'
+   * @param {Object} options - Passed to buildExport
+   * @returns {Promise<number>} Number of rows exported
+   */
+  async downloadExport(format, options = {}) {
+    const { content, filename, mimeType, count } = await this.buildExport(format, options);
+    downloadFile(content, filename, mimeType);
+    return count;
+  }
+
+  /**
+   * Parse an import file (CSV with a header row, or a JSON backup from buildExport)
+   * @param {string} text - File content
+   * @param {string} filename - File name, used to detect JSON
+   * @returns {Object} { headers, rows }
+   */
+  parseImportFile(text, filename = '') {
+    const trimmed = String(text || '').trim();
+
+    if (filename.toLowerCase().endsWith('.json') || trimmed.startsWith('{') || trimmed.startsWith('[')) {
+      const parsed = JSON.parse(trimmed);
+      const orders = Array.isArray(parsed) ? parsed : parsed.orders;
+      if (!Array.isArray(orders)) {
+        throw new Error('JSON file does not contain an orders array');
+      }
+
+      const headers = [...new Set(orders.flatMap(order => Object.keys(order)))];
+      return {
+        headers,
+        rows: orders.map(order => headers.reduce((row, header) => {
+          const value = order[header];
+          row[header] = value != null && typeof value === 'object' ? JSON.stringify(value) : String(value ?? '');
+          return row;
+        }, {}))
+      };
+    }
+
+    return parseCsvWithHeaders(trimmed);
+  }
+
+  /**
+   * Suggest which file column feeds each import field
+   * @param {Array<string>} headers - File headers
+   * @returns {Object} - { [fieldKey]: header }
+   */
+  suggestMapping(headers) {
+    const byNormalized = new Map(headers.map(header => [normalizeHeader(header), header]));
+    const mapping = {};
+
+    for (const field of IMPORT_FIELDS) {
+      const candidates = [field.key, normalizeHeader(field.label), ...field.aliases];
+      const match = candidates.find(candidate => byNormalized.has(candidate));
+      if (match) {
+        mapping[field.key] = byNormalized.get(match);
+        byNormalized.delete(match);
+      }
+    }
+
+    return mapping;
+  }
+
+  /**
+   * Turn a mapped file row into an order and its sale records
+   * @param {Object} raw - Row keyed by file header
+   * @param {Object} mapping - { [fieldKey]: header }
+   * @returns {Promise<Object>} { order, sales, errors }
+   */
+  async normalizeRow(raw, mapping) {
+    const get = (key) => (mapping[key] ? String(raw[mapping[key]] ?? '').trim() : '');
+    const errors = [];
+
+    const order = {
+      source_order_id: get('order_id') || null,
+      source_group_id: get('order_group_id') || null,
+      item_name: get('item_name'),
+      set_name: get('set_name'),
+      item_type: get('item_type') || null,
+      item_id: get('item_id') || null,
+      pokemon_card_id: get('pokemon_card_id') || null,
+      purchase_date: parseDate(get('purchase_date')),
+      retailer_name: get('retailer_name') || null,
+      notes: get('notes') || null,
+      card_type: get('card_type') || null,
+      graded_company: get('graded_company') || null,
+      graded_grade: get('graded_grade') || null,
+      card_condition: get('card_condition') || null,
+      raw_condition: normalizeRawCondition(get('raw_condition')),
+      grading_company: get('grading_company') || null,
+      grading_grade: get('grading_grade') || null,
+      cert_number: get('cert_number') || null,
+      currency: get('currency').toUpperCase() || null
+    };
+
+    // Spreadsheets often put NM, LP, ... in their condition column
+    const conditionCode = normalizeRawCondition(order.card_condition);
+    if (conditionCode) {
+      order.card_condition = 'Raw';
+      order.raw_condition = order.raw_condition || conditionCode;
+    }
+    if (get('raw_condition') && !order.raw_condition) {
+      errors.push(`Unknown raw condition "${get('raw_condition')}"`);
+    }
+
+    if (order.currency && !isSupportedCurrency(order.currency)) {
+      errors.push(`Unsupported currency "${get('currency')}"`);
+    }
+    if (!order.item_name && !order.item_id && !order.pokemon_card_id) {
+      errors.push('Missing item name or product ID');
+    }
+    if (!order.purchase_date) {
+      errors.push(get('purchase_date') ? `Invalid purchase date "${get('purchase_date')}"` : 'Missing purchase date');
+    }
+
+    const quantityText = get('quantity');
+    order.quantity = quantityText ? parseInt(quantityText, 10) : 1;
+    if (!Number.isInteger(order.quantity) || order.quantity < 1) {
+      errors.push(`Invalid quantity "${quantityText}"`);
+    }
+
+    const priceText = get('price_per_item');
+    const totalText = get('total_cost');
+    if (priceText) {
+      order.price_per_item_cents = moneyToCents(priceText);
+      order.total_cost_cents = totalText ? moneyToCents(totalText) : order.price_per_item_cents * (order.quantity || 0);
+    } else if (totalText) {
+      order.total_cost_cents = moneyToCents(totalText);
+      order.price_per_item_cents = order.quantity > 0 ? Math.round(order.total_cost_cents / order.quantity) : 0;
+    } else {
+      errors.push('Missing price per item or total cost');
+    }
+    if (order.price_per_item_cents < 0 || order.total_cost_cents < 0) {
+      errors.push('Price cannot be negative');
+    }
+
+    let sales = [];
+    const saleHistoryText = get('sale_history');
+    if (saleHistoryText) {
+      try {
+        sales = getSaleHistory({ sale_history: JSON.parse(saleHistoryText) });
+        if (!Array.isArray(sales)) throw new Error('not an array');
+      } catch {
+        sales = [];
+        errors.push('Sale history is not valid JSON');
+      }
+    } else if (parseInt(get('quantity_sold'), 10) > 0) {
+      const quantitySold = parseInt(get('quantity_sold'), 10);
+      const salePrice = moneyToCents(get('sale_price'));
+      const breakdown = await marketplaceService.calculateSale({
+        saleLocation: get('sale_location'),
+        salePriceCents: salePrice,
+        quantity: quantitySold,
+        shippingCents: get('sale_shipping') ? moneyToCents(get('sale_shipping')) : 0,
+        feesCents: get('sale_fees') ? moneyToCents(get('sale_fees')) : undefined
+      });
+
+      sales = [{
+        quantity: quantitySold,
+        saleDate: parseDate(get('sale_date')) || order.purchase_date,
+        salePrice,
+        saleLocation: get('sale_location'),
+        saleNotes: '',
+        buyer: get('sale_buyer'),
+        currency: order.currency,
+        grossCents: breakdown.grossCents,
+        feesCents: breakdown.feesCents,
+        shippingCents: breakdown.shippingCents,
+        netCents: breakdown.netCents,
+        createdAt: new Date().toISOString()
+      }];
+    }
+
+    const quantitySold = sales.reduce((sum, sale) => sum + (sale.quantity || 0), 0);
+    if (quantitySold > order.quantity) {
+      errors.push(`Sold quantity (${quantitySold}) exceeds purchased quantity (${order.quantity})`);
+    }
+
+    return { order, sales, errors };
+  }
+
+  /**
+   * Validate an import without writing anything
+   * Rows are new, duplicate (already in the collection or repeated in the file) or error
+   * @param {Array<Object>} rows - Rows keyed by file header
+   * @param {Object} mapping - { [fieldKey]: header }
+   * @returns {Promise<Object>} { rows: [{ index, status, reason, errors, order, sales }], summary }
+   */
+  async dryRun(rows, mapping) {
+    const existingOrders = await this.getExportData();
+    const existingIds = new Set(existingOrders.map(order => order.id));
+    const existingFingerprints = new Set();
+    for (const order of existingOrders) {
+      existingFingerprints.add(getOrderFingerprint(order, getProductKey(order)));
+      existingFingerprints.add(getOrderFingerprint(order, getProductKey(order, true)));
+    }
+
+    const seenInFile = new Set();
+    const preview = [];
+
+    for (let index = 0; index < rows.length; index++) {
+      const { order, sales, errors } = await this.normalizeRow(rows[index], mapping);
+      const fingerprint = getOrderFingerprint(order, getProductKey(order));
+      let status = 'new';
+      let reason = null;
+
+      if (errors.length > 0) {
+        status = 'error';
+      } else if (order.source_order_id && existingIds.has(order.source_order_id)) {
+        status = 'duplicate';
+        reason = 'Order ID already in collection';
+      } else if (existingFingerprints.has(fingerprint)) {
+        status = 'duplicate';
+        reason = 'Same item, date, price and quantity already in collection';
+      } else if (seenInFile.has(fingerprint)) {
+        status = 'duplicate';
+        reason = 'Repeated earlier in this file';
+      }
+
+      seenInFile.add(fingerprint);
+      preview.push({ index, status, reason, errors, order, sales });
+    }
+
+    return {
+      rows: preview,
+      summary: {
+        total: preview.length,
+        new: preview.filter(row => row.status === 'new').length,
+        duplicate: preview.filter(row => row.status === 'duplicate').length,
+        error: preview.filter(row => row.status === 'error').length
+      }
+    };
+  }
+
+  /**
+   * Find or create the custom item for an imported row without a product ID
+   * @param {Object} order - Normalized order
+   * @param {Map} cache - name|set -> item id, shared across one import
+   * @returns {Promise<string>} Item ID
+   */
+  async resolveItemId(order, cache) {
+    const key = getProductKey(order, true);
+    if (cache.has(key)) return cache.get(key);
+
+    const { data: existingItem } = await supabase
+      .from('items')
+      .select('id')
+      .eq('name', order.item_name)
+      .eq('set_name', order.set_name || '')
+      .maybeSingle();
+
+    let itemId = existingItem?.id;
+    if (!itemId) {
+      const { data: newItem, error } = await supabase
+        .from('items')
+        .insert({
+          name: order.item_name,
+          set_name: order.set_name || '',
+          item_type: order.item_type || getItemTypeClassification({ name: order.item_name }, 'raw', 'manual'),
+          source: 'manual'
+        })
+        .select('id')
+        .single();
+
+      if (error) {
+        console.error('Error creating item for import:', error);
+        throw error;
+      }
+      itemId = newItem.id;
+    }
+
+    cache.set(key, itemId);
+    return itemId;
+  }
+
+  /**
+   * Import the rows of a dry run
+   * Rows from the same source order group stay grouped and share a new order number
+   * @param {Array<Object>} previewRows - Rows from dryRun
+   * @param {Object} options - { includeDuplicates }
+   * @returns {Promise<Object>} { imported, skipped }
+   */
+  async importRows(previewRows, { includeDuplicates = false } = {}) {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) {
+      throw new Error('User not authenticated');
+    }
+
+    const rowsToImport = previewRows.filter(row =>
+      row.status === 'new' || (includeDuplicates && row.status === 'duplicate')
+    );
+    if (rowsToImport.length === 0) {
+      return { imported: 0, skipped: previewRows.length };
+    }
+
+    const itemCache = new Map();
+    const groups = new Map();
+    let nextOrderNumber = await getNextOrderNumber(supabase);
+
+    const inserts = [];
+    const saleInserts = [];
+    for (const { order, sales } of rowsToImport) {
+      const groupKey = order.source_group_id || Symbol('ungrouped');
+      if (!groups.has(groupKey)) {
+        groups.set(groupKey, { id: crypto.randomUUID(), orderNumber: nextOrderNumber++ });
+      }
+      const group = groups.get(groupKey);
+
+      const itemId = order.item_id || (order.pokemon_card_id ? null : await this.resolveItemId(order, itemCache));
+      const orderId = crypto.randomUUID();
+
+      inserts.push({
+        id: orderId,
+        user_id: user.id,
+        pokemon_card_id: order.pokemon_card_id,
+        item_id: itemId,
+        product_source: order.pokemon_card_id ? 'pokemon' : 'manual',
+        purchase_date: order.purchase_date,
+        price_per_item_cents: order.price_per_item_cents,
+        quantity: order.quantity,
+        total_cost_cents: order.total_cost_cents,
+        currency: order.currency,
+        retailer_name: order.retailer_name,
+        notes: order.notes,
+        order_group_id: group.id,
+        order_number: group.orderNumber,
+        item_type: order.item_type,
+        card_condition: order.card_condition,
+        raw_condition: order.raw_condition,
+        grading_company: order.grading_company,
+        grading_grade: order.grading_grade,
+        cert_number: order.cert_number,
+        ...(order.card_type ? { card_type: order.card_type } : {}),
+        graded_company: order.graded_company,
+        graded_grade: order.graded_grade
+      });
+      // quantity_sold and the sale totals follow from the sales rows
+      sales
+        .filter(sale => sale.quantity > 0)
+        .forEach(sale => saleInserts.push(toSaleRow(sale, { id: orderId, user_id: user.id })));
+    }
+
+    // Orders and their sales are written in one transaction, so a failed import leaves nothing behind
+    const { data: imported, error } = await supabase.rpc('import_orders', {
+      p_orders: inserts,
+      p_sales: saleInserts
+    });
+
+    if (error) {
+      console.error('Error importing orders:', error);
+      throw error;
+    }
+
+    return { imported, skipped: previewRows.length - inserts.length };
+  }
+}
+
+// Create and export singleton instance
+const collectionExportService = new CollectionExportService();
+export default collectionExportService;
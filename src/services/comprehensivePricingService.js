@@ -5,17 +5,27 @@
  * - Smart caching with stale-while-revalidate
  * - Real-time API fallback
  * - Automatic background sync
+ * Card and sealed prices with provenance (source, fetched-at, confidence) come from pricingResolverService
  */
 
 import smartPricingService from './smartPricingService.js';
 import databasePricingService from './databasePricingService.js';
 import pricingSyncService from './pricingSyncService.js';
 import realTimePricingService from './realTimePricingService.js';
+import pricingResolverService from './pricingResolverService.js';
+
+// Card providers per pricing priority; 'balanced' follows the user's provider priority
+const CARD_PROVIDERS_BY_PRIORITY = {
+  speed: ['scrydex'],
+  freshness: ['scrydex-live', 'scrydex', 'tcgcsv'],
+  balanced: undefined
+};
 
 class ComprehensivePricingService {
   constructor() {
     this.isInitialized = false;
-    this.autoSyncEnabled = true;
+    // Scheduled pricing syncs run server-side (sync_schedules); the browser timer is opt-in
+    this.autoSyncEnabled = false;
     this.autoSyncInterval = null;
   }
 
@@ -55,10 +65,12 @@ class ComprehensivePricingService {
   }
 
   /**
-   * Get pricing data for a single card
+   * Get the resolved raw and graded prices of a single card
+   * Prices come from pricingResolverService, so every screen shows the same figure with its source,
+   * fetched-at time and confidence
    * @param {string} apiId - Card API ID
-   * @param {Object} options - Pricing options
-   * @returns {Object|null} Pricing data
+   * @param {Object} options - Pricing options, plus product: { name, setName, variant, company, grade }
+   * @returns {Object|null} { raw, graded } resolved prices (either may be null), or null when neither resolves
    */
   async getCardPricing(apiId, options = {}) {
     if (!this.isInitialized) {
@@ -66,32 +78,19 @@ class ComprehensivePricingService {
     }
 
     const {
-      forceRefresh = false,
-      backgroundRefresh = true,
-      fallbackToApi = true,
-      priority = 'balanced' // 'speed', 'balanced', 'freshness'
+      priority = 'balanced', // 'speed', 'balanced', 'freshness'
+      product = {}
     } = options;
-
+    const resolverOptions = { ...options, providers: CARD_PROVIDERS_BY_PRIORITY[priority] };
 
     try {
-      switch (priority) {
-        case 'speed':
-          // Fastest: database only, no API fallback
-          return await this.getFastPricing(apiId);
-        
-        case 'freshness':
-          // Freshest: real-time API first, then database
-          return await this.getFreshPricing(apiId, options);
-        
-        case 'balanced':
-        default:
-          // Balanced: smart caching with fallbacks
-          return await smartPricingService.getCardPricing(apiId, {
-            forceRefresh,
-            backgroundRefresh,
-            fallbackToApi
-          });
-      }
+      const cardProduct = { id: apiId, ...product };
+      const [raw, graded] = await Promise.all([
+        pricingResolverService.resolvePrice(cardProduct, 'single', resolverOptions),
+        pricingResolverService.resolvePrice(cardProduct, 'graded', resolverOptions)
+      ]);
+
+      return raw || graded ? { raw, graded } : null;
     } catch (error) {
       console.error(`❌ Error getting pricing for ${apiId}:`, error);
       return null;
@@ -113,37 +112,10 @@ class ComprehensivePricingService {
   }
 
   /**
-   * Get freshest pricing (API first)
-   * @param {string} apiId - Card API ID
-   * @param {Object} options - Options
-   * @returns {Object|null} Pricing data
-   */
-  async getFreshPricing(apiId, options = {}) {
-    try {
-      
-      // Check availability first
-      const availability = await realTimePricingService.checkPricingAvailability(apiId);
-      
-      if (availability.needsRealTime) {
-        const realTimePricing = await realTimePricingService.fetchRealTimePricing(apiId);
-        if (realTimePricing) {
-          return realTimePricing;
-        }
-      }
-
-      // Fallback to database
-      return await databasePricingService.getCardPricing(apiId);
-    } catch (error) {
-      console.error(`❌ Fresh pricing failed for ${apiId}:`, error);
-      return null;
-    }
-  }
-
-  /**
-   * Get pricing for multiple cards
+   * Get resolved pricing for multiple cards
    * @param {Array<string>} apiIds - Array of card API IDs
-   * @param {Object} options - Pricing options
-   * @returns {Object} Object with apiId as key and pricing data as value
+   * @param {Object} options - Pricing options (see getCardPricing), plus maxConcurrent
+   * @returns {Object} Object with apiId as key and { raw, graded } as value
    */
   async getMultipleCardPricing(apiIds, options = {}) {
     if (!this.isInitialized) {
@@ -154,37 +126,25 @@ class ComprehensivePricingService {
       return {};
     }
 
-    const {
-      priority = 'balanced',
-      maxConcurrent = 5
-    } = options;
-
+    const { maxConcurrent = 5 } = options;
+    const results = {};
 
-    try {
-      switch (priority) {
-        case 'speed':
-          return await databasePricingService.getMultipleCardPricing(apiIds);
-        
-        case 'freshness':
-          return await realTimePricingService.fetchMultipleRealTimePricing(apiIds, {
-            maxConcurrent
-          });
-        
-        case 'balanced':
-        default:
-          return await smartPricingService.getMultipleCardPricing(apiIds, options);
-      }
-    } catch (error) {
-      console.error(`❌ Error getting multiple card pricing:`, error);
-      return {};
+    for (let start = 0; start < apiIds.length; start += maxConcurrent) {
+      const batch = apiIds.slice(start, start + maxConcurrent);
+      const pricing = await Promise.all(batch.map(apiId => this.getCardPricing(apiId, options)));
+      batch.forEach((apiId, index) => {
+        if (pricing[index]) results[apiId] = pricing[index];
+      });
     }
+
+    return results;
   }
 
   /**
    * Get pricing for sealed products
-   * @param {string} apiId - Product API ID
-   * @param {Object} options - Pricing options
-   * @returns {Object|null} Pricing data
+   * @param {string} apiId - Product API ID (TCGplayer product id)
+   * @param {Object} options - Resolver options, plus product: { name, pricechartingId, tcggoId }
+   * @returns {Object|null} Resolved price with its source, fetched-at time and confidence
    */
   async getSealedProductPricing(apiId, options = {}) {
     if (!this.isInitialized) {
@@ -192,7 +152,7 @@ class ComprehensivePricingService {
     }
 
     try {
-      return await databasePricingService.getSealedProductPricing(apiId);
+      return await pricingResolverService.resolvePrice({ id: apiId, ...options.product }, 'sealed', options);
     } catch (error) {
       console.error(`❌ Error getting sealed product pricing for ${apiId}:`, error);
       return null;
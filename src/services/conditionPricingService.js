@@ -0,0 +1,159 @@
+/**
+ * Condition Pricing Service
+ * Values raw singles at the condition each copy is in, using the Scrydex raw pricing stored
+ * on pokemon_cards and the user's fallback discount curve (user_preferences.condition_discounts),
+ * and graded singles at the Scrydex graded price of their company and grade
+ */
+
+import { supabase } from '../lib/supabaseClient';
+import {
+  DEFAULT_RAW_CONDITION,
+  applyConditionValue,
+  applyGradedValue,
+  getConditionPrices,
+  getGradedPrice,
+  isGradedSingle,
+  isRawSingle,
+  normalizeDiscountCurve,
+  normalizeRawCondition
+} from '../utils/cardCondition';
+import { getCompanyFromCardType, getGradeFromCardType } from '../utils/itemTypeUtils';
+
+const ID_BATCH_SIZE = 500;
+
+/**
+ * Select rows of a table whose id is in a list, in batches that keep the URL short
+ * @param {string} table - Table name
+ * @param {string} columns - Columns to select
+ * @param {Array} ids - Ids
+ * @returns {Promise<Array>} Rows
+ */
+const selectByIds = async (table, columns, ids) => {
+  const rows = [];
+
+  for (let i = 0; i < ids.length; i += ID_BATCH_SIZE) {
+    const { data, error } = await supabase
+      .from(table)
+      .select(columns)
+      .in('id', ids.slice(i, i + ID_BATCH_SIZE));
+    if (error) throw error;
+    rows.push(...(data || []));
+  }
+
+  return rows;
+};
+
+class ConditionPricingService {
+  /**
+   * Get the signed-in user's fallback discount curve
+   * @returns {Promise<Object>} { [condition]: share of the NM value }
+   */
+  async getDiscountCurve() {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) return normalizeDiscountCurve(null);
+
+    const { data, error } = await supabase
+      .from('user_preferences')
+      .select('condition_discounts')
+      .eq('user_id', user.id)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error fetching condition discounts:', error);
+      throw error;
+    }
+
+    return normalizeDiscountCurve(data?.condition_discounts);
+  }
+
+  /**
+   * Save the signed-in user's fallback discount curve
+   * @param {Object} curve - { [condition]: share of the NM value }
+   * @returns {Promise<Object>} The saved (normalized) curve
+   */
+  async setDiscountCurve(curve) {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) {
+      throw new Error('User not authenticated');
+    }
+
+    const normalized = normalizeDiscountCurve(curve);
+    const { error } = await supabase
+      .from('user_preferences')
+      .upsert({
+        user_id: user.id,
+        condition_discounts: normalized,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'user_id' });
+
+    if (error) {
+      console.error('Error saving condition discounts:', error);
+      throw error;
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Attach orders.raw_condition, card_variant and card_type (not exposed by the clean view) and
+   * value singles at their condition: raw copies at their raw condition, graded copies at the
+   * graded price of their company and grade; market_value_cents becomes the per-copy value
+   * @param {Array} orders - Orders from individual_orders_clean
+   * @returns {Promise<Array>} Orders with raw_condition, nm_market_value_cents and condition_value_source
+   */
+  async withConditionValues(orders) {
+    const ids = (orders || []).map(order => order.id);
+    if (ids.length === 0) return orders || [];
+
+    const rows = await selectByIds('orders', 'id, raw_condition, card_variant, card_type', ids);
+    const rowById = {};
+    rows.forEach(row => {
+      rowById[row.id] = row;
+    });
+
+    const withConditions = orders.map(order => ({
+      ...order,
+      raw_condition: rowById[order.id]?.raw_condition ?? order.raw_condition ?? null,
+      card_variant: rowById[order.id]?.card_variant ?? order.card_variant ?? null,
+      card_type: rowById[order.id]?.card_type ?? order.card_type ?? null
+    }));
+
+    // Only copies below NM and graded copies need a price other than the catalog market value
+    const belowNm = withConditions.filter(order =>
+      isRawSingle(order) && (normalizeRawCondition(order.raw_condition) || DEFAULT_RAW_CONDITION) !== DEFAULT_RAW_CONDITION
+    );
+    const graded = withConditions.filter(isGradedSingle);
+    if (belowNm.length === 0 && graded.length === 0) return withConditions;
+
+    const cardIds = [...new Set([...belowNm, ...graded].map(order => order.pokemon_card_id).filter(Boolean))];
+    const [cards, discounts] = await Promise.all([
+      cardIds.length > 0 ? selectByIds('pokemon_cards', 'id, variants', cardIds) : [],
+      belowNm.length > 0 ? this.getDiscountCurve() : null
+    ]);
+
+    const variantsByCardId = {};
+    cards.forEach(card => {
+      variantsByCardId[card.id] = card.variants;
+    });
+
+    return withConditions.map(order => {
+      const variants = order.pokemon_card_id ? variantsByCardId[order.pokemon_card_id] : null;
+
+      if (isGradedSingle(order)) {
+        const gradedCents = getGradedPrice(
+          variants,
+          order.card_variant,
+          getCompanyFromCardType(order.card_type),
+          getGradeFromCardType(order.card_type)
+        );
+        return applyGradedValue(order, gradedCents);
+      }
+
+      return applyConditionValue(order, getConditionPrices(variants, order.card_variant), discounts);
+    });
+  }
+}
+
+// Create and export singleton instance
+const conditionPricingService = new ConditionPricingService();
+export default conditionPricingService;
@@ -9,6 +9,7 @@
  */
 
 import { supabase } from '../lib/supabaseClient.js';
+import { buildSetCompletion } from '../utils/setCompletion';
 
 class ExpansionDataService {
   constructor() {
@@ -307,6 +308,44 @@ class ExpansionDataService {
       return { totalCards: 0 };
     }
   }
+
+  /**
+   * Get set completion for an expansion: owned vs missing cards and the cost to complete
+   * Joins every card in the expansion with the user's orders on orders.pokemon_card_id
+   * @param {string} expansionId - Expansion ID
+   * @param {Object} options - { masterSet } to count variants / reverse holos separately
+   */
+  async getSetCompletion(expansionId, options = {}) {
+    const { masterSet = false } = options;
+
+    try {
+      const { data: cards, error: cardsError } = await supabase
+        .from('pokemon_cards')
+        .select('id, name, number, rarity, expansion_name, image_small, image_medium, image_large, raw_market, variants')
+        .eq('expansion_id', expansionId);
+
+      if (cardsError) throw cardsError;
+
+      const sortedCards = this._sortCardsByNumber(cards || []);
+      const cardIds = sortedCards.map(card => card.id);
+
+      let orders = [];
+      if (cardIds.length > 0) {
+        const { data, error: ordersError } = await supabase
+          .from('orders')
+          .select('pokemon_card_id, card_variant, quantity, quantity_sold')
+          .in('pokemon_card_id', cardIds);
+
+        if (ordersError) throw ordersError;
+        orders = data || [];
+      }
+
+      return buildSetCompletion(sortedCards, orders, { masterSet });
+    } catch (error) {
+      console.error('Error fetching set completion:', error);
+      throw error;
+    }
+  }
 }
 
 // Export singleton instance
@@ -0,0 +1,203 @@
+/**
+ * FX Rate Service
+ * Daily exchange rates (fx_rates, units per USD) imported from a rates file, and the
+ * user's base currency preference (user_preferences)
+ */
+
+import { supabase } from '../lib/supabaseClient';
+import { parseCsvWithHeaders } from '../utils/csv';
+import { DEFAULT_CURRENCY, isSupportedCurrency } from '../utils/currency';
+
+const PAGE_SIZE = 1000;
+const UPSERT_BATCH_SIZE = 500;
+
+/**
+ * Normalize a rates file date to YYYY-MM-DD
+ * @param {string} value - Date text
+ * @returns {string|null} - ISO date or null if unparseable
+ */
+const parseRateDate = (value) => {
+  const text = String(value || '').trim();
+  if (/^\d{4}-\d{2}-\d{2}/.test(text)) return text.slice(0, 10);
+  const date = new Date(text);
+  return text && !isNaN(date.getTime()) ? date.toISOString().slice(0, 10) : null;
+};
+
+/**
+ * Turn one day of rates quoted against any base into fx_rates rows (units per USD)
+ * @param {string} date - Rate date
+ * @param {Object} rates - { [currency]: units per 1 base }
+ * @param {string} base - Currency the rates are quoted against
+ * @returns {Array} - fx_rates rows
+ */
+const rebaseDay = (date, rates, base) => {
+  const usdPerBase = base === DEFAULT_CURRENCY ? 1 : Number(rates[DEFAULT_CURRENCY]);
+  if (!(usdPerBase > 0)) return [];
+
+  const rows = Object.entries(rates)
+    .filter(([currency]) => currency !== DEFAULT_CURRENCY)
+    .map(([currency, rate]) => ({ rate_date: date, currency, units_per_usd: Number(rate) / usdPerBase }));
+
+  // The base itself is 1 unit per base
+  if (base !== DEFAULT_CURRENCY) {
+    rows.push({ rate_date: date, currency: base, units_per_usd: 1 / usdPerBase });
+  }
+  return rows;
+};
+
+class FxRateService {
+  /**
+   * Get every stored rate, oldest first
+   * @returns {Promise<Array>} fx_rates rows
+   */
+  async getRates() {
+    const rows = [];
+
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await supabase
+        .from('fx_rates')
+        .select('rate_date, currency, units_per_usd')
+        .order('rate_date', { ascending: true })
+        .order('currency', { ascending: true })
+        .range(from, from + PAGE_SIZE - 1);
+
+      if (error) {
+        console.error('Error fetching FX rates:', error);
+        throw error;
+      }
+
+      rows.push(...(data || []));
+      if (!data || data.length < PAGE_SIZE) break;
+    }
+
+    return rows;
+  }
+
+  /**
+   * Parse a rates file
+   * - CSV with date, currency and rate columns (rate = units per USD)
+   * - JSON array of { date, currency, rate }
+   * - JSON time series { base, rates: { "2024-01-02": { EUR: 0.91, ... } } } quoted against any base
+   * @param {string} text - File content
+   * @param {string} filename - File name, used to detect JSON
+   * @returns {Array} fx_rates rows for supported currencies
+   */
+  parseRatesFile(text, filename = '') {
+    const trimmed = String(text || '').trim();
+    let rows;
+
+    if (filename.toLowerCase().endsWith('.json') || trimmed.startsWith('{') || trimmed.startsWith('[')) {
+      const parsed = JSON.parse(trimmed);
+
+      if (Array.isArray(parsed)) {
+        rows = parsed.map(entry => ({
+          rate_date: parseRateDate(entry.date ?? entry.rate_date),
+          currency: String(entry.currency || '').toUpperCase(),
+          units_per_usd: Number(entry.rate ?? entry.units_per_usd)
+        }));
+      } else {
+        const base = String(parsed.base || DEFAULT_CURRENCY).toUpperCase();
+        const series = parsed.rates || parsed;
+        rows = Object.entries(series).flatMap(([date, rates]) =>
+          rates && typeof rates === 'object' ? rebaseDay(parseRateDate(date), rates, base) : []
+        );
+      }
+    } else {
+      const { rows: csvRows } = parseCsvWithHeaders(trimmed);
+      rows = csvRows.map(csvRow => {
+        const row = Object.fromEntries(Object.entries(csvRow).map(([header, value]) => [header.toLowerCase(), value]));
+        return {
+          rate_date: parseRateDate(row.date ?? row.rate_date),
+          currency: String(row.currency || '').trim().toUpperCase(),
+          units_per_usd: Number(row.rate ?? row.units_per_usd)
+        };
+      });
+    }
+
+    return rows.filter(row =>
+      row.rate_date && row.currency !== DEFAULT_CURRENCY && isSupportedCurrency(row.currency) && row.units_per_usd > 0
+    );
+  }
+
+  /**
+   * Store rates, replacing any existing rate for the same currency and day
+   * Rates are global, so they go through the admin-actions function, which checks the caller is an admin
+   * @param {Array} rows - fx_rates rows from parseRatesFile
+   * @param {string} source - Where the rates came from (e.g. the file name)
+   * @returns {Promise<number>} Number of rates stored
+   */
+  async importRates(rows, source = null) {
+    const records = rows || [];
+
+    for (let i = 0; i < records.length; i += UPSERT_BATCH_SIZE) {
+      const { error } = await supabase.functions.invoke('admin-actions?action=import-fx-rates', {
+        method: 'POST',
+        body: { rows: records.slice(i, i + UPSERT_BATCH_SIZE), source }
+      });
+
+      if (error) {
+        console.error('Error importing FX rates:', error);
+        throw error;
+      }
+    }
+
+    return records.length;
+  }
+
+  /**
+   * Get the signed-in user's base currency
+   * @returns {Promise<string>} ISO 4217 code (USD when unset)
+   */
+  async getBaseCurrency() {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) return DEFAULT_CURRENCY;
+
+    const { data, error } = await supabase
+      .from('user_preferences')
+      .select('base_currency')
+      .eq('user_id', user.id)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error fetching base currency:', error);
+      throw error;
+    }
+
+    return data?.base_currency || DEFAULT_CURRENCY;
+  }
+
+  /**
+   * Save the signed-in user's base currency
+   * @param {string} currency - ISO 4217 code
+   * @returns {Promise<string>} The saved code
+   */
+  async setBaseCurrency(currency) {
+    if (!isSupportedCurrency(currency)) {
+      throw new Error(`Unsupported currency: ${currency}`);
+    }
+
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) {
+      throw new Error('User not authenticated');
+    }
+
+    const { error } = await supabase
+      .from('user_preferences')
+      .upsert({
+        user_id: user.id,
+        base_currency: currency,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'user_id' });
+
+    if (error) {
+      console.error('Error saving base currency:', error);
+      throw error;
+    }
+
+    return currency;
+  }
+}
+
+// Create and export singleton instance
+const fxRateService = new FxRateService();
+export default fxRateService;
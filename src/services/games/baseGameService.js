@@ -5,6 +5,7 @@
  */
 
 import { supabase } from '../../lib/supabaseClient';
+import { getItemTypeClassification } from '../../utils/itemTypeUtils';
 
 class BaseGameService {
   constructor(gameConfig) {
@@ -116,6 +117,128 @@ class BaseGameService {
     throw new Error('searchSealedProducts() must be implemented if sealed products are supported');
   }
 
+  /**
+   * Run a card query with pagination
+   * Collector numbers ("12", "12a", "★1") need natural sorting, so number sorts fetch up to 1000 rows
+   * and paginate client-side; other sorts paginate in the database. Rows go through this.formatCard
+   */
+  async _runCardQuery(query, { page, pageSize, sortBy, sortOrder }) {
+    if (sortBy === 'number') {
+      const { data, error, count } = await query.limit(1000);
+      if (error) throw error;
+
+      const total = Math.min(count || 0, 1000);
+      const sorted = this._sortByNumber((data || []).map(card => this.formatCard(card)), sortOrder === 'desc');
+      const startIndex = (page - 1) * pageSize;
+
+      return {
+        data: sorted.slice(startIndex, startIndex + pageSize),
+        total,
+        page,
+        pageSize,
+        totalPages: Math.ceil(total / pageSize),
+        hasMore: (page * pageSize) < total
+      };
+    }
+
+    const from = (page - 1) * pageSize;
+    const { data, error, count } = await query
+      .order(sortBy, { ascending: sortOrder === 'asc' })
+      .range(from, from + pageSize - 1);
+
+    if (error) throw error;
+
+    return {
+      data: (data || []).map(card => this.formatCard(card)),
+      total: count || 0,
+      page,
+      pageSize,
+      totalPages: Math.ceil((count || 0) / pageSize),
+      hasMore: (page * pageSize) < (count || 0)
+    };
+  }
+
+  /**
+   * Natural sort on collector number: 1, 2, 10, 10a, 11 rather than 1, 10, 10a, 11, 2
+   */
+  _sortByNumber(cards, descending = false) {
+    const getNumericValue = (str) => {
+      const numMatch = (str || '').match(/\d+/);
+      return numMatch ? parseInt(numMatch[0], 10) : 0;
+    };
+
+    return cards.sort((a, b) => {
+      const diff = getNumericValue(a.number) - getNumericValue(b.number);
+      const order = diff !== 0 ? diff : (a.number || '').localeCompare(b.number || '');
+      return descending ? -order : order;
+    });
+  }
+
+  /**
+   * Build the raw_pricing shape the UI expects from TCGCSV price columns
+   * TCGCSV has no trend data, so trends are flat
+   */
+  _formatPricing(market, low, mid, high) {
+    if (!market) return null;
+
+    return {
+      market: parseFloat(market).toFixed(2),
+      low: low ? parseFloat(low).toFixed(2) : null,
+      mid: mid ? parseFloat(mid).toFixed(2) : null,
+      high: high ? parseFloat(high).toFixed(2) : null,
+      trends: {
+        days_7: { percent_change: 0 },
+        days_30: { percent_change: 0 },
+        days_90: { percent_change: 0 },
+        days_180: { percent_change: 0 }
+      }
+    };
+  }
+
+  /**
+   * Find or create the items row a collection order points at for a catalog product
+   * Games without their own orders column (everything except Pokemon) link orders through items,
+   * keyed by TCGplayer product ID so the sync can keep market_value_cents current
+   * @param {Object} product - { tcgplayer_product_id, name, set, imageUrl, itemType, marketValue }
+   * @returns {Promise<string>} items.id
+   */
+  async getOrCreateCollectionItem(product) {
+    if (!product?.tcgplayer_product_id) {
+      throw new Error('Product has no TCGplayer product ID');
+    }
+
+    try {
+      const { data: existingItem, error: lookupError } = await supabase
+        .from('items')
+        .select('id')
+        .eq('tcgplayer_product_id', product.tcgplayer_product_id)
+        .maybeSingle();
+
+      if (lookupError) throw lookupError;
+      if (existingItem) return existingItem.id;
+
+      const { data: newItem, error: insertError } = await supabase
+        .from('items')
+        .insert({
+          name: product.name,
+          set_name: product.set || '',
+          image_url: product.imageUrl || '',
+          item_type: getItemTypeClassification(product, 'raw', 'api'),
+          market_value_cents: Math.round(parseFloat(product.marketValue || 0) * 100),
+          tcgplayer_product_id: product.tcgplayer_product_id,
+          game_id: this.getGameId()
+        })
+        .select('id')
+        .single();
+
+      if (insertError) throw insertError;
+      return newItem.id;
+    } catch (error) {
+      console.error(`❌ Error creating collection item for ${this.getGameId()} product ${product.tcgplayer_product_id}:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Generic database query helper
    */
@@ -1,14 +1,33 @@
 /**
  * Game Service Factory
  * Returns the appropriate game service based on game ID
+ * Games with a hand-written service use it; any other game with a TCGCSV categoryId
+ * gets a config-driven TcgcsvGameService once it is enabled in gamesConfig
  */
 
 import pokemonGameService from './pokemonGameService';
-import { GAMES } from '../../config/gamesConfig';
+import magicGameService from './magicGameService';
+import TcgcsvGameService from './tcgcsvGameService';
+import { GAMES, getGameById, gamesArray, ALL_GAMES_OPTION, COMING_SOON_OPTION } from '../../config/gamesConfig';
 
-// Import other game services as they're implemented
-// import magicGameService from './magicGameService';
-// import lorcanaGameService from './lorcanaGameService';
+// Hand-written services, keyed by game ID
+const DEDICATED_SERVICES = {
+  [GAMES.POKEMON.id]: pokemonGameService,
+  [GAMES.MAGIC.id]: magicGameService
+};
+
+// One TcgcsvGameService per game so their caches persist between calls
+const tcgcsvServices = new Map();
+
+/**
+ * Check if a game is served by the generic TCGCSV catalog
+ * @param {string} gameId - Game ID
+ * @returns {boolean} True if the game is enabled, has a categoryId and no dedicated service
+ */
+export function isTcgcsvCatalogGame(gameId) {
+  const game = getGameById(gameId);
+  return !!game && game.enabled && game.categoryId != null && !DEDICATED_SERVICES[gameId];
+}
 
 /**
  * Get game service for a specific TCG
@@ -16,21 +35,19 @@ import { GAMES } from '../../config/gamesConfig';
  * @returns {BaseGameService} Game-specific service instance
  */
 export function getGameService(gameId) {
-  switch (gameId) {
-    case GAMES.POKEMON.id:
-      return pokemonGameService;
-    
-    // Add other games as they're implemented
-    // case GAMES.MAGIC.id:
-    //   return magicGameService;
-    
-    // case GAMES.LORCANA.id:
-    //   return lorcanaGameService;
-    
-    default:
-      console.warn(`⚠️ No service found for game: ${gameId}, using Pokemon as fallback`);
-      return pokemonGameService;
+  if (DEDICATED_SERVICES[gameId]) {
+    return DEDICATED_SERVICES[gameId];
+  }
+
+  if (isTcgcsvCatalogGame(gameId)) {
+    if (!tcgcsvServices.has(gameId)) {
+      tcgcsvServices.set(gameId, new TcgcsvGameService(getGameById(gameId)));
+    }
+    return tcgcsvServices.get(gameId);
   }
+
+  console.warn(`⚠️ No service found for game: ${gameId}, using Pokemon as fallback`);
+  return pokemonGameService;
 }
 
 /**
@@ -39,13 +56,47 @@ export function getGameService(gameId) {
  * @returns {boolean} True if service exists
  */
 export function hasGameService(gameId) {
-  return gameId === GAMES.POKEMON.id;
-  // Add more as implemented:
-  // return [GAMES.POKEMON.id, GAMES.MAGIC.id, GAMES.LORCANA.id].includes(gameId);
+  return !!DEDICATED_SERVICES[gameId] || isTcgcsvCatalogGame(gameId);
+}
+
+/**
+ * Get every configured game the generic TCGCSV catalog can sync, enabled or not
+ * Syncing before enabling means the game has data the moment it is switched on
+ * @returns {Array} gamesConfig entries
+ */
+export function getTcgcsvCatalogGames() {
+  return gamesArray.filter(game => game.categoryId != null && !DEDICATED_SERVICES[game.id]);
+}
+
+/**
+ * Get every enabled game that has a service (for routes and game pickers)
+ * @returns {Array} gamesConfig entries
+ */
+export function getServicedGames() {
+  return Object.values(GAMES).filter(game => game.enabled && hasGameService(game.id));
+}
+
+/**
+ * Entries for the game pickers: "All", every configured game, then "More Coming Soon"
+ * A game is selectable once it is enabled and has a service (or is the custom "Other" game)
+ * @returns {Array} Picker entries
+ */
+export function getGamePickerOptions() {
+  return [
+    ALL_GAMES_OPTION,
+    ...gamesArray.map(game => ({
+      ...game,
+      enabled: game.enabled && (game.features?.custom === true || hasGameService(game.id))
+    })),
+    COMING_SOON_OPTION
+  ];
 }
 
 export default {
   getGameService,
-  hasGameService
+  hasGameService,
+  isTcgcsvCatalogGame,
+  getTcgcsvCatalogGames,
+  getServicedGames,
+  getGamePickerOptions
 };
-
@@ -0,0 +1,365 @@
+/**
+ * Magic Game Service
+ * Handles all Magic: The Gathering operations
+ * Reads magic_sets / magic_cards / magic_sealed, which magicSyncService fills from TCGCSV category 1
+ */
+
+import BaseGameService from './baseGameService';
+import { GAMES } from '../../config/gamesConfig';
+import { supabase } from '../../lib/supabaseClient';
+
+class MagicGameService extends BaseGameService {
+  constructor() {
+    super(GAMES.MAGIC);
+  }
+
+  /**
+   * Search Magic cards by name, collector number, type line or set
+   */
+  async searchCards(query, options = {}) {
+    const {
+      page = 1,
+      pageSize = 30,
+      sortBy = 'name',
+      sortOrder = 'asc',
+      rarity = null
+    } = options;
+
+    const cacheKey = this.getCacheKey('search', query, JSON.stringify(options));
+    const cached = this.getCached(cacheKey);
+    if (cached) return cached;
+
+    try {
+      const databases = this.getDatabases();
+
+      let dbQuery = supabase
+        .from(databases.cards)
+        .select('*', { count: 'exact' });
+
+      if (query && query.trim()) {
+        const searchTerm = query.trim();
+        dbQuery = dbQuery.or(`name.ilike.%${searchTerm}%,number.ilike.%${searchTerm}%,type_line.ilike.%${searchTerm}%,set_name.ilike.%${searchTerm}%`);
+      }
+
+      if (rarity) dbQuery = dbQuery.eq('rarity', rarity);
+
+      const result = await this._runCardQuery(dbQuery, { page, pageSize, sortBy, sortOrder });
+      this.setCache(cacheKey, result);
+      return result;
+    } catch (error) {
+      console.error('❌ Magic search error:', error);
+      return { data: [], total: 0, page, pageSize };
+    }
+  }
+
+  /**
+   * Get Magic card by TCGplayer product ID
+   */
+  async getCardById(id) {
+    const cacheKey = this.getCacheKey('card', id);
+    const cached = this.getCached(cacheKey);
+    if (cached) return cached;
+
+    try {
+      const databases = this.getDatabases();
+      const { data, error } = await supabase
+        .from(databases.cards)
+        .select('*')
+        .eq('product_id', id)
+        .single();
+
+      if (error) throw error;
+
+      const formatted = this.formatCard(data);
+      this.setCache(cacheKey, formatted);
+      return formatted;
+    } catch (error) {
+      console.error(`❌ Error fetching Magic card ${id}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Get Magic sets, newest first
+   */
+  async getExpansions(options = {}) {
+    const { page = 1, pageSize = 100, sortBy = 'published_on', sortOrder = 'desc' } = options;
+
+    const cacheKey = this.getCacheKey('expansions', page, pageSize, sortBy, sortOrder);
+    const cached = this.getCached(cacheKey);
+    if (cached) return cached;
+
+    try {
+      const databases = this.getDatabases();
+
+      const { data, error, count } = await supabase
+        .from(databases.expansions)
+        .select('*', { count: 'exact' })
+        .order(sortBy, { ascending: sortOrder === 'asc', nullsFirst: false })
+        .range((page - 1) * pageSize, page * pageSize - 1);
+
+      if (error) throw error;
+
+      const result = {
+        data: (data || []).map(set => ({
+          ...set,
+          release_date: set.published_on,
+          total_cards: set.card_count || 0
+        })),
+        total: count || 0,
+        page,
+        pageSize
+      };
+
+      this.setCache(cacheKey, result);
+      return result;
+    } catch (error) {
+      console.error('❌ Magic sets error:', error);
+      return { data: [], total: 0, page, pageSize };
+    }
+  }
+
+  /**
+   * Get cards in a Magic set
+   */
+  async getCardsByExpansion(expansionId, options = {}) {
+    const {
+      page = 1,
+      pageSize = 30,
+      sortBy = 'number',
+      sortOrder = 'asc',
+      rarity = null
+    } = options;
+
+    const cacheKey = this.getCacheKey('expansion', expansionId, JSON.stringify(options));
+    const cached = this.getCached(cacheKey);
+    if (cached) return cached;
+
+    try {
+      const databases = this.getDatabases();
+
+      let query = supabase
+        .from(databases.cards)
+        .select('*', { count: 'exact' })
+        .eq('set_id', expansionId);
+
+      if (rarity) query = query.eq('rarity', rarity);
+
+      const result = await this._runCardQuery(query, { page, pageSize, sortBy, sortOrder });
+      this.setCache(cacheKey, result);
+      return result;
+    } catch (error) {
+      console.error(`❌ Error fetching cards for Magic set ${expansionId}:`, error);
+      return { data: [], total: 0, page, pageSize };
+    }
+  }
+
+  /**
+   * Get Magic card pricing for the Normal and Foil printings
+   */
+  async getPricing(cardId) {
+    const cacheKey = this.getCacheKey('pricing', cardId);
+    const cached = this.getCached(cacheKey);
+    if (cached) return cached;
+
+    try {
+      const card = await this.getCardById(cardId);
+
+      if (!card) return null;
+
+      const pricing = {
+        raw: {
+          market: card.raw_market,
+          low: card.raw_pricing?.low ?? null,
+          trends: card.raw_pricing?.trends || {}
+        },
+        foil: card.foil_pricing,
+        graded: null, // TCGCSV doesn't provide graded pricing
+        lastUpdated: card.updated_at
+      };
+
+      this.setCache(cacheKey, pricing);
+      return pricing;
+    } catch (error) {
+      console.error(`❌ Error fetching pricing for Magic card ${cardId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Get sealed products in a Magic set
+   */
+  async getSealedProductsByExpansion(expansionId, options = {}) {
+    const { page = 1, pageSize = 30, sortBy = 'name', sortOrder = 'asc' } = options;
+
+    const cacheKey = this.getCacheKey('sealed-expansion', expansionId, JSON.stringify(options));
+    const cached = this.getCached(cacheKey);
+    if (cached) return cached;
+
+    try {
+      const databases = this.getDatabases();
+
+      const from = (page - 1) * pageSize;
+      const { data, error, count } = await supabase
+        .from(databases.sealed)
+        .select('*', { count: 'exact' })
+        .eq('set_id', expansionId)
+        .order(sortBy, { ascending: sortOrder === 'asc' })
+        .range(from, from + pageSize - 1);
+
+      if (error) throw error;
+
+      const result = {
+        data: (data || []).map(product => this.formatSealedProduct(product)),
+        total: count || 0,
+        page,
+        pageSize,
+        totalPages: Math.ceil((count || 0) / pageSize)
+      };
+
+      this.setCache(cacheKey, result);
+      return result;
+    } catch (error) {
+      console.error(`❌ Error fetching sealed products for Magic set ${expansionId}:`, error);
+      return { data: [], total: 0, page, pageSize, totalPages: 0 };
+    }
+  }
+
+  /**
+   * Search Magic sealed products
+   */
+  async searchSealedProducts(query, options = {}) {
+    const { page = 1, pageSize = 30, sortBy = 'name', sortOrder = 'asc' } = options;
+
+    const cacheKey = this.getCacheKey('sealed', query, JSON.stringify(options));
+    const cached = this.getCached(cacheKey);
+    if (cached) return cached;
+
+    try {
+      const databases = this.getDatabases();
+
+      let dbQuery = supabase
+        .from(databases.sealed)
+        .select('*', { count: 'exact' });
+
+      if (query && query.trim()) {
+        const searchTerm = query.trim();
+        dbQuery = dbQuery.or(`name.ilike.%${searchTerm}%,set_name.ilike.%${searchTerm}%`);
+      }
+
+      const from = (page - 1) * pageSize;
+      const { data, error, count } = await dbQuery
+        .order(sortBy, { ascending: sortOrder === 'asc' })
+        .range(from, from + pageSize - 1);
+
+      if (error) throw error;
+
+      const result = {
+        data: (data || []).map(product => this.formatSealedProduct(product)),
+        total: count || 0,
+        page,
+        pageSize,
+        totalPages: Math.ceil((count || 0) / pageSize),
+        hasMore: (page * pageSize) < (count || 0)
+      };
+
+      this.setCache(cacheKey, result);
+      return result;
+    } catch (error) {
+      console.error('❌ Error searching Magic sealed products:', error);
+      return { data: [], total: 0, page, pageSize, totalPages: 0, hasMore: false };
+    }
+  }
+
+  /**
+   * Format Magic card for UI
+   * Foil-only printings are valued at their foil market price
+   */
+  formatCard(card) {
+    if (!card) return null;
+
+    const marketPrice = card.market_price ?? card.foil_market_price ?? null;
+    const marketValue = marketPrice ? parseFloat(marketPrice) : 0;
+
+    return {
+      id: card.product_id,
+      tcgplayer_product_id: card.product_id,
+      name: card.name,
+      number: card.number,
+      rarity: card.rarity,
+      type_line: card.type_line,
+      oracle_text: card.oracle_text,
+      power: card.power,
+      toughness: card.toughness,
+      expansion_name: card.set_name,
+      expansion_id: card.set_id,
+      set_name: card.set_name,
+      image_url: card.image_url,
+      image: card.image_url,
+      url: card.url,
+
+      raw_market: marketPrice,
+      graded_market: null, // TCGCSV doesn't provide graded pricing
+      marketValue,
+      market_value_cents: Math.round(marketValue * 100),
+      raw_price: marketPrice ? marketValue : null,
+      graded_price: null,
+
+      raw_pricing: card.market_price
+        ? this._formatPricing(card.market_price, card.low_price, card.mid_price, card.high_price)
+        : this._formatPricing(card.foil_market_price, card.foil_low_price, card.foil_mid_price, card.foil_high_price),
+      foil_pricing: this._formatPricing(card.foil_market_price, card.foil_low_price, card.foil_mid_price, card.foil_high_price),
+      graded_pricing: null,
+
+      updated_at: card.updated_at,
+      source: 'magic_cards',
+      itemType: 'Single',
+      type: 'card',
+      gameId: GAMES.MAGIC.id
+    };
+  }
+
+  /**
+   * Format Magic sealed product for UI
+   */
+  formatSealedProduct(product) {
+    if (!product) return null;
+
+    const marketValue = product.market_price ? parseFloat(product.market_price) : 0;
+
+    return {
+      id: product.product_id,
+      product_id: product.product_id,
+      tcgplayer_product_id: product.product_id,
+      name: product.name,
+      image_url: product.image_url,
+      image: product.image_url,
+      url: product.url,
+      rarity: 'Sealed',
+
+      raw_market: product.market_price,
+      raw_price: product.market_price ? marketValue : null,
+      marketValue,
+      market_value: marketValue,
+      market_value_cents: Math.round(marketValue * 100),
+      low_price: product.low_price,
+      mid_price: product.mid_price,
+      high_price: product.high_price,
+      raw_pricing: this._formatPricing(product.market_price, product.low_price, product.mid_price, product.high_price),
+
+      product_type: 'sealed',
+      expansion_id: product.set_id,
+      expansion_name: product.set_name,
+      set_name: product.set_name,
+
+      source: 'magic_sealed',
+      itemType: 'Sealed',
+      type: 'sealed',
+      gameId: GAMES.MAGIC.id
+    };
+  }
+}
+
+// Export singleton instance
+const magicGameService = new MagicGameService();
+export default magicGameService;
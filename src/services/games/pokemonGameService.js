@@ -499,6 +499,7 @@ class PokemonGameService extends BaseGameService {
 
     return {
       id: product.id,
+      product_id: product.product_id,
       name: product.name,
       image_url: product.image_url,
       image: product.image_url,
@@ -0,0 +1,353 @@
+/**
+ * TCGCSV Game Service
+ * Config-driven game service for any gamesConfig entry with a categoryId
+ * Reads tcgcsv_groups / tcgcsv_products (filled by tcgcsvCatalogSyncService), scoped to the game's ID,
+ * so enabling a new TCGplayer game needs no hand-written service
+ */
+
+import BaseGameService from './baseGameService';
+import { supabase } from '../../lib/supabaseClient';
+import { CATALOG_TABLES } from '../tcgcsvCatalogSyncService';
+
+class TcgcsvGameService extends BaseGameService {
+  /**
+   * @param {Object} gameConfig - gamesConfig entry with a categoryId
+   */
+  constructor(gameConfig) {
+    super(gameConfig);
+  }
+
+  /**
+   * Products query scoped to this game
+   * @param {boolean} isSealed - Sealed products or singles
+   */
+  _productsQuery(isSealed) {
+    return supabase
+      .from(CATALOG_TABLES.products)
+      .select('*', { count: 'exact' })
+      .eq('game_id', this.getGameId())
+      .eq('is_sealed', isSealed);
+  }
+
+  /**
+   * Search singles by name, collector number or set
+   */
+  async searchCards(query, options = {}) {
+    const { page = 1, pageSize = 30, sortBy = 'name', sortOrder = 'asc', rarity = null } = options;
+
+    const cacheKey = this.getCacheKey('search', query, JSON.stringify(options));
+    const cached = this.getCached(cacheKey);
+    if (cached) return cached;
+
+    try {
+      let dbQuery = this._productsQuery(false);
+
+      if (query && query.trim()) {
+        const searchTerm = query.trim();
+        dbQuery = dbQuery.or(`name.ilike.%${searchTerm}%,number.ilike.%${searchTerm}%,group_name.ilike.%${searchTerm}%`);
+      }
+
+      if (rarity) dbQuery = dbQuery.eq('rarity', rarity);
+
+      const result = await this._runCardQuery(dbQuery, { page, pageSize, sortBy, sortOrder });
+      this.setCache(cacheKey, result);
+      return result;
+    } catch (error) {
+      console.error(`❌ ${this.config.name} search error:`, error);
+      return { data: [], total: 0, page, pageSize };
+    }
+  }
+
+  /**
+   * Get a single by TCGplayer product ID
+   */
+  async getCardById(id) {
+    const cacheKey = this.getCacheKey('card', id);
+    const cached = this.getCached(cacheKey);
+    if (cached) return cached;
+
+    try {
+      const { data, error } = await supabase
+        .from(CATALOG_TABLES.products)
+        .select('*')
+        .eq('game_id', this.getGameId())
+        .eq('product_id', id)
+        .single();
+
+      if (error) throw error;
+
+      const formatted = this.formatCard(data);
+      this.setCache(cacheKey, formatted);
+      return formatted;
+    } catch (error) {
+      console.error(`❌ Error fetching ${this.config.name} card ${id}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Get sets (TCGCSV groups), newest first
+   */
+  async getExpansions(options = {}) {
+    const { page = 1, pageSize = 100, sortBy = 'published_on', sortOrder = 'desc' } = options;
+
+    const cacheKey = this.getCacheKey('expansions', page, pageSize, sortBy, sortOrder);
+    const cached = this.getCached(cacheKey);
+    if (cached) return cached;
+
+    try {
+      const { data, error, count } = await supabase
+        .from(CATALOG_TABLES.groups)
+        .select('*', { count: 'exact' })
+        .eq('game_id', this.getGameId())
+        .order(sortBy, { ascending: sortOrder === 'asc', nullsFirst: false })
+        .range((page - 1) * pageSize, page * pageSize - 1);
+
+      if (error) throw error;
+
+      const result = {
+        data: (data || []).map(group => ({
+          ...group,
+          id: group.group_id,
+          release_date: group.published_on,
+          total_cards: group.card_count || 0
+        })),
+        total: count || 0,
+        page,
+        pageSize
+      };
+
+      this.setCache(cacheKey, result);
+      return result;
+    } catch (error) {
+      console.error(`❌ ${this.config.name} sets error:`, error);
+      return { data: [], total: 0, page, pageSize };
+    }
+  }
+
+  /**
+   * Get singles in a set
+   */
+  async getCardsByExpansion(expansionId, options = {}) {
+    const { page = 1, pageSize = 30, sortBy = 'number', sortOrder = 'asc', rarity = null } = options;
+
+    const cacheKey = this.getCacheKey('expansion', expansionId, JSON.stringify(options));
+    const cached = this.getCached(cacheKey);
+    if (cached) return cached;
+
+    try {
+      let query = this._productsQuery(false).eq('group_id', expansionId);
+      if (rarity) query = query.eq('rarity', rarity);
+
+      const result = await this._runCardQuery(query, { page, pageSize, sortBy, sortOrder });
+      this.setCache(cacheKey, result);
+      return result;
+    } catch (error) {
+      console.error(`❌ Error fetching cards for ${this.config.name} set ${expansionId}:`, error);
+      return { data: [], total: 0, page, pageSize };
+    }
+  }
+
+  /**
+   * Get pricing for every printing TCGplayer lists for a single
+   */
+  async getPricing(cardId) {
+    const cacheKey = this.getCacheKey('pricing', cardId);
+    const cached = this.getCached(cacheKey);
+    if (cached) return cached;
+
+    try {
+      const card = await this.getCardById(cardId);
+
+      if (!card) return null;
+
+      const pricing = {
+        raw: {
+          market: card.raw_market,
+          low: card.raw_pricing?.low ?? null,
+          trends: card.raw_pricing?.trends || {}
+        },
+        printings: card.printings,
+        graded: null, // TCGCSV doesn't provide graded pricing
+        lastUpdated: card.updated_at
+      };
+
+      this.setCache(cacheKey, pricing);
+      return pricing;
+    } catch (error) {
+      console.error(`❌ Error fetching pricing for ${this.config.name} card ${cardId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Get sealed products in a set
+   */
+  async getSealedProductsByExpansion(expansionId, options = {}) {
+    const { page = 1, pageSize = 30, sortBy = 'name', sortOrder = 'asc' } = options;
+
+    const cacheKey = this.getCacheKey('sealed-expansion', expansionId, JSON.stringify(options));
+    const cached = this.getCached(cacheKey);
+    if (cached) return cached;
+
+    try {
+      const from = (page - 1) * pageSize;
+      const { data, error, count } = await this._productsQuery(true)
+        .eq('group_id', expansionId)
+        .order(sortBy, { ascending: sortOrder === 'asc' })
+        .range(from, from + pageSize - 1);
+
+      if (error) throw error;
+
+      const result = {
+        data: (data || []).map(product => this.formatSealedProduct(product)),
+        total: count || 0,
+        page,
+        pageSize,
+        totalPages: Math.ceil((count || 0) / pageSize)
+      };
+
+      this.setCache(cacheKey, result);
+      return result;
+    } catch (error) {
+      console.error(`❌ Error fetching sealed products for ${this.config.name} set ${expansionId}:`, error);
+      return { data: [], total: 0, page, pageSize, totalPages: 0 };
+    }
+  }
+
+  /**
+   * Search sealed products
+   */
+  async searchSealedProducts(query, options = {}) {
+    const { page = 1, pageSize = 30, sortBy = 'name', sortOrder = 'asc' } = options;
+
+    if (!this.hasFeature('sealed')) {
+      return { data: [], total: 0, page, pageSize, totalPages: 0, hasMore: false };
+    }
+
+    const cacheKey = this.getCacheKey('sealed', query, JSON.stringify(options));
+    const cached = this.getCached(cacheKey);
+    if (cached) return cached;
+
+    try {
+      let dbQuery = this._productsQuery(true);
+
+      if (query && query.trim()) {
+        const searchTerm = query.trim();
+        dbQuery = dbQuery.or(`name.ilike.%${searchTerm}%,group_name.ilike.%${searchTerm}%`);
+      }
+
+      const from = (page - 1) * pageSize;
+      const { data, error, count } = await dbQuery
+        .order(sortBy, { ascending: sortOrder === 'asc' })
+        .range(from, from + pageSize - 1);
+
+      if (error) throw error;
+
+      const result = {
+        data: (data || []).map(product => this.formatSealedProduct(product)),
+        total: count || 0,
+        page,
+        pageSize,
+        totalPages: Math.ceil((count || 0) / pageSize),
+        hasMore: (page * pageSize) < (count || 0)
+      };
+
+      this.setCache(cacheKey, result);
+      return result;
+    } catch (error) {
+      console.error(`❌ Error searching ${this.config.name} sealed products:`, error);
+      return { data: [], total: 0, page, pageSize, totalPages: 0, hasMore: false };
+    }
+  }
+
+  /**
+   * Format a single for UI
+   * Every TCGplayer printing is exposed under printings, keyed by sub type
+   */
+  formatCard(card) {
+    if (!card) return null;
+
+    const marketValue = card.market_price ? parseFloat(card.market_price) : 0;
+    const printings = Object.fromEntries(
+      Object.entries(card.prices || {}).map(([subType, price]) => [
+        subType,
+        this._formatPricing(price.market, price.low, price.mid, price.high)
+      ])
+    );
+
+    return {
+      id: card.product_id,
+      tcgplayer_product_id: card.product_id,
+      name: card.name,
+      number: card.number,
+      rarity: card.rarity,
+      expansion_name: card.group_name,
+      expansion_id: card.group_id,
+      set_name: card.group_name,
+      image_url: card.image_url,
+      image: card.image_url,
+      url: card.url,
+
+      raw_market: card.market_price,
+      graded_market: null, // TCGCSV doesn't provide graded pricing
+      marketValue,
+      market_value_cents: Math.round(marketValue * 100),
+      raw_price: card.market_price ? marketValue : null,
+      graded_price: null,
+
+      raw_pricing: this._formatPricing(card.market_price, card.low_price, card.mid_price, card.high_price),
+      printing: card.sub_type_name,
+      printings,
+      graded_pricing: null,
+
+      updated_at: card.updated_at,
+      source: CATALOG_TABLES.products,
+      itemType: 'Single',
+      type: 'card',
+      gameId: this.getGameId()
+    };
+  }
+
+  /**
+   * Format a sealed product for UI
+   */
+  formatSealedProduct(product) {
+    if (!product) return null;
+
+    const marketValue = product.market_price ? parseFloat(product.market_price) : 0;
+
+    return {
+      id: product.product_id,
+      product_id: product.product_id,
+      tcgplayer_product_id: product.product_id,
+      name: product.name,
+      image_url: product.image_url,
+      image: product.image_url,
+      url: product.url,
+      rarity: 'Sealed',
+
+      raw_market: product.market_price,
+      raw_price: product.market_price ? marketValue : null,
+      marketValue,
+      market_value: marketValue,
+      market_value_cents: Math.round(marketValue * 100),
+      low_price: product.low_price,
+      mid_price: product.mid_price,
+      high_price: product.high_price,
+      raw_pricing: this._formatPricing(product.market_price, product.low_price, product.mid_price, product.high_price),
+
+      product_type: 'sealed',
+      expansion_id: product.group_id,
+      expansion_name: product.group_name,
+      set_name: product.group_name,
+
+      source: CATALOG_TABLES.products,
+      itemType: 'Sealed',
+      type: 'sealed',
+      gameId: this.getGameId()
+    };
+  }
+}
+
+export default TcgcsvGameService;
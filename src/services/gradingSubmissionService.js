@@ -0,0 +1,271 @@
+/**
+ * Grading Submission Service
+ * Batches of raw cards sent to PSA/BGS/CGC/SGC, tracked from prep to return
+ * Recording the grades of a returned submission converts each copy into a graded order
+ * (record_grading_results) and adds its share of the fees to the cost basis
+ */
+
+import { supabase } from '../lib/supabaseClient';
+import conditionPricingService from './conditionPricingService';
+import orderLedgerService from './orderLedgerService';
+import { isRawSingle } from '../utils/cardCondition';
+import { convertCents, getTransactionCurrency } from '../utils/currency';
+import { GRADING_STATUSES, allocateGradingFees } from '../utils/gradingStatus';
+
+const ORDER_COLUMNS = 'id, item_name, set_name, card_number, image_url, item_type, card_condition, pokemon_card_id, quantity, quantity_sold, price_per_item_cents, market_value_cents, purchase_date';
+
+class GradingSubmissionService {
+  /**
+   * Get the current user's submissions with their cards
+   * @returns {Promise<Array>} Submissions, newest first; each item carries its raw order as `order`
+   */
+  async getSubmissions() {
+    const { data, error } = await supabase
+      .from('grading_submissions')
+      .select('*, grading_submission_items(*)')
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('Error fetching grading submissions:', error);
+      throw error;
+    }
+
+    const submissions = data || [];
+    const orderIds = [...new Set(submissions.flatMap(submission =>
+      (submission.grading_submission_items || []).map(item => item.order_id).filter(Boolean)
+    ))];
+
+    let ordersById = {};
+    if (orderIds.length > 0) {
+      const { data: orders, error: ordersError } = await supabase
+        .from('individual_orders_clean')
+        .select(ORDER_COLUMNS)
+        .in('id', orderIds);
+
+      if (ordersError) {
+        console.error('Error fetching orders for grading submissions:', ordersError);
+        throw ordersError;
+      }
+
+      // Fees are added to the cost basis in each order's own currency
+      const withCurrencies = await orderLedgerService.withCurrencies(orders || []);
+      ordersById = Object.fromEntries(withCurrencies.map(order => [order.id, order]));
+    }
+
+    return submissions.map(({ grading_submission_items: items, ...submission }) => ({
+      ...submission,
+      items: (items || [])
+        .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+        .map(item => ({ ...item, order: ordersById[item.order_id] || null }))
+    }));
+  }
+
+  /**
+   * Get raw singles with copies that can go into a new submission
+   * Copies already sold or in a submission that hasn't come back are not available
+   * @returns {Promise<Array>} Orders with available_quantity, valued at their condition
+   */
+  async getEligibleOrders() {
+    const { data: orders, error } = await supabase
+      .from('individual_orders_clean')
+      .select(ORDER_COLUMNS)
+      .eq('item_type', 'Single')
+      .order('purchase_date', { ascending: false });
+
+    if (error) {
+      console.error('Error fetching orders for grading:', error);
+      throw error;
+    }
+
+    const { data: openItems, error: itemsError } = await supabase
+      .from('grading_submission_items')
+      .select('order_id, grading_submissions!inner(status)')
+      .neq('grading_submissions.status', 'returned');
+
+    if (itemsError) {
+      console.error('Error fetching open grading submissions:', itemsError);
+      throw itemsError;
+    }
+
+    const submittedByOrderId = {};
+    (openItems || []).forEach(item => {
+      submittedByOrderId[item.order_id] = (submittedByOrderId[item.order_id] || 0) + 1;
+    });
+
+    const eligible = (orders || [])
+      .filter(isRawSingle)
+      .map(order => ({
+        ...order,
+        available_quantity: (order.quantity || 0) - (order.quantity_sold || 0) - (submittedByOrderId[order.id] || 0)
+      }))
+      .filter(order => order.available_quantity > 0);
+
+    return conditionPricingService.withConditionValues(eligible);
+  }
+
+  /**
+   * Create a submission with one item per copy
+   * @param {Object} submission - { company, service_tier, submission_number, status, fee_per_card_cents, other_fees_cents, currency, shipped_date, notes }
+   * @param {Array} items - [{ order_id, declared_value_cents }], repeated for several copies of an order
+   * @returns {Promise<Object>} The created submission
+   */
+  async createSubmission(submission, items = []) {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) {
+      throw new Error('User not authenticated');
+    }
+
+    if (items.length === 0) {
+      throw new Error('Add at least one card to the submission');
+    }
+
+    const available = Object.fromEntries(
+      (await this.getEligibleOrders()).map(order => [order.id, order.available_quantity])
+    );
+    const requested = {};
+    items.forEach(item => {
+      requested[item.order_id] = (requested[item.order_id] || 0) + 1;
+    });
+    const unavailable = Object.keys(requested).find(orderId => requested[orderId] > (available[orderId] || 0));
+    if (unavailable) {
+      throw new Error('Some of the selected cards are no longer available to submit');
+    }
+
+    const { data: created, error } = await supabase
+      .from('grading_submissions')
+      .insert({
+        ...submission,
+        user_id: user.id,
+        status: submission.status || 'prepped'
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error creating grading submission:', error);
+      throw error;
+    }
+
+    const { error: itemsError } = await supabase
+      .from('grading_submission_items')
+      .insert(items.map(item => ({
+        submission_id: created.id,
+        order_id: item.order_id,
+        declared_value_cents: item.declared_value_cents || 0
+      })));
+
+    if (itemsError) {
+      console.error('Error adding cards to grading submission:', itemsError);
+      throw itemsError;
+    }
+
+    return created;
+  }
+
+  /**
+   * Update submission details (tier, submission number, fees, notes)
+   * @param {string} submissionId - Submission ID
+   * @param {Object} updates - Columns to update
+   * @returns {Promise<Object>} The updated submission
+   */
+  async updateSubmission(submissionId, updates) {
+    const { data, error } = await supabase
+      .from('grading_submissions')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', submissionId)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error updating grading submission:', error);
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Move a submission to a new status and stamp the status date
+   * Use recordResults to mark a submission returned
+   * @param {string} submissionId - Submission ID
+   * @param {string} status - New status
+   * @param {string} date - Date of the change (YYYY-MM-DD, defaults to today)
+   * @returns {Promise<Object>} The updated submission
+   */
+  async updateSubmissionStatus(submissionId, status, date = null) {
+    if (status === 'returned') {
+      throw new Error('Record the grades to mark a submission returned');
+    }
+
+    const updates = { status };
+    const dateField = GRADING_STATUSES.find(s => s.value === status)?.dateField;
+    if (dateField) {
+      updates[dateField] = date || new Date().toISOString().split('T')[0];
+    }
+
+    return this.updateSubmission(submissionId, updates);
+  }
+
+  /**
+   * Delete a submission (its items cascade)
+   * Orders already converted by a returned submission stay graded
+   * @param {string} submissionId - Submission ID
+   */
+  async deleteSubmission(submissionId) {
+    const { error } = await supabase
+      .from('grading_submissions')
+      .delete()
+      .eq('id', submissionId);
+
+    if (error) {
+      console.error('Error deleting grading submission:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record the grades of a returned submission
+   * Each card's share of the fees is converted into its order's currency at the return date
+   * @param {Object} submission - Submission from getSubmissions
+   * @param {Object} results - { [itemId]: { grade, cert_number } }; items without a grade stay raw
+   * @param {Object} options - { returnedDate, rateTable }
+   * @returns {Promise<Object>} The returned submission
+   */
+  async recordResults(submission, results, { returnedDate = null, rateTable = {} } = {}) {
+    const date = returnedDate || new Date().toISOString().split('T')[0];
+    const fees = allocateGradingFees(submission);
+
+    const payload = submission.items.map(item => {
+      const result = results[item.id] || {};
+      return {
+        item_id: item.id,
+        grade: result.grade ? Number(result.grade) : null,
+        cert_number: result.cert_number?.trim() || null,
+        fee_cents: convertCents(
+          fees[item.id] || 0,
+          getTransactionCurrency(submission),
+          getTransactionCurrency(item.order),
+          date,
+          rateTable
+        )
+      };
+    });
+
+    const { data, error } = await supabase.rpc('record_grading_results', {
+      p_submission_id: submission.id,
+      p_results: payload,
+      p_returned_date: date
+    });
+
+    if (error) {
+      console.error('Error recording grading results:', error);
+      throw error;
+    }
+
+    return data;
+  }
+}
+
+// Create and export singleton instance
+const gradingSubmissionService = new GradingSubmissionService();
+export default gradingSubmissionService;
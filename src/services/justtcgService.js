@@ -6,6 +6,11 @@ const supabase = createClient(
   process.env.VITE_SUPABASE_ANON_KEY
 );
 
+// The quota governor only answers the service role
+const quotaClient = process.env.SUPABASE_SERVICE_ROLE_KEY
+  ? createClient(process.env.VITE_SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY)
+  : null;
+
 class JustTCGService {
   constructor() {
     this.client = new JustTCG({
@@ -13,7 +18,6 @@ class JustTCGService {
     });
     this.requestsUsed = 0;
     this.dailyRequestsUsed = 0;
-    this.lastResetDate = new Date().toDateString();
   }
 
   async makeRequest(requestFn) {
@@ -40,23 +44,32 @@ class JustTCGService {
     }
   }
 
+  // Take the request from the shared JustTCG budget (quota governor, api_quota_providers)
+  // Imports are background work and wait while budget frees up within the minute
   async checkRateLimits() {
-    // Reset daily counter if new day
-    const today = new Date().toDateString();
-    if (today !== this.lastResetDate) {
-      this.dailyRequestsUsed = 0;
-      this.lastResetDate = today;
+    if (!quotaClient) {
+      throw new Error('Set SUPABASE_SERVICE_ROLE_KEY to take JustTCG requests from the shared quota');
     }
 
-    // Check daily limit (100 requests)
-    if (this.dailyRequestsUsed >= 100) {
-      throw new Error('Daily request limit reached. Please try again tomorrow.');
-    }
+    const deadline = Date.now() + 60 * 1000;
 
-    // Check monthly limit (1000 requests) - would need to fetch from database
-    const syncStatus = await this.getSyncStatus();
-    if (syncStatus.api_requests_used >= 1000) {
-      throw new Error('Monthly request limit reached. Please upgrade your plan.');
+    while (true) {
+      const { data, error } = await quotaClient.rpc('acquire_api_quota', {
+        p_provider: 'justtcg',
+        p_priority: 'background',
+        p_cost: 1
+      });
+
+      if (error) {
+        throw error;
+      }
+      if (data.allowed) return;
+
+      if (Date.now() + data.retry_after_ms > deadline) {
+        throw new Error(`JustTCG quota reached. Please try again in ${Math.ceil(data.retry_after_ms / 60000)} minutes.`);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, data.retry_after_ms));
     }
   }
 
@@ -191,20 +204,30 @@ class JustTCGService {
     return formattedCards.length;
   }
 
-  // Get remaining API quota
+  // Get remaining API quota from the quota governor
   async getQuotaStatus() {
-    const status = await this.getSyncStatus();
+    const { data, error } = await supabase
+      .from('api_quota_status')
+      .select('quota_window, quota_limit, used, remaining')
+      .eq('provider', 'justtcg')
+      .in('quota_window', ['day', 'month']);
+
+    if (error) {
+      throw error;
+    }
+
+    const toQuota = (window) => {
+      const row = data.find(entry => entry.quota_window === window);
+      return {
+        used: row?.used || 0,
+        remaining: row?.remaining ?? 0,
+        limit: row?.quota_limit ?? 0
+      };
+    };
+
     return {
-      monthly: {
-        used: status.api_requests_used,
-        remaining: status.api_requests_remaining,
-        limit: 1000
-      },
-      daily: {
-        used: this.dailyRequestsUsed,
-        remaining: 100 - this.dailyRequestsUsed,
-        limit: 100
-      }
+      monthly: toQuota('month'),
+      daily: toQuota('day')
     };
   }
 }
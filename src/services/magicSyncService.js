@@ -0,0 +1,343 @@
+/**
+ * Magic Sync Service
+ * Imports Magic: The Gathering sets, singles and sealed products from TCGCSV (category 1)
+ * into magic_sets / magic_cards / magic_sealed, then refreshes the collection items that point at them
+ */
+
+import { supabase } from '../lib/supabaseClient';
+import { GAMES } from '../config/gamesConfig';
+import tcgcsvSyncService from './tcgcsvSyncService';
+import priceHistoryService from './priceHistoryService';
+
+const UPSERT_BATCH_SIZE = 500;
+
+class MagicSyncService {
+  constructor() {
+    this.categoryId = GAMES.MAGIC.categoryId;
+    this.databases = GAMES.MAGIC.databases;
+    this.isSyncing = false;
+  }
+
+  /**
+   * Group TCGCSV price rows by product and printing
+   * Magic products carry one row per sub type ("Normal", "Foil")
+   * @param {Array} prices - TCGCSV price rows for a group
+   * @returns {Map} productId -> { normal, foil }
+   */
+  buildPriceMap(prices) {
+    const priceMap = new Map();
+
+    (prices || []).forEach(price => {
+      const entry = priceMap.get(price.productId) || { normal: null, foil: null };
+      if (price.subTypeName === 'Foil') {
+        entry.foil = price;
+      } else if (!entry.normal) {
+        entry.normal = price;
+      }
+      priceMap.set(price.productId, entry);
+    });
+
+    return priceMap;
+  }
+
+  /**
+   * Build a magic_cards row from a TCGCSV product
+   * @param {Object} product - TCGCSV product
+   * @param {Object} group - TCGCSV group the product belongs to
+   * @param {Object} pricing - { normal, foil } price rows
+   * @returns {Object} Row for magic_cards
+   */
+  formatCardRow(product, group, pricing = {}) {
+    const extendedData = tcgcsvSyncService.extractExtendedData(product.extendedData);
+    const normal = pricing.normal || {};
+    const foil = pricing.foil || {};
+
+    return {
+      product_id: product.productId,
+      set_id: group.groupId,
+      set_name: group.name,
+      name: product.name,
+      clean_name: product.cleanName,
+      number: extendedData.number || null,
+      rarity: extendedData.rarity || null,
+      type_line: extendedData.subType || null,
+      oracle_text: extendedData.oracleText || null,
+      flavor_text: extendedData.flavorText || null,
+      power: extendedData.power || null,
+      toughness: extendedData.toughness || null,
+      image_url: product.imageUrl,
+      url: product.url,
+      market_price: normal.marketPrice || null,
+      low_price: normal.lowPrice || null,
+      mid_price: normal.midPrice || null,
+      high_price: normal.highPrice || null,
+      direct_low_price: normal.directLowPrice || null,
+      foil_market_price: foil.marketPrice || null,
+      foil_low_price: foil.lowPrice || null,
+      foil_mid_price: foil.midPrice || null,
+      foil_high_price: foil.highPrice || null,
+      extended_data: product.extendedData || null,
+      modified_on: product.modifiedOn || null,
+      last_synced_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Build a magic_sealed row from a TCGCSV product
+   * Uses the same price column names as pokemon_sealed_products so price history can record it
+   * @param {Object} product - TCGCSV product
+   * @param {Object} group - TCGCSV group the product belongs to
+   * @param {Object} pricing - { normal, foil } price rows
+   * @returns {Object} Row for magic_sealed
+   */
+  formatSealedRow(product, group, pricing = {}) {
+    const extendedData = tcgcsvSyncService.extractExtendedData(product.extendedData);
+    const price = pricing.normal || pricing.foil || {};
+
+    return {
+      product_id: product.productId,
+      set_id: group.groupId,
+      set_name: group.name,
+      name: product.name,
+      clean_name: product.cleanName,
+      image_url: product.imageUrl,
+      url: product.url,
+      market_price: price.marketPrice || null,
+      low_price: price.lowPrice || null,
+      mid_price: price.midPrice || null,
+      high_price: price.highPrice || null,
+      direct_low_price: price.directLowPrice || null,
+      sub_type_name: price.subTypeName || 'Normal',
+      upc: extendedData.upc || null,
+      is_presale: product.presaleInfo?.isPresale || false,
+      released_on: product.presaleInfo?.releasedOn || null,
+      extended_data: product.extendedData || null,
+      modified_on: product.modifiedOn || null,
+      last_synced_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Upsert rows in batches to keep request bodies small
+   * @param {string} table - Table name
+   * @param {Array} rows - Rows to upsert
+   */
+  async upsertRows(table, rows) {
+    for (let i = 0; i < rows.length; i += UPSERT_BATCH_SIZE) {
+      const batch = rows.slice(i, i + UPSERT_BATCH_SIZE);
+      const { error } = await supabase
+        .from(table)
+        .upsert(batch, { onConflict: 'product_id', ignoreDuplicates: false });
+
+      if (error) throw error;
+    }
+  }
+
+  /**
+   * Sync one TCGCSV group into the Magic tables
+   * @param {Object} group - TCGCSV group object
+   * @returns {Promise<Object>} Sync results
+   */
+  async syncGroup(group) {
+    const { groupId, name } = group;
+    console.log(`\n🃏 Syncing Magic set ${groupId}: ${name}`);
+
+    try {
+      const [products, prices] = await Promise.all([
+        tcgcsvSyncService.fetchProducts(groupId, this.categoryId),
+        tcgcsvSyncService.fetchPrices(groupId, this.categoryId)
+      ]);
+
+      const priceMap = this.buildPriceMap(prices);
+      const cards = [];
+      const sealed = [];
+
+      products.forEach(product => {
+        const pricing = priceMap.get(product.productId);
+        if (tcgcsvSyncService.isSealedProduct(product)) {
+          sealed.push(this.formatSealedRow(product, group, pricing));
+        } else if (tcgcsvSyncService.extractExtendedData(product.extendedData).number) {
+          cards.push(this.formatCardRow(product, group, pricing));
+        }
+      });
+
+      // Set row first so the card / sealed foreign keys resolve
+      const { error: setError } = await supabase
+        .from(this.databases.expansions)
+        .upsert({
+          id: groupId,
+          name,
+          abbreviation: group.abbreviation || null,
+          is_supplemental: group.isSupplemental || false,
+          published_on: group.publishedOn || null,
+          modified_on: group.modifiedOn || null,
+          card_count: cards.length,
+          sealed_count: sealed.length,
+          last_synced_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        }, { onConflict: 'id' });
+
+      if (setError) throw setError;
+
+      await this.upsertRows(this.databases.cards, cards);
+      await this.upsertRows(this.databases.sealed, sealed);
+
+      // TCGplayer product IDs are unique across categories, so sealed history shares the 'sealed' product type
+      const pricePoints = await priceHistoryService.recordSealedPrices(sealed);
+
+      console.log(`   ✅ ${cards.length} cards, ${sealed.length} sealed products, ${pricePoints} price points`);
+
+      return { groupId, name, cards: cards.length, sealed: sealed.length };
+    } catch (error) {
+      console.error(`   ❌ Error syncing Magic set ${groupId}:`, error);
+      return { groupId, name, cards: 0, sealed: 0, error: error.message };
+    }
+  }
+
+  /**
+   * Sync Magic sets from TCGCSV, newest first
+   * @param {Object} options - { groupLimit, onProgress, groupIds, startIndex, onCheckpoint }
+   * @returns {Promise<Object>} Sync summary
+   */
+  async syncAll(options = {}) {
+    if (this.isSyncing) {
+      console.log('⚠️ Magic sync already in progress');
+      return { error: 'Sync already in progress' };
+    }
+
+    this.isSyncing = true;
+    const startTime = Date.now();
+
+    const {
+      groupLimit = null, // Limit number of sets to sync (newest first)
+      onProgress = null, // Callback for progress updates
+      groupIds = null,   // Exact groups to sync, in order (a resumed job's list)
+      startIndex = 0,    // Position in the list to continue from
+      onCheckpoint = null // Awaited after each group; resolving false stops the sync
+    } = options;
+
+    try {
+      const groups = await tcgcsvSyncService.fetchGroups(this.categoryId);
+      const sortedGroups = [...groups].sort((a, b) =>
+        new Date(b.publishedOn || 0) - new Date(a.publishedOn || 0)
+      );
+      const groupsById = new Map(sortedGroups.map(group => [group.groupId, group]));
+      const groupsToSync = groupIds
+        ? groupIds.map(groupId => groupsById.get(groupId)).filter(Boolean)
+        : (groupLimit ? sortedGroups.slice(0, groupLimit) : sortedGroups);
+
+      const results = [];
+      let totalCards = 0;
+      let totalSealed = 0;
+      let totalErrors = 0;
+      let stopped = false;
+
+      for (let i = startIndex; i < groupsToSync.length; i++) {
+        const group = groupsToSync[i];
+        const result = await this.syncGroup(group);
+
+        results.push(result);
+        totalCards += result.cards || 0;
+        totalSealed += result.sealed || 0;
+        if (result.error) totalErrors++;
+
+        if (onProgress) {
+          onProgress({
+            current: i + 1,
+            total: groupsToSync.length,
+            currentGroup: group.name,
+            totalCards,
+            totalSealed,
+            totalErrors
+          });
+        }
+
+        if (onCheckpoint) {
+          const keepGoing = await onCheckpoint({
+            groupIds: groupsToSync.map(g => g.groupId),
+            completed: i + 1,
+            result
+          });
+          if (keepGoing === false) {
+            stopped = true;
+            break;
+          }
+        }
+
+        // Small delay to avoid rate limiting
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+
+      // Push the fresh prices onto collection items that reference Magic products
+      let itemsRefreshed = 0;
+      // Runs with the service role because it writes every user's items
+      const { data: refreshed, error: refreshError } = await supabase.functions.invoke('admin-actions?action=refresh-magic-item-values', {
+        method: 'POST',
+        body: {}
+      });
+      if (refreshError) {
+        console.error('⚠️ Failed to refresh Magic collection values:', refreshError);
+      } else {
+        itemsRefreshed = refreshed?.data || 0;
+      }
+
+      const summary = {
+        success: true,
+        duration: `${((Date.now() - startTime) / 1000).toFixed(2)}s`,
+        groupsSynced: results.length,
+        groupsTotal: groupsToSync.length,
+        cardsImported: totalCards,
+        sealedImported: totalSealed,
+        itemsRefreshed,
+        errors: totalErrors,
+        stopped,
+        results
+      };
+
+      console.log(`\n✅ Magic sync complete: ${summary.groupsSynced} sets, ${totalCards} cards, ${totalSealed} sealed products in ${summary.duration}`);
+
+      return summary;
+    } catch (error) {
+      console.error('❌ Magic sync failed:', error);
+      return { success: false, error: error.message };
+    } finally {
+      this.isSyncing = false;
+    }
+  }
+
+  /**
+   * Get catalog totals for the admin dashboard
+   * @returns {Promise<Object>} { sets, cards, sealed, lastSync }
+   */
+  async getSyncStatus() {
+    try {
+      const [sets, cards, sealed, latest] = await Promise.all([
+        supabase.from(this.databases.expansions).select('*', { count: 'exact', head: true }),
+        supabase.from(this.databases.cards).select('*', { count: 'exact', head: true }),
+        supabase.from(this.databases.sealed).select('*', { count: 'exact', head: true }),
+        supabase
+          .from(this.databases.expansions)
+          .select('last_synced_at')
+          .order('last_synced_at', { ascending: false, nullsFirst: false })
+          .limit(1)
+      ]);
+
+      const failed = [sets, cards, sealed, latest].find(result => result.error);
+      if (failed) throw failed.error;
+
+      return {
+        sets: sets.count || 0,
+        cards: cards.count || 0,
+        sealed: sealed.count || 0,
+        lastSync: latest.data?.[0]?.last_synced_at || null
+      };
+    } catch (error) {
+      console.error('Error fetching Magic sync status:', error);
+      return null;
+    }
+  }
+}
+
+// Create and export singleton instance
+const magicSyncService = new MagicSyncService();
+export default magicSyncService;
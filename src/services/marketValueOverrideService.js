@@ -0,0 +1,113 @@
+/**
+ * Market Value Override Service
+ * User-set market values of a product or a single order (market_value_overrides) with a reason,
+ * a source label and an optional expiry. withOverrides applies them to loaded orders so every
+ * valuation path (Collection, Analytics, exports) uses the same values
+ */
+
+import { supabase } from '../lib/supabaseClient';
+import { DEFAULT_CURRENCY } from '../utils/currency';
+import { applyMarketValueOverride, findOverrideForOrder, indexOverrides } from '../utils/marketValueOverride';
+
+class MarketValueOverrideService {
+  /**
+   * Get the current user's overrides
+   * @returns {Promise<Array>} Overrides, newest first (expired ones included)
+   */
+  async getOverrides() {
+    const { data, error } = await supabase
+      .from('market_value_overrides')
+      .select('*')
+      .order('updated_at', { ascending: false });
+
+    if (error) {
+      console.error('Error fetching market value overrides:', error);
+      throw error;
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Create or replace the override of a product, or of one order of it
+   * @param {Object} override - { product_type, product_id, order_id, value_cents, currency, reason, source, expires_on }
+   * @returns {Promise<Object>} The saved override
+   */
+  async setOverride(override) {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) {
+      throw new Error('User not authenticated');
+    }
+
+    if (!override.product_type || !override.product_id) {
+      throw new Error('Only catalog cards and items can have their market value overridden');
+    }
+
+    const { data, error } = await supabase
+      .from('market_value_overrides')
+      .upsert({
+        user_id: user.id,
+        product_type: override.product_type,
+        product_id: String(override.product_id),
+        order_id: override.order_id || null,
+        value_cents: Math.max(0, Math.round(override.value_cents || 0)),
+        currency: override.currency && override.currency !== DEFAULT_CURRENCY ? override.currency : null,
+        reason: override.reason || null,
+        source: override.source || null,
+        expires_on: override.expires_on || null,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'user_id,product_type,product_id,order_id' })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error saving market value override:', error);
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Remove overrides so the synced price is used again
+   * @param {Array<string>} overrideIds - Override IDs
+   */
+  async clearOverrides(overrideIds) {
+    if (!overrideIds || overrideIds.length === 0) return;
+
+    const { error } = await supabase
+      .from('market_value_overrides')
+      .delete()
+      .in('id', overrideIds);
+
+    if (error) {
+      console.error('Error clearing market value overrides:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Value orders at their active override
+   * Apply after the condition and graded valuation so an override replaces the synced value
+   * @param {Array} orders - Orders
+   * @returns {Promise<Array>} Orders with market_value_override and synced_market_value_cents where overridden
+   */
+  async withOverrides(orders) {
+    if (!orders || orders.length === 0) return orders || [];
+
+    let overrides = [];
+    try {
+      overrides = await this.getOverrides();
+    } catch {
+      // Overrides are additive - fall back to the synced values
+      return orders;
+    }
+
+    const index = indexOverrides(overrides);
+    return orders.map(order => applyMarketValueOverride(order, findOverrideForOrder(order, index)));
+  }
+}
+
+// Create and export singleton instance
+const marketValueOverrideService = new MarketValueOverrideService();
+export default marketValueOverrideService;
@@ -0,0 +1,70 @@
+/**
+ * Marketplace Service
+ * Loads selling venues and their fee structures from the marketplace table
+ * and resolves the fee for a sale from its sale location
+ */
+
+import { supabase } from '../lib/supabaseClient';
+import { findMarketplace, calculateSaleBreakdown } from '../utils/marketplaceFees';
+
+class MarketplaceService {
+  constructor() {
+    this.marketplaces = null;
+    this.loadedAt = 0;
+    this.cacheTimeout = 30 * 60 * 1000; // Fee structures rarely change
+  }
+
+  /**
+   * Get active marketplaces with their fee structure
+   * @returns {Promise<Array>} Marketplace rows ordered by display name
+   */
+  async getMarketplaces() {
+    if (this.marketplaces && Date.now() - this.loadedAt < this.cacheTimeout) {
+      return this.marketplaces;
+    }
+
+    const { data, error } = await supabase
+      .from('marketplace')
+      .select('id, name, display_name, has_fees, fee_type, fee_percentage, fee_flat_cents, fee_fixed_cents, fee_tiers, fee_notes')
+      .eq('is_active', true)
+      .order('display_name', { ascending: true });
+
+    if (error) {
+      console.error('Error fetching marketplaces:', error);
+      throw error;
+    }
+
+    this.marketplaces = data || [];
+    this.loadedAt = Date.now();
+    return this.marketplaces;
+  }
+
+  /**
+   * Resolve the marketplace for a sale location
+   * @param {string} saleLocation - Sale location as entered on the sale
+   * @returns {Promise<Object|null>} Matching marketplace or null (unknown venues have no fees)
+   * @throws {Error} When the marketplaces can't be loaded, rather than treating the venue as fee-free
+   */
+  async resolveMarketplace(saleLocation) {
+    const marketplaces = await this.getMarketplaces();
+    return findMarketplace(marketplaces, saleLocation);
+  }
+
+  /**
+   * Calculate gross, fees, shipping and net for a sale
+   * @param {Object} sale - { saleLocation, salePriceCents (per item), quantity, shippingCents, feesCents (optional override) }
+   * @returns {Promise<Object>} { grossCents, feesCents, shippingCents, netCents, marketplace }
+   * @throws {Error} When the marketplace fees can't be resolved, so no sale is saved with a wrong net
+   */
+  async calculateSale(sale) {
+    const marketplace = await this.resolveMarketplace(sale.saleLocation);
+    return {
+      ...calculateSaleBreakdown(sale, marketplace),
+      marketplace
+    };
+  }
+}
+
+// Create and export singleton instance
+const marketplaceService = new MarketplaceService();
+export default marketplaceService;
@@ -0,0 +1,257 @@
+/**
+ * Offline Sync Service
+ * Keeps the collection usable without a connection (e.g. at a card show):
+ * - loadMirrored() saves each loaded order list to IndexedDB and falls back to that copy offline
+ * - run() executes an order write right away when online, otherwise queues it for later
+ * - replay() sends queued writes in the order they were made once the connection is back;
+ *   a write rejected by the server (usually a conflict with a change made on another device)
+ *   is kept as a conflict for the user to retry or discard, and the rest of the queue continues
+ */
+
+import { supabase } from '../lib/supabaseClient';
+import { queryClient, queryKeys } from '../lib/queryClient';
+import {
+  isOfflineStoreAvailable,
+  readMirror,
+  writeMirror,
+  clearMirrors,
+  getQueuedMutations,
+  addQueuedMutation,
+  putQueuedMutation,
+  deleteQueuedMutation
+} from '../lib/offlineStore';
+import { applyPendingMutations } from '../utils/offlineMutations';
+import { isSaleConflictError } from '../utils/saleHistoryManager';
+import orderWriteService from './orderWriteService';
+
+const EXECUTORS = {
+  'add-order': payload => orderWriteService.addOrder(payload),
+  'update-order': payload => orderWriteService.updateOrder(payload),
+  'delete-orders': payload => orderWriteService.deleteOrders(payload),
+  'record-sale': payload => orderWriteService.recordSale(payload)
+};
+
+class OfflineSyncService {
+  constructor() {
+    this.replaying = null;
+
+    if (typeof window !== 'undefined') {
+      window.addEventListener('online', () => this.replay());
+    }
+  }
+
+  isOnline() {
+    return typeof navigator === 'undefined' || navigator.onLine !== false;
+  }
+
+  /**
+   * Whether an error means the request never reached the server
+   * @param {Error} error - Error thrown by a Supabase call or fetch
+   * @returns {boolean}
+   */
+  isNetworkError(error) {
+    if (!this.isOnline()) return true;
+    const message = String(error?.message || '');
+    return error instanceof TypeError || /Failed to fetch|NetworkError|Load failed|network/i.test(message);
+  }
+
+  // The session is cached locally, unlike getUser() which asks the server
+  async getUserId() {
+    const { data: { session } } = await supabase.auth.getSession();
+    return session?.user?.id || null;
+  }
+
+  /**
+   * Get the signed-in user's queued writes, oldest first
+   * @returns {Promise<Array>} Mutations with status 'pending' or 'conflict'
+   */
+  async getMutations() {
+    if (!isOfflineStoreAvailable()) return [];
+    const userId = await this.getUserId();
+    return userId ? getQueuedMutations(userId) : [];
+  }
+
+  /**
+   * Load an order list through the offline mirror
+   * Online, the loader's result is saved for later; without a connection the saved copy is used.
+   * Queued writes are applied on top either way, unless the list is not made of orders
+   * @param {string} key - Mirror key
+   * @param {Function} loader - Loads the list from the server
+   * @param {Object} options - { applyQueued }
+   * @returns {Promise<Array>} Orders
+   */
+  async loadMirrored(key, loader, { applyQueued = true } = {}) {
+    const userId = isOfflineStoreAvailable() ? await this.getUserId() : null;
+    if (!userId) return loader();
+
+    let orders;
+    try {
+      if (!this.isOnline()) throw new TypeError('Offline');
+      orders = await loader();
+      writeMirror(userId, key, orders).catch(error => console.warn('Could not save offline copy:', error));
+    } catch (error) {
+      if (!this.isNetworkError(error)) throw error;
+
+      const mirror = await readMirror(userId, key);
+      if (!mirror) throw error;
+      orders = mirror.data;
+    }
+
+    return applyQueued ? applyPendingMutations(orders, await getQueuedMutations(userId)) : orders;
+  }
+
+  /**
+   * Run an order write, or queue it when there is no connection
+   * Writes also queue while earlier writes are still waiting, so they reach the server in order
+   * @param {string} type - Key of OFFLINE_MUTATION_TYPES
+   * @param {Object} payload - Arguments of the orderWriteService method (structured-cloneable)
+   * @returns {Promise<Object>} { queued: true } or the write's result
+   */
+  async run(type, payload) {
+    const userId = isOfflineStoreAvailable() ? await this.getUserId() : null;
+    if (!userId) return EXECUTORS[type](payload);
+
+    const waiting = (await getQueuedMutations(userId)).some(mutation => mutation.status === 'pending');
+    if (this.isOnline() && !waiting) {
+      try {
+        return await EXECUTORS[type](payload);
+      } catch (error) {
+        if (!this.isNetworkError(error)) throw error;
+      }
+    }
+
+    await addQueuedMutation({ userId, type, payload, status: 'pending', error: null, createdAt: new Date().toISOString() });
+    await this.refresh();
+    if (this.isOnline()) this.replay();
+    return { queued: true };
+  }
+
+  /**
+   * Send queued writes to the server in order
+   * Stops at the first network failure and picks up from there on the next call
+   * @returns {Promise<Object>} { synced, conflicts }
+   */
+  replay() {
+    if (!this.replaying) {
+      this.replaying = this.replayQueue().finally(() => {
+        this.replaying = null;
+      });
+    }
+    return this.replaying;
+  }
+
+  async replayQueue() {
+    const result = { synced: 0, conflicts: 0 };
+    if (!isOfflineStoreAvailable() || !this.isOnline()) return result;
+
+    const userId = await this.getUserId();
+    if (!userId) return result;
+
+    let queue = (await getQueuedMutations(userId)).filter(mutation => mutation.status === 'pending');
+    while (queue.length > 0) {
+      const [mutation, ...rest] = queue;
+      try {
+        const { versions = {} } = (await EXECUTORS[mutation.type](mutation.payload)) || {};
+        await deleteQueuedMutation(mutation.id);
+        result.synced += 1;
+        // Later writes to the same orders were made on top of this one
+        queue = await this.carryVersionsForward(rest, versions);
+      } catch (error) {
+        if (this.isNetworkError(error)) break;
+
+        console.error('Error replaying offline change:', error);
+        await putQueuedMutation({
+          ...mutation,
+          status: 'conflict',
+          error: isSaleConflictError(error)
+            ? `${error.message || 'Changed on another device'}. Review the order, then retry or discard this change.`
+            : error.message
+        });
+        result.conflicts += 1;
+        queue = rest;
+      }
+    }
+
+    if (result.synced > 0 || result.conflicts > 0) {
+      await Promise.all([
+        queryClient.invalidateQueries({ queryKey: queryKeys.orders }),
+        queryClient.invalidateQueries({ queryKey: queryKeys.collectionSummary })
+      ]);
+    }
+    await this.refresh();
+    return result;
+  }
+
+  async carryVersionsForward(mutations, versions) {
+    const changedIds = Object.keys(versions);
+    if (changedIds.length === 0) return mutations;
+
+    return Promise.all(mutations.map(async mutation => {
+      const expected = mutation.payload.versions;
+      if (!expected || !changedIds.some(id => id in expected)) return mutation;
+
+      const updated = {
+        ...mutation,
+        payload: {
+          ...mutation.payload,
+          versions: Object.fromEntries(Object.entries(expected).map(([id, version]) => [id, id in versions ? versions[id] : version]))
+        }
+      };
+      await putQueuedMutation(updated);
+      return updated;
+    }));
+  }
+
+  /**
+   * Queue a conflicted write again, at its original place in the order
+   * The write is applied over the orders as they are now, so the other device's change is kept
+   * wherever this write does not touch it
+   * @param {Object} mutation - Mutation with status 'conflict'
+   */
+  async retry(mutation) {
+    const { versions } = mutation.payload;
+    const currentVersions = versions ? await orderWriteService.getVersions(Object.keys(versions)) : null;
+
+    await putQueuedMutation({
+      ...mutation,
+      status: 'pending',
+      error: null,
+      payload: versions ? { ...mutation.payload, versions: { ...versions, ...currentVersions } } : mutation.payload
+    });
+    await this.refresh();
+    return this.replay();
+  }
+
+  /**
+   * Drop a queued write
+   * @param {number} mutationId - Mutation id
+   */
+  async discard(mutationId) {
+    await deleteQueuedMutation(mutationId);
+    await Promise.all([
+      queryClient.invalidateQueries({ queryKey: queryKeys.orders }),
+      this.refresh()
+    ]);
+  }
+
+  /**
+   * Remove the offline copy of the collection (on sign-out)
+   * Queued writes stay and sync the next time their user signs in
+   */
+  async clearOfflineCopy() {
+    if (!isOfflineStoreAvailable()) return;
+    try {
+      await clearMirrors();
+    } catch (error) {
+      console.warn('Could not clear offline copy:', error);
+    }
+  }
+
+  refresh() {
+    return queryClient.invalidateQueries({ queryKey: queryKeys.offlineMutations });
+  }
+}
+
+// Create and export singleton instance
+const offlineSyncService = new OfflineSyncService();
+export default offlineSyncService;
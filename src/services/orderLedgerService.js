@@ -0,0 +1,136 @@
+/**
+ * Order Ledger Service
+ * Loads the user's orders together with their sales and allocated shipping,
+ * the shared input of the analytics and tax reporting pages
+ */
+
+import { supabase } from '../lib/supabaseClient';
+import shipmentService from './shipmentService';
+import conditionPricingService from './conditionPricingService';
+import marketValueOverrideService from './marketValueOverrideService';
+
+// Up to this many orders are looked up by id; more (a whole collection) are read by user instead
+const ID_FILTER_LIMIT = 100;
+
+class OrderLedgerService {
+  /**
+   * Get orders from the clean view with their sales
+   * @returns {Promise<Array>} Orders with sales, shipping_cost_cents, in_transit, singles valued at their condition
+   * and market value overrides applied
+   */
+  async getOrdersWithSales() {
+    const { data: orders, error } = await supabase
+      .from('individual_orders_clean')
+      .select('*');
+    if (error) throw error;
+
+    // Allocated inbound shipping is part of each order's cost basis
+    const withShipping = await shipmentService.withShippingCosts(orders || []);
+    const withConditions = await conditionPricingService.withConditionValues(withShipping);
+    const withOverrides = await marketValueOverrideService.withOverrides(withConditions);
+    return this.withSales(await this.withCurrencies(withOverrides));
+  }
+
+  /**
+   * Get the signed-in user's id when the orders are a whole collection, so they are read by user
+   * @param {Array} orders - Orders
+   * @returns {Promise<string|null>} User id, or null when the orders are few enough to look up by id
+   */
+  async getCollectionUserId(orders) {
+    if (orders.length <= ID_FILTER_LIMIT) return null;
+
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) {
+      throw new Error('User not authenticated');
+    }
+    return user.id;
+  }
+
+  /**
+   * Scope a query to the given orders: by user for a whole collection, by id otherwise
+   * @param {Object} query - Supabase query
+   * @param {Array} orders - Orders
+   * @param {string} idColumn - Column holding the order id
+   * @param {string|null} userId - From getCollectionUserId
+   * @returns {Object} The filtered query
+   */
+  forOrders(query, orders, idColumn, userId) {
+    return userId ? query.eq('user_id', userId) : query.in(idColumn, orders.map(order => order.id));
+  }
+
+  /**
+   * Attach each order's rows of the sales table as `sales` (read with getSaleHistory)
+   * @param {Array} orders - Orders
+   * @returns {Promise<Array>} Orders with sales
+   */
+  async withSales(orders) {
+    if (!orders || orders.length === 0) return orders || [];
+
+    const userId = await this.getCollectionUserId(orders);
+    const { data, error } = await this.forOrders(supabase.from('sales').select('*'), orders, 'order_id', userId)
+      .order('sale_date', { ascending: true })
+      .order('created_at', { ascending: true });
+    if (error) throw error;
+
+    const salesByOrderId = {};
+    (data || []).forEach(sale => {
+      if (!salesByOrderId[sale.order_id]) salesByOrderId[sale.order_id] = [];
+      salesByOrderId[sale.order_id].push(sale);
+    });
+
+    return orders.map(order => ({
+      ...order,
+      sales: salesByOrderId[order.id] || []
+    }));
+  }
+
+  /**
+   * Attach orders.version (not exposed by the clean view) so sale mutations can detect concurrent edits
+   * @param {Array} orders - Orders from individual_orders_clean
+   * @returns {Promise<Array>} Orders with version
+   */
+  async withVersions(orders) {
+    if (!orders || orders.length === 0) return orders || [];
+
+    const userId = await this.getCollectionUserId(orders);
+    const { data, error } = await this.forOrders(supabase.from('orders').select('id, version'), orders, 'id', userId);
+    if (error) throw error;
+
+    const versionById = {};
+    (data || []).forEach(row => {
+      versionById[row.id] = row.version;
+    });
+
+    return orders.map(order => ({
+      ...order,
+      version: versionById[order.id] ?? order.version ?? null
+    }));
+  }
+
+  /**
+   * Attach orders.currency (not exposed by the clean view); NULL means the order was paid in USD
+   * @param {Array} orders - Orders from individual_orders_clean
+   * @returns {Promise<Array>} Orders with currency
+   */
+  async withCurrencies(orders) {
+    if (!orders || orders.length === 0) return orders || [];
+
+    const userId = await this.getCollectionUserId(orders);
+    const { data, error } = await this.forOrders(supabase.from('orders').select('id, currency'), orders, 'id', userId);
+    if (error) throw error;
+
+    const currencyById = {};
+    (data || []).forEach(row => {
+      currencyById[row.id] = row.currency;
+    });
+
+    return orders.map(order => ({
+      ...order,
+      currency: currencyById[order.id] ?? order.currency ?? null
+    }));
+  }
+}
+
+// Create and export singleton instance
+const orderLedgerService = new OrderLedgerService();
+export default orderLedgerService;
@@ -0,0 +1,239 @@
+/**
+ * Order Write Service
+ * The collection's order writes (add purchase, edit, delete, record sale), run directly when online
+ * and replayed from the offline queue by offlineSyncService
+ * Every write takes the versions of the orders it touches as they were loaded; an order changed
+ * elsewhere in the meantime fails the write with a conflict (see isSaleConflictError) instead of
+ * overwriting the other change. Each write returns the new versions of the orders it changed
+ */
+
+import { supabase } from '../lib/supabaseClient';
+import { getCleanItemName } from '../utils/nameUtils';
+import { getItemTypeClassification } from '../utils/itemTypeUtils';
+import { createSingleOrder } from '../utils/orderNumbering';
+import { SALE_CONFLICT_CODE } from '../utils/saleHistoryManager';
+import { getGameService } from './games/gameServiceFactory';
+import taxLotService from './taxLotService';
+
+const UNIQUE_VIOLATION_CODE = '23505';
+
+const conflictError = (message) => {
+  const error = new Error(message);
+  error.code = SALE_CONFLICT_CODE;
+  return error;
+};
+
+class OrderWriteService {
+  /**
+   * Get current versions of orders
+   * @param {Array} orderIds - Order ids
+   * @returns {Promise<Object>} { [orderId]: version }, orders that no longer exist are left out
+   */
+  async getVersions(orderIds) {
+    if (!orderIds || orderIds.length === 0) return {};
+
+    const { data, error } = await supabase
+      .from('orders')
+      .select('id, version')
+      .in('id', orderIds);
+    if (error) throw error;
+
+    return Object.fromEntries((data || []).map(row => [row.id, row.version]));
+  }
+
+  /**
+   * Fail with a conflict when any order changed since the given versions
+   * Orders loaded without a version (added offline, or from a view without versions) are not checked
+   * @param {Object} versions - { [orderId]: version as loaded }
+   * @param {Object} options - { allowDeleted: orders already deleted elsewhere are not a conflict }
+   */
+  async assertVersions(versions = {}, { allowDeleted = false } = {}) {
+    const checked = Object.entries(versions).filter(([, version]) => version != null);
+    if (checked.length === 0) return;
+
+    const current = await this.getVersions(checked.map(([orderId]) => orderId));
+    const changed = checked.filter(([orderId, version]) =>
+      current[orderId] !== version && !(allowDeleted && current[orderId] === undefined));
+    if (changed.length > 0) {
+      throw conflictError(changed.some(([orderId]) => current[orderId] === undefined)
+        ? 'The order was deleted on another device'
+        : 'The order was changed on another device');
+    }
+  }
+
+  /**
+   * Find or create the items row an order of this product links to
+   * @param {Object} product - Product the purchase was added from
+   * @returns {Promise<string|null>} Item id (null for API cards, which are stored on the order itself)
+   */
+  async resolveItemId(product) {
+    if (product.tcgplayer_product_id && product.gameId) {
+      // Catalog products from games without their own orders column link through a shared items row
+      return getGameService(product.gameId).getOrCreateCollectionItem(product);
+    }
+    if (product.source === 'api' && product.api_id) {
+      return null;
+    }
+
+    const itemName = product.source === 'manual' ? product.name : getCleanItemName(product.name, product.set);
+    const { data: existingItem } = await supabase
+      .from('items')
+      .select('id')
+      .eq('name', itemName)
+      .eq('set_name', product.set || '')
+      .single();
+    if (existingItem) return existingItem.id;
+
+    const { data: newItem, error } = await supabase
+      .from('items')
+      .insert({
+        name: itemName,
+        set_name: product.set || '',
+        image_url: product.imageUrl || '',
+        item_type: getItemTypeClassification(product, 'raw', 'manual')
+      })
+      .select('id')
+      .single();
+    if (error) throw error;
+    return newItem.id;
+  }
+
+  /**
+   * Add a purchase
+   * The order id is generated by the client, so replaying an add that already reached the server is a no-op
+   * @param {Object} payload - { product, order (orders row without item_id and order_number) }
+   * @returns {Promise<Object>} { versions }
+   */
+  async addOrder({ product, order }) {
+    const itemId = await this.resolveItemId(product);
+    const orderData = await createSingleOrder(supabase, {
+      ...order,
+      item_id: itemId,
+      product_source: order.product_source ?? (itemId ? 'custom' : 'unknown')
+    });
+
+    const { data, error } = await supabase
+      .from('orders')
+      .insert(orderData)
+      .select('id, version')
+      .single();
+
+    if (error?.code === UNIQUE_VIOLATION_CODE) {
+      return { versions: await this.getVersions([order.id]) };
+    }
+    if (error) {
+      console.error('Error adding order:', error);
+      throw error;
+    }
+    return { versions: { [data.id]: data.version } };
+  }
+
+  /**
+   * Edit an order
+   * @param {Object} payload - { orderId, updates, versions }
+   * @returns {Promise<Object>} { versions }
+   */
+  async updateOrder({ orderId, updates, versions = {} }) {
+    // Don't include order_number in updates to preserve existing numbering
+    const { order_number, ...dataToUpdate } = updates;
+    const expectedVersion = versions[orderId];
+
+    let query = supabase
+      .from('orders')
+      .update(dataToUpdate)
+      .eq('id', orderId);
+    if (expectedVersion != null) {
+      query = query.eq('version', expectedVersion);
+    }
+
+    const { data, error } = await query.select('id, version');
+    if (error) {
+      console.error('Error updating order:', error);
+      throw error;
+    }
+    if (!data || data.length === 0) {
+      await this.assertVersions(versions);
+      throw conflictError('The order no longer exists');
+    }
+    return { versions: { [orderId]: data[0].version } };
+  }
+
+  /**
+   * Delete orders, and their items when no other order links to them
+   * @param {Object} payload - { orderIds, versions }
+   * @returns {Promise<Object>} { versions }
+   */
+  async deleteOrders({ orderIds, versions = {} }) {
+    await this.assertVersions(versions, { allowDeleted: true });
+
+    const { data: deletedOrders, error: ordersError } = await supabase
+      .from('orders')
+      .select('id, item_id')
+      .in('id', orderIds);
+    if (ordersError) throw ordersError;
+
+    const { error: deleteOrdersError } = await supabase
+      .from('orders')
+      .delete()
+      .in('id', orderIds);
+    if (deleteOrdersError) {
+      console.error('Error deleting orders:', deleteOrdersError);
+      throw deleteOrdersError;
+    }
+
+    const itemIds = [...new Set((deletedOrders || []).map(order => order.item_id).filter(Boolean))];
+    for (const itemId of itemIds) {
+      const { data: remainingOrders, error: checkError } = await supabase
+        .from('orders')
+        .select('id')
+        .eq('item_id', itemId);
+
+      if (checkError) {
+        console.warn('Could not check remaining orders for item:', itemId, checkError);
+        continue;
+      }
+
+      if (remainingOrders.length === 0) {
+        const { error: deleteItemError } = await supabase
+          .from('items')
+          .delete()
+          .eq('id', itemId);
+
+        if (deleteItemError) {
+          // The orders are already gone, a leftover item is harmless
+          console.warn('Could not delete item:', itemId, deleteItemError);
+        }
+      }
+    }
+
+    return { versions: {} };
+  }
+
+  /**
+   * Record a sale against purchase lots (see taxLotService.recordSale)
+   * The sale id is generated by the client, so replaying a sale that already reached the server is a no-op
+   * @param {Object} payload - { order, sale (with id), method, selections, lots, versions }
+   * @returns {Promise<Object>} { versions }
+   */
+  async recordSale({ order, sale, method, selections, lots, versions = {} }) {
+    // Lots were captured when the sale was made; check them at the versions the queue has carried forward
+    const currentLots = lots.map(lot => ({
+      ...lot,
+      order: { ...lot.order, version: versions[lot.orderId] ?? lot.order.version ?? null }
+    }));
+
+    try {
+      const allocations = await taxLotService.recordSale(order, sale, { method, selections, lots: currentLots });
+      return { versions: await this.getVersions(allocations.map(allocation => allocation.orderId)) };
+    } catch (error) {
+      if (error?.code === UNIQUE_VIOLATION_CODE) {
+        return { versions: await this.getVersions(lots.map(lot => lot.orderId)) };
+      }
+      throw error;
+    }
+  }
+}
+
+// Create and export singleton instance
+const orderWriteService = new OrderWriteService();
+export default orderWriteService;
@@ -0,0 +1,173 @@
+/**
+ * Price History Service
+ * Reads and writes the dated price points stored in the price_history table
+ * Points are appended by the Scrydex pricing sync (cards) and the TCGCSV price ingest (sealed)
+ */
+
+import { supabase } from '../lib/supabaseClient';
+import apiCacheService from './apiCacheService';
+
+// Days covered by each chart range
+export const PRICE_HISTORY_RANGES = {
+  '7D': 7,
+  '1M': 30,
+  '3M': 90,
+  '6M': 180,
+  '1Y': 365
+};
+
+const HISTORY_CONFLICT_COLUMNS = 'product_type,product_id,source,price_type,variant,recorded_on';
+
+class PriceHistoryService {
+  /**
+   * Get the price history for a product
+   * @param {string} productType - 'card' or 'sealed'
+   * @param {string|number} productId - pokemon_cards.id or pokemon_sealed_products.product_id
+   * @param {Object} options - { range: '7D'|'1M'|'3M'|'6M'|'1Y', priceType: 'raw'|'graded'|'market', variant }
+   *   variant is the grade (e.g. 'PSA 10') or TCGPlayer sub type to chart; without it the primary variant is used
+   * @returns {Promise<Array>} Points [{ date, market, low, high, source, variant }] oldest first
+   */
+  async getPriceHistory(productType, productId, options = {}) {
+    const { range = '1M', priceType = productType === 'sealed' ? 'market' : 'raw', variant = null } = options;
+    if (!productId) return [];
+
+    const days = PRICE_HISTORY_RANGES[range] || PRICE_HISTORY_RANGES['1M'];
+    const params = { productType, productId: String(productId), priceType, variant, days };
+    const cacheKey = apiCacheService.generateCacheKey('/price_history', params, 'price_history');
+
+    const cached = apiCacheService.get(cacheKey);
+    if (cached) return cached;
+
+    try {
+      const since = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+      const { data, error } = await supabase
+        .from('price_history')
+        .select('recorded_on, source, variant, market, low, high')
+        .eq('product_type', productType)
+        .eq('product_id', String(productId))
+        .eq('price_type', priceType)
+        .gte('recorded_on', since)
+        .order('recorded_on', { ascending: true });
+
+      if (error) throw error;
+
+      const points = this.collapseByDate(this.filterToVariant(data || [], variant));
+      apiCacheService.set(cacheKey, points, 'price_history');
+      return points;
+    } catch (error) {
+      console.error('Error fetching price history:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Keep the rows of one variant so a chart never mixes grades or sub types
+   * Without a requested variant the primary one (the variant with the latest market price) is kept
+   * @param {Array} rows - price_history rows ordered by recorded_on
+   * @param {string|null} variant - Grade or sub type to keep
+   * @returns {Array} Rows of a single variant
+   */
+  filterToVariant(rows, variant) {
+    const priced = rows.filter(row => row.market != null);
+    const variantOf = row => row.variant || '';
+
+    const selected = variant != null ? String(variant) : variantOf(priced[priced.length - 1] || {});
+    return priced.filter(row => variantOf(row) === selected);
+  }
+
+  /**
+   * Collapse multiple rows for the same day (e.g. several sources) into one point
+   * Keeps the highest market price; rows should already be filtered to one variant (filterToVariant)
+   * @param {Array} rows - price_history rows ordered by recorded_on
+   * @returns {Array} One point per day
+   */
+  collapseByDate(rows) {
+    const byDate = new Map();
+
+    rows.forEach(row => {
+      const market = row.market != null ? parseFloat(row.market) : null;
+      if (market == null) return;
+
+      const existing = byDate.get(row.recorded_on);
+      if (!existing || market > existing.market) {
+        byDate.set(row.recorded_on, {
+          date: row.recorded_on,
+          market,
+          low: row.low != null ? parseFloat(row.low) : null,
+          high: row.high != null ? parseFloat(row.high) : null,
+          source: row.source,
+          variant: row.variant || null
+        });
+      }
+    });
+
+    return Array.from(byDate.values());
+  }
+
+  /**
+   * Summarize a price series
+   * @param {Array} points - Points returned by getPriceHistory
+   * @returns {Object|null} { min, max, average, current, first, change, changePercent }
+   */
+  summarize(points) {
+    if (!points || points.length === 0) return null;
+
+    const prices = points.map(point => point.market);
+    const first = prices[0];
+    const current = prices[prices.length - 1];
+
+    return {
+      min: Math.min(...prices),
+      max: Math.max(...prices),
+      average: prices.reduce((sum, price) => sum + price, 0) / prices.length,
+      current,
+      first,
+      change: current - first,
+      changePercent: first > 0 ? ((current - first) / first) * 100 : 0
+    };
+  }
+
+  /**
+   * Append today's price points for TCGCSV sealed products
+   * @param {Array} products - Rows as upserted into pokemon_sealed_products
+   * @returns {Promise<number>} Number of points recorded
+   */
+  async recordSealedPrices(products) {
+    const recordedOn = new Date().toISOString().split('T')[0];
+
+    const points = (products || [])
+      .filter(product => product.market_price != null || product.low_price != null)
+      .map(product => ({
+        product_type: 'sealed',
+        product_id: String(product.product_id),
+        source: 'tcgcsv',
+        price_type: 'market',
+        variant: product.sub_type_name || '',
+        currency: 'USD',
+        market: product.market_price,
+        low: product.low_price,
+        mid: product.mid_price,
+        high: product.high_price,
+        recorded_on: recordedOn
+      }));
+
+    if (points.length === 0) return 0;
+
+    const { error } = await supabase
+      .from('price_history')
+      .upsert(points, { onConflict: HISTORY_CONFLICT_COLUMNS });
+
+    if (error) {
+      console.warn('Failed to record sealed price history:', error);
+      return 0;
+    }
+
+    apiCacheService.clearByType('price_history');
+    return points.length;
+  }
+}
+
+// Create and export singleton instance
+const priceHistoryService = new PriceHistoryService();
+export default priceHistoryService;
@@ -0,0 +1,100 @@
+/**
+ * Price Reconciliation Service
+ * Admin review of prices the pricing syncs flagged (price_flags) and the thresholds they use
+ * Pending flags from the valuation source keep the product at its previous price until confirmed
+ */
+
+import { supabase } from '../lib/supabaseClient';
+import { DEFAULT_RECONCILIATION_SETTINGS } from '../utils/priceReconciliation';
+
+class PriceReconciliationService {
+  /**
+   * Get the flag thresholds
+   * @returns {Promise<Object>} { band_percent, jump_percent, min_price }
+   */
+  async getSettings() {
+    const { data, error } = await supabase
+      .from('price_reconciliation_settings')
+      .select('band_percent, jump_percent, min_price')
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error fetching price reconciliation settings:', error);
+      throw error;
+    }
+
+    return { ...DEFAULT_RECONCILIATION_SETTINGS, ...data };
+  }
+
+  /**
+   * Save the flag thresholds
+   * Goes through the admin-actions function, which checks the caller is an admin
+   * @param {Object} settings - { band_percent, jump_percent, min_price }
+   * @returns {Promise<Object>} Saved settings
+   */
+  async updateSettings(settings) {
+    const { data, error } = await supabase.functions.invoke('admin-actions?action=update-reconciliation-settings', {
+      method: 'POST',
+      body: {
+        band_percent: settings.band_percent,
+        jump_percent: settings.jump_percent,
+        min_price: settings.min_price
+      }
+    });
+
+    if (error) {
+      console.error('Error saving price reconciliation settings:', error);
+      throw error;
+    }
+
+    return data?.data;
+  }
+
+  /**
+   * Get flagged prices, newest first
+   * @param {string} status - 'pending', 'confirmed' or 'rejected'
+   * @param {number} limit - Maximum number of flags
+   * @returns {Promise<Array>} Flags with product_name, expansion_name and image_url
+   */
+  async getFlags(status = 'pending', limit = 50) {
+    const { data, error } = await supabase
+      .from('price_flag_queue')
+      .select('*')
+      .eq('status', status)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      console.error('Error fetching price flags:', error);
+      throw error;
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Confirm or reject a flagged price
+   * Confirming releases the price into collection values; goes through the admin-actions function
+   * @param {number} flagId - Flag ID
+   * @param {string} decision - 'confirmed' or 'rejected'
+   * @param {string} note - Optional review note
+   * @returns {Promise<Object>} The reviewed flag
+   */
+  async reviewFlag(flagId, decision, note = null) {
+    const { data, error } = await supabase.functions.invoke('admin-actions?action=review-price-flag', {
+      method: 'POST',
+      body: { flagId, decision, note }
+    });
+
+    if (error) {
+      console.error('Error reviewing price flag:', error);
+      throw error;
+    }
+
+    return data?.data;
+  }
+}
+
+// Create and export singleton instance
+const priceReconciliationService = new PriceReconciliationService();
+export default priceReconciliationService;
@@ -0,0 +1,316 @@
+/**
+ * Pricing Resolver Service
+ * One place that answers "what is this product worth": pricing providers are registered per id and
+ * tried in the user's priority for the product kind (user_preferences.pricing_provider_priority).
+ * A provider that misses, errors or returns a stale price hands over to the next one; a stale price
+ * is only used when no provider has a fresh one. Every resolved price is tagged with its source,
+ * fetched-at time and confidence
+ */
+
+import { supabase } from '../lib/supabaseClient';
+import databasePricingService from './databasePricingService';
+import realTimePricingService from './realTimePricingService';
+import tcgcsvService from './tcgcsvService';
+import priceChartingApiService from './priceChartingApiService';
+import tcggoSealedPricingService from './tcggoSealedPricingService';
+import { getGradedPrice } from '../utils/cardCondition';
+import {
+  getPriceConfidence,
+  getPricingProvider,
+  isPriceStale,
+  normalizeProviderPriority
+} from '../utils/pricingProviders';
+
+/**
+ * Pick the graded price of a company and grade from a card's pricing
+ * @param {Object} graded - Graded pricing ({ market, low, mid, high, company, grade })
+ * @param {Object} product - { company, grade }
+ * @returns {Object|null} Graded pricing, or null when it is for another grade
+ */
+const matchGradedPricing = (graded, product) => {
+  if (!graded?.market) return null;
+  if (!product.company) return graded;
+
+  const sameGrade = String(graded.company || '').toUpperCase() === product.company.toUpperCase()
+    && Number(graded.grade) === Number(product.grade);
+  return sameGrade ? graded : null;
+};
+
+/**
+ * Built-in providers
+ * Each takes (product, kind) and returns a quote { market, low, mid, high, currency, fetchedAt, matchedByName }
+ * in major units, or null on a miss. product: { id, name, setName, variant, company, grade, pricechartingId, tcggoId }
+ */
+const BUILT_IN_PROVIDERS = {
+  // Prices synced onto pokemon_cards
+  scrydex: async (product, kind) => {
+    if (kind === 'graded') {
+      const { data, error } = await supabase
+        .from('pokemon_cards')
+        .select('variants, graded_market, graded_low, graded_mid, graded_high, graded_company, graded_grade, graded_currency, updated_at')
+        .eq('id', product.id)
+        .maybeSingle();
+      if (error) throw error;
+      if (!data) return null;
+
+      const gradedCents = getGradedPrice(data.variants, product.variant, product.company, product.grade);
+      if (gradedCents) {
+        return { market: gradedCents / 100, currency: 'USD', fetchedAt: data.updated_at };
+      }
+
+      const graded = matchGradedPricing({
+        market: data.graded_market,
+        low: data.graded_low,
+        mid: data.graded_mid,
+        high: data.graded_high,
+        company: data.graded_company,
+        grade: data.graded_grade
+      }, product);
+      return graded && { ...graded, currency: data.graded_currency || 'USD', fetchedAt: data.updated_at };
+    }
+
+    const pricing = await databasePricingService.getCardPricing(product.id);
+    const market = pricing?.raw?.market || pricing?.basic?.market;
+    if (!market) return null;
+
+    return {
+      market,
+      low: pricing.raw?.market ? pricing.raw.low : pricing.basic.low,
+      mid: pricing.basic?.mid,
+      high: pricing.basic?.high,
+      currency: pricing.raw?.currency || 'USD',
+      fetchedAt: pricing.lastUpdated
+    };
+  },
+
+  // On-demand Scrydex lookup (also writes the fresh price back to pokemon_cards)
+  'scrydex-live': async (product, kind) => {
+    const pricing = await realTimePricingService.fetchRealTimePricing(product.id);
+    if (!pricing) return null;
+
+    const quote = kind === 'graded' ? matchGradedPricing(pricing.graded, product) : pricing.raw;
+    if (!quote?.market) return null;
+
+    return {
+      market: quote.market,
+      low: quote.low,
+      mid: quote.mid,
+      high: quote.high,
+      currency: quote.currency || 'USD',
+      fetchedAt: pricing.lastUpdated
+    };
+  },
+
+  // TCGplayer prices: sealed products from pokemon_sealed_products, singles looked up by name
+  tcgcsv: async (product, kind) => {
+    if (kind === 'sealed') {
+      const { data, error } = await supabase
+        .from('pokemon_sealed_products')
+        .select('market_price, low_price, mid_price, high_price, last_synced_at')
+        .eq('product_id', product.id)
+        .maybeSingle();
+      if (error) throw error;
+      if (!data?.market_price) return null;
+
+      return {
+        market: Number(data.market_price),
+        low: data.low_price,
+        mid: data.mid_price,
+        high: data.high_price,
+        currency: 'USD',
+        fetchedAt: data.last_synced_at
+      };
+    }
+
+    if (!product.name) return null;
+    const pricing = await tcgcsvService.getPricingByName(product.name, product.setName);
+    if (!pricing?.marketPrice) return null;
+
+    return {
+      market: pricing.marketPrice,
+      low: pricing.lowPrice,
+      mid: pricing.midPrice,
+      high: pricing.highPrice,
+      currency: 'USD',
+      fetchedAt: pricing.lastUpdated,
+      matchedByName: true
+    };
+  },
+
+  pricecharting: async (product) => {
+    if (!product.pricechartingId) return null;
+    if (!(await priceChartingApiService.initialize())) return null;
+
+    const pricing = priceChartingApiService.formatProductData(
+      await priceChartingApiService.getProductPricing(product.pricechartingId)
+    );
+    if (!pricing.market_price_best) return null;
+
+    return {
+      market: pricing.market_price_best,
+      low: pricing.low_price || null,
+      mid: pricing.mid_price || null,
+      high: pricing.high_price || null,
+      currency: 'USD',
+      fetchedAt: new Date().toISOString()
+    };
+  },
+
+  tcggo: async (product) => {
+    if (!product.tcggoId) return null;
+    if (!(await tcggoSealedPricingService.initialize())) return null;
+
+    const pricing = await tcggoSealedPricingService.getProductPricing(product.tcggoId);
+    if (!pricing?.market) return null;
+
+    return {
+      market: pricing.market,
+      low: pricing.low,
+      mid: pricing.mid,
+      high: pricing.high,
+      currency: 'USD',
+      fetchedAt: new Date().toISOString()
+    };
+  }
+};
+
+class PricingResolverService {
+  constructor() {
+    this.providers = new Map();
+    this.priority = null;
+
+    Object.entries(BUILT_IN_PROVIDERS).forEach(([id, fetcher]) => this.registerProvider(id, fetcher));
+  }
+
+  /**
+   * Register (or replace) a pricing provider
+   * Providers also need an entry in PRICING_PROVIDERS for their name, kinds, max age and confidence
+   * @param {string} providerId - Provider id
+   * @param {Function} fetcher - async (product, kind) => quote or null
+   */
+  registerProvider(providerId, fetcher) {
+    this.providers.set(providerId, fetcher);
+  }
+
+  /**
+   * Get the signed-in user's provider priority
+   * @returns {Promise<Object>} { [kind]: [providerId] }
+   */
+  async getPriority() {
+    if (this.priority) return this.priority;
+
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) return normalizeProviderPriority(null);
+
+    const { data, error } = await supabase
+      .from('user_preferences')
+      .select('pricing_provider_priority')
+      .eq('user_id', user.id)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error fetching pricing provider priority:', error);
+      throw error;
+    }
+
+    this.priority = normalizeProviderPriority(data?.pricing_provider_priority);
+    return this.priority;
+  }
+
+  /**
+   * Save the signed-in user's provider priority
+   * @param {Object} priority - { [kind]: [providerId] }, in the order to try them
+   * @returns {Promise<Object>} The saved (normalized) priority
+   */
+  async setPriority(priority) {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) {
+      throw new Error('User not authenticated');
+    }
+
+    const normalized = normalizeProviderPriority(priority);
+    const { error } = await supabase
+      .from('user_preferences')
+      .upsert({
+        user_id: user.id,
+        pricing_provider_priority: normalized,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'user_id' });
+
+    if (error) {
+      console.error('Error saving pricing provider priority:', error);
+      throw error;
+    }
+
+    this.priority = normalized;
+    return normalized;
+  }
+
+  /**
+   * Resolve a product's price
+   * @param {Object} product - { id, name, setName, variant, company, grade, pricechartingId, tcggoId }
+   * @param {string} kind - 'single', 'graded' or 'sealed'
+   * @param {Object} options - { providers: provider ids overriding the user's priority, allowStale: default true }
+   * @returns {Promise<Object|null>} { market, low, mid, high, currency, source, fetchedAt, stale, confidence, attempts },
+   *   or null when no provider has a price
+   */
+  async resolvePrice(product, kind, options = {}) {
+    if (!product?.id && !product?.name) return null;
+
+    const { allowStale = true } = options;
+    const providerIds = options.providers || (await this.getPriority())[kind] || [];
+    const attempts = [];
+    let staleCandidate = null;
+
+    for (const providerId of providerIds) {
+      const fetcher = this.providers.get(providerId);
+      if (!fetcher || !getPricingProvider(providerId)?.kinds.includes(kind)) continue;
+
+      let quote;
+      try {
+        quote = await fetcher(product, kind);
+      } catch (error) {
+        console.warn(`Pricing provider ${providerId} failed:`, error);
+        attempts.push({ source: providerId, outcome: 'error', message: error.message });
+        continue;
+      }
+
+      if (!quote?.market) {
+        attempts.push({ source: providerId, outcome: 'miss' });
+        continue;
+      }
+
+      const stale = isPriceStale(providerId, quote.fetchedAt);
+      const price = {
+        market: Number(quote.market),
+        low: quote.low != null ? Number(quote.low) : null,
+        mid: quote.mid != null ? Number(quote.mid) : null,
+        high: quote.high != null ? Number(quote.high) : null,
+        currency: quote.currency || 'USD',
+        source: providerId,
+        fetchedAt: quote.fetchedAt || null,
+        stale,
+        confidence: getPriceConfidence(providerId, { stale, matchedByName: quote.matchedByName })
+      };
+
+      if (!stale) {
+        attempts.push({ source: providerId, outcome: 'used' });
+        return { ...price, attempts };
+      }
+
+      attempts.push({ source: providerId, outcome: 'stale' });
+      staleCandidate = staleCandidate || price;
+    }
+
+    if (!staleCandidate || !allowStale) return null;
+
+    return {
+      ...staleCandidate,
+      attempts: attempts.map(attempt => attempt.source === staleCandidate.source ? { ...attempt, outcome: 'used' } : attempt)
+    };
+  }
+}
+
+// Create and export singleton instance
+const pricingResolverService = new PricingResolverService();
+export default pricingResolverService;
@@ -9,7 +9,6 @@ import { supabase } from '../lib/supabaseClient';
 class RealTimePricingService {
   constructor() {
     this.isInitialized = false;
-    this.rateLimitDelay = 300; // 300ms between requests
     this.lastRequestTime = 0;
   }
 
@@ -38,37 +37,25 @@ class RealTimePricingService {
     }
   }
 
-  /**
-   * Rate limiting helper
-   */
-  async respectRateLimit() {
-    const now = Date.now();
-    const timeSinceLastRequest = now - this.lastRequestTime;
-    
-    if (timeSinceLastRequest < this.rateLimitDelay) {
-      const delay = this.rateLimitDelay - timeSinceLastRequest;
-      await new Promise(resolve => setTimeout(resolve, delay));
-    }
-    
-    this.lastRequestTime = Date.now();
-  }
-
   /**
    * Fetch real-time pricing from Scrydex API
+   * Requests are paced by the server-side quota governor; background ones yield to interactive lookups
    * @param {string} apiId - Card API ID
+   * @param {Object} options - { priority: 'interactive' (default) or 'background' }
    * @returns {Object|null} Fresh pricing data
    */
-  async fetchRealTimePricing(apiId) {
+  async fetchRealTimePricing(apiId, options = {}) {
     if (!this.isInitialized) {
       await this.initialize();
     }
 
-    await this.respectRateLimit();
+    const { priority = 'interactive' } = options;
+    this.lastRequestTime = Date.now();
 
     try {
       
       // Call Scrydex API through our backend
-      const { data, error } = await supabase.functions.invoke('scrydex-api', {
+      const { data, error } = await supabase.functions.invoke(`scrydex-api?priority=${priority}`, {
         body: {
           endpoint: 'card-pricing',
           cardId: apiId
@@ -213,12 +200,12 @@ class RealTimePricingService {
     const results = {};
 
 
-    // Process in batches to respect rate limits
+    // Process in batches; bulk refreshes are background work for the quota governor
     for (let i = 0; i < apiIds.length; i += maxConcurrent) {
       const batch = apiIds.slice(i, i + maxConcurrent);
       
       const batchPromises = batch.map(async (apiId) => {
-        const pricing = await this.fetchRealTimePricing(apiId);
+        const pricing = await this.fetchRealTimePricing(apiId, { priority: 'background' });
         return { apiId, pricing };
       });
 
@@ -228,11 +215,6 @@ class RealTimePricingService {
           results[apiId] = pricing;
         }
       });
-
-      // Small delay between batches
-      if (i + maxConcurrent < apiIds.length) {
-        await new Promise(resolve => setTimeout(resolve, 500));
-      }
     }
 
     return results;
@@ -288,7 +270,6 @@ class RealTimePricingService {
   getStats() {
     return {
       isInitialized: this.isInitialized,
-      rateLimitDelay: this.rateLimitDelay,
       lastRequestTime: this.lastRequestTime
     };
   }
@@ -0,0 +1,277 @@
+/**
+ * Shipment Service
+ * Inbound and outbound package tracking linked to orders
+ * Inbound shipments carry purchase groups (order_group_id), outbound shipments carry sale records
+ */
+
+import { supabase } from '../lib/supabaseClient';
+import { toSaleRecord } from '../utils/saleHistoryManager';
+
+class ShipmentService {
+  /**
+   * Get the current user's shipments with their linked orders and status timeline
+   * @returns {Promise<Array>} Shipments, newest first, events oldest first
+   */
+  async getShipments() {
+    const { data, error } = await supabase
+      .from('shipments')
+      .select('*, shipment_orders(*), shipment_events(*)')
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('Error fetching shipments:', error);
+      throw error;
+    }
+
+    return (data || []).map(shipment => ({
+      ...shipment,
+      shipment_orders: shipment.shipment_orders || [],
+      shipment_events: (shipment.shipment_events || [])
+        .sort((a, b) => new Date(a.occurred_at) - new Date(b.occurred_at))
+    }));
+  }
+
+  /**
+   * Create a shipment, link it to orders and start its timeline
+   * @param {Object} shipment - { direction, carrier, tracking_number, status, shipped_date, expected_date, cost_cents, notes }
+   * @param {Array} links - [{ order_group_id }] for inbound, [{ order_id, sale_id }] for outbound
+   * @returns {Promise<Object>} The created shipment
+   */
+  async createShipment(shipment, links = []) {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) {
+      throw new Error('User not authenticated');
+    }
+
+    const { data: created, error } = await supabase
+      .from('shipments')
+      .insert({
+        ...shipment,
+        user_id: user.id,
+        status: shipment.status || 'pending'
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error creating shipment:', error);
+      throw error;
+    }
+
+    if (links.length > 0) {
+      const { error: linkError } = await supabase
+        .from('shipment_orders')
+        .insert(links.map(link => ({ ...link, shipment_id: created.id })));
+
+      if (linkError) {
+        console.error('Error linking shipment orders:', linkError);
+        throw linkError;
+      }
+    }
+
+    await this.addEvent(created.id, created.status, { description: 'Shipment created' });
+
+    return created;
+  }
+
+  /**
+   * Update shipment details (carrier, tracking, dates, cost, notes)
+   * @param {string} shipmentId - Shipment ID
+   * @param {Object} updates - Columns to update
+   * @returns {Promise<Object>} The updated shipment
+   */
+  async updateShipment(shipmentId, updates) {
+    const { data, error } = await supabase
+      .from('shipments')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', shipmentId)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error updating shipment:', error);
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Move a shipment to a new status and record it on the timeline
+   * @param {string} shipmentId - Shipment ID
+   * @param {string} status - New status
+   * @param {Object} details - { description, location, occurredAt }
+   * @returns {Promise<Object>} The updated shipment
+   */
+  async updateShipmentStatus(shipmentId, status, details = {}) {
+    const occurredAt = details.occurredAt || new Date().toISOString();
+    const updates = { status };
+
+    if (status === 'delivered') {
+      updates.delivered_date = occurredAt.split('T')[0];
+    } else if (status === 'in_transit' && details.shippedDate) {
+      updates.shipped_date = details.shippedDate;
+    }
+
+    const updated = await this.updateShipment(shipmentId, updates);
+    await this.addEvent(shipmentId, status, { ...details, occurredAt });
+
+    return updated;
+  }
+
+  /**
+   * Append an event to a shipment's timeline
+   * @param {string} shipmentId - Shipment ID
+   * @param {string} status - Status at the time of the event
+   * @param {Object} details - { description, location, occurredAt }
+   */
+  async addEvent(shipmentId, status, details = {}) {
+    const { error } = await supabase
+      .from('shipment_events')
+      .insert({
+        shipment_id: shipmentId,
+        status,
+        description: details.description || null,
+        location: details.location || null,
+        occurred_at: details.occurredAt || new Date().toISOString()
+      });
+
+    if (error) {
+      console.error('Error adding shipment event:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a shipment (links and events cascade)
+   * @param {string} shipmentId - Shipment ID
+   */
+  async deleteShipment(shipmentId) {
+    const { error } = await supabase
+      .from('shipments')
+      .delete()
+      .eq('id', shipmentId);
+
+    if (error) {
+      console.error('Error deleting shipment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get allocated inbound shipping cost and in-transit state per order
+   * @returns {Promise<Object>} { [orderId]: { shipping_cost_cents, in_transit } }
+   */
+  async getOrderShippingCosts() {
+    const { data, error } = await supabase
+      .from('order_shipping_costs')
+      .select('order_id, shipping_cost_cents, in_transit');
+
+    if (error) {
+      console.error('Error fetching order shipping costs:', error);
+      throw error;
+    }
+
+    const byOrderId = {};
+    (data || []).forEach(row => {
+      byOrderId[row.order_id] = {
+        shipping_cost_cents: row.shipping_cost_cents || 0,
+        in_transit: !!row.in_transit
+      };
+    });
+    return byOrderId;
+  }
+
+  /**
+   * Merge allocated shipping cost and in-transit state into orders
+   * @param {Array} orders - Rows from individual_orders_clean
+   * @returns {Promise<Array>} Orders with shipping_cost_cents and in_transit
+   */
+  async withShippingCosts(orders) {
+    let costs = {};
+    try {
+      costs = await this.getOrderShippingCosts();
+    } catch {
+      // Shipping data is additive - fall back to purchase price only
+      costs = {};
+    }
+
+    return (orders || []).map(order => ({
+      ...order,
+      shipping_cost_cents: costs[order.id]?.shipping_cost_cents || 0,
+      in_transit: costs[order.id]?.in_transit || false
+    }));
+  }
+
+  /**
+   * Get the purchase groups and sale records a shipment can be linked to
+   * @returns {Promise<Object>} { purchaseGroups: [...], saleRecords: [...] }
+   */
+  async getLinkableOrders() {
+    const { data: orders, error } = await supabase
+      .from('individual_orders_clean')
+      .select('id, order_group_id, item_name, set_name, quantity, quantity_sold, purchase_date, retailer_name, total_cost_cents')
+      .order('purchase_date', { ascending: false });
+
+    if (error) {
+      console.error('Error fetching orders for shipments:', error);
+      throw error;
+    }
+
+    const { data: saleRows, error: saleError } = await supabase
+      .from('sales')
+      .select('*');
+
+    if (saleError) {
+      console.error('Error fetching sale records for shipments:', saleError);
+      throw saleError;
+    }
+
+    // One entry per purchase group
+    const groups = new Map();
+    (orders || []).forEach(order => {
+      const key = order.order_group_id || order.id;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          order_group_id: order.order_group_id,
+          purchase_date: order.purchase_date,
+          retailer_name: order.retailer_name,
+          total_cost_cents: 0,
+          item_count: 0,
+          item_names: []
+        });
+      }
+      const group = groups.get(key);
+      group.total_cost_cents += order.total_cost_cents || 0;
+      group.item_count += order.quantity || 0;
+      group.item_names.push(order.item_name);
+    });
+
+    // One entry per sale record
+    const ordersById = new Map((orders || []).map(order => [order.id, order]));
+    const saleRecords = [];
+    (saleRows || []).forEach(row => {
+      const order = ordersById.get(row.order_id);
+      if (!order) return;
+      const sale = toSaleRecord(row);
+      saleRecords.push({
+        order_id: row.order_id,
+        sale_id: sale.id,
+        item_name: order.item_name,
+        set_name: order.set_name,
+        quantity: sale.quantity,
+        sale_date: sale.saleDate,
+        sale_location: sale.saleLocation
+      });
+    });
+
+    return {
+      purchaseGroups: Array.from(groups.values()).filter(group => group.order_group_id),
+      saleRecords: saleRecords.sort((a, b) => new Date(b.sale_date) - new Date(a.sale_date))
+    };
+  }
+}
+
+// Create and export singleton instance
+const shipmentService = new ShipmentService();
+export default shipmentService;
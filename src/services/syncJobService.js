@@ -0,0 +1,276 @@
+/**
+ * Sync Job Service
+ * Records sync runs in sync_jobs and runs them with checkpoints
+ * Browser workers register a handler per job type; a handler works through its units (sets, pages),
+ * calling save() after each so progress survives a reload and cancellation reaches the worker.
+ * Jobs whose worker disappeared are claimed again by resumeJobs() and continue from their checkpoint
+ */
+
+import { supabase } from '../lib/supabaseClient';
+import { appendSyncJobError } from '../utils/syncJobs';
+
+// Postgres unique_violation - another job for the same sync_key is queued or running
+const ACTIVE_JOB_CONFLICT_CODE = '23505';
+
+// How often a worker heartbeats while a unit of work runs
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+
+class SyncJobService {
+  constructor() {
+    this.workerId = `browser:${crypto.randomUUID()}`;
+    this.handlers = new Map();
+    this.runningJobIds = new Set();
+  }
+
+  /**
+   * Register the browser worker for a job type
+   * @param {string} jobType - sync_jobs.job_type
+   * @param {Function} handler - async ({ job, params, checkpoint, save }) => result
+   */
+  registerHandler(jobType, handler) {
+    this.handlers.set(jobType, handler);
+  }
+
+  /**
+   * Get recent jobs, newest first
+   * @param {number} limit - Maximum number of jobs
+   * @returns {Promise<Array>} Jobs
+   */
+  async getJobs(limit = 20) {
+    const { data, error } = await supabase
+      .from('sync_jobs')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      console.error('Error fetching sync jobs:', error);
+      throw error;
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Queue a sync run
+   * @param {string} jobType - Worker that runs it
+   * @param {string} syncKey - What is synced (one active job per key)
+   * @param {Object} params - Worker parameters, e.g. { mode: 'recent' }
+   * @returns {Promise<Object>} The queued job
+   */
+  async createJob(jobType, syncKey, params = {}) {
+    const { data: { user } } = await supabase.auth.getUser();
+
+    const { data, error } = await supabase
+      .from('sync_jobs')
+      .insert({
+        job_type: jobType,
+        sync_key: syncKey,
+        params,
+        created_by: user?.id || null
+      })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === ACTIVE_JOB_CONFLICT_CODE) {
+        throw new Error('Sync already in progress');
+      }
+      console.error('Error creating sync job:', error);
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Ask a job to stop
+   * Queued jobs are cancelled right away; running ones stop at their worker's next checkpoint
+   * @param {string} jobId - Job ID
+   */
+  async cancelJob(jobId) {
+    const { error } = await supabase
+      .from('sync_jobs')
+      .update({ cancel_requested: true, updated_at: new Date().toISOString() })
+      .eq('id', jobId)
+      .in('status', ['queued', 'running']);
+
+    if (error) {
+      console.error('Error cancelling sync job:', error);
+      throw error;
+    }
+
+    const { error: queuedError } = await supabase
+      .from('sync_jobs')
+      .update({
+        status: 'cancelled',
+        message: 'Sync stopped by user',
+        finished_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', jobId)
+      .eq('status', 'queued');
+
+    if (queuedError) {
+      console.error('Error cancelling sync job:', queuedError);
+      throw queuedError;
+    }
+  }
+
+  /**
+   * Claim a job for this browser
+   * Goes through the admin-actions function, which checks the caller is an admin
+   * @param {string|null} jobId - Job to claim, or null for the oldest claimable job of jobTypes
+   * @param {Array<string>|null} jobTypes - Job types this worker runs
+   * @returns {Promise<Object|null>} The claimed job, or null when it is taken or finished
+   */
+  async claimJob(jobId = null, jobTypes = null) {
+    const { data, error } = await supabase.functions.invoke('admin-actions?action=claim-sync-job', {
+      method: 'POST',
+      body: { workerId: this.workerId, jobId, jobTypes }
+    });
+
+    if (error) {
+      console.error('Error claiming sync job:', error);
+      throw error;
+    }
+
+    return data?.data?.id ? data.data : null;
+  }
+
+  /**
+   * Update a job this browser holds
+   * @param {string} jobId - Job ID
+   * @param {Object} fields - Columns to set
+   * @returns {Promise<Object|null>} The updated job, or null when another worker took it over
+   */
+  async updateHeldJob(jobId, fields) {
+    const { data, error } = await supabase
+      .from('sync_jobs')
+      .update({ ...fields, heartbeat_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+      .eq('id', jobId)
+      .eq('worker_id', this.workerId)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error updating sync job:', error);
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Claim and run a job with its registered handler
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} The finished job, or null when it could not be claimed
+   */
+  async runJob(jobId) {
+    if (this.runningJobIds.has(jobId)) return null;
+
+    const job = await this.claimJob(jobId);
+    if (!job) return null;
+    return this.executeJob(job);
+  }
+
+  /**
+   * Run a claimed job until it finishes, fails, is cancelled or is taken over
+   * @param {Object} job - Claimed job
+   * @returns {Promise<Object|null>} The finished job
+   */
+  async executeJob(job) {
+    const handler = this.handlers.get(job.job_type);
+    if (!handler) {
+      return this.updateHeldJob(job.id, {
+        status: 'failed',
+        message: `No worker for ${job.job_type} jobs`,
+        finished_at: new Date().toISOString()
+      });
+    }
+
+    this.runningJobIds.add(job.id);
+    let current = job;
+    let stopReason = null;
+
+    const heartbeat = setInterval(() => {
+      this.updateHeldJob(job.id, {}).catch(() => {});
+    }, HEARTBEAT_INTERVAL_MS);
+
+    // Save progress and learn whether to keep going
+    const save = async ({ checkpoint, progressCurrent, progressTotal, counts, message, error } = {}) => {
+      const fields = {};
+      if (checkpoint !== undefined) fields.checkpoint = checkpoint;
+      if (progressCurrent !== undefined) fields.progress_current = progressCurrent;
+      if (progressTotal !== undefined) fields.progress_total = progressTotal;
+      if (counts !== undefined) fields.counts = counts;
+      if (message !== undefined) fields.message = message;
+      if (error) fields.errors = appendSyncJobError(current.errors, error);
+
+      const updated = await this.updateHeldJob(job.id, fields);
+      if (!updated) {
+        stopReason = 'lost';
+        return false;
+      }
+      current = updated;
+      if (updated.cancel_requested) {
+        stopReason = 'cancelled';
+        return false;
+      }
+      return true;
+    };
+
+    try {
+      const result = await handler({
+        job,
+        params: job.params || {},
+        checkpoint: job.checkpoint,
+        save
+      });
+
+      if (stopReason === 'lost') return null;
+
+      return await this.updateHeldJob(job.id, stopReason === 'cancelled'
+        ? { status: 'cancelled', message: 'Sync stopped by user', finished_at: new Date().toISOString() }
+        : {
+          status: 'completed',
+          result: result || null,
+          message: result?.message || 'Sync complete',
+          finished_at: new Date().toISOString()
+        });
+    } catch (error) {
+      console.error(`Error running ${job.job_type} sync job:`, error);
+      return this.updateHeldJob(job.id, {
+        status: 'failed',
+        message: error.message,
+        errors: appendSyncJobError(current.errors, error.message),
+        finished_at: new Date().toISOString()
+      });
+    } finally {
+      clearInterval(heartbeat);
+      this.runningJobIds.delete(job.id);
+    }
+  }
+
+  /**
+   * Pick up queued jobs and jobs whose worker stopped, for every registered job type
+   * Each continues from its checkpoint
+   * @returns {Promise<Array>} Jobs that were run
+   */
+  async resumeJobs() {
+    const jobTypes = [...this.handlers.keys()];
+    if (jobTypes.length === 0) return [];
+
+    const finished = [];
+    let job = await this.claimJob(null, jobTypes);
+    while (job) {
+      finished.push(await this.executeJob(job));
+      job = await this.claimJob(null, jobTypes);
+    }
+    return finished.filter(Boolean);
+  }
+}
+
+// Create and export singleton instance
+const syncJobService = new SyncJobService();
+export default syncJobService;
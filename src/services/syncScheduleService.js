@@ -0,0 +1,95 @@
+/**
+ * Sync Schedule Service
+ * Reads and edits sync_schedules, the server-side cadence of catalog and pricing syncs
+ * The sync-scheduler function queues due schedules every 15 minutes; each run is recorded in sync_schedule_runs
+ */
+
+import { supabase } from '../lib/supabaseClient';
+
+class SyncScheduleService {
+  /**
+   * Get all schedules
+   * @returns {Promise<Array>} Schedules, soonest first
+   */
+  async getSchedules() {
+    const { data, error } = await supabase
+      .from('sync_schedules')
+      .select('*')
+      .order('next_run_at', { ascending: true, nullsFirst: false });
+
+    if (error) {
+      console.error('Error fetching sync schedules:', error);
+      throw error;
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Update a schedule's cadence or enable/disable it
+   * next_run_at is recalculated by the database when the cadence changes or the schedule is re-enabled
+   * Goes through the admin-actions function, which checks the caller is an admin
+   * @param {string} scheduleId - Schedule ID
+   * @param {Object} updates - { enabled, frequency, interval_hours, run_at, weekday }
+   * @returns {Promise<Object>} Updated schedule
+   */
+  async updateSchedule(scheduleId, updates) {
+    const { data, error } = await supabase.functions.invoke('admin-actions?action=update-sync-schedule', {
+      method: 'POST',
+      body: { scheduleId, updates }
+    });
+
+    if (error) {
+      console.error('Error updating sync schedule:', error);
+      throw error;
+    }
+
+    return data?.data;
+  }
+
+  /**
+   * Get recent schedule runs, newest first
+   * @param {number} limit - Maximum number of runs
+   * @returns {Promise<Array>} Runs with their schedule name
+   */
+  async getRuns(limit = 20) {
+    const { data, error } = await supabase
+      .from('sync_schedule_runs')
+      .select('*, sync_schedules(name)')
+      .order('started_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      console.error('Error fetching sync schedule runs:', error);
+      throw error;
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Run a schedule now, outside its cadence
+   * Skipped like a scheduled run when its previous job is still going
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Promise<Object>} Scheduler response
+   */
+  async runNow(scheduleId) {
+    const { data, error } = await supabase.functions.invoke(`sync-scheduler?scheduleId=${encodeURIComponent(scheduleId)}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+
+    if (error) {
+      console.error('Error running sync schedule:', error);
+      throw error;
+    }
+
+    return data;
+  }
+}
+
+// Create and export singleton instance
+const syncScheduleService = new SyncScheduleService();
+export default syncScheduleService;
@@ -0,0 +1,142 @@
+/**
+ * Tax Lot Service
+ * Matches sales to purchase lots (FIFO, LIFO, highest cost or specific ID) and records
+ * the sale against every consumed lot in one transaction via the record_lot_sale RPC
+ * Each lot carries the order version it was loaded at, so a lot changed elsewhere in the meantime
+ * fails the whole sale with a conflict (see isSaleConflictError)
+ */
+
+import { supabase } from '../lib/supabaseClient';
+import { LOT_METHODS, DEFAULT_LOT_METHOD, getOpenLots, allocateSaleToLots } from '../utils/taxLots';
+import marketplaceService from './marketplaceService';
+import shipmentService from './shipmentService';
+import orderLedgerService from './orderLedgerService';
+
+const METHOD_STORAGE_KEY = 'taxLotMethod';
+
+class TaxLotService {
+  /**
+   * Get the user's preferred lot matching method
+   * @returns {string} Key of LOT_METHODS
+   */
+  getPreferredMethod() {
+    try {
+      const stored = localStorage.getItem(METHOD_STORAGE_KEY);
+      return stored && LOT_METHODS[stored] ? stored : DEFAULT_LOT_METHOD;
+    } catch {
+      return DEFAULT_LOT_METHOD;
+    }
+  }
+
+  /**
+   * Save the user's preferred lot matching method
+   * @param {string} method - Key of LOT_METHODS
+   */
+  setPreferredMethod(method) {
+    if (!LOT_METHODS[method]) return;
+    try {
+      localStorage.setItem(METHOD_STORAGE_KEY, method);
+    } catch (error) {
+      console.warn('Could not save lot method preference:', error);
+    }
+  }
+
+  /**
+   * Load the open lots a sale of this order's product can draw from
+   * @param {Object} order - Order the sale was started from
+   * @returns {Promise<Array>} Open lots, oldest first
+   */
+  async getOpenLotsForOrder(order) {
+    let query = supabase.from('individual_orders_clean').select('*');
+    if (order.pokemon_card_id) {
+      query = query.eq('pokemon_card_id', order.pokemon_card_id);
+    } else if (order.item_id) {
+      query = query.eq('item_id', order.item_id);
+    } else {
+      query = query.eq('id', order.id);
+    }
+
+    const { data, error } = await query;
+    if (error) {
+      console.error('Error fetching lots:', error);
+      throw error;
+    }
+
+    const orders = await shipmentService.withShippingCosts(data || []);
+    return getOpenLots(await orderLedgerService.withVersions(orders), order);
+  }
+
+  /**
+   * Work out fees for the whole sale and split it across lots
+   * @param {Object} sale - { quantity, salePriceCents, saleDate, saleLocation, shippingCents, feesCents (optional override) }
+   * @param {Array} lots - Open lots
+   * @param {string} method - Key of LOT_METHODS
+   * @param {Array} selections - For 'specific': [{ orderId, quantity }]
+   * @returns {Promise<Array>} Lot allocations with cost basis, gain and holding period
+   */
+  async allocateSale(sale, lots, method, selections = []) {
+    // Fixed marketplace fees apply once per sale, not once per lot
+    const { feesCents, shippingCents } = await marketplaceService.calculateSale({
+      saleLocation: sale.saleLocation,
+      salePriceCents: sale.salePriceCents,
+      quantity: sale.quantity,
+      shippingCents: sale.shippingCents,
+      feesCents: sale.feesCents
+    });
+
+    return allocateSaleToLots({ ...sale, feesCents, shippingCents }, lots, method, selections);
+  }
+
+  /**
+   * Record a sale against the lots chosen by the matching method
+   * @param {Object} order - Order the sale was started from
+   * @param {Object} sale - { id (optional client sale id), quantity, salePriceCents, saleDate, saleLocation, saleNotes, buyer, currency, shippingCents, feesCents (optional) }
+   * @param {Object} options - { method, selections, lots (skip reloading when already loaded) }
+   * @returns {Promise<Array>} The recorded lot allocations
+   */
+  async recordSale(order, sale, { method = this.getPreferredMethod(), selections = [], lots = null } = {}) {
+    const openLots = lots || await this.getOpenLotsForOrder(order);
+    const allocations = await this.allocateSale(sale, openLots, method, selections);
+    // The sale id is stored on every lot's sale row; recording the same id again fails with 23505
+    const saleGroupId = sale.id || crypto.randomUUID();
+    const versionByOrderId = Object.fromEntries(openLots.map(lot => [lot.orderId, lot.order.version ?? null]));
+
+    const { error } = await supabase.rpc('record_lot_sale', {
+      p_allocations: allocations.map(allocation => ({
+        order_id: allocation.orderId,
+        quantity: allocation.quantity,
+        fees_cents: allocation.feesCents,
+        shipping_cents: allocation.shippingCents,
+        expected_version: versionByOrderId[allocation.orderId],
+        lot: {
+          saleGroupId,
+          method,
+          acquiredDate: allocation.acquiredDate,
+          unitCostCents: allocation.unitCostCents,
+          costBasisCents: allocation.costBasisCents,
+          realizedGainCents: allocation.realizedGainCents,
+          holdDays: allocation.holdDays,
+          term: allocation.term
+        }
+      })),
+      p_sell_date: sale.saleDate,
+      p_sell_price_cents: sale.salePriceCents,
+      p_sell_location: sale.saleLocation || null,
+      p_sell_notes: sale.saleNotes || null,
+      p_buyer: sale.buyer || null,
+      p_currency: sale.currency || null,
+      p_sale_id: saleGroupId
+    });
+
+    if (error) {
+      console.error('Error recording lot sale:', error);
+      throw error;
+    }
+
+    return allocations;
+  }
+}
+
+// Create and export singleton instance
+const taxLotService = new TaxLotService();
+export default taxLotService;
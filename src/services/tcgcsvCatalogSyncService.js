@@ -0,0 +1,312 @@
+/**
+ * TCGCSV Catalog Sync Service
+ * Imports any gamesConfig game with a categoryId into the generic tcgcsv_groups / tcgcsv_products tables,
+ * so a new game only needs a config entry instead of its own tables and sync
+ */
+
+import { supabase } from '../lib/supabaseClient';
+import { getGameById } from '../config/gamesConfig';
+import tcgcsvSyncService from './tcgcsvSyncService';
+import priceHistoryService from './priceHistoryService';
+
+export const CATALOG_TABLES = {
+  groups: 'tcgcsv_groups',
+  products: 'tcgcsv_products'
+};
+
+const UPSERT_BATCH_SIZE = 500;
+
+class TcgcsvCatalogSyncService {
+  constructor() {
+    this.activeGames = new Set();
+  }
+
+  /**
+   * Group TCGCSV price rows by product
+   * The primary printing is "Normal" when listed, otherwise the first sub type seen
+   * @param {Array} prices - TCGCSV price rows for a group
+   * @returns {Map} productId -> { primary, bySubType }
+   */
+  buildPriceMap(prices) {
+    const priceMap = new Map();
+
+    (prices || []).forEach(price => {
+      const entry = priceMap.get(price.productId) || { primary: null, bySubType: {} };
+      const subType = price.subTypeName || 'Normal';
+
+      entry.bySubType[subType] = {
+        market: price.marketPrice ?? null,
+        low: price.lowPrice ?? null,
+        mid: price.midPrice ?? null,
+        high: price.highPrice ?? null,
+        directLow: price.directLowPrice ?? null
+      };
+
+      if (!entry.primary || subType === 'Normal') {
+        entry.primary = price;
+      }
+      priceMap.set(price.productId, entry);
+    });
+
+    return priceMap;
+  }
+
+  /**
+   * Build a tcgcsv_products row from a TCGCSV product
+   * Price columns match pokemon_sealed_products so price history can record sealed rows
+   * @param {Object} product - TCGCSV product
+   * @param {Object} group - TCGCSV group the product belongs to
+   * @param {Object} game - gamesConfig entry
+   * @param {Object} pricing - { primary, bySubType } from buildPriceMap
+   * @returns {Object} Row for tcgcsv_products
+   */
+  formatProductRow(product, group, game, pricing) {
+    const extendedData = tcgcsvSyncService.extractExtendedData(product.extendedData);
+    const primary = pricing?.primary || {};
+
+    return {
+      product_id: product.productId,
+      game_id: game.id,
+      category_id: game.categoryId,
+      group_id: group.groupId,
+      group_name: group.name,
+      name: product.name,
+      clean_name: product.cleanName,
+      is_sealed: tcgcsvSyncService.isSealedProduct(product),
+      number: extendedData.number || null,
+      rarity: extendedData.rarity || null,
+      image_url: product.imageUrl,
+      url: product.url,
+      sub_type_name: primary.subTypeName || null,
+      market_price: primary.marketPrice || null,
+      low_price: primary.lowPrice || null,
+      mid_price: primary.midPrice || null,
+      high_price: primary.highPrice || null,
+      direct_low_price: primary.directLowPrice || null,
+      prices: pricing?.bySubType || {},
+      extended_data: product.extendedData || null,
+      modified_on: product.modifiedOn || null,
+      last_synced_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Sync one TCGCSV group for a game
+   * @param {Object} game - gamesConfig entry
+   * @param {Object} group - TCGCSV group object
+   * @returns {Promise<Object>} Sync results
+   */
+  async syncGroup(game, group) {
+    const { groupId, name } = group;
+    console.log(`\n📦 Syncing ${game.name} group ${groupId}: ${name}`);
+
+    try {
+      const [products, prices] = await Promise.all([
+        tcgcsvSyncService.fetchProducts(groupId, game.categoryId),
+        tcgcsvSyncService.fetchPrices(groupId, game.categoryId)
+      ]);
+
+      const priceMap = this.buildPriceMap(prices);
+      const rows = products
+        .map(product => this.formatProductRow(product, group, game, priceMap.get(product.productId)))
+        // Code cards and other digital products are neither singles nor sealed
+        .filter(row => row.is_sealed || row.number);
+
+      const sealedRows = rows.filter(row => row.is_sealed);
+      const cardCount = rows.length - sealedRows.length;
+
+      // Group row first so the product foreign keys resolve
+      const { error: groupError } = await supabase
+        .from(CATALOG_TABLES.groups)
+        .upsert({
+          group_id: groupId,
+          game_id: game.id,
+          category_id: game.categoryId,
+          name,
+          abbreviation: group.abbreviation || null,
+          is_supplemental: group.isSupplemental || false,
+          published_on: group.publishedOn || null,
+          modified_on: group.modifiedOn || null,
+          card_count: cardCount,
+          sealed_count: sealedRows.length,
+          last_synced_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        }, { onConflict: 'group_id' });
+
+      if (groupError) throw groupError;
+
+      for (let i = 0; i < rows.length; i += UPSERT_BATCH_SIZE) {
+        const { error } = await supabase
+          .from(CATALOG_TABLES.products)
+          .upsert(rows.slice(i, i + UPSERT_BATCH_SIZE), { onConflict: 'product_id', ignoreDuplicates: false });
+
+        if (error) throw error;
+      }
+
+      const pricePoints = await priceHistoryService.recordSealedPrices(sealedRows);
+
+      console.log(`   ✅ ${cardCount} cards, ${sealedRows.length} sealed products, ${pricePoints} price points`);
+
+      return { groupId, name, cards: cardCount, sealed: sealedRows.length };
+    } catch (error) {
+      console.error(`   ❌ Error syncing ${game.name} group ${groupId}:`, error);
+      return { groupId, name, cards: 0, sealed: 0, error: error.message };
+    }
+  }
+
+  /**
+   * Sync a game's groups from TCGCSV, newest first
+   * @param {string} gameId - gamesConfig game ID
+   * @param {Object} options - { groupLimit, onProgress, groupIds, startIndex, onCheckpoint }
+   * @returns {Promise<Object>} Sync summary
+   */
+  async syncGame(gameId, options = {}) {
+    const game = getGameById(gameId);
+    if (!game?.categoryId) {
+      return { success: false, error: `${gameId} has no TCGCSV category configured` };
+    }
+
+    if (this.activeGames.has(gameId)) {
+      console.log(`⚠️ ${game.name} sync already in progress`);
+      return { error: 'Sync already in progress' };
+    }
+
+    this.activeGames.add(gameId);
+    const startTime = Date.now();
+
+    const {
+      groupLimit = null, // Limit number of groups to sync (newest first)
+      onProgress = null, // Callback for progress updates
+      groupIds = null,   // Exact groups to sync, in order (a resumed job's list)
+      startIndex = 0,    // Position in the list to continue from
+      onCheckpoint = null // Awaited after each group; resolving false stops the sync
+    } = options;
+
+    try {
+      const groups = await tcgcsvSyncService.fetchGroups(game.categoryId);
+      const sortedGroups = [...groups].sort((a, b) =>
+        new Date(b.publishedOn || 0) - new Date(a.publishedOn || 0)
+      );
+      const groupsById = new Map(sortedGroups.map(group => [group.groupId, group]));
+      const groupsToSync = groupIds
+        ? groupIds.map(groupId => groupsById.get(groupId)).filter(Boolean)
+        : (groupLimit ? sortedGroups.slice(0, groupLimit) : sortedGroups);
+
+      const results = [];
+      let totalCards = 0;
+      let totalSealed = 0;
+      let totalErrors = 0;
+      let stopped = false;
+
+      for (let i = startIndex; i < groupsToSync.length; i++) {
+        const group = groupsToSync[i];
+        const result = await this.syncGroup(game, group);
+
+        results.push(result);
+        totalCards += result.cards || 0;
+        totalSealed += result.sealed || 0;
+        if (result.error) totalErrors++;
+
+        if (onProgress) {
+          onProgress({
+            current: i + 1,
+            total: groupsToSync.length,
+            currentGroup: group.name,
+            totalCards,
+            totalSealed,
+            totalErrors
+          });
+        }
+
+        if (onCheckpoint) {
+          const keepGoing = await onCheckpoint({
+            groupIds: groupsToSync.map(g => g.groupId),
+            completed: i + 1,
+            result
+          });
+          if (keepGoing === false) {
+            stopped = true;
+            break;
+          }
+        }
+
+        // Small delay to avoid rate limiting
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+
+      // Push the fresh prices onto collection items that reference this game's products
+      let itemsRefreshed = 0;
+      // Runs with the service role because it writes every user's items
+      const { data: refreshed, error: refreshError } = await supabase.functions.invoke('admin-actions?action=refresh-tcgcsv-item-values', {
+        method: 'POST',
+        body: { gameId: game.id }
+      });
+      if (refreshError) {
+        console.error(`⚠️ Failed to refresh ${game.name} collection values:`, refreshError);
+      } else {
+        itemsRefreshed = refreshed?.data || 0;
+      }
+
+      const summary = {
+        success: true,
+        gameId: game.id,
+        duration: `${((Date.now() - startTime) / 1000).toFixed(2)}s`,
+        groupsSynced: results.length,
+        groupsTotal: groupsToSync.length,
+        cardsImported: totalCards,
+        sealedImported: totalSealed,
+        itemsRefreshed,
+        errors: totalErrors,
+        stopped,
+        results
+      };
+
+      console.log(`\n✅ ${game.name} sync complete: ${summary.groupsSynced} groups, ${totalCards} cards, ${totalSealed} sealed products in ${summary.duration}`);
+
+      return summary;
+    } catch (error) {
+      console.error(`❌ ${game.name} sync failed:`, error);
+      return { success: false, gameId: game.id, error: error.message };
+    } finally {
+      this.activeGames.delete(gameId);
+    }
+  }
+
+  /**
+   * Get catalog totals for one game
+   * @param {string} gameId - gamesConfig game ID
+   * @returns {Promise<Object|null>} { sets, cards, sealed, lastSync }
+   */
+  async getSyncStatus(gameId) {
+    try {
+      const [sets, cards, sealed, latest] = await Promise.all([
+        supabase.from(CATALOG_TABLES.groups).select('*', { count: 'exact', head: true }).eq('game_id', gameId),
+        supabase.from(CATALOG_TABLES.products).select('*', { count: 'exact', head: true }).eq('game_id', gameId).eq('is_sealed', false),
+        supabase.from(CATALOG_TABLES.products).select('*', { count: 'exact', head: true }).eq('game_id', gameId).eq('is_sealed', true),
+        supabase
+          .from(CATALOG_TABLES.groups)
+          .select('last_synced_at')
+          .eq('game_id', gameId)
+          .order('last_synced_at', { ascending: false, nullsFirst: false })
+          .limit(1)
+      ]);
+
+      const failed = [sets, cards, sealed, latest].find(result => result.error);
+      if (failed) throw failed.error;
+
+      return {
+        sets: sets.count || 0,
+        cards: cards.count || 0,
+        sealed: sealed.count || 0,
+        lastSync: latest.data?.[0]?.last_synced_at || null
+      };
+    } catch (error) {
+      console.error(`Error fetching ${gameId} catalog status:`, error);
+      return null;
+    }
+  }
+}
+
+// Create and export singleton instance
+const tcgcsvCatalogSyncService = new TcgcsvCatalogSyncService();
+export default tcgcsvCatalogSyncService;
@@ -5,6 +5,8 @@
  */
 
 import { supabase } from '../lib/supabaseClient';
+import priceHistoryService from './priceHistoryService';
+import watchlistService from './watchlistService';
 
 class TcgcsvSyncService {
   constructor() {
@@ -67,6 +69,18 @@ class TcgcsvSyncService {
         result.upc = item.value;
       } else if (item.name === 'Rarity') {
         result.rarity = item.value;
+      } else if (item.name === 'Number') {
+        result.number = item.value;
+      } else if (item.name === 'SubType') {
+        result.subType = item.value;
+      } else if (item.name === 'OracleText') {
+        result.oracleText = item.value;
+      } else if (item.name === 'FlavorText') {
+        result.flavorText = item.value;
+      } else if (item.name === 'P') {
+        result.power = item.value;
+      } else if (item.name === 'T') {
+        result.toughness = item.value;
       }
     });
 
@@ -75,12 +89,13 @@ class TcgcsvSyncService {
 
   /**
    * Fetch all groups (expansions) from TCGCSV
+   * @param {number} categoryId - TCGplayer category ID (defaults to Pokemon)
    * @returns {Promise<Array>} Array of groups
    */
-  async fetchGroups() {
+  async fetchGroups(categoryId = this.categoryId) {
     try {
-      const url = `${this.baseUrl}/tcgplayer/${this.categoryId}/groups`;
-      console.log(`📋 Fetching Pokemon groups from TCGCSV...`);
+      const url = `${this.baseUrl}/tcgplayer/${categoryId}/groups`;
+      console.log(`📋 Fetching category ${categoryId} groups from TCGCSV...`);
       
       const response = await fetch(url, {
         headers: {
@@ -94,7 +109,7 @@ class TcgcsvSyncService {
       }
 
       const data = await response.json();
-      console.log(`✅ Found ${data.totalItems} Pokemon groups`);
+      console.log(`✅ Found ${data.totalItems} groups in category ${categoryId}`);
       
       return data.results || [];
     } catch (error) {
@@ -106,11 +121,12 @@ class TcgcsvSyncService {
   /**
    * Fetch products for a specific group
    * @param {number} groupId - TCGCSV group ID
+   * @param {number} categoryId - TCGplayer category ID (defaults to Pokemon)
    * @returns {Promise<Array>} Array of products
    */
-  async fetchProducts(groupId) {
+  async fetchProducts(groupId, categoryId = this.categoryId) {
     try {
-      const url = `${this.baseUrl}/tcgplayer/${this.categoryId}/${groupId}/products`;
+      const url = `${this.baseUrl}/tcgplayer/${categoryId}/${groupId}/products`;
       
       const response = await fetch(url, {
         headers: {
@@ -134,11 +150,12 @@ class TcgcsvSyncService {
   /**
    * Fetch prices for a specific group
    * @param {number} groupId - TCGCSV group ID
+   * @param {number} categoryId - TCGplayer category ID (defaults to Pokemon)
    * @returns {Promise<Array>} Array of prices
    */
-  async fetchPrices(groupId) {
+  async fetchPrices(groupId, categoryId = this.categoryId) {
     try {
-      const url = `${this.baseUrl}/tcgplayer/${this.categoryId}/${groupId}/prices`;
+      const url = `${this.baseUrl}/tcgplayer/${categoryId}/${groupId}/prices`;
       
       const response = await fetch(url, {
         headers: {
@@ -262,6 +279,10 @@ class TcgcsvSyncService {
       }
 
       console.log(`   ✅ Imported ${productsToInsert.length} sealed products`);
+
+      // Append today's prices to the price history
+      const pricePoints = await priceHistoryService.recordSealedPrices(productsToInsert);
+      console.log(`   📈 Recorded ${pricePoints} price history points`);
       
       return {
         groupId,
@@ -345,6 +366,14 @@ class TcgcsvSyncService {
         await new Promise(resolve => setTimeout(resolve, 100));
       }
 
+      // Check watchlist rules against the fresh sealed prices
+      let alertsTriggered = 0;
+      try {
+        alertsTriggered = await watchlistService.evaluateAlerts('sealed');
+      } catch (error) {
+        console.error('⚠️ Price alert evaluation failed:', error);
+      }
+
       const duration = ((Date.now() - startTime) / 1000).toFixed(2);
 
       // Update sync status to completed
@@ -367,6 +396,7 @@ class TcgcsvSyncService {
         productsImported: totalImported,
         productsSkipped: totalSkipped,
         errors: totalErrors,
+        alertsTriggered,
         results
       };
 
@@ -377,6 +407,7 @@ class TcgcsvSyncService {
       console.log(`📦 Sealed products imported: ${summary.productsImported}`);
       console.log(`⏭️  Products skipped: ${summary.productsSkipped}`);
       console.log(`❌ Errors: ${summary.errors}`);
+      console.log(`🔔 Price alerts: ${summary.alertsTriggered}`);
       console.log(`⏱️  Duration: ${summary.duration}`);
       console.log('='.repeat(60) + '\n');
 
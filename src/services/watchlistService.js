@@ -0,0 +1,266 @@
+/**
+ * Watchlist Service
+ * Cards and sealed products the user watches with below / above / 7-day move price rules,
+ * and the alert feed written by evaluate_price_alerts after each price sync
+ */
+
+import { supabase } from '../lib/supabaseClient';
+
+export const ALERT_RULES = {
+  below: 'Below',
+  above: 'Above',
+  move_7d: '7-day move'
+};
+
+const RULE_COLUMNS = ['below_price', 'above_price', 'move_percent'];
+
+class WatchlistService {
+  /**
+   * Get the user's watchlist with the prices currently stored on each card / sealed product
+   * @returns {Promise<Array>} Items with { price, change7d, raw, graded } where the product was found
+   */
+  async getWatchlist() {
+    const { data: items, error } = await supabase
+      .from('watchlist_items')
+      .select('*')
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('Error fetching watchlist:', error);
+      throw error;
+    }
+
+    const cardIds = [...new Set((items || []).filter(item => item.product_type === 'card').map(item => item.product_id))];
+    const sealedIds = [...new Set((items || []).filter(item => item.product_type === 'sealed').map(item => item.product_id))];
+
+    const [cardsResult, sealedResult] = await Promise.all([
+      cardIds.length > 0
+        ? supabase
+          .from('pokemon_cards')
+          .select('id, name, image_small, expansion_name, raw_market, raw_low, raw_trend_7d_percent, graded_market, graded_grade, graded_company, graded_trend_7d_percent')
+          .in('id', cardIds)
+        : { data: [] },
+      sealedIds.length > 0
+        ? supabase
+          .from('pokemon_sealed_products')
+          .select('product_id, name, image_url, expansion_name, market_price, low_price')
+          .in('product_id', sealedIds)
+        : { data: [] }
+    ]);
+
+    if (cardsResult.error) {
+      console.error('Error fetching watched card prices:', cardsResult.error);
+      throw cardsResult.error;
+    }
+    if (sealedResult.error) {
+      console.error('Error fetching watched sealed prices:', sealedResult.error);
+      throw sealedResult.error;
+    }
+
+    const cardsById = new Map((cardsResult.data || []).map(card => [String(card.id), card]));
+    const sealedById = new Map((sealedResult.data || []).map(product => [String(product.product_id), product]));
+
+    return (items || []).map(item => {
+      if (item.product_type === 'card') {
+        const card = cardsById.get(item.product_id);
+        const isGraded = item.price_type === 'graded';
+        return {
+          ...item,
+          name: item.name || card?.name,
+          image_url: item.image_url || card?.image_small,
+          expansion_name: card?.expansion_name || '',
+          price: card ? (isGraded ? card.graded_market : card.raw_market) : null,
+          // Scrydex trend for the watched price type; falls back to the value at the last evaluation
+          change7d: card ? (isGraded ? card.graded_trend_7d_percent : card.raw_trend_7d_percent) : item.last_change_7d_percent,
+          raw: card ? { market: card.raw_market, low: card.raw_low, trend7d: card.raw_trend_7d_percent } : null,
+          graded: card?.graded_market ? {
+            market: card.graded_market,
+            grade: [card.graded_company, card.graded_grade].filter(Boolean).join(' '),
+            trend7d: card.graded_trend_7d_percent
+          } : null
+        };
+      }
+
+      const product = sealedById.get(item.product_id);
+      return {
+        ...item,
+        name: item.name || product?.name,
+        image_url: item.image_url || product?.image_url,
+        expansion_name: product?.expansion_name || '',
+        price: product?.market_price ?? null,
+        // Sealed trends are worked out from price history during evaluation
+        change7d: item.last_change_7d_percent,
+        raw: null,
+        graded: null
+      };
+    });
+  }
+
+  /**
+   * Check whether a product is on the user's watchlist
+   * @param {string} productType - 'card' | 'sealed'
+   * @param {string|number} productId - pokemon_cards.id or pokemon_sealed_products.product_id
+   * @returns {Promise<Array>} Matching watchlist items (one per watched price type)
+   */
+  async getItemsForProduct(productType, productId) {
+    const { data, error } = await supabase
+      .from('watchlist_items')
+      .select('*')
+      .eq('product_type', productType)
+      .eq('product_id', String(productId));
+
+    if (error) {
+      console.error('Error fetching watchlist item:', error);
+      throw error;
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Watch a card or sealed product
+   * @param {Object} item - { product_type, product_id, price_type, name, image_url, below_price, above_price, move_percent, notes }
+   * @returns {Promise<Object>} The watchlist item
+   */
+  async addItem(item) {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) {
+      throw new Error('User not authenticated');
+    }
+
+    const { data, error } = await supabase
+      .from('watchlist_items')
+      .upsert({
+        ...item,
+        product_id: String(item.product_id),
+        price_type: item.price_type || (item.product_type === 'sealed' ? 'market' : 'raw'),
+        user_id: user.id,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'user_id,product_type,product_id,price_type' })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error adding watchlist item:', error);
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Update a watchlist item's rules or notes
+   * Changing a rule re-arms it, so a rule that already matches alerts again on the next sync
+   * @param {string} itemId - Watchlist item ID
+   * @param {Object} updates - { below_price, above_price, move_percent, notes }
+   * @returns {Promise<Object>} The updated item
+   */
+  async updateItem(itemId, updates) {
+    const rulesChanged = RULE_COLUMNS.some(column => column in updates);
+
+    const { data, error } = await supabase
+      .from('watchlist_items')
+      .update({
+        ...updates,
+        ...(rulesChanged ? { active_rules: [] } : {}),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', itemId)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error updating watchlist item:', error);
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Stop watching a product (its alerts are removed with it)
+   * @param {string} itemId - Watchlist item ID
+   */
+  async removeItem(itemId) {
+    const { error } = await supabase
+      .from('watchlist_items')
+      .delete()
+      .eq('id', itemId);
+
+    if (error) {
+      console.error('Error removing watchlist item:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the alert feed, newest first
+   * @param {Object} options - { limit, unreadOnly }
+   * @returns {Promise<Array>} Price alerts
+   */
+  async getAlerts({ limit = 100, unreadOnly = false } = {}) {
+    let query = supabase
+      .from('price_alerts')
+      .select('*')
+      .order('triggered_at', { ascending: false })
+      .limit(limit);
+
+    if (unreadOnly) {
+      query = query.is('read_at', null);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error('Error fetching price alerts:', error);
+      throw error;
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Mark alerts as read
+   * @param {Array<string>|null} alertIds - Alerts to mark, or null for every unread alert
+   */
+  async markAlertsRead(alertIds = null) {
+    let query = supabase
+      .from('price_alerts')
+      .update({ read_at: new Date().toISOString() })
+      .is('read_at', null);
+
+    if (alertIds) {
+      query = query.in('id', alertIds);
+    }
+
+    const { error } = await query;
+
+    if (error) {
+      console.error('Error marking price alerts read:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Evaluate the signed-in user's watchlist rules against the stored prices and write alerts
+   * Called after a price ingest; the sync functions call the same RPC server-side for every user
+   * @param {string} productType - 'card' | 'sealed' | null for both
+   * @returns {Promise<number>} Number of alerts created
+   */
+  async evaluateAlerts(productType = null) {
+    const { data, error } = await supabase.rpc('evaluate_price_alerts', {
+      p_product_type: productType
+    });
+
+    if (error) {
+      console.error('Error evaluating price alerts:', error);
+      throw error;
+    }
+
+    return data || 0;
+  }
+}
+
+// Create and export singleton instance
+const watchlistService = new WatchlistService();
+export default watchlistService;
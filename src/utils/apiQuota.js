@@ -0,0 +1,66 @@
+/**
+ * API Quota Utilities
+ *
+ * Labels for the quota governor's api_quota_status rows: one row per provider and window
+ * (minute, hour, day, month) with its limit, use and remaining budget
+ */
+
+/**
+ * Counter windows, shortest first
+ */
+export const QUOTA_WINDOWS = [
+  { value: 'minute', label: 'Minute' },
+  { value: 'hour', label: 'Hour' },
+  { value: 'day', label: 'Day' },
+  { value: 'month', label: 'Month' }
+];
+
+/**
+ * Get the display label for a window
+ * @param {string} window - Window value
+ * @returns {string} - Display label
+ */
+export const getQuotaWindowLabel = (window) => {
+  return QUOTA_WINDOWS.find(w => w.value === window)?.label || window;
+};
+
+/**
+ * Get the color for how much of a window's budget is left
+ * @param {Object} row - api_quota_status row
+ * @returns {string} - Tailwind text color
+ */
+export const getQuotaUsageColor = (row) => {
+  if (row.quota_limit == null) return 'text-gray-400';
+  if (row.remaining === 0) return 'text-red-400';
+  if (row.background_remaining === 0) return 'text-yellow-400';
+  return 'text-green-400';
+};
+
+/**
+ * Group api_quota_status rows by provider
+ * @param {Array} rows - api_quota_status rows
+ * @returns {Array} - [{ provider, name, reservePercent, tokensAvailable, bucketCapacity, windows: [row] }]
+ */
+export const groupQuotaStatus = (rows = []) => {
+  const providers = new Map();
+
+  rows.forEach(row => {
+    if (!providers.has(row.provider)) {
+      providers.set(row.provider, {
+        provider: row.provider,
+        name: row.name,
+        reservePercent: row.interactive_reserve_percent,
+        tokensAvailable: Number(row.tokens_available),
+        bucketCapacity: Number(row.bucket_capacity),
+        windows: []
+      });
+    }
+    providers.get(row.provider).windows.push(row);
+  });
+
+  const order = QUOTA_WINDOWS.map(w => w.value);
+  return [...providers.values()].map(provider => ({
+    ...provider,
+    windows: provider.windows.sort((a, b) => order.indexOf(a.quota_window) - order.indexOf(b.quota_window))
+  }));
+};
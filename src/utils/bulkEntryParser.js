@@ -0,0 +1,149 @@
+/**
+ * Bulk Entry Parser
+ *
+ * Turns a pasted list into purchase lines, one per line of text, e.g.
+ *   "2x Charizard ex 199/165 PSA 10 $450"
+ *   "Umbreon VMAX Evolving Skies 215"
+ *   "Evolving Skies ETB x3 @ 55"
+ * Quantity, price, grade, raw condition and card number are taken out first; the rest goes through
+ * itemNameParser for the set and to tell sealed products from singles. Prices are per item
+ */
+
+import { parseItemName, findSetName } from './itemNameParser';
+import { normalizeRawCondition } from './cardCondition';
+
+export const GRADING_COMPANIES = ['PSA', 'BGS', 'CGC', 'SGC', 'TAG', 'ACE'];
+
+// Item types parseItemName reports for sealed products
+const SEALED_ITEM_TYPES = [
+  'booster box', 'elite trainer box', 'booster bundle', 'booster pack', 'collection box', 'premium collection',
+  'tin', 'display', 'bundle', 'pack', 'box', 'collection', 'starter deck', 'theme deck', 'deck'
+];
+
+// Shorthand sellers use in lists
+const ABBREVIATIONS = [
+  [/\betb\b/gi, 'Elite Trainer Box'],
+  [/\bbb\b/gi, 'Booster Box'],
+  [/\bupc\b/gi, 'Ultra Premium Collection']
+];
+
+const QUANTITY_PATTERNS = [
+  /^(\d{1,4})\s*[x×]\s+/i, // "2x Charizard", "2 x Charizard"
+  /\s+[x×]\s*(\d{1,4})(?=\s|$)/i, // "Charizard x2"
+  /\s+qty:?\s*(\d{1,4})(?=\s|$)/i // "Charizard qty 2"
+];
+
+const PRICE_PATTERN = /(?:^|\s)(?:@\s*)?\$\s*(\d[\d,]*(?:\.\d{1,2})?)|(?:^|\s)@\s*(\d[\d,]*(?:\.\d{1,2})?)(?=\s|$)/;
+const GRADE_PATTERN = new RegExp(`\\b(${GRADING_COMPANIES.join('|')})\\s*(10|[1-9](?:\\.5)?)(?=\\s|$)`, 'i');
+const CONDITION_PATTERN = /(?:^|\s)\(?(NM|LP|MP|HP|DMG|Near Mint|Lightly Played|Moderately Played|Heavily Played|Damaged)\)?(?=\s|$)/i;
+// "199/165", "TG12/TG30", "#215", or a bare number at the end of the line
+const NUMBER_PATTERNS = [
+  /(?:^|\s)#?([A-Z]{0,4}\d{1,4}[a-z]?)\s*\/\s*[A-Z]{0,4}\d{1,4}(?=\s|$)/i,
+  /(?:^|\s)#([A-Z]{0,4}\d{1,4}[a-z]?)(?=\s|$)/i,
+  /\s([A-Z]{0,4}\d{1,4}[a-z]?)$/i
+];
+
+const collapse = (text) => text.replace(/\s+/g, ' ').replace(/^[\s,;:\-–|]+|[\s,;:\-–|]+$/g, '').trim();
+
+const takeMatch = (text, pattern) => {
+  const match = pattern.exec(text);
+  if (!match) return { text, match: null };
+  return { text: collapse(text.slice(0, match.index) + ' ' + text.slice(match.index + match[0].length)), match };
+};
+
+/**
+ * Parse one pasted line
+ * @param {string} line - Line of text
+ * @returns {Object|null} - { raw, name, setName, number, quantity, pricePerItem, gradingCompany, gradingGrade,
+ *                           rawCondition, kind ('single' | 'sealed' | null when unclear) }, null for blank lines
+ */
+export const parseBulkEntryLine = (line) => {
+  const raw = String(line || '').trim();
+  if (!raw || raw.startsWith('#') || raw.startsWith('//')) return null;
+
+  let text = collapse(raw.replace(/^[-*•]\s+/, ''));
+
+  let quantity = 1;
+  for (const pattern of QUANTITY_PATTERNS) {
+    const result = takeMatch(text, pattern);
+    if (result.match) {
+      quantity = parseInt(result.match[1], 10) || 1;
+      text = result.text;
+      break;
+    }
+  }
+
+  let pricePerItem = null;
+  const price = takeMatch(text, PRICE_PATTERN);
+  if (price.match) {
+    pricePerItem = parseFloat((price.match[1] || price.match[2]).replace(/,/g, ''));
+    text = price.text;
+  }
+
+  let gradingCompany = null;
+  let gradingGrade = null;
+  const grade = takeMatch(text, GRADE_PATTERN);
+  if (grade.match) {
+    gradingCompany = grade.match[1].toUpperCase();
+    gradingGrade = grade.match[2];
+    text = grade.text;
+  }
+
+  let rawCondition = null;
+  const condition = takeMatch(text, CONDITION_PATTERN);
+  if (condition.match) {
+    rawCondition = normalizeRawCondition(condition.match[1]);
+    text = condition.text;
+  }
+
+  ABBREVIATIONS.forEach(([pattern, replacement]) => {
+    text = text.replace(pattern, replacement);
+  });
+
+  // Set names go first so "151" is not read as a card number
+  let setName = null;
+  const set = findSetName(text);
+  if (set) {
+    setName = set.setName;
+    text = collapse(text.slice(0, set.index) + ' ' + text.slice(set.index + set.length));
+  }
+
+  let number = null;
+  for (const pattern of NUMBER_PATTERNS) {
+    const result = takeMatch(text, pattern);
+    // A bare trailing number only counts when there is a name left in front of it
+    if (result.match && /[a-z]/i.test(result.text)) {
+      number = result.match[1];
+      text = result.text;
+      break;
+    }
+  }
+
+  const parsed = parseItemName(setName ? `${setName} ${text}` : text);
+  const isSealed = SEALED_ITEM_TYPES.includes(parsed.itemName.toLowerCase());
+
+  return {
+    raw,
+    name: text,
+    setName,
+    number,
+    quantity,
+    pricePerItem,
+    gradingCompany,
+    gradingGrade,
+    rawCondition,
+    kind: isSealed ? 'sealed' : (gradingCompany || number ? 'single' : null)
+  };
+};
+
+/**
+ * Parse a pasted list
+ * @param {string} text - Pasted text, one purchase per line
+ * @returns {Array} - Parsed lines with their index in the paste (blank and comment lines are left out)
+ */
+export const parseBulkEntryText = (text) =>
+  String(text || '')
+    .split(/\r?\n/)
+    .map(parseBulkEntryLine)
+    .filter(Boolean)
+    .map((line, index) => ({ ...line, index }));
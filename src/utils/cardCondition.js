@@ -0,0 +1,207 @@
+/**
+ * Raw Card Condition Utilities
+ *
+ * Raw singles are valued at the market price of the condition each copy is in.
+ * Condition prices come from the Scrydex raw pricing stored on the card (pokemon_cards.variants,
+ * prices of type 'raw'); a condition without a price falls back to the NM market value scaled
+ * by a discount curve. Graded singles are valued at the Scrydex graded price of their company and grade
+ */
+
+import { getMarketValueForCardType } from './itemTypeUtils';
+
+export const DEFAULT_RAW_CONDITION = 'NM';
+
+export const RAW_CONDITIONS = [
+  { code: 'NM', name: 'Near Mint' },
+  { code: 'LP', name: 'Lightly Played' },
+  { code: 'MP', name: 'Moderately Played' },
+  { code: 'HP', name: 'Heavily Played' },
+  { code: 'DMG', name: 'Damaged' }
+];
+
+// Share of the NM market value each condition is worth when it has no price of its own
+export const DEFAULT_CONDITION_DISCOUNTS = {
+  NM: 1,
+  LP: 0.85,
+  MP: 0.7,
+  HP: 0.5,
+  DMG: 0.35
+};
+
+// card_type of a graded card, e.g. 'psa_10' or 'bgs_9.5'
+const GRADED_CARD_TYPE = /^[a-z]+_\d+(\.5)?$/;
+
+// Condition codes used by pricing sources that differ from ours
+const CONDITION_ALIASES = {
+  DM: 'DMG',
+  D: 'DMG',
+  DAMAGED: 'DMG',
+  'NEAR MINT': 'NM',
+  'LIGHTLY PLAYED': 'LP',
+  'MODERATELY PLAYED': 'MP',
+  'HEAVILY PLAYED': 'HP'
+};
+
+/**
+ * Normalize a condition code or name
+ * @param {string} value - Condition (e.g. 'NM', 'DM', 'Lightly Played')
+ * @returns {string|null} - One of the RAW_CONDITIONS codes, or null if unknown
+ */
+export const normalizeRawCondition = (value) => {
+  const text = String(value || '').trim().toUpperCase();
+  const code = CONDITION_ALIASES[text] || text;
+  return RAW_CONDITIONS.some(condition => condition.code === code) ? code : null;
+};
+
+/**
+ * Check whether an order holds raw (ungraded) singles
+ * @param {Object} order - Order
+ * @returns {boolean}
+ */
+export const isRawSingle = (order) =>
+  order?.item_type === 'Single' && (!order.card_condition || order.card_condition === 'Raw');
+
+/**
+ * Fill in and validate a discount curve
+ * @param {Object} curve - { [condition]: share of the NM value }
+ * @returns {Object} - Curve with every condition, each share in (0, 1]; NM is always 1
+ */
+export const normalizeDiscountCurve = (curve) => {
+  const normalized = { ...DEFAULT_CONDITION_DISCOUNTS };
+
+  Object.entries(curve || {}).forEach(([condition, share]) => {
+    const code = normalizeRawCondition(condition);
+    const value = Number(share);
+    if (code && code !== DEFAULT_RAW_CONDITION && value > 0 && value <= 1) {
+      normalized[code] = value;
+    }
+  });
+
+  return normalized;
+};
+
+/**
+ * Get the raw market price of each condition from a card's Scrydex variants
+ * @param {Array} variants - pokemon_cards.variants
+ * @param {string} variantName - The order's card_variant (NULL = the card's first priced variant)
+ * @returns {Object} - { [condition]: market value in cents } for USD prices
+ */
+export const getConditionPrices = (variants, variantName = null) => {
+  if (!Array.isArray(variants)) return {};
+
+  const priced = variants.filter(variant => Array.isArray(variant?.prices) && variant.prices.some(price => price.type === 'raw'));
+  const variant = (variantName && priced.find(candidate => candidate.name === variantName)) || priced[0];
+  if (!variant) return {};
+
+  const prices = {};
+  variant.prices.forEach(price => {
+    const code = normalizeRawCondition(price.condition);
+    const market = Number(price.market);
+    // Catalog market values are in USD
+    if (price.type !== 'raw' || !code || !(market > 0)) return;
+    if (price.currency && price.currency !== 'USD') return;
+    if (price.is_signed || price.is_error) return;
+    if (prices[code] == null) prices[code] = Math.round(market * 100);
+  });
+
+  return prices;
+};
+
+/**
+ * Get the market value of one copy in a condition
+ * @param {number} nmCents - NM market value in cents
+ * @param {string} condition - Raw condition (NULL = NM)
+ * @param {Object} conditionPrices - From getConditionPrices
+ * @param {Object} discounts - Curve from normalizeDiscountCurve
+ * @returns {{ cents: number|null, source: string }} - Value and where it came from ('market', 'price' or 'curve')
+ */
+export const getConditionMarketValue = (nmCents, condition, conditionPrices = {}, discounts = DEFAULT_CONDITION_DISCOUNTS) => {
+  const code = normalizeRawCondition(condition) || DEFAULT_RAW_CONDITION;
+  if (code === DEFAULT_RAW_CONDITION) return { cents: nmCents, source: 'market' };
+
+  if (conditionPrices[code] > 0) return { cents: conditionPrices[code], source: 'price' };
+  if (nmCents == null) return { cents: nmCents, source: 'market' };
+
+  const share = discounts[code] ?? DEFAULT_CONDITION_DISCOUNTS[code];
+  return { cents: Math.round(nmCents * share), source: 'curve' };
+};
+
+/**
+ * Value a raw order at its condition
+ * market_value_cents becomes the per-copy value in the order's condition; the NM value is kept
+ * as nm_market_value_cents
+ * @param {Object} order - Order with raw_condition
+ * @param {Object} conditionPrices - From getConditionPrices for the order's card
+ * @param {Object} discounts - Curve from normalizeDiscountCurve
+ * @returns {Object} - Order with condition_value_source
+ */
+export const applyConditionValue = (order, conditionPrices, discounts) => {
+  if (!isRawSingle(order)) return order;
+
+  const { cents, source } = getConditionMarketValue(order.market_value_cents, order.raw_condition, conditionPrices, discounts);
+  return {
+    ...order,
+    nm_market_value_cents: order.market_value_cents,
+    market_value_cents: cents,
+    condition_value_source: source
+  };
+};
+
+/**
+ * Check whether an order holds a graded single with a company_grade card_type (e.g. 'psa_10', 'bgs_9.5')
+ * @param {Object} order - Order with card_type
+ * @returns {boolean}
+ */
+export const isGradedSingle = (order) =>
+  order?.item_type === 'Single' && !isRawSingle(order) && GRADED_CARD_TYPE.test(order.card_type || '');
+
+/**
+ * Get the graded market price of a company and grade from a card's Scrydex variants
+ * @param {Array} variants - pokemon_cards.variants
+ * @param {string} variantName - The order's card_variant (NULL = any variant)
+ * @param {string} company - Grading company (e.g. 'PSA')
+ * @param {number} grade - Grade
+ * @returns {number|null} - Market value in cents for a USD price, or null
+ */
+export const getGradedPrice = (variants, variantName, company, grade) => {
+  if (!Array.isArray(variants) || !company || grade == null) return null;
+
+  const candidates = variantName
+    ? [...variants.filter(variant => variant?.name === variantName), ...variants.filter(variant => variant?.name !== variantName)]
+    : variants;
+
+  for (const variant of candidates) {
+    const price = (variant?.prices || []).find(candidate =>
+      candidate.type === 'graded' &&
+      String(candidate.company || '').toUpperCase() === company.toUpperCase() &&
+      Number(candidate.grade) === Number(grade) &&
+      (!candidate.currency || candidate.currency === 'USD') &&
+      !candidate.is_signed && !candidate.is_error &&
+      Number(candidate.market) > 0
+    );
+    if (price) return Math.round(Number(price.market) * 100);
+  }
+
+  return null;
+};
+
+/**
+ * Value a graded order at the market price of its company and grade
+ * market_value_cents becomes getMarketValueForCardType of the order's card_type
+ * @param {Object} order - Order with card_type
+ * @param {number|null} gradedCents - From getGradedPrice for the order's card (null keeps the catalog market value)
+ * @returns {Object} - Order with graded_market_value_cents
+ */
+export const applyGradedValue = (order, gradedCents) => {
+  if (!isGradedSingle(order) || gradedCents == null) return order;
+
+  const value = getMarketValueForCardType(
+    { graded_price: gradedCents / 100, marketValue: (order.market_value_cents || 0) / 100 },
+    order.card_type
+  );
+  return {
+    ...order,
+    graded_market_value_cents: gradedCents,
+    market_value_cents: Math.round(value * 100)
+  };
+};
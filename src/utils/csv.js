@@ -0,0 +1,115 @@
+/**
+ * CSV Utilities
+ *
+ * RFC 4180 style CSV parsing and serialization (quoted fields, escaped quotes, embedded newlines)
+ * plus a helper to hand generated files to the browser as a download
+ */
+
+/**
+ * Quote a value for CSV output when it contains a delimiter, quote or newline
+ * @param {*} value - Cell value
+ * @returns {string} - CSV-safe cell text
+ */
+const escapeCell = (value) => {
+  if (value == null) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize rows into CSV text
+ * @param {Array<Object>} rows - Row objects
+ * @param {Array<string>} columns - Column keys, in output order (also used as the header row)
+ * @returns {string} - CSV text
+ */
+export const toCsv = (rows, columns) => {
+  const lines = [columns.map(escapeCell).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => escapeCell(row[column])).join(','));
+  }
+  return lines.join('\r\n');
+};
+
+/**
+ * Parse CSV text into rows of cells
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} - Rows of cell strings (blank lines are dropped)
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+/**
+ * Parse CSV text with a header row into objects keyed by header
+ * @param {string} text - CSV text
+ * @returns {Object} - { headers, rows } where rows are objects keyed by header
+ */
+export const parseCsvWithHeaders = (text) => {
+  const [headerRow = [], ...dataRows] = parseCsv(text);
+  const headers = headerRow.map(header => header.trim());
+
+  return {
+    headers,
+    rows: dataRows.map(cells => headers.reduce((row, header, index) => {
+      row[header] = (cells[index] ?? '').trim();
+      return row;
+    }, {}))
+  };
+};
+
+/**
+ * Trigger a browser download of generated file content
+ * @param {string} content - File content
+ * @param {string} filename - Suggested file name
+ * @param {string} mimeType - MIME type of the content
+ */
+export const downloadFile = (content, filename, mimeType = 'text/csv;charset=utf-8') => {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
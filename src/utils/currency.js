@@ -0,0 +1,244 @@
+import { getSaleHistory } from './saleHistoryManager';
+
+/**
+ * Currency Utilities
+ *
+ * Orders and sales may be recorded in any supported currency (NULL = USD, the currency
+ * catalog market values are in). Amounts are converted into the user's base currency with
+ * the daily FX rate of the transaction date; market values use the latest rate.
+ * Rates are stored as units of the currency per 1 USD
+ */
+
+export const DEFAULT_CURRENCY = 'USD';
+
+export const SUPPORTED_CURRENCIES = [
+  { code: 'USD', name: 'US Dollar' },
+  { code: 'EUR', name: 'Euro' },
+  { code: 'GBP', name: 'British Pound' },
+  { code: 'CAD', name: 'Canadian Dollar' },
+  { code: 'AUD', name: 'Australian Dollar' },
+  { code: 'JPY', name: 'Japanese Yen' }
+];
+
+/**
+ * Check whether a currency code is supported
+ * @param {string} code - ISO 4217 code
+ * @returns {boolean}
+ */
+export const isSupportedCurrency = (code) => SUPPORTED_CURRENCIES.some(currency => currency.code === code);
+
+/**
+ * Get the currency of a transaction (orders and sales without one are in USD)
+ * @param {Object} record - Order, sale row or sale record
+ * @returns {string} - ISO 4217 code
+ */
+export const getTransactionCurrency = (record) => record?.currency || DEFAULT_CURRENCY;
+
+/**
+ * Get the currency of an order's market value
+ * Synced market values are in USD; an overridden value is in the override's currency
+ * @param {Object} order - Order
+ * @returns {string} - ISO 4217 code
+ */
+export const getMarketValueCurrency = (order) => order?.market_value_currency || DEFAULT_CURRENCY;
+
+/**
+ * Day key of a date value
+ * @param {string|Date} value - Date value
+ * @returns {string|null} - YYYY-MM-DD or null if missing
+ */
+const toDayKey = (value) => {
+  if (!value) return null;
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) return value.slice(0, 10);
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+};
+
+/**
+ * Build a lookup table from fx_rates rows
+ * @param {Array} rows - [{ rate_date, currency, units_per_usd }]
+ * @returns {Object} - { [currency]: [{ date, rate }] } with each list sorted by date
+ */
+export const buildRateTable = (rows) => {
+  const table = {};
+
+  (rows || []).forEach(row => {
+    const rate = Number(row.units_per_usd);
+    const date = toDayKey(row.rate_date);
+    if (!row.currency || !date || !(rate > 0)) return;
+    if (!table[row.currency]) table[row.currency] = [];
+    table[row.currency].push({ date, rate });
+  });
+
+  Object.values(table).forEach(rates => rates.sort((a, b) => a.date.localeCompare(b.date)));
+  return table;
+};
+
+/**
+ * Get the rate of a currency on a date
+ * Uses the latest rate on or before the date (weekends and holidays have no fixing),
+ * or the earliest known rate for dates before the table starts
+ * @param {Object} table - Table from buildRateTable
+ * @param {string} currency - ISO 4217 code
+ * @param {string|Date} date - Transaction date (defaults to the latest rate)
+ * @returns {number|null} - Units per USD, or null when the currency has no rates
+ */
+export const getRate = (table, currency, date = null) => {
+  if (currency === DEFAULT_CURRENCY) return 1;
+
+  const rates = table?.[currency];
+  if (!rates || rates.length === 0) return null;
+
+  const day = toDayKey(date);
+  if (!day) return rates[rates.length - 1].rate;
+
+  // Binary search for the last rate dated on or before the day
+  let low = 0;
+  let high = rates.length - 1;
+  let match = -1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (rates[mid].date <= day) {
+      match = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return rates[Math.max(match, 0)].rate;
+};
+
+/**
+ * Convert an amount between currencies at the rate of a date
+ * Amounts are returned unchanged when either currency has no rates
+ * @param {number} cents - Amount in minor units of `from`
+ * @param {string} from - Currency of the amount
+ * @param {string} to - Target currency
+ * @param {string|Date} date - Transaction date (null = latest rate)
+ * @param {Object} table - Table from buildRateTable
+ * @returns {number} - Amount in minor units of `to`
+ */
+export const convertCents = (cents, from, to, date, table) => {
+  if (cents == null) return cents;
+  const source = from || DEFAULT_CURRENCY;
+  const target = to || DEFAULT_CURRENCY;
+  if (source === target) return cents;
+
+  const fromRate = getRate(table, source, date);
+  const toRate = getRate(table, target, date);
+  if (!fromRate || !toRate) return cents;
+
+  return Math.round((cents / fromRate) * toRate);
+};
+
+/**
+ * Find the currencies used by orders and their sales that the table has no rates for
+ * @param {Array} orders - Orders (with sales)
+ * @param {string} baseCurrency - Target currency
+ * @param {Object} table - Table from buildRateTable
+ * @returns {Array<string>} - Currency codes left unconverted
+ */
+export const getMissingRateCurrencies = (orders, baseCurrency, table) => {
+  const used = new Set([baseCurrency]);
+  (orders || []).forEach(order => {
+    used.add(getTransactionCurrency(order));
+    used.add(getMarketValueCurrency(order));
+    (order.sales || []).forEach(sale => used.add(getTransactionCurrency(sale)));
+  });
+
+  return [...used].filter(currency => getRate(table, currency) == null);
+};
+
+/**
+ * Convert a sales table row into the base currency at its sale date
+ * Lot cost bases are in the purchase currency and convert at the purchase date
+ * @param {Object} sale - Row of the sales table
+ * @param {Object} order - Order the sale belongs to
+ * @param {string} baseCurrency - Target currency
+ * @param {Object} table - Table from buildRateTable
+ * @returns {Object} - Sale row in the base currency
+ */
+const convertSaleRow = (sale, order, baseCurrency, table) => {
+  const currency = getTransactionCurrency(sale);
+  const convert = (cents) => convertCents(cents, currency, baseCurrency, sale.sale_date, table);
+
+  const converted = {
+    ...sale,
+    currency: baseCurrency,
+    original_currency: currency,
+    sale_price_cents: convert(sale.sale_price_cents),
+    gross_cents: convert(sale.gross_cents),
+    fees_cents: convert(sale.fees_cents),
+    shipping_cents: convert(sale.shipping_cents),
+    net_cents: convert(sale.net_cents)
+  };
+
+  if (typeof sale.lot?.costBasisCents === 'number') {
+    converted.lot = {
+      ...sale.lot,
+      costBasisCents: convertCents(sale.lot.costBasisCents, getTransactionCurrency(order), baseCurrency, order.purchase_date, table)
+    };
+  }
+
+  return converted;
+};
+
+/**
+ * Convert an order and its sales into the base currency
+ * Costs convert at the purchase date, sales at their sale date and the market value at the latest rate
+ * Order-level sale totals and net_profit_cents are rebuilt from the converted sales
+ * @param {Object} order - Order (with sales and shipping_cost_cents)
+ * @param {string} baseCurrency - Target currency
+ * @param {Object} table - Table from buildRateTable
+ * @returns {Object} - Order in the base currency, with original_currency
+ */
+export const convertOrderToCurrency = (order, baseCurrency, table) => {
+  const currency = getTransactionCurrency(order);
+  const hasForeignSales = (order.sales || []).some(sale => getTransactionCurrency(sale) !== baseCurrency);
+  if (currency === baseCurrency && getMarketValueCurrency(order) === baseCurrency && baseCurrency === DEFAULT_CURRENCY && !hasForeignSales) return order;
+
+  const convertCost = (cents) => convertCents(cents, currency, baseCurrency, order.purchase_date, table);
+  const sales = Array.isArray(order.sales)
+    ? order.sales.map(sale => convertSaleRow(sale, order, baseCurrency, table))
+    : order.sales;
+
+  const converted = {
+    ...order,
+    currency: baseCurrency,
+    original_currency: currency,
+    price_per_item_cents: convertCost(order.price_per_item_cents),
+    total_cost_cents: convertCost(order.total_cost_cents),
+    shipping_cost_cents: convertCost(order.shipping_cost_cents),
+    market_value_cents: convertCents(order.market_value_cents, getMarketValueCurrency(order), baseCurrency, null, table),
+    market_value_currency: baseCurrency,
+    // Synced value an override replaced (USD)
+    synced_market_value_cents: convertCents(order.synced_market_value_cents, DEFAULT_CURRENCY, baseCurrency, null, table),
+    sales
+  };
+
+  if (Array.isArray(sales)) {
+    const records = getSaleHistory({ sales });
+    converted.sale_total_cents = records.reduce((sum, sale) => sum + (sale.grossCents || 0), 0);
+    converted.sale_fees_cents = records.reduce((sum, sale) => sum + (sale.feesCents || 0), 0);
+    converted.sale_shipping_cents = records.reduce((sum, sale) => sum + (sale.shippingCents || 0), 0);
+    converted.sale_net_cents = records.reduce((sum, sale) => sum + (sale.netCents || 0), 0);
+    if (order.net_profit_cents != null) {
+      converted.net_profit_cents = converted.sale_net_cents - (converted.price_per_item_cents || 0) * (order.quantity_sold ?? order.sold_count ?? 0);
+    }
+  }
+
+  return converted;
+};
+
+/**
+ * Convert orders into the base currency
+ * @param {Array} orders - Orders (with sales)
+ * @param {string} baseCurrency - Target currency
+ * @param {Object} table - Table from buildRateTable
+ * @returns {Array} - Orders in the base currency
+ */
+export const convertOrdersToCurrency = (orders, baseCurrency, table) => {
+  if (!Array.isArray(orders)) return [];
+  return orders.map(order => convertOrderToCurrency(order, baseCurrency, table));
+};
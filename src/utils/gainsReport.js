@@ -0,0 +1,136 @@
+/**
+ * Realized Gains Report Utilities
+ *
+ * Builds a tax-year report of every sale in the user's sale history with acquisition date,
+ * proceeds, selling expenses, cost basis and gain, totalled by holding term and marketplace
+ * All monetary values are in cents
+ */
+
+import { getSaleEvents } from './portfolioAnalytics';
+
+export const GAINS_REPORT_COLUMNS = [
+  'sale_date', 'acquired_date', 'item_name', 'set_name', 'grading', 'quantity', 'marketplace',
+  'proceeds', 'fees', 'shipping', 'cost_basis', 'gain', 'term', 'hold_days', 'lot_method'
+];
+
+/**
+ * Format a date as YYYY-MM-DD
+ * @param {Date|string|null} value - Date value
+ * @returns {string} - ISO date or ''
+ */
+const toIsoDate = (value) => {
+  if (!value) return '';
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? '' : date.toISOString().slice(0, 10);
+};
+
+/**
+ * Get the tax years that have at least one sale, newest first
+ * @param {Array} orders - Orders with their sales
+ * @returns {Array<number>} - Years
+ */
+export const getTaxYears = (orders) => {
+  const years = new Set(
+    getSaleEvents(orders)
+      .filter(event => event.saleDate)
+      .map(event => event.saleDate.getUTCFullYear())
+  );
+  return [...years].sort((a, b) => b - a);
+};
+
+/**
+ * Build the realized gains report for a tax year
+ * @param {Array} orders - Orders with their sales
+ * @param {number} taxYear - Calendar year of the sale dates to include
+ * @returns {Object} - { rows, totals, byTerm: { short, long }, byMarketplace }
+ */
+export const buildGainsReport = (orders, taxYear) => {
+  const rows = getSaleEvents(orders)
+    .filter(event => event.saleDate && event.saleDate.getUTCFullYear() === taxYear)
+    .map(event => {
+      const { order, sale } = event;
+      const proceeds = typeof sale.grossCents === 'number'
+        ? sale.grossCents
+        : (sale.salePrice || 0) * event.quantity;
+
+      return {
+        id: event.id,
+        saleDate: toIsoDate(event.saleDate),
+        acquiredDate: toIsoDate(sale.lot?.acquiredDate || event.purchaseDate),
+        itemName: order.item_name || 'Unknown item',
+        setName: order.set_name || '',
+        grading: order.grading_company
+          ? `${order.grading_company} ${order.grading_grade || ''}`.trim()
+          : order.card_condition || '',
+        quantity: event.quantity,
+        marketplace: sale.saleLocation || 'Unspecified',
+        proceeds,
+        fees: sale.feesCents || 0,
+        shipping: sale.shippingCents || 0,
+        costBasis: event.costBasis,
+        gain: event.profit,
+        term: event.term,
+        holdDays: event.holdDays,
+        lotMethod: sale.lot?.method || ''
+      };
+    })
+    .sort((a, b) => a.saleDate.localeCompare(b.saleDate));
+
+  const emptyTotals = () => ({ count: 0, quantity: 0, proceeds: 0, fees: 0, shipping: 0, costBasis: 0, gain: 0 });
+  const addRow = (totals, row) => {
+    totals.count += 1;
+    totals.quantity += row.quantity;
+    totals.proceeds += row.proceeds;
+    totals.fees += row.fees;
+    totals.shipping += row.shipping;
+    totals.costBasis += row.costBasis;
+    totals.gain += row.gain;
+    return totals;
+  };
+
+  const totals = emptyTotals();
+  const byTerm = { short: emptyTotals(), long: emptyTotals() };
+  const marketplaces = {};
+
+  rows.forEach(row => {
+    addRow(totals, row);
+    addRow(byTerm[row.term === 'long' ? 'long' : 'short'], row);
+    if (!marketplaces[row.marketplace]) marketplaces[row.marketplace] = emptyTotals();
+    addRow(marketplaces[row.marketplace], row);
+  });
+
+  return {
+    rows,
+    totals,
+    byTerm,
+    byMarketplace: Object.entries(marketplaces)
+      .map(([marketplace, marketplaceTotals]) => ({ marketplace, ...marketplaceTotals }))
+      .sort((a, b) => b.proceeds - a.proceeds)
+  };
+};
+
+/**
+ * Flatten report rows for CSV export (money in dollars)
+ * @param {Array} rows - Rows from buildGainsReport
+ * @returns {Array<Object>} - Rows keyed by GAINS_REPORT_COLUMNS
+ */
+export const toGainsReportCsvRows = (rows) => {
+  const dollars = (cents) => (cents / 100).toFixed(2);
+  return rows.map(row => ({
+    sale_date: row.saleDate,
+    acquired_date: row.acquiredDate,
+    item_name: row.itemName,
+    set_name: row.setName,
+    grading: row.grading,
+    quantity: row.quantity,
+    marketplace: row.marketplace,
+    proceeds: dollars(row.proceeds),
+    fees: dollars(row.fees),
+    shipping: dollars(row.shipping),
+    cost_basis: dollars(row.costBasis),
+    gain: dollars(row.gain),
+    term: row.term,
+    hold_days: row.holdDays ?? '',
+    lot_method: row.lotMethod
+  }));
+};
@@ -0,0 +1,120 @@
+/**
+ * Grading Submission Utilities
+ *
+ * Companies, status labels and fee allocation for grading submissions
+ * A submission's fees are charged per card plus batch costs (shipping, insurance) split evenly
+ * across its cards; each card's share is added to the cost basis of the graded order
+ */
+
+// 10 down to 1 in half steps, the grades the Collection add and edit forms offer for every company
+const HALF_POINT_GRADES = ['10', '9.5', '9', '8.5', '8', '7.5', '7', '6.5', '6', '5.5', '5', '4.5', '4', '3.5', '3', '2.5', '2', '1.5', '1'];
+
+/**
+ * Grading companies, their common service tiers and the grades a card can come back with
+ */
+export const GRADING_COMPANIES = [
+  { value: 'PSA', label: 'PSA', tiers: ['Value', 'Value Plus', 'Regular', 'Express', 'Super Express'], grades: HALF_POINT_GRADES },
+  { value: 'BGS', label: 'Beckett (BGS)', tiers: ['Base', 'Standard', 'Express', 'Priority'], grades: HALF_POINT_GRADES },
+  { value: 'CGC', label: 'CGC', tiers: ['Bulk', 'Economy', 'Standard', 'Express'], grades: HALF_POINT_GRADES },
+  { value: 'SGC', label: 'SGC', tiers: ['Standard', 'Express', 'Same Day'], grades: HALF_POINT_GRADES }
+];
+
+/**
+ * Submission statuses in timeline order
+ * The date column is filled in when a submission reaches the status
+ */
+export const GRADING_STATUSES = [
+  { value: 'prepped', label: 'Prepped', color: 'text-gray-400', dateField: null },
+  { value: 'shipped', label: 'Shipped', color: 'text-blue-400', dateField: 'shipped_date' },
+  { value: 'received', label: 'Received', color: 'text-indigo-400', dateField: 'received_date' },
+  { value: 'graded', label: 'Graded', color: 'text-purple-400', dateField: 'graded_date' },
+  { value: 'returned', label: 'Returned', color: 'text-green-400', dateField: 'returned_date' }
+];
+
+/**
+ * Get the grades a card can come back with from a company
+ * @param {string} company - Grading company value
+ * @returns {Array<string>} - Grades, best first
+ */
+export const getCompanyGrades = (company) => {
+  return GRADING_COMPANIES.find(c => c.value === company)?.grades || HALF_POINT_GRADES;
+};
+
+/**
+ * Get the display label for a status
+ * @param {string} status - Submission status value
+ * @returns {string} - Display label
+ */
+export const getGradingStatusLabel = (status) => {
+  return GRADING_STATUSES.find(s => s.value === status)?.label || 'Unknown';
+};
+
+/**
+ * Get the text color class for a status
+ * @param {string} status - Submission status value
+ * @returns {string} - Tailwind text color class
+ */
+export const getGradingStatusColor = (status) => {
+  return GRADING_STATUSES.find(s => s.value === status)?.color || 'text-gray-400';
+};
+
+/**
+ * Get the status a submission moves to next
+ * Submissions become 'returned' only when their grades are recorded
+ * @param {string} status - Current status
+ * @returns {string|null} - Next status before 'returned', or null
+ */
+export const getNextGradingStatus = (status) => {
+  const index = GRADING_STATUSES.findIndex(s => s.value === status);
+  const next = GRADING_STATUSES[index + 1];
+  return next && next.value !== 'returned' ? next.value : null;
+};
+
+/**
+ * Check if a submission is still with the grader or on its way
+ * @param {Object} submission - The submission object
+ * @returns {boolean} - True until the submission is returned
+ */
+export const isSubmissionOpen = (submission) => {
+  return !!submission && submission.status !== 'returned';
+};
+
+/**
+ * Split a submission's fees across its cards
+ * Batch costs are divided evenly; leftover cents go to the first cards
+ * @param {Object} submission - Submission with fee_per_card_cents, other_fees_cents and items
+ * @returns {Object} - { [itemId]: fee in cents, in the submission's currency }
+ */
+export const allocateGradingFees = (submission) => {
+  const items = submission?.items || [];
+  if (items.length === 0) return {};
+
+  const otherFees = submission.other_fees_cents || 0;
+  const share = Math.floor(otherFees / items.length);
+  const remainder = otherFees - share * items.length;
+
+  const fees = {};
+  items.forEach((item, index) => {
+    fees[item.id] = (submission.fee_per_card_cents || 0) + share + (index < remainder ? 1 : 0);
+  });
+  return fees;
+};
+
+/**
+ * Get the total fees of a submission
+ * @param {Object} submission - Submission with fee_per_card_cents, other_fees_cents and items
+ * @returns {number} - Total fees in cents
+ */
+export const getSubmissionTotalFees = (submission) => {
+  const count = submission?.items?.length || 0;
+  return (submission?.fee_per_card_cents || 0) * count + (count > 0 ? submission.other_fees_cents || 0 : 0);
+};
+
+/**
+ * Get the total declared value of a submission
+ * @param {Object} submission - Submission with items
+ * @returns {number} - Declared value in cents
+ */
+export const getSubmissionDeclaredValue = (submission) => {
+  return (submission?.items || []).reduce((sum, item) => sum + (item.declared_value_cents || 0), 0);
+};
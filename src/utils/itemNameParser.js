@@ -415,3 +415,25 @@ export function hasSetName(fullName) {
 }
 
 
+/**
+ * Find a known set name anywhere in a text (e.g. "Umbreon VMAX Evolving Skies 215")
+ * Short all-caps patterns (EX, XY) are skipped since they collide with card names like "Charizard ex"
+ * @param {string} text - Free text
+ * @returns {object|null} - { setName: string, index: number, length: number } of the longest match, or null
+ */
+export function findSetName(text) {
+  if (!text || typeof text !== 'string') return null;
+
+  const lowerText = text.toLowerCase();
+  let best = null;
+  for (const setPattern of SET_PATTERNS) {
+    if (setPattern.length < 4 && !/^\d+$/.test(setPattern)) continue;
+
+    const escaped = setPattern.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const match = new RegExp(`(^|[^a-z0-9])${escaped}(?=$|[^a-z0-9])`).exec(lowerText);
+    if (match && (!best || setPattern.length > best.length)) {
+      best = { setName: setPattern, index: match.index + match[1].length, length: setPattern.length };
+    }
+  }
+  return best;
+}
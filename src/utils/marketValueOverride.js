@@ -0,0 +1,92 @@
+/**
+ * Market Value Override Utilities
+ *
+ * Users override the synced market value of a product (every order of a card or item) or of a
+ * single order. Order overrides win over product overrides; an override stops applying on its
+ * expires_on date and the synced price takes over again
+ */
+
+/**
+ * Common source labels offered when setting an override
+ */
+export const OVERRIDE_SOURCES = ['eBay comp', 'Appraisal', 'Recent sale', 'Dealer offer', 'Other'];
+
+/**
+ * Get the product an order's overrides are keyed by
+ * @param {Object} order - Order with pokemon_card_id / item_id
+ * @returns {{ product_type: string, product_id: string }|null} - null when the order has no product
+ */
+export const getOverrideProduct = (order) => {
+  if (order?.pokemon_card_id) return { product_type: 'card', product_id: String(order.pokemon_card_id) };
+  if (order?.item_id) return { product_type: 'item', product_id: String(order.item_id) };
+  return null;
+};
+
+/**
+ * Check whether an override applies on a date
+ * @param {Object} override - Row of market_value_overrides
+ * @param {string} date - YYYY-MM-DD (defaults to today)
+ * @returns {boolean} - False from the expires_on date on
+ */
+export const isOverrideActive = (override, date = null) => {
+  if (!override) return false;
+  if (!override.expires_on) return true;
+  const day = date || new Date().toISOString().split('T')[0];
+  return day < override.expires_on;
+};
+
+/**
+ * Index active overrides for lookups by order and by product
+ * @param {Array} overrides - Rows of market_value_overrides
+ * @returns {{ byOrderId: Object, byProduct: Object }}
+ */
+export const indexOverrides = (overrides) => {
+  const byOrderId = {};
+  const byProduct = {};
+  (overrides || []).filter(override => isOverrideActive(override)).forEach(override => {
+    if (override.order_id) {
+      byOrderId[override.order_id] = override;
+    } else {
+      byProduct[`${override.product_type}:${override.product_id}`] = override;
+    }
+  });
+  return { byOrderId, byProduct };
+};
+
+/**
+ * Find the override that applies to an order
+ * @param {Object} order - Order
+ * @param {Object} index - From indexOverrides
+ * @returns {Object|null} - The order's own override, else its product's, else null
+ */
+export const findOverrideForOrder = (order, index) => {
+  if (index.byOrderId[order.id]) return index.byOrderId[order.id];
+  const product = getOverrideProduct(order);
+  return product ? index.byProduct[`${product.product_type}:${product.product_id}`] || null : null;
+};
+
+/**
+ * Value an order at its override
+ * market_value_cents becomes the override value (in market_value_currency); the synced value is
+ * kept as synced_market_value_cents
+ * @param {Object} order - Order valued at the synced (condition-adjusted) price
+ * @param {Object} override - Row of market_value_overrides, or null
+ * @returns {Object} - Order with market_value_override
+ */
+export const applyMarketValueOverride = (order, override) => {
+  if (!override) return order;
+
+  return {
+    ...order,
+    synced_market_value_cents: order.market_value_cents,
+    market_value_cents: override.value_cents,
+    market_value_currency: override.currency || null,
+    market_value_override: {
+      id: override.id,
+      scope: override.order_id ? 'order' : 'product',
+      reason: override.reason || null,
+      source: override.source || null,
+      expires_on: override.expires_on || null
+    }
+  };
+};
@@ -0,0 +1,148 @@
+/**
+ * Marketplace Fee Utilities
+ *
+ * Calculates selling fees from the marketplace table's fee structure
+ * Supports percentage, flat and tiered fees, each with an optional per-transaction fixed fee
+ * All monetary values are in cents
+ */
+
+/**
+ * Normalize a marketplace / sale location name for matching
+ * @param {string} value - Name or display name
+ * @returns {string} - Lowercase name with spaces and punctuation collapsed to underscores
+ */
+const normalizeName = (value) => {
+  return String(value || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+};
+
+/**
+ * Find the marketplace a sale location refers to
+ * @param {Array} marketplaces - Rows from the marketplace table
+ * @param {string} saleLocation - Sale location as entered on the sale
+ * @returns {Object|null} - Matching marketplace or null
+ */
+export const findMarketplace = (marketplaces, saleLocation) => {
+  const key = normalizeName(saleLocation);
+  if (!key || !Array.isArray(marketplaces)) return null;
+
+  return marketplaces.find(marketplace =>
+    normalizeName(marketplace.name) === key || normalizeName(marketplace.display_name) === key
+  ) || null;
+};
+
+/**
+ * Apply tiered percentages to the portion of the gross inside each band
+ * @param {Array} tiers - [{ up_to_cents, percentage }] ordered by up_to_cents, null = no upper bound
+ * @param {number} grossCents - Sale gross
+ * @returns {number} - Percentage fee in cents (unrounded)
+ */
+const calculateTieredFee = (tiers, grossCents) => {
+  let fee = 0;
+  let lowerBound = 0;
+
+  for (const tier of tiers) {
+    if (grossCents <= lowerBound) break;
+    const upperBound = tier.up_to_cents == null ? grossCents : Math.min(grossCents, tier.up_to_cents);
+    fee += Math.max(0, upperBound - lowerBound) * (parseFloat(tier.percentage) || 0) / 100;
+    if (tier.up_to_cents == null) break;
+    lowerBound = tier.up_to_cents;
+  }
+
+  return fee;
+};
+
+/**
+ * Calculate the marketplace fee for a sale
+ * @param {Object|null} marketplace - Row from the marketplace table
+ * @param {number} grossCents - Sale gross (price per item x quantity)
+ * @returns {Object} - { feeCents, percentageFeeCents, fixedFeeCents }
+ */
+export const calculateMarketplaceFee = (marketplace, grossCents) => {
+  const noFee = { feeCents: 0, percentageFeeCents: 0, fixedFeeCents: 0 };
+  if (!marketplace || !marketplace.has_fees || !(grossCents > 0)) return noFee;
+
+  let percentageFee = 0;
+  let fixedFee = marketplace.fee_fixed_cents || 0;
+
+  switch (marketplace.fee_type) {
+    case 'percentage':
+      percentageFee = grossCents * (parseFloat(marketplace.fee_percentage) || 0) / 100;
+      break;
+    case 'flat':
+      fixedFee += marketplace.fee_flat_cents || 0;
+      break;
+    case 'tiered': {
+      const tiers = Array.isArray(marketplace.fee_tiers) && marketplace.fee_tiers.length > 0
+        ? marketplace.fee_tiers
+        : [{ up_to_cents: null, percentage: marketplace.fee_percentage }];
+      percentageFee = calculateTieredFee(tiers, grossCents);
+      break;
+    }
+    default:
+      return noFee;
+  }
+
+  const percentageFeeCents = Math.round(percentageFee);
+  return {
+    feeCents: percentageFeeCents + fixedFee,
+    percentageFeeCents,
+    fixedFeeCents: fixedFee
+  };
+};
+
+/**
+ * Break a sale down into gross, fees, shipping and net
+ * @param {Object} sale - { salePriceCents (per item), quantity, shippingCents, feesCents (optional override) }
+ * @param {Object|null} marketplace - Row from the marketplace table
+ * @returns {Object} - { grossCents, feesCents, shippingCents, netCents }
+ */
+export const calculateSaleBreakdown = (sale, marketplace) => {
+  const grossCents = Math.round((sale.salePriceCents || 0) * (sale.quantity || 0));
+  const feesCents = sale.feesCents != null
+    ? Math.round(sale.feesCents)
+    : calculateMarketplaceFee(marketplace, grossCents).feeCents;
+  const shippingCents = Math.round(sale.shippingCents || 0);
+
+  return {
+    grossCents,
+    feesCents,
+    shippingCents,
+    netCents: grossCents - feesCents - shippingCents
+  };
+};
+
+/**
+ * Get the net proceeds of a sale record
+ * Falls back to gross minus any recorded fees and shipping for records saved before the breakdown existed
+ * @param {Object} sale - Sale record from sale history
+ * @returns {number} - Net proceeds in cents
+ */
+export const getSaleNetCents = (sale) => {
+  if (!sale) return 0;
+  if (typeof sale.netCents === 'number') return sale.netCents;
+  const grossCents = typeof sale.grossCents === 'number'
+    ? sale.grossCents
+    : (sale.salePrice || 0) * (sale.quantity || 0);
+  return grossCents - (sale.feesCents || 0) - (sale.shippingCents || 0);
+};
+
+/**
+ * Describe a marketplace's fee structure for display
+ * @param {Object|null} marketplace - Row from the marketplace table
+ * @returns {string} - e.g. "12.9% + $0.30"
+ */
+export const describeMarketplaceFee = (marketplace) => {
+  if (!marketplace || !marketplace.has_fees) return 'No fees';
+
+  const parts = [];
+  if (marketplace.fee_type === 'tiered' && Array.isArray(marketplace.fee_tiers) && marketplace.fee_tiers.length > 0) {
+    parts.push(marketplace.fee_tiers.map(tier => `${parseFloat(tier.percentage)}%`).join(' / '));
+  } else if (marketplace.fee_percentage != null && marketplace.fee_type !== 'flat') {
+    parts.push(`${parseFloat(marketplace.fee_percentage)}%`);
+  }
+
+  const fixedCents = (marketplace.fee_fixed_cents || 0) + (marketplace.fee_type === 'flat' ? (marketplace.fee_flat_cents || 0) : 0);
+  if (fixedCents > 0) parts.push(`$${(fixedCents / 100).toFixed(2)}`);
+
+  return parts.join(' + ') || 'No fees';
+};
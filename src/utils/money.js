@@ -50,3 +50,8 @@ export const formatNumber = (n) => {
   if (n == null || isNaN(n)) return "0";
   return Number(n).toLocaleString();
 };
+
+export const formatMoney = (c, currency = 'USD') => {
+  const value = Number(c || 0) / 100;
+  return value.toLocaleString('en-US', { style: 'currency', currency, minimumFractionDigits: 2, maximumFractionDigits: 2 });
+};
@@ -0,0 +1,138 @@
+import { allocateSaleToLots } from './taxLots';
+
+/**
+ * Offline Mutations
+ *
+ * Writes made without a connection are queued (see offlineSyncService) and replayed in order.
+ * Until then the mirrored orders are shown with the queued writes applied on top, so the
+ * collection looks the way it will once the queue has synced
+ */
+
+export const OFFLINE_MUTATION_TYPES = {
+  'add-order': { label: 'Add purchase' },
+  'update-order': { label: 'Edit order' },
+  'delete-orders': { label: 'Delete orders' },
+  'record-sale': { label: 'Record sale' }
+};
+
+/**
+ * Get the display label of a mutation type
+ * @param {string} type - Key of OFFLINE_MUTATION_TYPES
+ * @returns {string} - Label
+ */
+export const getOfflineMutationLabel = (type) => OFFLINE_MUTATION_TYPES[type]?.label || type;
+
+/**
+ * Short description of what a queued mutation changes
+ * @param {Object} mutation - Queued mutation
+ * @returns {string} - Description
+ */
+export const describeOfflineMutation = (mutation) => {
+  const { type, payload = {} } = mutation;
+  switch (type) {
+    case 'add-order':
+      return `${payload.display?.item_name || 'Item'} × ${payload.order?.quantity || 1}`;
+    case 'update-order':
+      return payload.display?.item_name || 'Order';
+    case 'delete-orders':
+      return `${payload.orderIds?.length || 0} order${payload.orderIds?.length === 1 ? '' : 's'}`;
+    case 'record-sale':
+      return `${payload.order?.item_name || 'Item'} × ${payload.sale?.quantity || 1}`;
+    default:
+      return '';
+  }
+};
+
+/**
+ * Versions of orders as loaded, checked on replay to detect edits made elsewhere in the meantime
+ * @param {Array} orders - Loaded orders
+ * @param {Array} ids - Order ids the mutation touches
+ * @returns {Object} - { [orderId]: version }
+ */
+export const getOrderVersions = (orders, ids) => {
+  const versions = {};
+  ids.forEach(id => {
+    const order = (orders || []).find(candidate => candidate.id === id);
+    versions[id] = order?.version ?? null;
+  });
+  return versions;
+};
+
+/**
+ * Split a queued sale across lots the way the server will, for the optimistic view
+ * Marketplace fees are left at the entered amount (or 0) until the sale is replayed
+ * @param {Object} sale - Sale passed to taxLotService.recordSale
+ * @param {Array} lots - Open lots
+ * @param {string} method - Key of LOT_METHODS
+ * @param {Array} selections - For 'specific': [{ orderId, quantity }]
+ * @returns {Array} - Lot allocations
+ */
+export const previewSaleAllocations = (sale, lots, method, selections = []) =>
+  allocateSaleToLots({ ...sale, feesCents: sale.feesCents || 0 }, lots, method, selections);
+
+const toPendingSaleRow = (mutation, allocation) => {
+  const { sale } = mutation.payload;
+  return {
+    id: `offline-${mutation.id}-${allocation.orderId}`,
+    order_id: allocation.orderId,
+    quantity: allocation.quantity,
+    sale_date: String(sale.saleDate || mutation.createdAt).slice(0, 10),
+    sale_price_cents: sale.salePriceCents || 0,
+    gross_cents: allocation.grossCents,
+    fees_cents: allocation.feesCents,
+    shipping_cents: allocation.shippingCents,
+    net_cents: allocation.netCents,
+    sale_location: sale.saleLocation || null,
+    notes: sale.saleNotes || null,
+    buyer: sale.buyer || null,
+    currency: sale.currency || null,
+    created_at: mutation.createdAt,
+    offline_pending: true
+  };
+};
+
+/**
+ * Apply queued mutations on top of loaded orders
+ * Rows touched by a queued mutation are marked offline_pending
+ * @param {Array} orders - Orders from the server or the offline mirror
+ * @param {Array} mutations - Queued mutations, oldest first
+ * @returns {Array} - Orders as they will be after the queue syncs
+ */
+export const applyPendingMutations = (orders, mutations) => {
+  const pending = (mutations || []).filter(mutation => mutation.status === 'pending');
+  if (pending.length === 0) return orders;
+
+  return pending.reduce((current, mutation) => {
+    const { type, payload } = mutation;
+    switch (type) {
+      case 'add-order':
+        return [...current, { ...payload.order, ...payload.display, sales: [], offline_pending: true }];
+
+      case 'update-order':
+        return current.map(order =>
+          order.id === payload.orderId ? { ...order, ...payload.updates, offline_pending: true } : order
+        );
+
+      case 'delete-orders':
+        return current.filter(order => !payload.orderIds.includes(order.id));
+
+      case 'record-sale': {
+        const allocations = payload.allocations || [];
+        return current.map(order => {
+          const orderAllocations = allocations.filter(allocation => allocation.orderId === order.id);
+          if (orderAllocations.length === 0) return order;
+          const soldCount = orderAllocations.reduce((sum, allocation) => sum + allocation.quantity, 0);
+          return {
+            ...order,
+            quantity_sold: (order.quantity_sold || 0) + soldCount,
+            sales: [...(order.sales || []), ...orderAllocations.map(allocation => toPendingSaleRow(mutation, allocation))],
+            offline_pending: true
+          };
+        });
+      }
+
+      default:
+        return current;
+    }
+  }, orders || []);
+};
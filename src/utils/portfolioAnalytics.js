@@ -0,0 +1,291 @@
+import { getSaleHistory } from './saleHistoryManager';
+import { getRemainingCount, getSoldCount } from './orderStatus';
+import { getShippingCentsForCopies } from './shipmentStatus';
+import { getSaleNetCents } from './marketplaceFees';
+import { getHoldingPeriod } from './taxLots';
+
+/**
+ * Portfolio Analytics Utilities
+ *
+ * Derives portfolio performance metrics from the user's order rows and the
+ * individual sale records stored in their sale history
+ * All monetary values are in cents
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Number of days covered by each supported time range (null = all time)
+ */
+export const TIME_RANGE_DAYS = {
+  '7d': 7,
+  '30d': 30,
+  '90d': 90,
+  '1y': 365,
+  'all': null
+};
+
+/**
+ * Get the start date for a time range
+ * @param {string} timeRange - One of '7d', '30d', '90d', '1y', 'all'
+ * @param {Date} now - Reference date (defaults to now)
+ * @returns {Date|null} - Start of the range, or null for all time
+ */
+export const getRangeStart = (timeRange, now = new Date()) => {
+  const days = TIME_RANGE_DAYS[timeRange];
+  if (!days) return null;
+  return new Date(now.getTime() - days * DAY_MS);
+};
+
+/**
+ * Parse a date value safely
+ * @param {string|Date} value - Date value
+ * @returns {Date|null} - Parsed date or null if invalid
+ */
+const toDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Check whether a date falls inside the range
+ * @param {Date|null} date - Date to check
+ * @param {Date|null} rangeStart - Range start (null = all time)
+ * @returns {boolean}
+ */
+const isInRange = (date, rangeStart) => {
+  if (!rangeStart) return true;
+  return !!date && date >= rangeStart;
+};
+
+/**
+ * Get the cost of some copies of an order, including allocated inbound shipping
+ * @param {Object} order - The order object
+ * @param {number} count - Number of copies
+ * @param {number} firstCopy - Zero-based index of the first of those copies (sold copies come first)
+ * @returns {number} - Cost of the copies in cents
+ */
+const getCopiesCost = (order, count, firstCopy = 0) => {
+  if (count <= 0) return 0;
+  const shipping = getShippingCentsForCopies(order, count, firstCopy);
+  if (order.price_per_item_cents != null) return order.price_per_item_cents * count + shipping;
+  const quantity = order.quantity || 0;
+  return quantity > 0 ? Math.round((order.total_cost_cents || 0) / quantity) * count + shipping : 0;
+};
+
+/**
+ * Key used to group orders of the same product for performer ranking
+ * @param {Object} order - The order object
+ * @returns {string}
+ */
+const getPerformerKey = (order) => {
+  return order.pokemon_card_id
+    ? `card-${order.pokemon_card_id}`
+    : order.item_id
+      ? `item-${order.item_id}`
+      : `${order.item_name}|${order.set_name}`;
+};
+
+/**
+ * Flatten the sale history of every order into dated sale events
+ * @param {Array} orders - Array of order objects (must include their sales)
+ * @returns {Array} - Sale events with order and sale record reference, proceeds and cost basis
+ */
+export const getSaleEvents = (orders) => {
+  if (!Array.isArray(orders)) return [];
+
+  return orders.flatMap(order => {
+    const purchaseDate = toDate(order.purchase_date);
+    let soldBefore = 0;
+
+    return getSaleHistory(order).map(sale => {
+      const quantity = sale.quantity || 0;
+      const firstCopy = soldBefore;
+      soldBefore += quantity;
+      const saleDate = toDate(sale.saleDate);
+      // Net of marketplace fees and seller-paid shipping
+      const proceeds = getSaleNetCents(sale);
+      // Lot-matched sales carry the cost basis of the lot they consumed
+      const costBasis = typeof sale.lot?.costBasisCents === 'number' ? sale.lot.costBasisCents : getCopiesCost(order, quantity, firstCopy);
+
+      return {
+        id: sale.id,
+        order,
+        sale,
+        quantity,
+        saleDate,
+        purchaseDate,
+        proceeds,
+        costBasis,
+        profit: proceeds - costBasis,
+        holdDays: saleDate && purchaseDate
+          ? Math.max(0, Math.round((saleDate - purchaseDate) / DAY_MS))
+          : null,
+        term: sale.lot?.term || getHoldingPeriod(purchaseDate, saleDate).term
+      };
+    });
+  });
+};
+
+/**
+ * Calculate portfolio analytics for a time range
+ *
+ * - Invested: cost of everything purchased inside the range
+ * - Realized P&L: proceeds minus cost basis of sales made inside the range
+ * - Unrealized P&L: market value minus cost of on-hand items purchased inside the range
+ * - ROI: total P&L over the cost basis of the sold and on-hand units counted above
+ *
+ * @param {Array} orders - Array of order objects
+ * @param {string} timeRange - One of '7d', '30d', '90d', '1y', 'all'
+ * @param {Date} now - Reference date (defaults to now)
+ * @returns {Object} - Analytics summary
+ */
+export const calculatePortfolioAnalytics = (orders, timeRange = '30d', now = new Date()) => {
+  const rangeStart = getRangeStart(timeRange, now);
+  const safeOrders = Array.isArray(orders) ? orders : [];
+
+  let totalInvested = 0;
+  let currentValue = 0;
+  let unrealizedCostBasis = 0;
+  const performers = {};
+
+  const getPerformer = (order) => {
+    const key = getPerformerKey(order);
+    if (!performers[key]) {
+      performers[key] = {
+        key,
+        name: order.item_name || 'Unknown Item',
+        setName: order.set_name || null,
+        costBasis: 0,
+        value: 0
+      };
+    }
+    return performers[key];
+  };
+
+  safeOrders.forEach(order => {
+    const purchaseDate = toDate(order.purchase_date);
+    if (!isInRange(purchaseDate, rangeStart)) return;
+
+    totalInvested += getCopiesCost(order, order.quantity || 0);
+
+    const remaining = getRemainingCount(order);
+    if (remaining > 0) {
+      const marketValue = (order.market_value_cents || 0) * remaining;
+      const cost = getCopiesCost(order, remaining, getSoldCount(order));
+      currentValue += marketValue;
+      unrealizedCostBasis += cost;
+
+      const performer = getPerformer(order);
+      performer.costBasis += cost;
+      performer.value += marketValue;
+    }
+  });
+
+  const salesInRange = getSaleEvents(safeOrders).filter(sale => isInRange(sale.saleDate, rangeStart));
+
+  let realizedProceeds = 0;
+  let realizedCostBasis = 0;
+  let itemsSold = 0;
+  let holdDaysTotal = 0;
+  let holdDaysQuantity = 0;
+
+  salesInRange.forEach(sale => {
+    realizedProceeds += sale.proceeds;
+    realizedCostBasis += sale.costBasis;
+    itemsSold += sale.quantity;
+
+    if (sale.holdDays != null) {
+      holdDaysTotal += sale.holdDays * sale.quantity;
+      holdDaysQuantity += sale.quantity;
+    }
+
+    const performer = getPerformer(sale.order);
+    performer.costBasis += sale.costBasis;
+    performer.value += sale.proceeds;
+  });
+
+  const realizedProfit = realizedProceeds - realizedCostBasis;
+  const unrealizedProfit = currentValue - unrealizedCostBasis;
+  const totalProfit = realizedProfit + unrealizedProfit;
+  const totalCostBasis = realizedCostBasis + unrealizedCostBasis;
+
+  // Rank products by return, ignoring anything without a cost basis
+  const ranked = Object.values(performers)
+    .filter(performer => performer.costBasis > 0)
+    .map(performer => ({
+      ...performer,
+      profit: performer.value - performer.costBasis,
+      returnPercent: ((performer.value - performer.costBasis) / performer.costBasis) * 100
+    }))
+    .sort((a, b) => b.returnPercent - a.returnPercent);
+
+  return {
+    totalInvested,
+    currentValue,
+    realizedProfit,
+    unrealizedProfit,
+    totalProfit,
+    roi: totalCostBasis > 0 ? (totalProfit / totalCostBasis) * 100 : 0,
+    itemsSold,
+    salesCount: salesInRange.length,
+    avgHoldTime: holdDaysQuantity > 0 ? Math.round(holdDaysTotal / holdDaysQuantity) : null,
+    bestPerformer: ranked[0] || null,
+    worstPerformer: ranked.length > 1 ? ranked[ranked.length - 1] : null
+  };
+};
+
+/**
+ * Build a daily series of cumulative invested amount and realized profit
+ * @param {Array} orders - Array of order objects
+ * @param {string} timeRange - One of '7d', '30d', '90d', '1y', 'all'
+ * @param {Date} now - Reference date (defaults to now)
+ * @returns {Array} - [{ date, invested, realizedProfit }] in cents
+ */
+export const buildPerformanceSeries = (orders, timeRange = '30d', now = new Date()) => {
+  const safeOrders = Array.isArray(orders) ? orders : [];
+  const sales = getSaleEvents(safeOrders);
+
+  let rangeStart = getRangeStart(timeRange, now);
+  if (!rangeStart) {
+    // All time starts at the earliest purchase or sale
+    const dates = [
+      ...safeOrders.map(order => toDate(order.purchase_date)),
+      ...sales.map(sale => sale.saleDate)
+    ].filter(Boolean);
+    if (dates.length === 0) return [];
+    rangeStart = new Date(Math.min(...dates));
+  }
+
+  const dayKey = (date) => date.toISOString().split('T')[0];
+  const investedByDay = {};
+  const profitByDay = {};
+
+  safeOrders.forEach(order => {
+    const purchaseDate = toDate(order.purchase_date);
+    if (!isInRange(purchaseDate, rangeStart)) return;
+    const key = dayKey(purchaseDate);
+    investedByDay[key] = (investedByDay[key] || 0) + getCopiesCost(order, order.quantity || 0);
+  });
+
+  sales.forEach(sale => {
+    if (!isInRange(sale.saleDate, rangeStart)) return;
+    const key = dayKey(sale.saleDate);
+    profitByDay[key] = (profitByDay[key] || 0) + sale.profit;
+  });
+
+  const series = [];
+  let invested = 0;
+  let realizedProfit = 0;
+  const startDay = new Date(dayKey(rangeStart));
+
+  for (let day = startDay; day <= now; day = new Date(day.getTime() + DAY_MS)) {
+    const key = dayKey(day);
+    invested += investedByDay[key] || 0;
+    realizedProfit += profitByDay[key] || 0;
+    series.push({ date: key, invested, realizedProfit });
+  }
+
+  return series;
+};
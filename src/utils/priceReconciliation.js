@@ -0,0 +1,61 @@
+/**
+ * Price Reconciliation Utilities
+ *
+ * Labels for price_flags rows. A flag is raised when a source's price falls outside the band around the
+ * other sources (source_disagreement) or moved too far since its last accepted price (price_jump)
+ */
+
+/**
+ * Why a price was flagged
+ */
+export const PRICE_FLAG_REASONS = [
+  { value: 'source_disagreement', label: 'Sources disagree' },
+  { value: 'price_jump', label: 'Day-over-day jump' }
+];
+
+/**
+ * Review statuses
+ */
+export const PRICE_FLAG_STATUSES = [
+  { value: 'pending', label: 'Pending', color: 'text-yellow-400' },
+  { value: 'confirmed', label: 'Confirmed', color: 'text-green-400' },
+  { value: 'rejected', label: 'Rejected', color: 'text-red-400' }
+];
+
+/**
+ * Default thresholds (mirrors price_reconciliation_settings)
+ */
+export const DEFAULT_RECONCILIATION_SETTINGS = {
+  band_percent: 50,
+  jump_percent: 100,
+  min_price: 1
+};
+
+/**
+ * Get the display label for a flag reason
+ * @param {string} reason - Flag reason value
+ * @returns {string} - Display label
+ */
+export const getPriceFlagReasonLabel = (reason) => {
+  return PRICE_FLAG_REASONS.find(r => r.value === reason)?.label || 'Unknown';
+};
+
+/**
+ * Get the display label and color for a review status
+ * @param {string} status - Flag status value
+ * @returns {Object} - { label, color }
+ */
+export const getPriceFlagStatus = (status) => {
+  return PRICE_FLAG_STATUSES.find(s => s.value === status) || { label: 'Unknown', color: 'text-gray-400' };
+};
+
+/**
+ * Get a flag's source prices, the flagged source first, then by price
+ * @param {Object} flag - price_flags row
+ * @returns {Array} - [{ source, price, flagged }]
+ */
+export const getFlagSourcePrices = (flag) => {
+  return Object.entries(flag?.source_prices || {})
+    .map(([source, price]) => ({ source, price: Number(price), flagged: source === flag.source }))
+    .sort((a, b) => (b.flagged - a.flagged) || (a.price - b.price));
+};
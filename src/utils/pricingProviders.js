@@ -0,0 +1,127 @@
+/**
+ * Pricing Provider Utilities
+ *
+ * Pricing providers, the product kinds they price and the default order they are tried in.
+ * A resolved price carries its provenance: the provider it came from, when that provider fetched it
+ * and a confidence level, lowered when the price is stale or was matched by name rather than by id
+ */
+
+/**
+ * Product kinds a price is resolved for
+ */
+export const PRODUCT_KINDS = [
+  { value: 'single', label: 'Raw Singles' },
+  { value: 'graded', label: 'Graded Cards' },
+  { value: 'sealed', label: 'Sealed Products' }
+];
+
+/**
+ * Known providers
+ * maxAgeHours: a price older than this is stale and the next provider is tried
+ * confidence: confidence of a fresh price matched by id
+ */
+export const PRICING_PROVIDERS = [
+  { id: 'scrydex', name: 'Scrydex', description: 'Synced card prices', kinds: ['single', 'graded'], maxAgeHours: 24, confidence: 'high' },
+  { id: 'scrydex-live', name: 'Scrydex Live', description: 'On-demand card price lookup', kinds: ['single', 'graded'], maxAgeHours: 24, confidence: 'high' },
+  { id: 'tcgcsv', name: 'TCGplayer (TCGCSV)', description: 'Daily TCGplayer market prices', kinds: ['single', 'sealed'], maxAgeHours: 36, confidence: 'high' },
+  { id: 'pricecharting', name: 'PriceCharting', description: 'Sealed product prices', kinds: ['sealed'], maxAgeHours: 48, confidence: 'medium' },
+  { id: 'tcggo', name: 'TCGGo', description: 'TCGplayer prices through RapidAPI', kinds: ['sealed'], maxAgeHours: 48, confidence: 'medium' }
+];
+
+/**
+ * Order providers are tried in when the user has not set one
+ */
+export const DEFAULT_PROVIDER_PRIORITY = {
+  single: ['scrydex', 'scrydex-live', 'tcgcsv'],
+  graded: ['scrydex', 'scrydex-live'],
+  sealed: ['tcgcsv', 'pricecharting', 'tcggo']
+};
+
+export const PRICE_CONFIDENCE_LEVELS = [
+  { value: 'high', label: 'High confidence', color: 'text-green-400' },
+  { value: 'medium', label: 'Medium confidence', color: 'text-yellow-400' },
+  { value: 'low', label: 'Low confidence', color: 'text-red-400' }
+];
+
+/**
+ * Get a provider's definition
+ * @param {string} providerId - Provider id
+ * @returns {Object|null} - Provider, or null if unknown
+ */
+export const getPricingProvider = (providerId) => {
+  return PRICING_PROVIDERS.find(provider => provider.id === providerId) || null;
+};
+
+/**
+ * Get the providers that can price a product kind
+ * @param {string} kind - 'single', 'graded' or 'sealed'
+ * @returns {Array} - Providers
+ */
+export const getProvidersForKind = (kind) => {
+  return PRICING_PROVIDERS.filter(provider => provider.kinds.includes(kind));
+};
+
+/**
+ * Normalize a stored priority, dropping unknown or duplicate providers and
+ * providers that cannot price the kind
+ * @param {Object|null} priority - { [kind]: [providerId] }
+ * @returns {Object} - Priority for every kind; a kind left empty gets the default order
+ */
+export const normalizeProviderPriority = (priority) => {
+  return Object.fromEntries(PRODUCT_KINDS.map(({ value: kind }) => {
+    const ids = Array.isArray(priority?.[kind]) ? priority[kind] : [];
+    const valid = [...new Set(ids)].filter(id => getPricingProvider(id)?.kinds.includes(kind));
+    return [kind, valid.length > 0 ? valid : DEFAULT_PROVIDER_PRIORITY[kind]];
+  }));
+};
+
+/**
+ * Check whether a provider's price is too old to trust
+ * @param {string} providerId - Provider id
+ * @param {string|null} fetchedAt - When the provider fetched the price
+ * @param {number} now - Current time in ms (defaults to Date.now())
+ * @returns {boolean} - True when stale or of unknown age
+ */
+export const isPriceStale = (providerId, fetchedAt, now = Date.now()) => {
+  if (!fetchedAt) return true;
+  const maxAgeHours = getPricingProvider(providerId)?.maxAgeHours ?? 24;
+  return now - new Date(fetchedAt).getTime() > maxAgeHours * 60 * 60 * 1000;
+};
+
+/**
+ * Get the confidence of a resolved price
+ * Each of staleness and a by-name match lowers the provider's confidence one level
+ * @param {string} providerId - Provider id
+ * @param {Object} flags - { stale, matchedByName }
+ * @returns {string} - 'high', 'medium' or 'low'
+ */
+export const getPriceConfidence = (providerId, { stale = false, matchedByName = false } = {}) => {
+  const levels = PRICE_CONFIDENCE_LEVELS.map(level => level.value);
+  const base = levels.indexOf(getPricingProvider(providerId)?.confidence || 'medium');
+  return levels[Math.min(levels.length - 1, base + (stale ? 1 : 0) + (matchedByName ? 1 : 0))];
+};
+
+/**
+ * Get the display label and color of a confidence level
+ * @param {string} confidence - 'high', 'medium' or 'low'
+ * @returns {Object} - { label, color }
+ */
+export const getPriceConfidenceDisplay = (confidence) => {
+  return PRICE_CONFIDENCE_LEVELS.find(level => level.value === confidence) || PRICE_CONFIDENCE_LEVELS[2];
+};
+
+/**
+ * Describe where a resolved price came from
+ * @param {Object} price - Resolved price ({ source, fetchedAt, stale })
+ * @returns {string} - e.g. "Scrydex • updated 3h ago"
+ */
+export const describePriceSource = (price) => {
+  if (!price?.source) return 'Unknown source';
+
+  const name = getPricingProvider(price.source)?.name || price.source;
+  if (!price.fetchedAt) return name;
+
+  const hours = Math.floor((Date.now() - new Date(price.fetchedAt).getTime()) / (60 * 60 * 1000));
+  const age = hours < 1 ? 'just now' : hours < 48 ? `${hours}h ago` : `${Math.floor(hours / 24)}d ago`;
+  return `${name} • updated ${age}${price.stale ? ' (stale)' : ''}`;
+};
@@ -1,41 +1,81 @@
 import { supabase } from '../lib/supabaseClient';
+import marketplaceService from '../services/marketplaceService';
+import { getSaleNetCents } from './marketplaceFees';
 
 /**
  * Sale History Manager
  * 
- * Manages individual sale records within a single transaction
- * Uses JSON field to store multiple sales without duplicating records
- * Storage-efficient approach for tracking detailed sale history
+ * Manages individual sale records of a transaction
+ * Sales are rows of the sales table (one per sale, linked to the order); loaders attach them to
+ * each order as `sales` and getSaleHistory turns them into sale records
+ * Writes go through the add/update/delete_sale_record RPCs, which lock the order row
  */
 
+/**
+ * Convert a sales table row into a sale record
+ * @param {Object} row - Row of the sales table
+ * @returns {Object} - Sale record
+ */
+export const toSaleRecord = (row) => ({
+  id: row.id,
+  quantity: row.quantity,
+  saleDate: row.sale_date,
+  salePrice: row.sale_price_cents,
+  saleLocation: row.sale_location || '',
+  saleNotes: row.notes || '',
+  buyer: row.buyer || '',
+  grossCents: row.gross_cents,
+  feesCents: row.fees_cents || 0,
+  shippingCents: row.shipping_cents || 0,
+  netCents: row.net_cents,
+  ...(row.currency ? { currency: row.currency } : {}),
+  ...(row.lot ? { lot: row.lot } : {}),
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+/**
+ * Convert a sale record into a sales table row
+ * @param {Object} sale - Sale record
+ * @param {Object} order - { id, user_id } of the order the sale belongs to
+ * @returns {Object} - Row for the sales table (gross and net are computed by the database)
+ */
+export const toSaleRow = (sale, order) => ({
+  user_id: order.user_id,
+  order_id: order.id,
+  quantity: sale.quantity,
+  sale_date: String(sale.saleDate || new Date().toISOString()).slice(0, 10),
+  sale_price_cents: sale.salePrice || 0,
+  fees_cents: sale.feesCents || 0,
+  shipping_cents: sale.shippingCents || 0,
+  sale_location: sale.saleLocation || null,
+  notes: sale.saleNotes || null,
+  buyer: sale.buyer || null,
+  currency: sale.currency || null,
+  lot: sale.lot || null
+});
+
 /**
  * Get sale history from a transaction
- * @param {Object} transaction - The transaction object
- * @returns {Array} - Array of individual sale records
+ * @param {Object} transaction - The transaction object, with its sales table rows as `sales`
+ *                               (backup files carry sale records as `sale_history` instead)
+ * @returns {Array} - Array of individual sale records, oldest first
  */
 export const getSaleHistory = (transaction) => {
   try {
-    // If sale_history field exists and has data, parse it
+    if (Array.isArray(transaction.sales)) {
+      return transaction.sales
+        .map(toSaleRecord)
+        .sort((a, b) => String(a.saleDate).localeCompare(String(b.saleDate)) || String(a.createdAt).localeCompare(String(b.createdAt)));
+    }
+
+    // Sale records in export files and backups
     if (transaction.sale_history && typeof transaction.sale_history === 'string') {
       return JSON.parse(transaction.sale_history);
     } else if (transaction.sale_history && Array.isArray(transaction.sale_history)) {
       return transaction.sale_history;
     }
     
-    // If no sale_history but quantity_sold > 0, create a legacy sale record
-    const soldCount = transaction.quantity_sold || 0;
-    if (soldCount > 0) {
-      return [{
-        id: `${transaction.id}-legacy-sale`,
-        quantity: soldCount,
-        saleDate: transaction.sell_date || transaction.updated_at,
-        salePrice: transaction.sell_price_cents || 0,
-        saleLocation: transaction.sell_location || 'N/A',
-        saleNotes: transaction.sell_notes || '',
-        isLegacy: true // Mark as legacy for migration purposes
-      }];
-    }
-    
     return [];
   } catch (error) {
     console.error('Error parsing sale history:', error);
@@ -43,64 +83,73 @@ export const getSaleHistory = (transaction) => {
   }
 };
 
+/**
+ * Sum the gross / fees / shipping / net of a sale history into the order's sale total columns
+ * Keeps net_profit_cents in the order views in line with the individual sale records
+ * @param {Array} sales - Array of sale records
+ * @returns {Object} - { sale_total_cents, sale_fees_cents, sale_shipping_cents, sale_net_cents }
+ */
+export const getSaleTotals = (sales) => {
+  return sales.reduce((totals, sale) => {
+    const grossCents = typeof sale.grossCents === 'number' ? sale.grossCents : (sale.salePrice || 0) * (sale.quantity || 0);
+    return {
+      sale_total_cents: totals.sale_total_cents + grossCents,
+      sale_fees_cents: totals.sale_fees_cents + (sale.feesCents || 0),
+      sale_shipping_cents: totals.sale_shipping_cents + (sale.shippingCents || 0),
+      sale_net_cents: totals.sale_net_cents + getSaleNetCents(sale)
+    };
+  }, { sale_total_cents: 0, sale_fees_cents: 0, sale_shipping_cents: 0, sale_net_cents: 0 });
+};
+
+/**
+ * Postgres error code the sale RPCs raise when the order changed since the client loaded it
+ * (PostgREST answers with HTTP 409 Conflict)
+ */
+export const SALE_CONFLICT_CODE = 'PT409';
+
+/**
+ * Check whether a sale mutation failed because the order was changed by another session
+ * @param {Object} error - Error thrown by a sale mutation
+ * @returns {boolean} - True when the caller should reload the order and retry
+ */
+export const isSaleConflictError = (error) => error?.code === SALE_CONFLICT_CODE;
+
 /**
  * Add a new sale record to transaction's sale history
+ * The sale row is inserted by the add_sale_record RPC under a row lock, which also rejects overselling
  * @param {string} transactionId - The transaction ID
  * @param {Object} saleData - Sale data
+ * @param {Object} options - { expectedVersion: orders.version the caller last saw, fails with a conflict when stale }
  * @returns {Promise<Object>} - Updated transaction data
  */
-export const addSaleRecord = async (transactionId, saleData) => {
+export const addSaleRecord = async (transactionId, saleData, { expectedVersion = null } = {}) => {
   try {
-    // Get current transaction data
-    const { data: currentTransaction, error: fetchError } = await supabase
-      .from('orders')
-      .select('*')
-      .eq('id', transactionId)
-      .single();
-
-    if (fetchError) {
-      console.error('Error fetching transaction:', fetchError);
-      throw fetchError;
-    }
+    // Resolve marketplace fees for the sale location (explicit feesCents wins)
+    const quantity = saleData.quantity || 1;
+    const { feesCents, shippingCents } = await marketplaceService.calculateSale({
+      saleLocation: saleData.saleLocation,
+      salePriceCents: saleData.salePrice || 0,
+      quantity,
+      shippingCents: saleData.shippingCents,
+      feesCents: saleData.feesCents
+    });
 
-    // Get existing sale history
-    const existingSales = getSaleHistory(currentTransaction);
-    
-    // Create new sale record
-    const newSale = {
-      id: `${transactionId}-sale-${Date.now()}`,
-      quantity: saleData.quantity || 1,
-      saleDate: saleData.saleDate || new Date().toISOString(),
-      salePrice: saleData.salePrice || 0,
-      saleLocation: saleData.saleLocation || '',
-      saleNotes: saleData.saleNotes || '',
-      createdAt: new Date().toISOString()
-    };
-    
-    // Add to existing sales
-    const updatedSales = [...existingSales, newSale];
-    
-    // Calculate total quantity sold
-    const totalQuantitySold = updatedSales.reduce((sum, sale) => sum + (sale.quantity || 0), 0);
-    const totalQuantity = currentTransaction.quantity || 0;
-    
-    // Update transaction
-    const { data, error } = await supabase
-      .from('orders')
-      .update({
-        sale_history: JSON.stringify(updatedSales),
-        quantity_sold: totalQuantitySold,
-        // Update legacy fields for backward compatibility
-        sell_date: newSale.saleDate,
-        sell_price_cents: newSale.salePrice,
-        sell_location: newSale.saleLocation,
-        sell_notes: newSale.saleNotes,
-        is_sold: totalQuantitySold >= totalQuantity,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', transactionId)
-      .select()
-      .single();
+    const { data, error } = await supabase.rpc('add_sale_record', {
+      p_order_id: transactionId,
+      p_sale: {
+        quantity,
+        saleDate: saleData.saleDate || new Date().toISOString(),
+        salePrice: saleData.salePrice || 0,
+        saleLocation: saleData.saleLocation || '',
+        saleNotes: saleData.saleNotes || '',
+        buyer: saleData.buyer || '',
+        feesCents,
+        shippingCents,
+        ...(saleData.currency ? { currency: saleData.currency } : {}),
+        ...(saleData.lot ? { lot: saleData.lot } : {})
+      },
+      p_expected_version: expectedVersion
+    });
 
     if (error) {
       console.error('Error updating transaction with new sale:', error);
@@ -116,17 +165,19 @@ export const addSaleRecord = async (transactionId, saleData) => {
 
 /**
  * Update an existing sale record
+ * Fees are re-resolved here; the update_sale_record RPC merges the changes under a row lock
  * @param {string} transactionId - The transaction ID
  * @param {string} saleId - The sale record ID
  * @param {Object} updatedSaleData - Updated sale data
+ * @param {Object} options - { expectedVersion: defaults to the version the fees were calculated from }
  * @returns {Promise<Object>} - Updated transaction data
  */
-export const updateSaleRecord = async (transactionId, saleId, updatedSaleData) => {
+export const updateSaleRecord = async (transactionId, saleId, updatedSaleData, { expectedVersion } = {}) => {
   try {
     // Get current transaction data
     const { data: currentTransaction, error: fetchError } = await supabase
       .from('orders')
-      .select('*')
+      .select('*, sales(*)')
       .eq('id', transactionId)
       .single();
 
@@ -135,37 +186,30 @@ export const updateSaleRecord = async (transactionId, saleId, updatedSaleData) =
       throw fetchError;
     }
 
-    // Get existing sale history
-    const existingSales = getSaleHistory(currentTransaction);
-    
-    // Update the specific sale record
-    const updatedSales = existingSales.map(sale => 
-      sale.id === saleId 
-        ? { ...sale, ...updatedSaleData, updatedAt: new Date().toISOString() }
-        : sale
-    );
-    
-    // Calculate total quantity sold
-    const totalQuantitySold = updatedSales.reduce((sum, sale) => sum + (sale.quantity || 0), 0);
-    const totalQuantity = currentTransaction.quantity || 0;
-    
-    // Update transaction
-    const { data, error } = await supabase
-      .from('orders')
-      .update({
-        sale_history: JSON.stringify(updatedSales),
-        quantity_sold: totalQuantitySold,
-        // Update legacy fields with the most recent sale
-        sell_date: updatedSales[updatedSales.length - 1]?.saleDate,
-        sell_price_cents: updatedSales[updatedSales.length - 1]?.salePrice,
-        sell_location: updatedSales[updatedSales.length - 1]?.saleLocation,
-        sell_notes: updatedSales[updatedSales.length - 1]?.saleNotes,
-        is_sold: totalQuantitySold >= totalQuantity,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', transactionId)
-      .select()
-      .single();
+    const existingSale = getSaleHistory(currentTransaction).find(sale => sale.id === saleId);
+    const mergedSale = { ...existingSale, ...updatedSaleData };
+
+    // Re-resolve fees when anything they depend on changed (explicit feesCents wins)
+    const feeInputsChanged = ['salePrice', 'quantity', 'saleLocation'].some(key => key in updatedSaleData);
+    const breakdown = await marketplaceService.calculateSale({
+      saleLocation: mergedSale.saleLocation,
+      salePriceCents: mergedSale.salePrice || 0,
+      quantity: mergedSale.quantity || 0,
+      shippingCents: mergedSale.shippingCents,
+      feesCents: 'feesCents' in updatedSaleData || !feeInputsChanged ? mergedSale.feesCents : undefined
+    });
+
+    const { data, error } = await supabase.rpc('update_sale_record', {
+      p_order_id: transactionId,
+      p_sale_id: saleId,
+      p_changes: {
+        ...updatedSaleData,
+        feesCents: breakdown.feesCents,
+        shippingCents: breakdown.shippingCents
+      },
+      // The fees above were worked out from this version of the order
+      p_expected_version: expectedVersion ?? currentTransaction.version ?? null
+    });
 
     if (error) {
       console.error('Error updating transaction with updated sale:', error);
@@ -183,49 +227,16 @@ export const updateSaleRecord = async (transactionId, saleId, updatedSaleData) =
  * Delete a sale record from transaction's sale history
  * @param {string} transactionId - The transaction ID
  * @param {string} saleId - The sale record ID
+ * @param {Object} options - { expectedVersion: orders.version the caller last saw, fails with a conflict when stale }
  * @returns {Promise<Object>} - Updated transaction data
  */
-export const deleteSaleRecord = async (transactionId, saleId) => {
+export const deleteSaleRecord = async (transactionId, saleId, { expectedVersion = null } = {}) => {
   try {
-    // Get current transaction data
-    const { data: currentTransaction, error: fetchError } = await supabase
-      .from('orders')
-      .select('*')
-      .eq('id', transactionId)
-      .single();
-
-    if (fetchError) {
-      console.error('Error fetching transaction:', fetchError);
-      throw fetchError;
-    }
-
-    // Get existing sale history
-    const existingSales = getSaleHistory(currentTransaction);
-    
-    // Remove the specific sale record
-    const updatedSales = existingSales.filter(sale => sale.id !== saleId);
-    
-    // Calculate total quantity sold
-    const totalQuantitySold = updatedSales.reduce((sum, sale) => sum + (sale.quantity || 0), 0);
-    const totalQuantity = currentTransaction.quantity || 0;
-    
-    // Update transaction
-    const { data, error } = await supabase
-      .from('orders')
-      .update({
-        sale_history: updatedSales.length > 0 ? JSON.stringify(updatedSales) : null,
-        quantity_sold: totalQuantitySold,
-        // Update legacy fields with the most recent sale (if any)
-        sell_date: updatedSales.length > 0 ? updatedSales[updatedSales.length - 1].saleDate : null,
-        sell_price_cents: updatedSales.length > 0 ? updatedSales[updatedSales.length - 1].salePrice : null,
-        sell_location: updatedSales.length > 0 ? updatedSales[updatedSales.length - 1].saleLocation : null,
-        sell_notes: updatedSales.length > 0 ? updatedSales[updatedSales.length - 1].saleNotes : null,
-        is_sold: totalQuantitySold >= totalQuantity,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', transactionId)
-      .select()
-      .single();
+    const { data, error } = await supabase.rpc('delete_sale_record', {
+      p_order_id: transactionId,
+      p_sale_id: saleId,
+      p_expected_version: expectedVersion
+    });
 
     if (error) {
       console.error('Error updating transaction after deleting sale:', error);
@@ -253,6 +264,8 @@ export const getSaleStatistics = (transaction) => {
       totalSales: 0,
       totalQuantitySold: 0,
       totalRevenue: 0,
+      totalFees: 0,
+      totalNetRevenue: 0,
       averageSalePrice: 0,
       remainingQuantity: totalQuantity,
       saleDates: [],
@@ -263,6 +276,7 @@ export const getSaleStatistics = (transaction) => {
   
   const totalQuantitySold = sales.reduce((sum, sale) => sum + (sale.quantity || 0), 0);
   const totalRevenue = sales.reduce((sum, sale) => sum + ((sale.salePrice || 0) * (sale.quantity || 0)), 0);
+  const { sale_fees_cents: totalFees, sale_net_cents: totalNetRevenue } = getSaleTotals(sales);
   const averageSalePrice = totalQuantitySold > 0 ? totalRevenue / totalQuantitySold : 0;
   const remainingQuantity = Math.max(0, totalQuantity - totalQuantitySold);
   const saleDates = sales.map(sale => sale.saleDate).sort();
@@ -271,6 +285,8 @@ export const getSaleStatistics = (transaction) => {
     totalSales: sales.length,
     totalQuantitySold,
     totalRevenue,
+    totalFees,
+    totalNetRevenue,
     averageSalePrice,
     remainingQuantity,
     saleDates,
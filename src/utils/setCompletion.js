@@ -0,0 +1,124 @@
+/**
+ * Set Completion Utilities
+ *
+ * Joins every card in an expansion with the cards the user holds to work out what is owned,
+ * what is missing and what the missing cards cost at current market prices
+ * In master set mode each Scrydex variant (normal, holofoil, reverse holofoil, ...) is its own slot
+ */
+
+import { getRemainingCount } from './orderStatus';
+
+/**
+ * Turn a Scrydex variant name into a label ("reverseHolofoil" -> "Reverse Holofoil")
+ * @param {string} variant - Variant name
+ * @returns {string} - Display label
+ */
+export const formatVariantName = (variant) => {
+  if (!variant) return '';
+  return variant
+    .replace(/([a-z])([A-Z0-9])/g, '$1 $2')
+    .replace(/^./, letter => letter.toUpperCase());
+};
+
+/**
+ * Market price for one variant, falling back to the card's raw market price
+ * @param {Object} card - pokemon_cards row
+ * @param {Object|null} variant - Entry from pokemon_cards.variants
+ * @returns {number|null} - Price in dollars
+ */
+const getVariantMarketPrice = (card, variant) => {
+  const rawPrice = variant?.prices?.find(price => price.type === 'raw' && price.market != null);
+  const market = rawPrice ? rawPrice.market : card.raw_market;
+  return market != null && !isNaN(parseFloat(market)) ? parseFloat(market) : null;
+};
+
+/**
+ * Slots a complete set needs: one per card, or one per variant in master set mode
+ * @param {Object} card - pokemon_cards row
+ * @param {boolean} masterSet - Count variants separately
+ * @returns {Array} - Slots for the card
+ */
+const getCardSlots = (card, masterSet) => {
+  const variants = Array.isArray(card.variants) ? card.variants.filter(variant => variant?.name) : [];
+
+  if (!masterSet || variants.length === 0) {
+    return [{ card, variant: null, marketPrice: getVariantMarketPrice(card, null) }];
+  }
+
+  return variants.map(variant => ({
+    card,
+    variant: variant.name,
+    marketPrice: getVariantMarketPrice(card, variant)
+  }));
+};
+
+/**
+ * Build the completion summary for an expansion
+ * Orders with no card_variant count toward the card's first variant
+ * @param {Array} cards - Every pokemon_cards row in the expansion
+ * @param {Array} orders - The user's orders for those cards (pokemon_card_id, card_variant, quantity, quantity_sold)
+ * @param {Object} options - { masterSet }
+ * @returns {Object} - { slots, owned, missing, total, ownedCount, completionPercent, costToCompleteCents, unpricedCount }
+ */
+export const buildSetCompletion = (cards, orders, { masterSet = false } = {}) => {
+  const heldByCard = new Map();
+  (orders || []).forEach(order => {
+    const remaining = getRemainingCount(order);
+    if (!order.pokemon_card_id || remaining <= 0) return;
+
+    const cardId = String(order.pokemon_card_id);
+    const byVariant = heldByCard.get(cardId) || new Map();
+    const variant = order.card_variant || null;
+    byVariant.set(variant, (byVariant.get(variant) || 0) + remaining);
+    heldByCard.set(cardId, byVariant);
+  });
+
+  const slots = [];
+  (cards || []).forEach(card => {
+    const byVariant = heldByCard.get(String(card.id)) || new Map();
+    const cardSlots = getCardSlots(card, masterSet);
+    const totalHeld = [...byVariant.values()].reduce((sum, count) => sum + count, 0);
+
+    cardSlots.forEach((slot, index) => {
+      let quantityHeld;
+      if (!slot.variant) {
+        quantityHeld = totalHeld;
+      } else {
+        quantityHeld = (byVariant.get(slot.variant) || 0) + (index === 0 ? (byVariant.get(null) || 0) : 0);
+      }
+
+      slots.push({
+        key: slot.variant ? `${card.id}:${slot.variant}` : String(card.id),
+        cardId: card.id,
+        name: card.name,
+        number: card.number,
+        rarity: card.rarity,
+        imageUrl: card.image_small || card.image_medium || card.image_large || null,
+        expansionName: card.expansion_name,
+        variant: slot.variant,
+        variantLabel: formatVariantName(slot.variant),
+        marketPrice: slot.marketPrice,
+        quantityHeld,
+        owned: quantityHeld > 0
+      });
+    });
+  });
+
+  const owned = slots.filter(slot => slot.owned);
+  const missing = slots.filter(slot => !slot.owned);
+  const costToCompleteCents = missing.reduce(
+    (sum, slot) => sum + (slot.marketPrice != null ? Math.round(slot.marketPrice * 100) : 0),
+    0
+  );
+
+  return {
+    slots,
+    owned,
+    missing,
+    total: slots.length,
+    ownedCount: owned.length,
+    completionPercent: slots.length > 0 ? (owned.length / slots.length) * 100 : 0,
+    costToCompleteCents,
+    unpricedCount: missing.filter(slot => slot.marketPrice == null).length
+  };
+};
@@ -0,0 +1,127 @@
+/**
+ * Shipment Status Utilities
+ *
+ * Status labels, carrier tracking links and landed-cost helpers for shipments
+ * Inbound shipping cost is allocated per order by the order_shipping_costs view
+ */
+
+/**
+ * Shipment statuses in timeline order
+ */
+export const SHIPMENT_STATUSES = [
+  { value: 'pending', label: 'Pending', color: 'text-gray-400' },
+  { value: 'label_created', label: 'Label Created', color: 'text-gray-300' },
+  { value: 'in_transit', label: 'In Transit', color: 'text-blue-400' },
+  { value: 'out_for_delivery', label: 'Out for Delivery', color: 'text-indigo-400' },
+  { value: 'delivered', label: 'Delivered', color: 'text-green-400' },
+  { value: 'exception', label: 'Exception', color: 'text-red-400' },
+  { value: 'returned', label: 'Returned', color: 'text-yellow-400' }
+];
+
+/**
+ * Supported carriers and their tracking page URLs
+ */
+export const CARRIERS = [
+  { value: 'usps', label: 'USPS', trackingUrl: 'https://tools.usps.com/go/TrackConfirmAction?tLabels=' },
+  { value: 'ups', label: 'UPS', trackingUrl: 'https://www.ups.com/track?tracknum=' },
+  { value: 'fedex', label: 'FedEx', trackingUrl: 'https://www.fedex.com/fedextrack/?trknbr=' },
+  { value: 'dhl', label: 'DHL', trackingUrl: 'https://www.dhl.com/us-en/home/tracking.html?tracking-id=' },
+  { value: 'other', label: 'Other', trackingUrl: null }
+];
+
+/**
+ * Get the display label for a status
+ * @param {string} status - Shipment status value
+ * @returns {string} - Display label
+ */
+export const getShipmentStatusLabel = (status) => {
+  return SHIPMENT_STATUSES.find(s => s.value === status)?.label || 'Unknown';
+};
+
+/**
+ * Get the text color class for a status
+ * @param {string} status - Shipment status value
+ * @returns {string} - Tailwind text color class
+ */
+export const getShipmentStatusColor = (status) => {
+  return SHIPMENT_STATUSES.find(s => s.value === status)?.color || 'text-gray-400';
+};
+
+/**
+ * Check if a shipment is still on its way
+ * @param {Object} shipment - The shipment object
+ * @returns {boolean} - True until the shipment is delivered or returned
+ */
+export const isShipmentActive = (shipment) => {
+  return !!shipment && shipment.status !== 'delivered' && shipment.status !== 'returned';
+};
+
+/**
+ * Build the carrier tracking page URL for a shipment
+ * @param {Object} shipment - The shipment object
+ * @returns {string|null} - Tracking URL, or null when the carrier has none
+ */
+export const getTrackingUrl = (shipment) => {
+  if (!shipment?.tracking_number) return null;
+  const carrier = CARRIERS.find(c => c.value === shipment.carrier);
+  if (!carrier?.trackingUrl) return null;
+  return `${carrier.trackingUrl}${encodeURIComponent(shipment.tracking_number)}`;
+};
+
+/**
+ * Get the allocated inbound shipping cost of some copies of an order
+ * Shipping is split in whole cents and the cents that don't divide evenly go on the first copy,
+ * so the copies always add up to what was paid. Copies are sold in order, first copy first.
+ * @param {Object} order - Order with shipping_cost_cents merged from order_shipping_costs
+ * @param {number} count - Number of copies
+ * @param {number} firstCopy - Zero-based index of the first of those copies
+ * @returns {number} - Shipping cents of the copies
+ */
+export const getShippingCentsForCopies = (order, count, firstCopy = 0) => {
+  const quantity = order?.quantity || 0;
+  if (!order?.shipping_cost_cents || quantity <= 0 || count <= 0) return 0;
+  const perItem = Math.floor(order.shipping_cost_cents / quantity);
+  const remainder = order.shipping_cost_cents - perItem * quantity;
+  return perItem * count + (firstCopy === 0 ? remainder : 0);
+};
+
+/**
+ * Get the allocated inbound shipping cost of one copy of an order
+ * @param {Object} order - Order with shipping_cost_cents merged from order_shipping_costs
+ * @param {number} copy - Zero-based copy index (the first copy carries the leftover cents)
+ * @returns {number} - Shipping cents of the copy
+ */
+export const getShippingPerItemCents = (order, copy = 1) => {
+  return getShippingCentsForCopies(order, 1, copy);
+};
+
+/**
+ * Get the per-item cost basis of an order including allocated inbound shipping
+ * @param {Object} order - The order object
+ * @param {number} copy - Zero-based copy index (the first copy carries the leftover shipping cents)
+ * @returns {number} - Landed cost per item in cents
+ */
+export const getLandedCostPerItem = (order, copy = 1) => {
+  return (order?.price_per_item_cents || 0) + getShippingPerItemCents(order, copy);
+};
+
+/**
+ * Get the cost basis of some copies of an order including allocated inbound shipping
+ * @param {Object} order - The order object
+ * @param {number} count - Number of copies
+ * @param {number} firstCopy - Zero-based index of the first of those copies
+ * @returns {number} - Landed cost of the copies in cents
+ */
+export const getLandedCostCents = (order, count, firstCopy = 0) => {
+  if (count <= 0) return 0;
+  return (order?.price_per_item_cents || 0) * count + getShippingCentsForCopies(order, count, firstCopy);
+};
+
+/**
+ * Check if an order's items are still in transit to the user
+ * @param {Object} order - Order with in_transit merged from order_shipping_costs
+ * @returns {boolean} - True when an inbound shipment for the order hasn't arrived
+ */
+export const isOrderInTransit = (order) => {
+  return !!order?.in_transit;
+};
@@ -0,0 +1,98 @@
+/**
+ * Sync Job Utilities
+ *
+ * Statuses and progress helpers for sync_jobs rows
+ * A job is active while queued or running; a running job whose worker stopped heartbeating is
+ * stale and gets claimed again by the next worker, which continues from its checkpoint
+ */
+
+/**
+ * Job statuses
+ */
+export const SYNC_JOB_STATUSES = [
+  { value: 'queued', label: 'Queued', color: 'text-gray-400' },
+  { value: 'running', label: 'Running', color: 'text-indigo-400' },
+  { value: 'completed', label: 'Completed', color: 'text-green-400' },
+  { value: 'failed', label: 'Failed', color: 'text-red-400' },
+  { value: 'cancelled', label: 'Cancelled', color: 'text-orange-400' }
+];
+
+/**
+ * How long a running job may go without a heartbeat before another worker takes it over
+ * Matches the claim_sync_job default
+ */
+export const SYNC_JOB_STALE_AFTER_MS = 2 * 60 * 1000;
+
+/**
+ * Number of errors kept on a job
+ */
+export const MAX_SYNC_JOB_ERRORS = 20;
+
+/**
+ * Get the display label for a status
+ * @param {string} status - Job status value
+ * @returns {string} - Display label
+ */
+export const getSyncJobStatusLabel = (status) => {
+  return SYNC_JOB_STATUSES.find(s => s.value === status)?.label || 'Unknown';
+};
+
+/**
+ * Get the text color class for a status
+ * @param {string} status - Job status value
+ * @returns {string} - Tailwind text color class
+ */
+export const getSyncJobStatusColor = (status) => {
+  return SYNC_JOB_STATUSES.find(s => s.value === status)?.color || 'text-gray-400';
+};
+
+/**
+ * Check whether a job still has work to do
+ * @param {Object} job - sync_jobs row
+ * @returns {boolean} - True while queued or running
+ */
+export const isSyncJobActive = (job) => {
+  return job?.status === 'queued' || job?.status === 'running';
+};
+
+/**
+ * Check whether a running job's worker has stopped heartbeating
+ * @param {Object} job - sync_jobs row
+ * @param {number} now - Current time in ms (defaults to Date.now())
+ * @returns {boolean} - True when another worker may claim the job
+ */
+export const isSyncJobStale = (job, now = Date.now()) => {
+  if (job?.status !== 'running') return false;
+  if (!job.heartbeat_at) return true;
+  return now - new Date(job.heartbeat_at).getTime() > SYNC_JOB_STALE_AFTER_MS;
+};
+
+/**
+ * Get a job's progress as a percentage
+ * @param {Object} job - sync_jobs row
+ * @returns {number} - 0-100 (100 once completed)
+ */
+export const getSyncJobProgress = (job) => {
+  if (job?.status === 'completed') return 100;
+  if (!job?.progress_total) return 0;
+  return Math.min(100, Math.round((job.progress_current / job.progress_total) * 100));
+};
+
+/**
+ * Append an error to a job's error list, keeping the most recent ones
+ * @param {Array} errors - Current errors
+ * @param {string} message - Error message
+ * @returns {Array} - Errors with the new one last
+ */
+export const appendSyncJobError = (errors, message) => {
+  return [...(errors || []), { at: new Date().toISOString(), message }].slice(-MAX_SYNC_JOB_ERRORS);
+};
+
+/**
+ * Map active jobs by the sync they run
+ * @param {Array} jobs - sync_jobs rows
+ * @returns {Object} - { [sync_key]: job } for queued and running jobs
+ */
+export const indexActiveSyncJobs = (jobs) => {
+  return Object.fromEntries((jobs || []).filter(isSyncJobActive).map(job => [job.sync_key, job]));
+};
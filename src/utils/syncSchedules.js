@@ -0,0 +1,61 @@
+/**
+ * Sync Schedule Utilities
+ *
+ * Cadences and labels for sync_schedules rows
+ * Times are in UTC, matching the provider update windows (TCGCSV publishes around 20:00 UTC)
+ */
+
+/**
+ * Schedule cadences
+ */
+export const SCHEDULE_FREQUENCIES = [
+  { value: 'interval', label: 'Every N hours' },
+  { value: 'daily', label: 'Daily' },
+  { value: 'weekly', label: 'Weekly' }
+];
+
+/**
+ * Weekdays as stored in sync_schedules.weekday (0 = Sunday)
+ */
+export const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Run statuses, including runs skipped because the previous one was still going
+ */
+export const SCHEDULE_RUN_STATUSES = [
+  { value: 'queued', label: 'Queued', color: 'text-gray-400' },
+  { value: 'running', label: 'Running', color: 'text-indigo-400' },
+  { value: 'completed', label: 'Completed', color: 'text-green-400' },
+  { value: 'failed', label: 'Failed', color: 'text-red-400' },
+  { value: 'cancelled', label: 'Cancelled', color: 'text-orange-400' },
+  { value: 'skipped', label: 'Skipped', color: 'text-yellow-400' }
+];
+
+/**
+ * Get the display label and color for a run status
+ * @param {string} status - Run status value
+ * @returns {Object} - { label, color }
+ */
+export const getScheduleRunStatus = (status) => {
+  return SCHEDULE_RUN_STATUSES.find(s => s.value === status) || { label: 'Unknown', color: 'text-gray-400' };
+};
+
+/**
+ * Describe a schedule's cadence
+ * @param {Object} schedule - sync_schedules row
+ * @returns {string} - e.g. "Daily at 20:30 UTC"
+ */
+export const describeSchedule = (schedule) => {
+  const time = (schedule?.run_at || '00:00').slice(0, 5);
+
+  switch (schedule?.frequency) {
+    case 'interval':
+      return schedule.interval_hours === 1 ? 'Every hour' : `Every ${schedule.interval_hours} hours`;
+    case 'weekly':
+      return `${WEEKDAYS[schedule.weekday ?? 0]}s at ${time} UTC`;
+    case 'daily':
+      return `Daily at ${time} UTC`;
+    default:
+      return 'Not scheduled';
+  }
+};
@@ -0,0 +1,229 @@
+/**
+ * Tax Lot Utilities
+ *
+ * Treats every purchase order as a tax lot and matches sales against the open lots
+ * of the same product (same card / item and the same grading) by FIFO, LIFO,
+ * highest cost or explicit selection
+ * All monetary values are in cents
+ */
+
+import { getRemainingCount, getSoldCount } from './orderStatus';
+import { getLandedCostCents, getLandedCostPerItem } from './shipmentStatus';
+
+export const LOT_METHODS = {
+  fifo: { label: 'FIFO', description: 'Oldest purchases first' },
+  lifo: { label: 'LIFO', description: 'Newest purchases first' },
+  highest_cost: { label: 'Highest cost', description: 'Most expensive purchases first (smallest gain)' },
+  specific: { label: 'Specific ID', description: 'Choose the lots yourself' }
+};
+
+export const DEFAULT_LOT_METHOD = 'fifo';
+
+/**
+ * Key identifying lots that are interchangeable for matching
+ * @param {Object} order - The order object
+ * @returns {string} - Product plus grading key
+ */
+export const getLotKey = (order) => {
+  const product = order.pokemon_card_id
+    ? `card-${order.pokemon_card_id}`
+    : order.item_id
+      ? `item-${order.item_id}`
+      : `${order.item_name}|${order.set_name}`;
+  const grading = order.grading_company
+    ? `${order.grading_company}-${order.grading_grade || ''}`
+    : order.card_condition || 'raw';
+  return `${product}|${grading}`.toLowerCase();
+};
+
+/**
+ * Get the open lots a sale of this order's product can be matched against
+ * @param {Array} orders - All of the user's orders
+ * @param {Object} order - Order the sale was started from
+ * @returns {Array} - [{ orderId, order, acquiredDate, remaining, unitCostCents }] oldest first
+ */
+export const getOpenLots = (orders, order) => {
+  if (!order || !Array.isArray(orders)) return [];
+  const key = getLotKey(order);
+
+  return orders
+    .filter(candidate => getLotKey(candidate) === key && getRemainingCount(candidate) > 0)
+    .map(candidate => ({
+      orderId: candidate.id,
+      order: candidate,
+      acquiredDate: candidate.purchase_date,
+      remaining: getRemainingCount(candidate),
+      unitCostCents: getLandedCostPerItem(candidate, getSoldCount(candidate))
+    }))
+    .sort((a, b) => new Date(a.acquiredDate) - new Date(b.acquiredDate) || String(a.orderId).localeCompare(String(b.orderId)));
+};
+
+/**
+ * Order lots for consumption by a matching method
+ * @param {Array} lots - Open lots from getOpenLots
+ * @param {string} method - Key of LOT_METHODS
+ * @returns {Array} - Lots in consumption order
+ */
+const orderLotsByMethod = (lots, method) => {
+  const byDate = [...lots].sort((a, b) => new Date(a.acquiredDate) - new Date(b.acquiredDate));
+  switch (method) {
+    case 'lifo':
+      return byDate.reverse();
+    case 'highest_cost':
+      return byDate.sort((a, b) => b.unitCostCents - a.unitCostCents);
+    default:
+      return byDate;
+  }
+};
+
+/**
+ * Pick the lots a sale consumes
+ * @param {Array} lots - Open lots from getOpenLots
+ * @param {number} quantity - Units sold
+ * @param {string} method - Key of LOT_METHODS
+ * @param {Array} selections - For 'specific': [{ orderId, quantity }]
+ * @returns {Array} - [{ lot, quantity }]
+ * @throws {Error} When the lots cannot cover the quantity
+ */
+export const selectLots = (lots, quantity, method = DEFAULT_LOT_METHOD, selections = []) => {
+  if (!(quantity > 0)) throw new Error('Quantity must be greater than 0');
+
+  if (method === 'specific') {
+    const picked = selections
+      .filter(selection => selection.quantity > 0)
+      .map(selection => {
+        const lot = lots.find(candidate => candidate.orderId === selection.orderId);
+        if (!lot) throw new Error('Selected lot is no longer open');
+        if (selection.quantity > lot.remaining) {
+          throw new Error(`Only ${lot.remaining} remaining in the lot bought ${lot.acquiredDate}`);
+        }
+        return { lot, quantity: selection.quantity };
+      });
+
+    const selected = picked.reduce((sum, pick) => sum + pick.quantity, 0);
+    if (selected !== quantity) {
+      throw new Error(`Selected lots cover ${selected} of ${quantity} units`);
+    }
+    return picked;
+  }
+
+  const picked = [];
+  let needed = quantity;
+  for (const lot of orderLotsByMethod(lots, method)) {
+    if (needed <= 0) break;
+    const take = Math.min(lot.remaining, needed);
+    picked.push({ lot, quantity: take });
+    needed -= take;
+  }
+
+  if (needed > 0) {
+    const available = quantity - needed;
+    throw new Error(`Cannot sell ${quantity} items. Only ${available} available across open lots.`);
+  }
+  return picked;
+};
+
+/**
+ * Work out the holding period of a lot
+ * Held for more than one year (acquired date + 1 year < sale date) is long term
+ * @param {string|Date} acquiredDate - Purchase date of the lot
+ * @param {string|Date} saleDate - Sale date
+ * @returns {Object} - { holdDays, term: 'short' | 'long' }
+ */
+export const getHoldingPeriod = (acquiredDate, saleDate) => {
+  const acquired = new Date(acquiredDate);
+  const sold = new Date(saleDate);
+  if (isNaN(acquired.getTime()) || isNaN(sold.getTime())) {
+    return { holdDays: null, term: 'short' };
+  }
+
+  const oneYearLater = new Date(acquired);
+  oneYearLater.setFullYear(oneYearLater.getFullYear() + 1);
+
+  return {
+    holdDays: Math.max(0, Math.round((sold - acquired) / (24 * 60 * 60 * 1000))),
+    term: sold > oneYearLater ? 'long' : 'short'
+  };
+};
+
+/**
+ * Split an amount across parts proportional to their weights, keeping the exact total
+ * @param {number} totalCents - Amount to split
+ * @param {Array<number>} weights - Weight of each part
+ * @returns {Array<number>} - Whole-cent amounts summing to totalCents
+ */
+const splitProRata = (totalCents, weights) => {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  if (!totalCents || totalWeight <= 0) return weights.map(() => 0);
+
+  const exact = weights.map(weight => (totalCents * weight) / totalWeight);
+  const parts = exact.map(Math.floor);
+  let remainder = totalCents - parts.reduce((sum, part) => sum + part, 0);
+
+  exact
+    .map((value, index) => ({ index, fraction: value - Math.floor(value) }))
+    .sort((a, b) => b.fraction - a.fraction)
+    .forEach(({ index }) => {
+      if (remainder > 0) {
+        parts[index] += 1;
+        remainder -= 1;
+      }
+    });
+
+  return parts;
+};
+
+/**
+ * Allocate a sale to lots and compute the realized gain of each allocation
+ * Fees and seller shipping are charged once per sale, so they are split across lots by quantity
+ * @param {Object} sale - { quantity, salePriceCents (per item), saleDate, feesCents, shippingCents }
+ * @param {Array} lots - Open lots from getOpenLots
+ * @param {string} method - Key of LOT_METHODS
+ * @param {Array} selections - For 'specific': [{ orderId, quantity }]
+ * @returns {Array} - [{ orderId, quantity, acquiredDate, unitCostCents, costBasisCents, grossCents, feesCents,
+ *                      shippingCents, netCents, realizedGainCents, holdDays, term }]
+ */
+export const allocateSaleToLots = (sale, lots, method = DEFAULT_LOT_METHOD, selections = []) => {
+  const picks = selectLots(lots, sale.quantity, method, selections);
+  const quantities = picks.map(pick => pick.quantity);
+  const fees = splitProRata(sale.feesCents || 0, quantities);
+  const shipping = splitProRata(sale.shippingCents || 0, quantities);
+
+  return picks.map(({ lot, quantity }, index) => {
+    const grossCents = Math.round((sale.salePriceCents || 0) * quantity);
+    const netCents = grossCents - fees[index] - shipping[index];
+    // Whole cents: the copy carrying the leftover shipping cents is the next one sold
+    const costBasisCents = lot.order
+      ? getLandedCostCents(lot.order, quantity, getSoldCount(lot.order))
+      : lot.unitCostCents * quantity;
+
+    return {
+      orderId: lot.orderId,
+      quantity,
+      acquiredDate: lot.acquiredDate,
+      unitCostCents: lot.unitCostCents,
+      costBasisCents,
+      grossCents,
+      feesCents: fees[index],
+      shippingCents: shipping[index],
+      netCents,
+      realizedGainCents: netCents - costBasisCents,
+      ...getHoldingPeriod(lot.acquiredDate, sale.saleDate)
+    };
+  });
+};
+
+/**
+ * Summarize lot allocations for display
+ * @param {Array} allocations - Result of allocateSaleToLots
+ * @returns {Object} - { costBasisCents, netCents, realizedGainCents, shortTermGainCents, longTermGainCents }
+ */
+export const summarizeAllocations = (allocations) => {
+  return allocations.reduce((summary, allocation) => ({
+    costBasisCents: summary.costBasisCents + allocation.costBasisCents,
+    netCents: summary.netCents + allocation.netCents,
+    realizedGainCents: summary.realizedGainCents + allocation.realizedGainCents,
+    shortTermGainCents: summary.shortTermGainCents + (allocation.term === 'short' ? allocation.realizedGainCents : 0),
+    longTermGainCents: summary.longTermGainCents + (allocation.term === 'long' ? allocation.realizedGainCents : 0)
+  }), { costBasisCents: 0, netCents: 0, realizedGainCents: 0, shortTermGainCents: 0, longTermGainCents: 0 });
+};
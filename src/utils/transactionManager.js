@@ -1,4 +1,5 @@
 import { supabase } from '../lib/supabaseClient';
+import taxLotService from '../services/taxLotService';
 
 /**
  * Transaction Manager Utilities
@@ -98,15 +99,17 @@ export const deleteSoldPortion = async (transactionId, saleId, quantityToReturn
 
 /**
  * Add a partial sale to a transaction
+ * The sale is matched to purchase lots of the same product (FIFO, LIFO, highest cost or specific ID),
+ * so it may be recorded against other orders than the one it was started from
  * @param {string} transactionId - The transaction ID
- * @param {Object} saleData - Sale data including quantity, price, date, etc.
+ * @param {Object} saleData - Sale data including quantity, price, date, etc. plus optional lotMethod / lotSelections
  * @returns {Promise<Object>} - Updated transaction data
  */
 export const addPartialSale = async (transactionId, saleData) => {
   try {
     // First, get the current transaction data
     const { data: currentTransaction, error: fetchError } = await supabase
-      .from('orders')
+      .from('individual_orders_clean')
       .select('*')
       .eq('id', transactionId)
       .single();
@@ -116,31 +119,29 @@ export const addPartialSale = async (transactionId, saleData) => {
       throw fetchError;
     }
 
-    // Calculate new quantity_sold
-    const currentSold = currentTransaction.quantity_sold || 0;
-    const saleQuantity = saleData.quantity || 1;
-    const totalQuantity = currentTransaction.quantity || 0;
-    
-    const newQuantitySold = Math.min(totalQuantity, currentSold + saleQuantity);
-    
-    // Update the transaction
+    const lotMethod = saleData.lotMethod || taxLotService.getPreferredMethod();
+    await taxLotService.recordSale(currentTransaction, {
+      quantity: saleData.quantity || 1,
+      salePriceCents: saleData.salePrice || 0,
+      saleDate: saleData.saleDate || new Date().toISOString().slice(0, 10),
+      saleLocation: saleData.saleLocation,
+      saleNotes: saleData.saleNotes,
+      buyer: saleData.buyer,
+      shippingCents: saleData.shippingCents,
+      feesCents: saleData.feesCents
+    }, {
+      method: lotMethod,
+      selections: saleData.lotSelections || []
+    });
+
     const { data, error } = await supabase
       .from('orders')
-      .update({
-        quantity_sold: newQuantitySold,
-        sell_date: saleData.saleDate || new Date().toISOString(),
-        sell_price_cents: saleData.salePrice || currentTransaction.sell_price_cents,
-        sell_location: saleData.saleLocation || currentTransaction.sell_location,
-        sell_notes: saleData.saleNotes || currentTransaction.sell_notes,
-        is_sold: newQuantitySold >= totalQuantity, // Mark as fully sold if all items are sold
-        updated_at: new Date().toISOString()
-      })
+      .select('*')
       .eq('id', transactionId)
-      .select()
       .single();
 
     if (error) {
-      console.error('Error updating transaction after adding partial sale:', error);
+      console.error('Error fetching transaction after adding partial sale:', error);
       throw error;
     }
 
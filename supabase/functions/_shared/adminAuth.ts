@@ -0,0 +1,59 @@
+/**
+ * Admin check for edge functions
+ * Admin rights in the app (src/config/adminConfig.js) are only checked in the browser, so functions that
+ * write with the service role on behalf of the admin dashboard verify the caller themselves. Allowed are
+ * the service role key (pg_cron, other functions) and signed-in users listed in the ADMIN_EMAILS secret
+ * (comma-separated) or with app_metadata.role = 'admin'
+ */
+
+export class AdminAuthError extends Error {
+  status: number
+
+  constructor(message: string, status: number) {
+    super(message)
+    this.name = 'AdminAuthError'
+    this.status = status
+  }
+}
+
+const getAdminEmails = (): string[] =>
+  (Deno.env.get('ADMIN_EMAILS') || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean)
+
+/**
+ * Make sure the request comes from the service role or an admin
+ * Throws AdminAuthError (401 without a valid session, 403 for other users)
+ * @returns The admin's user id, or null for service role calls
+ */
+export const requireAdmin = async (req: Request, supabase: any, serviceKey: string): Promise<string | null> => {
+  const token = (req.headers.get('Authorization') || '').replace(/^Bearer\s+/i, '')
+  if (!token) throw new AdminAuthError('Missing authorization', 401)
+  if (token === serviceKey) return null
+
+  const { data, error } = await supabase.auth.getUser(token)
+  if (error || !data?.user) throw new AdminAuthError('Invalid or expired session', 401)
+
+  const user = data.user
+  const isAdmin = user.app_metadata?.role === 'admin'
+    || getAdminEmails().includes((user.email || '').toLowerCase())
+  if (!isAdmin) throw new AdminAuthError('Admin access required', 403)
+
+  return user.id
+}
+
+/**
+ * Response for a caller requireAdmin turned away
+ */
+export const adminAuthErrorResponse = (error: AdminAuthError, headers: Record<string, string>): Response =>
+  new Response(
+    JSON.stringify({
+      success: false,
+      error: error.message
+    }),
+    {
+      status: error.status,
+      headers: { ...headers, 'Content-Type': 'application/json' }
+    }
+  )
@@ -0,0 +1,99 @@
+/**
+ * API quota governor client
+ * Edge functions call acquireApiQuota() before every request to a rate-limited provider.
+ * Limits, counters and the token bucket live in the database (acquire_api_quota), so every
+ * function and the import scripts share one budget per provider
+ */
+
+export type QuotaPriority = 'interactive' | 'background'
+
+export class QuotaExceededError extends Error {
+  provider: string
+  retryAfterMs: number
+
+  constructor(provider: string, retryAfterMs: number) {
+    super(`${provider} API quota exhausted, retry in ${Math.ceil(retryAfterMs / 1000)}s`)
+    this.name = 'QuotaExceededError'
+    this.provider = provider
+    this.retryAfterMs = retryAfterMs
+  }
+}
+
+// Longest a request waits for budget before giving up
+const MAX_WAIT_MS: Record<QuotaPriority, number> = {
+  interactive: 5000,
+  background: 30000
+}
+
+/**
+ * Priority of an incoming request: ?priority=background marks syncs and bulk refreshes
+ */
+export const getQuotaPriority = (req: Request): QuotaPriority =>
+  new URL(req.url).searchParams.get('priority') === 'background' ? 'background' : 'interactive'
+
+/**
+ * Wait for budget on a provider
+ * Throws QuotaExceededError when the budget does not free up within the priority's wait limit.
+ * If the governor itself is unreachable the request goes ahead rather than failing the call
+ */
+export const acquireApiQuota = async (
+  supabase: any,
+  provider: string,
+  priority: QuotaPriority = 'interactive',
+  cost = 1
+): Promise<void> => {
+  const deadline = Date.now() + MAX_WAIT_MS[priority]
+
+  while (true) {
+    const { data, error } = await supabase.rpc('acquire_api_quota', {
+      p_provider: provider,
+      p_priority: priority,
+      p_cost: cost
+    })
+
+    if (error) {
+      console.error(`⚠️ Quota governor unavailable for ${provider}:`, error.message)
+      return
+    }
+    if (data?.allowed) return
+
+    const retryAfterMs = Number(data?.retry_after_ms) || 1000
+    if (Date.now() + retryAfterMs > deadline) {
+      throw new QuotaExceededError(provider, retryAfterMs)
+    }
+
+    console.log(`⏳ ${provider} ${priority} request waiting ${retryAfterMs}ms for quota`)
+    await new Promise(resolve => setTimeout(resolve, retryAfterMs))
+  }
+}
+
+/**
+ * Stop all callers of a provider for a while after it answered 429
+ */
+export const drainApiQuota = async (supabase: any, provider: string, seconds = 60): Promise<void> => {
+  const { error } = await supabase.rpc('drain_api_quota', { p_provider: provider, p_seconds: seconds })
+  if (error) {
+    console.error(`⚠️ Failed to drain ${provider} quota:`, error.message)
+  }
+}
+
+/**
+ * 429 response for a request the governor turned away
+ */
+export const quotaExceededResponse = (error: QuotaExceededError, headers: Record<string, string>): Response =>
+  new Response(
+    JSON.stringify({
+      success: false,
+      error: error.message,
+      provider: error.provider,
+      retry_after_ms: error.retryAfterMs
+    }),
+    {
+      status: 429,
+      headers: {
+        ...headers,
+        'Content-Type': 'application/json',
+        'Retry-After': String(Math.ceil(error.retryAfterMs / 1000))
+      }
+    }
+  )
@@ -0,0 +1,188 @@
+/**
+ * Admin Actions Function
+ * Writes the admin dashboard makes with the service role, after checking the caller is an admin.
+ * The tables and functions behind these actions are not writable by clients.
+ * ?action=update-reconciliation-settings  body: { band_percent, jump_percent, min_price }
+ * ?action=review-price-flag               body: { flagId, decision, note }
+ * ?action=update-sync-schedule            body: { scheduleId, updates: { enabled, frequency, interval_hours, run_at, weekday } }
+ * ?action=import-fx-rates                 body: { rows: [{ rate_date, currency, units_per_usd }], source }
+ * ?action=claim-sync-job                  body: { workerId, jobId, jobTypes } (browser sync workers)
+ * ?action=refresh-magic-item-values       (after a dashboard Magic sync)
+ * ?action=refresh-tcgcsv-item-values      body: { gameId } (after a dashboard TCGCSV catalog sync)
+ */
+
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { AdminAuthError, adminAuthErrorResponse, requireAdmin } from '../_shared/adminAuth.ts'
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+}
+
+// Schedule columns the dashboard may change; next_run_at follows from them (set_sync_schedule_next_run)
+const SCHEDULE_FIELDS = ['enabled', 'frequency', 'interval_hours', 'run_at', 'weekday'];
+
+class AdminActions {
+  private supabase: any;
+  private adminId: string | null;
+
+  constructor(supabase: any, adminId: string | null) {
+    this.supabase = supabase;
+    this.adminId = adminId;
+  }
+
+  async updateReconciliationSettings(body: any): Promise<any> {
+    const { data, error } = await this.supabase
+      .from('price_reconciliation_settings')
+      .upsert({
+        id: true,
+        band_percent: body.band_percent,
+        jump_percent: body.jump_percent,
+        min_price: body.min_price,
+        updated_at: new Date().toISOString()
+      })
+      .select('band_percent, jump_percent, min_price')
+      .single();
+
+    if (error) throw new Error(`Failed to save reconciliation settings: ${error.message}`);
+    return data;
+  }
+
+  async reviewPriceFlag(body: any): Promise<any> {
+    const { data, error } = await this.supabase.rpc('review_price_flag', {
+      p_flag_id: body.flagId,
+      p_decision: body.decision,
+      p_note: body.note ?? null,
+      p_reviewed_by: this.adminId
+    });
+
+    if (error) throw new Error(`Failed to review price flag: ${error.message}`);
+    return data;
+  }
+
+  async updateSyncSchedule(body: any): Promise<any> {
+    const updates = Object.fromEntries(
+      Object.entries(body.updates || {}).filter(([key]) => SCHEDULE_FIELDS.includes(key))
+    );
+
+    const { data, error } = await this.supabase
+      .from('sync_schedules')
+      .update(updates)
+      .eq('id', body.scheduleId)
+      .select()
+      .single();
+
+    if (error) throw new Error(`Failed to update schedule ${body.scheduleId}: ${error.message}`);
+    return data;
+  }
+
+  async importFxRates(body: any): Promise<number> {
+    const records = (body.rows || []).map((row: any) => ({
+      rate_date: row.rate_date,
+      currency: row.currency,
+      units_per_usd: row.units_per_usd,
+      source: body.source ?? null
+    }));
+
+    const { error } = await this.supabase
+      .from('fx_rates')
+      .upsert(records, { onConflict: 'currency,rate_date' });
+
+    if (error) throw new Error(`Failed to import FX rates: ${error.message}`);
+    return records.length;
+  }
+
+  async claimSyncJob(body: any): Promise<any> {
+    const { data, error } = await this.supabase.rpc('claim_sync_job', {
+      p_worker_id: body.workerId,
+      p_job_id: body.jobId ?? null,
+      p_job_types: body.jobTypes ?? null
+    });
+
+    if (error) throw new Error(`Failed to claim sync job: ${error.message}`);
+    return data;
+  }
+
+  async refreshMagicItemValues(): Promise<number> {
+    const { data, error } = await this.supabase.rpc('refresh_magic_item_values');
+
+    if (error) throw new Error(`Failed to refresh Magic item values: ${error.message}`);
+    return data || 0;
+  }
+
+  async refreshTcgcsvItemValues(body: any): Promise<number> {
+    const { data, error } = await this.supabase.rpc('refresh_tcgcsv_item_values', { p_game_id: body.gameId });
+
+    if (error) throw new Error(`Failed to refresh ${body.gameId} item values: ${error.message}`);
+    return data || 0;
+  }
+
+  async run(action: string | null, body: any): Promise<any> {
+    switch (action) {
+      case 'update-reconciliation-settings':
+        return this.updateReconciliationSettings(body);
+      case 'review-price-flag':
+        return this.reviewPriceFlag(body);
+      case 'update-sync-schedule':
+        return this.updateSyncSchedule(body);
+      case 'import-fx-rates':
+        return this.importFxRates(body);
+      case 'claim-sync-job':
+        return this.claimSyncJob(body);
+      case 'refresh-magic-item-values':
+        return this.refreshMagicItemValues();
+      case 'refresh-tcgcsv-item-values':
+        return this.refreshTcgcsvItemValues(body);
+      default:
+        throw new Error(`Unknown action: ${action}`);
+    }
+  }
+}
+
+serve(async (req) => {
+  // Handle CORS
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  try {
+    const supabaseUrl = Deno.env.get('SUPABASE_URL');
+    const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY');
+
+    if (!supabaseUrl || !supabaseServiceKey) {
+      throw new Error('Missing required environment variables');
+    }
+
+    const supabase = createClient(supabaseUrl, supabaseServiceKey);
+    const adminId = await requireAdmin(req, supabase, supabaseServiceKey);
+
+    const url = new URL(req.url);
+    const body = await req.json().catch(() => ({}));
+    const result = await new AdminActions(supabase, adminId).run(url.searchParams.get('action'), body);
+
+    return new Response(
+      JSON.stringify({
+        success: true,
+        data: result
+      }),
+      { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  } catch (error) {
+    if (error instanceof AdminAuthError) {
+      return adminAuthErrorResponse(error, corsHeaders);
+    }
+
+    console.error('Admin action error:', error);
+    return new Response(
+      JSON.stringify({
+        success: false,
+        error: error.message
+      }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    );
+  }
+})
@@ -1,5 +1,6 @@
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { QuotaExceededError, acquireApiQuota, getQuotaPriority, quotaExceededResponse } from '../_shared/apiQuota.ts'
 
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
@@ -113,6 +114,13 @@ serve(async (req) => {
         )
     }
 
+    // Take the request from the shared PriceCharting budget
+    const supabase = createClient(
+      Deno.env.get('SUPABASE_URL') ?? '',
+      Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? ''
+    )
+    await acquireApiQuota(supabase, 'pricecharting', getQuotaPriority(req))
+
     // Make request to PriceCharting API
     console.log('🔍 Making request to PriceCharting API:', apiUrl)
     const response = await fetch(apiUrl, {
@@ -236,6 +244,10 @@ serve(async (req) => {
     )
 
   } catch (error) {
+    if (error instanceof QuotaExceededError) {
+      return quotaExceededResponse(error, corsHeaders)
+    }
+
     console.error('PriceCharting API function error:', error)
     return new Response(
       JSON.stringify({
@@ -1,4 +1,6 @@
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { QuotaExceededError, acquireApiQuota, getQuotaPriority, quotaExceededResponse } from '../_shared/apiQuota.ts'
 
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
@@ -43,6 +45,13 @@ serve(async (req) => {
       'Content-Type': 'application/json'
     }
 
+    // Each endpoint makes one RapidAPI request; take it from the shared budget
+    const supabase = createClient(
+      Deno.env.get('SUPABASE_URL') ?? '',
+      Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? ''
+    )
+    await acquireApiQuota(supabase, 'rapidapi', getQuotaPriority(req))
+
     let response
 
     switch (endpoint) {
@@ -266,6 +275,10 @@ serve(async (req) => {
     )
 
   } catch (error) {
+    if (error instanceof QuotaExceededError) {
+      return quotaExceededResponse(error, corsHeaders)
+    }
+
     console.error('RapidAPI function error:', error)
     return new Response(
       JSON.stringify({ 
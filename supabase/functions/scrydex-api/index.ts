@@ -1,5 +1,6 @@
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { QuotaExceededError, acquireApiQuota, getQuotaPriority, quotaExceededResponse } from '../_shared/apiQuota.ts'
 
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
@@ -343,6 +344,13 @@ serve(async (req) => {
     console.log(`API Request: ${req.method} ${path}`)
     console.log('Search params:', searchParams)
 
+    // Every endpoint below makes one Scrydex request; take it from the shared budget
+    const supabase = createClient(
+      Deno.env.get('SUPABASE_URL') ?? '',
+      Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? ''
+    )
+    await acquireApiQuota(supabase, 'scrydex', getQuotaPriority(req))
+
     let result
 
     switch (path) {
@@ -471,6 +479,10 @@ serve(async (req) => {
     )
 
   } catch (error) {
+    if (error instanceof QuotaExceededError) {
+      return quotaExceededResponse(error, corsHeaders)
+    }
+
     console.error('API Error:', error)
     
     return new Response(
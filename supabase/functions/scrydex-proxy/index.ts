@@ -6,6 +6,14 @@
 
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import {
+  QuotaExceededError,
+  QuotaPriority,
+  acquireApiQuota,
+  drainApiQuota,
+  getQuotaPriority,
+  quotaExceededResponse
+} from '../_shared/apiQuota.ts'
 
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
@@ -21,8 +29,9 @@ interface ScrydexConfig {
 class ScrydexProxy {
   private config: ScrydexConfig
   private supabase: any
+  private priority: QuotaPriority
 
-  constructor() {
+  constructor(priority: QuotaPriority = 'interactive') {
     const apiKey = Deno.env.get('SCRYDEX_API_KEY')
     const teamId = Deno.env.get('SCRYDEX_TEAM_ID')
     
@@ -40,6 +49,7 @@ class ScrydexProxy {
       Deno.env.get('SUPABASE_URL') ?? '',
       Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? ''
     )
+    this.priority = priority
   }
 
   /**
@@ -57,8 +67,8 @@ class ScrydexProxy {
 
     console.log(`🌐 Scrydex API Request: ${url.toString()}`)
 
-    // Check rate limiting before making request
-    await this.checkRateLimit()
+    // Take the request from the shared Scrydex budget
+    await acquireApiQuota(this.supabase, 'scrydex', this.priority)
 
     const response = await fetch(url.toString(), {
       headers: {
@@ -71,9 +81,10 @@ class ScrydexProxy {
 
     if (!response.ok) {
       if (response.status === 429) {
-        console.warn('⚠️ Rate limit exceeded, waiting before retry...')
-        await this.handleRateLimit()
-        // Retry once after rate limit delay
+        console.warn('⚠️ Rate limit exceeded, pausing Scrydex requests...')
+        const retryAfter = Number(response.headers.get('Retry-After')) || 60
+        await drainApiQuota(this.supabase, 'scrydex', retryAfter)
+        // Retried once the governor has budget again (or rejected if that is too far off)
         return this.makeScrydexRequest(endpoint, params)
       }
       
@@ -85,36 +96,6 @@ class ScrydexProxy {
     return response.json()
   }
 
-  /**
-   * Check rate limiting (100 requests per second limit)
-   */
-  private async checkRateLimit(): Promise<void> {
-    const now = Date.now()
-    const timeWindow = 1000 // 1 second window
-    
-    // Get current request count from cache
-    const cacheKey = `rate_limit:${Math.floor(now / timeWindow)}`
-    const cached = await this.getFromCache(cacheKey)
-    const currentCount = cached ? parseInt(cached) : 0
-    
-    if (currentCount >= 100) {
-      console.warn('⚠️ Rate limit approaching, waiting...')
-      await new Promise(resolve => setTimeout(resolve, 100))
-      return this.checkRateLimit()
-    }
-    
-    // Increment counter
-    await this.setCache(cacheKey, currentCount + 1, 2) // 2 minute TTL
-  }
-
-  /**
-   * Handle rate limit exceeded
-   */
-  private async handleRateLimit(): Promise<void> {
-    // Wait 1 second before retry (respecting 100 req/sec limit)
-    await new Promise(resolve => setTimeout(resolve, 1000))
-  }
-
   /**
    * Check cache for request
    */
@@ -275,36 +256,36 @@ class ScrydexProxy {
   }
 
   /**
-   * Get API usage information (updated every 20-30 minutes)
+   * Get API usage: remaining budget per provider and window from the quota governor,
+   * plus the Scrydex account's credits (updated every 20-30 minutes)
    */
   async getApiUsage(): Promise<any> {
-    const cacheKey = 'api_usage'
-    
-    // Check cache first (cache for 15 minutes to avoid frequent API calls)
-    const cached = await this.getFromCache(cacheKey)
-    if (cached) {
-      return cached
+    const { data: quota, error } = await this.supabase
+      .from('api_quota_status')
+      .select('*')
+
+    if (error) {
+      throw new Error(`Failed to load API quota status: ${error.message}`)
     }
 
-    try {
-      const response = await this.makeScrydexRequest('/v1/usage')
-      
-      // Cache usage data for 15 minutes
-      await this.setCache(cacheKey, response, 15)
-      
-      return response
-    } catch (error) {
-      console.error('❌ Failed to fetch API usage:', error)
-      // Return mock usage data when endpoint is not available
-      return {
-        total_credits: 1000,
-        used_credits: 0,
-        remaining_credits: 1000,
-        overage_credit_rate: 0.01,
-        note: 'API usage endpoint not available - showing mock data',
-        last_updated: new Date().toISOString()
+    // Credits are cached for 15 minutes to avoid spending requests on them
+    const cacheKey = 'api_usage'
+    let credits = await this.getFromCache(cacheKey)
+    if (!credits) {
+      try {
+        credits = await this.makeScrydexRequest('/v1/usage')
+        await this.setCache(cacheKey, credits, 15)
+      } catch (error) {
+        console.error('❌ Failed to fetch Scrydex credits:', error)
+        credits = null
       }
     }
+
+    return {
+      quota,
+      credits,
+      last_updated: new Date().toISOString()
+    }
   }
 }
 
@@ -319,7 +300,7 @@ serve(async (req) => {
     const path = url.pathname.replace('/scrydex-proxy', '')
     const searchParams = Object.fromEntries(url.searchParams.entries())
 
-    const proxy = new ScrydexProxy()
+    const proxy = new ScrydexProxy(getQuotaPriority(req))
 
     switch (path) {
       case '/search/cards':
@@ -508,6 +489,10 @@ serve(async (req) => {
         )
     }
   } catch (error) {
+    if (error instanceof QuotaExceededError) {
+      return quotaExceededResponse(error, corsHeaders)
+    }
+
     console.error('❌ Scrydex proxy error:', error)
     return new Response(
       JSON.stringify({ 
@@ -2,10 +2,12 @@
  * Scrydex Sync Function
  * Server-side function to sync data from Scrydex API
  * Handles both full sync and pricing-only sync
+ * Card, expansion and pricing syncs also run as sync_jobs (action=run-job), checkpointing each page
  */
 
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { acquireApiQuota } from '../_shared/apiQuota.ts'
 
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
@@ -83,6 +85,14 @@ interface ScrydexExpansion {
   translation?: any;
 }
 
+// Thrown when a job's cancel_requested is seen between units of work
+class SyncCancelledError extends Error {
+  constructor() {
+    super('Sync stopped by user');
+    this.name = 'SyncCancelledError';
+  }
+}
+
 class ScrydexSyncService {
   private supabase: any;
   private config: ScrydexConfig;
@@ -104,6 +114,9 @@ class ScrydexSyncService {
 
     console.log(`🔍 Scrydex API Request: ${url.toString()}`);
 
+    // Syncs are background work: they wait for budget and leave the interactive reserve alone
+    await acquireApiQuota(this.supabase, 'scrydex', 'background');
+
     const response = await fetch(url.toString(), {
       method: 'GET',
       headers: {
@@ -405,7 +418,11 @@ class ScrydexSyncService {
   }
 
   // Comprehensive sync for entire database using pagination
-  private async syncAllCards(startPage: number = 1): Promise<{ totalProcessed: number; newCards: number; duplicates: number; errors: number; lastPage: number }> {
+  // onPage is awaited before each page with the page about to be fetched; resolving false stops the sync
+  private async syncAllCards(
+    startPage: number = 1,
+    onPage?: (progress: { page: number; totalProcessed: number; newCards: number; duplicates: number; errors: number }) => Promise<boolean>
+  ): Promise<{ totalProcessed: number; newCards: number; duplicates: number; errors: number; lastPage: number; hasMorePages: boolean; cancelled: boolean }> {
     console.log(`🔄 Starting comprehensive database sync with pagination from page ${startPage}...`);
     
     const pageSize = 250; // Use API's maximum page size
@@ -417,6 +434,7 @@ class ScrydexSyncService {
     let hasMorePages = true;
     let consecutiveErrors = 0;
     let consecutiveDuplicatePages = 0;
+    let cancelled = false;
     const maxConsecutiveErrors = 2; // Reduced to 2 consecutive errors
     const maxConsecutiveDuplicatePages = 5; // Skip 5 pages if all duplicates
     const maxPages = startPage + 20; // Process 20 pages per run (5,000 cards max per run)
@@ -424,6 +442,12 @@ class ScrydexSyncService {
     console.log(`📊 Starting conservative pagination sync with ${pageSize} cards per page (max ${maxPages} pages) from page ${startPage}...`);
 
     while (hasMorePages && consecutiveErrors < maxConsecutiveErrors && currentPage <= maxPages) {
+      if (onPage && !(await onPage({ page: currentPage, totalProcessed, newCards, duplicates, errors }))) {
+        console.log(`⏹️ Sync stopped before page ${currentPage}`);
+        cancelled = true;
+        break;
+      }
+
       try {
         console.log(`📦 Fetching page ${currentPage} (${pageSize} cards)...`);
         
@@ -710,7 +734,7 @@ class ScrydexSyncService {
       console.log(`🔄 More cards available - run sync again to continue from page ${currentPage}`);
     }
     
-    return { totalProcessed, newCards, duplicates, errors, lastPage: currentPage };
+    return { totalProcessed, newCards, duplicates, errors, lastPage: currentPage, hasMorePages, cancelled };
   }
 
   // Sync limited number of cards for testing
@@ -895,7 +919,8 @@ class ScrydexSyncService {
   }
 
   // Sync pricing for all cards (dedicated pricing sync)
-  private async syncPricing(): Promise<number> {
+  // shouldContinue is awaited before each batch; resolving false reconciles what was repriced and throws SyncCancelledError
+  private async syncPricing(shouldContinue?: () => Promise<boolean>): Promise<{ updated: number; flagged: number }> {
     console.log('💰 Syncing pricing data only...');
     
     try {
@@ -910,12 +935,12 @@ class ScrydexSyncService {
 
       if (cardsError) {
         console.error('Failed to get cards for pricing sync:', cardsError);
-        return 0;
+        return { updated: 0, flagged: 0 };
       }
 
       if (!cards || cards.length === 0) {
         console.log('No cards found for pricing sync');
-        return 0;
+        return { updated: 0, flagged: 0 };
       }
 
       // Filter to only cards that need pricing updates
@@ -927,8 +952,15 @@ class ScrydexSyncService {
       
       let totalUpdated = 0;
       const batchSize = 5; // Smaller batches for pricing-only sync
+      const repricedIds: string[] = [];
+      const otherPrices: Record<string, Record<string, number>> = {};
 
       for (let i = 0; i < staleCards.length; i += batchSize) {
+        if (shouldContinue && !(await shouldContinue())) {
+          await this.reconcilePrices('card', repricedIds, otherPrices);
+          throw new SyncCancelledError();
+        }
+
         const batch = staleCards.slice(i, i + batchSize);
         
         for (const card of batch) {
@@ -985,6 +1017,13 @@ class ScrydexSyncService {
               } else {
                 totalUpdated++;
                 console.log(`✅ Updated pricing for ${card.id}`);
+                await this.recordPriceHistory(card.id, result.prices);
+                repricedIds.push(card.id);
+                otherPrices[card.id] = {
+                  tcgplayer: result.prices.tcgplayer?.usd,
+                  cardmarket: result.prices.cardmarket?.usd,
+                  pricecharting: result.prices.pricecharting?.market
+                };
               }
             }
 
@@ -1004,13 +1043,86 @@ class ScrydexSyncService {
       }
 
       console.log(`✅ Pricing sync completed: ${totalUpdated} cards updated`);
-      return totalUpdated;
+      const flagged = await this.reconcilePrices('card', repricedIds, otherPrices);
+      return { updated: totalUpdated, flagged };
     } catch (error) {
+      if (error instanceof SyncCancelledError) throw error;
       console.error('Error syncing pricing:', error);
+      return { updated: 0, flagged: 0 };
+    }
+  }
+
+  // Compare fresh prices with other sources and the last accepted price; outliers are held for review
+  private async reconcilePrices(productType: string, productIds: string[], otherPrices: Record<string, any> = {}): Promise<number> {
+    if (productIds.length === 0) return 0;
+
+    try {
+      const { data, error } = await this.supabase.rpc('reconcile_price_history', {
+        p_product_type: productType,
+        p_source: 'scrydex',
+        p_product_ids: productIds,
+        p_other_prices: otherPrices
+      });
+
+      if (error) {
+        console.error('Failed to reconcile prices:', error);
+        return 0;
+      }
+
+      if (data) console.log(`🚩 Flagged ${data} suspicious prices for review`);
+      return data || 0;
+    } catch (error) {
+      console.error('Failed to reconcile prices:', error);
       return 0;
     }
   }
 
+  // Append today's raw and graded price points for a card to price_history
+  private async recordPriceHistory(cardId: string, prices: any): Promise<void> {
+    const recordedOn = new Date().toISOString().split('T')[0];
+    const points = [];
+
+    if (prices?.raw?.market != null || prices?.raw?.low != null) {
+      points.push({
+        product_type: 'card',
+        product_id: cardId,
+        source: 'scrydex',
+        price_type: 'raw',
+        variant: '',
+        currency: prices.raw.currency || 'USD',
+        market: prices.raw.market ?? null,
+        low: prices.raw.low ?? null,
+        recorded_on: recordedOn
+      });
+    }
+
+    if (prices?.graded?.market != null || prices?.graded?.low != null) {
+      points.push({
+        product_type: 'card',
+        product_id: cardId,
+        source: 'scrydex',
+        price_type: 'graded',
+        variant: [prices.graded.company, prices.graded.grade].filter(Boolean).join(' '),
+        currency: prices.graded.currency || 'USD',
+        market: prices.graded.market ?? null,
+        low: prices.graded.low ?? null,
+        mid: prices.graded.mid ?? null,
+        high: prices.graded.high ?? null,
+        recorded_on: recordedOn
+      });
+    }
+
+    if (points.length === 0) return;
+
+    const { error } = await this.supabase
+      .from('price_history')
+      .upsert(points, { onConflict: 'product_type,product_id,source,price_type,variant,recorded_on' });
+
+    if (error) {
+      console.warn(`Failed to record price history for card ${cardId}:`, error);
+    }
+  }
+
   // Full sync (expansions + cards)
   async fullSync(): Promise<{ expansions: number; cards: number }> {
     try {
@@ -1073,7 +1185,12 @@ class ScrydexSyncService {
   }
 
   // Sync all expansions from Scrydex API
-  async syncAllExpansions(): Promise<number> {
+  // shouldContinue is awaited before each request and before saving; resolving false throws SyncCancelledError
+  async syncAllExpansions(shouldContinue?: () => Promise<boolean>): Promise<number> {
+    const checkCancelled = async () => {
+      if (shouldContinue && !(await shouldContinue())) throw new SyncCancelledError();
+    };
+
     try {
       console.log('🔄 Starting expansions sync...');
       
@@ -1082,6 +1199,7 @@ class ScrydexSyncService {
       
       // First, try the basic endpoint with a large page size
       console.log('📄 Trying basic endpoint with large page size...');
+      await checkCancelled();
       try {
         const result = await this.makeRequest('/pokemon/v1/expansions', {
           pageSize: 1000
@@ -1111,6 +1229,7 @@ class ScrydexSyncService {
       // If we got fewer than expected, try with different parameters and language endpoints
       if (allExpansions.length < 300) {
         console.log('📄 Trying with different parameters...');
+        await checkCancelled();
         try {
           const result2 = await this.makeRequest('/pokemon/v1/expansions', {
             limit: 1000
@@ -1136,6 +1255,7 @@ class ScrydexSyncService {
         
         // Try Japanese expansions endpoint
         console.log('📄 Trying Japanese expansions endpoint...');
+        await checkCancelled();
         try {
           const result3 = await this.makeRequest('/pokemon/v1/ja/expansions', {
             pageSize: 1000
@@ -1161,6 +1281,7 @@ class ScrydexSyncService {
         
         // Try English expansions endpoint
         console.log('📄 Trying English expansions endpoint...');
+        await checkCancelled();
         try {
           const result4 = await this.makeRequest('/pokemon/v1/en/expansions', {
             pageSize: 1000
@@ -1212,6 +1333,7 @@ class ScrydexSyncService {
       }));
 
       // Insert expansions into database (upsert to handle updates)
+      await checkCancelled();
       const { error } = await this.supabase
         .from('pokemon_expansions')
         .upsert(formattedExpansions, { onConflict: 'id' });
@@ -1225,7 +1347,7 @@ class ScrydexSyncService {
       return formattedExpansions.length;
 
     } catch (error) {
-      console.error('Expansions sync failed:', error);
+      if (!(error instanceof SyncCancelledError)) console.error('Expansions sync failed:', error);
       throw error;
     }
   }
@@ -1262,31 +1384,6 @@ class ScrydexSyncService {
     }
   }
 
-  // Resume sync from a specific page
-  async resumeSync(startPage: number): Promise<{ expansions: number; cards: number }> {
-    try {
-      await this.updateSyncStatus('resume', undefined, undefined, true);
-
-      // Sync expansions first
-      console.log('🔄 Starting resume sync with expansions...');
-      const expansions = await this.syncAllExpansions();
-      
-      const syncResult = await this.syncAllCards(startPage);
-
-      // Get actual total count from database
-      const { count: totalCards } = await this.supabase
-        .from('pokemon_cards')
-        .select('*', { count: 'exact', head: true });
-
-      await this.updateSyncStatus('resume', totalCards || 0, expansions, false);
-
-      return { expansions, cards: syncResult.newCards, syncDetails: syncResult };
-    } catch (error) {
-      await this.updateSyncStatus('resume', undefined, undefined, false, error.message);
-      throw error;
-    }
-  }
-
   // Test sync (limited to 10 cards)
   async testSync(): Promise<{ expansions: number; cards: number }> {
     try {
@@ -1309,17 +1406,233 @@ class ScrydexSyncService {
   }
 
   // Pricing-only sync
-  async pricingSync(): Promise<{ updated: number }> {
+  async pricingSync(shouldContinue?: () => Promise<boolean>): Promise<{ updated: number; flagged: number; snapshots: number; alerts: number }> {
     try {
       await this.updateSyncStatus('pricing', undefined, undefined, true);
 
-      const updated = await this.syncPricing();
+      // Flagged outliers are held out of valuation before snapshots and alerts use the prices
+      const { updated, flagged } = await this.syncPricing(shouldContinue);
+
+      // Capture today's portfolio values with the fresh prices
+      const snapshots = await this.recordPortfolioSnapshots();
+
+      // Check watchlist rules against the fresh card prices
+      const alerts = await this.evaluatePriceAlerts();
 
       await this.updateSyncStatus('pricing', undefined, undefined, false);
 
-      return { updated };
+      return { updated, flagged, snapshots, alerts };
+    } catch (error) {
+      await this.updateSyncStatus('pricing', undefined, undefined, false,
+        error instanceof SyncCancelledError ? undefined : error.message);
+      throw error;
+    }
+  }
+
+  // Record today's portfolio value snapshot for every user
+  async recordPortfolioSnapshots(): Promise<number> {
+    try {
+      const { data, error } = await this.supabase.rpc('record_portfolio_snapshots');
+
+      if (error) {
+        console.error('Failed to record portfolio snapshots:', error);
+        return 0;
+      }
+
+      console.log(`📸 Recorded ${data} portfolio snapshots`);
+      return data || 0;
+    } catch (error) {
+      console.error('Failed to record portfolio snapshots:', error);
+      return 0;
+    }
+  }
+
+  // Evaluate card watchlist rules and write price alerts
+  async evaluatePriceAlerts(): Promise<number> {
+    try {
+      const { data, error } = await this.supabase.rpc('evaluate_price_alerts', {
+        p_product_type: 'card'
+      });
+
+      if (error) {
+        console.error('Failed to evaluate price alerts:', error);
+        return 0;
+      }
+
+      console.log(`🔔 Triggered ${data} price alerts`);
+      return data || 0;
+    } catch (error) {
+      console.error('Failed to evaluate price alerts:', error);
+      return 0;
+    }
+  }
+
+  // Job types this function runs (see sync_jobs)
+  static readonly JOB_TYPES = ['scrydex-cards', 'scrydex-expansions', 'scrydex-pricing'];
+
+  // Identifies this invocation as the worker holding a job
+  private workerId = `scrydex-sync:${crypto.randomUUID()}`;
+
+  // Queue a job, or get the one already queued or running for the same sync
+  async ensureJob(jobType: string, checkpoint: any = null): Promise<any> {
+    const { data, error } = await this.supabase
+      .from('sync_jobs')
+      .insert({ job_type: jobType, sync_key: jobType, checkpoint })
+      .select()
+      .single();
+
+    if (!error) return data;
+    if (error.code !== '23505') throw new Error(`Failed to queue ${jobType} job: ${error.message}`);
+
+    const { data: active, error: activeError } = await this.supabase
+      .from('sync_jobs')
+      .select('*')
+      .eq('sync_key', jobType)
+      .in('status', ['queued', 'running'])
+      .single();
+
+    if (activeError) throw new Error(`Failed to load ${jobType} job: ${activeError.message}`);
+    return active;
+  }
+
+  // Save progress on a job this worker holds; false when it was cancelled or taken over
+  private async saveJob(jobId: string, fields: Record<string, any>): Promise<boolean> {
+    const { data, error } = await this.supabase
+      .from('sync_jobs')
+      .update({ ...fields, heartbeat_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+      .eq('id', jobId)
+      .eq('worker_id', this.workerId)
+      .select('cancel_requested')
+      .maybeSingle();
+
+    if (error) {
+      console.warn('Failed to save job progress:', error);
+      return true;
+    }
+
+    return !!data && !data.cancel_requested;
+  }
+
+  // Claim a job (or the oldest claimable Scrydex job) and run it from its checkpoint
+  // Card jobs sync a batch of pages per run, then go back to queued at the next page
+  async runJob(jobId: string | null): Promise<any> {
+    const { data: job, error } = await this.supabase.rpc('claim_sync_job', {
+      p_worker_id: this.workerId,
+      p_job_id: jobId,
+      p_job_types: ScrydexSyncService.JOB_TYPES
+    });
+
+    if (error) throw new Error(`Failed to claim sync job: ${error.message}`);
+    if (!job?.id) return null;
+
+    console.log(`🧾 Running ${job.job_type} job ${job.id} (attempt ${job.attempts})`);
+    const finishedAt = () => new Date().toISOString();
+    const errors = (message: string) => [...(job.errors || []), { at: finishedAt(), message }].slice(-20);
+
+    try {
+      // Heartbeat and cancel check between units of work (card pages check through syncAllCards' onPage)
+      const shouldContinue = () => this.saveJob(job.id, {});
+
+      if (job.job_type === 'scrydex-expansions') {
+        if (!(await this.saveJob(job.id, { message: 'Syncing expansions...' }))) throw new SyncCancelledError();
+        const expansions = await this.syncAllExpansions(shouldContinue);
+        await this.saveJob(job.id, {
+          status: 'completed',
+          counts: { expansions },
+          result: { expansions },
+          message: `Synced ${expansions} expansions`,
+          finished_at: finishedAt()
+        });
+        return { jobId: job.id, status: 'completed', expansions };
+      }
+
+      if (job.job_type === 'scrydex-pricing') {
+        if (!(await this.saveJob(job.id, { message: 'Updating card prices...' }))) throw new SyncCancelledError();
+        const pricing = await this.pricingSync(shouldContinue);
+        await this.saveJob(job.id, {
+          status: 'completed',
+          counts: pricing,
+          result: pricing,
+          message: `Updated ${pricing.updated} card prices${pricing.flagged ? `, ${pricing.flagged} flagged for review` : ''}`,
+          finished_at: finishedAt()
+        });
+        return { jobId: job.id, status: 'completed', ...pricing };
+      }
+
+      const checkpoint = { ...(job.checkpoint || {}) };
+      if (!checkpoint.expansionsSynced) {
+        if (!(await this.saveJob(job.id, { message: 'Syncing expansions...' }))) {
+          await this.saveJob(job.id, { status: 'cancelled', message: 'Sync stopped by user', finished_at: finishedAt() });
+          return { jobId: job.id, status: 'cancelled' };
+        }
+        const expansions = await this.syncAllExpansions(shouldContinue);
+        checkpoint.expansionsSynced = true;
+        checkpoint.expansions = expansions;
+      }
+
+      const startPage = checkpoint.page || await this.getLastSuccessfulPage();
+      const base = { newCards: 0, duplicates: 0, errors: 0, ...job.counts };
+
+      const syncResult = await this.syncAllCards(startPage, (progress) => this.saveJob(job.id, {
+        checkpoint: { ...checkpoint, page: progress.page },
+        progress_current: progress.page - 1,
+        counts: {
+          newCards: base.newCards + progress.newCards,
+          duplicates: base.duplicates + progress.duplicates,
+          errors: base.errors + progress.errors
+        },
+        message: `Syncing page ${progress.page}...`
+      }));
+
+      const counts = {
+        newCards: base.newCards + syncResult.newCards,
+        duplicates: base.duplicates + syncResult.duplicates,
+        errors: base.errors + syncResult.errors
+      };
+      const finalCheckpoint = { ...checkpoint, page: syncResult.lastPage };
+
+      if (syncResult.cancelled) {
+        await this.saveJob(job.id, { status: 'cancelled', counts, message: 'Sync stopped by user', finished_at: finishedAt() });
+        return { jobId: job.id, status: 'cancelled', ...counts };
+      }
+
+      if (syncResult.hasMorePages) {
+        // Hand the job back; the next run (dashboard, schedule or a resume-sync call) continues here
+        await this.saveJob(job.id, {
+          status: 'queued',
+          worker_id: null,
+          checkpoint: finalCheckpoint,
+          progress_current: syncResult.lastPage - 1,
+          counts,
+          message: `Paused after page ${syncResult.lastPage - 1}; continues from page ${syncResult.lastPage}`
+        });
+        return { jobId: job.id, status: 'queued', nextPage: syncResult.lastPage, ...counts };
+      }
+
+      await this.saveJob(job.id, {
+        status: 'completed',
+        checkpoint: finalCheckpoint,
+        progress_current: syncResult.lastPage - 1,
+        progress_total: syncResult.lastPage - 1,
+        counts,
+        result: { expansions: checkpoint.expansions || 0, ...counts },
+        message: `Synced ${counts.newCards} new cards`,
+        finished_at: finishedAt()
+      });
+      return { jobId: job.id, status: 'completed', ...counts };
     } catch (error) {
-      await this.updateSyncStatus('pricing', undefined, undefined, false, error.message);
+      if (error instanceof SyncCancelledError) {
+        await this.saveJob(job.id, { status: 'cancelled', message: error.message, finished_at: finishedAt() });
+        return { jobId: job.id, status: 'cancelled' };
+      }
+
+      console.error(`❌ ${job.job_type} job failed:`, error);
+      await this.saveJob(job.id, {
+        status: 'failed',
+        errors: errors(error.message),
+        message: error.message,
+        finished_at: finishedAt()
+      });
       throw error;
     }
   }
@@ -1405,17 +1718,33 @@ serve(async (req) => {
         );
 
       case 'resume-sync':
+        // Continues the active cards job from its checkpoint; startPage only seeds a new job
         const startPage = parseInt(url.searchParams.get('startPage') || '1');
-        const resumeResult = await syncService.resumeSync(startPage);
+        const resumeJob = await syncService.ensureJob('scrydex-cards', { expansionsSynced: true, page: startPage });
+        const resumeResult = await syncService.runJob(resumeJob.id);
         return new Response(
           JSON.stringify({
             success: true,
-            message: `Resume sync completed from page ${startPage}`,
+            message: resumeResult
+              ? `Resume sync ${resumeResult.status} (job ${resumeJob.id})`
+              : 'Cards sync is already running',
             data: resumeResult
           }),
           { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
         );
 
+      case 'run-job':
+        // Run the given job, or the oldest queued / interrupted Scrydex job
+        const jobResult = await syncService.runJob(url.searchParams.get('jobId'));
+        return new Response(
+          JSON.stringify({
+            success: true,
+            message: jobResult ? `Sync job ${jobResult.status}` : 'No sync job to run',
+            data: jobResult
+          }),
+          { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+        );
+
       case 'test-sync':
         try {
           console.log('=== TEST SYNC STARTED (10 cards) ===');
@@ -1463,6 +1792,17 @@ serve(async (req) => {
           { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
         );
 
+      case 'portfolio-snapshot':
+        const snapshots = await syncService.recordPortfolioSnapshots();
+        return new Response(
+          JSON.stringify({
+            success: true,
+            message: 'Portfolio snapshots recorded',
+            data: { snapshots }
+          }),
+          { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+        );
+
       case 'expansions-sync':
         try {
           const expansions = await syncService.syncAllExpansions();
@@ -1554,7 +1894,7 @@ serve(async (req) => {
         return new Response(
           JSON.stringify({
             success: false,
-            error: 'Invalid action. Use: full-sync, comprehensive-sync, resume-sync, test-sync, pricing-sync, expansions-sync, test-expansion-endpoint, or status'
+            error: 'Invalid action. Use: full-sync, comprehensive-sync, resume-sync, run-job, test-sync, pricing-sync, portfolio-snapshot, expansions-sync, test-expansion-endpoint, or status'
           }),
           { 
             status: 400,
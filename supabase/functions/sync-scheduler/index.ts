@@ -0,0 +1,194 @@
+/**
+ * Sync Scheduler Function
+ * Called every 15 minutes by pg_cron (see the sync_schedules migration)
+ * Queues a sync job for every due schedule and hands queued or interrupted jobs to their worker function.
+ * A schedule whose previous job is still queued or running is skipped and the skip is recorded.
+ * ?scheduleId=<id> runs one schedule right away (the admin dashboard's "Run now")
+ * Callers must be pg_cron (service role key) or an admin
+ */
+
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { AdminAuthError, adminAuthErrorResponse, requireAdmin } from '../_shared/adminAuth.ts'
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+}
+
+// Edge function that works each server-side job type
+const WORKER_FUNCTIONS: Record<string, string> = {
+  'tcgcsv-prices': 'tcgcsv-sync',
+  'scrydex-cards': 'scrydex-sync',
+  'scrydex-expansions': 'scrydex-sync',
+  'scrydex-pricing': 'scrydex-sync'
+};
+
+// Matches the claim_sync_job default
+const STALE_AFTER_MS = 2 * 60 * 1000;
+
+class SyncScheduler {
+  private supabase: any;
+  private supabaseUrl: string;
+  private serviceKey: string;
+
+  constructor(supabase: any, supabaseUrl: string, serviceKey: string) {
+    this.supabase = supabase;
+    this.supabaseUrl = supabaseUrl;
+    this.serviceKey = serviceKey;
+  }
+
+  // Schedules to run now: the one asked for, or every due schedule (claiming advances next_run_at)
+  private async getSchedulesToRun(scheduleId: string | null): Promise<any[]> {
+    if (scheduleId) {
+      const { data, error } = await this.supabase
+        .from('sync_schedules')
+        .update({ last_run_at: new Date().toISOString() })
+        .eq('id', scheduleId)
+        .select()
+        .single();
+
+      if (error) throw new Error(`Failed to load schedule ${scheduleId}: ${error.message}`);
+      return [data];
+    }
+
+    const { data, error } = await this.supabase.rpc('claim_due_sync_schedules');
+    if (error) throw new Error(`Failed to claim due schedules: ${error.message}`);
+    return data || [];
+  }
+
+  // Queue one schedule's job and record the run
+  private async queueSchedule(schedule: any, triggeredBy: string): Promise<any> {
+    const { data: job, error } = await this.supabase
+      .from('sync_jobs')
+      .insert({ job_type: schedule.job_type, sync_key: schedule.job_type, params: schedule.params || {} })
+      .select()
+      .single();
+
+    const skipped = error?.code === '23505';
+    if (error && !skipped) {
+      console.error(`Failed to queue ${schedule.id}:`, error);
+    }
+
+    const now = new Date().toISOString();
+    const run = {
+      schedule_id: schedule.id,
+      job_id: job?.id || null,
+      triggered_by: triggeredBy,
+      status: job ? 'queued' : skipped ? 'skipped' : 'failed',
+      message: job ? null : skipped ? 'Previous run still in progress' : error.message,
+      started_at: now,
+      finished_at: job ? null : now
+    };
+
+    const { error: runError } = await this.supabase.from('sync_schedule_runs').insert(run);
+    if (runError) console.error(`Failed to record ${schedule.id} run:`, runError);
+
+    console.log(`⏰ ${schedule.id}: ${run.status}`);
+    return { scheduleId: schedule.id, status: run.status, jobId: run.job_id };
+  }
+
+  // Queued jobs and running jobs whose worker stopped heartbeating
+  private async getJobsToRun(): Promise<any[]> {
+    const { data, error } = await this.supabase
+      .from('sync_jobs')
+      .select('id, job_type, status, heartbeat_at')
+      .in('job_type', Object.keys(WORKER_FUNCTIONS))
+      .in('status', ['queued', 'running']);
+
+    if (error) throw new Error(`Failed to load sync jobs: ${error.message}`);
+
+    return (data || []).filter((job: any) => job.status === 'queued'
+      || !job.heartbeat_at
+      || Date.now() - new Date(job.heartbeat_at).getTime() > STALE_AFTER_MS);
+  }
+
+  // Ask a job's worker function to run it
+  private async invokeWorker(job: any): Promise<any> {
+    const functionName = WORKER_FUNCTIONS[job.job_type];
+    const response = await fetch(`${this.supabaseUrl}/functions/v1/${functionName}?action=run-job&jobId=${job.id}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${this.serviceKey}`
+      }
+    });
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(result.error || `${functionName} returned ${response.status}`);
+    }
+    return result.data;
+  }
+
+  async tick(scheduleId: string | null): Promise<any> {
+    const schedules = await this.getSchedulesToRun(scheduleId);
+    const runs = [];
+    for (const schedule of schedules) {
+      runs.push(await this.queueSchedule(schedule, scheduleId ? 'manual' : 'schedule'));
+    }
+
+    const jobs = await this.getJobsToRun();
+    const results = await Promise.allSettled(jobs.map(job => this.invokeWorker(job)));
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        console.error(`Failed to run ${jobs[index].job_type} job ${jobs[index].id}:`, result.reason);
+      }
+    });
+
+    return {
+      runs,
+      jobsStarted: jobs.length,
+      jobsFailed: results.filter(result => result.status === 'rejected').length
+    };
+  }
+}
+
+serve(async (req) => {
+  // Handle CORS
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  try {
+    const supabaseUrl = Deno.env.get('SUPABASE_URL');
+    const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY');
+
+    if (!supabaseUrl || !supabaseServiceKey) {
+      throw new Error('Missing required environment variables');
+    }
+
+    const supabase = createClient(supabaseUrl, supabaseServiceKey);
+    await requireAdmin(req, supabase, supabaseServiceKey);
+
+    const scheduler = new SyncScheduler(supabase, supabaseUrl, supabaseServiceKey);
+
+    const url = new URL(req.url);
+    const result = await scheduler.tick(url.searchParams.get('scheduleId'));
+
+    return new Response(
+      JSON.stringify({
+        success: true,
+        message: `Queued ${result.runs.filter((run: any) => run.status === 'queued').length} of ${result.runs.length} scheduled syncs`,
+        data: result
+      }),
+      { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  } catch (error) {
+    if (error instanceof AdminAuthError) {
+      return adminAuthErrorResponse(error, corsHeaders);
+    }
+
+    console.error('Sync scheduler error:', error);
+    return new Response(
+      JSON.stringify({
+        success: false,
+        error: error.message
+      }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    );
+  }
+})
@@ -0,0 +1,300 @@
+/**
+ * TCGCSV Sync Function
+ * Server-side TCGCSV price ingestion, run as 'tcgcsv-prices' sync_jobs (action=run-job)
+ * Updates the prices of Pokemon sealed products, Magic singles and sealed products, and every
+ * catalog game group already in the database, one checkpoint per group. TCGCSV publishes daily at 20:00 UTC
+ * Pokemon sealed prices are reconciled (reconcile_price_history) so outliers stay out of collection values
+ * Pokemon singles are not ingested here: pokemon_cards has no TCGplayer product ID to match TCGCSV rows on,
+ * so their prices (TCGplayer's included) come from the Scrydex pricing sync
+ */
+
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+}
+
+const TCGCSV_BASE_URL = 'https://tcgcsv.com';
+const POKEMON_CATEGORY_ID = 3;
+const MAGIC_CATEGORY_ID = 1;
+
+// Stop and hand the job back before the function's wall clock limit; the next run continues
+const MAX_RUN_MS = 100 * 1000;
+
+interface PriceUnit {
+  target: 'pokemon_sealed' | 'magic' | 'catalog';
+  categoryId: number;
+  groupId: number;
+  gameId?: string;
+}
+
+class TcgcsvSyncService {
+  private supabase: any;
+  private workerId = `tcgcsv-sync:${crypto.randomUUID()}`;
+
+  constructor(supabase: any) {
+    this.supabase = supabase;
+  }
+
+  // Fetch a group's price rows
+  private async fetchPrices(categoryId: number, groupId: number): Promise<any[]> {
+    const response = await fetch(`${TCGCSV_BASE_URL}/tcgplayer/${categoryId}/${groupId}/prices`, {
+      headers: { 'Accept': 'application/json', 'User-Agent': '1Track-Pokemon-Tracker' }
+    });
+
+    if (!response.ok) {
+      throw new Error(`TCGCSV error ${response.status} for group ${groupId}`);
+    }
+
+    const data = await response.json();
+    return data.results || [];
+  }
+
+  // Every group the catalog tables hold products for
+  private async buildUnits(): Promise<PriceUnit[]> {
+    const [pokemon, magic, catalog] = await Promise.all([
+      this.supabase.from('pokemon_expansions').select('tcgcsv_group_id').not('tcgcsv_group_id', 'is', null),
+      this.supabase.from('magic_sets').select('id'),
+      this.supabase.from('tcgcsv_groups').select('group_id, category_id, game_id')
+    ]);
+
+    const failed = [pokemon, magic, catalog].find(result => result.error);
+    if (failed) throw new Error(`Failed to load TCGCSV groups: ${failed.error.message}`);
+
+    const pokemonGroupIds = [...new Set((pokemon.data || []).map((row: any) => row.tcgcsv_group_id))];
+
+    return [
+      ...pokemonGroupIds.map((groupId: any) => ({ target: 'pokemon_sealed', categoryId: POKEMON_CATEGORY_ID, groupId })),
+      ...(magic.data || []).map((row: any) => ({ target: 'magic', categoryId: MAGIC_CATEGORY_ID, groupId: row.id })),
+      ...(catalog.data || []).map((row: any) => ({
+        target: 'catalog',
+        categoryId: row.category_id,
+        groupId: row.group_id,
+        gameId: row.game_id
+      }))
+    ] as PriceUnit[];
+  }
+
+  // Save progress on a job this worker holds; false when it was cancelled or taken over
+  private async saveJob(jobId: string, fields: Record<string, any>): Promise<boolean> {
+    const { data, error } = await this.supabase
+      .from('sync_jobs')
+      .update({ ...fields, heartbeat_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+      .eq('id', jobId)
+      .eq('worker_id', this.workerId)
+      .select('cancel_requested')
+      .maybeSingle();
+
+    if (error) {
+      console.warn('Failed to save job progress:', error);
+      return true;
+    }
+
+    return !!data && !data.cancel_requested;
+  }
+
+  // Compare a group's fresh sealed prices with other sources and the last accepted price
+  private async reconcilePrices(prices: any[]): Promise<number> {
+    const productIds = prices.filter(price => price.marketPrice).map(price => String(price.productId));
+    if (productIds.length === 0) return 0;
+
+    const { data, error } = await this.supabase.rpc('reconcile_price_history', {
+      p_product_type: 'sealed',
+      p_source: 'tcgcsv',
+      p_product_ids: productIds
+    });
+
+    if (error) {
+      console.error('Failed to reconcile prices:', error);
+      return 0;
+    }
+    return data || 0;
+  }
+
+  // Push fresh prices onto collection items, then snapshot portfolios and check watchlist rules
+  private async afterPrices(units: PriceUnit[]): Promise<Record<string, number>> {
+    const gameIds = [...new Set(units.filter(unit => unit.gameId).map(unit => unit.gameId))];
+    let itemsRefreshed = 0;
+
+    const { data: magicItems, error: magicError } = await this.supabase.rpc('refresh_magic_item_values');
+    if (magicError) console.error('Failed to refresh Magic collection values:', magicError);
+    itemsRefreshed += magicItems || 0;
+
+    for (const gameId of gameIds) {
+      const { data, error } = await this.supabase.rpc('refresh_tcgcsv_item_values', { p_game_id: gameId });
+      if (error) console.error(`Failed to refresh ${gameId} collection values:`, error);
+      itemsRefreshed += data || 0;
+    }
+
+    const { data: snapshots, error: snapshotError } = await this.supabase.rpc('record_portfolio_snapshots');
+    if (snapshotError) console.error('Failed to record portfolio snapshots:', snapshotError);
+
+    const { data: alerts, error: alertError } = await this.supabase.rpc('evaluate_price_alerts', {
+      p_product_type: 'sealed'
+    });
+    if (alertError) console.error('Failed to evaluate price alerts:', alertError);
+
+    return { itemsRefreshed, snapshots: snapshots || 0, alerts: alerts || 0 };
+  }
+
+  // Claim a job (or the oldest claimable tcgcsv-prices job) and run it from its checkpoint
+  async runJob(jobId: string | null): Promise<any> {
+    const { data: job, error } = await this.supabase.rpc('claim_sync_job', {
+      p_worker_id: this.workerId,
+      p_job_id: jobId,
+      p_job_types: ['tcgcsv-prices']
+    });
+
+    if (error) throw new Error(`Failed to claim sync job: ${error.message}`);
+    if (!job?.id) return null;
+
+    console.log(`🧾 Running ${job.job_type} job ${job.id} (attempt ${job.attempts})`);
+    const startedAt = Date.now();
+    const now = () => new Date().toISOString();
+    let errors = job.errors || [];
+
+    try {
+      const units: PriceUnit[] = job.checkpoint?.units || await this.buildUnits();
+      let completed = job.checkpoint?.completed || 0;
+      const counts = { groups: 0, products: 0, flagged: 0, errors: 0, ...job.counts };
+
+      if (!(await this.saveJob(job.id, { checkpoint: { units, completed }, progress_total: units.length }))) {
+        await this.saveJob(job.id, { status: 'cancelled', message: 'Sync stopped by user', finished_at: now() });
+        return { jobId: job.id, status: 'cancelled' };
+      }
+
+      while (completed < units.length) {
+        if (Date.now() - startedAt > MAX_RUN_MS) {
+          // Hand the job back; the scheduler or dashboard continues from here
+          await this.saveJob(job.id, {
+            status: 'queued',
+            worker_id: null,
+            counts,
+            message: `Paused after ${completed}/${units.length} groups`
+          });
+          return { jobId: job.id, status: 'queued', completed, total: units.length };
+        }
+
+        const unit = units[completed];
+        try {
+          const prices = await this.fetchPrices(unit.categoryId, unit.groupId);
+          const { data: updated, error: applyError } = await this.supabase.rpc('apply_tcgcsv_prices', {
+            p_target: unit.target,
+            p_prices: prices
+          });
+          if (applyError) throw new Error(applyError.message);
+          counts.products += updated || 0;
+
+          // Sealed prices feed collection values; outliers are held until an admin reviews them
+          if (unit.target === 'pokemon_sealed') {
+            counts.flagged += await this.reconcilePrices(prices);
+          }
+        } catch (unitError) {
+          console.warn(`Failed to update prices for group ${unit.groupId}:`, unitError);
+          counts.errors++;
+          errors = [...errors, { at: now(), message: `${unit.target} ${unit.groupId}: ${unitError.message}` }].slice(-20);
+        }
+
+        completed++;
+        counts.groups = completed;
+
+        const keepGoing = await this.saveJob(job.id, {
+          checkpoint: { units, completed },
+          progress_current: completed,
+          counts,
+          errors,
+          message: `Updated prices for ${completed}/${units.length} groups`
+        });
+        if (!keepGoing) {
+          await this.saveJob(job.id, { status: 'cancelled', message: 'Sync stopped by user', finished_at: now() });
+          return { jobId: job.id, status: 'cancelled', ...counts };
+        }
+
+        // Small delay to avoid rate limiting
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+
+      const refreshed = await this.afterPrices(units);
+      await this.saveJob(job.id, {
+        status: 'completed',
+        counts: { ...counts, ...refreshed },
+        result: { ...counts, ...refreshed },
+        message: `Updated ${counts.products} products in ${counts.groups} groups`
+          + (counts.flagged ? `, ${counts.flagged} prices flagged for review` : ''),
+        finished_at: now()
+      });
+      return { jobId: job.id, status: 'completed', ...counts, ...refreshed };
+    } catch (error) {
+      console.error(`❌ ${job.job_type} job failed:`, error);
+      await this.saveJob(job.id, {
+        status: 'failed',
+        errors: [...errors, { at: now(), message: error.message }].slice(-20),
+        message: error.message,
+        finished_at: now()
+      });
+      throw error;
+    }
+  }
+}
+
+serve(async (req) => {
+  // Handle CORS
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  try {
+    const supabaseUrl = Deno.env.get('SUPABASE_URL');
+    const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY');
+
+    if (!supabaseUrl || !supabaseServiceKey) {
+      throw new Error('Missing required environment variables');
+    }
+
+    const supabase = createClient(supabaseUrl, supabaseServiceKey);
+    const syncService = new TcgcsvSyncService(supabase);
+
+    const url = new URL(req.url);
+    const action = url.searchParams.get('action');
+
+    switch (action) {
+      case 'run-job':
+        // Run the given job, or the oldest queued / interrupted tcgcsv-prices job
+        const jobResult = await syncService.runJob(url.searchParams.get('jobId'));
+        return new Response(
+          JSON.stringify({
+            success: true,
+            message: jobResult ? `Sync job ${jobResult.status}` : 'No sync job to run',
+            data: jobResult
+          }),
+          { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+        );
+
+      default:
+        return new Response(
+          JSON.stringify({
+            success: false,
+            error: 'Invalid action. Use: run-job'
+          }),
+          {
+            status: 400,
+            headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+          }
+        );
+    }
+  } catch (error) {
+    console.error('Sync function error:', error);
+    return new Response(
+      JSON.stringify({
+        success: false,
+        error: error.message
+      }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    );
+  }
+})
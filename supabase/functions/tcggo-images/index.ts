@@ -1,4 +1,6 @@
 import { serve } from 'https://deno.land/std@0.177.0/http/server.ts'
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { acquireApiQuota, getQuotaPriority } from '../_shared/apiQuota.ts'
 
 console.log('TCGGo Images Edge Function started')
 
@@ -46,6 +48,13 @@ serve(async (req) => {
     let cardData = null;
     
     try {
+      // CardMarket is reached through RapidAPI and shares its budget
+      const supabase = createClient(
+        Deno.env.get('SUPABASE_URL') ?? '',
+        Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? ''
+      )
+      await acquireApiQuota(supabase, 'rapidapi', getQuotaPriority(req))
+
       const rapidApiResponse = await fetch(rapidApiUrl, {
         method: 'GET',
         headers: {
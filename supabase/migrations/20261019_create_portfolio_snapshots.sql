@@ -0,0 +1,131 @@
+-- Create portfolio_snapshots table
+-- One row per user per day with the market value and cost basis of everything on hand
+-- Written by the pricing sync so the Collection chart can plot real value history
+
+CREATE TABLE IF NOT EXISTS portfolio_snapshots (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    snapshot_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    -- Totals across every on-hand item
+    market_value_cents BIGINT NOT NULL DEFAULT 0,
+    cost_basis_cents BIGINT NOT NULL DEFAULT 0,
+    item_count INTEGER NOT NULL DEFAULT 0,
+    -- Per-category breakdown, keyed by ungraded / graded / sealed / custom
+    -- e.g. {"sealed": {"market_value_cents": 12000, "cost_basis_cents": 9000, "item_count": 3}}
+    categories JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (user_id, snapshot_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_portfolio_snapshots_user_date ON portfolio_snapshots(user_id, snapshot_date DESC);
+
+COMMENT ON TABLE portfolio_snapshots IS 'Daily per-user portfolio value snapshots written after each pricing sync';
+COMMENT ON COLUMN portfolio_snapshots.categories IS 'Market value, cost basis and item count per collection category (ungraded, graded, sealed, custom)';
+
+-- RLS: users can only read their own snapshots, writes happen through the function below
+ALTER TABLE portfolio_snapshots ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Users can view own portfolio snapshots" ON portfolio_snapshots;
+CREATE POLICY "Users can view own portfolio snapshots" ON portfolio_snapshots
+    FOR SELECT USING (auth.uid() = user_id);
+
+GRANT SELECT ON portfolio_snapshots TO authenticated;
+
+-- Record (or refresh) the snapshot for a given day
+-- Uses the same market value and category rules as individual_orders_clean and the Collection page
+-- Pass p_user_id to snapshot a single user, or leave NULL to snapshot every user with orders
+CREATE OR REPLACE FUNCTION record_portfolio_snapshots(
+    p_snapshot_date DATE DEFAULT CURRENT_DATE,
+    p_user_id UUID DEFAULT NULL
+) RETURNS INTEGER AS $$
+DECLARE
+    v_count INTEGER;
+BEGIN
+    WITH on_hand AS (
+        SELECT
+            o.user_id,
+            -- The Collection filters, which overlap: a custom sealed item counts as sealed and as custom
+            -- (Custom is source = 'manual' in individual_orders_clean, i.e. an order of a custom item)
+            ARRAY_REMOVE(ARRAY[
+                CASE WHEN o.item_type = 'Single' AND (o.card_condition IS NULL OR o.card_condition = 'Raw') THEN 'ungraded' END,
+                CASE WHEN o.item_type = 'Single' AND o.card_condition IS NOT NULL AND o.card_condition <> 'Raw' THEN 'graded' END,
+                CASE WHEN o.item_type = 'Sealed' THEN 'sealed' END,
+                CASE WHEN o.item_id IS NOT NULL THEN 'custom' END
+            ], NULL) AS categories,
+            (o.quantity - COALESCE(o.quantity_sold, 0)) AS remaining,
+            COALESCE(pc.market_price * 100, i.market_value_cents, 0) AS market_value_cents,
+            COALESCE(o.price_per_item_cents, 0) AS price_per_item_cents
+        FROM orders o
+        LEFT JOIN items i ON o.item_id = i.id
+        LEFT JOIN pokemon_cards pc ON o.pokemon_card_id = pc.id
+        WHERE (p_user_id IS NULL OR o.user_id = p_user_id)
+        AND (o.quantity - COALESCE(o.quantity_sold, 0)) > 0
+    ),
+    by_category AS (
+        SELECT
+            user_id,
+            category,
+            ROUND(SUM(market_value_cents * remaining))::BIGINT AS market_value_cents,
+            SUM(price_per_item_cents * remaining)::BIGINT AS cost_basis_cents,
+            SUM(remaining)::INTEGER AS item_count
+        FROM on_hand
+        CROSS JOIN LATERAL UNNEST(on_hand.categories) AS category
+        GROUP BY user_id, category
+    ),
+    totals AS (
+        SELECT
+            user_id,
+            ROUND(SUM(market_value_cents * remaining))::BIGINT AS market_value_cents,
+            SUM(price_per_item_cents * remaining)::BIGINT AS cost_basis_cents,
+            SUM(remaining)::INTEGER AS item_count
+        FROM on_hand
+        GROUP BY user_id
+    ),
+    -- Users whose orders are all sold still get a (zero) row, so the chart drops to zero instead of
+    -- holding the last day they had something on hand
+    snapshot_users AS (
+        SELECT DISTINCT user_id
+        FROM orders
+        WHERE (p_user_id IS NULL OR user_id = p_user_id)
+    ),
+    upserted AS (
+        INSERT INTO portfolio_snapshots (
+            user_id, snapshot_date, market_value_cents, cost_basis_cents, item_count, categories, updated_at
+        )
+        SELECT
+            u.user_id,
+            p_snapshot_date,
+            COALESCE(t.market_value_cents, 0),
+            COALESCE(t.cost_basis_cents, 0),
+            COALESCE(t.item_count, 0),
+            COALESCE((
+                SELECT jsonb_object_agg(c.category, jsonb_build_object(
+                    'market_value_cents', c.market_value_cents,
+                    'cost_basis_cents', c.cost_basis_cents,
+                    'item_count', c.item_count
+                ))
+                FROM by_category c
+                WHERE c.user_id = u.user_id
+            ), '{}'::jsonb),
+            NOW()
+        FROM snapshot_users u
+        LEFT JOIN totals t ON t.user_id = u.user_id
+        ON CONFLICT (user_id, snapshot_date) DO UPDATE SET
+            market_value_cents = EXCLUDED.market_value_cents,
+            cost_basis_cents = EXCLUDED.cost_basis_cents,
+            item_count = EXCLUDED.item_count,
+            categories = EXCLUDED.categories,
+            updated_at = NOW()
+        RETURNING 1
+    )
+    SELECT COUNT(*) INTO v_count FROM upserted;
+
+    RETURN v_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Only the service role (pricing sync) writes snapshots
+REVOKE EXECUTE ON FUNCTION record_portfolio_snapshots(DATE, UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION record_portfolio_snapshots(DATE, UUID) TO service_role;
+
+COMMENT ON FUNCTION record_portfolio_snapshots IS 'Upserts one portfolio_snapshots row per user for the given day. Called by the scrydex-sync pricing sync.';
@@ -0,0 +1,40 @@
+-- Create price_history table
+-- Dated price points appended by each pricing sync (Scrydex pricing-sync, TCGCSV price ingest)
+-- Feeds the price history charts in CardPreviewModal and ProductPreviewModal
+
+CREATE TABLE IF NOT EXISTS price_history (
+    id BIGSERIAL PRIMARY KEY,
+    -- What was priced: 'card' = pokemon_cards.id, 'sealed' = pokemon_sealed_products.product_id
+    product_type TEXT NOT NULL CHECK (product_type IN ('card', 'sealed')),
+    product_id TEXT NOT NULL,
+    -- Where the price came from: 'scrydex', 'tcgcsv'
+    source TEXT NOT NULL,
+    -- 'raw' or 'graded' for cards, 'market' for sealed products
+    price_type TEXT NOT NULL,
+    -- Grade for graded prices (e.g. 'PSA 10'), TCGPlayer sub type for TCGCSV prices, '' otherwise
+    variant TEXT NOT NULL DEFAULT '',
+    currency TEXT DEFAULT 'USD',
+    market DECIMAL(10,2),
+    low DECIMAL(10,2),
+    mid DECIMAL(10,2),
+    high DECIMAL(10,2),
+    recorded_on DATE NOT NULL DEFAULT CURRENT_DATE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    -- One point per product/source/type/variant per day; re-syncs on the same day overwrite it
+    UNIQUE (product_type, product_id, source, price_type, variant, recorded_on)
+);
+
+CREATE INDEX IF NOT EXISTS idx_price_history_product ON price_history(product_type, product_id, recorded_on DESC);
+CREATE INDEX IF NOT EXISTS idx_price_history_recorded_on ON price_history(recorded_on);
+
+COMMENT ON TABLE price_history IS 'Daily price points per card / sealed product, appended by every pricing sync';
+COMMENT ON COLUMN price_history.variant IS 'Grade (e.g. PSA 10) for graded prices, TCGPlayer sub type for TCGCSV prices, empty otherwise';
+
+-- RLS Policies for price_history table (publicly readable, written by sync jobs)
+ALTER TABLE price_history ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Public read access to price_history" ON price_history;
+CREATE POLICY "Public read access to price_history" ON price_history FOR SELECT USING (true);
+DROP POLICY IF EXISTS "Allow price_history inserts" ON price_history;
+CREATE POLICY "Allow price_history inserts" ON price_history FOR INSERT WITH CHECK (true);
+DROP POLICY IF EXISTS "Allow price_history updates" ON price_history;
+CREATE POLICY "Allow price_history updates" ON price_history FOR UPDATE USING (true);
@@ -0,0 +1,209 @@
+-- Create shipments tables
+-- Inbound (purchases on the way to you) and outbound (sales on the way to a buyer) packages
+-- Inbound shipments link to purchases by order_group_id, outbound shipments link to individual sale records
+
+CREATE TABLE IF NOT EXISTS shipments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    direction TEXT NOT NULL CHECK (direction IN ('inbound', 'outbound')),
+    carrier TEXT,
+    tracking_number TEXT,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN (
+        'pending', 'label_created', 'in_transit', 'out_for_delivery', 'delivered', 'exception', 'returned'
+    )),
+    shipped_date DATE,
+    expected_date DATE,
+    delivered_date DATE,
+    -- What the shipment cost you; inbound costs are spread across the linked orders' cost basis
+    cost_cents INTEGER NOT NULL DEFAULT 0 CHECK (cost_cents >= 0),
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Orders / sale records carried by a shipment
+CREATE TABLE IF NOT EXISTS shipment_orders (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    shipment_id UUID NOT NULL REFERENCES shipments(id) ON DELETE CASCADE,
+    -- Inbound: every orders row in the purchase group
+    order_group_id UUID,
+    -- Outbound: the sold order and the sale record (orders.sale_history[].id) being shipped
+    order_id UUID REFERENCES orders(id) ON DELETE CASCADE,
+    sale_id TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (order_group_id IS NOT NULL OR order_id IS NOT NULL)
+);
+
+-- Status timeline
+CREATE TABLE IF NOT EXISTS shipment_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    shipment_id UUID NOT NULL REFERENCES shipments(id) ON DELETE CASCADE,
+    status TEXT NOT NULL,
+    description TEXT,
+    location TEXT,
+    occurred_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_shipments_user_status ON shipments(user_id, status);
+CREATE INDEX IF NOT EXISTS idx_shipment_orders_shipment ON shipment_orders(shipment_id);
+CREATE INDEX IF NOT EXISTS idx_shipment_orders_order_group ON shipment_orders(order_group_id);
+CREATE INDEX IF NOT EXISTS idx_shipment_orders_order ON shipment_orders(order_id);
+CREATE INDEX IF NOT EXISTS idx_shipment_events_shipment ON shipment_events(shipment_id, occurred_at);
+
+COMMENT ON TABLE shipments IS 'Inbound and outbound packages with carrier, tracking, status and cost';
+COMMENT ON TABLE shipment_orders IS 'Links a shipment to purchase groups (inbound) or sale records (outbound)';
+COMMENT ON TABLE shipment_events IS 'Status timeline for a shipment';
+
+-- RLS: users manage their own shipments, links and events follow the parent shipment
+ALTER TABLE shipments ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Users can manage their own shipments" ON shipments;
+CREATE POLICY "Users can manage their own shipments" ON shipments
+    FOR ALL USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
+
+ALTER TABLE shipment_orders ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Users can manage their own shipment orders" ON shipment_orders;
+CREATE POLICY "Users can manage their own shipment orders" ON shipment_orders
+    FOR ALL USING (EXISTS (SELECT 1 FROM shipments s WHERE s.id = shipment_id AND s.user_id = auth.uid()))
+    WITH CHECK (EXISTS (SELECT 1 FROM shipments s WHERE s.id = shipment_id AND s.user_id = auth.uid()));
+
+ALTER TABLE shipment_events ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Users can manage their own shipment events" ON shipment_events;
+CREATE POLICY "Users can manage their own shipment events" ON shipment_events
+    FOR ALL USING (EXISTS (SELECT 1 FROM shipments s WHERE s.id = shipment_id AND s.user_id = auth.uid()))
+    WITH CHECK (EXISTS (SELECT 1 FROM shipments s WHERE s.id = shipment_id AND s.user_id = auth.uid()));
+
+-- Inbound shipping cost allocated to each order, plus whether the order is still on its way
+-- Cost is split across the orders in the linked purchase groups in proportion to what each order cost
+-- security_invoker keeps the orders / shipments RLS in force for app users
+CREATE OR REPLACE VIEW order_shipping_costs WITH (security_invoker = true) AS
+WITH inbound AS (
+    SELECT
+        s.id AS shipment_id,
+        s.status,
+        s.cost_cents,
+        o.id AS order_id,
+        o.user_id,
+        o.quantity,
+        COALESCE(o.total_cost_cents, o.price_per_item_cents * o.quantity, 0) AS order_cost_cents
+    FROM shipments s
+    JOIN shipment_orders so ON so.shipment_id = s.id AND so.order_group_id IS NOT NULL
+    JOIN orders o ON o.order_group_id = so.order_group_id AND o.user_id = s.user_id
+    WHERE s.direction = 'inbound'
+),
+shares AS (
+    SELECT
+        *,
+        SUM(order_cost_cents) OVER (PARTITION BY shipment_id) AS shipment_goods_cents,
+        COUNT(*) OVER (PARTITION BY shipment_id) AS shipment_order_count
+    FROM inbound
+)
+SELECT
+    order_id,
+    user_id,
+    ROUND(SUM(
+        CASE
+            WHEN shipment_goods_cents > 0 THEN cost_cents::NUMERIC * order_cost_cents / shipment_goods_cents
+            ELSE cost_cents::NUMERIC / shipment_order_count
+        END
+    ))::BIGINT AS shipping_cost_cents,
+    BOOL_OR(status NOT IN ('delivered', 'returned')) AS in_transit
+FROM shares
+GROUP BY order_id, user_id;
+
+GRANT SELECT ON order_shipping_costs TO authenticated;
+
+COMMENT ON VIEW order_shipping_costs IS 'Inbound shipping cost allocated per order and whether the order is still in transit';
+
+-- Portfolio snapshots use landed cost (purchase price + allocated inbound shipping) for cost basis
+CREATE OR REPLACE FUNCTION record_portfolio_snapshots(
+    p_snapshot_date DATE DEFAULT CURRENT_DATE,
+    p_user_id UUID DEFAULT NULL
+) RETURNS INTEGER AS $$
+DECLARE
+    v_count INTEGER;
+BEGIN
+    WITH on_hand AS (
+        SELECT
+            o.user_id,
+            -- The Collection filters, which overlap: a custom sealed item counts as sealed and as custom
+            -- (Custom is source = 'manual' in individual_orders_clean, i.e. an order of a custom item)
+            ARRAY_REMOVE(ARRAY[
+                CASE WHEN o.item_type = 'Single' AND (o.card_condition IS NULL OR o.card_condition = 'Raw') THEN 'ungraded' END,
+                CASE WHEN o.item_type = 'Single' AND o.card_condition IS NOT NULL AND o.card_condition <> 'Raw' THEN 'graded' END,
+                CASE WHEN o.item_type = 'Sealed' THEN 'sealed' END,
+                CASE WHEN o.item_id IS NOT NULL THEN 'custom' END
+            ], NULL) AS categories,
+            (o.quantity - COALESCE(o.quantity_sold, 0)) AS remaining,
+            COALESCE(pc.market_price * 100, i.market_value_cents, 0) AS market_value_cents,
+            COALESCE(o.price_per_item_cents, 0)
+                + COALESCE(osc.shipping_cost_cents::NUMERIC / NULLIF(o.quantity, 0), 0) AS price_per_item_cents
+        FROM orders o
+        LEFT JOIN items i ON o.item_id = i.id
+        LEFT JOIN pokemon_cards pc ON o.pokemon_card_id = pc.id
+        LEFT JOIN order_shipping_costs osc ON osc.order_id = o.id
+        WHERE (p_user_id IS NULL OR o.user_id = p_user_id)
+        AND (o.quantity - COALESCE(o.quantity_sold, 0)) > 0
+    ),
+    by_category AS (
+        SELECT
+            user_id,
+            category,
+            ROUND(SUM(market_value_cents * remaining))::BIGINT AS market_value_cents,
+            ROUND(SUM(price_per_item_cents * remaining))::BIGINT AS cost_basis_cents,
+            SUM(remaining)::INTEGER AS item_count
+        FROM on_hand
+        CROSS JOIN LATERAL UNNEST(on_hand.categories) AS category
+        GROUP BY user_id, category
+    ),
+    totals AS (
+        SELECT
+            user_id,
+            ROUND(SUM(market_value_cents * remaining))::BIGINT AS market_value_cents,
+            ROUND(SUM(price_per_item_cents * remaining))::BIGINT AS cost_basis_cents,
+            SUM(remaining)::INTEGER AS item_count
+        FROM on_hand
+        GROUP BY user_id
+    ),
+    -- Users whose orders are all sold still get a (zero) row, so the chart drops to zero instead of
+    -- holding the last day they had something on hand
+    snapshot_users AS (
+        SELECT DISTINCT user_id
+        FROM orders
+        WHERE (p_user_id IS NULL OR user_id = p_user_id)
+    ),
+    upserted AS (
+        INSERT INTO portfolio_snapshots (
+            user_id, snapshot_date, market_value_cents, cost_basis_cents, item_count, categories, updated_at
+        )
+        SELECT
+            u.user_id,
+            p_snapshot_date,
+            COALESCE(t.market_value_cents, 0),
+            COALESCE(t.cost_basis_cents, 0),
+            COALESCE(t.item_count, 0),
+            COALESCE((
+                SELECT jsonb_object_agg(c.category, jsonb_build_object(
+                    'market_value_cents', c.market_value_cents,
+                    'cost_basis_cents', c.cost_basis_cents,
+                    'item_count', c.item_count
+                ))
+                FROM by_category c
+                WHERE c.user_id = u.user_id
+            ), '{}'::jsonb),
+            NOW()
+        FROM snapshot_users u
+        LEFT JOIN totals t ON t.user_id = u.user_id
+        ON CONFLICT (user_id, snapshot_date) DO UPDATE SET
+            market_value_cents = EXCLUDED.market_value_cents,
+            cost_basis_cents = EXCLUDED.cost_basis_cents,
+            item_count = EXCLUDED.item_count,
+            categories = EXCLUDED.categories,
+            updated_at = NOW()
+        RETURNING 1
+    )
+    SELECT COUNT(*) INTO v_count FROM upserted;
+
+    RETURN v_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
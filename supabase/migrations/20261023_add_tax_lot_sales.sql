@@ -0,0 +1,158 @@
+-- Tax lot sales
+-- Every purchase order is a tax lot. A sale matched against several lots (FIFO, LIFO, highest cost or
+-- specific ID) is recorded as one sale record per consumed lot, each carrying the lot details under "lot":
+--   { saleGroupId, method, acquiredDate, unitCostCents, costBasisCents, realizedGainCents, holdDays, term }
+
+-- 1. mark_order_sold accepts the lot details for the sale record
+DROP FUNCTION IF EXISTS mark_order_sold(UUID, DATE, INTEGER, INTEGER, TEXT, INTEGER, TEXT, INTEGER);
+
+CREATE OR REPLACE FUNCTION mark_order_sold(
+  p_order_id UUID,
+  p_sell_date DATE,
+  p_sell_price_cents INTEGER,
+  p_sell_quantity INTEGER,
+  p_sell_location TEXT DEFAULT NULL,
+  p_sell_fees_cents INTEGER DEFAULT 0,
+  p_sell_notes TEXT DEFAULT NULL,
+  p_sell_shipping_cents INTEGER DEFAULT 0,
+  p_lot JSONB DEFAULT NULL
+) RETURNS VOID AS $$
+DECLARE
+  v_order orders%ROWTYPE;
+  v_current_quantity_sold INTEGER;
+  v_new_quantity_sold INTEGER;
+  v_sale_total_cents INTEGER;
+  v_sale_net_cents INTEGER;
+  v_sale_history JSONB;
+  v_sale_record JSONB;
+BEGIN
+  SELECT * INTO v_order
+  FROM orders
+  WHERE id = p_order_id
+  AND user_id = auth.uid()
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Order % not found', p_order_id;
+  END IF;
+
+  -- Validate that we're not selling more than available
+  v_current_quantity_sold := COALESCE(v_order.quantity_sold, 0);
+  v_new_quantity_sold := v_current_quantity_sold + p_sell_quantity;
+
+  IF v_new_quantity_sold > v_order.quantity THEN
+    RAISE EXCEPTION 'Cannot sell % items. Only % items remaining (% already sold)',
+      p_sell_quantity,
+      v_order.quantity - v_current_quantity_sold,
+      v_current_quantity_sold;
+  END IF;
+
+  -- Gross, then net after marketplace fees and seller-paid shipping
+  v_sale_total_cents := p_sell_price_cents * p_sell_quantity;
+  v_sale_net_cents := v_sale_total_cents - COALESCE(p_sell_fees_cents, 0) - COALESCE(p_sell_shipping_cents, 0);
+
+  -- Existing sale records (the client has stored them both as JSON and as stringified JSON)
+  IF v_order.sale_history IS NULL OR v_order.sale_history::TEXT IN ('null', '') THEN
+    v_sale_history := '[]'::jsonb;
+  ELSE
+    v_sale_history := v_order.sale_history::TEXT::JSONB;
+    IF jsonb_typeof(v_sale_history) = 'string' THEN
+      v_sale_history := (v_sale_history #>> '{}')::JSONB;
+    END IF;
+  END IF;
+
+  -- Sales made before sale_history existed become one legacy record
+  IF jsonb_array_length(v_sale_history) = 0 AND v_current_quantity_sold > 0 THEN
+    v_sale_history := jsonb_build_array(jsonb_build_object(
+      'id', p_order_id::TEXT || '-legacy-sale',
+      'quantity', v_current_quantity_sold,
+      'saleDate', v_order.sale_date,
+      'salePrice', COALESCE(v_order.sale_price_per_item_cents, 0),
+      'saleLocation', COALESCE(v_order.sale_retailer_name, 'N/A'),
+      'saleNotes', '',
+      'grossCents', COALESCE(v_order.sale_total_cents, 0),
+      'feesCents', COALESCE(v_order.sale_fees_cents, 0),
+      'shippingCents', COALESCE(v_order.sale_shipping_cents, 0),
+      'netCents', COALESCE(v_order.sale_net_cents, 0),
+      'isLegacy', true
+    ));
+  END IF;
+
+  v_sale_record := jsonb_build_object(
+    'id', p_order_id::TEXT || '-sale-' || (EXTRACT(EPOCH FROM clock_timestamp()) * 1000)::BIGINT,
+    'quantity', p_sell_quantity,
+    'saleDate', p_sell_date,
+    'salePrice', p_sell_price_cents,
+    'saleLocation', COALESCE(p_sell_location, ''),
+    'saleNotes', COALESCE(p_sell_notes, ''),
+    'grossCents', v_sale_total_cents,
+    'feesCents', COALESCE(p_sell_fees_cents, 0),
+    'shippingCents', COALESCE(p_sell_shipping_cents, 0),
+    'netCents', v_sale_net_cents,
+    'createdAt', NOW()
+  );
+
+  IF p_lot IS NOT NULL THEN
+    v_sale_record := v_sale_record || jsonb_build_object('lot', p_lot);
+  END IF;
+
+  v_sale_history := v_sale_history || jsonb_build_array(v_sale_record);
+
+  -- Totals accumulate across sales so net_profit_cents in the views covers every sale
+  UPDATE orders
+  SET
+    quantity_sold = v_new_quantity_sold,
+    sale_date = p_sell_date,
+    sale_price_per_item_cents = p_sell_price_cents,
+    sale_total_cents = COALESCE(sale_total_cents, 0) + v_sale_total_cents,
+    sale_fees_cents = COALESCE(sale_fees_cents, 0) + COALESCE(p_sell_fees_cents, 0),
+    sale_shipping_cents = COALESCE(sale_shipping_cents, 0) + COALESCE(p_sell_shipping_cents, 0),
+    sale_net_cents = COALESCE(sale_net_cents, 0) + v_sale_net_cents,
+    sale_retailer_name = p_sell_location,
+    sale_history = v_sale_history,
+    updated_at = NOW()
+  WHERE id = p_order_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION mark_order_sold(UUID, DATE, INTEGER, INTEGER, TEXT, INTEGER, TEXT, INTEGER, JSONB) TO authenticated;
+
+COMMENT ON FUNCTION mark_order_sold IS 'Marks an order (or portion of it) as sold. Appends a sale record with gross, fees, shipping, net and optional tax lot details to sale_history and accumulates the sale totals on the order.';
+
+-- 2. Record one sale across several lots in a single transaction
+-- p_allocations: [{ "order_id", "quantity", "fees_cents", "shipping_cents", "lot": { ... } }]
+CREATE OR REPLACE FUNCTION record_lot_sale(
+  p_allocations JSONB,
+  p_sell_date DATE,
+  p_sell_price_cents INTEGER,
+  p_sell_location TEXT DEFAULT NULL,
+  p_sell_notes TEXT DEFAULT NULL
+) RETURNS VOID AS $$
+DECLARE
+  v_allocation JSONB;
+BEGIN
+  IF p_allocations IS NULL OR jsonb_array_length(p_allocations) = 0 THEN
+    RAISE EXCEPTION 'A sale must consume at least one lot';
+  END IF;
+
+  -- Any lot that cannot cover its quantity aborts the whole sale
+  FOR v_allocation IN SELECT * FROM jsonb_array_elements(p_allocations)
+  LOOP
+    PERFORM mark_order_sold(
+      (v_allocation->>'order_id')::UUID,
+      p_sell_date,
+      p_sell_price_cents,
+      (v_allocation->>'quantity')::INTEGER,
+      p_sell_location,
+      COALESCE((v_allocation->>'fees_cents')::INTEGER, 0),
+      p_sell_notes,
+      COALESCE((v_allocation->>'shipping_cents')::INTEGER, 0),
+      v_allocation->'lot'
+    );
+  END LOOP;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION record_lot_sale(JSONB, DATE, INTEGER, TEXT, TEXT) TO authenticated;
+
+COMMENT ON FUNCTION record_lot_sale IS 'Records one sale matched against several purchase lots atomically, appending a sale record with lot details to each consumed order.';
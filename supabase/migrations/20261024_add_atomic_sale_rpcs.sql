@@ -0,0 +1,344 @@
+-- Atomic sale recording
+-- Sale records used to be read, changed and written back by the client, so two devices recording sales
+-- on the same order could silently drop one. Every sale mutation now runs in a Postgres function that
+-- locks the order row, validates quantities against the whole sale history and (optionally) checks the
+-- order version the client last saw. A stale version raises SQLSTATE PT409, which PostgREST returns as
+-- HTTP 409 Conflict.
+
+-- 1. Row version, bumped on every update of an order
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+
+COMMENT ON COLUMN orders.version IS 'Incremented on every update; clients send the version they loaded to detect concurrent edits';
+
+CREATE OR REPLACE FUNCTION bump_order_version()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.version := COALESCE(OLD.version, 0) + 1;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS orders_bump_version ON orders;
+CREATE TRIGGER orders_bump_version
+  BEFORE UPDATE ON orders
+  FOR EACH ROW
+  EXECUTE FUNCTION bump_order_version();
+
+-- 2. Lock an order for a sale mutation and check the version the client expects
+CREATE OR REPLACE FUNCTION lock_order_for_sale(
+  p_order_id UUID,
+  p_expected_version INTEGER DEFAULT NULL
+) RETURNS orders AS $$
+DECLARE
+  v_order orders%ROWTYPE;
+BEGIN
+  SELECT * INTO v_order
+  FROM orders
+  WHERE id = p_order_id
+  AND user_id = auth.uid()
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Order % not found', p_order_id;
+  END IF;
+
+  IF p_expected_version IS NOT NULL AND v_order.version <> p_expected_version THEN
+    RAISE EXCEPTION 'Order % was changed by another session', p_order_id
+      USING ERRCODE = 'PT409',
+            DETAIL = format('Expected version %s, found %s', p_expected_version, v_order.version),
+            HINT = 'Reload the order and try again';
+  END IF;
+
+  RETURN v_order;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- 3. Current sale records of an order
+-- The client has stored sale_history both as JSON and as stringified JSON; sales made before
+-- sale_history existed become one legacy record
+CREATE OR REPLACE FUNCTION get_order_sales(p_order orders)
+RETURNS JSONB AS $$
+DECLARE
+  v_sales JSONB;
+BEGIN
+  IF p_order.sale_history IS NULL OR p_order.sale_history::TEXT IN ('null', '') THEN
+    v_sales := '[]'::jsonb;
+  ELSE
+    v_sales := p_order.sale_history::TEXT::JSONB;
+    IF jsonb_typeof(v_sales) = 'string' THEN
+      v_sales := (v_sales #>> '{}')::JSONB;
+    END IF;
+  END IF;
+
+  IF jsonb_array_length(v_sales) = 0 AND COALESCE(p_order.quantity_sold, 0) > 0 THEN
+    v_sales := jsonb_build_array(jsonb_build_object(
+      'id', p_order.id::TEXT || '-legacy-sale',
+      'quantity', p_order.quantity_sold,
+      'saleDate', p_order.sale_date,
+      'salePrice', COALESCE(p_order.sale_price_per_item_cents, 0),
+      'saleLocation', COALESCE(p_order.sale_retailer_name, 'N/A'),
+      'saleNotes', '',
+      'grossCents', COALESCE(p_order.sale_total_cents, 0),
+      'feesCents', COALESCE(p_order.sale_fees_cents, 0),
+      'shippingCents', COALESCE(p_order.sale_shipping_cents, 0),
+      'netCents', COALESCE(p_order.sale_net_cents, 0),
+      'isLegacy', true
+    ));
+  END IF;
+
+  RETURN v_sales;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- 4. Normalize a sale record: gross and net always follow from price, quantity, fees and shipping
+CREATE OR REPLACE FUNCTION build_sale_record(p_sale JSONB, p_default_id TEXT)
+RETURNS JSONB AS $$
+DECLARE
+  v_quantity INTEGER := COALESCE((p_sale->>'quantity')::INTEGER, 0);
+  v_price INTEGER := COALESCE((p_sale->>'salePrice')::INTEGER, 0);
+  v_fees INTEGER := COALESCE((p_sale->>'feesCents')::INTEGER, 0);
+  v_shipping INTEGER := COALESCE((p_sale->>'shippingCents')::INTEGER, 0);
+BEGIN
+  IF v_quantity <= 0 THEN
+    RAISE EXCEPTION 'Sale quantity must be greater than 0';
+  END IF;
+  IF v_price < 0 OR v_fees < 0 OR v_shipping < 0 THEN
+    RAISE EXCEPTION 'Sale amounts cannot be negative';
+  END IF;
+
+  RETURN p_sale || jsonb_build_object(
+    'id', COALESCE(NULLIF(p_sale->>'id', ''), p_default_id),
+    'quantity', v_quantity,
+    'salePrice', v_price,
+    'saleDate', COALESCE(p_sale->>'saleDate', CURRENT_DATE::TEXT),
+    'saleLocation', COALESCE(p_sale->>'saleLocation', ''),
+    'saleNotes', COALESCE(p_sale->>'saleNotes', ''),
+    'grossCents', v_price * v_quantity,
+    'feesCents', v_fees,
+    'shippingCents', v_shipping,
+    'netCents', v_price * v_quantity - v_fees - v_shipping
+  );
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- 5. Write a complete sale history back to a locked order, keeping every derived column in step
+CREATE OR REPLACE FUNCTION write_order_sales(p_order orders, p_sales JSONB)
+RETURNS orders AS $$
+DECLARE
+  v_quantity_sold INTEGER;
+  v_gross BIGINT;
+  v_fees BIGINT;
+  v_shipping BIGINT;
+  v_net BIGINT;
+  v_last JSONB;
+  v_order orders%ROWTYPE;
+BEGIN
+  IF p_order.user_id IS DISTINCT FROM auth.uid() THEN
+    RAISE EXCEPTION 'Order % not found', p_order.id;
+  END IF;
+
+  SELECT
+    COALESCE(SUM((sale->>'quantity')::INTEGER), 0),
+    COALESCE(SUM((sale->>'grossCents')::BIGINT), 0),
+    COALESCE(SUM((sale->>'feesCents')::BIGINT), 0),
+    COALESCE(SUM((sale->>'shippingCents')::BIGINT), 0),
+    COALESCE(SUM((sale->>'netCents')::BIGINT), 0)
+  INTO v_quantity_sold, v_gross, v_fees, v_shipping, v_net
+  FROM jsonb_array_elements(p_sales) AS sale;
+
+  IF v_quantity_sold > p_order.quantity THEN
+    RAISE EXCEPTION 'Cannot sell % items. Only % items in this order', v_quantity_sold, p_order.quantity;
+  END IF;
+
+  v_last := p_sales -> -1;
+
+  UPDATE orders
+  SET
+    sale_history = CASE WHEN jsonb_array_length(p_sales) > 0 THEN p_sales ELSE NULL END,
+    quantity_sold = v_quantity_sold,
+    sale_total_cents = v_gross,
+    sale_fees_cents = v_fees,
+    sale_shipping_cents = v_shipping,
+    sale_net_cents = v_net,
+    -- Most recent sale in the single-sale columns the views and older screens read
+    sale_date = LEFT(v_last->>'saleDate', 10)::DATE,
+    sale_price_per_item_cents = (v_last->>'salePrice')::INTEGER,
+    sale_retailer_name = v_last->>'saleLocation',
+    sell_date = LEFT(v_last->>'saleDate', 10)::DATE,
+    sell_price_cents = (v_last->>'salePrice')::INTEGER,
+    sell_location = v_last->>'saleLocation',
+    sell_notes = v_last->>'saleNotes',
+    is_sold = v_quantity_sold >= p_order.quantity,
+    updated_at = NOW()
+  WHERE id = p_order.id
+  AND user_id = auth.uid()
+  RETURNING * INTO v_order;
+
+  RETURN v_order;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- 6. Sale mutations
+CREATE OR REPLACE FUNCTION add_sale_record(
+  p_order_id UUID,
+  p_sale JSONB,
+  p_expected_version INTEGER DEFAULT NULL
+) RETURNS orders AS $$
+DECLARE
+  v_order orders%ROWTYPE;
+  v_sale JSONB;
+BEGIN
+  v_order := lock_order_for_sale(p_order_id, p_expected_version);
+
+  v_sale := build_sale_record(
+    p_sale || jsonb_build_object('createdAt', COALESCE(p_sale->>'createdAt', NOW()::TEXT)),
+    p_order_id::TEXT || '-sale-' || (EXTRACT(EPOCH FROM clock_timestamp()) * 1000)::BIGINT
+  );
+
+  RETURN write_order_sales(v_order, get_order_sales(v_order) || jsonb_build_array(v_sale));
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION update_sale_record(
+  p_order_id UUID,
+  p_sale_id TEXT,
+  p_changes JSONB,
+  p_expected_version INTEGER DEFAULT NULL
+) RETURNS orders AS $$
+DECLARE
+  v_order orders%ROWTYPE;
+  v_sales JSONB;
+  v_updated JSONB := '[]'::jsonb;
+  v_sale JSONB;
+  v_found BOOLEAN := false;
+BEGIN
+  v_order := lock_order_for_sale(p_order_id, p_expected_version);
+  v_sales := get_order_sales(v_order);
+
+  FOR v_sale IN SELECT * FROM jsonb_array_elements(v_sales)
+  LOOP
+    IF v_sale->>'id' = p_sale_id THEN
+      v_found := true;
+      v_sale := build_sale_record(
+        v_sale || (p_changes - 'id') || jsonb_build_object('updatedAt', NOW()),
+        p_sale_id
+      );
+    END IF;
+    v_updated := v_updated || jsonb_build_array(v_sale);
+  END LOOP;
+
+  IF NOT v_found THEN
+    RAISE EXCEPTION 'Sale % not found on order %', p_sale_id, p_order_id;
+  END IF;
+
+  RETURN write_order_sales(v_order, v_updated);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION delete_sale_record(
+  p_order_id UUID,
+  p_sale_id TEXT,
+  p_expected_version INTEGER DEFAULT NULL
+) RETURNS orders AS $$
+DECLARE
+  v_order orders%ROWTYPE;
+  v_sales JSONB;
+  v_remaining JSONB;
+BEGIN
+  v_order := lock_order_for_sale(p_order_id, p_expected_version);
+  v_sales := get_order_sales(v_order);
+
+  SELECT COALESCE(jsonb_agg(sale), '[]'::jsonb) INTO v_remaining
+  FROM jsonb_array_elements(v_sales) AS sale
+  WHERE sale->>'id' <> p_sale_id;
+
+  IF jsonb_array_length(v_remaining) = jsonb_array_length(v_sales) THEN
+    RAISE EXCEPTION 'Sale % not found on order %', p_sale_id, p_order_id;
+  END IF;
+
+  RETURN write_order_sales(v_order, v_remaining);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- 7. mark_order_sold and record_lot_sale go through the same path and accept an expected version
+DROP FUNCTION IF EXISTS mark_order_sold(UUID, DATE, INTEGER, INTEGER, TEXT, INTEGER, TEXT, INTEGER, JSONB);
+
+CREATE OR REPLACE FUNCTION mark_order_sold(
+  p_order_id UUID,
+  p_sell_date DATE,
+  p_sell_price_cents INTEGER,
+  p_sell_quantity INTEGER,
+  p_sell_location TEXT DEFAULT NULL,
+  p_sell_fees_cents INTEGER DEFAULT 0,
+  p_sell_notes TEXT DEFAULT NULL,
+  p_sell_shipping_cents INTEGER DEFAULT 0,
+  p_lot JSONB DEFAULT NULL,
+  p_expected_version INTEGER DEFAULT NULL
+) RETURNS VOID AS $$
+BEGIN
+  PERFORM add_sale_record(
+    p_order_id,
+    jsonb_strip_nulls(jsonb_build_object(
+      'quantity', p_sell_quantity,
+      'saleDate', p_sell_date,
+      'salePrice', p_sell_price_cents,
+      'saleLocation', COALESCE(p_sell_location, ''),
+      'saleNotes', COALESCE(p_sell_notes, ''),
+      'feesCents', COALESCE(p_sell_fees_cents, 0),
+      'shippingCents', COALESCE(p_sell_shipping_cents, 0),
+      'lot', p_lot
+    )),
+    p_expected_version
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- p_allocations: [{ "order_id", "quantity", "fees_cents", "shipping_cents", "expected_version", "lot": { ... } }]
+CREATE OR REPLACE FUNCTION record_lot_sale(
+  p_allocations JSONB,
+  p_sell_date DATE,
+  p_sell_price_cents INTEGER,
+  p_sell_location TEXT DEFAULT NULL,
+  p_sell_notes TEXT DEFAULT NULL
+) RETURNS VOID AS $$
+DECLARE
+  v_allocation JSONB;
+BEGIN
+  IF p_allocations IS NULL OR jsonb_array_length(p_allocations) = 0 THEN
+    RAISE EXCEPTION 'A sale must consume at least one lot';
+  END IF;
+
+  -- Any lot that cannot cover its quantity, or changed since it was loaded, aborts the whole sale
+  FOR v_allocation IN SELECT * FROM jsonb_array_elements(p_allocations)
+  LOOP
+    PERFORM mark_order_sold(
+      (v_allocation->>'order_id')::UUID,
+      p_sell_date,
+      p_sell_price_cents,
+      (v_allocation->>'quantity')::INTEGER,
+      p_sell_location,
+      COALESCE((v_allocation->>'fees_cents')::INTEGER, 0),
+      p_sell_notes,
+      COALESCE((v_allocation->>'shipping_cents')::INTEGER, 0),
+      v_allocation->'lot',
+      (v_allocation->>'expected_version')::INTEGER
+    );
+  END LOOP;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- 8. Only the sale mutations are callable from the client; the helpers trust their caller
+-- Supabase grants EXECUTE to anon and authenticated directly, so revoking from PUBLIC alone is not enough
+REVOKE EXECUTE ON FUNCTION lock_order_for_sale(UUID, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION write_order_sales(orders, JSONB) FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION add_sale_record(UUID, JSONB, INTEGER) TO authenticated;
+GRANT EXECUTE ON FUNCTION update_sale_record(UUID, TEXT, JSONB, INTEGER) TO authenticated;
+GRANT EXECUTE ON FUNCTION delete_sale_record(UUID, TEXT, INTEGER) TO authenticated;
+GRANT EXECUTE ON FUNCTION mark_order_sold(UUID, DATE, INTEGER, INTEGER, TEXT, INTEGER, TEXT, INTEGER, JSONB, INTEGER) TO authenticated;
+GRANT EXECUTE ON FUNCTION record_lot_sale(JSONB, DATE, INTEGER, TEXT, TEXT) TO authenticated;
+
+COMMENT ON FUNCTION add_sale_record IS 'Appends a sale record to an order under a row lock. Raises PT409 when p_expected_version is stale.';
+COMMENT ON FUNCTION update_sale_record IS 'Merges changes into one sale record under a row lock and recomputes the order sale totals. Raises PT409 when p_expected_version is stale.';
+COMMENT ON FUNCTION delete_sale_record IS 'Removes one sale record under a row lock and recomputes the order sale totals. Raises PT409 when p_expected_version is stale.';
+COMMENT ON FUNCTION mark_order_sold IS 'Marks an order (or portion of it) as sold by appending a sale record with gross, fees, shipping, net and optional tax lot details.';
@@ -0,0 +1,304 @@
+-- Normalized sales table
+-- One row per sale instead of a JSON array in orders.sale_history, so sales can be queried by date,
+-- marketplace or buyer. Existing sale_history records and legacy sell_* / sale_* values are converted,
+-- and the order's sale columns (quantity_sold, sale totals, last sale) are kept in step by a trigger.
+
+CREATE TABLE IF NOT EXISTS sales (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    sale_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    sale_price_cents INTEGER NOT NULL DEFAULT 0 CHECK (sale_price_cents >= 0),
+    gross_cents INTEGER GENERATED ALWAYS AS (quantity * sale_price_cents) STORED,
+    fees_cents INTEGER NOT NULL DEFAULT 0 CHECK (fees_cents >= 0),
+    shipping_cents INTEGER NOT NULL DEFAULT 0 CHECK (shipping_cents >= 0),
+    net_cents INTEGER GENERATED ALWAYS AS (quantity * sale_price_cents - fees_cents - shipping_cents) STORED,
+    sale_location TEXT,
+    notes TEXT,
+    buyer TEXT,
+    -- Tax lot details when the sale was matched to purchase lots (see record_lot_sale)
+    lot JSONB,
+    -- Id of the record in orders.sale_history this row was converted from
+    legacy_id TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_sales_order ON sales(order_id, sale_date);
+CREATE INDEX IF NOT EXISTS idx_sales_user_date ON sales(user_id, sale_date);
+CREATE INDEX IF NOT EXISTS idx_sales_user_location ON sales(user_id, sale_location);
+CREATE INDEX IF NOT EXISTS idx_sales_user_buyer ON sales(user_id, buyer) WHERE buyer IS NOT NULL;
+
+COMMENT ON TABLE sales IS 'One row per sale of (part of) an order with price, fees, shipping, marketplace and buyer';
+
+-- RLS: users read their own sales; every write goes through the sale RPCs below, which lock the order
+-- and check its version
+ALTER TABLE sales ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Users can manage their own sales" ON sales;
+DROP POLICY IF EXISTS "Users can view their own sales" ON sales;
+CREATE POLICY "Users can view their own sales" ON sales
+    FOR SELECT USING (auth.uid() = user_id);
+
+-- 1. Convert sale_history records (and legacy single-sale columns) into rows
+-- get_order_sales() parses both JSON and stringified JSON and synthesises the legacy record
+INSERT INTO sales (
+    user_id, order_id, quantity, sale_date, sale_price_cents, fees_cents, shipping_cents,
+    sale_location, notes, lot, legacy_id, created_at, updated_at
+)
+SELECT
+    o.user_id,
+    o.id,
+    (sale->>'quantity')::INTEGER,
+    COALESCE(
+        LEFT(NULLIF(sale->>'saleDate', ''), 10)::DATE,
+        LEFT(o.sell_date::TEXT, 10)::DATE,
+        o.updated_at::DATE,
+        CURRENT_DATE
+    ),
+    GREATEST(COALESCE((sale->>'salePrice')::INTEGER, 0), 0),
+    GREATEST(COALESCE((sale->>'feesCents')::INTEGER, 0), 0),
+    GREATEST(COALESCE((sale->>'shippingCents')::INTEGER, 0), 0),
+    NULLIF(sale->>'saleLocation', ''),
+    NULLIF(sale->>'saleNotes', ''),
+    sale->'lot',
+    sale->>'id',
+    COALESCE((sale->>'createdAt')::TIMESTAMP WITH TIME ZONE, o.updated_at, NOW()),
+    COALESCE((sale->>'updatedAt')::TIMESTAMP WITH TIME ZONE, (sale->>'createdAt')::TIMESTAMP WITH TIME ZONE, o.updated_at, NOW())
+FROM orders o
+CROSS JOIN LATERAL jsonb_array_elements(get_order_sales(o)) AS sale
+WHERE (o.sale_history IS NOT NULL OR COALESCE(o.quantity_sold, 0) > 0)
+AND COALESCE((sale->>'quantity')::INTEGER, 0) > 0
+AND NOT EXISTS (SELECT 1 FROM sales s WHERE s.order_id = o.id);
+
+-- Outbound shipments referenced sale_history ids
+UPDATE shipment_orders so
+SET sale_id = s.id::TEXT
+FROM sales s
+WHERE so.order_id = s.order_id
+AND so.sale_id = s.legacy_id;
+
+-- The JSON copy is no longer read or written
+UPDATE orders SET sale_history = NULL WHERE sale_history IS NOT NULL;
+
+COMMENT ON COLUMN orders.sale_history IS 'Deprecated: sales live in the sales table';
+
+-- 2. Keep the order's sale columns in step with its sales
+CREATE OR REPLACE FUNCTION refresh_order_sales(p_order_id UUID)
+RETURNS VOID AS $$
+DECLARE
+    v_quantity INTEGER;
+    v_quantity_sold INTEGER;
+    v_last sales%ROWTYPE;
+BEGIN
+    SELECT quantity INTO v_quantity FROM orders WHERE id = p_order_id;
+    IF NOT FOUND THEN
+        -- The order itself is being deleted
+        RETURN;
+    END IF;
+
+    SELECT COALESCE(SUM(quantity), 0) INTO v_quantity_sold FROM sales WHERE order_id = p_order_id;
+
+    IF v_quantity_sold > v_quantity THEN
+        RAISE EXCEPTION 'Cannot sell % items. Only % items in this order', v_quantity_sold, v_quantity;
+    END IF;
+
+    SELECT * INTO v_last
+    FROM sales
+    WHERE order_id = p_order_id
+    ORDER BY sale_date DESC, created_at DESC
+    LIMIT 1;
+
+    UPDATE orders o
+    SET
+        quantity_sold = v_quantity_sold,
+        sale_total_cents = totals.gross,
+        sale_fees_cents = totals.fees,
+        sale_shipping_cents = totals.shipping,
+        sale_net_cents = totals.net,
+        -- Most recent sale in the single-sale columns the views and older screens read
+        sale_date = v_last.sale_date,
+        sale_price_per_item_cents = v_last.sale_price_cents,
+        sale_retailer_name = v_last.sale_location,
+        sell_date = v_last.sale_date,
+        sell_price_cents = v_last.sale_price_cents,
+        sell_location = v_last.sale_location,
+        sell_notes = v_last.notes,
+        is_sold = v_quantity_sold >= v_quantity,
+        updated_at = NOW()
+    FROM (
+        SELECT
+            COALESCE(SUM(gross_cents), 0) AS gross,
+            COALESCE(SUM(fees_cents), 0) AS fees,
+            COALESCE(SUM(shipping_cents), 0) AS shipping,
+            COALESCE(SUM(net_cents), 0) AS net
+        FROM sales
+        WHERE order_id = p_order_id
+    ) totals
+    WHERE o.id = p_order_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION sales_refresh_order()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'DELETE' OR (TG_OP = 'UPDATE' AND NEW.order_id IS DISTINCT FROM OLD.order_id) THEN
+        PERFORM refresh_order_sales(OLD.order_id);
+    END IF;
+    IF TG_OP IN ('INSERT', 'UPDATE') THEN
+        PERFORM refresh_order_sales(NEW.order_id);
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS sales_refresh_order ON sales;
+CREATE TRIGGER sales_refresh_order
+    AFTER INSERT OR UPDATE OR DELETE ON sales
+    FOR EACH ROW
+    EXECUTE FUNCTION sales_refresh_order();
+
+-- 3. Sale mutations against the sales table
+-- Same signatures as before: the order row is locked and its version checked, sale ids may be the
+-- sales.id or the sale_history id a row was converted from
+CREATE OR REPLACE FUNCTION add_sale_record(
+    p_order_id UUID,
+    p_sale JSONB,
+    p_expected_version INTEGER DEFAULT NULL
+) RETURNS orders AS $$
+DECLARE
+    v_order orders%ROWTYPE;
+BEGIN
+    v_order := lock_order_for_sale(p_order_id, p_expected_version);
+
+    INSERT INTO sales (
+        user_id, order_id, quantity, sale_date, sale_price_cents, fees_cents, shipping_cents,
+        sale_location, notes, buyer, lot
+    ) VALUES (
+        v_order.user_id,
+        p_order_id,
+        COALESCE((p_sale->>'quantity')::INTEGER, 0),
+        COALESCE(LEFT(NULLIF(p_sale->>'saleDate', ''), 10)::DATE, CURRENT_DATE),
+        COALESCE((p_sale->>'salePrice')::INTEGER, 0),
+        COALESCE((p_sale->>'feesCents')::INTEGER, 0),
+        COALESCE((p_sale->>'shippingCents')::INTEGER, 0),
+        NULLIF(p_sale->>'saleLocation', ''),
+        NULLIF(p_sale->>'saleNotes', ''),
+        NULLIF(p_sale->>'buyer', ''),
+        p_sale->'lot'
+    );
+
+    SELECT * INTO v_order FROM orders WHERE id = p_order_id;
+    RETURN v_order;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION update_sale_record(
+    p_order_id UUID,
+    p_sale_id TEXT,
+    p_changes JSONB,
+    p_expected_version INTEGER DEFAULT NULL
+) RETURNS orders AS $$
+DECLARE
+    v_order orders%ROWTYPE;
+BEGIN
+    v_order := lock_order_for_sale(p_order_id, p_expected_version);
+
+    UPDATE sales
+    SET
+        quantity = COALESCE((p_changes->>'quantity')::INTEGER, quantity),
+        sale_date = COALESCE(LEFT(NULLIF(p_changes->>'saleDate', ''), 10)::DATE, sale_date),
+        sale_price_cents = COALESCE((p_changes->>'salePrice')::INTEGER, sale_price_cents),
+        fees_cents = COALESCE((p_changes->>'feesCents')::INTEGER, fees_cents),
+        shipping_cents = COALESCE((p_changes->>'shippingCents')::INTEGER, shipping_cents),
+        sale_location = CASE WHEN p_changes ? 'saleLocation' THEN NULLIF(p_changes->>'saleLocation', '') ELSE sale_location END,
+        notes = CASE WHEN p_changes ? 'saleNotes' THEN NULLIF(p_changes->>'saleNotes', '') ELSE notes END,
+        buyer = CASE WHEN p_changes ? 'buyer' THEN NULLIF(p_changes->>'buyer', '') ELSE buyer END,
+        updated_at = NOW()
+    WHERE order_id = p_order_id
+    AND (id::TEXT = p_sale_id OR legacy_id = p_sale_id);
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Sale % not found on order %', p_sale_id, p_order_id;
+    END IF;
+
+    SELECT * INTO v_order FROM orders WHERE id = p_order_id;
+    RETURN v_order;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION delete_sale_record(
+    p_order_id UUID,
+    p_sale_id TEXT,
+    p_expected_version INTEGER DEFAULT NULL
+) RETURNS orders AS $$
+DECLARE
+    v_order orders%ROWTYPE;
+BEGIN
+    v_order := lock_order_for_sale(p_order_id, p_expected_version);
+
+    DELETE FROM sales
+    WHERE order_id = p_order_id
+    AND (id::TEXT = p_sale_id OR legacy_id = p_sale_id);
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Sale % not found on order %', p_sale_id, p_order_id;
+    END IF;
+
+    SELECT * INTO v_order FROM orders WHERE id = p_order_id;
+    RETURN v_order;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- 4. record_lot_sale records the buyer on every lot's sale row
+DROP FUNCTION IF EXISTS record_lot_sale(JSONB, DATE, INTEGER, TEXT, TEXT);
+
+CREATE OR REPLACE FUNCTION record_lot_sale(
+    p_allocations JSONB,
+    p_sell_date DATE,
+    p_sell_price_cents INTEGER,
+    p_sell_location TEXT DEFAULT NULL,
+    p_sell_notes TEXT DEFAULT NULL,
+    p_buyer TEXT DEFAULT NULL
+) RETURNS VOID AS $$
+DECLARE
+    v_allocation JSONB;
+BEGIN
+    IF p_allocations IS NULL OR jsonb_array_length(p_allocations) = 0 THEN
+        RAISE EXCEPTION 'A sale must consume at least one lot';
+    END IF;
+
+    -- Any lot that cannot cover its quantity, or changed since it was loaded, aborts the whole sale
+    FOR v_allocation IN SELECT * FROM jsonb_array_elements(p_allocations)
+    LOOP
+        PERFORM add_sale_record(
+            (v_allocation->>'order_id')::UUID,
+            jsonb_strip_nulls(jsonb_build_object(
+                'quantity', (v_allocation->>'quantity')::INTEGER,
+                'saleDate', p_sell_date,
+                'salePrice', p_sell_price_cents,
+                'saleLocation', p_sell_location,
+                'saleNotes', p_sell_notes,
+                'buyer', p_buyer,
+                'feesCents', COALESCE((v_allocation->>'fees_cents')::INTEGER, 0),
+                'shippingCents', COALESCE((v_allocation->>'shipping_cents')::INTEGER, 0),
+                'lot', v_allocation->'lot'
+            )),
+            (v_allocation->>'expected_version')::INTEGER
+        );
+    END LOOP;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION record_lot_sale(JSONB, DATE, INTEGER, TEXT, TEXT, TEXT) TO authenticated;
+REVOKE EXECUTE ON FUNCTION refresh_order_sales(UUID) FROM PUBLIC, anon, authenticated;
+
+-- 5. The sale_history helpers are no longer used
+DROP FUNCTION IF EXISTS write_order_sales(orders, JSONB);
+DROP FUNCTION IF EXISTS build_sale_record(JSONB, TEXT);
+DROP FUNCTION IF EXISTS get_order_sales(orders);
+
+COMMENT ON FUNCTION add_sale_record IS 'Inserts a sale row for an order under a row lock. Raises PT409 when p_expected_version is stale.';
+COMMENT ON FUNCTION update_sale_record IS 'Updates one sale row under a row lock; the order sale totals follow via trigger. Raises PT409 when p_expected_version is stale.';
+COMMENT ON FUNCTION delete_sale_record IS 'Deletes one sale row under a row lock; the order sale totals follow via trigger. Raises PT409 when p_expected_version is stale.';
+COMMENT ON FUNCTION refresh_order_sales IS 'Recomputes quantity_sold, sale totals and last-sale columns of an order from its sales; rejects overselling.';
@@ -0,0 +1,164 @@
+-- Create watchlist and price alert tables
+-- Users watch cards / sealed products with "below X", "above Y" and "moves more than N% in 7 days" rules.
+-- evaluate_price_alerts() runs after every Scrydex pricing-sync (cards) and TCGCSV price ingest (sealed)
+-- and writes an alert each time a rule starts to match.
+
+CREATE TABLE IF NOT EXISTS watchlist_items (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    -- What is watched: 'card' = pokemon_cards.id, 'sealed' = pokemon_sealed_products.product_id
+    product_type TEXT NOT NULL CHECK (product_type IN ('card', 'sealed')),
+    product_id TEXT NOT NULL,
+    -- 'raw' or 'graded' for cards, 'market' for sealed products (same as price_history.price_type)
+    price_type TEXT NOT NULL DEFAULT 'raw' CHECK (price_type IN ('raw', 'graded', 'market')),
+    name TEXT,
+    image_url TEXT,
+    -- Rules (dollars / percent); NULL = rule off
+    below_price DECIMAL(10,2) CHECK (below_price IS NULL OR below_price >= 0),
+    above_price DECIMAL(10,2) CHECK (above_price IS NULL OR above_price >= 0),
+    move_percent DECIMAL(6,2) CHECK (move_percent IS NULL OR move_percent > 0),
+    notes TEXT,
+    -- Rules matching at the last evaluation; an alert fires when a rule joins this set
+    active_rules TEXT[] NOT NULL DEFAULT '{}',
+    last_price DECIMAL(10,2),
+    last_change_7d_percent DECIMAL(8,2),
+    last_evaluated_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (user_id, product_type, product_id, price_type)
+);
+
+CREATE TABLE IF NOT EXISTS price_alerts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    watchlist_item_id UUID REFERENCES watchlist_items(id) ON DELETE CASCADE,
+    product_type TEXT NOT NULL,
+    product_id TEXT NOT NULL,
+    price_type TEXT NOT NULL,
+    name TEXT,
+    rule TEXT NOT NULL CHECK (rule IN ('below', 'above', 'move_7d')),
+    -- The rule's threshold and the price that triggered it
+    threshold DECIMAL(10,2),
+    price DECIMAL(10,2),
+    change_7d_percent DECIMAL(8,2),
+    -- Where the triggering price came from: 'scrydex', 'tcgcsv'
+    source TEXT,
+    triggered_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    read_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_watchlist_items_product ON watchlist_items(product_type, product_id);
+CREATE INDEX IF NOT EXISTS idx_price_alerts_user_triggered ON price_alerts(user_id, triggered_at DESC);
+CREATE INDEX IF NOT EXISTS idx_price_alerts_unread ON price_alerts(user_id) WHERE read_at IS NULL;
+
+COMMENT ON TABLE watchlist_items IS 'Cards and sealed products a user watches, with below / above / 7-day move price rules';
+COMMENT ON TABLE price_alerts IS 'Alert feed: one row each time a watchlist rule starts to match after a price sync';
+
+-- RLS: users manage their own watchlist and alerts
+ALTER TABLE watchlist_items ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Users can manage their own watchlist" ON watchlist_items;
+CREATE POLICY "Users can manage their own watchlist" ON watchlist_items
+    FOR ALL USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
+
+ALTER TABLE price_alerts ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Users can manage their own price alerts" ON price_alerts;
+CREATE POLICY "Users can manage their own price alerts" ON price_alerts
+    FOR ALL USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
+
+-- Evaluate watchlist rules against the prices currently stored on pokemon_cards / pokemon_sealed_products
+-- Cards use the raw/graded market price and the 7-day trend from Scrydex; sealed products compare
+-- the TCGCSV market price with the price_history point from a week ago. The sync functions (service role)
+-- evaluate every user's watchlist; a signed-in user only evaluates their own
+CREATE OR REPLACE FUNCTION evaluate_price_alerts(
+    p_product_type TEXT DEFAULT NULL
+) RETURNS INTEGER AS $$
+DECLARE
+    v_item RECORD;
+    v_matched TEXT[];
+    v_rule TEXT;
+    v_count INTEGER := 0;
+BEGIN
+    FOR v_item IN
+        SELECT
+            w.*,
+            CASE
+                WHEN w.product_type = 'card' AND w.price_type = 'graded' THEN pc.graded_market
+                WHEN w.product_type = 'card' THEN pc.raw_market
+                ELSE sp.market_price
+            END AS current_price,
+            CASE
+                WHEN w.product_type = 'card' AND w.price_type = 'graded' THEN pc.graded_trend_7d_percent
+                WHEN w.product_type = 'card' THEN pc.raw_trend_7d_percent
+                WHEN week_ago.market > 0 THEN ROUND((sp.market_price - week_ago.market) / week_ago.market * 100, 2)
+            END AS change_7d
+        FROM watchlist_items w
+        LEFT JOIN pokemon_cards pc ON w.product_type = 'card' AND pc.id::TEXT = w.product_id
+        LEFT JOIN pokemon_sealed_products sp ON w.product_type = 'sealed' AND sp.product_id::TEXT = w.product_id
+        LEFT JOIN LATERAL (
+            SELECT ph.market
+            FROM price_history ph
+            WHERE w.product_type = 'sealed'
+            AND ph.product_type = 'sealed'
+            AND ph.product_id = w.product_id
+            AND ph.price_type = 'market'
+            AND ph.recorded_on <= CURRENT_DATE - 7
+            ORDER BY ph.recorded_on DESC
+            LIMIT 1
+        ) week_ago ON TRUE
+        WHERE (p_product_type IS NULL OR w.product_type = p_product_type)
+        AND (auth.role() = 'service_role' OR w.user_id = auth.uid())
+    LOOP
+        v_matched := '{}';
+        IF v_item.current_price IS NOT NULL THEN
+            IF v_item.below_price IS NOT NULL AND v_item.current_price <= v_item.below_price THEN
+                v_matched := v_matched || 'below'::TEXT;
+            END IF;
+            IF v_item.above_price IS NOT NULL AND v_item.current_price >= v_item.above_price THEN
+                v_matched := v_matched || 'above'::TEXT;
+            END IF;
+        END IF;
+        IF v_item.move_percent IS NOT NULL AND ABS(v_item.change_7d) >= v_item.move_percent THEN
+            v_matched := v_matched || 'move_7d'::TEXT;
+        END IF;
+
+        -- Alert only on rules that were not already matching, so every sync does not repeat them
+        FOREACH v_rule IN ARRAY v_matched
+        LOOP
+            IF NOT v_rule = ANY(v_item.active_rules) THEN
+                INSERT INTO price_alerts (
+                    user_id, watchlist_item_id, product_type, product_id, price_type, name,
+                    rule, threshold, price, change_7d_percent, source
+                ) VALUES (
+                    v_item.user_id, v_item.id, v_item.product_type, v_item.product_id, v_item.price_type, v_item.name,
+                    v_rule,
+                    CASE v_rule
+                        WHEN 'below' THEN v_item.below_price
+                        WHEN 'above' THEN v_item.above_price
+                        ELSE v_item.move_percent
+                    END,
+                    v_item.current_price,
+                    v_item.change_7d,
+                    CASE WHEN v_item.product_type = 'card' THEN 'scrydex' ELSE 'tcgcsv' END
+                );
+                v_count := v_count + 1;
+            END IF;
+        END LOOP;
+
+        UPDATE watchlist_items
+        SET
+            active_rules = v_matched,
+            last_price = v_item.current_price,
+            last_change_7d_percent = v_item.change_7d,
+            last_evaluated_at = NOW()
+        WHERE id = v_item.id;
+    END LOOP;
+
+    RETURN v_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- The TCGCSV ingest runs in the browser, so signed-in users may trigger an evaluation of their own watchlist
+REVOKE EXECUTE ON FUNCTION evaluate_price_alerts(TEXT) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION evaluate_price_alerts(TEXT) TO authenticated, service_role;
+
+COMMENT ON FUNCTION evaluate_price_alerts IS 'Evaluates watchlist rules against current prices and inserts a price alert for every rule that starts to match. Returns the number of alerts created.';
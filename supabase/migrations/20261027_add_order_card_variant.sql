@@ -0,0 +1,9 @@
+-- Record which printing of a card an order holds
+-- Master set tracking counts each Scrydex variant (normal, holofoil, reverse holofoil, ...) separately,
+-- so orders need to say which one was bought. NULL = unspecified; it counts toward the card's first variant.
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS card_variant TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_orders_user_pokemon_card ON orders(user_id, pokemon_card_id) WHERE pokemon_card_id IS NOT NULL;
+
+COMMENT ON COLUMN orders.card_variant IS 'Scrydex variant name from pokemon_cards.variants (e.g. normal, reverseHolofoil); NULL = unspecified';
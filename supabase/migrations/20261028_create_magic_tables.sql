@@ -0,0 +1,160 @@
+-- Create Magic: The Gathering catalog tables
+-- Filled from TCGCSV category 1 by magicSyncService; sets are TCGCSV groups, singles and sealed
+-- products are split with the same rule as the Pokemon sealed sync (singles carry a Number in extendedData)
+
+CREATE TABLE IF NOT EXISTS magic_sets (
+    -- TCGCSV / TCGplayer group ID
+    id BIGINT PRIMARY KEY,
+    name TEXT NOT NULL,
+    abbreviation TEXT,
+    is_supplemental BOOLEAN DEFAULT FALSE,
+    published_on TIMESTAMP WITH TIME ZONE,
+    modified_on TIMESTAMP WITH TIME ZONE,
+    card_count INTEGER DEFAULT 0,
+    sealed_count INTEGER DEFAULT 0,
+    last_synced_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS magic_cards (
+    -- TCGplayer product ID
+    product_id BIGINT PRIMARY KEY,
+    set_id BIGINT REFERENCES magic_sets(id) ON DELETE CASCADE,
+    set_name TEXT,
+    name TEXT NOT NULL,
+    clean_name TEXT,
+    number TEXT,
+    rarity TEXT,
+    type_line TEXT,
+    oracle_text TEXT,
+    flavor_text TEXT,
+    power TEXT,
+    toughness TEXT,
+    image_url TEXT,
+    url TEXT,
+    -- TCGplayer "Normal" printing
+    market_price DECIMAL(10,2),
+    low_price DECIMAL(10,2),
+    mid_price DECIMAL(10,2),
+    high_price DECIMAL(10,2),
+    direct_low_price DECIMAL(10,2),
+    -- TCGplayer "Foil" printing
+    foil_market_price DECIMAL(10,2),
+    foil_low_price DECIMAL(10,2),
+    foil_mid_price DECIMAL(10,2),
+    foil_high_price DECIMAL(10,2),
+    extended_data JSONB,
+    modified_on TIMESTAMP WITH TIME ZONE,
+    last_synced_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_magic_cards_set ON magic_cards(set_id);
+CREATE INDEX IF NOT EXISTS idx_magic_cards_name ON magic_cards(name);
+
+CREATE TABLE IF NOT EXISTS magic_sealed (
+    -- TCGplayer product ID
+    product_id BIGINT PRIMARY KEY,
+    set_id BIGINT REFERENCES magic_sets(id) ON DELETE CASCADE,
+    set_name TEXT,
+    name TEXT NOT NULL,
+    clean_name TEXT,
+    image_url TEXT,
+    url TEXT,
+    market_price DECIMAL(10,2),
+    low_price DECIMAL(10,2),
+    mid_price DECIMAL(10,2),
+    high_price DECIMAL(10,2),
+    direct_low_price DECIMAL(10,2),
+    sub_type_name TEXT DEFAULT 'Normal',
+    upc TEXT,
+    is_presale BOOLEAN DEFAULT FALSE,
+    released_on TIMESTAMP WITH TIME ZONE,
+    extended_data JSONB,
+    modified_on TIMESTAMP WITH TIME ZONE,
+    last_synced_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_magic_sealed_set ON magic_sealed(set_id);
+CREATE INDEX IF NOT EXISTS idx_magic_sealed_name ON magic_sealed(name);
+
+COMMENT ON TABLE magic_sets IS 'Magic: The Gathering sets (TCGCSV category 1 groups)';
+COMMENT ON TABLE magic_cards IS 'Magic: The Gathering singles with TCGplayer Normal and Foil prices';
+COMMENT ON TABLE magic_sealed IS 'Magic: The Gathering sealed products with TCGplayer prices';
+
+-- Collection orders for games without their own orders column link through items;
+-- the TCGplayer product ID ties an items row back to its catalog row so its value can be refreshed
+ALTER TABLE items ADD COLUMN IF NOT EXISTS tcgplayer_product_id BIGINT;
+ALTER TABLE items ADD COLUMN IF NOT EXISTS game_id TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_items_tcgplayer_product_id ON items(tcgplayer_product_id) WHERE tcgplayer_product_id IS NOT NULL;
+
+COMMENT ON COLUMN items.tcgplayer_product_id IS 'TCGplayer product ID for catalog-backed items (e.g. magic_cards / magic_sealed)';
+COMMENT ON COLUMN items.game_id IS 'gamesConfig game ID for catalog-backed items; NULL for custom items';
+
+-- Copy the latest Magic prices onto the items rows that collections point at
+-- Foil-only printings fall back to the foil market price
+CREATE OR REPLACE FUNCTION refresh_magic_item_values()
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    updated_count INTEGER := 0;
+    affected INTEGER;
+BEGIN
+    UPDATE items i
+    SET market_value_cents = ROUND(COALESCE(c.market_price, c.foil_market_price) * 100)
+    FROM magic_cards c
+    WHERE i.game_id = 'magic'
+      AND i.tcgplayer_product_id = c.product_id
+      AND COALESCE(c.market_price, c.foil_market_price) IS NOT NULL;
+    GET DIAGNOSTICS affected = ROW_COUNT;
+    updated_count := updated_count + affected;
+
+    UPDATE items i
+    SET market_value_cents = ROUND(s.market_price * 100)
+    FROM magic_sealed s
+    WHERE i.game_id = 'magic'
+      AND i.tcgplayer_product_id = s.product_id
+      AND s.market_price IS NOT NULL;
+    GET DIAGNOSTICS affected = ROW_COUNT;
+    updated_count := updated_count + affected;
+
+    RETURN updated_count;
+END;
+$$;
+
+-- It writes every user's items, so only the service role runs it (tcgcsv-sync, or admin-actions for the dashboard)
+REVOKE EXECUTE ON FUNCTION refresh_magic_item_values() FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION refresh_magic_item_values() TO service_role;
+
+-- RLS Policies for Magic catalog tables (publicly readable, written by sync jobs)
+ALTER TABLE magic_sets ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Public read access to magic_sets" ON magic_sets;
+CREATE POLICY "Public read access to magic_sets" ON magic_sets FOR SELECT USING (true);
+DROP POLICY IF EXISTS "Allow magic_sets inserts" ON magic_sets;
+CREATE POLICY "Allow magic_sets inserts" ON magic_sets FOR INSERT WITH CHECK (true);
+DROP POLICY IF EXISTS "Allow magic_sets updates" ON magic_sets;
+CREATE POLICY "Allow magic_sets updates" ON magic_sets FOR UPDATE USING (true);
+
+ALTER TABLE magic_cards ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Public read access to magic_cards" ON magic_cards;
+CREATE POLICY "Public read access to magic_cards" ON magic_cards FOR SELECT USING (true);
+DROP POLICY IF EXISTS "Allow magic_cards inserts" ON magic_cards;
+CREATE POLICY "Allow magic_cards inserts" ON magic_cards FOR INSERT WITH CHECK (true);
+DROP POLICY IF EXISTS "Allow magic_cards updates" ON magic_cards;
+CREATE POLICY "Allow magic_cards updates" ON magic_cards FOR UPDATE USING (true);
+
+ALTER TABLE magic_sealed ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Public read access to magic_sealed" ON magic_sealed;
+CREATE POLICY "Public read access to magic_sealed" ON magic_sealed FOR SELECT USING (true);
+DROP POLICY IF EXISTS "Allow magic_sealed inserts" ON magic_sealed;
+CREATE POLICY "Allow magic_sealed inserts" ON magic_sealed FOR INSERT WITH CHECK (true);
+DROP POLICY IF EXISTS "Allow magic_sealed updates" ON magic_sealed;
+CREATE POLICY "Allow magic_sealed updates" ON magic_sealed FOR UPDATE USING (true);
@@ -0,0 +1,104 @@
+-- Create generic TCGCSV catalog tables
+-- Any gamesConfig entry with a categoryId and no hand-written service is synced here by tcgcsvCatalogSyncService
+-- and served by TcgcsvGameService; rows are partitioned by game_id (gamesConfig ID)
+
+CREATE TABLE IF NOT EXISTS tcgcsv_groups (
+    -- TCGCSV / TCGplayer group ID (unique across categories)
+    group_id BIGINT PRIMARY KEY,
+    game_id TEXT NOT NULL,
+    category_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    abbreviation TEXT,
+    is_supplemental BOOLEAN DEFAULT FALSE,
+    published_on TIMESTAMP WITH TIME ZONE,
+    modified_on TIMESTAMP WITH TIME ZONE,
+    card_count INTEGER DEFAULT 0,
+    sealed_count INTEGER DEFAULT 0,
+    last_synced_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_tcgcsv_groups_game ON tcgcsv_groups(game_id, published_on DESC);
+
+CREATE TABLE IF NOT EXISTS tcgcsv_products (
+    -- TCGplayer product ID (unique across categories)
+    product_id BIGINT PRIMARY KEY,
+    game_id TEXT NOT NULL,
+    category_id INTEGER NOT NULL,
+    group_id BIGINT REFERENCES tcgcsv_groups(group_id) ON DELETE CASCADE,
+    group_name TEXT,
+    name TEXT NOT NULL,
+    clean_name TEXT,
+    -- Singles carry a collector number; sealed products don't (tcgcsvSyncService.isSealedProduct)
+    is_sealed BOOLEAN NOT NULL DEFAULT FALSE,
+    number TEXT,
+    rarity TEXT,
+    image_url TEXT,
+    url TEXT,
+    -- Prices for the primary printing ("Normal" when TCGplayer lists one)
+    sub_type_name TEXT,
+    market_price DECIMAL(10,2),
+    low_price DECIMAL(10,2),
+    mid_price DECIMAL(10,2),
+    high_price DECIMAL(10,2),
+    direct_low_price DECIMAL(10,2),
+    -- Every printing keyed by sub type, e.g. {"Foil": {"market": 1.25, "low": 0.9, ...}}
+    prices JSONB DEFAULT '{}'::jsonb,
+    extended_data JSONB,
+    modified_on TIMESTAMP WITH TIME ZONE,
+    last_synced_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_tcgcsv_products_group ON tcgcsv_products(group_id, is_sealed);
+CREATE INDEX IF NOT EXISTS idx_tcgcsv_products_game_name ON tcgcsv_products(game_id, is_sealed, name);
+
+COMMENT ON TABLE tcgcsv_groups IS 'Sets for config-driven TCGCSV games, keyed by TCGplayer group ID';
+COMMENT ON TABLE tcgcsv_products IS 'Singles and sealed products for config-driven TCGCSV games';
+COMMENT ON COLUMN tcgcsv_products.prices IS 'All TCGplayer printings keyed by sub type name';
+
+-- Copy the latest prices for one game onto the items rows that collections point at
+CREATE OR REPLACE FUNCTION refresh_tcgcsv_item_values(p_game_id TEXT)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    updated_count INTEGER := 0;
+BEGIN
+    UPDATE items i
+    SET market_value_cents = ROUND(p.market_price * 100)
+    FROM tcgcsv_products p
+    WHERE i.game_id = p_game_id
+      AND p.game_id = p_game_id
+      AND i.tcgplayer_product_id = p.product_id
+      AND p.market_price IS NOT NULL;
+    GET DIAGNOSTICS updated_count = ROW_COUNT;
+
+    RETURN updated_count;
+END;
+$$;
+
+-- Like refresh_magic_item_values it updates items of all users: service role only
+REVOKE EXECUTE ON FUNCTION refresh_tcgcsv_item_values(TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION refresh_tcgcsv_item_values(TEXT) TO service_role;
+
+-- RLS Policies for TCGCSV catalog tables (publicly readable, written by sync jobs)
+ALTER TABLE tcgcsv_groups ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Public read access to tcgcsv_groups" ON tcgcsv_groups;
+CREATE POLICY "Public read access to tcgcsv_groups" ON tcgcsv_groups FOR SELECT USING (true);
+DROP POLICY IF EXISTS "Allow tcgcsv_groups inserts" ON tcgcsv_groups;
+CREATE POLICY "Allow tcgcsv_groups inserts" ON tcgcsv_groups FOR INSERT WITH CHECK (true);
+DROP POLICY IF EXISTS "Allow tcgcsv_groups updates" ON tcgcsv_groups;
+CREATE POLICY "Allow tcgcsv_groups updates" ON tcgcsv_groups FOR UPDATE USING (true);
+
+ALTER TABLE tcgcsv_products ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Public read access to tcgcsv_products" ON tcgcsv_products;
+CREATE POLICY "Public read access to tcgcsv_products" ON tcgcsv_products FOR SELECT USING (true);
+DROP POLICY IF EXISTS "Allow tcgcsv_products inserts" ON tcgcsv_products;
+CREATE POLICY "Allow tcgcsv_products inserts" ON tcgcsv_products FOR INSERT WITH CHECK (true);
+DROP POLICY IF EXISTS "Allow tcgcsv_products updates" ON tcgcsv_products;
+CREATE POLICY "Allow tcgcsv_products updates" ON tcgcsv_products FOR UPDATE USING (true);
@@ -0,0 +1,162 @@
+-- Multi-currency purchases, sales and valuation
+-- Orders and sales may be recorded in any currency (NULL = USD, the currency catalog market values are in).
+-- The client converts them into the user's base currency with the daily rate of the transaction date
+-- from fx_rates, which is loaded from a rates file (CSV or JSON) so it also works offline.
+
+-- 1. Per-user preferences
+CREATE TABLE IF NOT EXISTS user_preferences (
+    user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+    base_currency TEXT NOT NULL DEFAULT 'USD' CHECK (base_currency ~ '^[A-Z]{3}$'),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON TABLE user_preferences IS 'Per-user settings that follow the account across devices';
+COMMENT ON COLUMN user_preferences.base_currency IS 'ISO 4217 code totals, analytics and exports are converted into';
+
+ALTER TABLE user_preferences ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Users can manage their own preferences" ON user_preferences;
+CREATE POLICY "Users can manage their own preferences" ON user_preferences
+    FOR ALL USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
+
+-- 2. Transaction currencies
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS currency TEXT CHECK (currency ~ '^[A-Z]{3}$');
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS currency TEXT CHECK (currency ~ '^[A-Z]{3}$');
+
+COMMENT ON COLUMN orders.currency IS 'ISO 4217 code of the purchase amounts; NULL = USD';
+COMMENT ON COLUMN sales.currency IS 'ISO 4217 code of the sale amounts; NULL = USD';
+
+-- 3. Daily FX rates, as units of the currency per 1 USD
+CREATE TABLE IF NOT EXISTS fx_rates (
+    rate_date DATE NOT NULL,
+    currency TEXT NOT NULL CHECK (currency ~ '^[A-Z]{3}$'),
+    units_per_usd NUMERIC(18,8) NOT NULL CHECK (units_per_usd > 0),
+    source TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (currency, rate_date)
+);
+
+COMMENT ON TABLE fx_rates IS 'Daily exchange rates (units per USD); a transaction uses the latest rate on or before its date';
+
+ALTER TABLE fx_rates ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Public read access to fx_rates" ON fx_rates;
+CREATE POLICY "Public read access to fx_rates" ON fx_rates FOR SELECT USING (true);
+-- Rates are global, so only the service role writes them (admins import rates files through admin-actions)
+DROP POLICY IF EXISTS "Allow fx_rates inserts" ON fx_rates;
+DROP POLICY IF EXISTS "Allow fx_rates updates" ON fx_rates;
+DROP POLICY IF EXISTS "Allow service role to manage fx_rates" ON fx_rates;
+CREATE POLICY "Allow service role to manage fx_rates" ON fx_rates
+    FOR ALL USING (auth.role() = 'service_role') WITH CHECK (auth.role() = 'service_role');
+
+-- 4. Sale mutations carry the sale currency
+CREATE OR REPLACE FUNCTION add_sale_record(
+    p_order_id UUID,
+    p_sale JSONB,
+    p_expected_version INTEGER DEFAULT NULL
+) RETURNS orders AS $$
+DECLARE
+    v_order orders%ROWTYPE;
+BEGIN
+    v_order := lock_order_for_sale(p_order_id, p_expected_version);
+
+    INSERT INTO sales (
+        user_id, order_id, quantity, sale_date, sale_price_cents, fees_cents, shipping_cents,
+        sale_location, notes, buyer, currency, lot
+    ) VALUES (
+        v_order.user_id,
+        p_order_id,
+        COALESCE((p_sale->>'quantity')::INTEGER, 0),
+        COALESCE(LEFT(NULLIF(p_sale->>'saleDate', ''), 10)::DATE, CURRENT_DATE),
+        COALESCE((p_sale->>'salePrice')::INTEGER, 0),
+        COALESCE((p_sale->>'feesCents')::INTEGER, 0),
+        COALESCE((p_sale->>'shippingCents')::INTEGER, 0),
+        NULLIF(p_sale->>'saleLocation', ''),
+        NULLIF(p_sale->>'saleNotes', ''),
+        NULLIF(p_sale->>'buyer', ''),
+        -- Sales default to the currency the order was bought in
+        COALESCE(NULLIF(p_sale->>'currency', ''), v_order.currency),
+        p_sale->'lot'
+    );
+
+    SELECT * INTO v_order FROM orders WHERE id = p_order_id;
+    RETURN v_order;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION update_sale_record(
+    p_order_id UUID,
+    p_sale_id TEXT,
+    p_changes JSONB,
+    p_expected_version INTEGER DEFAULT NULL
+) RETURNS orders AS $$
+DECLARE
+    v_order orders%ROWTYPE;
+BEGIN
+    v_order := lock_order_for_sale(p_order_id, p_expected_version);
+
+    UPDATE sales
+    SET
+        quantity = COALESCE((p_changes->>'quantity')::INTEGER, quantity),
+        sale_date = COALESCE(LEFT(NULLIF(p_changes->>'saleDate', ''), 10)::DATE, sale_date),
+        sale_price_cents = COALESCE((p_changes->>'salePrice')::INTEGER, sale_price_cents),
+        fees_cents = COALESCE((p_changes->>'feesCents')::INTEGER, fees_cents),
+        shipping_cents = COALESCE((p_changes->>'shippingCents')::INTEGER, shipping_cents),
+        sale_location = CASE WHEN p_changes ? 'saleLocation' THEN NULLIF(p_changes->>'saleLocation', '') ELSE sale_location END,
+        notes = CASE WHEN p_changes ? 'saleNotes' THEN NULLIF(p_changes->>'saleNotes', '') ELSE notes END,
+        buyer = CASE WHEN p_changes ? 'buyer' THEN NULLIF(p_changes->>'buyer', '') ELSE buyer END,
+        currency = CASE WHEN p_changes ? 'currency' THEN NULLIF(p_changes->>'currency', '') ELSE currency END,
+        updated_at = NOW()
+    WHERE order_id = p_order_id
+    AND (id::TEXT = p_sale_id OR legacy_id = p_sale_id);
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Sale % not found on order %', p_sale_id, p_order_id;
+    END IF;
+
+    SELECT * INTO v_order FROM orders WHERE id = p_order_id;
+    RETURN v_order;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP FUNCTION IF EXISTS record_lot_sale(JSONB, DATE, INTEGER, TEXT, TEXT, TEXT);
+
+CREATE OR REPLACE FUNCTION record_lot_sale(
+    p_allocations JSONB,
+    p_sell_date DATE,
+    p_sell_price_cents INTEGER,
+    p_sell_location TEXT DEFAULT NULL,
+    p_sell_notes TEXT DEFAULT NULL,
+    p_buyer TEXT DEFAULT NULL,
+    p_currency TEXT DEFAULT NULL
+) RETURNS VOID AS $$
+DECLARE
+    v_allocation JSONB;
+BEGIN
+    IF p_allocations IS NULL OR jsonb_array_length(p_allocations) = 0 THEN
+        RAISE EXCEPTION 'A sale must consume at least one lot';
+    END IF;
+
+    -- Any lot that cannot cover its quantity, or changed since it was loaded, aborts the whole sale
+    FOR v_allocation IN SELECT * FROM jsonb_array_elements(p_allocations)
+    LOOP
+        PERFORM add_sale_record(
+            (v_allocation->>'order_id')::UUID,
+            jsonb_strip_nulls(jsonb_build_object(
+                'quantity', (v_allocation->>'quantity')::INTEGER,
+                'saleDate', p_sell_date,
+                'salePrice', p_sell_price_cents,
+                'saleLocation', p_sell_location,
+                'saleNotes', p_sell_notes,
+                'buyer', p_buyer,
+                'currency', p_currency,
+                'feesCents', COALESCE((v_allocation->>'fees_cents')::INTEGER, 0),
+                'shippingCents', COALESCE((v_allocation->>'shipping_cents')::INTEGER, 0),
+                'lot', v_allocation->'lot'
+            )),
+            (v_allocation->>'expected_version')::INTEGER
+        );
+    END LOOP;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION record_lot_sale(JSONB, DATE, INTEGER, TEXT, TEXT, TEXT, TEXT) TO authenticated;
@@ -0,0 +1,169 @@
+-- Condition-aware valuation of raw cards
+-- Raw singles record the condition each copy is in (card_condition stays 'Raw' so graded/ungraded
+-- classification is unchanged). The client values them at the Scrydex raw price of that condition
+-- from pokemon_cards.variants, falling back to the NM market value scaled by the user's discount curve.
+
+-- 1. Condition of raw copies
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS raw_condition TEXT
+    CHECK (raw_condition IN ('NM', 'LP', 'MP', 'HP', 'DMG'));
+
+COMMENT ON COLUMN orders.raw_condition IS 'Condition of a raw single (NM, LP, MP, HP, DMG); NULL = NM. Ignored for graded cards and sealed products';
+
+-- 2. Fallback discount curve
+ALTER TABLE user_preferences ADD COLUMN IF NOT EXISTS condition_discounts JSONB;
+
+COMMENT ON COLUMN user_preferences.condition_discounts IS 'Share of the NM market value per condition (e.g. {"LP": 0.85}) used when a condition has no price; NULL = default curve';
+
+-- 3. Market value of one raw copy in a condition (mirrors src/utils/cardCondition.js)
+CREATE OR REPLACE FUNCTION condition_market_value_cents(
+    p_nm_cents NUMERIC,
+    p_condition TEXT,
+    p_variants JSONB,
+    p_card_variant TEXT DEFAULT NULL,
+    p_discounts JSONB DEFAULT NULL
+) RETURNS NUMERIC AS $$
+DECLARE
+    v_prices JSONB;
+    v_price NUMERIC;
+    v_share NUMERIC;
+BEGIN
+    IF p_condition IS NULL OR p_condition = 'NM' THEN
+        RETURN p_nm_cents;
+    END IF;
+
+    -- Prices of the order's variant, or of the card's first variant with raw prices
+    SELECT v.variant->'prices' INTO v_prices
+    FROM jsonb_array_elements(CASE WHEN jsonb_typeof(p_variants) = 'array' THEN p_variants ELSE '[]'::JSONB END)
+        WITH ORDINALITY AS v(variant, position)
+    WHERE jsonb_typeof(v.variant->'prices') = 'array'
+    AND EXISTS (SELECT 1 FROM jsonb_array_elements(v.variant->'prices') AS p(price) WHERE p.price->>'type' = 'raw')
+    ORDER BY (v.variant->>'name' IS NOT DISTINCT FROM p_card_variant) DESC, v.position
+    LIMIT 1;
+
+    SELECT ROUND((p.price->>'market')::NUMERIC * 100) INTO v_price
+    FROM jsonb_array_elements(COALESCE(v_prices, '[]'::JSONB)) WITH ORDINALITY AS p(price, position)
+    WHERE p.price->>'type' = 'raw'
+    AND CASE UPPER(p.price->>'condition') WHEN 'DM' THEN 'DMG' WHEN 'D' THEN 'DMG' ELSE UPPER(p.price->>'condition') END = p_condition
+    AND COALESCE(p.price->>'currency', 'USD') = 'USD'
+    AND COALESCE((p.price->>'is_signed')::BOOLEAN, FALSE) = FALSE
+    AND COALESCE((p.price->>'is_error')::BOOLEAN, FALSE) = FALSE
+    AND (p.price->>'market')::NUMERIC > 0
+    ORDER BY p.position
+    LIMIT 1;
+
+    IF v_price IS NOT NULL THEN
+        RETURN v_price;
+    END IF;
+
+    v_share := (p_discounts->>p_condition)::NUMERIC;
+    IF v_share IS NULL OR v_share <= 0 OR v_share > 1 THEN
+        v_share := CASE p_condition WHEN 'LP' THEN 0.85 WHEN 'MP' THEN 0.7 WHEN 'HP' THEN 0.5 WHEN 'DMG' THEN 0.35 ELSE 1 END;
+    END IF;
+
+    RETURN ROUND(p_nm_cents * v_share);
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- 4. Portfolio snapshots value raw copies at their condition
+CREATE OR REPLACE FUNCTION record_portfolio_snapshots(
+    p_snapshot_date DATE DEFAULT CURRENT_DATE,
+    p_user_id UUID DEFAULT NULL
+) RETURNS INTEGER AS $$
+DECLARE
+    v_count INTEGER;
+BEGIN
+    WITH on_hand AS (
+        SELECT
+            o.user_id,
+            -- The Collection filters, which overlap: a custom sealed item counts as sealed and as custom
+            -- (Custom is source = 'manual' in individual_orders_clean, i.e. an order of a custom item)
+            ARRAY_REMOVE(ARRAY[
+                CASE WHEN o.item_type = 'Single' AND (o.card_condition IS NULL OR o.card_condition = 'Raw') THEN 'ungraded' END,
+                CASE WHEN o.item_type = 'Single' AND o.card_condition IS NOT NULL AND o.card_condition <> 'Raw' THEN 'graded' END,
+                CASE WHEN o.item_type = 'Sealed' THEN 'sealed' END,
+                CASE WHEN o.item_id IS NOT NULL THEN 'custom' END
+            ], NULL) AS categories,
+            (o.quantity - COALESCE(o.quantity_sold, 0)) AS remaining,
+            CASE
+                WHEN o.item_type = 'Single' AND (o.card_condition IS NULL OR o.card_condition = 'Raw') THEN
+                    condition_market_value_cents(
+                        COALESCE(pc.market_price * 100, i.market_value_cents, 0),
+                        o.raw_condition,
+                        pc.variants,
+                        o.card_variant,
+                        up.condition_discounts
+                    )
+                ELSE COALESCE(pc.market_price * 100, i.market_value_cents, 0)
+            END AS market_value_cents,
+            COALESCE(o.price_per_item_cents, 0)
+                + COALESCE(osc.shipping_cost_cents::NUMERIC / NULLIF(o.quantity, 0), 0) AS price_per_item_cents
+        FROM orders o
+        LEFT JOIN items i ON o.item_id = i.id
+        LEFT JOIN pokemon_cards pc ON o.pokemon_card_id = pc.id
+        LEFT JOIN order_shipping_costs osc ON osc.order_id = o.id
+        LEFT JOIN user_preferences up ON up.user_id = o.user_id
+        WHERE (p_user_id IS NULL OR o.user_id = p_user_id)
+        AND (o.quantity - COALESCE(o.quantity_sold, 0)) > 0
+    ),
+    by_category AS (
+        SELECT
+            user_id,
+            category,
+            ROUND(SUM(market_value_cents * remaining))::BIGINT AS market_value_cents,
+            ROUND(SUM(price_per_item_cents * remaining))::BIGINT AS cost_basis_cents,
+            SUM(remaining)::INTEGER AS item_count
+        FROM on_hand
+        CROSS JOIN LATERAL UNNEST(on_hand.categories) AS category
+        GROUP BY user_id, category
+    ),
+    totals AS (
+        SELECT
+            user_id,
+            ROUND(SUM(market_value_cents * remaining))::BIGINT AS market_value_cents,
+            ROUND(SUM(price_per_item_cents * remaining))::BIGINT AS cost_basis_cents,
+            SUM(remaining)::INTEGER AS item_count
+        FROM on_hand
+        GROUP BY user_id
+    ),
+    -- Users whose orders are all sold still get a (zero) row, so the chart drops to zero instead of
+    -- holding the last day they had something on hand
+    snapshot_users AS (
+        SELECT DISTINCT user_id
+        FROM orders
+        WHERE (p_user_id IS NULL OR user_id = p_user_id)
+    ),
+    upserted AS (
+        INSERT INTO portfolio_snapshots (
+            user_id, snapshot_date, market_value_cents, cost_basis_cents, item_count, categories, updated_at
+        )
+        SELECT
+            u.user_id,
+            p_snapshot_date,
+            COALESCE(t.market_value_cents, 0),
+            COALESCE(t.cost_basis_cents, 0),
+            COALESCE(t.item_count, 0),
+            COALESCE((
+                SELECT jsonb_object_agg(c.category, jsonb_build_object(
+                    'market_value_cents', c.market_value_cents,
+                    'cost_basis_cents', c.cost_basis_cents,
+                    'item_count', c.item_count
+                ))
+                FROM by_category c
+                WHERE c.user_id = u.user_id
+            ), '{}'::jsonb),
+            NOW()
+        FROM snapshot_users u
+        LEFT JOIN totals t ON t.user_id = u.user_id
+        ON CONFLICT (user_id, snapshot_date) DO UPDATE SET
+            market_value_cents = EXCLUDED.market_value_cents,
+            cost_basis_cents = EXCLUDED.cost_basis_cents,
+            item_count = EXCLUDED.item_count,
+            categories = EXCLUDED.categories,
+            updated_at = NOW()
+        RETURNING 1
+    )
+    SELECT COUNT(*) INTO v_count FROM upserted;
+
+    RETURN v_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
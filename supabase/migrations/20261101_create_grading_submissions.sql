@@ -0,0 +1,188 @@
+-- Grading submissions
+-- Raw copies are sent to a grading company in batches. Each submission item is one copy of a raw order;
+-- when the batch comes back its grade and cert number are recorded with record_grading_results, which
+-- turns the copy into a graded order and adds its share of the grading fees to the cost basis.
+
+-- 1. Submissions
+CREATE TABLE IF NOT EXISTS grading_submissions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    company TEXT NOT NULL CHECK (company IN ('PSA', 'BGS', 'CGC', 'SGC')),
+    service_tier TEXT,
+    submission_number TEXT,
+    status TEXT NOT NULL DEFAULT 'prepped' CHECK (status IN ('prepped', 'shipped', 'received', 'graded', 'returned')),
+    -- Grading fee of the service tier, charged per card
+    fee_per_card_cents INTEGER NOT NULL DEFAULT 0 CHECK (fee_per_card_cents >= 0),
+    -- Shipping, insurance and handling for the whole batch, split evenly across its cards
+    other_fees_cents INTEGER NOT NULL DEFAULT 0 CHECK (other_fees_cents >= 0),
+    currency TEXT CHECK (currency ~ '^[A-Z]{3}$'),
+    shipped_date DATE,
+    received_date DATE,
+    graded_date DATE,
+    returned_date DATE,
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 2. Cards in a submission, one row per copy
+CREATE TABLE IF NOT EXISTS grading_submission_items (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    submission_id UUID NOT NULL REFERENCES grading_submissions(id) ON DELETE CASCADE,
+    order_id UUID REFERENCES orders(id) ON DELETE SET NULL,
+    declared_value_cents INTEGER NOT NULL DEFAULT 0 CHECK (declared_value_cents >= 0),
+    -- Half grades (9.5, 8.5, ...) as given by BGS, CGC and others
+    grade NUMERIC(3, 1) CHECK (grade BETWEEN 1 AND 10 AND grade * 2 = TRUNC(grade * 2)),
+    cert_number TEXT,
+    -- Fee added to the graded order's cost basis, in the order's currency
+    grading_fee_cents INTEGER,
+    -- Order holding the graded copy (the original order, or the one split off it)
+    graded_order_id UUID REFERENCES orders(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_grading_submissions_user_status ON grading_submissions(user_id, status);
+CREATE INDEX IF NOT EXISTS idx_grading_submission_items_submission ON grading_submission_items(submission_id);
+CREATE INDEX IF NOT EXISTS idx_grading_submission_items_order ON grading_submission_items(order_id);
+
+COMMENT ON TABLE grading_submissions IS 'Batches of raw cards sent to PSA, BGS, CGC or SGC, with service tier, fees and status';
+COMMENT ON TABLE grading_submission_items IS 'One raw copy in a grading submission, its declared value and the grade it came back with';
+COMMENT ON COLUMN grading_submissions.currency IS 'ISO 4217 code of the fees; NULL = USD';
+
+-- RLS: users manage their own submissions, items follow the parent submission
+ALTER TABLE grading_submissions ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Users can manage their own grading submissions" ON grading_submissions;
+CREATE POLICY "Users can manage their own grading submissions" ON grading_submissions
+    FOR ALL USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
+
+ALTER TABLE grading_submission_items ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Users can manage their own grading submission items" ON grading_submission_items;
+CREATE POLICY "Users can manage their own grading submission items" ON grading_submission_items
+    FOR ALL USING (EXISTS (SELECT 1 FROM grading_submissions s WHERE s.id = submission_id AND s.user_id = auth.uid()))
+    WITH CHECK (EXISTS (SELECT 1 FROM grading_submissions s WHERE s.id = submission_id AND s.user_id = auth.uid()));
+
+-- 3. Cert number of graded orders
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS cert_number TEXT;
+
+COMMENT ON COLUMN orders.cert_number IS 'Certification number printed on the slab of a graded card';
+
+-- 4. Record the grades of a returned submission
+-- p_results: [{ "item_id": "...", "grade": 9.5, "cert_number": "12345678", "fee_cents": 2500 }]
+-- fee_cents is the item's share of the submission fees converted into the order's currency.
+-- A copy is graded in place when it is the order's only copy; otherwise it is split off into its own
+-- order in the same purchase group. Items without a grade (e.g. rejected cards) stay raw.
+CREATE OR REPLACE FUNCTION record_grading_results(
+    p_submission_id UUID,
+    p_results JSONB,
+    p_returned_date DATE DEFAULT CURRENT_DATE
+) RETURNS grading_submissions AS $$
+DECLARE
+    v_submission grading_submissions%ROWTYPE;
+    v_result JSONB;
+    v_item grading_submission_items%ROWTYPE;
+    v_order orders%ROWTYPE;
+    v_grade NUMERIC;
+    v_fee INTEGER;
+    v_graded_order_id UUID;
+BEGIN
+    SELECT * INTO v_submission
+    FROM grading_submissions
+    WHERE id = p_submission_id
+    AND user_id = auth.uid()
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Grading submission % not found', p_submission_id;
+    END IF;
+
+    IF v_submission.status = 'returned' THEN
+        RAISE EXCEPTION 'Grading submission % was already returned', p_submission_id;
+    END IF;
+
+    FOR v_result IN SELECT * FROM jsonb_array_elements(COALESCE(p_results, '[]'::JSONB))
+    LOOP
+        SELECT * INTO v_item
+        FROM grading_submission_items
+        WHERE id = (v_result->>'item_id')::UUID
+        AND submission_id = p_submission_id;
+
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'Item % is not part of submission %', v_result->>'item_id', p_submission_id;
+        END IF;
+
+        v_grade := trim_scale(NULLIF(v_result->>'grade', '')::NUMERIC);
+        IF v_grade IS NULL OR v_item.order_id IS NULL THEN
+            CONTINUE;
+        END IF;
+
+        IF v_grade NOT BETWEEN 1 AND 10 OR v_grade * 2 <> TRUNC(v_grade * 2) THEN
+            RAISE EXCEPTION 'Grade % must be between 1 and 10 in half steps', v_grade;
+        END IF;
+
+        v_order := lock_order_for_sale(v_item.order_id);
+        IF v_order.quantity - COALESCE(v_order.quantity_sold, 0) < 1 THEN
+            RAISE EXCEPTION 'Order % has no unsold copy left to grade', v_order.id;
+        END IF;
+
+        v_fee := GREATEST(COALESCE((v_result->>'fee_cents')::INTEGER, 0), 0);
+
+        IF v_order.quantity = 1 AND COALESCE(v_order.quantity_sold, 0) = 0 THEN
+            v_graded_order_id := v_order.id;
+        ELSE
+            -- Move one copy out of the order
+            UPDATE orders
+            SET
+                quantity = quantity - 1,
+                total_cost_cents = GREATEST(COALESCE(total_cost_cents, price_per_item_cents * quantity) - COALESCE(price_per_item_cents, 0), 0),
+                updated_at = NOW()
+            WHERE id = v_order.id;
+
+            INSERT INTO orders (
+                user_id, item_id, pokemon_card_id, product_source, purchase_date, price_per_item_cents,
+                total_cost_cents, quantity, quantity_sold, retailer_name, notes, order_group_id, order_number,
+                item_type, card_variant, currency
+            ) VALUES (
+                v_order.user_id, v_order.item_id, v_order.pokemon_card_id, v_order.product_source, v_order.purchase_date,
+                v_order.price_per_item_cents, v_order.price_per_item_cents, 1, 0, v_order.retailer_name, v_order.notes,
+                v_order.order_group_id, v_order.order_number, v_order.item_type, v_order.card_variant, v_order.currency
+            )
+            RETURNING id INTO v_graded_order_id;
+        END IF;
+
+        UPDATE orders
+        SET
+            card_type = LOWER(v_submission.company) || '_' || v_grade,
+            graded_company = v_submission.company,
+            graded_grade = v_grade::TEXT,
+            card_condition = v_submission.company || ' ' || v_grade,
+            grading_company = v_submission.company,
+            grading_grade = v_grade,
+            cert_number = NULLIF(v_result->>'cert_number', ''),
+            raw_condition = NULL,
+            price_per_item_cents = COALESCE(price_per_item_cents, 0) + v_fee,
+            total_cost_cents = COALESCE(total_cost_cents, price_per_item_cents, 0) + v_fee,
+            updated_at = NOW()
+        WHERE id = v_graded_order_id;
+
+        UPDATE grading_submission_items
+        SET
+            grade = v_grade,
+            cert_number = NULLIF(v_result->>'cert_number', ''),
+            grading_fee_cents = v_fee,
+            graded_order_id = v_graded_order_id
+        WHERE id = v_item.id;
+    END LOOP;
+
+    UPDATE grading_submissions
+    SET
+        status = 'returned',
+        returned_date = COALESCE(p_returned_date, CURRENT_DATE),
+        updated_at = NOW()
+    WHERE id = p_submission_id
+    RETURNING * INTO v_submission;
+
+    RETURN v_submission;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION record_grading_results(UUID, JSONB, DATE) TO authenticated;
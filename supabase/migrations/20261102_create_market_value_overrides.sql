@@ -0,0 +1,197 @@
+-- Market value overrides
+-- Users override the synced market value of a product (a pokemon_cards id or an items id), or of a single
+-- order of it, with a reason and a source label ("eBay comp", "appraisal"). An override may expire, after
+-- which the synced price takes over again. Order overrides win over product overrides.
+-- The client applies active overrides to every loaded order; portfolio snapshots honor them as well.
+
+-- 1. Overrides
+CREATE TABLE IF NOT EXISTS market_value_overrides (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    -- What is overridden: 'card' = pokemon_cards.id, 'item' = items.id (same as orders.pokemon_card_id / item_id)
+    product_type TEXT NOT NULL CHECK (product_type IN ('card', 'item')),
+    product_id TEXT NOT NULL,
+    -- Set to override one order only; NULL = every order of the product
+    order_id UUID REFERENCES orders(id) ON DELETE CASCADE,
+    -- Per-copy market value
+    value_cents INTEGER NOT NULL CHECK (value_cents >= 0),
+    currency TEXT CHECK (currency ~ '^[A-Z]{3}$'),
+    reason TEXT,
+    source TEXT,
+    -- The synced price takes over again from this date; NULL = never expires
+    expires_on DATE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE NULLS NOT DISTINCT (user_id, product_type, product_id, order_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_market_value_overrides_user ON market_value_overrides(user_id);
+CREATE INDEX IF NOT EXISTS idx_market_value_overrides_order ON market_value_overrides(order_id) WHERE order_id IS NOT NULL;
+
+COMMENT ON TABLE market_value_overrides IS 'User-set market values of a product or a single order, used instead of the synced price until they expire';
+COMMENT ON COLUMN market_value_overrides.currency IS 'ISO 4217 code of value_cents; NULL = USD';
+COMMENT ON COLUMN market_value_overrides.expires_on IS 'First day the synced price is used again; NULL = never expires';
+
+ALTER TABLE market_value_overrides ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Users can manage their own market value overrides" ON market_value_overrides;
+CREATE POLICY "Users can manage their own market value overrides" ON market_value_overrides
+    FOR ALL USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
+
+-- 2. Value of an override (or any amount) in USD cents, at the latest rate on or before a date (mirrors convertCents)
+CREATE OR REPLACE FUNCTION override_value_usd_cents(
+    p_value_cents NUMERIC,
+    p_currency TEXT,
+    p_date DATE DEFAULT CURRENT_DATE
+) RETURNS NUMERIC AS $$
+DECLARE
+    v_rate NUMERIC;
+BEGIN
+    IF p_currency IS NULL OR p_currency = 'USD' THEN
+        RETURN p_value_cents;
+    END IF;
+
+    SELECT units_per_usd INTO v_rate
+    FROM fx_rates
+    WHERE currency = p_currency
+    AND rate_date <= p_date
+    ORDER BY rate_date DESC
+    LIMIT 1;
+
+    -- Without a rate the amount is used as is, like the client does
+    IF v_rate IS NULL THEN
+        SELECT units_per_usd INTO v_rate
+        FROM fx_rates
+        WHERE currency = p_currency
+        ORDER BY rate_date ASC
+        LIMIT 1;
+    END IF;
+
+    RETURN CASE WHEN v_rate IS NULL THEN p_value_cents ELSE ROUND(p_value_cents / v_rate) END;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- 3. Portfolio snapshots use the override active on the snapshot date
+CREATE OR REPLACE FUNCTION record_portfolio_snapshots(
+    p_snapshot_date DATE DEFAULT CURRENT_DATE,
+    p_user_id UUID DEFAULT NULL
+) RETURNS INTEGER AS $$
+DECLARE
+    v_count INTEGER;
+BEGIN
+    WITH on_hand AS (
+        SELECT
+            o.user_id,
+            -- The Collection filters, which overlap: a custom sealed item counts as sealed and as custom
+            -- (Custom is source = 'manual' in individual_orders_clean, i.e. an order of a custom item)
+            ARRAY_REMOVE(ARRAY[
+                CASE WHEN o.item_type = 'Single' AND (o.card_condition IS NULL OR o.card_condition = 'Raw') THEN 'ungraded' END,
+                CASE WHEN o.item_type = 'Single' AND o.card_condition IS NOT NULL AND o.card_condition <> 'Raw' THEN 'graded' END,
+                CASE WHEN o.item_type = 'Sealed' THEN 'sealed' END,
+                CASE WHEN o.item_id IS NOT NULL THEN 'custom' END
+            ], NULL) AS categories,
+            (o.quantity - COALESCE(o.quantity_sold, 0)) AS remaining,
+            CASE
+                WHEN mvo.value_cents IS NOT NULL THEN
+                    override_value_usd_cents(mvo.value_cents, mvo.currency, p_snapshot_date)
+                WHEN o.item_type = 'Single' AND (o.card_condition IS NULL OR o.card_condition = 'Raw') THEN
+                    condition_market_value_cents(
+                        COALESCE(pc.market_price * 100, i.market_value_cents, 0),
+                        o.raw_condition,
+                        pc.variants,
+                        o.card_variant,
+                        up.condition_discounts
+                    )
+                ELSE COALESCE(pc.market_price * 100, i.market_value_cents, 0)
+            END AS market_value_cents,
+            -- Costs are in the order's currency; converted at the purchase date like the client does
+            override_value_usd_cents(
+                COALESCE(o.price_per_item_cents, 0)
+                    + COALESCE(osc.shipping_cost_cents::NUMERIC / NULLIF(o.quantity, 0), 0),
+                o.currency,
+                o.purchase_date::DATE
+            ) AS price_per_item_cents
+        FROM orders o
+        LEFT JOIN items i ON o.item_id = i.id
+        LEFT JOIN pokemon_cards pc ON o.pokemon_card_id = pc.id
+        LEFT JOIN order_shipping_costs osc ON osc.order_id = o.id
+        LEFT JOIN user_preferences up ON up.user_id = o.user_id
+        LEFT JOIN LATERAL (
+            SELECT m.value_cents, m.currency
+            FROM market_value_overrides m
+            WHERE m.user_id = o.user_id
+            AND (m.expires_on IS NULL OR m.expires_on > p_snapshot_date)
+            AND (
+                m.order_id = o.id
+                OR (m.order_id IS NULL AND (
+                    (m.product_type = 'card' AND m.product_id = o.pokemon_card_id::TEXT)
+                    OR (m.product_type = 'item' AND m.product_id = o.item_id::TEXT)
+                ))
+            )
+            ORDER BY (m.order_id IS NOT NULL) DESC
+            LIMIT 1
+        ) mvo ON TRUE
+        WHERE (p_user_id IS NULL OR o.user_id = p_user_id)
+        AND (o.quantity - COALESCE(o.quantity_sold, 0)) > 0
+    ),
+    by_category AS (
+        SELECT
+            user_id,
+            category,
+            ROUND(SUM(market_value_cents * remaining))::BIGINT AS market_value_cents,
+            ROUND(SUM(price_per_item_cents * remaining))::BIGINT AS cost_basis_cents,
+            SUM(remaining)::INTEGER AS item_count
+        FROM on_hand
+        CROSS JOIN LATERAL UNNEST(on_hand.categories) AS category
+        GROUP BY user_id, category
+    ),
+    totals AS (
+        SELECT
+            user_id,
+            ROUND(SUM(market_value_cents * remaining))::BIGINT AS market_value_cents,
+            ROUND(SUM(price_per_item_cents * remaining))::BIGINT AS cost_basis_cents,
+            SUM(remaining)::INTEGER AS item_count
+        FROM on_hand
+        GROUP BY user_id
+    ),
+    -- Users whose orders are all sold still get a (zero) row, so the chart drops to zero instead of
+    -- holding the last day they had something on hand
+    snapshot_users AS (
+        SELECT DISTINCT user_id
+        FROM orders
+        WHERE (p_user_id IS NULL OR user_id = p_user_id)
+    ),
+    upserted AS (
+        INSERT INTO portfolio_snapshots (
+            user_id, snapshot_date, market_value_cents, cost_basis_cents, item_count, categories, updated_at
+        )
+        SELECT
+            u.user_id,
+            p_snapshot_date,
+            COALESCE(t.market_value_cents, 0),
+            COALESCE(t.cost_basis_cents, 0),
+            COALESCE(t.item_count, 0),
+            COALESCE((
+                SELECT jsonb_object_agg(c.category, jsonb_build_object(
+                    'market_value_cents', c.market_value_cents,
+                    'cost_basis_cents', c.cost_basis_cents,
+                    'item_count', c.item_count
+                ))
+                FROM by_category c
+                WHERE c.user_id = u.user_id
+            ), '{}'::jsonb),
+            NOW()
+        FROM snapshot_users u
+        LEFT JOIN totals t ON t.user_id = u.user_id
+        ON CONFLICT (user_id, snapshot_date) DO UPDATE SET
+            market_value_cents = EXCLUDED.market_value_cents,
+            cost_basis_cents = EXCLUDED.cost_basis_cents,
+            item_count = EXCLUDED.item_count,
+            categories = EXCLUDED.categories,
+            updated_at = NOW()
+        RETURNING 1
+    )
+    SELECT COUNT(*) INTO v_count FROM upserted;
+
+    RETURN v_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
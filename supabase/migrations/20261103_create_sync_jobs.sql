@@ -0,0 +1,110 @@
+-- Sync jobs
+-- Every sync run (Magic and game catalogs in the browser, Scrydex in the scrydex-sync function) is a row
+-- with its parameters, status, checkpoint cursor, counts and errors. Workers claim a job, save a checkpoint
+-- after each unit of work (a set, a page) and heartbeat while they run. A job whose worker stopped
+-- heartbeating (page reload, function timeout) can be claimed again and continues from its checkpoint.
+-- Cancelling sets cancel_requested; the worker stops at its next checkpoint.
+
+-- 1. Jobs
+CREATE TABLE IF NOT EXISTS sync_jobs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    -- Worker that runs the job: 'magic', 'catalog', 'scrydex-cards', 'scrydex-expansions', 'scrydex-pricing'
+    job_type TEXT NOT NULL,
+    -- What is synced, e.g. 'magic' or 'catalog:yugioh'; one active job per key
+    sync_key TEXT NOT NULL,
+    params JSONB NOT NULL DEFAULT '{}'::jsonb,
+    status TEXT NOT NULL DEFAULT 'queued'
+        CHECK (status IN ('queued', 'running', 'completed', 'failed', 'cancelled')),
+    -- Where the worker continues from, e.g. { "page": 41 } or { "groupIds": [...], "completed": 12 }
+    checkpoint JSONB,
+    progress_current INTEGER NOT NULL DEFAULT 0,
+    progress_total INTEGER,
+    counts JSONB NOT NULL DEFAULT '{}'::jsonb,
+    -- Most recent errors, [{ "at": ..., "message": ... }]
+    errors JSONB NOT NULL DEFAULT '[]'::jsonb,
+    message TEXT,
+    result JSONB,
+    cancel_requested BOOLEAN NOT NULL DEFAULT FALSE,
+    worker_id TEXT,
+    heartbeat_at TIMESTAMP WITH TIME ZONE,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    started_at TIMESTAMP WITH TIME ZONE,
+    finished_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sync_jobs_active_key ON sync_jobs(sync_key)
+    WHERE status IN ('queued', 'running');
+CREATE INDEX IF NOT EXISTS idx_sync_jobs_created ON sync_jobs(created_at DESC);
+
+COMMENT ON TABLE sync_jobs IS 'Catalog and pricing sync runs with checkpoints, so interrupted runs resume where they stopped';
+COMMENT ON COLUMN sync_jobs.checkpoint IS 'Cursor the worker continues from; shape depends on job_type';
+COMMENT ON COLUMN sync_jobs.heartbeat_at IS 'Last sign of life of the worker; a running job without one for 2 minutes can be claimed again';
+
+ALTER TABLE sync_jobs ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow public read access to sync_jobs" ON sync_jobs;
+CREATE POLICY "Allow public read access to sync_jobs" ON sync_jobs FOR SELECT USING (true);
+DROP POLICY IF EXISTS "Allow authenticated users to manage sync_jobs" ON sync_jobs;
+CREATE POLICY "Allow authenticated users to manage sync_jobs" ON sync_jobs
+    FOR ALL USING (auth.role() = 'authenticated');
+
+-- 2. Claim a job for a worker
+-- Claims the given job, or the oldest claimable one of the given types: queued, or running with a stale
+-- heartbeat. Stale jobs that were asked to cancel are cancelled instead. Returns NULL when nothing is claimable.
+CREATE OR REPLACE FUNCTION claim_sync_job(
+    p_worker_id TEXT,
+    p_job_id UUID DEFAULT NULL,
+    p_job_types TEXT[] DEFAULT NULL,
+    p_stale_after INTERVAL DEFAULT INTERVAL '2 minutes'
+) RETURNS sync_jobs AS $$
+DECLARE
+    v_job sync_jobs;
+BEGIN
+    UPDATE sync_jobs
+    SET status = 'cancelled',
+        message = 'Sync stopped by user',
+        finished_at = NOW(),
+        updated_at = NOW()
+    WHERE cancel_requested
+    AND status IN ('queued', 'running')
+    AND (status = 'queued' OR heartbeat_at IS NULL OR heartbeat_at < NOW() - p_stale_after)
+    AND (p_job_id IS NULL OR id = p_job_id)
+    AND (p_job_types IS NULL OR job_type = ANY(p_job_types));
+
+    SELECT * INTO v_job
+    FROM sync_jobs
+    WHERE (p_job_id IS NULL OR id = p_job_id)
+    AND (p_job_types IS NULL OR job_type = ANY(p_job_types))
+    AND NOT cancel_requested
+    AND (
+        status = 'queued'
+        OR (status = 'running' AND (heartbeat_at IS NULL OR heartbeat_at < NOW() - p_stale_after))
+    )
+    ORDER BY created_at
+    LIMIT 1
+    FOR UPDATE SKIP LOCKED;
+
+    IF v_job.id IS NULL THEN
+        RETURN NULL;
+    END IF;
+
+    UPDATE sync_jobs
+    SET status = 'running',
+        worker_id = p_worker_id,
+        heartbeat_at = NOW(),
+        attempts = attempts + 1,
+        started_at = COALESCE(started_at, NOW()),
+        updated_at = NOW()
+    WHERE id = v_job.id
+    RETURNING * INTO v_job;
+
+    RETURN v_job;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Workers claim through the service role: the sync functions directly, browser workers through admin-actions
+-- Supabase grants EXECUTE to anon and authenticated directly, so revoking from PUBLIC alone is not enough
+REVOKE EXECUTE ON FUNCTION claim_sync_job(TEXT, UUID, TEXT[], INTERVAL) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION claim_sync_job(TEXT, UUID, TEXT[], INTERVAL) TO service_role;
@@ -0,0 +1,355 @@
+-- Scheduled syncs
+-- The sync-scheduler function runs every 15 minutes (pg_cron + pg_net). It claims the schedules that are
+-- due, queues a sync_jobs row for each and hands it to the worker function (tcgcsv-sync, scrydex-sync).
+-- A schedule whose previous job is still queued or running is skipped, and every run is kept in
+-- sync_schedule_runs with its outcome. Interrupted worker jobs are continued on every tick as well.
+-- Schedules are edited from the admin dashboard through the admin-actions function; clients only read them.
+
+-- 1. Schedules
+CREATE TABLE IF NOT EXISTS sync_schedules (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    description TEXT,
+    -- sync_jobs.job_type queued for each run
+    job_type TEXT NOT NULL,
+    params JSONB NOT NULL DEFAULT '{}'::jsonb,
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    -- 'interval' = every interval_hours; 'daily' = at run_at UTC; 'weekly' = on weekday at run_at UTC
+    frequency TEXT NOT NULL CHECK (frequency IN ('interval', 'daily', 'weekly')),
+    interval_hours INTEGER CHECK (interval_hours BETWEEN 1 AND 168),
+    run_at TIME NOT NULL DEFAULT '00:00',
+    -- 0 = Sunday ... 6 = Saturday
+    weekday INTEGER CHECK (weekday BETWEEN 0 AND 6),
+    next_run_at TIMESTAMP WITH TIME ZONE,
+    last_run_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (frequency <> 'interval' OR interval_hours IS NOT NULL),
+    CHECK (frequency <> 'weekly' OR weekday IS NOT NULL)
+);
+
+COMMENT ON TABLE sync_schedules IS 'Server-side sync cadences, run by the sync-scheduler function';
+COMMENT ON COLUMN sync_schedules.run_at IS 'Time of day (UTC) for daily and weekly schedules';
+
+-- 2. Run history
+CREATE TABLE IF NOT EXISTS sync_schedule_runs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    schedule_id TEXT NOT NULL REFERENCES sync_schedules(id) ON DELETE CASCADE,
+    job_id UUID REFERENCES sync_jobs(id) ON DELETE SET NULL,
+    -- 'skipped' when the previous run was still going; otherwise follows the job
+    status TEXT NOT NULL DEFAULT 'queued'
+        CHECK (status IN ('queued', 'running', 'completed', 'failed', 'cancelled', 'skipped')),
+    -- 'schedule' or 'manual' (Run now)
+    triggered_by TEXT NOT NULL DEFAULT 'schedule' CHECK (triggered_by IN ('schedule', 'manual')),
+    message TEXT,
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    finished_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_sync_schedule_runs_schedule ON sync_schedule_runs(schedule_id, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_sync_schedule_runs_job ON sync_schedule_runs(job_id) WHERE job_id IS NOT NULL;
+
+ALTER TABLE sync_schedules ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow public read access to sync_schedules" ON sync_schedules;
+CREATE POLICY "Allow public read access to sync_schedules" ON sync_schedules FOR SELECT USING (true);
+DROP POLICY IF EXISTS "Allow authenticated users to manage sync_schedules" ON sync_schedules;
+DROP POLICY IF EXISTS "Allow service role to manage sync_schedules" ON sync_schedules;
+CREATE POLICY "Allow service role to manage sync_schedules" ON sync_schedules
+    FOR ALL USING (auth.role() = 'service_role') WITH CHECK (auth.role() = 'service_role');
+
+ALTER TABLE sync_schedule_runs ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow public read access to sync_schedule_runs" ON sync_schedule_runs;
+CREATE POLICY "Allow public read access to sync_schedule_runs" ON sync_schedule_runs FOR SELECT USING (true);
+
+-- 3. Next run time of a cadence after a moment
+CREATE OR REPLACE FUNCTION next_sync_run_at(
+    p_frequency TEXT,
+    p_interval_hours INTEGER,
+    p_run_at TIME,
+    p_weekday INTEGER,
+    p_after TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+) RETURNS TIMESTAMP WITH TIME ZONE AS $$
+DECLARE
+    v_day DATE := (p_after AT TIME ZONE 'UTC')::DATE;
+    v_next TIMESTAMP WITH TIME ZONE;
+BEGIN
+    IF p_frequency = 'interval' THEN
+        RETURN p_after + make_interval(hours => p_interval_hours);
+    END IF;
+
+    IF p_frequency = 'weekly' THEN
+        v_day := v_day + ((p_weekday - EXTRACT(DOW FROM v_day)::INTEGER + 7) % 7);
+    END IF;
+
+    v_next := (v_day + p_run_at) AT TIME ZONE 'UTC';
+    IF v_next <= p_after THEN
+        v_next := v_next + CASE WHEN p_frequency = 'weekly' THEN INTERVAL '7 days' ELSE INTERVAL '1 day' END;
+    END IF;
+
+    RETURN v_next;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Recompute next_run_at when a schedule is created, re-enabled or its cadence changes
+CREATE OR REPLACE FUNCTION set_sync_schedule_next_run()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF (TG_OP = 'INSERT' AND NEW.next_run_at IS NULL)
+        OR (TG_OP = 'UPDATE' AND (
+            NEW.frequency IS DISTINCT FROM OLD.frequency
+            OR NEW.interval_hours IS DISTINCT FROM OLD.interval_hours
+            OR NEW.run_at IS DISTINCT FROM OLD.run_at
+            OR NEW.weekday IS DISTINCT FROM OLD.weekday
+            OR (NEW.enabled AND NOT OLD.enabled)
+        ))
+    THEN
+        NEW.next_run_at := next_sync_run_at(NEW.frequency, NEW.interval_hours, NEW.run_at, NEW.weekday, NOW());
+    END IF;
+    NEW.updated_at := NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS set_sync_schedule_next_run ON sync_schedules;
+CREATE TRIGGER set_sync_schedule_next_run
+    BEFORE INSERT OR UPDATE ON sync_schedules
+    FOR EACH ROW EXECUTE FUNCTION set_sync_schedule_next_run();
+
+-- 4. Claim due schedules; each is moved to its next run time so concurrent ticks never both run it
+CREATE OR REPLACE FUNCTION claim_due_sync_schedules()
+RETURNS SETOF sync_schedules AS $$
+    UPDATE sync_schedules s
+    SET last_run_at = NOW(),
+        next_run_at = next_sync_run_at(s.frequency, s.interval_hours, s.run_at, s.weekday, NOW())
+    WHERE s.id IN (
+        SELECT id
+        FROM sync_schedules
+        WHERE enabled
+        AND next_run_at <= NOW()
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING s.*;
+$$ LANGUAGE sql SECURITY DEFINER;
+
+-- Only the sync-scheduler function claims schedules
+-- Supabase grants EXECUTE to anon and authenticated directly, so revoking from PUBLIC alone is not enough
+REVOKE EXECUTE ON FUNCTION claim_due_sync_schedules() FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION claim_due_sync_schedules() TO service_role;
+
+-- 5. Runs follow their job's outcome
+CREATE OR REPLACE FUNCTION sync_schedule_run_from_job()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.status IS DISTINCT FROM OLD.status THEN
+        UPDATE sync_schedule_runs
+        SET status = NEW.status,
+            message = NEW.message,
+            finished_at = CASE WHEN NEW.status IN ('completed', 'failed', 'cancelled') THEN NOW() END
+        WHERE job_id = NEW.id;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS sync_schedule_run_from_job ON sync_jobs;
+CREATE TRIGGER sync_schedule_run_from_job
+    AFTER UPDATE OF status ON sync_jobs
+    FOR EACH ROW EXECUTE FUNCTION sync_schedule_run_from_job();
+
+-- 6. Apply one TCGCSV group's price rows to the catalog table they belong to
+-- p_target: 'pokemon_sealed' (pokemon_sealed_products), 'magic' (magic_cards + magic_sealed),
+-- 'catalog' (tcgcsv_products). Only prices change; products are added by the catalog syncs.
+-- Sealed prices are appended to price_history. Returns the number of products updated.
+-- Pokemon singles are not a target: pokemon_cards has no TCGplayer product ID to match TCGCSV rows on, so
+-- their prices (TCGplayer's included) come from the Scrydex pricing sync.
+CREATE OR REPLACE FUNCTION apply_tcgcsv_prices(
+    p_target TEXT,
+    p_prices JSONB
+) RETURNS INTEGER AS $$
+DECLARE
+    v_count INTEGER := 0;
+    v_sealed INTEGER := 0;
+BEGIN
+    DROP TABLE IF EXISTS tcgcsv_price_rows;
+    CREATE TEMP TABLE tcgcsv_price_rows ON COMMIT DROP AS
+    SELECT
+        r."productId" AS product_id,
+        r."subTypeName" AS sub_type_name,
+        NULLIF(r."marketPrice", 0) AS market_price,
+        NULLIF(r."lowPrice", 0) AS low_price,
+        NULLIF(r."midPrice", 0) AS mid_price,
+        NULLIF(r."highPrice", 0) AS high_price,
+        NULLIF(r."directLowPrice", 0) AS direct_low_price
+    FROM jsonb_to_recordset(COALESCE(p_prices, '[]'::jsonb)) AS r(
+        "productId" BIGINT,
+        "subTypeName" TEXT,
+        "marketPrice" NUMERIC,
+        "lowPrice" NUMERIC,
+        "midPrice" NUMERIC,
+        "highPrice" NUMERIC,
+        "directLowPrice" NUMERIC
+    )
+    WHERE r."productId" IS NOT NULL;
+
+    IF p_target = 'pokemon_sealed' THEN
+        UPDATE pokemon_sealed_products p
+        SET market_price = r.market_price,
+            low_price = r.low_price,
+            mid_price = r.mid_price,
+            high_price = r.high_price,
+            direct_low_price = r.direct_low_price,
+            sub_type_name = COALESCE(r.sub_type_name, 'Normal'),
+            last_synced_at = NOW()
+        FROM (
+            SELECT DISTINCT ON (product_id) *
+            FROM tcgcsv_price_rows
+            ORDER BY product_id, (COALESCE(sub_type_name, 'Normal') = 'Normal') DESC
+        ) r
+        WHERE p.product_id = r.product_id;
+        GET DIAGNOSTICS v_count = ROW_COUNT;
+
+        INSERT INTO price_history (product_type, product_id, source, price_type, variant, currency, market, low, mid, high)
+        SELECT 'sealed', p.product_id::TEXT, 'tcgcsv', 'market', COALESCE(p.sub_type_name, ''), 'USD',
+               p.market_price, p.low_price, p.mid_price, p.high_price
+        FROM pokemon_sealed_products p
+        WHERE p.product_id IN (SELECT product_id FROM tcgcsv_price_rows)
+        AND (p.market_price IS NOT NULL OR p.low_price IS NOT NULL)
+        ON CONFLICT (product_type, product_id, source, price_type, variant, recorded_on) DO UPDATE SET
+            market = EXCLUDED.market, low = EXCLUDED.low, mid = EXCLUDED.mid, high = EXCLUDED.high;
+
+    ELSIF p_target = 'magic' THEN
+        -- Singles carry a Normal and a Foil printing
+        UPDATE magic_cards c
+        SET market_price = n.market_price,
+            low_price = n.low_price,
+            mid_price = n.mid_price,
+            high_price = n.high_price,
+            direct_low_price = n.direct_low_price,
+            foil_market_price = f.market_price,
+            foil_low_price = f.low_price,
+            foil_mid_price = f.mid_price,
+            foil_high_price = f.high_price,
+            last_synced_at = NOW()
+        FROM (SELECT DISTINCT product_id FROM tcgcsv_price_rows) ids
+        LEFT JOIN (
+            SELECT DISTINCT ON (product_id) *
+            FROM tcgcsv_price_rows
+            WHERE sub_type_name IS DISTINCT FROM 'Foil'
+            ORDER BY product_id
+        ) n ON n.product_id = ids.product_id
+        LEFT JOIN (
+            SELECT DISTINCT ON (product_id) *
+            FROM tcgcsv_price_rows
+            WHERE sub_type_name = 'Foil'
+            ORDER BY product_id
+        ) f ON f.product_id = ids.product_id
+        WHERE c.product_id = ids.product_id;
+        GET DIAGNOSTICS v_count = ROW_COUNT;
+
+        UPDATE magic_sealed s
+        SET market_price = r.market_price,
+            low_price = r.low_price,
+            mid_price = r.mid_price,
+            high_price = r.high_price,
+            direct_low_price = r.direct_low_price,
+            sub_type_name = COALESCE(r.sub_type_name, 'Normal'),
+            last_synced_at = NOW()
+        FROM (
+            SELECT DISTINCT ON (product_id) *
+            FROM tcgcsv_price_rows
+            ORDER BY product_id, (sub_type_name IS DISTINCT FROM 'Foil') DESC
+        ) r
+        WHERE s.product_id = r.product_id;
+        GET DIAGNOSTICS v_sealed = ROW_COUNT;
+        v_count := v_count + v_sealed;
+
+        INSERT INTO price_history (product_type, product_id, source, price_type, variant, currency, market, low, mid, high)
+        SELECT 'sealed', s.product_id::TEXT, 'tcgcsv', 'market', COALESCE(s.sub_type_name, ''), 'USD',
+               s.market_price, s.low_price, s.mid_price, s.high_price
+        FROM magic_sealed s
+        WHERE s.product_id IN (SELECT product_id FROM tcgcsv_price_rows)
+        AND (s.market_price IS NOT NULL OR s.low_price IS NOT NULL)
+        ON CONFLICT (product_type, product_id, source, price_type, variant, recorded_on) DO UPDATE SET
+            market = EXCLUDED.market, low = EXCLUDED.low, mid = EXCLUDED.mid, high = EXCLUDED.high;
+
+    ELSIF p_target = 'catalog' THEN
+        -- Primary printing is Normal when listed; every printing is kept in prices
+        UPDATE tcgcsv_products p
+        SET sub_type_name = r.sub_type_name,
+            market_price = r.market_price,
+            low_price = r.low_price,
+            mid_price = r.mid_price,
+            high_price = r.high_price,
+            direct_low_price = r.direct_low_price,
+            prices = all_prices.prices,
+            last_synced_at = NOW()
+        FROM (
+            SELECT DISTINCT ON (product_id) *
+            FROM tcgcsv_price_rows
+            ORDER BY product_id, (COALESCE(sub_type_name, 'Normal') = 'Normal') DESC
+        ) r
+        JOIN (
+            SELECT product_id, jsonb_object_agg(COALESCE(sub_type_name, 'Normal'), jsonb_build_object(
+                'market', market_price,
+                'low', low_price,
+                'mid', mid_price,
+                'high', high_price,
+                'directLow', direct_low_price
+            )) AS prices
+            FROM tcgcsv_price_rows
+            GROUP BY product_id
+        ) all_prices ON all_prices.product_id = r.product_id
+        WHERE p.product_id = r.product_id;
+        GET DIAGNOSTICS v_count = ROW_COUNT;
+
+        INSERT INTO price_history (product_type, product_id, source, price_type, variant, currency, market, low, mid, high)
+        SELECT 'sealed', p.product_id::TEXT, 'tcgcsv', 'market', COALESCE(p.sub_type_name, ''), 'USD',
+               p.market_price, p.low_price, p.mid_price, p.high_price
+        FROM tcgcsv_products p
+        WHERE p.is_sealed
+        AND p.product_id IN (SELECT product_id FROM tcgcsv_price_rows)
+        AND (p.market_price IS NOT NULL OR p.low_price IS NOT NULL)
+        ON CONFLICT (product_type, product_id, source, price_type, variant, recorded_on) DO UPDATE SET
+            market = EXCLUDED.market, low = EXCLUDED.low, mid = EXCLUDED.mid, high = EXCLUDED.high;
+
+    ELSE
+        RAISE EXCEPTION 'Unknown TCGCSV price target: %', p_target;
+    END IF;
+
+    RETURN v_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Only the tcgcsv-sync function writes prices
+REVOKE EXECUTE ON FUNCTION apply_tcgcsv_prices(TEXT, JSONB) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION apply_tcgcsv_prices(TEXT, JSONB) TO service_role;
+
+-- 7. Default schedules
+INSERT INTO sync_schedules (id, name, description, job_type, frequency, interval_hours, run_at, weekday) VALUES
+    ('tcgcsv-prices', 'TCGCSV prices', 'Pokemon sealed, Magic and catalog game prices (Pokemon singles come from Scrydex pricing); TCGCSV publishes daily at 20:00 UTC',
+        'tcgcsv-prices', 'daily', NULL, '20:30', NULL),
+    ('scrydex-pricing', 'Scrydex pricing', 'Pokemon card prices, portfolio snapshots and price alerts',
+        'scrydex-pricing', 'interval', 12, '00:00', NULL),
+    ('scrydex-expansions', 'Scrydex expansions', 'New and updated Pokemon expansions',
+        'scrydex-expansions', 'weekly', NULL, '03:00', 1)
+ON CONFLICT (id) DO NOTHING;
+
+-- 8. Tick the scheduler every 15 minutes
+-- Reads the project URL and service role key from Vault secrets 'project_url' and 'service_role_key'
+CREATE EXTENSION IF NOT EXISTS pg_cron;
+CREATE EXTENSION IF NOT EXISTS pg_net;
+
+SELECT cron.schedule(
+    'sync-scheduler',
+    '*/15 * * * *',
+    $$
+    SELECT net.http_post(
+        url := (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'project_url') || '/functions/v1/sync-scheduler',
+        headers := jsonb_build_object(
+            'Content-Type', 'application/json',
+            'Authorization', 'Bearer ' || (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'service_role_key')
+        ),
+        body := '{}'::jsonb
+    );
+    $$
+);
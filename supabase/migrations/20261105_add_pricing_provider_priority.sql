@@ -0,0 +1,8 @@
+-- Pricing provider priority
+-- The client resolves a product's price through one registry of pricing providers (src/services/pricingResolverService.js),
+-- trying them in the user's order for the product kind and falling back on a miss or a stale price.
+-- Every resolved price is tagged with its source, fetched-at time and confidence.
+
+ALTER TABLE user_preferences ADD COLUMN IF NOT EXISTS pricing_provider_priority JSONB;
+
+COMMENT ON COLUMN user_preferences.pricing_provider_priority IS 'Ordered pricing provider ids per product kind (e.g. {"sealed": ["tcgcsv", "pricecharting"]}); a provider left out is not used; NULL = default order';
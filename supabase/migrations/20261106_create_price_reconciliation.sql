@@ -0,0 +1,295 @@
+-- Cross-source price reconciliation
+-- After a pricing sync writes today's price_history points, reconcile_price_history() compares each new price
+-- with the other sources for the same product and with the source's last accepted price. A price outside the
+-- configured band around the other sources, or a day-over-day jump beyond the configured limit, is flagged.
+-- A flagged price from the source collection values come from (Scrydex for cards, TCGCSV for sealed products)
+-- is held out of valuation: the product keeps its previous price until an admin confirms the new one.
+-- Everything here is service role only: the pricing syncs reconcile, and the admin-actions function reviews
+-- flags and edits the thresholds for admins.
+
+-- 1. Thresholds (single row)
+CREATE TABLE IF NOT EXISTS price_reconciliation_settings (
+    id BOOLEAN PRIMARY KEY DEFAULT TRUE CHECK (id),
+    -- Flag a price more than this far from the median of the other sources (percent)
+    band_percent NUMERIC NOT NULL DEFAULT 50 CHECK (band_percent > 0),
+    -- Flag a price that moved more than this since the last accepted price (percent, either direction)
+    jump_percent NUMERIC NOT NULL DEFAULT 100 CHECK (jump_percent > 0),
+    -- Ignore products priced below this on both sides of the comparison
+    min_price NUMERIC NOT NULL DEFAULT 1 CHECK (min_price >= 0),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+INSERT INTO price_reconciliation_settings (id) VALUES (TRUE) ON CONFLICT (id) DO NOTHING;
+
+COMMENT ON COLUMN price_reconciliation_settings.jump_percent IS 'A move from 10 to 25 or from 25 to 10 is a 150% jump (the larger price over the smaller)';
+
+-- 2. Flagged prices (the admin review queue)
+CREATE TABLE IF NOT EXISTS price_flags (
+    id BIGSERIAL PRIMARY KEY,
+    -- Same keys as price_history
+    product_type TEXT NOT NULL CHECK (product_type IN ('card', 'sealed')),
+    product_id TEXT NOT NULL,
+    source TEXT NOT NULL,
+    price_type TEXT NOT NULL,
+    variant TEXT NOT NULL DEFAULT '',
+    reason TEXT NOT NULL CHECK (reason IN ('source_disagreement', 'price_jump')),
+    flagged_price DECIMAL(10,2) NOT NULL,
+    -- Median of the other sources
+    reference_price DECIMAL(10,2),
+    -- The source's last accepted price
+    previous_price DECIMAL(10,2),
+    -- Price collection values keep while the flag is pending; NULL when the flagged source does not feed valuation
+    held_price DECIMAL(10,2),
+    deviation_percent NUMERIC,
+    -- Every source's price at flagging time, e.g. {"scrydex": 120, "tcgplayer": 12.5}
+    source_prices JSONB NOT NULL DEFAULT '{}'::jsonb,
+    holds_valuation BOOLEAN NOT NULL DEFAULT FALSE,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'confirmed', 'rejected')),
+    review_note TEXT,
+    reviewed_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    recorded_on DATE NOT NULL DEFAULT CURRENT_DATE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (product_type, product_id, source, price_type, variant, recorded_on)
+);
+
+CREATE INDEX IF NOT EXISTS idx_price_flags_pending ON price_flags(created_at DESC) WHERE status = 'pending';
+
+COMMENT ON TABLE price_flags IS 'Prices that disagree with other sources or jumped day over day, awaiting admin review';
+COMMENT ON COLUMN price_flags.holds_valuation IS 'True when the flagged price was kept out of collection values (pokemon_cards / pokemon_sealed_products)';
+
+-- Review queue with product names
+CREATE OR REPLACE VIEW price_flag_queue AS
+SELECT
+    f.*,
+    COALESCE(pc.name, ps.name) AS product_name,
+    COALESCE(pc.expansion_name, pe.name) AS expansion_name,
+    COALESCE(pc.image_url, ps.image_url) AS image_url
+FROM price_flags f
+LEFT JOIN pokemon_cards pc ON f.product_type = 'card' AND pc.id = f.product_id
+LEFT JOIN pokemon_sealed_products ps ON f.product_type = 'sealed' AND ps.product_id::TEXT = f.product_id
+LEFT JOIN pokemon_expansions pe ON pe.id = ps.expansion_id;
+
+ALTER TABLE price_reconciliation_settings ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Public read access to price_reconciliation_settings" ON price_reconciliation_settings;
+CREATE POLICY "Public read access to price_reconciliation_settings" ON price_reconciliation_settings FOR SELECT USING (true);
+DROP POLICY IF EXISTS "Allow authenticated users to manage price_reconciliation_settings" ON price_reconciliation_settings;
+DROP POLICY IF EXISTS "Allow service role to manage price_reconciliation_settings" ON price_reconciliation_settings;
+CREATE POLICY "Allow service role to manage price_reconciliation_settings" ON price_reconciliation_settings
+    FOR ALL USING (auth.role() = 'service_role') WITH CHECK (auth.role() = 'service_role');
+
+-- Flags are written by the reconciliation function and reviewed through review_price_flag()
+ALTER TABLE price_flags ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Public read access to price_flags" ON price_flags;
+CREATE POLICY "Public read access to price_flags" ON price_flags FOR SELECT USING (true);
+
+-- 3. Write a price into the column collection values read
+-- Cards: pokemon_cards.market_price (raw) / graded_market; sealed: pokemon_sealed_products.market_price
+CREATE OR REPLACE FUNCTION set_valuation_price(
+    p_product_type TEXT,
+    p_product_id TEXT,
+    p_price_type TEXT,
+    p_variant TEXT,
+    p_price NUMERIC
+) RETURNS VOID AS $$
+BEGIN
+    IF p_product_type = 'card' AND p_price_type = 'raw' THEN
+        UPDATE pokemon_cards SET market_price = p_price, raw_market = p_price WHERE id = p_product_id;
+    ELSIF p_product_type = 'card' AND p_price_type = 'graded' THEN
+        UPDATE pokemon_cards SET graded_market = p_price
+        WHERE id = p_product_id
+        AND TRIM(COALESCE(graded_company, '') || ' ' || COALESCE(graded_grade::TEXT, '')) = p_variant;
+    ELSIF p_product_type = 'sealed' THEN
+        UPDATE pokemon_sealed_products SET market_price = p_price WHERE product_id::TEXT = p_product_id;
+    END IF;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- 4. Reconcile today's points of a source
+-- p_product_ids: products the sync just priced; p_other_prices: prices of other sources that are not kept in
+-- price_history, as {product_id: {source: price}} (e.g. the TCGplayer and Cardmarket prices Scrydex returns)
+-- Returns the number of new flags
+CREATE OR REPLACE FUNCTION reconcile_price_history(
+    p_product_type TEXT,
+    p_source TEXT,
+    p_product_ids TEXT[],
+    p_other_prices JSONB DEFAULT '{}'::jsonb,
+    p_recorded_on DATE DEFAULT CURRENT_DATE
+) RETURNS INTEGER AS $$
+DECLARE
+    v_settings price_reconciliation_settings%ROWTYPE;
+    v_valuation_source TEXT := CASE p_product_type WHEN 'card' THEN 'scrydex' ELSE 'tcgcsv' END;
+    v_point RECORD;
+    v_others JSONB;
+    v_reference NUMERIC;
+    v_previous NUMERIC;
+    v_reason TEXT;
+    v_deviation NUMERIC;
+    v_holds BOOLEAN;
+    v_flag_id BIGINT;
+    v_count INTEGER := 0;
+BEGIN
+    SELECT * INTO v_settings FROM price_reconciliation_settings WHERE id;
+
+    FOR v_point IN
+        SELECT ph.product_id, ph.price_type, ph.variant, ph.market
+        FROM price_history ph
+        WHERE ph.product_type = p_product_type
+        AND ph.source = p_source
+        AND ph.recorded_on = p_recorded_on
+        AND ph.product_id = ANY(p_product_ids)
+        AND ph.market > 0
+    LOOP
+        -- Other sources: their latest point in the last week, plus the prices passed in (headline prices only)
+        SELECT COALESCE(jsonb_object_agg(o.source, o.market), '{}'::jsonb) INTO v_others
+        FROM (
+            SELECT DISTINCT ON (ph.source) ph.source, ph.market
+            FROM price_history ph
+            WHERE ph.product_type = p_product_type
+            AND ph.product_id = v_point.product_id
+            AND ph.price_type = v_point.price_type
+            AND ph.variant = v_point.variant
+            AND ph.source <> p_source
+            AND ph.market > 0
+            AND ph.recorded_on > p_recorded_on - 7
+            ORDER BY ph.source, ph.recorded_on DESC
+        ) o;
+
+        IF v_point.price_type IN ('raw', 'market') THEN
+            SELECT v_others || COALESCE(jsonb_object_agg(e.key, e.value), '{}'::jsonb) INTO v_others
+            FROM jsonb_each(COALESCE(p_other_prices -> v_point.product_id, '{}'::jsonb)) e
+            WHERE jsonb_typeof(e.value) = 'number' AND (e.value #>> '{}')::NUMERIC > 0;
+        END IF;
+
+        SELECT percentile_cont(0.5) WITHIN GROUP (ORDER BY value::NUMERIC) INTO v_reference
+        FROM jsonb_each_text(v_others);
+
+        -- Last accepted price: earlier points that are not pending or rejected flags
+        SELECT ph.market INTO v_previous
+        FROM price_history ph
+        WHERE ph.product_type = p_product_type
+        AND ph.product_id = v_point.product_id
+        AND ph.source = p_source
+        AND ph.price_type = v_point.price_type
+        AND ph.variant = v_point.variant
+        AND ph.recorded_on < p_recorded_on
+        AND ph.market > 0
+        AND NOT EXISTS (
+            SELECT 1 FROM price_flags f
+            WHERE f.product_type = ph.product_type AND f.product_id = ph.product_id AND f.source = ph.source
+            AND f.price_type = ph.price_type AND f.variant = ph.variant AND f.recorded_on = ph.recorded_on
+            AND f.status <> 'confirmed'
+        )
+        ORDER BY ph.recorded_on DESC
+        LIMIT 1;
+
+        v_reason := NULL;
+        IF v_reference > 0 AND GREATEST(v_point.market, v_reference) >= v_settings.min_price THEN
+            v_deviation := (GREATEST(v_point.market, v_reference) / LEAST(v_point.market, v_reference) - 1) * 100;
+            IF v_deviation > v_settings.band_percent THEN
+                v_reason := 'source_disagreement';
+            END IF;
+        END IF;
+
+        IF v_reason IS NULL AND v_previous > 0 AND GREATEST(v_point.market, v_previous) >= v_settings.min_price THEN
+            v_deviation := (GREATEST(v_point.market, v_previous) / LEAST(v_point.market, v_previous) - 1) * 100;
+            IF v_deviation > v_settings.jump_percent THEN
+                v_reason := 'price_jump';
+            END IF;
+        END IF;
+
+        CONTINUE WHEN v_reason IS NULL;
+
+        -- An admin already confirmed this level in the last 30 days
+        CONTINUE WHEN EXISTS (
+            SELECT 1 FROM price_flags f
+            WHERE f.product_type = p_product_type AND f.product_id = v_point.product_id AND f.source = p_source
+            AND f.price_type = v_point.price_type AND f.variant = v_point.variant
+            AND f.status = 'confirmed'
+            AND f.reviewed_at > NOW() - INTERVAL '30 days'
+            AND GREATEST(f.flagged_price, v_point.market) / LEAST(f.flagged_price, v_point.market) - 1
+                <= v_settings.band_percent / 100
+        );
+
+        -- Without an earlier accepted price there is nothing to hold the product at
+        v_holds := p_source = v_valuation_source AND v_previous IS NOT NULL;
+
+        INSERT INTO price_flags (
+            product_type, product_id, source, price_type, variant, reason, flagged_price, reference_price,
+            previous_price, held_price, deviation_percent, source_prices, holds_valuation, recorded_on
+        ) VALUES (
+            p_product_type, v_point.product_id, p_source, v_point.price_type, v_point.variant, v_reason,
+            v_point.market, v_reference, v_previous, CASE WHEN v_holds THEN v_previous END,
+            ROUND(v_deviation, 1), v_others || jsonb_build_object(p_source, v_point.market), v_holds, p_recorded_on
+        )
+        ON CONFLICT (product_type, product_id, source, price_type, variant, recorded_on) DO NOTHING
+        RETURNING id INTO v_flag_id;
+
+        IF v_flag_id IS NOT NULL THEN
+            v_count := v_count + 1;
+        END IF;
+
+        -- Keep (or put back) the last accepted price until the flag is reviewed
+        IF v_holds AND EXISTS (
+            SELECT 1 FROM price_flags f
+            WHERE f.product_type = p_product_type AND f.product_id = v_point.product_id AND f.source = p_source
+            AND f.price_type = v_point.price_type AND f.variant = v_point.variant
+            AND f.recorded_on = p_recorded_on AND f.status = 'pending'
+        ) THEN
+            PERFORM set_valuation_price(p_product_type, v_point.product_id, v_point.price_type, v_point.variant, v_previous);
+        END IF;
+    END LOOP;
+
+    RETURN v_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- 5. Review a flag
+-- Confirming releases the flagged price into collection values, unless the source has priced the product again since
+-- p_reviewed_by: the admin the admin-actions function checked
+CREATE OR REPLACE FUNCTION review_price_flag(
+    p_flag_id BIGINT,
+    p_decision TEXT,
+    p_note TEXT DEFAULT NULL,
+    p_reviewed_by UUID DEFAULT NULL
+) RETURNS price_flags AS $$
+DECLARE
+    v_flag price_flags%ROWTYPE;
+BEGIN
+    IF p_decision NOT IN ('confirmed', 'rejected') THEN
+        RAISE EXCEPTION 'Decision must be confirmed or rejected';
+    END IF;
+
+    UPDATE price_flags
+    SET status = p_decision,
+        review_note = p_note,
+        reviewed_by = p_reviewed_by,
+        reviewed_at = NOW()
+    WHERE id = p_flag_id
+    AND status = 'pending'
+    RETURNING * INTO v_flag;
+
+    IF v_flag.id IS NULL THEN
+        RAISE EXCEPTION 'Price flag % is not pending', p_flag_id;
+    END IF;
+
+    IF p_decision = 'confirmed' AND v_flag.holds_valuation AND NOT EXISTS (
+        SELECT 1 FROM price_history ph
+        WHERE ph.product_type = v_flag.product_type AND ph.product_id = v_flag.product_id AND ph.source = v_flag.source
+        AND ph.price_type = v_flag.price_type AND ph.variant = v_flag.variant
+        AND ph.recorded_on > v_flag.recorded_on
+    ) THEN
+        PERFORM set_valuation_price(v_flag.product_type, v_flag.product_id, v_flag.price_type, v_flag.variant, v_flag.flagged_price);
+    END IF;
+
+    RETURN v_flag;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Supabase grants EXECUTE to anon and authenticated directly, so revoking from PUBLIC alone is not enough
+REVOKE EXECUTE ON FUNCTION set_valuation_price(TEXT, TEXT, TEXT, TEXT, NUMERIC) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION reconcile_price_history(TEXT, TEXT, TEXT[], JSONB, DATE) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION review_price_flag(BIGINT, TEXT, TEXT, UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION set_valuation_price(TEXT, TEXT, TEXT, TEXT, NUMERIC) TO service_role;
+GRANT EXECUTE ON FUNCTION reconcile_price_history(TEXT, TEXT, TEXT[], JSONB, DATE) TO service_role;
+GRANT EXECUTE ON FUNCTION review_price_flag(BIGINT, TEXT, TEXT, UUID) TO service_role;
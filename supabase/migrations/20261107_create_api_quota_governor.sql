@@ -0,0 +1,251 @@
+-- API quota governor
+-- Every call to a rate-limited provider (Scrydex, JustTCG, RapidAPI, PriceCharting) first asks
+-- acquire_api_quota(). Requests are counted per provider per minute, hour, day and month, and a token
+-- bucket per provider smooths bursts. Background work (syncs, imports) may only use the part of each
+-- budget outside the provider's interactive reserve, so searches and lookups keep working while a sync runs.
+
+-- 1. Providers and their limits
+CREATE TABLE IF NOT EXISTS api_quota_providers (
+    provider TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    -- NULL = no limit for that window
+    per_minute INTEGER CHECK (per_minute > 0),
+    per_hour INTEGER CHECK (per_hour > 0),
+    per_day INTEGER CHECK (per_day > 0),
+    per_month INTEGER CHECK (per_month > 0),
+    -- Token bucket: bursts of up to bucket_capacity requests, refilled at refill_per_second
+    bucket_capacity NUMERIC NOT NULL DEFAULT 10 CHECK (bucket_capacity >= 1),
+    refill_per_second NUMERIC NOT NULL DEFAULT 1 CHECK (refill_per_second > 0),
+    tokens NUMERIC NOT NULL DEFAULT 10,
+    tokens_updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    -- Share of every window and of the bucket that only interactive requests may use
+    interactive_reserve_percent INTEGER NOT NULL DEFAULT 20 CHECK (interactive_reserve_percent BETWEEN 0 AND 90),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON TABLE api_quota_providers IS 'Per-provider API limits and token bucket state for acquire_api_quota()';
+
+-- 2. Request counters, one row per provider, window and window start (UTC)
+CREATE TABLE IF NOT EXISTS api_quota_usage (
+    provider TEXT NOT NULL REFERENCES api_quota_providers(provider) ON DELETE CASCADE,
+    quota_window TEXT NOT NULL CHECK (quota_window IN ('minute', 'hour', 'day', 'month')),
+    window_start TIMESTAMP WITH TIME ZONE NOT NULL,
+    request_count INTEGER NOT NULL DEFAULT 0,
+    interactive_count INTEGER NOT NULL DEFAULT 0,
+    background_count INTEGER NOT NULL DEFAULT 0,
+    denied_count INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (provider, quota_window, window_start)
+);
+
+ALTER TABLE api_quota_providers ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Public read access to api_quota_providers" ON api_quota_providers;
+CREATE POLICY "Public read access to api_quota_providers" ON api_quota_providers FOR SELECT USING (true);
+DROP POLICY IF EXISTS "Allow authenticated users to manage api_quota_providers" ON api_quota_providers;
+DROP POLICY IF EXISTS "Allow service role to manage api_quota_providers" ON api_quota_providers;
+CREATE POLICY "Allow service role to manage api_quota_providers" ON api_quota_providers
+    FOR ALL USING (auth.role() = 'service_role') WITH CHECK (auth.role() = 'service_role');
+
+-- Counters are only written through acquire_api_quota()
+ALTER TABLE api_quota_usage ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Public read access to api_quota_usage" ON api_quota_usage;
+CREATE POLICY "Public read access to api_quota_usage" ON api_quota_usage FOR SELECT USING (true);
+
+-- 3. Take p_cost requests from a provider's budget
+-- Returns { allowed, provider, priority, retry_after_ms, remaining: { window: requests left } }.
+-- A denied request is not counted, only recorded in denied_count; callers wait retry_after_ms and ask again.
+-- Providers without a row are not governed and always allowed.
+CREATE OR REPLACE FUNCTION acquire_api_quota(
+    p_provider TEXT,
+    p_priority TEXT DEFAULT 'interactive',
+    p_cost INTEGER DEFAULT 1
+) RETURNS JSONB AS $$
+DECLARE
+    v_provider api_quota_providers%ROWTYPE;
+    v_now TIMESTAMP WITH TIME ZONE := clock_timestamp();
+    v_background BOOLEAN := p_priority = 'background';
+    v_share NUMERIC;
+    v_tokens NUMERIC;
+    v_reserved_tokens NUMERIC;
+    v_window TEXT;
+    v_limit INTEGER;
+    v_used INTEGER;
+    v_window_start TIMESTAMP WITH TIME ZONE;
+    v_retry_ms BIGINT := 0;
+    v_remaining JSONB := '{}'::jsonb;
+BEGIN
+    IF p_priority NOT IN ('interactive', 'background') THEN
+        RAISE EXCEPTION 'Unknown quota priority: %', p_priority;
+    END IF;
+    IF p_cost IS NULL OR p_cost < 1 THEN
+        RAISE EXCEPTION 'Quota cost must be at least 1';
+    END IF;
+
+    -- Serialises callers per provider
+    SELECT * INTO v_provider FROM api_quota_providers WHERE provider = p_provider FOR UPDATE;
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object(
+            'allowed', true, 'provider', p_provider, 'priority', p_priority,
+            'retry_after_ms', 0, 'remaining', '{}'::jsonb
+        );
+    END IF;
+
+    v_share := CASE WHEN v_background THEN (100 - v_provider.interactive_reserve_percent) / 100.0 ELSE 1 END;
+
+    -- Token bucket; background requests leave the reserved tokens alone
+    v_tokens := LEAST(
+        v_provider.bucket_capacity,
+        v_provider.tokens + EXTRACT(EPOCH FROM v_now - v_provider.tokens_updated_at) * v_provider.refill_per_second
+    );
+    v_reserved_tokens := FLOOR(v_provider.bucket_capacity * (1 - v_share));
+    IF v_tokens - p_cost < v_reserved_tokens THEN
+        v_retry_ms := CEIL((v_reserved_tokens + p_cost - v_tokens) / v_provider.refill_per_second * 1000);
+    END IF;
+
+    -- Window counters; a full window defers the request until it resets
+    FOREACH v_window IN ARRAY ARRAY['minute', 'hour', 'day', 'month'] LOOP
+        v_limit := CASE v_window
+            WHEN 'minute' THEN v_provider.per_minute
+            WHEN 'hour' THEN v_provider.per_hour
+            WHEN 'day' THEN v_provider.per_day
+            ELSE v_provider.per_month
+        END;
+        CONTINUE WHEN v_limit IS NULL;
+
+        v_window_start := date_trunc(v_window, v_now, 'UTC');
+        SELECT request_count INTO v_used
+        FROM api_quota_usage
+        WHERE provider = p_provider AND quota_window = v_window AND window_start = v_window_start;
+        v_used := COALESCE(v_used, 0);
+
+        IF v_used + p_cost > FLOOR(v_limit * v_share) THEN
+            v_retry_ms := GREATEST(v_retry_ms, CEIL(
+                EXTRACT(EPOCH FROM v_window_start + ('1 ' || v_window)::interval - v_now) * 1000
+            )::BIGINT);
+        END IF;
+        v_remaining := v_remaining || jsonb_build_object(v_window, GREATEST(v_limit - v_used, 0));
+    END LOOP;
+
+    IF v_retry_ms > 0 THEN
+        INSERT INTO api_quota_usage (provider, quota_window, window_start, denied_count)
+        SELECT p_provider, w, date_trunc(w, v_now, 'UTC'), 1
+        FROM unnest(ARRAY['minute', 'hour', 'day', 'month']) AS w
+        ON CONFLICT (provider, quota_window, window_start) DO UPDATE SET
+            denied_count = api_quota_usage.denied_count + 1;
+
+        RETURN jsonb_build_object(
+            'allowed', false, 'provider', p_provider, 'priority', p_priority,
+            'retry_after_ms', v_retry_ms, 'remaining', v_remaining
+        );
+    END IF;
+
+    UPDATE api_quota_providers
+    SET tokens = v_tokens - p_cost, tokens_updated_at = v_now
+    WHERE provider = p_provider;
+
+    INSERT INTO api_quota_usage (provider, quota_window, window_start, request_count, interactive_count, background_count)
+    SELECT p_provider, w, date_trunc(w, v_now, 'UTC'), p_cost,
+        CASE WHEN v_background THEN 0 ELSE p_cost END,
+        CASE WHEN v_background THEN p_cost ELSE 0 END
+    FROM unnest(ARRAY['minute', 'hour', 'day', 'month']) AS w
+    ON CONFLICT (provider, quota_window, window_start) DO UPDATE SET
+        request_count = api_quota_usage.request_count + EXCLUDED.request_count,
+        interactive_count = api_quota_usage.interactive_count + EXCLUDED.interactive_count,
+        background_count = api_quota_usage.background_count + EXCLUDED.background_count;
+
+    RETURN jsonb_build_object(
+        'allowed', true, 'provider', p_provider, 'priority', p_priority, 'retry_after_ms', 0,
+        'remaining', COALESCE(
+            (SELECT jsonb_object_agg(key, GREATEST(value::INTEGER - p_cost, 0)) FROM jsonb_each_text(v_remaining)),
+            '{}'::jsonb
+        )
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- 4. Empty a provider's bucket after it answered 429, so nobody calls it for p_seconds (at most an hour)
+CREATE OR REPLACE FUNCTION drain_api_quota(
+    p_provider TEXT,
+    p_seconds NUMERIC DEFAULT 60
+) RETURNS VOID AS $$
+BEGIN
+    UPDATE api_quota_providers
+    SET tokens = -(refill_per_second * LEAST(GREATEST(COALESCE(p_seconds, 0), 0), 3600)),
+        tokens_updated_at = NOW()
+    WHERE provider = p_provider;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- 5. Remaining budget per provider and window
+CREATE OR REPLACE VIEW api_quota_status AS
+SELECT
+    p.provider,
+    p.name,
+    w.quota_window,
+    w.quota_limit,
+    w.window_start,
+    w.window_start + ('1 ' || w.quota_window)::interval AS resets_at,
+    COALESCE(u.request_count, 0) AS used,
+    CASE WHEN w.quota_limit IS NOT NULL
+        THEN GREATEST(w.quota_limit - COALESCE(u.request_count, 0), 0)
+    END AS remaining,
+    -- What syncs and imports may still use before reaching the interactive reserve
+    CASE WHEN w.quota_limit IS NOT NULL
+        THEN GREATEST(FLOOR(w.quota_limit * (100 - p.interactive_reserve_percent) / 100.0)::INTEGER - COALESCE(u.request_count, 0), 0)
+    END AS background_remaining,
+    COALESCE(u.interactive_count, 0) AS interactive_count,
+    COALESCE(u.background_count, 0) AS background_count,
+    COALESCE(u.denied_count, 0) AS denied_count,
+    p.interactive_reserve_percent,
+    p.bucket_capacity,
+    LEAST(p.bucket_capacity, p.tokens + EXTRACT(EPOCH FROM NOW() - p.tokens_updated_at) * p.refill_per_second) AS tokens_available
+FROM api_quota_providers p
+CROSS JOIN LATERAL (VALUES
+    ('minute', p.per_minute, date_trunc('minute', NOW(), 'UTC'), 1),
+    ('hour', p.per_hour, date_trunc('hour', NOW(), 'UTC'), 2),
+    ('day', p.per_day, date_trunc('day', NOW(), 'UTC'), 3),
+    ('month', p.per_month, date_trunc('month', NOW(), 'UTC'), 4)
+) AS w(quota_window, quota_limit, window_start, window_order)
+LEFT JOIN api_quota_usage u
+    ON u.provider = p.provider AND u.quota_window = w.quota_window AND u.window_start = w.window_start
+ORDER BY p.provider, w.window_order;
+
+-- 6. Drop counters nobody looks at any more
+CREATE OR REPLACE FUNCTION prune_api_quota_usage() RETURNS INTEGER AS $$
+DECLARE
+    v_count INTEGER;
+BEGIN
+    DELETE FROM api_quota_usage
+    WHERE (quota_window = 'minute' AND window_start < NOW() - INTERVAL '1 day')
+        OR (quota_window = 'hour' AND window_start < NOW() - INTERVAL '7 days')
+        OR (quota_window = 'day' AND window_start < NOW() - INTERVAL '90 days')
+        OR (quota_window = 'month' AND window_start < NOW() - INTERVAL '2 years');
+    GET DIAGNOSTICS v_count = ROW_COUNT;
+    RETURN v_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Only the edge functions and the JustTCG import scripts (service role) take, drain or prune budget
+REVOKE EXECUTE ON FUNCTION acquire_api_quota(TEXT, TEXT, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION drain_api_quota(TEXT, NUMERIC) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION prune_api_quota_usage() FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION acquire_api_quota(TEXT, TEXT, INTEGER) TO service_role;
+GRANT EXECUTE ON FUNCTION drain_api_quota(TEXT, NUMERIC) TO service_role;
+GRANT EXECUTE ON FUNCTION prune_api_quota_usage() TO service_role;
+
+-- 7. Default limits (adjust to the plan on each provider)
+INSERT INTO api_quota_providers (provider, name, per_minute, per_hour, per_day, per_month, bucket_capacity, refill_per_second, tokens) VALUES
+    ('scrydex', 'Scrydex', 60, 1000, 10000, NULL, 10, 1, 10),
+    ('justtcg', 'JustTCG', NULL, NULL, 100, 1000, 5, 0.5, 5),
+    ('rapidapi', 'RapidAPI', 60, NULL, NULL, NULL, 5, 1, 5),
+    ('pricecharting', 'PriceCharting', 60, NULL, NULL, NULL, 1, 1, 1)
+ON CONFLICT (provider) DO NOTHING;
+
+-- 8. Prune counters nightly
+CREATE EXTENSION IF NOT EXISTS pg_cron;
+
+SELECT cron.schedule(
+    'prune-api-quota-usage',
+    '30 4 * * *',
+    $$ SELECT prune_api_quota_usage(); $$
+);
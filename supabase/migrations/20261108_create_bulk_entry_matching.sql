@@ -0,0 +1,98 @@
+-- Fuzzy catalog matching for bulk entry
+-- Pasted lists ("2x Charizard ex 199/165 PSA 10 $450") are parsed in the browser into a name, set and card number
+-- per line. match_catalog_products() ranks pokemon_cards and sealed_products candidates for every line in one call,
+-- using trigram similarity so typos and partial names still match.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- 1. Trigram indexes on the names lines are matched against
+CREATE INDEX IF NOT EXISTS idx_pokemon_cards_name_trgm ON pokemon_cards USING GIN (lower(name) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_sealed_products_name_trgm ON sealed_products USING GIN (lower(name) gin_trgm_ops);
+
+-- 2. Ranked candidates per line
+-- p_lines: [{ index, name, set_name, number, kind ('single' | 'sealed' | null for both) }]
+-- score is 0-1: name similarity, plus a bonus for the same card number and for a similar set name,
+-- scaled by the largest score the line could reach
+CREATE OR REPLACE FUNCTION match_catalog_products(p_lines JSONB, p_limit INTEGER DEFAULT 5)
+RETURNS TABLE (
+    line_index INTEGER,
+    product_kind TEXT,
+    product_id TEXT,
+    name TEXT,
+    number TEXT,
+    set_name TEXT,
+    image_url TEXT,
+    market_price NUMERIC,
+    score REAL
+) AS $$
+    WITH lines AS (
+        SELECT
+            (line->>'index')::INTEGER AS line_index,
+            lower(trim(line->>'name')) AS q_name,
+            NULLIF(ltrim(lower(trim(line->>'number')), '0'), '') AS q_number,
+            NULLIF(lower(trim(line->>'set_name')), '') AS q_set,
+            NULLIF(line->>'kind', '') AS q_kind
+        FROM jsonb_array_elements(p_lines) AS line
+        WHERE COALESCE(trim(line->>'name'), '') <> ''
+    )
+    SELECT
+        l.line_index,
+        m.product_kind,
+        m.product_id,
+        m.name,
+        m.number,
+        m.set_name,
+        m.image_url,
+        m.market_price,
+        ROUND((m.raw_score / (1 + CASE WHEN l.q_number IS NOT NULL THEN 0.5 ELSE 0 END
+                                 + CASE WHEN l.q_set IS NOT NULL THEN 0.3 ELSE 0 END))::NUMERIC, 3)::REAL
+    FROM lines l
+    CROSS JOIN LATERAL (
+        SELECT *
+        FROM (
+            SELECT
+                'card'::TEXT AS product_kind,
+                c.id AS product_id,
+                c.name,
+                c.number,
+                c.expansion_name AS set_name,
+                c.image_url,
+                c.market_price,
+                GREATEST(similarity(lower(c.name), l.q_name), word_similarity(l.q_name, lower(c.name)) * 0.9)
+                    + CASE WHEN l.q_number IS NOT NULL AND ltrim(lower(c.number), '0') = l.q_number THEN 0.5 ELSE 0 END
+                    + CASE WHEN l.q_set IS NOT NULL
+                           THEN 0.3 * similarity(lower(COALESCE(c.expansion_name, '')), l.q_set)
+                           ELSE 0 END AS raw_score
+            FROM pokemon_cards c
+            WHERE COALESCE(l.q_kind, 'single') = 'single'
+              AND (lower(c.name) % l.q_name OR l.q_name <% lower(c.name))
+
+            UNION ALL
+
+            -- Sealed product names include their set ("Evolving Skies Booster Box"), so the set is matched as part of the name
+            SELECT
+                'sealed'::TEXT,
+                s.id::TEXT,
+                s.name,
+                NULL,
+                s.episode_name,
+                s.image,
+                s.pricing_market,
+                GREATEST(similarity(lower(s.name), trim(COALESCE(l.q_set, '') || ' ' || l.q_name)),
+                         word_similarity(trim(COALESCE(l.q_set, '') || ' ' || l.q_name), lower(s.name)) * 0.9)
+                    * (1 + CASE WHEN l.q_number IS NOT NULL THEN 0.5 ELSE 0 END
+                         + CASE WHEN l.q_set IS NOT NULL THEN 0.3 ELSE 0 END)
+            FROM sealed_products s
+            WHERE COALESCE(l.q_kind, 'sealed') = 'sealed'
+              AND (lower(s.name) % trim(COALESCE(l.q_set, '') || ' ' || l.q_name)
+                   OR l.q_name <% lower(s.name))
+        ) candidates
+        ORDER BY candidates.raw_score DESC, candidates.market_price DESC NULLS LAST
+        LIMIT p_limit
+    ) m
+    ORDER BY l.line_index, m.raw_score DESC;
+$$ LANGUAGE sql STABLE;
+
+GRANT EXECUTE ON FUNCTION match_catalog_products(JSONB, INTEGER) TO authenticated;
+
+COMMENT ON FUNCTION match_catalog_products IS 'Ranks pokemon_cards and sealed_products candidates for each parsed line of a pasted bulk entry list.';
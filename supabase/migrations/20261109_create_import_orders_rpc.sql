@@ -0,0 +1,64 @@
+-- Atomic order import
+-- The import wizard used to insert orders and their sales in separate requests, so a failed sales insert
+-- left imported orders without their sales and a retry imported them twice. import_orders() writes both in
+-- one transaction: either every order and sale of the file is stored, or nothing is.
+
+-- p_orders: order rows as the import wizard builds them (id included, so sales can reference them)
+-- p_sales: sales rows ({ order_id, quantity, sale_date, sale_price_cents, ... }) of those orders
+CREATE OR REPLACE FUNCTION import_orders(p_orders JSONB, p_sales JSONB DEFAULT '[]'::jsonb)
+RETURNS INTEGER AS $$
+DECLARE
+    v_user_id UUID := auth.uid();
+    v_imported INTEGER;
+BEGIN
+    IF v_user_id IS NULL THEN
+        RAISE EXCEPTION 'User not authenticated';
+    END IF;
+
+    IF p_orders IS NULL OR jsonb_array_length(p_orders) = 0 THEN
+        RETURN 0;
+    END IF;
+
+    -- 1. Orders, always owned by the caller
+    INSERT INTO orders (
+        id, user_id, pokemon_card_id, item_id, product_source, purchase_date, price_per_item_cents, quantity,
+        total_cost_cents, currency, retailer_name, notes, order_group_id, order_number, item_type,
+        card_condition, raw_condition, grading_company, grading_grade, cert_number, card_type,
+        graded_company, graded_grade
+    )
+    SELECT
+        COALESCE(o.id, gen_random_uuid()), v_user_id, o.pokemon_card_id, o.item_id, o.product_source, o.purchase_date,
+        o.price_per_item_cents, o.quantity, o.total_cost_cents, o.currency, o.retailer_name, o.notes,
+        o.order_group_id, o.order_number, o.item_type, o.card_condition, o.raw_condition, o.grading_company,
+        o.grading_grade, o.cert_number, COALESCE(o.card_type, 'ungraded'), o.graded_company, o.graded_grade
+    FROM jsonb_populate_recordset(NULL::orders, p_orders) AS o;
+
+    GET DIAGNOSTICS v_imported = ROW_COUNT;
+
+    -- 2. Sales, only against orders of the caller; quantity_sold and the sale totals follow via trigger
+    IF EXISTS (
+        SELECT 1
+        FROM jsonb_populate_recordset(NULL::sales, COALESCE(p_sales, '[]'::jsonb)) AS s
+        WHERE NOT EXISTS (SELECT 1 FROM orders o WHERE o.id = s.order_id AND o.user_id = v_user_id)
+    ) THEN
+        RAISE EXCEPTION 'Imported sales must belong to imported orders';
+    END IF;
+
+    INSERT INTO sales (
+        user_id, order_id, quantity, sale_date, sale_price_cents, fees_cents, shipping_cents,
+        sale_location, notes, buyer, currency, lot
+    )
+    SELECT
+        v_user_id, s.order_id, s.quantity, COALESCE(s.sale_date, CURRENT_DATE), COALESCE(s.sale_price_cents, 0),
+        COALESCE(s.fees_cents, 0), COALESCE(s.shipping_cents, 0), s.sale_location, s.notes, s.buyer,
+        s.currency, s.lot
+    FROM jsonb_populate_recordset(NULL::sales, COALESCE(p_sales, '[]'::jsonb)) AS s;
+
+    RETURN v_imported;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION import_orders(JSONB, JSONB) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION import_orders(JSONB, JSONB) TO authenticated;
+
+COMMENT ON FUNCTION import_orders IS 'Inserts imported orders and their sales for the calling user in one transaction. Returns the number of orders imported.';
@@ -0,0 +1,104 @@
+-- Idempotent sale replay
+-- A sale queued offline can reach the server twice (the first request went through but its response was
+-- lost). The client now generates the sale id when the sale is made and record_lot_sale stores it on every
+-- lot's sale row; a replay finds the id already recorded and fails with unique_violation (23505) instead of
+-- selling the lots again, which the client treats as already synced.
+
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS client_sale_id UUID;
+
+-- One sale touches an order at most once, so (order, sale id) identifies a row
+ALTER TABLE sales DROP CONSTRAINT IF EXISTS sales_order_client_sale_id_key;
+ALTER TABLE sales ADD CONSTRAINT sales_order_client_sale_id_key UNIQUE (order_id, client_sale_id);
+
+COMMENT ON COLUMN sales.client_sale_id IS 'Sale id generated by the client (shared by the lots of one sale); NULL for sales recorded before it existed';
+
+CREATE OR REPLACE FUNCTION add_sale_record(
+    p_order_id UUID,
+    p_sale JSONB,
+    p_expected_version INTEGER DEFAULT NULL
+) RETURNS orders AS $$
+DECLARE
+    v_order orders%ROWTYPE;
+BEGIN
+    v_order := lock_order_for_sale(p_order_id, p_expected_version);
+
+    INSERT INTO sales (
+        user_id, order_id, quantity, sale_date, sale_price_cents, fees_cents, shipping_cents,
+        sale_location, notes, buyer, currency, lot, client_sale_id
+    ) VALUES (
+        v_order.user_id,
+        p_order_id,
+        COALESCE((p_sale->>'quantity')::INTEGER, 0),
+        COALESCE(LEFT(NULLIF(p_sale->>'saleDate', ''), 10)::DATE, CURRENT_DATE),
+        COALESCE((p_sale->>'salePrice')::INTEGER, 0),
+        COALESCE((p_sale->>'feesCents')::INTEGER, 0),
+        COALESCE((p_sale->>'shippingCents')::INTEGER, 0),
+        NULLIF(p_sale->>'saleLocation', ''),
+        NULLIF(p_sale->>'saleNotes', ''),
+        NULLIF(p_sale->>'buyer', ''),
+        -- Sales default to the currency the order was bought in
+        COALESCE(NULLIF(p_sale->>'currency', ''), v_order.currency),
+        p_sale->'lot',
+        NULLIF(p_sale->>'clientSaleId', '')::UUID
+    );
+
+    SELECT * INTO v_order FROM orders WHERE id = p_order_id;
+    RETURN v_order;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP FUNCTION IF EXISTS record_lot_sale(JSONB, DATE, INTEGER, TEXT, TEXT, TEXT, TEXT);
+
+CREATE OR REPLACE FUNCTION record_lot_sale(
+    p_allocations JSONB,
+    p_sell_date DATE,
+    p_sell_price_cents INTEGER,
+    p_sell_location TEXT DEFAULT NULL,
+    p_sell_notes TEXT DEFAULT NULL,
+    p_buyer TEXT DEFAULT NULL,
+    p_currency TEXT DEFAULT NULL,
+    p_sale_id UUID DEFAULT NULL
+) RETURNS VOID AS $$
+DECLARE
+    v_allocation JSONB;
+BEGIN
+    IF p_allocations IS NULL OR jsonb_array_length(p_allocations) = 0 THEN
+        RAISE EXCEPTION 'A sale must consume at least one lot';
+    END IF;
+
+    -- A replayed sale changed the order versions it carries, so report the duplicate before the version check
+    IF p_sale_id IS NOT NULL AND EXISTS (
+        SELECT 1 FROM sales WHERE client_sale_id = p_sale_id AND user_id = auth.uid()
+    ) THEN
+        RAISE EXCEPTION 'Sale % was already recorded', p_sale_id
+            USING ERRCODE = 'unique_violation';
+    END IF;
+
+    -- Any lot that cannot cover its quantity, or changed since it was loaded, aborts the whole sale
+    FOR v_allocation IN SELECT * FROM jsonb_array_elements(p_allocations)
+    LOOP
+        PERFORM add_sale_record(
+            (v_allocation->>'order_id')::UUID,
+            jsonb_strip_nulls(jsonb_build_object(
+                'quantity', (v_allocation->>'quantity')::INTEGER,
+                'saleDate', p_sell_date,
+                'salePrice', p_sell_price_cents,
+                'saleLocation', p_sell_location,
+                'saleNotes', p_sell_notes,
+                'buyer', p_buyer,
+                'currency', p_currency,
+                'feesCents', COALESCE((v_allocation->>'fees_cents')::INTEGER, 0),
+                'shippingCents', COALESCE((v_allocation->>'shipping_cents')::INTEGER, 0),
+                'lot', v_allocation->'lot',
+                'clientSaleId', p_sale_id
+            )),
+            (v_allocation->>'expected_version')::INTEGER
+        );
+    END LOOP;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION record_lot_sale(JSONB, DATE, INTEGER, TEXT, TEXT, TEXT, TEXT, UUID) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION record_lot_sale(JSONB, DATE, INTEGER, TEXT, TEXT, TEXT, TEXT, UUID) TO authenticated;
+
+COMMENT ON FUNCTION record_lot_sale IS 'Records one sale matched against several purchase lots atomically. Raises 23505 when p_sale_id was already recorded.';
@@ -167,6 +167,42 @@ async function getExpansionIdByGroupId(groupId) {
   return data.id;
 }
 
+/**
+ * Append today's price points for synced sealed products to price_history
+ */
+async function recordPriceHistory(products) {
+  const recordedOn = new Date().toISOString().split('T')[0];
+
+  const points = products
+    .filter(product => product.market_price != null || product.low_price != null)
+    .map(product => ({
+      product_type: 'sealed',
+      product_id: String(product.product_id),
+      source: 'tcgcsv',
+      price_type: 'market',
+      variant: product.sub_type_name || '',
+      currency: 'USD',
+      market: product.market_price,
+      low: product.low_price,
+      mid: product.mid_price,
+      high: product.high_price,
+      recorded_on: recordedOn
+    }));
+
+  if (points.length === 0) return 0;
+
+  const { error } = await supabase
+    .from('price_history')
+    .upsert(points, { onConflict: 'product_type,product_id,source,price_type,variant,recorded_on' });
+
+  if (error) {
+    console.error(`   ├─ ⚠️  Price history error:`, error.message);
+    return 0;
+  }
+
+  return points.length;
+}
+
 /**
  * Sync a single group
  */
@@ -248,6 +284,10 @@ async function syncGroup(group) {
       return { groupId, name, imported: 0, error: error.message };
     }
 
+    // Append today's prices to the price history
+    const pricePoints = await recordPriceHistory(productsToInsert);
+
+    console.log(`   ├─ 📈 Price history points: ${pricePoints}`);
     console.log(`   └─ ✅ Imported ${productsToInsert.length} products\n`);
     
     return {